@@ -0,0 +1,50 @@
+const {
+  detectRegisterColumns,
+  mapRegisterRecord,
+} = require("../assetRegister");
+
+describe("detectRegisterColumns", () => {
+  it("recognises common spellings of the catalog columns", () => {
+    expect(
+      detectRegisterColumns([
+        "Asset  Tag",
+        "Category",
+        "S/N",
+        "Dept",
+        "Date Acquired",
+        "Purchase Price",
+        "Notes",
+      ])
+    ).toEqual({
+      deviceId: "Asset  Tag",
+      deviceType: "Category",
+      serialNumber: "S/N",
+      department: "Dept",
+      purchaseDate: "Date Acquired",
+      acquisitionCost: "Purchase Price",
+    });
+  });
+});
+
+describe("mapRegisterRecord", () => {
+  it("turns a register row into a catalog entry", () => {
+    const columns = detectRegisterColumns(["Tag", "Type", "Cost"]);
+
+    expect(
+      mapRegisterRecord(
+        { Tag: "Pump-1", Type: "Infusion Pump", Cost: "900" },
+        columns
+      )
+    ).toEqual({
+      device: {
+        deviceId: "Pump-1",
+        deviceType: "Infusion Pump",
+        acquisitionCost: 900,
+      },
+      errors: [],
+    });
+    expect(mapRegisterRecord({ Tag: "" }, columns).errors).toEqual([
+      "Device ID is required",
+    ]);
+  });
+});
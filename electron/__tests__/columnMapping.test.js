@@ -0,0 +1,118 @@
+const {
+  buildDefaultProfile,
+  getMissingFields,
+  detectProfile,
+  applyColumnMapping,
+  validateProfile,
+} = require("../columnMapping");
+
+const vendorProfile = {
+  _id: "vendor",
+  name: "Vendor export",
+  columns: {
+    device: "Asset Tag",
+    location: "Zone",
+    status: "State",
+    timeIn: "Entered",
+    timeOut: "Exited",
+  },
+  extraFields: [{ column: "Battery", field: "battery" }],
+};
+
+describe("buildDefaultProfile", () => {
+  it("matches the built-in spellings regardless of case and BOM", () => {
+    const profile = buildDefaultProfile([
+      "\uFEFFDevice",
+      "Location",
+      "STATUS",
+      "Time In",
+      "out",
+    ]);
+
+    expect(profile.columns).toEqual({
+      device: "\uFEFFDevice",
+      location: "Location",
+      status: "STATUS",
+      timeIn: "Time In",
+      timeOut: "out",
+    });
+    expect(getMissingFields(profile, ["Device"])).toEqual([
+      "location",
+      "timeIn",
+      "timeOut",
+    ]);
+  });
+});
+
+describe("detectProfile", () => {
+  const headers = ["asset tag", "Zone", "State", "Entered", "Exited"];
+
+  it("picks the saved profile that maps the most columns", () => {
+    const partial = {
+      ...vendorProfile,
+      _id: "partial",
+      columns: { ...vendorProfile.columns, status: "" },
+    };
+
+    expect(detectProfile(headers, [partial, vendorProfile])).toBe(
+      vendorProfile
+    );
+  });
+
+  it("falls back to the default spellings, or nothing", () => {
+    expect(
+      detectProfile(["Device", "Location", "In", "Out"], [vendorProfile])._id
+    ).toBe("default");
+    expect(detectProfile(["Tag", "Where"], [vendorProfile])).toBeNull();
+  });
+});
+
+describe("applyColumnMapping", () => {
+  it("reads canonical fields and extra fields from the source columns", () => {
+    expect(
+      applyColumnMapping(
+        {
+          "Asset Tag": " Pump-1 ",
+          Zone: "ICU-1",
+          State: "In Use",
+          Entered: "2025-03-01 08:00",
+          Exited: "2025-03-01 09:00",
+          Battery: "80%",
+        },
+        vendorProfile
+      )
+    ).toEqual({
+      device: "Pump-1",
+      location: "ICU-1",
+      status: "In Use",
+      timeIn: "2025-03-01 08:00",
+      timeOut: "2025-03-01 09:00",
+      metadata: { battery: "80%" },
+    });
+  });
+
+  it("leaves unmapped fields empty", () => {
+    const mapped = applyColumnMapping(
+      { "Asset Tag": "Pump-1" },
+      { columns: { device: "Asset Tag" } }
+    );
+
+    expect(mapped.device).toBe("Pump-1");
+    expect(mapped.location).toBe("");
+    expect(mapped.metadata).toEqual({});
+  });
+});
+
+describe("validateProfile", () => {
+  it("needs a name and every required column", () => {
+    expect(validateProfile(vendorProfile)).toEqual([]);
+    expect(
+      validateProfile({ name: " ", columns: { device: "Asset Tag" } })
+    ).toEqual([
+      "Profile name is required",
+      'A source column must be selected for "location"',
+      'A source column must be selected for "timeIn"',
+      'A source column must be selected for "timeOut"',
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  detectWorkOrderColumns,
+  mapWorkOrderRecord,
+} = require("../maintenanceLog");
+
+const columns = detectWorkOrderColumns([
+  "Equipment ID",
+  "Date Completed",
+  "WO Type",
+  "Work Performed",
+]);
+
+describe("detectWorkOrderColumns", () => {
+  it("recognises common work-order headers", () => {
+    expect(columns).toEqual({
+      deviceId: "Equipment ID",
+      date: "Date Completed",
+      type: "WO Type",
+      notes: "Work Performed",
+    });
+  });
+});
+
+describe("mapWorkOrderRecord", () => {
+  it("reads dates without an offset in the facility timezone", () => {
+    expect(
+      mapWorkOrderRecord(
+        {
+          "Equipment ID": "Pump-1",
+          "Date Completed": "2025-07-01 08:00:00",
+          "WO Type": "Preventive",
+          "Work Performed": " Replaced battery ",
+        },
+        columns,
+        "America/New_York"
+      )
+    ).toEqual({
+      event: {
+        deviceId: "Pump-1",
+        date: "2025-07-01T12:00:00.000Z",
+        dateRaw: "2025-07-01 08:00:00",
+        type: "Preventive",
+        notes: "Replaced battery",
+      },
+      errors: [],
+    });
+  });
+
+  it("reports missing devices and unreadable dates", () => {
+    const { event, errors } = mapWorkOrderRecord(
+      { "Date Completed": "sometime" },
+      columns,
+      "UTC"
+    );
+
+    expect(event.type).toBe("Other");
+    expect(event.date).toBeNull();
+    expect(errors).toEqual(["Missing device ID", 'Invalid date "sometime"']);
+  });
+});
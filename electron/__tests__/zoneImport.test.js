@@ -0,0 +1,39 @@
+const { detectZoneColumns, mapZoneRecord } = require("../zoneImport");
+
+const columns = detectZoneColumns(["Room Number", "Site", "Unit", "Area"]);
+
+describe("detectZoneColumns", () => {
+  it("recognises common room list headers", () => {
+    expect(columns).toEqual({
+      room: "Room Number",
+      building: "Site",
+      department: "Unit",
+      pod: "Area",
+    });
+  });
+});
+
+describe("mapZoneRecord", () => {
+  it("lists the room's zones from the top down, skipping blank levels", () => {
+    expect(
+      mapZoneRecord(
+        { "Room Number": " ED-1 ", Site: "Main", Unit: "", Area: "POD 2" },
+        columns
+      )
+    ).toEqual({
+      room: "ED-1",
+      path: [
+        { level: "building", name: "Main" },
+        { level: "pod", name: "POD 2" },
+      ],
+      errors: [],
+    });
+  });
+
+  it("needs a room and at least one zone", () => {
+    expect(mapZoneRecord({ Site: "" }, columns).errors).toEqual([
+      "Missing room",
+      "No building, department or pod given",
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Asset Register Import
+ *
+ * Maps the columns of an asset register CSV export onto the device catalog
+ * fields. Registers from different systems name their columns differently,
+ * so each field accepts a few common spellings.
+ */
+
+const { normalizeCatalogEntry } = require("../src/shared/deviceCatalog");
+
+// Header spellings recognised for each catalog field
+const REGISTER_COLUMN_ALIASES = {
+  deviceId: ["device", "deviceid", "device id", "tag", "tag id", "asset tag"],
+  deviceType: ["type", "device type", "devicetype", "category", "asset type"],
+  model: ["model", "model number", "make/model"],
+  serialNumber: ["serial", "serial number", "serialnumber", "serial no", "s/n"],
+  department: ["department", "dept", "owner", "owning department"],
+  purchaseDate: [
+    "purchase date",
+    "purchasedate",
+    "acquired",
+    "acquisition date",
+    "date acquired",
+  ],
+  acquisitionCost: [
+    "cost",
+    "acquisition cost",
+    "acquisitioncost",
+    "purchase price",
+    "price",
+  ],
+};
+
+// Normalize a header for case- and whitespace-insensitive comparison
+function normalizeHeader(header) {
+  return String(header || "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Find the register column used for each catalog field
+ * @param {Array} headers - Header row of the CSV file
+ * @returns {Object} Catalog field -> header, for the fields that were found
+ */
+function detectRegisterColumns(headers = []) {
+  const columns = {};
+
+  Object.entries(REGISTER_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const match = headers.find((header) =>
+      aliases.includes(normalizeHeader(header))
+    );
+    if (match) {
+      columns[field] = match;
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Convert an asset register row into a catalog entry
+ * @param {Object} record - Raw CSV record keyed by header
+ * @param {Object} columns - Catalog field -> header, from detectRegisterColumns
+ * @returns {Object} { device, errors }
+ */
+function mapRegisterRecord(record, columns) {
+  const entry = {};
+  Object.entries(columns).forEach(([field, header]) => {
+    entry[field] = record[header];
+  });
+
+  return normalizeCatalogEntry(entry);
+}
+
+module.exports = {
+  REGISTER_COLUMN_ALIASES,
+  detectRegisterColumns,
+  mapRegisterRecord,
+};
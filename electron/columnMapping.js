@@ -0,0 +1,179 @@
+/**
+ * CSV Column Mapping
+ *
+ * Maps vendor-specific CSV headers onto the canonical RTLS record fields
+ * (device, location, status, time in, time out) used by the importer.
+ * Mapping profiles are plain objects:
+ *   { name, columns: { device, location, status, timeIn, timeOut }, extraFields: [{ column, field }] }
+ * where each column value is the source header name in the CSV file.
+ */
+
+// Canonical fields in the order they are shown in the mapping UI
+const CANONICAL_FIELDS = ["device", "location", "status", "timeIn", "timeOut"];
+
+// Fields that must be mapped for a record to be importable
+const REQUIRED_FIELDS = ["device", "location", "timeIn", "timeOut"];
+
+// Header spellings recognised by the built-in default profile
+const DEFAULT_COLUMN_ALIASES = {
+  device: ["device", "deviceid", "device id"],
+  location: ["location"],
+  status: ["status"],
+  timeIn: ["in", "timein", "time in"],
+  timeOut: ["out", "timeout", "time out"],
+};
+
+const DEFAULT_PROFILE_ID = "default";
+
+// Normalize a header for case- and whitespace-insensitive comparison
+function normalizeHeader(header) {
+  return String(header || "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase();
+}
+
+// Find the actual header in the file that matches the given column name
+function findHeader(headers, column) {
+  if (!column) return null;
+  const target = normalizeHeader(column);
+  return headers.find((header) => normalizeHeader(header) === target) || null;
+}
+
+/**
+ * Build the built-in default profile resolved against the given headers
+ * @param {Array} headers - Header row of the CSV file
+ * @returns {Object} Mapping profile using the default header spellings
+ */
+function buildDefaultProfile(headers = []) {
+  const columns = {};
+
+  CANONICAL_FIELDS.forEach((field) => {
+    const match = headers.find((header) =>
+      DEFAULT_COLUMN_ALIASES[field].includes(normalizeHeader(header))
+    );
+    columns[field] = match || "";
+  });
+
+  return {
+    _id: DEFAULT_PROFILE_ID,
+    name: "Default (Device, Location, Status, In, Out)",
+    builtIn: true,
+    columns,
+    extraFields: [],
+  };
+}
+
+/**
+ * Check which required fields of a profile cannot be found in the headers
+ * @param {Object} profile - The mapping profile
+ * @param {Array} headers - Header row of the CSV file
+ * @returns {Array} Names of the canonical fields that are missing
+ */
+function getMissingFields(profile, headers) {
+  const columns = (profile && profile.columns) || {};
+  return REQUIRED_FIELDS.filter(
+    (field) => !findHeader(headers, columns[field])
+  );
+}
+
+/**
+ * Pick the saved profile that best matches the headers of a file
+ * @param {Array} headers - Header row of the CSV file
+ * @param {Array} profiles - Saved mapping profiles
+ * @returns {Object|null} The best matching profile, or null if none fit
+ */
+function detectProfile(headers, profiles = []) {
+  let bestProfile = null;
+  let bestScore = -1;
+
+  profiles.forEach((profile) => {
+    if (getMissingFields(profile, headers).length > 0) return;
+
+    // Prefer profiles that also map the optional and extra columns
+    const mappedColumns = [
+      ...Object.values(profile.columns || {}),
+      ...(profile.extraFields || []).map((extra) => extra.column),
+    ].filter(Boolean);
+    const score = mappedColumns.filter((column) =>
+      findHeader(headers, column)
+    ).length;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestProfile = profile;
+    }
+  });
+
+  if (bestProfile) return bestProfile;
+
+  // Fall back to the built-in spellings if they cover the required fields
+  const defaultProfile = buildDefaultProfile(headers);
+  return getMissingFields(defaultProfile, headers).length === 0
+    ? defaultProfile
+    : null;
+}
+
+/**
+ * Convert a raw CSV record into a canonical record using a mapping profile
+ * @param {Object} record - Raw CSV record keyed by header
+ * @param {Object} profile - The mapping profile
+ * @returns {Object} Canonical record with device, location, status, timeIn, timeOut and metadata
+ */
+function applyColumnMapping(record, profile) {
+  const headers = Object.keys(record);
+  const columns = (profile && profile.columns) || {};
+
+  const readField = (column) => {
+    const header = findHeader(headers, column);
+    const value = header ? record[header] : "";
+    return typeof value === "string" ? value.trim() : value || "";
+  };
+
+  const mapped = {};
+  CANONICAL_FIELDS.forEach((field) => {
+    mapped[field] = readField(columns[field]);
+  });
+
+  // Carry over any extra fields the profile asks for
+  mapped.metadata = {};
+  ((profile && profile.extraFields) || []).forEach((extra) => {
+    if (!extra.column || !extra.field) return;
+    mapped.metadata[extra.field] = readField(extra.column);
+  });
+
+  return mapped;
+}
+
+/**
+ * Validate a profile before saving it
+ * @param {Object} profile - The mapping profile to validate
+ * @returns {Array} List of validation error messages (empty when valid)
+ */
+function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || !String(profile.name || "").trim()) {
+    errors.push("Profile name is required");
+  }
+
+  const columns = (profile && profile.columns) || {};
+  REQUIRED_FIELDS.forEach((field) => {
+    if (!columns[field]) {
+      errors.push(`A source column must be selected for "${field}"`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  CANONICAL_FIELDS,
+  REQUIRED_FIELDS,
+  DEFAULT_PROFILE_ID,
+  buildDefaultProfile,
+  getMissingFields,
+  detectProfile,
+  applyColumnMapping,
+  validateProfile,
+};
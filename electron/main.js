@@ -1,8 +1,104 @@
 const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
+const crypto = require("crypto");
+const { isDeepStrictEqual } = require("util");
 const { parse } = require("csv-parse/sync");
+const { parse: createCsvParser } = require("csv-parse");
 const Datastore = require("nedb-promises");
+const {
+  detectProfile,
+  applyColumnMapping,
+  getMissingFields,
+  validateProfile,
+  buildDefaultProfile,
+  REQUIRED_FIELDS,
+} = require("./columnMapping");
+const { detectRegisterColumns, mapRegisterRecord } = require("./assetRegister");
+const {
+  detectWorkOrderColumns,
+  mapWorkOrderRecord,
+} = require("./maintenanceLog");
+const { detectZoneColumns, mapZoneRecord } = require("./zoneImport");
+const {
+  getSystemTimeZone,
+  isValidTimeZone,
+  resolveTimestamp,
+} = require("../src/shared/timezone");
+const { buildDwell, summarizeUtilization } = require("../src/shared/dwells");
+const { analyzeDataQuality } = require("../src/shared/dataQuality");
+const { getRouter } = require("../src/shared/routing");
+const { validateMapData } = require("../src/shared/floorPlan");
+const {
+  checkGraphIntegrity,
+  applyIntegrityFixes,
+} = require("../src/shared/graphIntegrity");
+const { summarizeCrossFloorRoute } = require("../src/shared/facility");
+const {
+  DEFAULT_WALKING_MODEL,
+  validateWalkingModel,
+  getMonthsSpanned,
+  estimateMonthlySavings,
+  toMetres,
+  formatDistance,
+  formatMinutes,
+} = require("../src/shared/walkingModel");
+const {
+  DEFAULT_DEVICE_TYPE_PATTERN,
+  isValidTypePattern,
+  extractDeviceType,
+  createDeviceTypeResolver,
+  normalizeCatalogEntry,
+} = require("../src/shared/deviceCatalog");
+const {
+  getMaintenanceThreshold,
+  getLatestMaintenance,
+  summarizeHoursSinceService,
+} = require("../src/shared/maintenance");
+const { validateZone, indexZones } = require("../src/shared/zones");
+const {
+  validateParLocationCounts,
+  buildFleets,
+  planFleetPlacement,
+} = require("../src/shared/parLocations");
+const {
+  validateStorageLocation,
+  getStorageCapacities,
+} = require("../src/shared/storageLocations");
+const {
+  DEFAULT_SHIFT_PLANNING,
+  validateShiftPlanning,
+  planShiftPlacement,
+  describeShiftPlacement,
+} = require("../src/shared/shifts");
+const {
+  DEFAULT_SERVICE_LEVEL,
+  validateServiceLevel,
+  sizeFleets,
+} = require("../src/shared/fleetSizing");
+const {
+  DEFAULT_FORECAST_HORIZON_DAYS,
+  validateForecastHorizon,
+  forecastDemand,
+  planPurchase,
+} = require("../src/shared/forecasting");
+const {
+  DEFAULT_MAINTENANCE_COST_RATE,
+  validateMaintenanceCostRate,
+  analyzeRightSizing,
+  describeSurplusUnit,
+} = require("../src/shared/rightSizing");
+const {
+  DEFAULT_VERIFICATION_DAYS,
+  validateVerificationDays,
+} = require("../src/shared/verification");
+const {
+  isOpenRecommendation,
+  validateStatusChange,
+  applyStatusChange,
+  mergeGeneratedRecommendations,
+} = require("../src/shared/recommendationStatus");
 
 // Keep a global reference of the window object to avoid garbage collection
 let mainWindow;
@@ -12,7 +108,16 @@ let db = {
   devices: null,
   locations: null,
   movements: null,
+  dwells: null,
   recommendations: null,
+  mappingProfiles: null,
+  locationAliases: null,
+  unresolvedLocations: null,
+  importBatches: null,
+  settings: null,
+  maintenanceEvents: null,
+  zones: null,
+  storageLocations: null,
 };
 
 // Initialize databases
@@ -40,17 +145,82 @@ async function initializeDatabase() {
     autoload: true,
   });
 
+  db.dwells = Datastore.create({
+    filename: path.join(dbPath, "dwells.db"),
+    autoload: true,
+  });
+
   db.recommendations = Datastore.create({
     filename: path.join(dbPath, "recommendations.db"),
     autoload: true,
   });
 
+  db.mappingProfiles = Datastore.create({
+    filename: path.join(dbPath, "mappingProfiles.db"),
+    autoload: true,
+  });
+
+  db.locationAliases = Datastore.create({
+    filename: path.join(dbPath, "locationAliases.db"),
+    autoload: true,
+  });
+
+  db.unresolvedLocations = Datastore.create({
+    filename: path.join(dbPath, "unresolvedLocations.db"),
+    autoload: true,
+  });
+
+  db.importBatches = Datastore.create({
+    filename: path.join(dbPath, "importBatches.db"),
+    autoload: true,
+  });
+
+  db.settings = Datastore.create({
+    filename: path.join(dbPath, "settings.db"),
+    autoload: true,
+  });
+
+  db.maintenanceEvents = Datastore.create({
+    filename: path.join(dbPath, "maintenanceEvents.db"),
+    autoload: true,
+  });
+
+  db.zones = Datastore.create({
+    filename: path.join(dbPath, "zones.db"),
+    autoload: true,
+  });
+
+  db.storageLocations = Datastore.create({
+    filename: path.join(dbPath, "storageLocations.db"),
+    autoload: true,
+  });
+
   // Create indexes for faster queries
   db.devices.ensureIndex({ fieldName: "deviceId", unique: true });
   db.locations.ensureIndex({ fieldName: "locationId", unique: true });
+  db.mappingProfiles.ensureIndex({ fieldName: "name", unique: true });
+  db.locationAliases.ensureIndex({ fieldName: "alias", unique: true });
+  db.unresolvedLocations.ensureIndex({ fieldName: "rawName", unique: true });
+  db.movements.ensureIndex({ fieldName: "importBatchId" });
+  db.dwells.ensureIndex({ fieldName: "deviceId" });
+  db.dwells.ensureIndex({ fieldName: "importBatchId" });
+  db.settings.ensureIndex({ fieldName: "key", unique: true });
+  db.maintenanceEvents.ensureIndex({ fieldName: "deviceId" });
+  db.zones.ensureIndex({ fieldName: "parentId" });
+  db.storageLocations.ensureIndex({ fieldName: "room", unique: true });
+
+  // Load the facility settings and convert movements imported before
+  // timestamps were stored as UTC instants
+  await refreshSettingsCache();
+  await normalizeStoredTimes(db.movements, settingsCache.facilityTimezone, {
+    timeZone: { $exists: false },
+  });
+  await applyDeviceTypeRule({ typeSource: { $exists: false } });
 
-  // Clear recommendations database on startup
-  await db.recommendations.remove({}, { multi: true });
+  // Load the location alias registry used when normalizing location names
+  await seedLocationAliases();
+  await refreshLocationAliasCache();
+  await seedZones();
 
   console.log("Databases initialized at:", dbPath);
 }
@@ -119,486 +289,2456 @@ ipcMain.handle("open-file-dialog", async () => {
   return filePaths[0];
 });
 
-// Read CSV file
-ipcMain.handle("read-csv-file", async (event, filePath) => {
+// Read the header and first rows of a CSV file without loading the whole file
+function readCsvHead(filePath, maxRows = 10) {
+  const fd = fs.openSync(filePath, "r");
   try {
-    const content = fs.readFileSync(filePath, "utf8");
-    return content;
+    const buffer = Buffer.alloc(64 * 1024);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    let content = buffer.toString("utf8", 0, bytesRead);
+
+    // Drop the trailing partial line if the file is larger than the buffer
+    if (bytesRead === buffer.length) {
+      content = content.slice(0, content.lastIndexOf("\n") + 1);
+    }
+
+    const rows = parse(content, {
+      columns: false,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      bom: true,
+      to_line: maxRows + 1,
+    });
+
+    const headers = (rows[0] || []).map((header) => header.trim());
+    const records = rows.slice(1).map((row) => {
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = row[index] !== undefined ? row[index] : "";
+      });
+      return record;
+    });
+
+    return { headers, records };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Get all saved column mapping profiles
+ipcMain.handle("get-mapping-profiles", async () => {
+  try {
+    const profiles = await db.mappingProfiles.find({}).sort({ name: 1 });
+    return profiles;
   } catch (error) {
-    console.error("Error reading CSV file:", error);
+    console.error("Error getting mapping profiles:", error);
     throw error;
   }
 });
 
-// Import data from CSV
-ipcMain.handle("import-csv-data", async (event, csvData) => {
+// Create or update a column mapping profile
+ipcMain.handle("save-mapping-profile", async (event, profile) => {
   try {
-    // Parse CSV data with error handling for each row
-    let records = [];
-    let parseErrors = [];
+    const validationErrors = validateProfile(profile);
+    if (validationErrors.length > 0) {
+      return { success: false, errors: validationErrors };
+    }
 
-    try {
-      // First try standard parsing
-      records = parse(csvData, {
-        columns: true,
-        skip_empty_lines: true,
+    const doc = {
+      name: profile.name.trim(),
+      columns: profile.columns,
+      extraFields: (profile.extraFields || []).filter(
+        (extra) => extra.column && extra.field
+      ),
+      updatedAt: new Date(),
+    };
+
+    // Profiles are matched by name so saving under an existing name updates it
+    const existing = profile._id
+      ? await db.mappingProfiles.findOne({ _id: profile._id })
+      : await db.mappingProfiles.findOne({ name: doc.name });
+
+    let saved;
+    if (existing) {
+      await db.mappingProfiles.update({ _id: existing._id }, { $set: doc });
+      saved = await db.mappingProfiles.findOne({ _id: existing._id });
+    } else {
+      saved = await db.mappingProfiles.insert({
+        ...doc,
+        createdAt: new Date(),
       });
-    } catch (parseError) {
-      console.error("Error during standard CSV parsing:", parseError);
-
-      // If standard parsing fails, try line-by-line parsing
-      const lines = csvData.split("\n");
-      const headerLine = lines[0];
-      const headers = parse(headerLine, { columns: false })[0];
-
-      // Process each line individually
-      for (let i = 1; i < lines.length; i++) {
-        if (!lines[i].trim()) continue; // Skip empty lines
-
-        try {
-          const parsedLine = parse(lines[i], { columns: false })[0];
-          if (parsedLine && parsedLine.length === headers.length) {
-            // Create object from headers and values
-            const record = {};
-            headers.forEach((header, index) => {
-              record[header] = parsedLine[index];
-            });
-            records.push(record);
-          } else {
-            parseErrors.push({
-              line: i + 1,
-              error: "Invalid column count",
-              content: lines[i],
-            });
-          }
-        } catch (lineError) {
-          parseErrors.push({
-            line: i + 1,
-            error: lineError.message,
-            content: lines[i],
-          });
-        }
-      }
     }
 
-    // Process and store the data
-    const result = await processImportedData(records);
+    console.log(`Saved mapping profile: ${saved.name}`);
+    return { success: true, profile: saved };
+  } catch (error) {
+    console.error("Error saving mapping profile:", error);
+    return { success: false, errors: [error.message] };
+  }
+});
+
+// Delete a column mapping profile
+ipcMain.handle("delete-mapping-profile", async (event, profileId) => {
+  try {
+    const numRemoved = await db.mappingProfiles.remove({ _id: profileId });
+    return { success: numRemoved > 0 };
+  } catch (error) {
+    console.error("Error deleting mapping profile:", error);
+    throw error;
+  }
+});
+
+// Preview how a CSV file maps onto the canonical fields
+ipcMain.handle("preview-csv-mapping", async (event, filePath, profile) => {
+  try {
+    const { headers, records } = readCsvHead(filePath);
+    const savedProfiles = await db.mappingProfiles.find({});
 
-    // Combine parse errors with processing errors
-    const allErrors = [...parseErrors, ...result.errors];
+    const detectedProfile = detectProfile(headers, savedProfiles);
+    const activeProfile =
+      profile || detectedProfile || buildDefaultProfile(headers);
 
     return {
       success: true,
-      count: result.processedRecords.length,
-      data: result.processedRecords,
-      duplicates: result.duplicates,
-      errors: allErrors,
-      errorCount: allErrors.length,
+      headers,
+      rawRows: records,
+      rows: records.map((record) => applyColumnMapping(record, activeProfile)),
+      detectedProfile,
+      profile: activeProfile,
+      missingFields: getMissingFields(activeProfile, headers),
     };
   } catch (error) {
-    console.error("Error importing CSV data:", error);
-    return {
-      success: false,
-      error: error.message,
-      count: 0,
-      data: [],
-      duplicates: [],
-      errors: [{ error: error.message }],
-      errorCount: 1,
-    };
+    console.error("Error previewing CSV mapping:", error);
+    return { success: false, error: error.message };
   }
 });
 
-// Set to track names that can't be determined using normalizeLocationName function
-const unknownLocationNames = new Set();
-
-// Normalize location names to a standard format
-function normalizeLocationName(device, location) {
-  const fallbackNames = {
-    // INSERT FALLBACK NAMES HERE AS THEY ARISE
-
-    "Emergency Department, POD 4 West Nurses Station": "K2415",
-    "Emergency Department, POD 5 West Nurses Station": "K2513",
-    "Emergency Department, POD 5 East Nurses Station": "K2511",
-    "Emergency Department, ED POD 2 Nurses Station": "K2216",
-    "Emergency Department, ED POD 3 Nurses Station": "K2316",
-    "POD 4 West Nurses Station": "K2415",
-    "POD 5 West Nurses Station": "K2513",
-    "POD 5 East Nurses Station": "K2511",
-    "ED POD 2 Nurses Station": "K2216",
-    "ED POD 3 Nurses Station": "K2316",
-    "PIVOT #1": "K2020",
-    "PIVOT #2": "K2022",
-    "PIVOT #3": "K2021",
-    "PEDS ED Nurses Station": "K2116",
+// Resolve the column mapping for an import, auto-detecting one if none was given
+async function resolveImportProfile(headers, profile) {
+  const resolved =
+    profile || detectProfile(headers, await db.mappingProfiles.find({}));
+
+  const missingFields = resolved
+    ? getMissingFields(resolved, headers)
+    : REQUIRED_FIELDS;
+  if (missingFields.length > 0) {
+    throw new Error(
+      `CSV columns could not be mapped for: ${missingFields.join(", ")}`
+    );
   }
 
-  const kPattern = /K\d{4}[A-Z]?/;
-  const digitPattern = /\b(\d{4})\b/;
+  return resolved;
+}
 
-  const texts = [device, location];
+// Find an earlier committed import of the same content
+async function findPreviousImport(fileHash, excludeBatchId = null) {
+  const previous = await db.importBatches
+    .find({ fileHash, status: "committed" })
+    .sort({ importedAt: -1 });
+  const match = previous.find((batch) => batch._id !== excludeBatchId);
+  return match
+    ? {
+        batchId: match._id,
+        fileName: match.fileName,
+        importedAt: match.importedAt,
+      }
+    : null;
+}
 
-  for (const text of texts) {
-    const match = text.match(kPattern);
-    if(match) return match[0];
-  }
+// Create the batch record for an import before anything is written
+async function startImportBatch({ fileName, filePath, fileHash, profile }) {
+  return db.importBatches.insert({
+    fileName,
+    filePath: filePath || null,
+    fileHash,
+    mapping: profile
+      ? {
+          name: profile.name,
+          columns: profile.columns,
+          extraFields: profile.extraFields || [],
+        }
+      : null,
+    status: "importing",
+    importedAt: new Date(),
+  });
+}
 
-  for (const text of texts) {
-    const match = text.match(digitPattern);
-    if(match) return "K" + match[1];
-  }
+// Store the outcome of an import, and what it changed, on its batch record
+async function finishImportBatch(batchId, state, status, parseErrorCount = 0) {
+  await db.importBatches.update(
+    { _id: batchId },
+    {
+      $set: {
+        status,
+        completedAt: new Date(),
+        rowsRead: state.rowsRead,
+        movementsCreated: state.movementsCreated,
+        dwellsCreated: state.dwellsCreated,
+        duplicates: state.duplicates.length,
+        errorCount: state.errors.length + parseErrorCount,
+        timeZone: state.timeZone,
+        newDevices: state.newDevices.length,
+        deviceSnapshots: state.deviceSnapshots,
+        locationSnapshots: state.locationSnapshots,
+        unresolvedLocations: [...state.unresolvedLocations.entries()].map(
+          ([rawName, count]) => ({ rawName, count })
+        ),
+      },
+    }
+  );
+}
 
-  // If no match found, add to unknown location names set
-  if (!fallbackNames[location]) {
-    unknownLocationNames.add(location);
+// Undo an import batch: remove its movements and restore the fields it wrote
+// on devices and locations. Records changed by a later import are kept, as are
+// fields edited since the batch (catalog, alias or zone changes).
+async function rollbackImportBatch(batchId) {
+  const batch = await db.importBatches.findOne({ _id: batchId });
+  if (!batch) {
+    throw new Error("Import batch not found");
+  }
+  if (batch.status === "rolledBack") {
+    throw new Error("Import batch has already been rolled back");
   }
 
-  return fallbackNames[location] || "UNKNOWN LOCATION";
-}
+  const removedMovements = await db.movements.remove(
+    { importBatchId: batchId },
+    { multi: true }
+  );
+  const removedDwells = await db.dwells.remove(
+    { importBatchId: batchId },
+    { multi: true }
+  );
 
-// Process imported data
-async function processImportedData(records) {
-  const processedRecords = [];
-  const errors = [];
-  const duplicates = [];
+  const restoreSnapshots = async (collection, idField, snapshots) => {
+    let restored = 0;
+    const skipped = [];
+    const changed = [];
 
-  try {
-    // Load graph data for distance calculations
-    let graphData = null;
-    try {
-      const graphDataPath = path.join(__dirname, "../public/graph_data.json");
-      const graphDataContent = fs.readFileSync(graphDataPath, "utf8");
-      graphData = JSON.parse(graphDataContent);
-      console.log("Graph data loaded successfully");
-    } catch (error) {
-      console.error("Error loading graph data:", error);
-      // Continue without graph data
-    }
+    for (const snapshot of snapshots || []) {
+      const query = { [idField]: snapshot[idField] };
+      const current = await collection.findOne(query);
 
-    // Group records by device ID
-    const deviceRecords = {};
+      // Deleted since the batch; nothing to restore
+      if (!current) continue;
 
-    // Track records with missing or invalid data
-    for (let i = 0; i < records.length; i++) {
-      const record = records[i];
-      try {
-        const deviceId = record.device || record.Device || "";
-        if (!deviceId) {
-          errors.push({
-            line: i + 2, // +2 because of 0-indexing and header row
-            error: "Missing device ID",
-            record,
-          });
-          continue;
-        }
+      if (current.importBatchId !== batchId) {
+        skipped.push(snapshot[idField]);
+        continue;
+      }
 
-        const location = record.location || record.Location || "";
-        const normalizedLocation = normalizeLocationName(deviceId, location);
-        record.normalizedLocation = normalizedLocation; 
-        if (!location) {
-          errors.push({
-            line: i + 2,
-            error: "Missing location",
-            record,
-          });
-          continue;
+      // Older batches did not record what they wrote; restore every field
+      const written = snapshot.after || current;
+      const before = snapshot.before || {};
+      const $set = {};
+      const $unset = {};
+      const changedFields = [];
+
+      Object.keys(written).forEach((field) => {
+        if (field === "_id" || field === idField) return;
+        if (!isDeepStrictEqual(current[field], written[field])) {
+          changedFields.push(field);
+        } else if (field in before) {
+          $set[field] = before[field];
+        } else {
+          $unset[field] = true;
         }
+      });
 
-        const timeIn = record.in || record.In || record.timeIn || "";
-        const timeOut = record.out || record.Out || record.timeOut || "";
-        if (!timeIn || !timeOut) {
-          errors.push({
-            line: i + 2,
-            error: "Missing time in or time out",
-            record,
-          });
-          continue;
-        }
+      const untouchedFields = Object.keys(current).filter(
+        (field) => field !== "_id" && field !== idField && !(field in written)
+      );
+      if (changedFields.length > 0) {
+        changed.push({ [idField]: snapshot[idField], fields: changedFields });
+      }
 
-        if (!deviceRecords[deviceId]) {
-          deviceRecords[deviceId] = [];
+      if (
+        !snapshot.before &&
+        changedFields.length === 0 &&
+        untouchedFields.length === 0
+      ) {
+        await collection.remove(query);
+      } else {
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+        if (Object.keys(update).length > 0) {
+          await collection.update(query, update);
         }
-
-        deviceRecords[deviceId].push(record);
-      } catch (recordError) {
-        errors.push({
-          line: i + 2,
-          error: `Error processing record: ${recordError.message}`,
-          record,
-        });
       }
+      restored++;
     }
 
-    // Process each device's records
-    for (const [deviceId, deviceRecs] of Object.entries(deviceRecords)) {
-      try {
-        const deviceType = deviceId.split("-")[0] || "Unknown";
+    return { restored, skipped, changed };
+  };
 
-        // Count how many records have "In Use" status
-        const inUseCount = deviceRecs.filter((rec) =>
-          (rec.status || rec.Status || "").toLowerCase().includes("in use")
-        ).length;
+  const devices = await restoreSnapshots(
+    db.devices,
+    "deviceId",
+    batch.deviceSnapshots
+  );
+  const locations = await restoreSnapshots(
+    db.locations,
+    "locationId",
+    batch.locationSnapshots
+  );
 
-        // Calculate the percentage of time the device is in use
-        const inUsePercentage = Math.round(
-          (inUseCount / deviceRecs.length) * 100
-        );
+  // Take the batch's occurrences back out of the unresolved location counts
+  for (const { rawName, count } of batch.unresolvedLocations || []) {
+    await db.unresolvedLocations.update(
+      { rawName },
+      { $inc: { count: -count } }
+    );
+  }
+  await db.unresolvedLocations.remove({ count: { $lte: 0 } }, { multi: true });
+
+  await db.importBatches.update(
+    { _id: batchId },
+    {
+      $set: {
+        status: "rolledBack",
+        rolledBackAt: new Date(),
+        skippedDevices: devices.skipped,
+        changedDevices: devices.changed,
+        changedLocations: locations.changed,
+      },
+    }
+  );
 
-        // Get the latest status
-        const latestStatus =
-          deviceRecs[deviceRecs.length - 1]?.status ||
-          deviceRecs[deviceRecs.length - 1]?.Status ||
-          "Unknown";
+  return {
+    removedMovements,
+    removedDwells,
+    restoredDevices: devices.restored,
+    skippedDevices: devices.skipped,
+    changedDevices: devices.changed,
+    restoredLocations: locations.restored,
+    skippedLocations: locations.skipped,
+    changedLocations: locations.changed,
+  };
+}
 
-        // Create or update device
-        const device = {
-          deviceId,
-          deviceType,
-          status: latestStatus,
-          lastMaintenance: null,
-          totalUsageHours: 0,
-          currentLocation: deviceRecs[deviceRecs.length - 1]?.normalizedLocation || "Unknown",
-          inUseCount,
-          totalCount: deviceRecs.length,
-          usagePercentage: inUsePercentage,
-          metadata: {},
-        };
+// Get the import history, most recent first
+ipcMain.handle("get-import-batches", async () => {
+  try {
+    const batches = await db.importBatches
+      .find({}, { deviceSnapshots: 0, locationSnapshots: 0 })
+      .sort({ importedAt: -1 });
+    return batches;
+  } catch (error) {
+    console.error("Error getting import batches:", error);
+    throw error;
+  }
+});
 
-        // Upsert device
-        await db.devices.update(
-          { deviceId: device.deviceId },
-          { $set: device },
-          { upsert: true }
-        );
+// Roll back a single import batch
+ipcMain.handle("rollback-import-batch", async (event, batchId) => {
+  try {
+    const result = await rollbackImportBatch(batchId);
+    console.log(
+      `Rolled back import batch ${batchId}: removed ${result.removedMovements} movements`
+    );
+    return { success: true, ...result };
+  } catch (error) {
+    console.error("Error rolling back import batch:", error);
+    return { success: false, message: error.message };
+  }
+});
 
-        console.log(
-          `Updated device: ${deviceId} with usage: ${inUsePercentage}%`
-        );
+// Active streaming import, kept so it can be cancelled from the renderer
+let activeImport = null;
 
-        deviceRecs.sort((a, b) => {
-          const timeA = new Date(a.in || a.In || a.timeIn || 0);
-          const timeB = new Date(b.in || b.In || b.timeIn || 0);
-          return timeA - timeB;
-        });
+// Maximum number of duplicates/errors sent back over IPC for a streamed import
+const MAX_REPORTED_ISSUES = 1000;
 
-        // Create movement records by pairing consecutive locations
-        for (let i = 0; i < deviceRecs.length - 1; i++) {
-
-          const currentRecord = deviceRecs[i];
-          const nextRecord = deviceRecs[i + 1];
-          
-          // Get times
-          const currentTime = new Date(currentRecord.in || currentRecord.In || currentRecord.timeIn);
-          const nextTime = new Date(nextRecord.in || nextRecord.In || nextRecord.timeIn);
-          
-          // Validate that next time is AFTER current time
-          if (!currentTime || !nextTime || nextTime < currentTime) {
-            console.log(`Skipping invalid movement for ${deviceId}: nextTime (${nextTime}) is not after currentTime (${currentTime})`);
-            continue; // Skip bad movement
-          }
-          
-          // Get locations
-          const fromLocation = currentRecord.normalizedLocation || "Unknown";
-          const toLocation = nextRecord.normalizedLocation || "Unknown";
-          
-
-          // Skip movements where the device moves from the same room to the same room
-          if (fromLocation === toLocation) {
-            console.log(
-              `Skipping movement for ${deviceId} from ${fromLocation} to ${toLocation} (same location)`
-            );
-            continue;
-          }
+// Import a CSV file by streaming it from disk, emitting csv-import-progress events
+ipcMain.handle("import-csv-file", async (event, filePath, options = {}) => {
+  if (activeImport) {
+    return {
+      success: false,
+      error: "Another import is already running",
+      count: 0,
+      data: [],
+      duplicates: [],
+      errors: [],
+      errorCount: 0,
+    };
+  }
 
-          // Check if locations are in the graph data
-          const unknownLocations = [];
-          for (const loc of [fromLocation, toLocation]) {
-            if (loc !== "Unknown") {
-              // Check if location exists in graph data
-              let isKnownLocation = false;
-              if (graphData) {
-                isKnownLocation = graphData.edges.some(
-                  (edge) => edge[0] === loc || edge[1] === loc
-                );
-              }
+  const importJob = { cancelled: false };
+  activeImport = importJob;
+
+  const state = createImportState({ keepProcessedRecords: false });
+  const parseErrors = [];
+  const startedAt = Date.now();
+  let lastProgressAt = 0;
+
+  // Reading the file is weighted as most of the work, writing as the rest
+  const READ_WEIGHT = 0.7;
+
+  const sendProgress = (phase, fraction, force = false) => {
+    const now = Date.now();
+    if (!force && now - lastProgressAt < 200) return;
+    lastProgressAt = now;
+
+    const percent =
+      phase === "reading"
+        ? fraction * READ_WEIGHT
+        : READ_WEIGHT + fraction * (1 - READ_WEIGHT);
+    const elapsedSeconds = (now - startedAt) / 1000;
+
+    event.sender.send("csv-import-progress", {
+      filePath,
+      dryRun: !!options.dryRun,
+      phase,
+      percent: Math.round(percent * 100),
+      rowsRead: state.rowsRead,
+      movementsCreated: state.movementsCreated,
+      duplicates: state.duplicates.length,
+      errors: state.errors.length + parseErrors.length,
+      eta:
+        percent > 0.01
+          ? Math.round((elapsedSeconds * (1 - percent)) / percent)
+          : null,
+    });
+  };
 
-              const location = {
-                locationId: loc,
-                name: loc,
-                coordinates: [0, 0], // Will be updated from floor plan data
-                metadata: {},
-                isUnknownLocation: !isKnownLocation,
-              };
+  let fileStream = null;
+  let batch = null;
 
-              if (!isKnownLocation) {
-                unknownLocations.push(loc);
-                console.log(
-                  `Warning: Location ${loc} is not in the graph data`
-                );
-              }
+  try {
+    const totalBytes = fs.statSync(filePath).size || 1;
+    fileStream = fs.createReadStream(filePath);
+
+    // Hash the file as it is read to recognise repeat imports
+    const fileHash = crypto.createHash("sha256");
+    fileStream.on("data", (chunk) => fileHash.update(chunk));
+    const parser = createCsvParser({
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+      info: true,
+      skip_records_with_error: true,
+    });
 
-              await db.locations.update(
-                { locationId: location.locationId },
-                { $set: location },
-                { upsert: true }
-              );
-            }
-          }
+    // Rows that cannot be parsed are reported instead of aborting the import
+    parser.on("skip", (error) => {
+      parseErrors.push({
+        line: error.lines,
+        error: error.message,
+        reason: "Unparseable row",
+      });
+    });
 
-          // Calculate distance if graph data is available
-          let distance = 0;
-          if (
-            graphData &&
-            fromLocation !== "Unknown" &&
-            toLocation !== "Unknown"
-          ) {
-            // Look for direct edge
-            const directEdge = graphData.edges.find(
-              (edge) =>
-                (edge[0] === fromLocation && edge[1] === toLocation) ||
-                (edge[0] === toLocation && edge[1] === fromLocation)
-            );
+    // Surface read errors through the parser so the loop below rejects
+    fileStream.on("error", (error) => parser.destroy(error));
 
-            if (directEdge) {
-              // Round distance to 1 decimal point
-              distance = Math.round(directEdge[2] * 10) / 10;
-            }
-          }
+    let profile = null;
+    for await (const { record, info } of fileStream.pipe(parser)) {
+      if (importJob.cancelled) break;
 
-          // Create movement record
-          const movement = {
-            deviceId,
-            fromLocation,
-            toLocation,
-            timeIn:
-              currentRecord.in ||
-              currentRecord.In ||
-              currentRecord.timeIn ||
-              new Date().toISOString(),
-            timeOut:
-              nextRecord.in ||
-              nextRecord.In ||
-              nextRecord.timeIn ||
-              new Date().toISOString(),
-            status: currentRecord.status || currentRecord.Status || "Unknown",
-            distanceTraveled: distance,
-            createdAt: new Date(),
-            hasUnknownLocation: unknownLocations.length > 0,
-            unknownLocations:
-              unknownLocations.length > 0 ? unknownLocations : undefined,
-          };
+      // Resolve the column mapping from the header of the first record
+      if (!profile) {
+        profile = await resolveImportProfile(
+          Object.keys(record),
+          options.profile
+        );
+      }
 
-          // Check for duplicate movement
-          const existingMovement = await db.movements.findOne({
-            deviceId,
-            fromLocation,
-            toLocation,
-            timeIn: movement.timeIn,
-            timeOut: movement.timeOut,
-          });
+      collectImportedRecord(
+        state,
+        applyColumnMapping(record, profile),
+        info.lines
+      );
+      sendProgress("reading", fileStream.bytesRead / totalBytes);
+    }
+    fileStream.destroy();
+
+    let previousImport = null;
+    if (!importJob.cancelled) {
+      const digest = fileHash.digest("hex");
+      previousImport = await findPreviousImport(digest);
+
+      // Record the import as a batch so it can be rolled back
+      if (!options.dryRun) {
+        batch = await startImportBatch({
+          fileName: path.basename(filePath),
+          filePath,
+          fileHash: digest,
+          profile,
+        });
+      }
 
-          if (existingMovement) {
-            // This is a duplicate, add to duplicates list
-            duplicates.push({
-              deviceId,
-              fromLocation,
-              toLocation,
-              timeIn: movement.timeIn,
-              timeOut: movement.timeOut,
-            });
-            console.log(
-              `Duplicate movement found for ${deviceId} from ${fromLocation} to ${toLocation}`
-            );
-          } else {
-            // Insert movement
-            await db.movements.insert(movement);
+      sendProgress("writing", 0, true);
+      await writeImportedData(state, {
+        onProgress: (fraction) => sendProgress("writing", fraction),
+        isCancelled: () => importJob.cancelled,
+        dryRun: !!options.dryRun,
+        batchId: batch && batch._id,
+      });
 
-            processedRecords.push({
-              ...currentRecord,
-              deviceType,
-              fromLocation,
-              toLocation,
-              distanceTraveled: distance,
-              processed: true,
-            });
-          }
-        }
-      } catch (deviceError) {
-        // Log the error but continue processing other devices
-        console.error(`Error processing device ${deviceId}:`, deviceError);
-        errors.push({
-          deviceId,
-          error: `Error processing device: ${deviceError.message}`,
-        });
+      // A batch cancelled while writing is kept so its partial data can be rolled back
+      if (batch) {
+        await finishImportBatch(
+          batch._id,
+          state,
+          importJob.cancelled ? "cancelled" : "committed",
+          parseErrors.length
+        );
       }
     }
 
-    // Log unknown location names
-    if (unknownLocationNames.size > 0) {
-      console.log("Unknown location names:", Array.from(unknownLocationNames));
-    }
+    sendProgress(importJob.cancelled ? "cancelled" : "done", 1, true);
 
+    const allErrors = [...parseErrors, ...state.errors];
     return {
-      processedRecords,
-      duplicates,
-      errors,
+      success: !importJob.cancelled,
+      cancelled: importJob.cancelled,
+      dryRun: !!options.dryRun,
+      batchId: batch ? batch._id : null,
+      report: { ...buildImportReport(state, parseErrors), previousImport },
+      count: state.movementsCreated,
+      rowsRead: state.rowsRead,
+      data: [],
+      duplicates: state.duplicates.slice(0, MAX_REPORTED_ISSUES),
+      duplicateCount: state.duplicates.length,
+      errors: allErrors.slice(0, MAX_REPORTED_ISSUES),
+      errorCount: allErrors.length,
     };
   } catch (error) {
-    console.error("Error processing imported data:", error);
-    // Return partial results instead of throwing
+    console.error("Error importing CSV file:", error);
+    if (fileStream) fileStream.destroy();
+    if (batch) {
+      await finishImportBatch(batch._id, state, "failed", parseErrors.length);
+    }
     return {
-      processedRecords,
-      duplicates,
-      errors: [...errors, { error: `Global error: ${error.message}` }],
+      success: false,
+      error: error.message,
+      count: state.movementsCreated,
+      data: [],
+      duplicates: [],
+      errors: [{ error: error.message }],
+      errorCount: 1,
     };
-  }
-}
-
-// Get all devices
-ipcMain.handle("get-devices", async () => {
-  try {
-    const devices = await db.devices.find({});
-    return devices;
-  } catch (error) {
-    console.error("Error getting devices:", error);
-    throw error;
+  } finally {
+    activeImport = null;
   }
 });
 
-// Get all locations
-ipcMain.handle("get-locations", async () => {
-  try {
-    const locations = await db.locations.find({});
-    return locations;
-  } catch (error) {
-    console.error("Error getting locations:", error);
-    throw error;
+// Cancel the running streamed import
+ipcMain.handle("cancel-csv-import", async () => {
+  if (!activeImport) {
+    return { success: false };
   }
-});
 
-// Get all movements
-ipcMain.handle("get-movements", async () => {
-  try {
-    const movements = await db.movements.find({}).sort({ timeIn: -1 });
-    return movements;
-  } catch (error) {
-    console.error("Error getting movements:", error);
-    throw error;
-  }
+  activeImport.cancelled = true;
+  return { success: true };
 });
 
-// Get all recommendations
-ipcMain.handle("get-recommendations", async () => {
-  try {
-    const recommendations = await db.recommendations
-      .find({})
-      .sort({ createdAt: -1 });
-    return recommendations;
-  } catch (error) {
-    console.error("Error getting recommendations:", error);
-    throw error;
-  }
-});
+// Location aliases seeded into the alias registry on first start
+const DEFAULT_LOCATION_ALIASES = {
+  "Emergency Department, POD 4 West Nurses Station": "K2415",
+  "Emergency Department, POD 5 West Nurses Station": "K2513",
+  "Emergency Department, POD 5 East Nurses Station": "K2511",
+  "Emergency Department, ED POD 2 Nurses Station": "K2216",
+  "Emergency Department, ED POD 3 Nurses Station": "K2316",
+  "POD 4 West Nurses Station": "K2415",
+  "POD 5 West Nurses Station": "K2513",
+  "POD 5 East Nurses Station": "K2511",
+  "ED POD 2 Nurses Station": "K2216",
+  "ED POD 3 Nurses Station": "K2316",
+  "PIVOT #1": "K2020",
+  "PIVOT #2": "K2022",
+  "PIVOT #3": "K2021",
+  "PEDS ED Nurses Station": "K2116",
+};
+
+// Zones seeded on first start, from the rooms the built-in aliases name
+const DEFAULT_ZONES = {
+  name: "Emergency Department",
+  level: "department",
+  pods: {
+    "POD 2": ["K2216"],
+    "POD 3": ["K2316"],
+    "POD 4 West": ["K2415"],
+    "POD 5 West": ["K2513"],
+    "POD 5 East": ["K2511"],
+    PIVOT: ["K2020", "K2021", "K2022"],
+    "PEDS ED": ["K2116"],
+  },
+};
+
+const UNKNOWN_LOCATION = "UNKNOWN LOCATION";
+
+// In-memory copy of the alias registry, keyed by lower-cased raw name
+let locationAliasCache = new Map();
+
+// Key used to match raw RTLS location names against aliases
+function getAliasKey(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Reload the alias cache from the database
+async function refreshLocationAliasCache() {
+  const aliases = await db.locationAliases.find({});
+  locationAliasCache = new Map(
+    aliases.map((alias) => [getAliasKey(alias.alias), alias.locationId])
+  );
+}
+
+// Seed the alias registry with the built-in aliases if it is empty
+async function seedLocationAliases() {
+  const count = await db.locationAliases.count({});
+  if (count > 0) return;
+
+  const now = new Date();
+  await db.locationAliases.insert(
+    Object.entries(DEFAULT_LOCATION_ALIASES).map(([alias, locationId]) => ({
+      alias,
+      locationId,
+      createdAt: now,
+      updatedAt: now,
+    }))
+  );
+}
+
+// Seed the zones with the built-in department and pods if there are none
+async function seedZones() {
+  const count = await db.zones.count({});
+  if (count > 0) return;
+
+  const now = new Date();
+  const department = await db.zones.insert({
+    name: DEFAULT_ZONES.name,
+    level: DEFAULT_ZONES.level,
+    parentId: null,
+    rooms: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+  await db.zones.insert(
+    Object.entries(DEFAULT_ZONES.pods).map(([name, rooms]) => ({
+      name,
+      level: "pod",
+      parentId: department._id,
+      rooms,
+      createdAt: now,
+      updatedAt: now,
+    }))
+  );
+}
+
+// Normalize location names to a standard format.
+// Explicit aliases win over room numbers found in the text; names that cannot
+// be resolved are counted in `unresolved` (raw name -> occurrences) if given.
+function normalizeLocationName(device, location, unresolved) {
+  const alias = locationAliasCache.get(getAliasKey(location));
+  if (alias) return alias;
+
+  const kPattern = /K\d{4}[A-Z]?/;
+  const digitPattern = /\b(\d{4})\b/;
+
+  const texts = [device || "", location || ""];
+
+  for (const text of texts) {
+    const match = text.match(kPattern);
+    if (match) return match[0];
+  }
+
+  for (const text of texts) {
+    const match = text.match(digitPattern);
+    if (match) return "K" + match[1];
+  }
+
+  // If no match found, count the raw name so it can be resolved later
+  if (unresolved && location) {
+    const rawName = location.trim();
+    unresolved.set(rawName, (unresolved.get(rawName) || 0) + 1);
+  }
+
+  return UNKNOWN_LOCATION;
+}
+
+// Add the unresolved location names of an import to the persistent counts
+async function recordUnresolvedLocations(unresolved) {
+  const now = new Date();
+  for (const [rawName, count] of unresolved.entries()) {
+    await db.unresolvedLocations.update(
+      { rawName },
+      { $inc: { count }, $set: { lastSeen: now } },
+      { upsert: true }
+    );
+  }
+}
+
+// Shortest-path distance between two rooms, rounded to 1 decimal point
+function getRouteDistance(router, fromLocation, toLocation) {
+  const distance = router.getDistance(fromLocation, toLocation);
+  return distance !== null ? Math.round(distance * 10) / 10 : 0;
+}
+
+// Build the duplicate-detection key for a movement
+function getMovementKey(movement) {
+  return [
+    movement.deviceId,
+    movement.fromLocation,
+    movement.toLocation,
+    movement.timeIn,
+    movement.timeOut,
+  ].join("|");
+}
+
+// Build the duplicate-detection key for a dwell
+function getDwellKey(dwell) {
+  return [dwell.deviceId, dwell.locationId, dwell.timeIn, dwell.timeOut].join(
+    "|"
+  );
+}
+
+// Create the in-memory state shared by the import phases
+function createImportState(options = {}) {
+  return {
+    deviceRecords: {},
+    errors: [],
+    duplicates: [],
+    processedRecords: [],
+    keepProcessedRecords: options.keepProcessedRecords !== false,
+    rowsRead: 0,
+    movementsCreated: 0,
+    dwellsCreated: 0,
+    dwellDuplicates: 0,
+    unresolvedLocations: new Map(),
+    lastTimeByDevice: new Map(),
+    outOfOrder: [],
+    invalidIntervals: [],
+    dstAdjustments: [],
+    timeZone: settingsCache.facilityTimezone,
+    newDevices: [],
+    existingDeviceCount: 0,
+    newLocations: new Set(),
+    locationsNotInGraph: new Set(),
+    deviceSnapshots: [],
+    locationSnapshots: [],
+  };
+}
+
+// Validate a canonical record, normalize its location and group it by device
+function collectImportedRecord(state, record, line) {
+  state.rowsRead++;
+
+  try {
+    const deviceId = record.device;
+    if (!deviceId) {
+      state.errors.push({
+        line,
+        error: "Missing device ID",
+        record,
+      });
+      return;
+    }
+
+    const location = record.location;
+    const normalizedLocation = normalizeLocationName(
+      deviceId,
+      location,
+      state.unresolvedLocations
+    );
+    record.normalizedLocation = normalizedLocation;
+    if (!location) {
+      state.errors.push({
+        line,
+        error: "Missing location",
+        record,
+      });
+      return;
+    }
+
+    const timeIn = record.timeIn;
+    const timeOut = record.timeOut;
+    if (!timeIn || !timeOut) {
+      state.errors.push({
+        line,
+        error: "Missing time in or time out",
+        record,
+      });
+      return;
+    }
+
+    // Read the timestamps in the facility timezone and keep them as UTC instants
+    const resolvedIn = resolveTimestamp(timeIn, state.timeZone);
+    const resolvedOut = resolveTimestamp(timeOut, state.timeZone);
+    if (!resolvedIn.date || !resolvedOut.date) {
+      state.errors.push({
+        line,
+        error: "Invalid time in or time out",
+        record,
+      });
+      return;
+    }
+
+    for (const [raw, resolved] of [
+      [timeIn, resolvedIn],
+      [timeOut, resolvedOut],
+    ]) {
+      if (resolved.dst) {
+        state.dstAdjustments.push({
+          line,
+          deviceId,
+          timestamp: raw,
+          resolvedTo: resolved.date.toISOString(),
+          dst: resolved.dst,
+        });
+      }
+    }
+
+    record.timeInRaw = timeIn;
+    record.timeOutRaw = timeOut;
+    record.timeIn = resolvedIn.date.toISOString();
+    record.timeOut = resolvedOut.date.toISOString();
+
+    if (!state.deviceRecords[deviceId]) {
+      state.deviceRecords[deviceId] = [];
+    }
+
+    // Note timestamps that are out of order within the file; they are sorted before pairing
+    const timeInDate = resolvedIn.date;
+    const lastTime = state.lastTimeByDevice.get(deviceId);
+    if (lastTime && timeInDate < lastTime) {
+      state.outOfOrder.push({ line, deviceId, timeIn });
+    }
+    state.lastTimeByDevice.set(deviceId, timeInDate);
+
+    if (resolvedOut.date < timeInDate) {
+      state.invalidIntervals.push({ line, deviceId, timeIn, timeOut });
+    }
+
+    state.deviceRecords[deviceId].push(record);
+  } catch (recordError) {
+    state.errors.push({
+      line,
+      error: `Error processing record: ${recordError.message}`,
+      record,
+    });
+  }
+}
+
+// Write devices, locations and movements for the collected records.
+// With `dryRun` nothing is written; the state only records what would happen.
+// Written documents are tagged with `batchId` and the previous state of each
+// device and location is kept in the state so the batch can be rolled back.
+async function writeImportedData(state, options = {}) {
+  const {
+    onProgress = () => {},
+    isCancelled = () => false,
+    dryRun = false,
+    batchId = null,
+  } = options;
+  const MOVEMENT_BATCH_SIZE = 1000;
+
+  // Load graph data for distance calculations
+  const router = getRouter(await loadGraphData());
+
+  // Preload existing movement keys so duplicates are detected without a query per movement
+  const existingMovements = await db.movements.find(
+    {},
+    { deviceId: 1, fromLocation: 1, toLocation: 1, timeIn: 1, timeOut: 1 }
+  );
+  const movementKeys = new Set(existingMovements.map(getMovementKey));
+  const existingDwells = await db.dwells.find(
+    {},
+    { deviceId: 1, locationId: 1, timeIn: 1, timeOut: 1 }
+  );
+  const dwellKeys = new Set(existingDwells.map(getDwellKey));
+
+  const existingDevices = new Map(
+    (await db.devices.find({})).map((d) => [d.deviceId, d])
+  );
+  const existingLocations = new Map(
+    (await db.locations.find({})).map((l) => [l.locationId, l])
+  );
+
+  const locationsToUpsert = new Map();
+  let pendingMovements = [];
+  let pendingDwells = [];
+
+  const flushMovements = async () => {
+    if (pendingMovements.length > 0) {
+      if (!dryRun) {
+        await db.movements.insert(pendingMovements);
+      }
+      state.movementsCreated += pendingMovements.length;
+      pendingMovements = [];
+    }
+
+    if (pendingDwells.length > 0) {
+      if (!dryRun) {
+        await db.dwells.insert(pendingDwells);
+      }
+      state.dwellsCreated += pendingDwells.length;
+      pendingDwells = [];
+    }
+  };
+
+  const addLocationToUpsert = (loc) => {
+    if (loc === "Unknown" || locationsToUpsert.has(loc)) return;
+
+    locationsToUpsert.set(loc, {
+      locationId: loc,
+      name: loc,
+      coordinates: [0, 0], // Will be updated from floor plan data
+      metadata: {},
+      isUnknownLocation: !router.hasNode(loc),
+    });
+  };
+
+  const deviceEntries = Object.entries(state.deviceRecords);
+
+  for (let d = 0; d < deviceEntries.length; d++) {
+    if (isCancelled()) break;
+
+    const [deviceId, deviceRecs] = deviceEntries[d];
+    try {
+      // Catalog entries keep their type; other devices are typed by the rule
+      const existingDevice = existingDevices.get(deviceId);
+      const typeFromCatalog =
+        existingDevice && existingDevice.typeSource === "catalog";
+      const deviceType = typeFromCatalog
+        ? existingDevice.deviceType
+        : extractDeviceType(deviceId, settingsCache.deviceTypePattern);
+
+      // Count how many records have "In Use" status
+      const inUseCount = deviceRecs.filter((rec) =>
+        (rec.status || "").toLowerCase().includes("in use")
+      ).length;
+
+      // Calculate the percentage of time the device is in use from the
+      // durations of its records
+      const { utilization } = summarizeUtilization(deviceRecs, () => deviceId)[
+        deviceId
+      ];
+      const inUsePercentage = Math.round(utilization);
+
+      // Get the latest status
+      const latestStatus =
+        deviceRecs[deviceRecs.length - 1]?.status || "Unknown";
+
+      // Create or update device
+      const device = {
+        deviceId,
+        deviceType,
+        typeSource: typeFromCatalog ? "catalog" : "rule",
+        status: latestStatus,
+        totalUsageHours: 0,
+        currentLocation:
+          deviceRecs[deviceRecs.length - 1]?.normalizedLocation || "Unknown",
+        currentLocationRaw: deviceRecs[deviceRecs.length - 1]?.location || "",
+        inUseCount,
+        totalCount: deviceRecs.length,
+        usagePercentage: inUsePercentage,
+        metadata: {},
+        importBatchId: batchId,
+      };
+
+      if (existingDevices.has(deviceId)) {
+        state.existingDeviceCount++;
+      } else {
+        state.newDevices.push(deviceId);
+      }
+
+      // Upsert device
+      if (!dryRun) {
+        state.deviceSnapshots.push({
+          deviceId,
+          before: existingDevices.get(deviceId) || null,
+          after: device,
+        });
+        await db.devices.update(
+          { deviceId: device.deviceId },
+          { $set: device },
+          { upsert: true }
+        );
+      }
+
+      deviceRecs.sort((a, b) => {
+        const timeA = new Date(a.timeIn || 0);
+        const timeB = new Date(b.timeIn || 0);
+        return timeA - timeB;
+      });
+
+      // Keep every record as a dwell with its own time out, including stays
+      // that do not produce a movement
+      for (const rec of deviceRecs) {
+        const dwell = buildDwell(deviceId, rec);
+        if (!dwell) continue;
+
+        const dwellKey = getDwellKey(dwell);
+        if (dwellKeys.has(dwellKey)) {
+          state.dwellDuplicates++;
+          continue;
+        }
+
+        dwellKeys.add(dwellKey);
+        addLocationToUpsert(dwell.locationId);
+        pendingDwells.push({
+          ...dwell,
+          timeZone: state.timeZone,
+          createdAt: new Date(),
+          importBatchId: batchId,
+        });
+      }
+
+      // Create movement records by pairing consecutive locations
+      for (let i = 0; i < deviceRecs.length - 1; i++) {
+        const currentRecord = deviceRecs[i];
+        const nextRecord = deviceRecs[i + 1];
+
+        // Get times
+        const currentTime = new Date(currentRecord.timeIn);
+        const nextTime = new Date(nextRecord.timeIn);
+
+        // Validate that next time is AFTER current time
+        if (!currentTime || !nextTime || nextTime < currentTime) {
+          continue; // Skip bad movement
+        }
+
+        // Get locations
+        const fromLocation = currentRecord.normalizedLocation || "Unknown";
+        const toLocation = nextRecord.normalizedLocation || "Unknown";
+
+        // Skip movements where the device moves from the same room to the same room
+        if (fromLocation === toLocation) {
+          continue;
+        }
+
+        // Check if locations are in the graph data
+        const unknownLocations = [];
+        for (const loc of [fromLocation, toLocation]) {
+          if (loc !== "Unknown") {
+            if (!router.hasNode(loc)) {
+              unknownLocations.push(loc);
+            }
+
+            addLocationToUpsert(loc);
+          }
+        }
+
+        // Calculate the walking distance along the room graph
+        const distance = getRouteDistance(router, fromLocation, toLocation);
+
+        // Create movement record
+        const movement = {
+          deviceId,
+          fromLocation,
+          toLocation,
+          fromLocationRaw: currentRecord.location,
+          toLocationRaw: nextRecord.location,
+          timeIn: currentRecord.timeIn || new Date().toISOString(),
+          timeOut: nextRecord.timeIn || new Date().toISOString(),
+          timeInRaw: currentRecord.timeInRaw,
+          timeOutRaw: nextRecord.timeInRaw,
+          timeZone: state.timeZone,
+          status: currentRecord.status || "Unknown",
+          distanceTraveled: distance,
+          createdAt: new Date(),
+          hasUnknownLocation: unknownLocations.length > 0,
+          unknownLocations:
+            unknownLocations.length > 0 ? unknownLocations : undefined,
+          metadata: currentRecord.metadata || {},
+          importBatchId: batchId,
+        };
+
+        const movementKey = getMovementKey(movement);
+        if (movementKeys.has(movementKey)) {
+          // This is a duplicate, add to duplicates list
+          state.duplicates.push({
+            deviceId,
+            fromLocation,
+            toLocation,
+            timeIn: movement.timeIn,
+            timeOut: movement.timeOut,
+          });
+          continue;
+        }
+
+        movementKeys.add(movementKey);
+        pendingMovements.push(movement);
+
+        if (state.keepProcessedRecords) {
+          state.processedRecords.push({
+            ...currentRecord,
+            deviceType,
+            fromLocation,
+            toLocation,
+            distanceTraveled: distance,
+            processed: true,
+          });
+        }
+      }
+
+      if (
+        pendingMovements.length >= MOVEMENT_BATCH_SIZE ||
+        pendingDwells.length >= MOVEMENT_BATCH_SIZE
+      ) {
+        await flushMovements();
+      }
+    } catch (deviceError) {
+      // Log the error but continue processing other devices
+      console.error(`Error processing device ${deviceId}:`, deviceError);
+      state.errors.push({
+        deviceId,
+        error: `Error processing device: ${deviceError.message}`,
+      });
+    }
+
+    onProgress((d + 1) / deviceEntries.length);
+  }
+
+  await flushMovements();
+
+  for (const location of locationsToUpsert.values()) {
+    if (!existingLocations.has(location.locationId)) {
+      state.newLocations.add(location.locationId);
+    }
+    if (location.isUnknownLocation) {
+      state.locationsNotInGraph.add(location.locationId);
+    }
+  }
+
+  if (dryRun) return;
+
+  // Upsert each location touched by the import once
+  for (const location of locationsToUpsert.values()) {
+    const written = { ...location, importBatchId: batchId };
+    state.locationSnapshots.push({
+      locationId: location.locationId,
+      before: existingLocations.get(location.locationId) || null,
+      after: written,
+    });
+    await db.locations.update(
+      { locationId: location.locationId },
+      { $set: written },
+      { upsert: true }
+    );
+  }
+
+  if (state.locationsNotInGraph.size > 0) {
+    console.log(
+      `Warning: ${state.locationsNotInGraph.size} locations are not in the graph data; see the map integrity check`
+    );
+  }
+
+  await recordUnresolvedLocations(state.unresolvedLocations);
+  if (state.unresolvedLocations.size > 0) {
+    console.log(
+      `${state.unresolvedLocations.size} location names could not be resolved`
+    );
+  }
+}
+
+// Summarize what an import did, or would do when run as a dry run
+function buildImportReport(state, parseErrors = []) {
+  const MAX_EXAMPLES = 10;
+
+  // Group skipped rows by the reason they were skipped
+  const skippedCounts = {};
+  [...parseErrors, ...state.errors].forEach((error) => {
+    const reason = error.reason || (error.line ? error.error : "Device errors");
+    skippedCounts[reason] = (skippedCounts[reason] || 0) + 1;
+  });
+
+  return {
+    rowsRead: state.rowsRead,
+    devices: {
+      new: state.newDevices.length,
+      existing: state.existingDeviceCount,
+      newIds: state.newDevices.slice(0, 50),
+    },
+    movements: {
+      created: state.movementsCreated,
+      duplicates: state.duplicates.length,
+    },
+    dwells: {
+      created: state.dwellsCreated,
+      duplicates: state.dwellDuplicates,
+    },
+    skippedRows: Object.entries(skippedCounts)
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count),
+    unknownLocations: [...state.unresolvedLocations.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count),
+    locationsNotInGraph: [...state.locationsNotInGraph],
+    newLocations: state.newLocations.size,
+    outOfOrder: {
+      count: state.outOfOrder.length,
+      examples: state.outOfOrder.slice(0, MAX_EXAMPLES),
+    },
+    invalidIntervals: {
+      count: state.invalidIntervals.length,
+      examples: state.invalidIntervals.slice(0, MAX_EXAMPLES),
+    },
+    timeZone: state.timeZone,
+    dstAdjustments: {
+      count: state.dstAdjustments.length,
+      examples: state.dstAdjustments.slice(0, MAX_EXAMPLES),
+    },
+  };
+}
+
+// Escape a string for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Re-normalize already imported movements and devices whose raw location matches an alias
+async function renormalizeLocationAlias(alias) {
+  const router = getRouter(await loadGraphData());
+  const rawPattern = new RegExp(`^\\s*${escapeRegExp(alias.trim())}\\s*$`, "i");
+
+  const movements = await db.movements.find({
+    $or: [
+      { fromLocationRaw: { $regex: rawPattern } },
+      { toLocationRaw: { $regex: rawPattern } },
+    ],
+  });
+
+  // Work out every change first, so that the locations are in place before
+  // any movement or dwell points at them
+  const removals = [];
+  const updates = [];
+  const touchedLocations = new Set();
+
+  for (const movement of movements) {
+    const fromLocation = normalizeLocationName(
+      movement.deviceId,
+      movement.fromLocationRaw
+    );
+    const toLocation = normalizeLocationName(
+      movement.deviceId,
+      movement.toLocationRaw
+    );
+
+    // Movements that now stay in the same room are dropped, as on import
+    if (fromLocation === toLocation) {
+      removals.push(movement._id);
+      continue;
+    }
+
+    const unknownLocations = [fromLocation, toLocation].filter(
+      (loc) => !router.hasNode(loc)
+    );
+    touchedLocations.add(fromLocation);
+    touchedLocations.add(toLocation);
+
+    updates.push({
+      _id: movement._id,
+      fields: {
+        fromLocation,
+        toLocation,
+        distanceTraveled: getRouteDistance(router, fromLocation, toLocation),
+        hasUnknownLocation: unknownLocations.length > 0,
+        unknownLocations:
+          unknownLocations.length > 0 ? unknownLocations : undefined,
+      },
+    });
+  }
+
+  const dwells = await db.dwells.find({ locationRaw: { $regex: rawPattern } });
+  const dwellLocations = dwells.map((dwell) => {
+    const locationId = normalizeLocationName(dwell.deviceId, dwell.locationRaw);
+    touchedLocations.add(locationId);
+    return locationId;
+  });
+
+  for (const loc of touchedLocations) {
+    await db.locations.update(
+      { locationId: loc },
+      {
+        $set: {
+          locationId: loc,
+          name: loc,
+          isUnknownLocation: !router.hasNode(loc),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  for (const movementId of removals) {
+    await db.movements.remove({ _id: movementId });
+  }
+  for (const { _id, fields } of updates) {
+    await db.movements.update({ _id }, { $set: fields });
+  }
+  for (let index = 0; index < dwells.length; index++) {
+    await db.dwells.update(
+      { _id: dwells[index]._id },
+      { $set: { locationId: dwellLocations[index] } }
+    );
+  }
+
+  const devices = await db.devices.find({
+    currentLocationRaw: { $regex: rawPattern },
+  });
+  for (const device of devices) {
+    await db.devices.update(
+      { _id: device._id },
+      {
+        $set: {
+          currentLocation: normalizeLocationName(
+            device.deviceId,
+            device.currentLocationRaw
+          ),
+        },
+      }
+    );
+  }
+
+  return {
+    updatedMovements: updates.length,
+    removedMovements: removals.length,
+    updatedDwells: dwells.length,
+    updatedDevices: devices.length,
+  };
+}
+
+// Get all location aliases
+ipcMain.handle("get-location-aliases", async () => {
+  try {
+    const aliases = await db.locationAliases.find({}).sort({ alias: 1 });
+    return aliases;
+  } catch (error) {
+    console.error("Error getting location aliases:", error);
+    throw error;
+  }
+});
+
+// Get raw location names that could not be resolved, most frequent first
+ipcMain.handle("get-unresolved-locations", async () => {
+  try {
+    const unresolved = await db.unresolvedLocations
+      .find({})
+      .sort({ count: -1 });
+
+    // Hide names that have been aliased since they were recorded
+    return unresolved.filter(
+      (entry) => !locationAliasCache.has(getAliasKey(entry.rawName))
+    );
+  } catch (error) {
+    console.error("Error getting unresolved locations:", error);
+    throw error;
+  }
+});
+
+// Create or update a location alias, optionally re-normalizing imported data
+ipcMain.handle("save-location-alias", async (event, aliasData) => {
+  try {
+    const alias = String(aliasData.alias || "").trim();
+    const locationId = String(aliasData.locationId || "").trim();
+    if (!alias || !locationId) {
+      return {
+        success: false,
+        message: "Both the raw location name and a room are required",
+      };
+    }
+
+    const existing = await db.locationAliases.findOne({ alias });
+    if (existing) {
+      await db.locationAliases.update(
+        { _id: existing._id },
+        { $set: { locationId, updatedAt: new Date() } }
+      );
+    } else {
+      await db.locationAliases.insert({
+        alias,
+        locationId,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    }
+    await refreshLocationAliasCache();
+
+    // The name is resolved now, so it no longer belongs in the unresolved list
+    await db.unresolvedLocations.remove({
+      rawName: { $regex: new RegExp(`^${escapeRegExp(alias)}$`, "i") },
+    });
+
+    let renormalized = null;
+    if (aliasData.renormalize) {
+      renormalized = await renormalizeLocationAlias(alias);
+      console.log(
+        `Re-normalized ${renormalized.updatedMovements} movements for alias "${alias}"`
+      );
+    }
+
+    return { success: true, renormalized };
+  } catch (error) {
+    console.error("Error saving location alias:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Delete a location alias
+ipcMain.handle("delete-location-alias", async (event, aliasId) => {
+  try {
+    const numRemoved = await db.locationAliases.remove({ _id: aliasId });
+    await refreshLocationAliasCache();
+    return { success: numRemoved > 0 };
+  } catch (error) {
+    console.error("Error deleting location alias:", error);
+    throw error;
+  }
+});
+
+// Settings used when none have been saved
+const DEFAULT_SETTINGS = {
+  facilityTimezone: getSystemTimeZone(),
+  deviceTypePattern: DEFAULT_DEVICE_TYPE_PATTERN,
+  walkingModel: DEFAULT_WALKING_MODEL,
+  // Device type -> number of par locations; types not listed are automatic
+  parLocationCounts: {},
+  // Optional par locations per shift, planned from the demand of each shift
+  shiftPlanning: DEFAULT_SHIFT_PLANNING,
+  // Share of requests that should find a unit of their type free
+  serviceLevel: DEFAULT_SERVICE_LEVEL,
+  // Yearly maintenance of a unit as a share of its acquisition cost
+  maintenanceCostRate: DEFAULT_MAINTENANCE_COST_RATE,
+  // Days of RTLS data before and after an implemented recommendation that its
+  // realised savings are measured over
+  verificationDays: DEFAULT_VERIFICATION_DAYS,
+  // Days ahead that demand is forecast for purchase recommendations
+  forecastHorizonDays: DEFAULT_FORECAST_HORIZON_DAYS,
+};
+
+// In-memory copy of the settings, merged over the defaults
+let settingsCache = { ...DEFAULT_SETTINGS };
+
+// Reload the settings cache from the database
+async function refreshSettingsCache() {
+  const saved = await db.settings.find({});
+  settingsCache = { ...DEFAULT_SETTINGS };
+  saved.forEach(({ key, value }) => {
+    settingsCache[key] = value;
+  });
+
+  if (!isValidTimeZone(settingsCache.facilityTimezone)) {
+    console.warn(
+      `Invalid facility timezone "${settingsCache.facilityTimezone}", using ${DEFAULT_SETTINGS.facilityTimezone}`
+    );
+    settingsCache.facilityTimezone = DEFAULT_SETTINGS.facilityTimezone;
+  }
+
+  if (!isValidTypePattern(settingsCache.deviceTypePattern)) {
+    console.warn(
+      `Invalid device type pattern "${settingsCache.deviceTypePattern}", using the default`
+    );
+    settingsCache.deviceTypePattern = DEFAULT_SETTINGS.deviceTypePattern;
+  }
+
+  settingsCache.walkingModel = {
+    ...DEFAULT_WALKING_MODEL,
+    ...settingsCache.walkingModel,
+  };
+  if (validateWalkingModel(settingsCache.walkingModel)) {
+    console.warn(
+      `Invalid walking model (${validateWalkingModel(
+        settingsCache.walkingModel
+      )}), using the default`
+    );
+    settingsCache.walkingModel = DEFAULT_SETTINGS.walkingModel;
+  }
+
+  if (validateParLocationCounts(settingsCache.parLocationCounts)) {
+    console.warn(
+      `Invalid par location counts (${validateParLocationCounts(
+        settingsCache.parLocationCounts
+      )}), using automatic counts`
+    );
+    settingsCache.parLocationCounts = DEFAULT_SETTINGS.parLocationCounts;
+  }
+
+  if (validateShiftPlanning(settingsCache.shiftPlanning)) {
+    console.warn(
+      `Invalid shift planning (${validateShiftPlanning(
+        settingsCache.shiftPlanning
+      )}), using the default shifts`
+    );
+    settingsCache.shiftPlanning = DEFAULT_SETTINGS.shiftPlanning;
+  }
+
+  if (validateServiceLevel(settingsCache.serviceLevel)) {
+    console.warn(
+      `Invalid service level "${settingsCache.serviceLevel}", using ${DEFAULT_SETTINGS.serviceLevel}`
+    );
+    settingsCache.serviceLevel = DEFAULT_SETTINGS.serviceLevel;
+  }
+
+  if (validateMaintenanceCostRate(settingsCache.maintenanceCostRate)) {
+    console.warn(
+      `Invalid maintenance cost rate "${settingsCache.maintenanceCostRate}", using ${DEFAULT_SETTINGS.maintenanceCostRate}`
+    );
+    settingsCache.maintenanceCostRate = DEFAULT_SETTINGS.maintenanceCostRate;
+  }
+
+  if (validateVerificationDays(settingsCache.verificationDays)) {
+    console.warn(
+      `Invalid verification window "${settingsCache.verificationDays}", using ${DEFAULT_SETTINGS.verificationDays}`
+    );
+    settingsCache.verificationDays = DEFAULT_SETTINGS.verificationDays;
+  }
+
+  if (validateForecastHorizon(settingsCache.forecastHorizonDays)) {
+    console.warn(
+      `Invalid forecast horizon "${settingsCache.forecastHorizonDays}", using ${DEFAULT_SETTINGS.forecastHorizonDays}`
+    );
+    settingsCache.forecastHorizonDays = DEFAULT_SETTINGS.forecastHorizonDays;
+  }
+}
+
+// Re-read the raw timestamps of imported movements or dwells as UTC instants
+// in a timezone. Raw values with an explicit offset keep their instant.
+async function normalizeStoredTimes(collection, timeZone, query = {}) {
+  const records = await collection.find(query);
+  let updated = 0;
+
+  for (const record of records) {
+    const timeInRaw = record.timeInRaw || record.timeIn;
+    const timeOutRaw = record.timeOutRaw || record.timeOut;
+    const timeIn = resolveTimestamp(timeInRaw, timeZone).date;
+    const timeOut = resolveTimestamp(timeOutRaw, timeZone).date;
+
+    if (!timeIn || !timeOut) continue;
+
+    const changes = {
+      timeIn: timeIn.toISOString(),
+      timeOut: timeOut.toISOString(),
+      timeInRaw,
+      timeOutRaw,
+      timeZone,
+    };
+    if (record.durationMinutes !== undefined) {
+      changes.durationMinutes =
+        Math.round(((timeOut - timeIn) / 60000) * 100) / 100;
+    }
+
+    await collection.update({ _id: record._id }, { $set: changes });
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`Normalized timestamps of ${updated} records to ${timeZone}`);
+  }
+  return updated;
+}
+
+// Get the application settings
+ipcMain.handle("get-settings", async () => {
+  try {
+    return { ...settingsCache };
+  } catch (error) {
+    console.error("Error getting settings:", error);
+    throw error;
+  }
+});
+
+// Save application settings. Changing the facility timezone re-reads the
+// timestamps of imported movements in the new timezone, and changing the
+// device type pattern re-types the devices that are not in the catalog.
+ipcMain.handle("save-settings", async (event, updates = {}) => {
+  try {
+    if (
+      updates.facilityTimezone !== undefined &&
+      !isValidTimeZone(updates.facilityTimezone)
+    ) {
+      return {
+        success: false,
+        message: `Unknown timezone: ${updates.facilityTimezone}`,
+      };
+    }
+
+    if (
+      updates.deviceTypePattern !== undefined &&
+      !isValidTypePattern(updates.deviceTypePattern)
+    ) {
+      return {
+        success: false,
+        message: `Invalid device type pattern: ${updates.deviceTypePattern}`,
+      };
+    }
+
+    if (updates.walkingModel !== undefined) {
+      const problem = validateWalkingModel(updates.walkingModel);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    if (updates.parLocationCounts !== undefined) {
+      const problem = validateParLocationCounts(updates.parLocationCounts);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    if (updates.shiftPlanning !== undefined) {
+      const problem = validateShiftPlanning(updates.shiftPlanning);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    if (updates.serviceLevel !== undefined) {
+      const problem = validateServiceLevel(updates.serviceLevel);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    if (updates.maintenanceCostRate !== undefined) {
+      const problem = validateMaintenanceCostRate(updates.maintenanceCostRate);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    if (updates.verificationDays !== undefined) {
+      const problem = validateVerificationDays(updates.verificationDays);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    if (updates.forecastHorizonDays !== undefined) {
+      const problem = validateForecastHorizon(updates.forecastHorizonDays);
+      if (problem) {
+        return { success: false, message: problem };
+      }
+    }
+
+    const previousTimezone = settingsCache.facilityTimezone;
+    const previousTypePattern = settingsCache.deviceTypePattern;
+
+    for (const [key, value] of Object.entries(updates)) {
+      await db.settings.update(
+        { key },
+        { key, value, updatedAt: new Date() },
+        { upsert: true }
+      );
+    }
+    await refreshSettingsCache();
+
+    let renormalizedMovements = 0;
+    if (settingsCache.facilityTimezone !== previousTimezone) {
+      renormalizedMovements = await normalizeStoredTimes(
+        db.movements,
+        settingsCache.facilityTimezone
+      );
+      await normalizeStoredTimes(db.dwells, settingsCache.facilityTimezone);
+    }
+
+    let retypedDevices = 0;
+    if (settingsCache.deviceTypePattern !== previousTypePattern) {
+      retypedDevices = await applyDeviceTypeRule();
+    }
+
+    return {
+      success: true,
+      settings: { ...settingsCache },
+      renormalizedMovements,
+      retypedDevices,
+    };
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Get all devices
+ipcMain.handle("get-devices", async () => {
+  try {
+    const devices = await db.devices.find({});
+    return devices;
+  } catch (error) {
+    console.error("Error getting devices:", error);
+    throw error;
+  }
+});
+
+// Catalog fields cleared when a device is removed from the catalog
+const CATALOG_DETAIL_FIELDS = [
+  "model",
+  "serialNumber",
+  "department",
+  "purchaseDate",
+  "acquisitionCost",
+];
+
+// Re-type devices whose type comes from the type pattern
+async function applyDeviceTypeRule(query = { typeSource: { $ne: "catalog" } }) {
+  const devices = await db.devices.find(query);
+  let updated = 0;
+
+  for (const device of devices) {
+    const deviceType = extractDeviceType(
+      device.deviceId,
+      settingsCache.deviceTypePattern
+    );
+    if (device.deviceType === deviceType && device.typeSource === "rule") {
+      continue;
+    }
+
+    await db.devices.update(
+      { _id: device._id },
+      { $set: { deviceType, typeSource: "rule" } }
+    );
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`Re-typed ${updated} devices with the device type pattern`);
+  }
+  return updated;
+}
+
+// Create or update a device's catalog entry. A blank type falls back to the
+// type pattern.
+async function saveCatalogEntry(device) {
+  const changes = { ...device, catalogUpdatedAt: new Date() };
+  if (device.deviceType !== undefined) {
+    changes.typeSource = device.deviceType ? "catalog" : "rule";
+    if (!device.deviceType) {
+      changes.deviceType = extractDeviceType(
+        device.deviceId,
+        settingsCache.deviceTypePattern
+      );
+    }
+  }
+
+  const existing = await db.devices.findOne({ deviceId: device.deviceId });
+  if (existing) {
+    await db.devices.update({ _id: existing._id }, { $set: changes });
+    return { created: false };
+  }
+
+  await db.devices.insert({
+    deviceType: extractDeviceType(
+      device.deviceId,
+      settingsCache.deviceTypePattern
+    ),
+    typeSource: "rule",
+    status: "Unknown",
+    currentLocation: "Unknown",
+    usagePercentage: 0,
+    metadata: {},
+    ...changes,
+  });
+  return { created: true };
+}
+
+// Create or update a device in the catalog
+ipcMain.handle("save-device", async (event, entry) => {
+  try {
+    const { device, errors } = normalizeCatalogEntry(entry);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const { created } = await saveCatalogEntry(device);
+    const saved = await db.devices.findOne({ deviceId: device.deviceId });
+    return { success: true, created, device: saved };
+  } catch (error) {
+    console.error("Error saving device:", error);
+    return { success: false, errors: [error.message] };
+  }
+});
+
+// Remove a device from the catalog. Devices seen in RTLS data keep their
+// record and only lose their catalog details.
+ipcMain.handle("delete-device", async (event, deviceId) => {
+  try {
+    const hasData =
+      (await db.dwells.count({ deviceId })) > 0 ||
+      (await db.movements.count({ deviceId })) > 0;
+
+    if (!hasData) {
+      const removed = await db.devices.remove({ deviceId }, {});
+      return { success: true, removed: removed > 0 };
+    }
+
+    const unset = {};
+    CATALOG_DETAIL_FIELDS.forEach((field) => {
+      unset[field] = true;
+    });
+    await db.devices.update(
+      { deviceId },
+      {
+        $unset: unset,
+        $set: {
+          deviceType: extractDeviceType(
+            deviceId,
+            settingsCache.deviceTypePattern
+          ),
+          typeSource: "rule",
+        },
+      }
+    );
+    return { success: true, removed: false };
+  } catch (error) {
+    console.error("Error deleting device:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Import an asset register CSV into the device catalog
+ipcMain.handle("import-device-catalog", async (event, filePath) => {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    const records = parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+    });
+
+    const headers = records.length > 0 ? Object.keys(records[0]) : [];
+    const columns = detectRegisterColumns(headers);
+    if (!columns.deviceId) {
+      return {
+        success: false,
+        message:
+          "No device ID column found. Expected a column such as Device, Tag or Asset Tag.",
+      };
+    }
+
+    let created = 0;
+    let updated = 0;
+    const errors = [];
+
+    for (let i = 0; i < records.length; i++) {
+      // Line numbers count the header row
+      const line = i + 2;
+      const { device, errors: rowErrors } = mapRegisterRecord(
+        records[i],
+        columns
+      );
+
+      if (rowErrors.length > 0) {
+        errors.push({ line, error: rowErrors.join("; ") });
+        continue;
+      }
+
+      const result = await saveCatalogEntry(device);
+      if (result.created) {
+        created++;
+      } else {
+        updated++;
+      }
+    }
+
+    console.log(
+      `Imported asset register ${path.basename(
+        filePath
+      )}: ${created} created, ${updated} updated, ${errors.length} errors`
+    );
+
+    return {
+      success: true,
+      fileName: path.basename(filePath),
+      columns,
+      rowsRead: records.length,
+      created,
+      updated,
+      errors,
+    };
+  } catch (error) {
+    console.error("Error importing asset register:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Copy each device's latest maintenance event onto the device record
+async function refreshLastMaintenance(deviceIds) {
+  for (const deviceId of new Set(deviceIds)) {
+    const latest = getLatestMaintenance(
+      await db.maintenanceEvents.find({ deviceId })
+    )[deviceId];
+
+    await db.devices.update(
+      { deviceId },
+      {
+        $set: {
+          lastMaintenance: latest ? latest.date : null,
+          lastMaintenanceType: latest ? latest.type : null,
+        },
+      }
+    );
+  }
+}
+
+// Duplicate-detection key for a maintenance event
+function getMaintenanceEventKey(event) {
+  return [event.deviceId, event.date, event.type].join("|");
+}
+
+// Record a maintenance event and update the device's last maintenance date
+async function recordMaintenanceEvent(event) {
+  const saved = await db.maintenanceEvents.insert({
+    ...event,
+    createdAt: new Date(),
+  });
+  await refreshLastMaintenance([event.deviceId]);
+  return saved;
+}
+
+// Get all maintenance events, most recent first
+ipcMain.handle("get-maintenance-events", async () => {
+  try {
+    const events = await db.maintenanceEvents.find({}).sort({ date: -1 });
+    return events;
+  } catch (error) {
+    console.error("Error getting maintenance events:", error);
+    throw error;
+  }
+});
+
+// Record a maintenance event entered in the UI
+ipcMain.handle("save-maintenance-event", async (event, maintenanceEvent) => {
+  try {
+    const deviceId = String(maintenanceEvent.deviceId || "").trim();
+    const date = resolveTimestamp(
+      maintenanceEvent.date,
+      settingsCache.facilityTimezone
+    ).date;
+
+    const errors = [];
+    if (!deviceId) errors.push("Device ID is required");
+    if (!date) errors.push("A valid date is required");
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const saved = await recordMaintenanceEvent({
+      deviceId,
+      date: date.toISOString(),
+      dateRaw: maintenanceEvent.date,
+      type: maintenanceEvent.type || "Other",
+      notes: String(maintenanceEvent.notes || "").trim(),
+      source: "manual",
+    });
+
+    return { success: true, event: saved };
+  } catch (error) {
+    console.error("Error saving maintenance event:", error);
+    return { success: false, errors: [error.message] };
+  }
+});
+
+// Delete a maintenance event
+ipcMain.handle("delete-maintenance-event", async (event, eventId) => {
+  try {
+    const existing = await db.maintenanceEvents.findOne({ _id: eventId });
+    if (!existing) {
+      return { success: false, message: "Maintenance event not found" };
+    }
+
+    await db.maintenanceEvents.remove({ _id: eventId }, {});
+    await refreshLastMaintenance([existing.deviceId]);
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting maintenance event:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Import a maintenance work-order CSV
+ipcMain.handle("import-maintenance-log", async (event, filePath) => {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    const records = parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+    });
+
+    const headers = records.length > 0 ? Object.keys(records[0]) : [];
+    const columns = detectWorkOrderColumns(headers);
+    const missing = ["deviceId", "date"].filter((field) => !columns[field]);
+    if (missing.length > 0) {
+      return {
+        success: false,
+        message:
+          "No device or date column found. Expected columns such as Device and Date (or Asset Tag and Completed).",
+      };
+    }
+
+    const existingKeys = new Set(
+      (await db.maintenanceEvents.find({})).map(getMaintenanceEventKey)
+    );
+    const fileName = path.basename(filePath);
+    const events = [];
+    const errors = [];
+    let duplicates = 0;
+
+    records.forEach((record, i) => {
+      // Line numbers count the header row
+      const line = i + 2;
+      const { event: maintenanceEvent, errors: rowErrors } = mapWorkOrderRecord(
+        record,
+        columns,
+        settingsCache.facilityTimezone
+      );
+
+      if (rowErrors.length > 0) {
+        errors.push({ line, error: rowErrors.join("; ") });
+        return;
+      }
+
+      const key = getMaintenanceEventKey(maintenanceEvent);
+      if (existingKeys.has(key)) {
+        duplicates++;
+        return;
+      }
+
+      existingKeys.add(key);
+      events.push({
+        ...maintenanceEvent,
+        source: "import",
+        fileName,
+        createdAt: new Date(),
+      });
+    });
+
+    if (events.length > 0) {
+      await db.maintenanceEvents.insert(events);
+      await refreshLastMaintenance(events.map((e) => e.deviceId));
+    }
+
+    const knownDevices = new Set(
+      (await db.devices.find({})).map((device) => device.deviceId)
+    );
+    const unknownDevices = [
+      ...new Set(
+        events
+          .map((e) => e.deviceId)
+          .filter((deviceId) => !knownDevices.has(deviceId))
+      ),
+    ];
+
+    console.log(
+      `Imported maintenance log ${fileName}: ${events.length} events, ${duplicates} duplicates, ${errors.length} errors`
+    );
+
+    return {
+      success: true,
+      fileName,
+      columns,
+      rowsRead: records.length,
+      imported: events.length,
+      duplicates,
+      errors,
+      unknownDevices,
+    };
+  } catch (error) {
+    console.error("Error importing maintenance log:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Take rooms out of every zone except the one they are being assigned to,
+// so each room stays in a single zone
+async function releaseRooms(rooms, keepZoneId) {
+  if (rooms.length === 0) return;
+  const roomSet = new Set(rooms);
+  const holders = await db.zones.find({ rooms: { $in: rooms } });
+
+  for (const zone of holders) {
+    if (zone._id === keepZoneId) continue;
+    await db.zones.update(
+      { _id: zone._id },
+      {
+        $set: {
+          rooms: zone.rooms.filter((room) => !roomSet.has(room)),
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+}
+
+// Get all zones
+ipcMain.handle("get-zones", async () => {
+  try {
+    return await db.zones.find({}).sort({ name: 1 });
+  } catch (error) {
+    console.error("Error getting zones:", error);
+    throw error;
+  }
+});
+
+// Create or update a zone. Rooms assigned to it leave their previous zone.
+ipcMain.handle("save-zone", async (event, zone) => {
+  try {
+    const rooms = [
+      ...new Set(
+        (zone.rooms || [])
+          .map((room) => String(room || "").trim())
+          .filter(Boolean)
+      ),
+    ];
+    const details = {
+      name: String(zone.name || "").trim(),
+      level: zone.level,
+      parentId: zone.parentId || null,
+      rooms,
+    };
+
+    const zones = await db.zones.find({});
+    const errors = validateZone({ ...details, _id: zone._id }, zones);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    let saved;
+    if (zone._id) {
+      await db.zones.update(
+        { _id: zone._id },
+        { $set: { ...details, updatedAt: new Date() } }
+      );
+      saved = await db.zones.findOne({ _id: zone._id });
+    } else {
+      saved = await db.zones.insert({
+        ...details,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    }
+    await releaseRooms(rooms, saved._id);
+
+    return { success: true, zone: saved };
+  } catch (error) {
+    console.error("Error saving zone:", error);
+    return { success: false, errors: [error.message] };
+  }
+});
+
+// Delete a zone. Zones inside it move up to its parent and its own rooms
+// are left without a zone.
+ipcMain.handle("delete-zone", async (event, zoneId) => {
+  try {
+    const zone = await db.zones.findOne({ _id: zoneId });
+    if (!zone) {
+      return { success: false, message: "Zone not found" };
+    }
+
+    await db.zones.update(
+      { parentId: zoneId },
+      { $set: { parentId: zone.parentId || null, updatedAt: new Date() } },
+      { multi: true }
+    );
+    await db.zones.remove({ _id: zoneId }, {});
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting zone:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Import a room list CSV into the zones. Zones named in the file are created
+// if they do not exist, and each room is assigned to the lowest zone given.
+ipcMain.handle("import-zones", async (event, filePath) => {
+  try {
+    const content = fs.readFileSync(filePath, "utf8");
+    const records = parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+    });
+
+    const headers = records.length > 0 ? Object.keys(records[0]) : [];
+    const columns = detectZoneColumns(headers);
+    if (
+      !columns.room ||
+      !(columns.building || columns.department || columns.pod)
+    ) {
+      return {
+        success: false,
+        message:
+          "No room or zone columns found. Expected a Room (or Location) column and any of Building, Department and Pod.",
+      };
+    }
+
+    const zones = await db.zones.find({});
+    const findZone = (level, name, parentId) =>
+      zones.find(
+        (zone) =>
+          zone.level === level &&
+          (zone.parentId || null) === parentId &&
+          zone.name.toLowerCase() === name.toLowerCase()
+      );
+
+    let zonesCreated = 0;
+    const assignments = new Map();
+    const errors = [];
+
+    for (let i = 0; i < records.length; i++) {
+      // Line numbers count the header row
+      const line = i + 2;
+      const {
+        room: rawRoom,
+        path: zonePath,
+        errors: rowErrors,
+      } = mapZoneRecord(records[i], columns);
+
+      const room = rawRoom ? normalizeLocationName("", rawRoom) : "";
+      if (rawRoom && room === UNKNOWN_LOCATION) {
+        rowErrors.push(`Unknown room "${rawRoom}"`);
+      }
+      if (rowErrors.length > 0) {
+        errors.push({ line, error: rowErrors.join("; ") });
+        continue;
+      }
+
+      let parentId = null;
+      for (const { level, name } of zonePath) {
+        let zone = findZone(level, name, parentId);
+        if (!zone) {
+          zone = await db.zones.insert({
+            name,
+            level,
+            parentId,
+            rooms: [],
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          });
+          zones.push(zone);
+          zonesCreated++;
+        }
+        parentId = zone._id;
+      }
+      assignments.set(room, parentId);
+    }
+
+    const roomsByZone = new Map();
+    assignments.forEach((zoneId, room) => {
+      roomsByZone.set(zoneId, [...(roomsByZone.get(zoneId) || []), room]);
+    });
+    for (const [zoneId, rooms] of roomsByZone.entries()) {
+      await releaseRooms(rooms, zoneId);
+      const zone = await db.zones.findOne({ _id: zoneId });
+      await db.zones.update(
+        { _id: zoneId },
+        {
+          $set: {
+            rooms: [...new Set([...zone.rooms, ...rooms])],
+            updatedAt: new Date(),
+          },
+        }
+      );
+    }
+
+    console.log(
+      `Imported zones from ${path.basename(filePath)}: ${
+        assignments.size
+      } rooms, ${zonesCreated} zones created, ${errors.length} errors`
+    );
+
+    return {
+      success: true,
+      fileName: path.basename(filePath),
+      columns,
+      rowsRead: records.length,
+      roomsAssigned: assignments.size,
+      zonesCreated,
+      errors,
+    };
+  } catch (error) {
+    console.error("Error importing zones:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Get the rooms equipment may be stored in
+ipcMain.handle("get-storage-locations", async () => {
+  try {
+    return await db.storageLocations.find({}).sort({ room: 1 });
+  } catch (error) {
+    console.error("Error getting storage locations:", error);
+    throw error;
+  }
+});
+
+// Create or update a storage location
+ipcMain.handle("save-storage-location", async (event, location) => {
+  try {
+    const details = {
+      room: String(location.room || "").trim(),
+      capacities: Object.fromEntries(
+        Object.entries(location.capacities || {}).map(([type, capacity]) => [
+          String(type).trim(),
+          capacity,
+        ])
+      ),
+      notes: String(location.notes || "").trim(),
+    };
+
+    const locations = await db.storageLocations.find({});
+    const errors = validateStorageLocation(
+      { ...details, _id: location._id },
+      locations
+    );
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    let saved;
+    if (location._id) {
+      await db.storageLocations.update(
+        { _id: location._id },
+        { $set: { ...details, updatedAt: new Date() } }
+      );
+      saved = await db.storageLocations.findOne({ _id: location._id });
+    } else {
+      saved = await db.storageLocations.insert({
+        ...details,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    }
+
+    return { success: true, location: saved };
+  } catch (error) {
+    console.error("Error saving storage location:", error);
+    return { success: false, errors: [error.message] };
+  }
+});
+
+// Delete a storage location
+ipcMain.handle("delete-storage-location", async (event, locationId) => {
+  try {
+    const removed = await db.storageLocations.remove({ _id: locationId }, {});
+    if (removed === 0) {
+      return { success: false, message: "Storage location not found" };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting storage location:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Get all locations
+ipcMain.handle("get-locations", async () => {
+  try {
+    const locations = await db.locations.find({});
+    return locations;
+  } catch (error) {
+    console.error("Error getting locations:", error);
+    throw error;
+  }
+});
+
+// Get all movements
+ipcMain.handle("get-movements", async () => {
+  try {
+    const movements = await db.movements.find({}).sort({ timeIn: -1 });
+    return movements;
+  } catch (error) {
+    console.error("Error getting movements:", error);
+    throw error;
+  }
+});
+
+// Get all dwells
+ipcMain.handle("get-dwells", async () => {
+  try {
+    const dwells = await db.dwells.find({}).sort({ timeIn: -1 });
+    return dwells;
+  } catch (error) {
+    console.error("Error getting dwells:", error);
+    throw error;
+  }
+});
+
+// Check imported dwells for overlaps, impossible moves, long gaps and
+// inverted intervals, and score each device and import batch
+ipcMain.handle("get-data-quality", async (event, options = {}) => {
+  try {
+    const dwells = await db.dwells.find({});
+    const graphData = await loadGraphData();
+    const report = analyzeDataQuality(dwells, graphData, {
+      walkingModel: settingsCache.walkingModel,
+      ...options,
+    });
+
+    const batches = await db.importBatches.find(
+      {},
+      { fileName: 1, importedAt: 1, status: 1 }
+    );
+    const batchesById = new Map(batches.map((batch) => [batch._id, batch]));
+    report.batches = report.batches.map((entry) => {
+      const batch = batchesById.get(entry.importBatchId);
+      return {
+        ...entry,
+        fileName: batch ? batch.fileName : null,
+        importedAt: batch ? batch.importedAt : null,
+      };
+    });
+
+    return { success: true, ...report };
+  } catch (error) {
+    console.error("Error checking data quality:", error);
+    return { success: false, message: error.message };
+  }
+});
+
+// Flag dwells, and the movements into and out of them, so analyses skip them
+ipcMain.handle(
+  "set-excluded-from-analysis",
+  async (event, dwellIds = [], excluded = true) => {
+    try {
+      const dwells = await db.dwells.find({ _id: { $in: dwellIds } });
+      const flag = { $set: { excludedFromAnalysis: Boolean(excluded) } };
+
+      const updatedDwells = await db.dwells.update(
+        { _id: { $in: dwells.map((dwell) => dwell._id) } },
+        flag,
+        { multi: true }
+      );
+
+      // A movement starts at the time in of the stay it leaves and ends at
+      // the time in of the stay it arrives at
+      let updatedMovements = 0;
+      for (const dwell of dwells) {
+        updatedMovements += await db.movements.update(
+          {
+            deviceId: dwell.deviceId,
+            $or: [{ timeIn: dwell.timeIn }, { timeOut: dwell.timeIn }],
+          },
+          flag,
+          { multi: true }
+        );
+      }
+
+      return { success: true, updatedDwells, updatedMovements };
+    } catch (error) {
+      console.error("Error excluding records from analysis:", error);
+      return { success: false, message: error.message };
+    }
+  }
+);
+
+// Get all recommendations
+ipcMain.handle("get-recommendations", async () => {
+  try {
+    const recommendations = await db.recommendations
+      .find({})
+      .sort({ createdAt: -1 });
+    return recommendations;
+  } catch (error) {
+    console.error("Error getting recommendations:", error);
+    throw error;
+  }
+});
 
 // Generate recommendations
 ipcMain.handle("generate-recommendations", async () => {
@@ -615,302 +2755,404 @@ ipcMain.handle("generate-recommendations", async () => {
       };
     }
 
-    // Clear existing recommendations before generating new ones
-    await db.recommendations.remove({}, { multi: true });
+    // Get all movements for analysis, leaving out records excluded on the
+    // data quality view
+    const analysisQuery = { excludedFromAnalysis: { $ne: true } };
+    const movements = await db.movements.find(analysisQuery);
 
-    // Get all movements for analysis
-    const movements = await db.movements.find({});
+    // Utilisation and usage hours come from dwell durations. Data imported
+    // before dwells were recorded only has movements, so fall back to those.
+    const dwells = await db.dwells.find(analysisQuery);
+    const usageRecords = dwells.length > 0 ? dwells : movements;
+
+    // Group devices by their catalog type
+    const devices = await db.devices.find({});
+    const getDeviceType = createDeviceTypeResolver(
+      devices,
+      settingsCache.deviceTypePattern
+    );
 
     // Get graph data for optimization
     const graphData = await loadGraphData();
     const floorPlanData = await loadFloorPlanData();
+    const router = getRouter(graphData);
 
-    // Generate recommendations using our own algorithms
-    const recommendationsData = [];
-
-    try {
-      // 1. Optimize walking distance (placement recommendations)
-      const deviceMap = {};
-
-      // Group movements by device
-      movements.forEach((movement) => {
-        const deviceId = movement.deviceId || "";
-        if (!deviceId) return;
-
-        if (!deviceMap[deviceId]) {
-          deviceMap[deviceId] = {
-            movements: [],
-            fromLocations: {},
-            toLocations: {},
-          };
-        }
-
-        deviceMap[deviceId].movements.push(movement);
-
-        // Track from/to locations
-        if (movement.fromLocation) {
-          deviceMap[deviceId].fromLocations[movement.fromLocation] =
-            (deviceMap[deviceId].fromLocations[movement.fromLocation] || 0) + 1;
-        }
+    // Generate recommendations using our own algorithms. Each kind is
+    // generated on its own, so that one that fails keeps its records on file
+    // instead of having them dropped as no longer generated.
+    const recommendationsData = [];
+    const failedTypes = [];
+    const { serviceLevel } = settingsCache;
 
-        if (movement.toLocation) {
-          deviceMap[deviceId].toLocations[movement.toLocation] =
-            (deviceMap[deviceId].toLocations[movement.toLocation] || 0) + 1;
-        }
-      });
+    try {
+      // 1. Optimize walking distance (placement recommendations). Each
+      // device type is planned as a fleet: k par locations are chosen to
+      // minimise the walk from where the type is used, and every unit is
+      // assigned to one of them.
+      const fleets = buildFleets(movements, getDeviceType, devices);
+      const candidates = router.getNodes();
+      const storageLocations = await db.storageLocations.find({});
 
       console.log(
-        `Found ${Object.keys(deviceMap).length} devices with movement data`
+        `Planning par locations for ${Object.keys(fleets).length} device types`
       );
 
-      // Analyze each device for placement optimization
-      Object.entries(deviceMap).forEach(([deviceId, data]) => {
-        console.log(
-          `Analyzing device ${deviceId} with ${data.movements.length} movements`
-        );
-
-        if (data.movements.length < 3) {
-          console.log(`Skipping ${deviceId}: not enough movement data`);
+      Object.entries(fleets).forEach(([deviceType, fleet]) => {
+        if (fleet.movements.length < 3) {
+          console.log(`Skipping ${deviceType}: not enough movement data`);
           return; // Skip if not enough data
         }
 
-        // Find current storage location (most frequent fromLocation)
-        const currentLocation =
-          Object.entries(data.fromLocations).sort(
-            (a, b) => b[1] - a[1]
-          )[0]?.[0] || "Unknown";
-
-        // Find potential optimal location (most frequent toLocation)
-        const optimalLocation =
-          Object.entries(data.toLocations).sort(
-            (a, b) => b[1] - a[1]
-          )[0]?.[0] || currentLocation;
+        // Rooms set up to store the type, if any, and how many each holds
+        const capacities = getStorageCapacities(storageLocations, deviceType);
+        const plan = planFleetPlacement(fleet, {
+          candidates,
+          getDistance: (from, to) => router.getDistance(from, to),
+          parCount: settingsCache.parLocationCounts[deviceType],
+          capacities,
+        });
+        if (!plan) {
+          console.log(
+            `Skipping ${deviceType}: no ${
+              capacities ? "storage rooms" : "rooms of use"
+            } on the graph`
+          );
+          return;
+        }
+        plan.constraints.forEach((note) =>
+          console.log(`${deviceType}: ${note}`)
+        );
 
         console.log(
-          `${deviceId}: Current location: ${currentLocation}, Potential optimal: ${optimalLocation}`
+          `${deviceType}: ${plan.parCount} par location(s) ${plan.locations
+            .map(({ location, units }) => `${location} x${units}`)
+            .join(", ")}`
         );
 
-        // Only recommend if different - removed the strict movement count requirement
-        if (optimalLocation !== currentLocation) {
-          const deviceType = deviceId.split("-")[0] || "Unknown";
-
-          // Calculate actual improvement based on movement data and graph distances
-          let improvement = 0;
-          let currentDistance = 0;
-          let optimizedDistance = 0;
-          let movementCount = 0;
-
-          // Find the graph nodes for the locations
-          const graphNodes = graphData.nodes || [];
-          const currentNode = graphNodes.find(
-            (node) => node.id === currentLocation
-          );
-          const optimalNode = graphNodes.find(
-            (node) => node.id === optimalLocation
-          );
-
-          // Find the graph edges for calculating distances
-          const graphEdges = graphData.edges || [];
-
-          // Calculate current and optimized distances
-          data.movements.forEach((movement) => {
-            if (movement.fromLocation && movement.toLocation) {
-              movementCount++;
-
-              // Calculate current path distance
-              const currentPathDistance = calculatePathDistance(
-                movement.fromLocation,
-                movement.toLocation,
-                graphNodes,
-                graphEdges
-              );
-              currentDistance += currentPathDistance;
-
-              // Calculate optimized path distance (if storage location was changed)
-              const optimizedFromLocation =
-                movement.fromLocation === currentLocation
-                  ? optimalLocation
-                  : movement.fromLocation;
-
-              const optimizedPathDistance = calculatePathDistance(
-                optimizedFromLocation,
-                movement.toLocation,
-                graphNodes,
-                graphEdges
-              );
-              optimizedDistance += optimizedPathDistance;
-            }
-          });
-
-          // Calculate improvement percentage
-          if (currentDistance > 0 && movementCount > 0) {
-            improvement = Math.round(
-              ((currentDistance - optimizedDistance) / currentDistance) * 100
-            );
-          } else {
-            // Fallback if we can't calculate actual improvement
-            improvement = Math.round(15 + (deviceId.length % 10)); // Deterministic but varies by device
-          }
-
-          // Ensure improvement is reasonable (between 5% and 35%)
-          improvement = Math.max(5, Math.min(35, improvement));
+        const months = getMonthsSpanned(
+          fleet.movements.map((movement) => movement.timeIn)
+        );
+        const parLocations = plan.locations.map(
+          ({ location, units, capacity }) => ({ location, units, capacity })
+        );
 
-          // Calculate hours saved based on improvement and movement count
-          const hoursSaved = Math.round((improvement * movementCount) / 10);
+        // Compare with par locations planned for each shift, which only pay
+        // off if they save more walking than moving the stock takes
+        const shiftPlan = settingsCache.shiftPlanning.enabled
+          ? planShiftPlacement(fleet, plan, {
+              planning: settingsCache.shiftPlanning,
+              timeZone: settingsCache.facilityTimezone,
+              candidates,
+              getDistance: (from, to) => router.getDistance(from, to),
+              parCount: settingsCache.parLocationCounts[deviceType],
+              capacities,
+              walkingModel: settingsCache.walkingModel,
+              months,
+            })
+          : null;
+        const shiftNote = shiftPlan
+          ? describeShiftPlacement(deviceType, plan, shiftPlan)
+          : "";
+        if (shiftNote) {
+          console.log(`${deviceType}: ${shiftNote}`);
+        }
 
+        if (shiftPlan && shiftPlan.shiftSpecific) {
           recommendationsData.push({
             type: "placement",
-            title: `Optimize ${deviceType} Placement`,
-            description: `Moving ${deviceId} from ${currentLocation} to ${optimalLocation} would reduce staff walking distance by approximately ${improvement}%.`,
-            savings: `~${hoursSaved} hours/month`,
+            title: `Stock ${deviceType} by Shift`,
+            description: shiftNote,
+            savings: `~${formatMinutes(shiftPlan.netMinutesPerMonth)}/month`,
+            distanceSaved:
+              shiftPlan.savedMetresPerMonth - shiftPlan.restockMetresPerMonth,
+            minutesSaved: shiftPlan.netMinutesPerMonth,
+            hoursSaved: shiftPlan.netMinutesPerMonth / 60,
+            movementsPerMonth: fleet.movements.length / months,
+            percentImprovement: Math.round(shiftPlan.percentImprovement),
             implemented: false,
             createdAt: new Date(),
-            deviceId,
-            currentLocation,
-            optimalLocation,
+            deviceType,
+            parCount: plan.parCount,
+            parCountAutomatic: plan.automatic,
+            storageConstrained: Boolean(capacities),
+            constraints: plan.constraints,
+            shiftPlan: {
+              segments: shiftPlan.segments.map(
+                ({ key, label, arrivals, locations }) => ({
+                  key,
+                  label,
+                  arrivals,
+                  locations,
+                })
+              ),
+              changes: shiftPlan.changes,
+              savedMinutesPerMonth: shiftPlan.savedMinutesPerMonth,
+              restockMinutesPerMonth: shiftPlan.restockMinutesPerMonth,
+              restockMovesPerMonth: shiftPlan.restockMovesPerMonth,
+            },
           });
+          return;
         }
-      });
-
-      // 2. Analyze utilization for purchase recommendations
-      const deviceTypeMap = {};
 
-      // Group by device type
-      movements.forEach((movement) => {
-        const deviceId = movement.deviceId || "";
-        const deviceType = deviceId.split("-")[0] || "Unknown";
-
-        if (!deviceTypeMap[deviceType]) {
-          deviceTypeMap[deviceType] = {
-            devices: new Set(),
-            totalHours: 0,
-            inUseHours: 0,
-          };
+        // Skip fleets whose walking would not get shorter
+        if (plan.currentCost === null || plan.currentCost <= plan.cost) {
+          console.log(`Skipping ${deviceType}: no walking distance saved`);
+          return;
         }
 
-        deviceTypeMap[deviceType].devices.add(deviceId);
-
-        // Calculate usage hours
-        if (movement.timeIn && movement.timeOut) {
-          const timeIn = new Date(movement.timeIn);
-          const timeOut = new Date(movement.timeOut);
-
-          if (timeIn && timeOut && timeOut > timeIn) {
-            // Calculate the exact time difference in milliseconds
-            const timeDiffMs = timeOut.getTime() - timeIn.getTime();
-
-            // Convert to hours with precision to avoid rounding errors
-            const usageHours = timeDiffMs / (1000 * 60 * 60);
-
-            // Round to 2 decimal places to avoid floating point precision issues
-            const roundedHours = Math.round(usageHours * 100) / 100;
-
-            deviceTypeMap[deviceType].totalHours += roundedHours;
+        // Walking today cannot be measured when some rooms of use have no
+        // route from where the units are kept; the moves still give them one
+        const comparable = Number.isFinite(plan.currentCost);
+        const improvement = comparable
+          ? Math.round(plan.improvement * 100)
+          : null;
+
+        // Convert the distance saved over the imported period to metres and
+        // minutes per month, split between the units that have to move
+        const moves = plan.assignments.filter(
+          (assignment) =>
+            assignment.location &&
+            assignment.location !== assignment.currentLocation
+        );
+        const movedShare = moves.reduce(
+          (sum, assignment) => sum + assignment.demandShare,
+          0
+        );
+        const parSummary = plan.locations
+          .map(({ location }) => location)
+          .join(", ");
+
+        moves.forEach(
+          ({ deviceId, currentLocation, location, demandShare }) => {
+            const savings = estimateMonthlySavings(
+              comparable
+                ? ((plan.currentCost - plan.cost) * demandShare) / movedShare
+                : 0,
+              months,
+              settingsCache.walkingModel
+            );
+            const unitMoves =
+              fleet.units.find((unit) => unit.deviceId === deviceId)?.moves ||
+              0;
+
+            // Moves to another floor or building say how the device gets there
+            const route =
+              currentLocation &&
+              summarizeCrossFloorRoute(
+                router.findPath(currentLocation, location).path,
+                floorPlanData,
+                graphData
+              );
 
-            if (
-              movement.status &&
-              movement.status.toLowerCase().includes("in use")
-            ) {
-              deviceTypeMap[deviceType].inUseHours += roundedHours;
-            }
+            recommendationsData.push({
+              type: "placement",
+              title: `Optimize ${deviceType} Placement`,
+              description: `Moving ${deviceId} from ${
+                currentLocation || "Unknown"
+              } to ${location} keeps ${deviceType} units at ${
+                plan.parCount === 1
+                  ? `one par location (${parSummary})`
+                  : `${plan.parCount} par locations (${parSummary})`
+              }${
+                comparable
+                  ? `, which would reduce staff walking distance for ${deviceType} by approximately ${improvement}% (${formatDistance(
+                      savings.metresPerMonth
+                    )} a month for this unit).`
+                  : `. Some rooms where ${deviceType} units are used cannot be reached from where they are kept today, so the walking saved cannot be estimated.`
+              }${route ? ` ${route.description}` : ""}${
+                shiftNote ? ` ${shiftNote}` : ""
+              }`,
+              savings: `~${formatMinutes(savings.minutesPerMonth)}/month`,
+              distanceSaved: savings.metresPerMonth,
+              minutesSaved: savings.minutesPerMonth,
+              hoursSaved: savings.hoursPerMonth,
+              movementsPerMonth: unitMoves / months,
+              // Demand-weighted walking of the whole fleet, in metres
+              currentTotalDistance: comparable
+                ? toMetres(plan.currentCost, settingsCache.walkingModel)
+                : null,
+              optimalTotalDistance: toMetres(
+                plan.cost,
+                settingsCache.walkingModel
+              ),
+              percentImprovement: improvement,
+              implemented: false,
+              createdAt: new Date(),
+              deviceId,
+              deviceType,
+              currentLocation: currentLocation || "Unknown",
+              optimalLocation: location,
+              parLocations,
+              parCount: plan.parCount,
+              parCountAutomatic: plan.automatic,
+              storageConstrained: Boolean(capacities),
+              constraints: plan.constraints,
+              route: route && {
+                floors: route.floors,
+                connectors: route.connectors,
+              },
+            });
           }
-        }
+        );
       });
+    } catch (error) {
+      console.error("Error generating placement recommendations:", error);
+      failedTypes.push("placement");
+    }
 
-      console.log(
-        `Analyzing ${
-          Object.keys(deviceTypeMap).length
-        } device types for utilization`
+    try {
+      // 2. Size each fleet from how many of its units were in use at once,
+      // for purchase recommendations
+      const deviceTypeMap = summarizeUtilization(usageRecords, (record) =>
+        getDeviceType(record.deviceId)
       );
-
-      // Round the final totals for each device type to avoid floating point precision issues
-      Object.keys(deviceTypeMap).forEach((deviceType) => {
-        deviceTypeMap[deviceType].totalHours =
-          Math.round(deviceTypeMap[deviceType].totalHours * 100) / 100;
-        deviceTypeMap[deviceType].inUseHours =
-          Math.round(deviceTypeMap[deviceType].inUseHours * 100) / 100;
+      const fleetSizes = {};
+      devices.forEach((device) => {
+        const deviceType = getDeviceType(device.deviceId);
+        fleetSizes[deviceType] = (fleetSizes[deviceType] || 0) + 1;
+      });
+      const fleetSizing = sizeFleets(usageRecords, getDeviceType, {
+        timeZone: settingsCache.facilityTimezone,
+        serviceLevel,
+        fleetSizes,
+      });
+      // Forecast demand so that purchases cover the coming months too
+      const forecastByType = {};
+      forecastDemand(usageRecords, getDeviceType, {
+        timeZone: settingsCache.facilityTimezone,
+        horizonDays: settingsCache.forecastHorizonDays,
+        serviceLevel,
+      }).forEach((forecast) => {
+        forecastByType[forecast.deviceType] = forecast;
       });
 
+      console.log(
+        `Analyzing ${fleetSizing.length} device types for fleet size`
+      );
+
       // Generate purchase recommendations
-      Object.entries(deviceTypeMap).forEach(([deviceType, stats]) => {
-        const utilizationRate =
-          stats.totalHours > 0
-            ? (stats.inUseHours / stats.totalHours) * 100
-            : 0;
+      fleetSizing.forEach((sizing) => {
+        const { deviceType, fleetSize, requiredFleetSize, concurrency } =
+          sizing;
+        const utilizationRate = deviceTypeMap[deviceType]
+          ? deviceTypeMap[deviceType].utilization
+          : 0;
+        const forecast = forecastByType[deviceType] || null;
 
         console.log(
           `${deviceType}: Utilization rate: ${utilizationRate.toFixed(
             2
-          )}%, Devices: ${stats.devices.size}`
+          )}%, Devices: ${fleetSize}, Peak in use: ${
+            concurrency.peak
+          }, Fleet needed: ${requiredFleetSize}, Forecast peak: ${
+            forecast ? forecast.peakConcurrency : "n/a"
+          }`
         );
 
-        // Only recommend additional units when utilization is high (above 80%)
-        if (utilizationRate > 80) {
-          const additionalUnits = Math.ceil((utilizationRate - 80) / 10);
-
-          // Only recommend if we actually need additional units
-          if (additionalUnits > 0) {
-            recommendationsData.push({
-              type: "purchase",
-              title: `Additional ${deviceType} Units Needed`,
-              description: `${deviceType} equipment is utilized at ${Math.round(
-                utilizationRate
-              )}% capacity. Consider purchasing ${additionalUnits} additional unit(s) to reduce wait times.`,
-              savings: `Improved patient care and reduced wait times`,
-              implemented: false,
-              createdAt: new Date(),
-            });
-          }
-        }
+        // Only recommend additional units when the fleet misses the service
+        // level for the recorded or the forecast demand
+        const plan = planPurchase(sizing, forecast, serviceLevel);
+        if (!plan) return;
+
+        recommendationsData.push({
+          type: "purchase",
+          title: `Additional ${deviceType} Units Needed`,
+          description: plan.description,
+          savings: `Requests finding no unit free: ${Math.round(
+            plan.before * 100
+          )}% to ${Math.round(plan.after * 100)}%`,
+          implemented: false,
+          createdAt: new Date(),
+          deviceType,
+          fleetSize,
+          requiredFleetSize,
+          recommendedFleetSize: plan.recommendedFleetSize,
+          additionalUnits: plan.additionalUnits,
+          serviceLevel,
+          utilizationRate: Math.round(utilizationRate * 100) / 100,
+          concurrency: {
+            peak: concurrency.peak,
+            percentiles: concurrency.percentiles,
+            busyHour: concurrency.busyHour,
+            busyHourLoad: concurrency.busyHourLoad,
+            meanUseHours: concurrency.meanUseHours,
+          },
+          noUnitProbability: sizing.noUnitProbability,
+          requiredProbability: sizing.requiredProbability,
+          forecast: forecast && {
+            horizonDays: forecast.horizonDays,
+            busyHour: forecast.busyHour,
+            busyHourLoad: forecast.busyHourLoad,
+            busyHourLower: forecast.busyHourLower,
+            busyHourUpper: forecast.busyHourUpper,
+            peakConcurrency: forecast.peakConcurrency,
+            trendPerMonth: forecast.trendPerMonth,
+          },
+        });
       });
-      // 3. Predict maintenance needs
-      console.log("Analyzing devices for maintenance needs");
-
-      // Set realistic maintenance thresholds in hundreds of hours
-      const maintenanceThresholds = {
-        Ventilator: 500, // Hours of usage before maintenance is required
-        Ultrasound: 300,
-        Defibrillator: 200,
-        "IV-Pump": 1000,
-        Monitor: 800,
-        default: 500,
-      };
-
-      // Track total usage hours by device
-      const deviceUsageHours = {};
-
-      movements.forEach((movement) => {
-        const deviceId = movement.deviceId;
-        if (!deviceId) return;
+    } catch (error) {
+      console.error("Error generating purchase recommendations:", error);
+      failedTypes.push("purchase");
+    }
 
-        if (!deviceUsageHours[deviceId]) {
-          deviceUsageHours[deviceId] = 0;
+    try {
+      // 3. Right-size fleets with more units than they need: the least
+      // used units go to departments short of the type, or are retired
+      const rightSizing = analyzeRightSizing(
+        usageRecords,
+        devices,
+        getDeviceType,
+        {
+          timeZone: settingsCache.facilityTimezone,
+          serviceLevel,
+          zoneIndex: indexZones(await db.zones.find({})),
+          maintenanceCostRate: settingsCache.maintenanceCostRate,
         }
+      );
 
-        // Calculate usage hours for "in use" status
-        if (
-          movement.status &&
-          movement.status.toLowerCase().includes("in use") &&
-          movement.timeIn &&
-          movement.timeOut
-        ) {
-          const timeIn = new Date(movement.timeIn);
-          const timeOut = new Date(movement.timeOut);
-
-          if (timeIn && timeOut && timeOut > timeIn) {
-            // Calculate the exact time difference in milliseconds
-            const timeDiffMs = timeOut.getTime() - timeIn.getTime();
+      rightSizing.forEach((sizing) => {
+        console.log(
+          `${sizing.deviceType}: ${sizing.surplus.length} surplus of ${sizing.fleetSize} units`
+        );
 
-            // Convert to hours with precision to avoid rounding errors
-            const usageHours = timeDiffMs / (1000 * 60 * 60);
+        sizing.surplus.forEach((unit) => {
+          recommendationsData.push({
+            type: "right-size",
+            ...describeSurplusUnit(sizing, unit),
+            implemented: false,
+            createdAt: new Date(),
+            deviceId: unit.deviceId,
+            deviceType: sizing.deviceType,
+            action: unit.action,
+            department: unit.department,
+            toDepartment: unit.toDepartment,
+            utilizationRate: Math.round(unit.utilization * 100) / 100,
+            inUseHours: Math.round(unit.inUseHours * 10) / 10,
+            fleetSize: sizing.fleetSize,
+            keepUnits: sizing.keep,
+            peakInUse: sizing.peak,
+            capitalAvoided: unit.capitalAvoided,
+            maintenanceAvoidedPerYear: unit.maintenanceAvoidedPerYear,
+          });
+        });
+      });
+    } catch (error) {
+      console.error("Error generating right-sizing recommendations:", error);
+      failedTypes.push("right-size");
+    }
 
-            // Round to 2 decimal places to avoid floating point precision issues
-            const roundedHours = Math.round(usageHours * 100) / 100;
+    try {
+      // 4. Predict maintenance needs
+      console.log("Analyzing devices for maintenance needs");
 
-            deviceUsageHours[deviceId] += roundedHours;
-          }
-        }
-      });
+      // Count in-use hours since each device's last recorded service
+      const lastMaintenanceByDevice = new Map(
+        devices.map((device) => [device.deviceId, device.lastMaintenance])
+      );
+      const deviceUsageHours = summarizeHoursSinceService(
+        usageRecords,
+        (deviceId) => lastMaintenanceByDevice.get(deviceId) || null
+      );
 
       // Round the final total for each device to avoid floating point precision issues
       Object.keys(deviceUsageHours).forEach((deviceId) => {
@@ -920,9 +3162,9 @@ ipcMain.handle("generate-recommendations", async () => {
 
       // Generate maintenance recommendations
       Object.entries(deviceUsageHours).forEach(([deviceId, hours]) => {
-        const deviceType = deviceId.split("-")[0] || "Unknown";
-        const threshold =
-          maintenanceThresholds[deviceType] || maintenanceThresholds.default;
+        const deviceType = getDeviceType(deviceId);
+        const threshold = getMaintenanceThreshold(deviceType);
+        const lastMaintenance = lastMaintenanceByDevice.get(deviceId) || null;
 
         if (hours >= threshold * 0.8) {
           const urgency = hours >= threshold ? "urgent" : "upcoming";
@@ -936,7 +3178,11 @@ ipcMain.handle("generate-recommendations", async () => {
             } Maintenance for ${deviceId}`,
             description: `Based on usage patterns (${Math.round(
               hours
-            )} hours of operation), ${deviceId} requires ${urgency} maintenance ${timeframe}.`,
+            )} hours of operation ${
+              lastMaintenance
+                ? `since its last service on ${lastMaintenance.slice(0, 10)}`
+                : "with no service on record"
+            }), ${deviceId} requires ${urgency} maintenance ${timeframe}.`,
             savings:
               "Preventative maintenance reduces downtime and extends equipment lifespan",
             implemented: false,
@@ -944,22 +3190,41 @@ ipcMain.handle("generate-recommendations", async () => {
             deviceId,
             hoursUsed: Math.round(hours),
             threshold,
+            lastMaintenance,
           });
         }
       });
-    } catch (innerError) {
-      console.error("Error in recommendation algorithms:", innerError);
+    } catch (error) {
+      console.error("Error generating maintenance recommendations:", error);
+      failedTypes.push("maintenance");
     }
 
-    // Store recommendations in database and collect inserted docs with IDs
-    const recommendations = [];
-    for (const rec of recommendationsData) {
-      const insertedRec = await db.recommendations.insert(rec);
-      recommendations.push(insertedRec);
+    // Store the recommendations, keeping the status of the ones generated
+    // before and dropping undecided ones that no longer apply
+    const { updates, inserts, stale, suppressed } =
+      mergeGeneratedRecommendations(
+        await db.recommendations.find({}),
+        recommendationsData,
+        new Date(),
+        failedTypes
+      );
+    for (const { _id, ...rec } of updates) {
+      await db.recommendations.update({ _id }, { $set: rec });
+    }
+    for (const rec of inserts) {
+      await db.recommendations.insert(rec);
+    }
+    if (stale.length > 0) {
+      await db.recommendations.remove({ _id: { $in: stale } }, { multi: true });
     }
 
-    console.log(`Generated ${recommendations.length} recommendations`);
+    console.log(
+      `Generated ${recommendationsData.length} recommendations (${inserts.length} new, ${suppressed.length} already implemented)`
+    );
 
+    const recommendations = await db.recommendations
+      .find({})
+      .sort({ createdAt: -1 });
     return { success: true, recommendations };
   } catch (error) {
     console.error("Error generating recommendations:", error);
@@ -967,11 +3232,61 @@ ipcMain.handle("generate-recommendations", async () => {
   }
 });
 
+// Implement a right-sizing recommendation. A redeployed unit moves to its
+// new department in the catalog; retiring a unit is left to the equipment
+// team, like a purchase.
+async function implementRightSizing(recommendation) {
+  if (recommendation.action === "redeploy" && recommendation.deviceId) {
+    await db.devices.update(
+      { deviceId: recommendation.deviceId },
+      {
+        $set: {
+          department: recommendation.toDepartment,
+          updatedAt: new Date(),
+        },
+      }
+    );
+    console.log(
+      `Moved ${recommendation.deviceId} to ${recommendation.toDepartment}`
+    );
+  } else {
+    console.log(`Retirement of ${recommendation.deviceId} implemented`);
+  }
+}
+
+// Who is recorded as changing the status of a recommendation: the user
+// signed in to the computer
+function getCurrentUser() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    console.warn("Could not read the signed-in user:", error.message);
+    return "";
+  }
+}
+
+// Record that a recommendation was implemented
+async function markImplemented(recommendation) {
+  await db.recommendations.update(
+    { _id: recommendation._id },
+    {
+      $set: applyStatusChange(
+        recommendation,
+        { status: "implemented" },
+        getCurrentUser()
+      ),
+    }
+  );
+  return db.recommendations.findOne({ _id: recommendation._id });
+}
+
 // Implement all recommendations
 ipcMain.handle("implement-all-recommendations", async () => {
   try {
-    // Get all recommendations
-    const recommendations = await db.recommendations.find({});
+    // Get the recommendations still to be implemented
+    const recommendations = (await db.recommendations.find({})).filter(
+      (recommendation) => isOpenRecommendation(recommendation)
+    );
 
     if (!recommendations || recommendations.length === 0) {
       return { success: false, message: "No recommendations found" };
@@ -979,8 +3294,9 @@ ipcMain.handle("implement-all-recommendations", async () => {
 
     console.log(`Implementing all ${recommendations.length} recommendations`);
 
-    // Track how many recommendations were implemented
+    // Track which recommendations were implemented
     let implementedCount = 0;
+    const implementedIds = [];
 
     // Implement each recommendation
     for (const recommendation of recommendations) {
@@ -1018,13 +3334,21 @@ ipcMain.handle("implement-all-recommendations", async () => {
             );
             break;
 
+          case "right-size":
+            await implementRightSizing(recommendation);
+            break;
+
           case "maintenance":
-            // For maintenance recommendations, update the device's last maintenance date
+            // For maintenance recommendations, record the service so the
+            // device's hours are counted from today
             if (recommendation.deviceId) {
-              await db.devices.update(
-                { deviceId: recommendation.deviceId },
-                { $set: { lastMaintenance: new Date().toISOString() } }
-              );
+              await recordMaintenanceEvent({
+                deviceId: recommendation.deviceId,
+                date: new Date().toISOString(),
+                type: "Preventive",
+                notes: recommendation.title,
+                source: "recommendation",
+              });
 
               console.log(
                 `Updated maintenance date for ${recommendation.deviceId}`
@@ -1033,6 +3357,8 @@ ipcMain.handle("implement-all-recommendations", async () => {
             break;
         }
 
+        await markImplemented(recommendation);
+        implementedIds.push(recommendation._id);
         implementedCount++;
       } catch (err) {
         console.error(
@@ -1042,12 +3368,9 @@ ipcMain.handle("implement-all-recommendations", async () => {
       }
     }
 
-    // Remove all recommendations from the database
-    const numRemoved = await db.recommendations.remove({}, { multi: true });
-
     return {
       success: true,
-      numRemoved,
+      implementedIds,
       implementedCount,
       message: `Successfully implemented ${implementedCount} recommendations`,
     };
@@ -1068,6 +3391,13 @@ ipcMain.handle("implement-recommendation", async (event, recommendationId) => {
     if (!recommendation) {
       return { success: false, message: "Recommendation not found" };
     }
+    if (!isOpenRecommendation(recommendation)) {
+      return {
+        success: false,
+        message:
+          "Only new, accepted or in-progress recommendations can be implemented",
+      };
+    }
 
     console.log(`Implementing recommendation: ${recommendation.title}`);
 
@@ -1105,13 +3435,21 @@ ipcMain.handle("implement-recommendation", async (event, recommendationId) => {
         );
         break;
 
+      case "right-size":
+        await implementRightSizing(recommendation);
+        break;
+
       case "maintenance":
-        // For maintenance recommendations, update the device's last maintenance date
+        // For maintenance recommendations, record the service so the
+        // device's hours are counted from today
         if (recommendation.deviceId) {
-          await db.devices.update(
-            { deviceId: recommendation.deviceId },
-            { $set: { lastMaintenance: new Date().toISOString() } }
-          );
+          await recordMaintenanceEvent({
+            deviceId: recommendation.deviceId,
+            date: new Date().toISOString(),
+            type: "Preventive",
+            notes: recommendation.title,
+            source: "recommendation",
+          });
 
           console.log(
             `Updated maintenance date for ${recommendation.deviceId}`
@@ -1120,67 +3458,104 @@ ipcMain.handle("implement-recommendation", async (event, recommendationId) => {
         break;
     }
 
-    // Remove the recommendation from the database
-    const numRemoved = await db.recommendations.remove(
-      { _id: recommendationId },
-      {}
-    );
+    // Keep the recommendation on record as implemented
+    const updated = await markImplemented(recommendation);
 
-    return { success: true, numRemoved, implemented: recommendation.type };
+    return {
+      success: true,
+      recommendation: updated,
+      implemented: recommendation.type,
+    };
   } catch (error) {
     console.error("Error implementing recommendation:", error);
     throw error;
   }
 });
 
-// Calculate distance between two locations using graph data
-function calculatePathDistance(fromLocation, toLocation, nodes, edges) {
-  // If same location, distance is 0
-  if (fromLocation === toLocation) return 0;
+// Accept, start, reject, snooze or reopen a recommendation, recording who
+// changed it, when and why
+ipcMain.handle(
+  "update-recommendation-status",
+  async (event, recommendationId, change) => {
+    try {
+      const recommendation = await db.recommendations.findOne({
+        _id: recommendationId,
+      });
+      if (!recommendation) {
+        return { success: false, message: "Recommendation not found" };
+      }
+
+      const problem = validateStatusChange(recommendation, change);
+      if (problem) {
+        return { success: false, message: problem };
+      }
 
-  // Find direct edge between locations
-  const directEdge = edges.find(
-    (edge) =>
-      (edge.source === fromLocation && edge.target === toLocation) ||
-      (edge.source === toLocation && edge.target === fromLocation)
-  );
+      await db.recommendations.update(
+        { _id: recommendationId },
+        {
+          $set: applyStatusChange(
+            recommendation,
+            change,
+            String(change.user || "").trim() || getCurrentUser()
+          ),
+        }
+      );
 
-  if (directEdge) {
-    // Return direct distance if edge exists
-    return directEdge.distance || 1;
+      return {
+        success: true,
+        recommendation: await db.recommendations.findOne({
+          _id: recommendationId,
+        }),
+      };
+    } catch (error) {
+      console.error("Error updating recommendation status:", error);
+      return { success: false, message: error.message };
+    }
   }
+);
 
-  // If no direct edge, use a simple approximation based on node positions if available
-  const fromNode = nodes.find((node) => node.id === fromLocation);
-  const toNode = nodes.find((node) => node.id === toLocation);
+// Graph data last read from disk; reused until the file changes so the
+// router built for it keeps its cached distances
+let graphDataCache = { filePath: null, mtimeMs: null, graphData: null };
 
+// Read a graph data file, reusing the cached copy if it has not changed
+function readGraphDataFile(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
   if (
-    fromNode &&
-    toNode &&
-    fromNode.x !== undefined &&
-    fromNode.y !== undefined &&
-    toNode.x !== undefined &&
-    toNode.y !== undefined
+    graphDataCache.filePath === filePath &&
+    graphDataCache.mtimeMs === mtimeMs
   ) {
-    // Calculate Euclidean distance
-    const dx = fromNode.x - toNode.x;
-    const dy = fromNode.y - toNode.y;
-    return Math.sqrt(dx * dx + dy * dy);
+    return graphDataCache.graphData;
   }
 
-  // Fallback to a default distance if we can't calculate
-  return 5; // Default distance
+  const graphData = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  graphDataCache = { filePath, mtimeMs, graphData };
+  return graphData;
+}
+
+// Map files saved from the floor plan editor, which take precedence over the
+// bundled copies
+function getCustomMapPath(fileName) {
+  return path.join(app.getPath("userData"), "maps", fileName);
 }
 
 // Load graph data from file
 async function loadGraphData() {
   try {
-    // Try to load from the public directory first
+    // Use the map saved from the floor plan editor, if there is one
+    const customGraphDataPath = getCustomMapPath("graph_data.json");
+
+    if (fs.existsSync(customGraphDataPath)) {
+      const graphData = readGraphDataFile(customGraphDataPath);
+      console.log("Graph data loaded successfully from saved map");
+      return graphData;
+    }
+
+    // Try to load from the public directory next
     const graphDataPath = path.join(__dirname, "../public/graph_data.json");
 
     if (fs.existsSync(graphDataPath)) {
-      const graphDataContent = fs.readFileSync(graphDataPath, "utf8");
-      const graphData = JSON.parse(graphDataContent);
+      const graphData = readGraphDataFile(graphDataPath);
       console.log("Graph data loaded successfully");
       return graphData;
     }
@@ -1192,8 +3567,7 @@ async function loadGraphData() {
     );
 
     if (fs.existsSync(assetsGraphDataPath)) {
-      const graphDataContent = fs.readFileSync(assetsGraphDataPath, "utf8");
-      const graphData = JSON.parse(graphDataContent);
+      const graphData = readGraphDataFile(assetsGraphDataPath);
       console.log("Graph data loaded successfully from assets");
       return graphData;
     }
@@ -1209,7 +3583,20 @@ async function loadGraphData() {
 // Load floor plan data from file
 async function loadFloorPlanData() {
   try {
-    // Try to load from the public directory first
+    // Use the map saved from the floor plan editor, if there is one
+    const customFloorPlanDataPath = getCustomMapPath(
+      "floor_plan_progress.json"
+    );
+
+    if (fs.existsSync(customFloorPlanDataPath)) {
+      const floorPlanDataContent = fs.readFileSync(
+        customFloorPlanDataPath,
+        "utf8"
+      );
+      return JSON.parse(floorPlanDataContent);
+    }
+
+    // Try to load from the public directory next
     const floorPlanDataPath = path.join(
       __dirname,
       "../public/floor_plan_progress.json"
@@ -1244,6 +3631,241 @@ async function loadFloorPlanData() {
   }
 }
 
+/**
+ * Write several files so that either all of them or none are replaced
+ *
+ * Every file is first written next to its target. Existing targets are then
+ * moved aside and the new files renamed into place; if any step fails the
+ * previous files are restored.
+ *
+ * @param {Array} files - [{ filePath, content }]
+ */
+function writeFilesAtomically(files) {
+  const staged = files.map(({ filePath, content }) => ({
+    filePath,
+    tempPath: `${filePath}.tmp`,
+    backupPath: `${filePath}.bak`,
+    content,
+    hadOriginal: false,
+    replaced: false,
+  }));
+
+  try {
+    staged.forEach((file) => {
+      fs.mkdirSync(path.dirname(file.filePath), { recursive: true });
+      fs.writeFileSync(file.tempPath, file.content, "utf8");
+    });
+
+    staged.forEach((file) => {
+      if (fs.existsSync(file.filePath)) {
+        fs.renameSync(file.filePath, file.backupPath);
+        file.hadOriginal = true;
+      }
+      fs.renameSync(file.tempPath, file.filePath);
+      file.replaced = true;
+    });
+  } catch (error) {
+    staged.forEach((file) => {
+      try {
+        if (file.replaced) fs.rmSync(file.filePath, { force: true });
+        if (file.hadOriginal) fs.renameSync(file.backupPath, file.filePath);
+        fs.rmSync(file.tempPath, { force: true });
+      } catch (restoreError) {
+        console.error(`Error restoring ${file.filePath}:`, restoreError);
+      }
+    });
+    throw error;
+  }
+
+  staged.forEach((file) => {
+    if (file.hadOriginal) fs.rmSync(file.backupPath, { force: true });
+  });
+}
+
+// Get the floor plan and routing graph for the floor plan editor
+ipcMain.handle("get-map-data", async () => {
+  try {
+    const graphData = await loadGraphData();
+    const floorPlan = await loadFloorPlanData();
+    const customized =
+      fs.existsSync(getCustomMapPath("graph_data.json")) ||
+      fs.existsSync(getCustomMapPath("floor_plan_progress.json"));
+
+    return { graphData, floorPlan, customized };
+  } catch (error) {
+    console.error("Error getting map data:", error);
+    throw error;
+  }
+});
+
+/**
+ * Validate a floor plan and routing graph and save them over the bundled map
+ * @param {Object} graphData - Graph with nodes, [from, to, weight] edges and optional connectors
+ * @param {Object} floorPlan - Floor plan in either format
+ * @returns {Object} { success, errors, warnings, graphData, floorPlan }
+ */
+function saveCustomMap(graphData, floorPlan) {
+  const result = validateMapData(graphData, floorPlan);
+  if (!result.valid) {
+    return {
+      success: false,
+      errors: result.errors,
+      warnings: result.warnings,
+    };
+  }
+
+  writeFilesAtomically([
+    {
+      filePath: getCustomMapPath("graph_data.json"),
+      content: JSON.stringify(result.graphData),
+    },
+    {
+      filePath: getCustomMapPath("floor_plan_progress.json"),
+      content: JSON.stringify(result.floorPlan, null, 2),
+    },
+  ]);
+
+  console.log(
+    `Map saved: ${result.graphData.nodes.length} rooms, ${result.graphData.edges.length} corridors`
+  );
+  return {
+    success: true,
+    errors: [],
+    warnings: result.warnings,
+    graphData: result.graphData,
+    floorPlan: result.floorPlan,
+  };
+}
+
+// Validate and save the floor plan and routing graph from the editor
+ipcMain.handle("save-map-data", async (event, { graphData, floorPlan }) => {
+  try {
+    return saveCustomMap(graphData, floorPlan);
+  } catch (error) {
+    console.error("Error saving map data:", error);
+    throw error;
+  }
+});
+
+// Check the routing graph against the floor plan and the tracked locations
+async function checkMapIntegrity(options = {}) {
+  const graphData = await loadGraphData();
+  const floorPlan = await loadFloorPlanData();
+  const locations = await db.locations.find({});
+
+  return {
+    graphData,
+    floorPlan,
+    report: checkGraphIntegrity(graphData, floorPlan, {
+      ...options,
+      trackedLocations: locations.map((location) => location.locationId),
+    }),
+  };
+}
+
+// Get the integrity report for the current map
+ipcMain.handle("get-map-integrity", async (event, options = {}) => {
+  try {
+    const { report } = await checkMapIntegrity(options);
+    return report;
+  } catch (error) {
+    console.error("Error checking map integrity:", error);
+    throw error;
+  }
+});
+
+// Apply the fixes for the selected integrity issues and save the map
+ipcMain.handle(
+  "fix-map-integrity",
+  async (event, { issueIds, options = {} }) => {
+    try {
+      // Recheck so fixes always apply to the map as it is now
+      const { graphData, floorPlan, report } = await checkMapIntegrity(options);
+      const selected = new Set(issueIds);
+      const issues = report.issues.filter(
+        (issue) => selected.has(issue.id) && issue.fix
+      );
+
+      if (issues.length === 0) {
+        return { success: false, applied: 0, errors: [], warnings: [] };
+      }
+
+      const fixed = applyIntegrityFixes(graphData, issues);
+      const result = saveCustomMap(fixed.graphData, floorPlan);
+      console.log(`Applied ${fixed.applied} map integrity fixes`);
+
+      return { ...result, applied: result.success ? fixed.applied : 0 };
+    } catch (error) {
+      console.error("Error fixing map integrity:", error);
+      throw error;
+    }
+  }
+);
+
+// Discard the saved map and go back to the bundled floor plan and graph
+ipcMain.handle("revert-map-data", async () => {
+  try {
+    ["graph_data.json", "floor_plan_progress.json"].forEach((fileName) => {
+      fs.rmSync(getCustomMapPath(fileName), { force: true });
+    });
+
+    return { success: true };
+  } catch (error) {
+    console.error("Error reverting map data:", error);
+    throw error;
+  }
+});
+
+const MAP_IMAGE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+};
+
+// Copy a floor plan image chosen by the user next to the saved map files
+ipcMain.handle("import-map-image", async () => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog({
+      properties: ["openFile"],
+      filters: [{ name: "Images", extensions: ["png", "jpg", "jpeg", "svg"] }],
+    });
+
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const fileName = path.basename(filePaths[0]);
+    const targetPath = getCustomMapPath(fileName);
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.copyFileSync(filePaths[0], targetPath);
+
+    return { success: true, fileName };
+  } catch (error) {
+    console.error("Error importing floor plan image:", error);
+    throw error;
+  }
+});
+
+// Get a floor plan image imported from the editor as a data URL; bundled
+// images are served with the app and return null
+ipcMain.handle("get-map-image", async (event, fileName) => {
+  try {
+    const filePath = getCustomMapPath(path.basename(String(fileName || "")));
+    const mimeType = MAP_IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+
+    if (!mimeType || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const content = fs.readFileSync(filePath).toString("base64");
+    return `data:${mimeType};base64,${content}`;
+  } catch (error) {
+    console.error("Error reading floor plan image:", error);
+    throw error;
+  }
+});
+
 // Reset database
 ipcMain.handle("reset-database", async () => {
   try {
@@ -1251,7 +3873,11 @@ ipcMain.handle("reset-database", async () => {
     await db.devices.remove({}, { multi: true });
     await db.locations.remove({}, { multi: true });
     await db.movements.remove({}, { multi: true });
+    await db.dwells.remove({}, { multi: true });
     await db.recommendations.remove({}, { multi: true });
+    await db.unresolvedLocations.remove({}, { multi: true });
+    await db.importBatches.remove({}, { multi: true });
+    await db.maintenanceEvents.remove({}, { multi: true });
 
     console.log("All databases cleared successfully");
     return { success: true, message: "All databases cleared successfully" };
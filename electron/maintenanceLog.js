@@ -0,0 +1,110 @@
+/**
+ * Maintenance Log Import
+ *
+ * Maps the columns of a biomed or maintenance work-order CSV export onto
+ * maintenance events: { deviceId, date, type, notes }. Each field accepts a
+ * few common spellings of its column header.
+ */
+
+const { resolveTimestamp } = require("../src/shared/timezone");
+
+// Header spellings recognised for each maintenance event field
+const WORK_ORDER_COLUMN_ALIASES = {
+  deviceId: [
+    "device",
+    "deviceid",
+    "device id",
+    "tag",
+    "asset tag",
+    "equipment",
+    "equipment id",
+  ],
+  date: [
+    "date",
+    "service date",
+    "completed",
+    "completed date",
+    "completion date",
+    "date completed",
+    "work date",
+  ],
+  type: ["type", "work type", "work order type", "wo type", "maintenance type"],
+  notes: [
+    "notes",
+    "description",
+    "comments",
+    "work performed",
+    "problem",
+    "summary",
+  ],
+};
+
+// Normalize a header for case- and whitespace-insensitive comparison
+function normalizeHeader(header) {
+  return String(header || "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Find the work-order column used for each maintenance event field
+ * @param {Array} headers - Header row of the CSV file
+ * @returns {Object} Field -> header, for the fields that were found
+ */
+function detectWorkOrderColumns(headers = []) {
+  const columns = {};
+
+  Object.entries(WORK_ORDER_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const match = headers.find((header) =>
+      aliases.includes(normalizeHeader(header))
+    );
+    if (match) {
+      columns[field] = match;
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Convert a work-order row into a maintenance event
+ * @param {Object} record - Raw CSV record keyed by header
+ * @param {Object} columns - Field -> header, from detectWorkOrderColumns
+ * @param {string} timeZone - Facility timezone for dates without an offset
+ * @returns {Object} { event, errors }
+ */
+function mapWorkOrderRecord(record, columns, timeZone) {
+  const read = (field) =>
+    columns[field] ? String(record[columns[field]] || "").trim() : "";
+  const errors = [];
+
+  const deviceId = read("deviceId");
+  if (!deviceId) {
+    errors.push("Missing device ID");
+  }
+
+  const rawDate = read("date");
+  const date = resolveTimestamp(rawDate, timeZone).date;
+  if (!date) {
+    errors.push(rawDate ? `Invalid date "${rawDate}"` : "Missing date");
+  }
+
+  return {
+    event: {
+      deviceId,
+      date: date ? date.toISOString() : null,
+      dateRaw: rawDate,
+      type: read("type") || "Other",
+      notes: read("notes"),
+    },
+    errors,
+  };
+}
+
+module.exports = {
+  WORK_ORDER_COLUMN_ALIASES,
+  detectWorkOrderColumns,
+  mapWorkOrderRecord,
+};
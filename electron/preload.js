@@ -5,19 +5,95 @@ const { contextBridge, ipcRenderer } = require("electron");
 contextBridge.exposeInMainWorld("electron", {
   // File operations
   openFileDialog: () => ipcRenderer.invoke("open-file-dialog"),
-  readCsvFile: (filePath) => ipcRenderer.invoke("read-csv-file", filePath),
-  importCsvData: (csvData) => ipcRenderer.invoke("import-csv-data", csvData),
+  importCsvFile: (filePath, options) =>
+    ipcRenderer.invoke("import-csv-file", filePath, options),
+  cancelCsvImport: () => ipcRenderer.invoke("cancel-csv-import"),
+  getImportBatches: () => ipcRenderer.invoke("get-import-batches"),
+  rollbackImportBatch: (batchId) =>
+    ipcRenderer.invoke("rollback-import-batch", batchId),
+
+  // Column mapping profiles
+  getMappingProfiles: () => ipcRenderer.invoke("get-mapping-profiles"),
+  saveMappingProfile: (profile) =>
+    ipcRenderer.invoke("save-mapping-profile", profile),
+  deleteMappingProfile: (profileId) =>
+    ipcRenderer.invoke("delete-mapping-profile", profileId),
+  previewCsvMapping: (filePath, profile) =>
+    ipcRenderer.invoke("preview-csv-mapping", filePath, profile),
+
+  // Location aliases
+  getLocationAliases: () => ipcRenderer.invoke("get-location-aliases"),
+  getUnresolvedLocations: () => ipcRenderer.invoke("get-unresolved-locations"),
+  saveLocationAlias: (aliasData) =>
+    ipcRenderer.invoke("save-location-alias", aliasData),
+  deleteLocationAlias: (aliasId) =>
+    ipcRenderer.invoke("delete-location-alias", aliasId),
+
+  // Device catalog
+  saveDevice: (device) => ipcRenderer.invoke("save-device", device),
+  deleteDevice: (deviceId) => ipcRenderer.invoke("delete-device", deviceId),
+  importDeviceCatalog: (filePath) =>
+    ipcRenderer.invoke("import-device-catalog", filePath),
+
+  // Maintenance log
+  getMaintenanceEvents: () => ipcRenderer.invoke("get-maintenance-events"),
+  saveMaintenanceEvent: (maintenanceEvent) =>
+    ipcRenderer.invoke("save-maintenance-event", maintenanceEvent),
+  deleteMaintenanceEvent: (eventId) =>
+    ipcRenderer.invoke("delete-maintenance-event", eventId),
+  importMaintenanceLog: (filePath) =>
+    ipcRenderer.invoke("import-maintenance-log", filePath),
+
+  // Zones
+  getZones: () => ipcRenderer.invoke("get-zones"),
+  saveZone: (zone) => ipcRenderer.invoke("save-zone", zone),
+  deleteZone: (zoneId) => ipcRenderer.invoke("delete-zone", zoneId),
+  importZones: (filePath) => ipcRenderer.invoke("import-zones", filePath),
+
+  // Storage locations
+  getStorageLocations: () => ipcRenderer.invoke("get-storage-locations"),
+  saveStorageLocation: (location) =>
+    ipcRenderer.invoke("save-storage-location", location),
+  deleteStorageLocation: (locationId) =>
+    ipcRenderer.invoke("delete-storage-location", locationId),
+
+  // Floor plan editor
+  getMapData: () => ipcRenderer.invoke("get-map-data"),
+  saveMapData: (mapData) => ipcRenderer.invoke("save-map-data", mapData),
+  revertMapData: () => ipcRenderer.invoke("revert-map-data"),
+  importMapImage: () => ipcRenderer.invoke("import-map-image"),
+  getMapImage: (fileName) => ipcRenderer.invoke("get-map-image", fileName),
+  getMapIntegrity: (options) =>
+    ipcRenderer.invoke("get-map-integrity", options),
+  fixMapIntegrity: (issueIds, options) =>
+    ipcRenderer.invoke("fix-map-integrity", { issueIds, options }),
+
+  // Data quality
+  getDataQuality: (options) => ipcRenderer.invoke("get-data-quality", options),
+  setExcludedFromAnalysis: (dwellIds, excluded) =>
+    ipcRenderer.invoke("set-excluded-from-analysis", dwellIds, excluded),
+
+  // Settings
+  getSettings: () => ipcRenderer.invoke("get-settings"),
+  saveSettings: (updates) => ipcRenderer.invoke("save-settings", updates),
 
   // Database operations
   getDevices: () => ipcRenderer.invoke("get-devices"),
   getLocations: () => ipcRenderer.invoke("get-locations"),
   getMovements: () => ipcRenderer.invoke("get-movements"),
+  getDwells: () => ipcRenderer.invoke("get-dwells"),
   getRecommendations: () => ipcRenderer.invoke("get-recommendations"),
   generateRecommendations: () => ipcRenderer.invoke("generate-recommendations"),
   implementRecommendation: (recommendationId) =>
     ipcRenderer.invoke("implement-recommendation", recommendationId),
   implementAllRecommendations: () =>
     ipcRenderer.invoke("implement-all-recommendations"),
+  updateRecommendationStatus: (recommendationId, change) =>
+    ipcRenderer.invoke(
+      "update-recommendation-status",
+      recommendationId,
+      change
+    ),
   resetDatabase: () => ipcRenderer.invoke("reset-database"),
 
   // App info
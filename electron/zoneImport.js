@@ -0,0 +1,87 @@
+/**
+ * Zone Import
+ *
+ * Maps the columns of a room list CSV (one row per room, with the building,
+ * department and pod it belongs to) onto zone assignments. Each field
+ * accepts a few common spellings of its column header.
+ */
+
+const { ZONE_LEVELS } = require("../src/shared/zones");
+
+// Header spellings recognised for the room and each zone level
+const ZONE_COLUMN_ALIASES = {
+  room: [
+    "room",
+    "room id",
+    "room number",
+    "location",
+    "location id",
+    "locationid",
+  ],
+  building: ["building", "site", "facility"],
+  department: ["department", "dept", "unit", "service"],
+  pod: ["pod", "area", "zone", "section"],
+};
+
+// Normalize a header for case- and whitespace-insensitive comparison
+function normalizeHeader(header) {
+  return String(header || "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Find the column used for the room and each zone level
+ * @param {Array} headers - Header row of the CSV file
+ * @returns {Object} Field -> header, for the fields that were found
+ */
+function detectZoneColumns(headers = []) {
+  const columns = {};
+
+  Object.entries(ZONE_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const match = headers.find((header) =>
+      aliases.includes(normalizeHeader(header))
+    );
+    if (match) {
+      columns[field] = match;
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Convert a room list row into a room and its zone names
+ * @param {Object} record - Raw CSV record keyed by header
+ * @param {Object} columns - Field -> header, from detectZoneColumns
+ * @returns {Object} { room, path, errors } where path lists
+ *   { level, name } from the top level down, skipping blank levels
+ */
+function mapZoneRecord(record, columns) {
+  const read = (field) =>
+    columns[field] ? String(record[columns[field]] || "").trim() : "";
+  const errors = [];
+
+  const room = read("room");
+  if (!room) {
+    errors.push("Missing room");
+  }
+
+  const path = ZONE_LEVELS.map(({ id }) => ({
+    level: id,
+    name: read(id),
+  })).filter((entry) => entry.name);
+  if (path.length === 0) {
+    errors.push("No building, department or pod given");
+  }
+
+  return { room, path, errors };
+}
+
+module.exports = {
+  ZONE_COLUMN_ALIASES,
+  detectZoneColumns,
+  mapZoneRecord,
+};
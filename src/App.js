@@ -33,6 +33,15 @@ import {
   Analytics as AnalyticsIcon,
   Warning as WarningIcon,
   LocationOn as LocationOnIcon,
+  EditLocationAlt as EditLocationAltIcon,
+  Settings as SettingsIcon,
+  FactCheck as FactCheckIcon,
+  Inventory as InventoryIcon,
+  Build as BuildIcon,
+  Architecture as ArchitectureIcon,
+  Hub as HubIcon,
+  AccountTree as AccountTreeIcon,
+  Warehouse as WarehouseIcon,
 } from "@mui/icons-material";
 import { useDataContext } from "./context/DataContext";
 
@@ -42,6 +51,15 @@ import DataTable from "./views/DataTable";
 import HeatMap from "./views/HeatMap";
 import ImportData from "./views/ImportData";
 import OptimizationAnalysis from "./views/OptimizationAnalysis";
+import LocationAliases from "./views/LocationAliases";
+import Zones from "./views/Zones";
+import StorageLocations from "./views/StorageLocations";
+import FloorPlanEditor from "./views/FloorPlanEditor";
+import MapIntegrity from "./views/MapIntegrity";
+import DataQuality from "./views/DataQuality";
+import DeviceCatalog from "./views/DeviceCatalog";
+import Maintenance from "./views/Maintenance";
+import Settings from "./views/Settings";
 
 // Define views
 const views = [
@@ -70,12 +88,66 @@ const views = [
     icon: <CloudUploadIcon />,
     component: ImportData,
   },
+  {
+    id: "device-catalog",
+    label: "Device Catalog",
+    icon: <InventoryIcon />,
+    component: DeviceCatalog,
+  },
+  {
+    id: "maintenance",
+    label: "Maintenance",
+    icon: <BuildIcon />,
+    component: Maintenance,
+  },
+  {
+    id: "location-aliases",
+    label: "Location Aliases",
+    icon: <EditLocationAltIcon />,
+    component: LocationAliases,
+  },
+  {
+    id: "zones",
+    label: "Zones",
+    icon: <AccountTreeIcon />,
+    component: Zones,
+  },
+  {
+    id: "storage-locations",
+    label: "Storage Locations",
+    icon: <WarehouseIcon />,
+    component: StorageLocations,
+  },
+  {
+    id: "floor-plan-editor",
+    label: "Floor Plan Editor",
+    icon: <ArchitectureIcon />,
+    component: FloorPlanEditor,
+  },
+  {
+    id: "map-integrity",
+    label: "Map Integrity",
+    icon: <HubIcon />,
+    component: MapIntegrity,
+  },
+  {
+    id: "data-quality",
+    label: "Data Quality",
+    icon: <FactCheckIcon />,
+    component: DataQuality,
+  },
+  {
+    id: "settings",
+    label: "Settings",
+    icon: <SettingsIcon />,
+    component: Settings,
+  },
 ];
 
 const drawerWidth = 240;
 
 function App() {
-  const { movements } = useDataContext();
+  const { movements, settings } = useDataContext();
   const [currentView, setCurrentView] = useState("dashboard");
   const [mobileOpen, setMobileOpen] = useState(false);
   const [emergencyDialogOpen, setEmergencyDialogOpen] = useState(false);
@@ -312,7 +384,9 @@ function App() {
                       </TableCell>
                       <TableCell>
                         {device.timeIn
-                          ? new Date(device.timeIn).toLocaleString()
+                          ? new Date(device.timeIn).toLocaleString(undefined, {
+                              timeZone: settings.facilityTimezone,
+                            })
                           : "Unknown"}
                       </TableCell>
                       <TableCell>
@@ -7,14 +7,25 @@
  * 3. Predicting maintenance needs based on usage patterns
  */
 
+import { getDateKey } from "../shared/timezone.js";
+import { extractDeviceType } from "../shared/deviceCatalog.js";
+import {
+  getMaintenanceThreshold,
+  getInUseHoursSince,
+} from "../shared/maintenance.js";
+import { getRouter } from "../shared/routing.js";
+import { estimateMonthlySavings } from "../shared/walkingModel.js";
+
 class Equipment {
-  constructor(name) {
+  constructor(name, deviceType = extractDeviceType(name), lastMaintenance) {
     this.name = name;
     this.deviceId = name;
+    this.deviceType = deviceType;
     this.storageLocation = null;
     this.usageHistory = []; // [room, status, inTime, outTime]
     this.totalUsageHours = 0; // Total hours the device has been in use
-    this.lastMaintenance = null; // Date of last maintenance
+    this.lastMaintenance = lastMaintenance || null; // Date of last maintenance
+    this.hoursSinceMaintenance = 0; // In-use hours after lastMaintenance
   }
 
   addUsage(room, status, timeIn, timeOut) {
@@ -29,6 +40,11 @@ class Equipment {
         this.totalUsageHours += usageHours;
       }
     }
+
+    this.hoursSinceMaintenance += getInUseHoursSince(
+      { status, timeIn, timeOut },
+      this.lastMaintenance
+    );
   }
 
   getStorageLocation() {
@@ -42,11 +58,13 @@ class Equipment {
     return sorted.length ? sorted[0][0] : null;
   }
 
-  shouldPurchaseMore(graph) {
+  shouldPurchaseMore(graph, timeZone = "UTC") {
     const usageByDay = {};
 
     for (let [room, status, timeIn, timeOut] of this.usageHistory) {
-      const date = new Date(timeIn).toISOString().split("T")[0];
+      // Bucket usage by calendar day in the facility timezone
+      const date = getDateKey(timeIn, timeZone);
+      if (!date) continue;
       if (!usageByDay[date]) {
         usageByDay[date] = {
           inUse: 0,
@@ -85,7 +103,7 @@ class Equipment {
         const r2 = path[i];
         if (graph.hasNode(r1) && graph.hasNode(r2)) {
           try {
-            const weight = graph.edge(r1, r2) || graph.edge(r2, r1);
+            const weight = graph.distance(r1, r2);
             if (weight) totalDistance += weight;
           } catch {}
         }
@@ -109,33 +127,30 @@ class Equipment {
   }
 
   needsMaintenance() {
-    // Define maintenance thresholds by device type
-    const maintenanceThresholds = {
-      Ventilator: 500,
-      Ultrasound: 300,
-      Defibrillator: 200,
-      "IV-Pump": 1000,
-      Monitor: 800,
-      default: 500,
-    };
-
-    // Extract device type from device ID
-    const deviceType = this.deviceId.split("-")[0];
-    const threshold =
-      maintenanceThresholds[deviceType] || maintenanceThresholds.default;
+    const threshold = getMaintenanceThreshold(this.deviceType);
+    const hoursUsed = this.hoursSinceMaintenance;
 
-    // Check if total usage hours exceed the threshold
-    const needsMaintenance = this.totalUsageHours >= threshold;
+    // Check if the hours since the last service exceed the threshold
+    const needsMaintenance = hoursUsed >= threshold;
 
     // Calculate urgency level (0-1)
-    const urgencyLevel = this.totalUsageHours / threshold;
+    const urgencyLevel = hoursUsed / threshold;
 
     return {
+      // Flag devices from 80% of their service interval
+      needed: urgencyLevel >= 0.8,
       needsMaintenance,
       urgencyLevel,
-      hoursUsed: this.totalUsageHours,
+      hoursUsed,
       threshold,
-      deviceType,
+      deviceType: this.deviceType,
+      metrics: {
+        hoursSinceMaintenance: hoursUsed,
+        totalUsageHours: this.totalUsageHours,
+        totalMovements: this.usageHistory.length,
+        lastMaintenance: this.lastMaintenance,
+        threshold,
+      },
     };
   }
 }
@@ -144,9 +159,10 @@ class Equipment {
  * Find the optimal storage location for a piece of equipment
  * @param {Equipment} equipment - The equipment object
  * @param {Object} graph - The graph object with nodes and edges
+ * @param {Object} [walkingModel] - Walking model used to express the savings in metres and minutes
  * @returns {Object} The optimal location and distance savings
  */
-function findOptimalStorageLocation(equipment, graph) {
+function findOptimalStorageLocation(equipment, graph, walkingModel) {
   // Get rooms where the equipment is used
   const usageRooms = new Map();
 
@@ -230,8 +246,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === location) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(location, room) || graph.edge(room, location);
+        const distance = graph.distance(location, room);
         if (distance !== undefined) {
           totalDistance += distance * count;
         }
@@ -257,8 +272,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === location) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(location, room) || graph.edge(room, location);
+        const distance = graph.distance(location, room);
         if (distance !== undefined) {
           totalDistance += distance * count;
         }
@@ -287,8 +301,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === location) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(location, room) || graph.edge(room, location);
+        const distance = graph.distance(location, room);
         if (distance !== undefined) {
           totalDistance += distance * count;
         }
@@ -309,9 +322,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === currentLocation) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(currentLocation, room) ||
-          graph.edge(room, currentLocation);
+        const distance = graph.distance(currentLocation, room);
         if (distance !== undefined) {
           currentTotalDistance += distance * count;
         }
@@ -326,9 +337,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === bestAvailableLocation) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(bestAvailableLocation, room) ||
-          graph.edge(room, bestAvailableLocation);
+        const distance = graph.distance(bestAvailableLocation, room);
         if (distance !== undefined) {
           optimalTotalDistance += distance * count;
         }
@@ -343,9 +352,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === bestOverallLocation) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(bestOverallLocation, room) ||
-          graph.edge(room, bestOverallLocation);
+        const distance = graph.distance(bestOverallLocation, room);
         if (distance !== undefined) {
           overallTotalDistance += distance * count;
         }
@@ -360,9 +367,7 @@ function findOptimalStorageLocation(equipment, graph) {
       if (room === bestStorageTypeLocation) continue; // Skip if same room
 
       try {
-        const distance =
-          graph.edge(bestStorageTypeLocation, room) ||
-          graph.edge(room, bestStorageTypeLocation);
+        const distance = graph.distance(bestStorageTypeLocation, room);
         if (distance !== undefined) {
           storageTypeTotalDistance += distance * count;
         }
@@ -374,7 +379,8 @@ function findOptimalStorageLocation(equipment, graph) {
   const savings = calculateDistanceSavings(
     equipment,
     graph,
-    bestAvailableLocation
+    bestAvailableLocation,
+    walkingModel
   );
 
   // Only consider it an improvement if there's significant savings
@@ -402,7 +408,7 @@ function findOptimalStorageLocation(equipment, graph) {
     optimalLocation: bestAvailableLocation,
     bestOverallLocation,
     bestStorageTypeLocation,
-    distanceSaved: savings.saved,
+    distanceSaved: savings.metresSaved,
     percentImprovement: savings.percentChange,
     hoursSaved: savings.hoursSaved,
     movementsPerMonth: savings.movementsPerMonth,
@@ -433,9 +439,8 @@ function computeTotalDistance(graph, sourceRoom, targets) {
     if (!graph.hasNode(sourceRoom) || !graph.hasNode(target)) continue;
 
     try {
-      // Get the edge weight (distance) between the rooms
-      const weight =
-        graph.edge(sourceRoom, target) || graph.edge(target, sourceRoom);
+      // Get the shortest-path distance between the rooms
+      const weight = graph.distance(sourceRoom, target);
 
       // Add to total if weight exists
       if (weight !== undefined && !isNaN(weight)) {
@@ -454,15 +459,27 @@ function computeTotalDistance(graph, sourceRoom, targets) {
  * @param {Equipment} equipment - The equipment object
  * @param {Object} graph - The graph object with nodes and edges
  * @param {string} newStorageLocation - The new storage location
- * @returns {Object} The distance saved and percent change
+ * @param {Object} [walkingModel] - Walking model used to express the savings in metres and minutes
+ * @returns {Object} The distance saved and percent change, with metres and hours saved per month
  */
-function calculateDistanceSavings(equipment, graph, newStorageLocation) {
+function calculateDistanceSavings(
+  equipment,
+  graph,
+  newStorageLocation,
+  walkingModel
+) {
   // Get current storage location
   const currentStorage = equipment.getStorageLocation();
 
   // If no current storage or no change in location, return zeros
   if (!currentStorage || currentStorage === newStorageLocation) {
-    return { saved: 0, percentChange: 0, hoursSaved: 0, movementsPerMonth: 0 };
+    return {
+      saved: 0,
+      percentChange: 0,
+      metresSaved: 0,
+      hoursSaved: 0,
+      movementsPerMonth: 0,
+    };
   }
 
   // Count how many times the equipment moves between each pair of locations
@@ -488,7 +505,7 @@ function calculateDistanceSavings(equipment, graph, newStorageLocation) {
     // If this route involves the storage location, include it in calculation
     if (from === currentStorage || to === currentStorage) {
       try {
-        const weight = graph.edge(from, to) || graph.edge(to, from);
+        const weight = graph.distance(from, to);
         if (weight !== undefined) {
           originalDistance += weight * count;
         }
@@ -507,7 +524,7 @@ function calculateDistanceSavings(equipment, graph, newStorageLocation) {
       const newTo = to === currentStorage ? newStorageLocation : to;
 
       try {
-        const weight = graph.edge(newFrom, newTo) || graph.edge(newTo, newFrom);
+        const weight = graph.distance(newFrom, newTo);
         if (weight !== undefined) {
           modifiedDistance += weight * count;
         }
@@ -522,10 +539,6 @@ function calculateDistanceSavings(equipment, graph, newStorageLocation) {
   const percentChange =
     originalDistance > 0 ? (saved / originalDistance) * 100 : 0;
 
-  // Calculate hours saved (assuming 3 feet per second walking speed)
-  const feetPerSecond = 3;
-  const hoursSaved = saved / (feetPerSecond * 3600);
-
   // Calculate movements per month
   const timeSpan = getTimeSpanInMonths(equipment.usageHistory);
   const movementsPerMonth =
@@ -533,10 +546,14 @@ function calculateDistanceSavings(equipment, graph, newStorageLocation) {
       ? Object.values(movementCounts).reduce((a, b) => a + b, 0) / timeSpan
       : 0;
 
+  // Express the distance saved as metres and hours of walking per month
+  const monthly = estimateMonthlySavings(saved, timeSpan, walkingModel);
+
   return {
     saved,
     percentChange,
-    hoursSaved,
+    metresSaved: monthly.metresPerMonth,
+    hoursSaved: monthly.hoursPerMonth,
     movementsPerMonth,
   };
 }
@@ -584,7 +601,7 @@ function computePathDistance(graph, path) {
     const to = path[i];
 
     try {
-      const weight = graph.edge(from, to) || graph.edge(to, from);
+      const weight = graph.distance(from, to);
       if (weight !== undefined) {
         totalDistance += weight;
       }
@@ -596,28 +613,35 @@ function computePathDistance(graph, path) {
 
 /**
  * Create a graph object from nodes and edges
+ *
+ * Distances between rooms come from the shared router, so rooms without a
+ * direct edge are measured along the shortest path between them.
+ *
  * @param {Array} nodes - Array of node IDs
  * @param {Array} edges - Array of edges [from, to, weight]
+ * @param {Array} [connectors] - Connectors between floors and buildings
  * @returns {Object} Graph object with nodes and edges
  */
-function createGraph(nodes, edges) {
-  const graph = {
-    nodes: new Set(nodes),
-    edges: new Map(),
-    hasNode: function (node) {
-      return this.nodes.has(node);
+function createGraph(nodes, edges, connectors = []) {
+  const router = getRouter({ nodes, edges, connectors });
+
+  return {
+    nodes: new Set(router.getNodes()),
+    router,
+    hasNode(node) {
+      return router.hasNode(node);
+    },
+    // Weight of the direct edge between two rooms
+    edge(from, to) {
+      const weight = router.getEdgeWeight(from, to);
+      return weight !== null ? weight : undefined;
     },
-    edge: function (from, to) {
-      return this.edges.get(`${from}-${to}`) || this.edges.get(`${to}-${from}`);
+    // Shortest-path distance between two rooms
+    distance(from, to) {
+      const distance = router.getDistance(from, to);
+      return distance !== null ? distance : undefined;
     },
   };
-
-  // Add edges to the graph
-  for (const [from, to, weight] of edges) {
-    graph.edges.set(`${from}-${to}`, weight);
-  }
-
-  return graph;
 }
 
 // Export the module using ES modules syntax
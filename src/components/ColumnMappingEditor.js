@@ -0,0 +1,283 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Grid,
+  Button,
+  Typography,
+  TextField,
+  MenuItem,
+  IconButton,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Save as SaveIcon,
+} from "@mui/icons-material";
+
+// Canonical fields shown in the editor, in display order
+const FIELD_LABELS = {
+  device: "Device",
+  location: "Location",
+  status: "Status",
+  timeIn: "Time In",
+  timeOut: "Time Out",
+};
+
+const OPTIONAL_FIELDS = ["status"];
+
+/**
+ * Editor for mapping the columns of a CSV file onto the canonical RTLS fields
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.headers - Header row of the CSV file
+ * @param {Object} props.profile - The mapping profile currently applied
+ * @param {Array} props.profiles - Saved mapping profiles to choose from
+ * @param {Object} [props.detectedProfile] - Profile auto-detected for the file
+ * @param {Array} props.previewRows - First rows of the file after mapping
+ * @param {Array} [props.missingFields] - Required fields that are not mapped
+ * @param {Function} props.onChange - Called with the updated profile
+ * @param {Function} props.onSaveProfile - Called with a profile to persist
+ * @param {Function} props.onDeleteProfile - Called with the ID of a profile to delete
+ * @returns {React.ReactElement} The ColumnMappingEditor component
+ */
+function ColumnMappingEditor({
+  headers,
+  profile,
+  profiles,
+  detectedProfile,
+  previewRows,
+  missingFields = [],
+  onChange,
+  onSaveProfile,
+  onDeleteProfile,
+}) {
+  const [profileName, setProfileName] = useState("");
+
+  const selectableProfiles = [
+    ...(detectedProfile && detectedProfile.builtIn ? [detectedProfile] : []),
+    ...profiles,
+  ];
+  const extraFields = profile.extraFields || [];
+
+  const handleProfileSelect = (event) => {
+    const selected = selectableProfiles.find(
+      (p) => p._id === event.target.value
+    );
+    if (selected) {
+      onChange(selected);
+      setProfileName(selected.builtIn ? "" : selected.name);
+    }
+  };
+
+  const handleColumnChange = (field, column) => {
+    onChange({
+      ...profile,
+      _id: undefined,
+      columns: { ...profile.columns, [field]: column },
+    });
+  };
+
+  const handleExtraFieldChange = (index, key, value) => {
+    const updated = extraFields.map((extra, i) =>
+      i === index ? { ...extra, [key]: value } : extra
+    );
+    onChange({ ...profile, _id: undefined, extraFields: updated });
+  };
+
+  const handleAddExtraField = () => {
+    onChange({
+      ...profile,
+      _id: undefined,
+      extraFields: [...extraFields, { column: "", field: "" }],
+    });
+  };
+
+  const handleRemoveExtraField = (index) => {
+    onChange({
+      ...profile,
+      _id: undefined,
+      extraFields: extraFields.filter((_, i) => i !== index),
+    });
+  };
+
+  const handleSave = () => {
+    onSaveProfile({ ...profile, name: profileName });
+  };
+
+  const selectedProfile = selectableProfiles.find((p) => p._id === profile._id);
+  const previewExtraFields = extraFields.filter((e) => e.column && e.field);
+
+  return (
+    <Box>
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item xs={12} md={6}>
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Mapping profile"
+            value={selectedProfile ? selectedProfile._id : ""}
+            onChange={handleProfileSelect}
+            helperText={
+              detectedProfile
+                ? `Auto-detected: ${detectedProfile.name}`
+                : "No saved profile matches this file's headers"
+            }
+          >
+            {selectableProfiles.map((p) => (
+              <MenuItem key={p._id} value={p._id}>
+                {p.name}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Box sx={{ display: "flex", gap: 1 }}>
+            <TextField
+              size="small"
+              fullWidth
+              label="Save mapping as"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+            />
+            <Button
+              variant="outlined"
+              startIcon={<SaveIcon />}
+              onClick={handleSave}
+              disabled={!profileName.trim() || missingFields.length > 0}
+            >
+              Save
+            </Button>
+            {selectedProfile && !selectedProfile.builtIn && (
+              <IconButton
+                color="error"
+                onClick={() => onDeleteProfile(selectedProfile._id)}
+                title="Delete profile"
+              >
+                <DeleteIcon />
+              </IconButton>
+            )}
+          </Box>
+        </Grid>
+      </Grid>
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {Object.entries(FIELD_LABELS).map(([field, label]) => (
+          <Grid item xs={12} sm={6} md={2.4} key={field}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label={
+                OPTIONAL_FIELDS.includes(field) ? `${label} (optional)` : label
+              }
+              value={profile.columns[field] || ""}
+              error={missingFields.includes(field)}
+              onChange={(e) => handleColumnChange(field, e.target.value)}
+            >
+              <MenuItem value="">
+                <em>Not mapped</em>
+              </MenuItem>
+              {headers.map((header) => (
+                <MenuItem key={header} value={header}>
+                  {header}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Typography variant="subtitle2" gutterBottom>
+        Extra fields
+      </Typography>
+      {extraFields.map((extra, index) => (
+        <Box key={index} sx={{ display: "flex", gap: 1, mb: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Source column"
+            value={extra.column}
+            onChange={(e) =>
+              handleExtraFieldChange(index, "column", e.target.value)
+            }
+            sx={{ minWidth: 200 }}
+          >
+            {headers.map((header) => (
+              <MenuItem key={header} value={header}>
+                {header}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Field name"
+            value={extra.field}
+            onChange={(e) =>
+              handleExtraFieldChange(index, "field", e.target.value)
+            }
+          />
+          <IconButton onClick={() => handleRemoveExtraField(index)}>
+            <DeleteIcon />
+          </IconButton>
+        </Box>
+      ))}
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={handleAddExtraField}
+      >
+        Add extra field
+      </Button>
+
+      {missingFields.length > 0 && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          Select source columns for:{" "}
+          {missingFields.map((field) => FIELD_LABELS[field]).join(", ")}
+        </Alert>
+      )}
+
+      <Typography variant="subtitle2" sx={{ mt: 3 }} gutterBottom>
+        Preview (first {previewRows.length} rows)
+      </Typography>
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {Object.values(FIELD_LABELS).map((label) => (
+                <TableCell key={label}>{label}</TableCell>
+              ))}
+              {previewExtraFields.map((extra) => (
+                <TableCell key={extra.field}>{extra.field}</TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {previewRows.map((row, index) => (
+              <TableRow key={index}>
+                {Object.keys(FIELD_LABELS).map((field) => (
+                  <TableCell key={field}>{row[field] || "-"}</TableCell>
+                ))}
+                {previewExtraFields.map((extra) => (
+                  <TableCell key={extra.field}>
+                    {(row.metadata && row.metadata[extra.field]) || "-"}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default ColumnMappingEditor;
@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+} from "@mui/material";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { useDataContext } from "../context/DataContext";
+import { DEFAULT_SERVICE_LEVEL } from "../shared/fleetSizing";
+import {
+  DEFAULT_FORECAST_HORIZON_DAYS,
+  PREDICTION_INTERVAL,
+  forecastDemand,
+} from "../shared/forecasting";
+
+// Horizons offered besides the one set in Settings
+const HORIZON_OPTIONS = [28, 56, 90, 180, 365];
+
+const formatLoad = (load) => (Number.isFinite(load) ? load.toFixed(1) : "-");
+
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// Trend as a signed percentage a month
+const formatTrend = (trendPerMonth) => {
+  const percent = Math.round(trendPerMonth * 1000) / 10;
+  if (percent === 0) return "Flat";
+  return `${percent > 0 ? "+" : ""}${percent}%`;
+};
+
+// Daily points of the chart: the recorded history followed by the forecast
+const toChartData = (forecast) => [
+  ...forecast.history.map((day) => ({
+    date: day.date,
+    history: day.load,
+    historyPeak: day.peakLoad,
+  })),
+  ...forecast.forecast.map((day) => ({
+    date: day.date,
+    forecast: day.load,
+    range: [day.lower, day.upper],
+    forecastPeak: day.peakLoad,
+  })),
+];
+
+const formatTooltip = (value) =>
+  Array.isArray(value)
+    ? `${formatLoad(value[0])}–${formatLoad(value[1])}`
+    : formatLoad(value);
+
+/**
+ * Demand forecast per device type
+ *
+ * Fits the seasonal model to the whole imported history of each device type
+ * and charts the recorded in-use demand against the forecast and its
+ * prediction interval, with the forecast peak concurrency that purchase
+ * recommendations size fleets for.
+ *
+ * @returns {React.ReactElement} The DemandForecast component
+ */
+function DemandForecast() {
+  const { dwells, movements, devices, getDeviceType, settings } =
+    useDataContext();
+  const settingsHorizon =
+    settings.forecastHorizonDays || DEFAULT_FORECAST_HORIZON_DAYS;
+  const serviceLevel = settings.serviceLevel || DEFAULT_SERVICE_LEVEL;
+  const [horizonDays, setHorizonDays] = useState(settingsHorizon);
+  const [deviceType, setDeviceType] = useState("");
+
+  useEffect(() => {
+    setHorizonDays(settingsHorizon);
+  }, [settingsHorizon]);
+
+  // Forecasts use every record imported, whatever period is selected
+  const usageRecords = useMemo(
+    () =>
+      (dwells && dwells.length > 0 ? dwells : movements || []).filter(
+        (record) => !record.excludedFromAnalysis
+      ),
+    [dwells, movements]
+  );
+  const forecasts = useMemo(
+    () =>
+      forecastDemand(usageRecords, getDeviceType, {
+        timeZone: settings.facilityTimezone,
+        horizonDays,
+        serviceLevel,
+      }),
+    [
+      usageRecords,
+      getDeviceType,
+      settings.facilityTimezone,
+      horizonDays,
+      serviceLevel,
+    ]
+  );
+  const fleetSizes = useMemo(() => {
+    const sizes = {};
+    devices.forEach((device) => {
+      const type = getDeviceType(device.deviceId);
+      sizes[type] = (sizes[type] || 0) + 1;
+    });
+    return sizes;
+  }, [devices, getDeviceType]);
+
+  const selected =
+    forecasts.find((forecast) => forecast.deviceType === deviceType) ||
+    forecasts[0] ||
+    null;
+  const chartData = useMemo(
+    () => (selected ? toChartData(selected) : []),
+    [selected]
+  );
+  const horizonOptions = [
+    ...new Set([...HORIZON_OPTIONS, settingsHorizon]),
+  ].sort((a, b) => a - b);
+  const interval = Math.round(PREDICTION_INTERVAL * 100);
+
+  return (
+    <Card>
+      <CardHeader
+        title="Demand Forecast"
+        subheader="Units in use per device type, recorded and forecast from hour-of-day, weekday and month patterns"
+      />
+      <CardContent>
+        {forecasts.length > 0 ? (
+          <>
+            <Box sx={{ display: "flex", gap: 2, mb: 2, flexWrap: "wrap" }}>
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel id="forecast-type-label">Device Type</InputLabel>
+                <Select
+                  labelId="forecast-type-label"
+                  value={selected.deviceType}
+                  label="Device Type"
+                  onChange={(event) => setDeviceType(event.target.value)}
+                >
+                  {forecasts.map((forecast) => (
+                    <MenuItem
+                      key={forecast.deviceType}
+                      value={forecast.deviceType}
+                    >
+                      {forecast.deviceType}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 160 }}>
+                <InputLabel id="forecast-horizon-label">Horizon</InputLabel>
+                <Select
+                  labelId="forecast-horizon-label"
+                  value={horizonDays}
+                  label="Horizon"
+                  onChange={(event) => setHorizonDays(event.target.value)}
+                >
+                  {horizonOptions.map((days) => (
+                    <MenuItem key={days} value={days}>
+                      {days} days
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Box>
+
+            <ResponsiveContainer width="100%" height={320}>
+              <ComposedChart
+                data={chartData}
+                margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" minTickGap={24} />
+                <YAxis allowDecimals={false} />
+                <Tooltip formatter={formatTooltip} />
+                <Legend />
+                <Area
+                  dataKey="range"
+                  name={`${interval}% prediction interval`}
+                  stroke="none"
+                  fill="#90caf9"
+                  fillOpacity={0.4}
+                  isAnimationActive={false}
+                />
+                <Line
+                  dataKey="history"
+                  name="Recorded (daily average)"
+                  stroke="#455a64"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                <Line
+                  dataKey="historyPeak"
+                  name="Recorded (busiest hour)"
+                  stroke="#455a64"
+                  strokeDasharray="4 4"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                <Line
+                  dataKey="forecast"
+                  name="Forecast (daily average)"
+                  stroke="#1976d2"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                <Line
+                  dataKey="forecastPeak"
+                  name="Forecast (busiest hour)"
+                  stroke="#1976d2"
+                  strokeDasharray="4 4"
+                  dot={false}
+                  isAnimationActive={false}
+                />
+                {fleetSizes[selected.deviceType] ? (
+                  <ReferenceLine
+                    y={fleetSizes[selected.deviceType]}
+                    stroke="#d32f2f"
+                    strokeDasharray="6 3"
+                    label={`Fleet: ${fleetSizes[selected.deviceType]}`}
+                  />
+                ) : null}
+              </ComposedChart>
+            </ResponsiveContainer>
+
+            <TableContainer sx={{ mt: 2 }}>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Device Type</TableCell>
+                    <TableCell align="right">History</TableCell>
+                    <TableCell align="right">Busy Hour Load</TableCell>
+                    <TableCell align="right">Trend / Month</TableCell>
+                    <TableCell>Seasonality</TableCell>
+                    <TableCell align="right">Fleet</TableCell>
+                    <TableCell align="right">Forecast Peak</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {forecasts.map((forecast) => {
+                    const fleetSize = fleetSizes[forecast.deviceType] || 0;
+                    return (
+                      <TableRow key={forecast.deviceType}>
+                        <TableCell>{forecast.deviceType}</TableCell>
+                        <TableCell align="right">
+                          {forecast.historyDays} days
+                        </TableCell>
+                        <TableCell align="right">
+                          {formatLoad(forecast.busyHourLoad)}
+                          <Typography
+                            variant="caption"
+                            color="text.secondary"
+                            display="block"
+                          >
+                            {formatLoad(forecast.busyHourLower)}–
+                            {formatLoad(forecast.busyHourUpper)} at{" "}
+                            {formatHour(forecast.busyHour)}
+                          </Typography>
+                        </TableCell>
+                        <TableCell align="right">
+                          {formatTrend(forecast.trendPerMonth)}
+                        </TableCell>
+                        <TableCell>
+                          <Box sx={{ display: "flex", gap: 0.5 }}>
+                            <Chip size="small" label="Hour of day" />
+                            {forecast.seasonality.weekday && (
+                              <Chip size="small" label="Weekday" />
+                            )}
+                            {forecast.seasonality.month && (
+                              <Chip size="small" label="Month" />
+                            )}
+                          </Box>
+                        </TableCell>
+                        <TableCell align="right">{fleetSize}</TableCell>
+                        <TableCell align="right">
+                          <Chip
+                            size="small"
+                            label={forecast.peakConcurrency}
+                            color={
+                              forecast.peakConcurrency > fleetSize
+                                ? "error"
+                                : "success"
+                            }
+                          />
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        ) : (
+          <Typography variant="body1" sx={{ textAlign: "center", py: 4 }}>
+            At least 7 days of usage data are needed to forecast demand.
+          </Typography>
+        )}
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          display="block"
+          sx={{ mt: 1 }}
+        >
+          Load is the average number of units in use. The trend is fitted from
+          14 days of history, weekday patterns once every weekday has been seen
+          twice and month patterns from a year of history. Forecast Peak is the
+          most units in use at once in the busiest hour, at the upper end of its{" "}
+          {interval}% prediction interval and the service level set in Settings.
+          Purchase recommendations size fleets for it over the horizon set in
+          Settings.
+        </Typography>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default DemandForecast;
@@ -26,16 +26,27 @@ import {
   Button,
   Grid,
 } from "@mui/material";
+import { findRoomDistance, findShortestPath } from "../utils/helpers";
+import { useDataContext } from "../context/DataContext";
+import mapDataService from "../services/MapDataService";
 import {
-  calculateDistance,
-  findRoomDistance,
-  findShortestPath,
-} from "../utils/helpers";
+  getRoomPositions,
+  getSameFloorDistance,
+  summarizeCrossFloorRoute,
+} from "../shared/facility";
+import {
+  toMetres,
+  getTripMinutesForMetres,
+  formatDistance,
+  formatMinutes,
+} from "../shared/walkingModel";
 
 /**
  * Component to display the total movement distance for each device and room-to-room distances
  */
 const DeviceMovementChart = ({ movements, floorPlan }) => {
+  const { getDeviceType, settings } = useDataContext();
+  const { walkingModel } = settings;
   const [movementData, setMovementData] = useState([]);
   const [graphData, setGraphData] = useState(null);
   const [tabValue, setTabValue] = useState(0);
@@ -51,23 +62,7 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
   useEffect(() => {
     const loadGraphData = async () => {
       try {
-        // Try both paths to handle different environments
-        let response;
-        try {
-          response = await fetch("/graph_data.json");
-          if (!response.ok) {
-            throw new Error("Not found at root path");
-          }
-        } catch (error) {
-          // Try alternative path
-          console.log("Trying alternative path for graph data");
-          response = await fetch("./graph_data.json");
-          if (!response.ok) {
-            throw new Error(`Failed to load graph data: ${response.status}`);
-          }
-        }
-
-        const data = await response.json();
+        const data = await mapDataService.getGraphData();
         console.log("Graph data loaded successfully");
         setGraphData(data);
 
@@ -91,7 +86,7 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
     console.log("DeviceMovementChart received props:", {
       movementsLength: movements?.length,
       hasFloorPlan: !!floorPlan,
-      hasRooms: !!floorPlan?.rooms,
+      hasRooms: !!floorPlan,
       hasGraphData: !!graphData,
     });
 
@@ -138,8 +133,9 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
       if (!deviceMovements[deviceId]) {
         deviceMovements[deviceId] = {
           deviceId,
-          deviceType: deviceId.split("-")[0] || "Unknown",
+          deviceType: getDeviceType(deviceId),
           totalDistance: 0,
+          totalMinutes: 0,
           movementCount: 0,
         };
       }
@@ -151,82 +147,54 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
         let distance = null;
         let distanceSource = "Unknown";
 
-        // Try to get distance from graph data first
+        // Try to get the shortest-path distance from graph data first
         if (graphData && fromLocation && toLocation) {
-          // Find the direct edge in the graph data
-          for (const edge of graphData.edges) {
-            if (
-              (edge[0] === fromLocation && edge[1] === toLocation) ||
-              (edge[0] === toLocation && edge[1] === fromLocation)
-            ) {
-              // Apply 1.6 multiplier directly here
-              distance = edge[2] * 1.6;
-              distanceSource = "Graph (Direct)";
-              console.log(
-                `Direct graph distance from ${fromLocation} to ${toLocation}: ${distance.toFixed(
-                  2
-                )} feet (raw: ${edge[2].toFixed(2)} * 1.6)`
-              );
-              break;
-            }
-          }
-
-          // If no direct edge was found, try the helper function
-          if (distance === null) {
-            const graphDistance = findRoomDistance(
-              fromLocation,
-              toLocation,
-              graphData
+          const graphDistance = findRoomDistance(
+            fromLocation,
+            toLocation,
+            graphData,
+            walkingModel
+          );
+          if (graphDistance !== null) {
+            distance = graphDistance;
+            distanceSource = "Graph";
+            console.log(
+              `Graph distance from ${fromLocation} to ${toLocation}: ${distance.toFixed(
+                2
+              )} m`
             );
-            if (graphDistance !== null) {
-              distance = graphDistance;
-              distanceSource = "Graph";
-              console.log(
-                `Graph distance from ${fromLocation} to ${toLocation}: ${distance.toFixed(
-                  2
-                )} feet`
-              );
-            }
           }
         }
 
-        // Fall back to coordinate-based distance if graph distance not available
-        if (
-          distance === null &&
-          floorPlan &&
-          floorPlan.rooms &&
-          fromLocation &&
-          toLocation &&
-          floorPlan.rooms[fromLocation] &&
-          floorPlan.rooms[toLocation]
-        ) {
-          const [x1, y1] = floorPlan.rooms[fromLocation];
-          const [x2, y2] = floorPlan.rooms[toLocation];
-
-          // Apply the calculation directly with the 1.6 multiplier
-          const rawDistance = Math.sqrt(
-            Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2)
-          );
-          distance = rawDistance * 1.6;
+        // Fall back to coordinate-based distance if graph distance not
+        // available, which only makes sense for rooms on the same floor
+        const rawDistance =
+          distance === null && floorPlan && fromLocation && toLocation
+            ? getSameFloorDistance(floorPlan, fromLocation, toLocation)
+            : null;
+        if (rawDistance !== null) {
+          distance = toMetres(rawDistance, walkingModel);
           distanceSource = "Coordinates";
           console.log(
             `Coordinate distance from ${fromLocation} to ${toLocation}: ${distance.toFixed(
               2
-            )} feet (raw: ${rawDistance.toFixed(2)} * 1.6)`
+            )} m (${rawDistance.toFixed(2)} plan units)`
           );
         }
 
         if (distance !== null) {
+          const minutes = getTripMinutesForMetres(distance, walkingModel);
           deviceMovements[deviceId].totalDistance += distance;
+          deviceMovements[deviceId].totalMinutes += minutes;
           deviceMovements[deviceId].movementCount += 1;
 
-          // Add to detailed movements for the table
-          // Note: distance already has 1.6 multiplier applied from the helper functions
+          // Add to detailed movements for the table, in metres
           detailedMovements.push({
             deviceId,
             fromLocation,
             toLocation,
             distance: parseFloat(distance.toFixed(2)),
+            minutes,
             distanceSource,
             timeIn: deviceMoves[i].timeIn,
             timeOut: deviceMoves[i + 1].timeIn,
@@ -248,6 +216,7 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
             fromLocation,
             toLocation,
             distance: null,
+            minutes: null,
             distanceSource: "None",
             timeIn: deviceMoves[i].timeIn,
             timeOut: deviceMoves[i + 1].timeIn,
@@ -291,7 +260,15 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
     console.log("Final movement data for chart:", movementDataArray);
     setMovementData(movementDataArray);
     setDeviceMovementDetails(sortedDetailedMovements);
-  }, [movements, floorPlan, graphData, refreshKey, sortOrder]);
+  }, [
+    movements,
+    floorPlan,
+    graphData,
+    refreshKey,
+    sortOrder,
+    getDeviceType,
+    walkingModel,
+  ]);
 
   // Handle tab change
   const handleTabChange = (event, newValue) => {
@@ -312,12 +289,14 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
 
     // Create CSV content
     let csvContent =
-      "Device ID,Device Type,Total Distance (feet),Movement Count\n";
+      "Device ID,Device Type,Total Distance (m),Walking Time (min),Movement Count\n";
 
     movementData.forEach((device) => {
       csvContent += `${device.deviceId},${
         device.deviceType
-      },${device.totalDistance.toFixed(2)},${device.movementCount}\n`;
+      },${device.totalDistance.toFixed(2)},${device.totalMinutes.toFixed(1)},${
+        device.movementCount
+      }\n`;
     });
 
     // Create a blob and download link
@@ -341,14 +320,14 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
 
     // Create CSV content
     let csvContent =
-      "Device ID,From Location,To Location,Distance (feet),Source,Time In,Time Out\n";
+      "Device ID,From Location,To Location,Distance (m),Walking Time (min),Source,Time In,Time Out\n";
 
     deviceMovementDetails.forEach((movement) => {
       csvContent += `${movement.deviceId},${movement.fromLocation},${
         movement.toLocation
       },${movement.distance !== null ? movement.distance.toFixed(2) : "N/A"},${
-        movement.distanceSource
-      },${movement.timeIn},${movement.timeOut}\n`;
+        movement.minutes !== null ? movement.minutes.toFixed(1) : "N/A"
+      },${movement.distanceSource},${movement.timeIn},${movement.timeOut}\n`;
     });
 
     // Create a blob and download link
@@ -369,9 +348,22 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
       return;
     }
 
-    const result = findShortestPath(fromRoom, toRoom, graphData);
-    setPathResult(result);
-  }, [graphData, fromRoom, toRoom]);
+    const result = findShortestPath(
+      fromRoom,
+      toRoom,
+      graphData,
+      floorPlan && getRoomPositions(floorPlan),
+      walkingModel
+    );
+    setPathResult({
+      ...result,
+      minutes:
+        result.distance !== null
+          ? getTripMinutesForMetres(result.distance, walkingModel)
+          : null,
+      route: summarizeCrossFloorRoute(result.path, floorPlan, graphData),
+    });
+  }, [graphData, floorPlan, fromRoom, toRoom, walkingModel]);
 
   // If no data, show a message
   if (!movements || !movements.length) {
@@ -446,23 +438,20 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
               <XAxis dataKey="deviceId" />
               <YAxis
                 label={{
-                  value: "Total Distance (feet)",
+                  value: "Total Distance (m)",
                   angle: -90,
                   position: "insideLeft",
                   style: { textAnchor: "middle" },
                 }}
               />
               <Tooltip
-                formatter={(value) => [
-                  `${value.toFixed(2)} feet`,
-                  "Total Distance",
-                ]}
+                formatter={(value) => [formatDistance(value), "Total Distance"]}
                 labelFormatter={(value) => `Device: ${value}`}
               />
               <Legend />
               <Bar
                 dataKey="totalDistance"
-                name="Total Movement Distance (feet)"
+                name="Total Movement Distance (m)"
                 fill="#8884d8"
               />
             </BarChart>
@@ -520,7 +509,8 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
                 <TableRow>
                   <TableCell>Device ID</TableCell>
                   <TableCell>Device Type</TableCell>
-                  <TableCell align="right">Total Distance (feet)</TableCell>
+                  <TableCell align="right">Total Distance (m)</TableCell>
+                  <TableCell align="right">Walking Time</TableCell>
                   <TableCell align="right">Movement Count</TableCell>
                 </TableRow>
               </TableHead>
@@ -532,12 +522,15 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
                     <TableCell align="right">
                       {row.totalDistance.toFixed(2)}
                     </TableCell>
+                    <TableCell align="right">
+                      {formatMinutes(row.totalMinutes)}
+                    </TableCell>
                     <TableCell align="right">{row.movementCount}</TableCell>
                   </TableRow>
                 ))}
                 {movementData.length === 0 && (
                   <TableRow>
-                    <TableCell colSpan={4} align="center">
+                    <TableCell colSpan={5} align="center">
                       No movement data available
                     </TableCell>
                   </TableRow>
@@ -575,7 +568,8 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
                   <TableCell>Device ID</TableCell>
                   <TableCell>From Location</TableCell>
                   <TableCell>To Location</TableCell>
-                  <TableCell align="right">Distance (feet)</TableCell>
+                  <TableCell align="right">Distance (m)</TableCell>
+                  <TableCell align="right">Walking Time</TableCell>
                   <TableCell>Source</TableCell>
                 </TableRow>
               </TableHead>
@@ -588,12 +582,17 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
                     <TableCell align="right">
                       {row.distance !== null ? row.distance.toFixed(2) : "N/A"}
                     </TableCell>
+                    <TableCell align="right">
+                      {row.minutes !== null
+                        ? formatMinutes(row.minutes)
+                        : "N/A"}
+                    </TableCell>
                     <TableCell>{row.distanceSource}</TableCell>
                   </TableRow>
                 ))}
                 {deviceMovementDetails.length === 0 && (
                   <TableRow>
-                    <TableCell colSpan={5} align="center">
+                    <TableCell colSpan={6} align="center">
                       No movement details available
                     </TableCell>
                   </TableRow>
@@ -660,12 +659,23 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
               {pathResult.distance !== null ? (
                 <>
                   <Typography>
-                    <strong>Distance:</strong> {pathResult.distance.toFixed(2)}{" "}
-                    feet
+                    <strong>Distance:</strong>{" "}
+                    {formatDistance(pathResult.distance)}
+                  </Typography>
+                  <Typography>
+                    <strong>Trip time:</strong>{" "}
+                    {formatMinutes(pathResult.minutes)}
                   </Typography>
                   <Typography>
                     <strong>Path:</strong> {pathResult.path.join(" → ")}
                   </Typography>
+                  {pathResult.route && (
+                    <Typography>
+                      <strong>Floors:</strong>{" "}
+                      {pathResult.route.floors.join(" → ")} (
+                      {pathResult.route.description})
+                    </Typography>
+                  )}
                 </>
               ) : (
                 <Typography color="error">
@@ -677,7 +687,9 @@ const DeviceMovementChart = ({ movements, floorPlan }) => {
 
           <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
             This calculator uses the graph data to find the shortest path
-            between two rooms.
+            between two rooms. Trip times are at{" "}
+            {walkingModel.walkingSpeed.toFixed(2)} m/s plus{" "}
+            {walkingModel.tripOverheadSeconds} s per trip, as set in Settings.
           </Typography>
         </Box>
       )}
@@ -0,0 +1,108 @@
+import React from "react";
+import {
+  Button,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { Undo as UndoIcon } from "@mui/icons-material";
+import { formatDate } from "../utils/helpers";
+
+// Chip color and label for each batch status
+const STATUS_CHIPS = {
+  committed: { label: "Committed", color: "success" },
+  cancelled: { label: "Cancelled (partial)", color: "warning" },
+  failed: { label: "Failed", color: "error" },
+  importing: { label: "Importing", color: "info" },
+  rolledBack: { label: "Rolled back", color: "default" },
+};
+
+/**
+ * Table of past import batches with a rollback action for each
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.batches - Import batches, most recent first
+ * @param {Function} props.onRollback - Called with the batch to roll back
+ * @param {boolean} [props.disabled] - Whether rollback actions are disabled
+ * @returns {React.ReactElement} The ImportHistory component
+ */
+function ImportHistory({ batches, onRollback, disabled = false }) {
+  if (batches.length === 0) {
+    return (
+      <Typography variant="body2" color="textSecondary">
+        No files have been imported yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>File</TableCell>
+            <TableCell>Imported</TableCell>
+            <TableCell>Mapping</TableCell>
+            <TableCell align="right">Rows</TableCell>
+            <TableCell align="right">Movements</TableCell>
+            <TableCell align="right">Duplicates</TableCell>
+            <TableCell align="right">Errors</TableCell>
+            <TableCell>Status</TableCell>
+            <TableCell />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {batches.map((batch) => {
+            const status = STATUS_CHIPS[batch.status] || {
+              label: batch.status,
+              color: "default",
+            };
+
+            return (
+              <TableRow key={batch._id}>
+                <TableCell title={batch.fileHash}>{batch.fileName}</TableCell>
+                <TableCell>{formatDate(batch.importedAt)}</TableCell>
+                <TableCell>
+                  {batch.mapping ? batch.mapping.name : "-"}
+                </TableCell>
+                <TableCell align="right">{batch.rowsRead || 0}</TableCell>
+                <TableCell align="right">
+                  {batch.movementsCreated || 0}
+                </TableCell>
+                <TableCell align="right">{batch.duplicates || 0}</TableCell>
+                <TableCell align="right">{batch.errorCount || 0}</TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={status.label}
+                    color={status.color}
+                  />
+                </TableCell>
+                <TableCell align="right">
+                  {batch.status !== "rolledBack" && (
+                    <Button
+                      size="small"
+                      color="error"
+                      startIcon={<UndoIcon />}
+                      onClick={() => onRollback(batch)}
+                      disabled={disabled}
+                    >
+                      Roll back
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default ImportHistory;
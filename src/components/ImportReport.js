@@ -0,0 +1,175 @@
+import React from "react";
+import {
+  Box,
+  Grid,
+  Typography,
+  Chip,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from "@mui/material";
+import { formatDate } from "../utils/helpers";
+
+// Descriptions of timestamps that fall on a DST change in the facility timezone
+const DST_ISSUES = {
+  ambiguous: "Repeated when clocks went back (first occurrence used)",
+  nonexistent: "Skipped when clocks went forward (moved forward)",
+};
+
+/**
+ * Summary of what an import did, or would do when run as a dry run
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Report returned by the import handlers
+ * @param {boolean} [props.dryRun] - Whether the report describes a dry run
+ * @returns {React.ReactElement} The ImportReport component
+ */
+function ImportReport({ report, dryRun = false }) {
+  if (!report) return null;
+
+  const summary = [
+    { label: "Rows read", value: report.rowsRead },
+    { label: "New devices", value: report.devices.new },
+    { label: "Existing devices", value: report.devices.existing },
+    {
+      label: dryRun ? "Movements to create" : "Movements created",
+      value: report.movements.created,
+    },
+    { label: "Duplicates (skipped)", value: report.movements.duplicates },
+    {
+      label: dryRun ? "Dwells to record" : "Dwells recorded",
+      value: report.dwells.created,
+    },
+    { label: "New locations", value: report.newLocations },
+  ];
+
+  const timestampIssues = [
+    ...report.outOfOrder.examples.map((example) => ({
+      ...example,
+      issue: "Out of order (re-sorted)",
+    })),
+    ...report.invalidIntervals.examples.map((example) => ({
+      ...example,
+      issue: "Time out before time in",
+    })),
+    ...report.dstAdjustments.examples.map((example) => ({
+      line: example.line,
+      deviceId: example.deviceId,
+      timeIn: example.timestamp,
+      issue: DST_ISSUES[example.dst],
+    })),
+  ];
+
+  return (
+    <Box>
+      {report.previousImport && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          This file has already been imported as{" "}
+          <strong>{report.previousImport.fileName}</strong> on{" "}
+          {formatDate(report.previousImport.importedAt)}. Rows already imported
+          are skipped as duplicates.
+        </Alert>
+      )}
+
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        {summary.map((item) => (
+          <Grid item xs={6} sm={4} md key={item.label}>
+            <Typography variant="h6">
+              {(item.value || 0).toLocaleString()}
+            </Typography>
+            <Typography variant="caption" color="textSecondary">
+              {item.label}
+            </Typography>
+          </Grid>
+        ))}
+      </Grid>
+
+      <Typography
+        variant="caption"
+        color="textSecondary"
+        display="block"
+        sx={{ mb: 2 }}
+      >
+        Timestamps without a UTC offset are read in the facility timezone (
+        {report.timeZone}).
+      </Typography>
+
+      {report.skippedRows.length > 0 && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          <Typography variant="subtitle2">Skipped rows</Typography>
+          {report.skippedRows.map((skipped) => (
+            <Typography variant="body2" key={skipped.reason}>
+              {skipped.reason}: {skipped.count.toLocaleString()}
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      {(report.unknownLocations.length > 0 ||
+        report.locationsNotInGraph.length > 0) && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {report.unknownLocations.length > 0 && (
+            <>
+              <Typography variant="subtitle2">
+                Location names that could not be resolved
+              </Typography>
+              <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, my: 1 }}>
+                {report.unknownLocations.map((location) => (
+                  <Chip
+                    key={location.name}
+                    size="small"
+                    label={`${location.name} (${location.count})`}
+                  />
+                ))}
+              </Box>
+            </>
+          )}
+          {report.locationsNotInGraph.length > 0 && (
+            <Typography variant="body2">
+              Not on the floor plan graph:{" "}
+              {report.locationsNotInGraph.join(", ")}. Review them under Map
+              Integrity.
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      {timestampIssues.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Timestamp issues ({report.outOfOrder.count} out of order,{" "}
+            {report.invalidIntervals.count} with time out before time in,{" "}
+            {report.dstAdjustments.count} on a DST change)
+          </Typography>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Line</TableCell>
+                <TableCell>Device</TableCell>
+                <TableCell>Time In</TableCell>
+                <TableCell>Time Out</TableCell>
+                <TableCell>Issue</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {timestampIssues.map((example, index) => (
+                <TableRow key={index}>
+                  <TableCell>{example.line}</TableCell>
+                  <TableCell>{example.deviceId}</TableCell>
+                  <TableCell>{example.timeIn}</TableCell>
+                  <TableCell>{example.timeOut || "-"}</TableCell>
+                  <TableCell>{example.issue}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ImportReport;
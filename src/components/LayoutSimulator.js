@@ -0,0 +1,617 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Chip,
+  CircularProgress,
+  Alert,
+} from "@mui/material";
+import { useDataContext } from "../context/DataContext";
+import TimeFilterSelector from "./TimeFilterSelector";
+import mapDataService from "../services/MapDataService";
+import { getRouter } from "../shared/routing";
+import {
+  indexFacility,
+  getFloorLabel,
+  getSameFloorDistance,
+} from "../shared/facility";
+import { getPlanSize } from "../shared/floorPlan";
+import { formatDistance, formatMinutes } from "../shared/walkingModel";
+import { getCurrentLayout, compareLayouts } from "../shared/simulation";
+import { isOpenRecommendation } from "../shared/recommendationStatus";
+
+// Screen pixels per plan unit at which the floor plan is drawn
+const PIXELS_PER_UNIT = 4;
+
+// Plan units from a room within which a dropped device lands in it
+const DROP_RADIUS = 5;
+
+// Device marker colours, one per device type
+const TYPE_COLORS = [
+  "#1976d2",
+  "#2e7d32",
+  "#ed6c02",
+  "#9c27b0",
+  "#d32f2f",
+  "#0288d1",
+  "#5d4037",
+  "#455a64",
+];
+
+// Change between the current and proposed value, with its share of the current
+const formatChange = (before, after, format) => {
+  const change = after - before;
+  if (Math.abs(change) < 1e-9) return "No change";
+  const sign = change > 0 ? "+" : "-";
+  const share =
+    before > 0
+      ? ` (${sign}${Math.round((Math.abs(change) / before) * 100)}%)`
+      : "";
+  return `${sign}${format(Math.abs(change))}${share}`;
+};
+
+/**
+ * What-if simulation of a storage layout
+ *
+ * Shows where every unit is kept on the floor plan. Units can be dragged to
+ * another room, or given one in the list, and the selected period's demand is
+ * replayed against the current and the proposed layout to compare trips,
+ * walking and availability misses.
+ *
+ * @returns {React.ReactElement} The LayoutSimulator component
+ */
+function LayoutSimulator() {
+  const {
+    devices,
+    filteredMovements,
+    recommendations,
+    getDeviceType,
+    settings,
+    timeFilter,
+    setTimeFilter,
+  } = useDataContext();
+  const [mapData, setMapData] = useState(null);
+  const [floorId, setFloorId] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [changes, setChanges] = useState({});
+  const [drag, setDrag] = useState(null);
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    mapDataService
+      .load()
+      .then(setMapData)
+      .catch((error) => console.error("Error loading map data:", error));
+  }, []);
+
+  const facility = useMemo(
+    () => indexFacility(mapData ? mapData.floorPlan : null),
+    [mapData]
+  );
+  const floor =
+    facility.floorsById[floorId] ||
+    (facility.floors.length > 0 ? facility.floors[0] : null);
+  const planSize = floor ? getPlanSize(floor) : [100, 100];
+
+  const floorImage = floor ? floor.image : null;
+  useEffect(() => {
+    let active = true;
+    mapDataService.getImageUrl(floorImage).then((url) => {
+      if (active) setImageUrl(url);
+    });
+    return () => {
+      active = false;
+    };
+  }, [floorImage]);
+
+  const movements = useMemo(
+    () => (filteredMovements || []).filter((movement) => movement.deviceId),
+    [filteredMovements]
+  );
+  const currentLayout = useMemo(
+    () => getCurrentLayout(movements, getDeviceType, devices),
+    [movements, getDeviceType, devices]
+  );
+  const proposedLayout = { ...currentLayout, ...changes };
+  const deviceIds = Object.keys(currentLayout).sort((a, b) =>
+    a.localeCompare(b)
+  );
+  const deviceTypes = [
+    ...new Set(deviceIds.map((deviceId) => getDeviceType(deviceId))),
+  ].sort((a, b) => a.localeCompare(b));
+  const getColor = (deviceId) =>
+    TYPE_COLORS[
+      deviceTypes.indexOf(getDeviceType(deviceId)) % TYPE_COLORS.length
+    ];
+  const rooms = Object.keys(facility.positions).sort((a, b) =>
+    a.localeCompare(b)
+  );
+
+  // Walking distance as placement recommendations measure it
+  const getDistance = useMemo(() => {
+    if (!mapData) return () => null;
+    const router = getRouter(mapData.graphData);
+    return (from, to) => {
+      const distance = router.getDistance(from, to);
+      return distance !== null
+        ? distance
+        : getSameFloorDistance(mapData.floorPlan, from, to);
+    };
+  }, [mapData]);
+
+  const comparison = useMemo(
+    () =>
+      mapData && movements.length > 0
+        ? compareLayouts(movements, getDeviceType, {
+            layout: changes,
+            devices,
+            getDistance,
+            walkingModel: settings.walkingModel,
+          })
+        : null,
+    [
+      mapData,
+      movements,
+      getDeviceType,
+      devices,
+      changes,
+      getDistance,
+      settings.walkingModel,
+    ]
+  );
+
+  const moveDevice = (deviceId, room) => {
+    setChanges((prev) => {
+      const next = { ...prev };
+      if (room === currentLayout[deviceId]) {
+        delete next[deviceId];
+      } else {
+        next[deviceId] = room;
+      }
+      return next;
+    });
+  };
+
+  // Start from the rooms the open placement recommendations propose
+  const handleUseRecommendations = () => {
+    const proposed = {};
+    (recommendations || []).forEach((recommendation) => {
+      if (
+        recommendation.type === "placement" &&
+        isOpenRecommendation(recommendation) &&
+        recommendation.deviceId &&
+        recommendation.optimalLocation &&
+        currentLayout[recommendation.deviceId] &&
+        recommendation.optimalLocation !==
+          currentLayout[recommendation.deviceId]
+      ) {
+        proposed[recommendation.deviceId] = recommendation.optimalLocation;
+      }
+    });
+    setChanges(proposed);
+  };
+
+  // Convert a pointer event to plan coordinates
+  const toPlanPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return [x, y];
+  };
+
+  const handleDevicePointerDown = (event, deviceId) => {
+    event.stopPropagation();
+    setDrag({ deviceId, point: toPlanPoint(event) });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    setDrag({ ...drag, point: toPlanPoint(event) });
+  };
+
+  // Drop the dragged device in the nearest room on this floor
+  const handlePointerUp = () => {
+    if (!drag || !floor) return;
+    const [x, y] = drag.point;
+    let nearest = null;
+    let nearestDistance = DROP_RADIUS;
+    Object.entries(floor.rooms).forEach(([room, [roomX, roomY]]) => {
+      const distance = Math.hypot(roomX - x, roomY - y);
+      if (distance <= nearestDistance) {
+        nearest = room;
+        nearestDistance = distance;
+      }
+    });
+    if (nearest) moveDevice(drag.deviceId, nearest);
+    setDrag(null);
+  };
+
+  // Units kept in each room of this floor under the proposed layout
+  const unitsByRoom = {};
+  deviceIds.forEach((deviceId) => {
+    const room = proposedLayout[deviceId];
+    if (floor && floor.rooms[room]) {
+      if (!unitsByRoom[room]) unitsByRoom[room] = [];
+      unitsByRoom[room].push(deviceId);
+    }
+  });
+
+  const markerRadius = 1.2;
+  const labelSize = 2.2;
+  const unitSize = 2.4;
+  const movedCount = Object.keys(changes).length;
+
+  const metrics = comparison
+    ? [
+        {
+          label: "Trips",
+          key: "trips",
+          format: (value) => String(Math.round(value)),
+        },
+        { label: "Walking distance", key: "metres", format: formatDistance },
+        { label: "Walking time", key: "minutes", format: formatMinutes },
+        {
+          label: "Availability misses",
+          key: "misses",
+          format: (value) => String(Math.round(value)),
+        },
+        {
+          label: "Time waiting for a unit",
+          key: "waitMinutes",
+          format: formatMinutes,
+        },
+      ]
+    : [];
+
+  return (
+    <Card>
+      <CardHeader
+        title="What-If Simulation"
+        subheader="Replay the selected period's demand against a proposed storage layout"
+      />
+      <CardContent>
+        <Box
+          sx={{
+            display: "flex",
+            gap: 2,
+            flexWrap: "wrap",
+            alignItems: "center",
+            mb: 2,
+          }}
+        >
+          <TimeFilterSelector
+            value={timeFilter}
+            onChange={setTimeFilter}
+            label="Period to replay"
+          />
+          {facility.multiFloor && (
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Floor</InputLabel>
+              <Select
+                value={floor ? floor.id : ""}
+                label="Floor"
+                onChange={(event) => setFloorId(event.target.value)}
+              >
+                {facility.floors.map((item) => (
+                  <MenuItem key={item.id} value={item.id}>
+                    {getFloorLabel(item)}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          )}
+          <Button variant="outlined" onClick={handleUseRecommendations}>
+            Use Recommended Placements
+          </Button>
+          <Button onClick={() => setChanges({})} disabled={movedCount === 0}>
+            Reset to Current
+          </Button>
+        </Box>
+
+        {!mapData ? (
+          <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : deviceIds.length === 0 ? (
+          <Typography variant="body1" sx={{ textAlign: "center", py: 4 }}>
+            No movements in the selected period. Import data or choose another
+            period to simulate.
+          </Typography>
+        ) : (
+          <>
+            <Typography variant="body2" color="textSecondary" paragraph>
+              Drag a unit to another room on the plan, or choose its room in the
+              list, to propose where it is kept. Each request is served by the
+              nearest unit in its room and returned there after use; when every
+              unit is out, the request is an availability miss and waits for the
+              first unit back.
+            </Typography>
+
+            <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+              <Box
+                sx={{
+                  flexGrow: 1,
+                  minWidth: 0,
+                  overflow: "auto",
+                  maxHeight: "70vh",
+                  border: 1,
+                  borderColor: "divider",
+                }}
+              >
+                <svg
+                  ref={svgRef}
+                  width={planSize[0] * PIXELS_PER_UNIT}
+                  height={planSize[1] * PIXELS_PER_UNIT}
+                  viewBox={`0 0 ${planSize[0]} ${planSize[1]}`}
+                  style={{ display: "block", touchAction: "none" }}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onPointerLeave={() => setDrag(null)}
+                >
+                  <image
+                    href={imageUrl || undefined}
+                    x={0}
+                    y={0}
+                    width={planSize[0]}
+                    height={planSize[1]}
+                    preserveAspectRatio="none"
+                    opacity={0.5}
+                  />
+
+                  {floor &&
+                    Object.entries(floor.rooms).map(([room, [x, y]]) => (
+                      <circle
+                        key={room}
+                        cx={x}
+                        cy={y}
+                        r={markerRadius}
+                        fill={unitsByRoom[room] ? "#616161" : "#bdbdbd"}
+                      >
+                        <title>{room}</title>
+                      </circle>
+                    ))}
+
+                  {Object.entries(unitsByRoom).map(([room, units]) => {
+                    const [x, y] = floor.rooms[room];
+                    return (
+                      <g key={`units-${room}`}>
+                        <text
+                          x={x - markerRadius * 1.5}
+                          y={y + labelSize / 3}
+                          fontSize={labelSize}
+                          textAnchor="end"
+                          fill="#212121"
+                          pointerEvents="none"
+                        >
+                          {room}
+                        </text>
+                        {units.map((deviceId, index) => (
+                          <rect
+                            key={deviceId}
+                            x={x + markerRadius * 1.5 + index * unitSize * 1.2}
+                            y={y - unitSize / 2}
+                            width={unitSize}
+                            height={unitSize}
+                            rx={0.4}
+                            fill={getColor(deviceId)}
+                            stroke={changes[deviceId] ? "#212121" : "#ffffff"}
+                            strokeWidth={changes[deviceId] ? 0.5 : 0.2}
+                            opacity={
+                              drag && drag.deviceId === deviceId ? 0.3 : 1
+                            }
+                            style={{ cursor: "grab" }}
+                            onPointerDown={(event) =>
+                              handleDevicePointerDown(event, deviceId)
+                            }
+                          >
+                            <title>{deviceId}</title>
+                          </rect>
+                        ))}
+                      </g>
+                    );
+                  })}
+
+                  {drag && (
+                    <rect
+                      x={drag.point[0] - unitSize / 2}
+                      y={drag.point[1] - unitSize / 2}
+                      width={unitSize}
+                      height={unitSize}
+                      rx={0.4}
+                      fill={getColor(drag.deviceId)}
+                      pointerEvents="none"
+                    />
+                  )}
+                </svg>
+              </Box>
+
+              <Box sx={{ width: 340, flexShrink: 0 }}>
+                <Box
+                  sx={{ display: "flex", gap: 0.5, flexWrap: "wrap", mb: 1 }}
+                >
+                  {deviceTypes.map((type) => (
+                    <Chip
+                      key={type}
+                      size="small"
+                      label={type}
+                      sx={{
+                        backgroundColor:
+                          TYPE_COLORS[
+                            deviceTypes.indexOf(type) % TYPE_COLORS.length
+                          ],
+                        color: "#ffffff",
+                      }}
+                    />
+                  ))}
+                </Box>
+                <TableContainer sx={{ maxHeight: "65vh" }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Unit</TableCell>
+                        <TableCell>Kept In</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {deviceIds.map((deviceId) => (
+                        <TableRow key={deviceId}>
+                          <TableCell>
+                            {deviceId}
+                            {changes[deviceId] && (
+                              <Typography
+                                variant="caption"
+                                color="text.secondary"
+                                display="block"
+                              >
+                                Now {currentLayout[deviceId]}
+                              </Typography>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <Select
+                              size="small"
+                              value={proposedLayout[deviceId]}
+                              onChange={(event) =>
+                                moveDevice(deviceId, event.target.value)
+                              }
+                              sx={{ minWidth: 120 }}
+                            >
+                              {!facility.positions[
+                                proposedLayout[deviceId]
+                              ] && (
+                                <MenuItem value={proposedLayout[deviceId]}>
+                                  {proposedLayout[deviceId]} (not on the plan)
+                                </MenuItem>
+                              )}
+                              {rooms.map((room) => (
+                                <MenuItem key={room} value={room}>
+                                  {room}
+                                </MenuItem>
+                              ))}
+                            </Select>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            </Box>
+
+            {comparison && (
+              <Box sx={{ mt: 3 }}>
+                <Typography variant="subtitle1" gutterBottom>
+                  {movedCount === 0
+                    ? "Current layout"
+                    : `Current layout compared with ${movedCount} unit${
+                        movedCount === 1 ? "" : "s"
+                      } moved`}
+                </Typography>
+                {comparison.before.total.unreachable > 0 && (
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    {comparison.before.total.unreachable} of{" "}
+                    {comparison.before.total.requests} requests were left out
+                    because no unit could be walked to them in one of the
+                    layouts. Check the map integrity for rooms missing from the
+                    map.
+                  </Alert>
+                )}
+                <TableContainer>
+                  <Table size="small" sx={{ maxWidth: 720 }}>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell />
+                        <TableCell align="right">Current</TableCell>
+                        <TableCell align="right">Proposed</TableCell>
+                        <TableCell align="right">Change</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {metrics.map(({ label, key, format }) => {
+                        const before = comparison.before.total[key];
+                        const after = comparison.after.total[key];
+                        return (
+                          <TableRow key={key}>
+                            <TableCell>{label}</TableCell>
+                            <TableCell align="right">
+                              {format(before)}
+                            </TableCell>
+                            <TableCell align="right">{format(after)}</TableCell>
+                            <TableCell
+                              align="right"
+                              sx={{
+                                color:
+                                  after < before
+                                    ? "success.main"
+                                    : after > before
+                                    ? "error.main"
+                                    : "text.secondary",
+                              }}
+                            >
+                              {formatChange(before, after, format)}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+
+                <TableContainer sx={{ mt: 2 }}>
+                  <Table size="small" sx={{ maxWidth: 720 }}>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Device Type</TableCell>
+                        <TableCell align="right">Requests</TableCell>
+                        <TableCell align="right">Walking</TableCell>
+                        <TableCell align="right">Misses</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {comparison.before.byType.map((before, index) => {
+                        const after = comparison.after.byType[index];
+                        return (
+                          <TableRow key={before.deviceType}>
+                            <TableCell>{before.deviceType}</TableCell>
+                            <TableCell align="right">
+                              {before.requests - before.unreachable}
+                            </TableCell>
+                            <TableCell align="right">
+                              {formatDistance(before.metres)} →{" "}
+                              {formatDistance(after.metres)}
+                            </TableCell>
+                            <TableCell align="right">
+                              {before.misses} → {after.misses}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Box>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default LayoutSimulator;
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useState } from "react";
 import {
   Paper,
   Typography,
@@ -6,6 +6,13 @@ import {
   Chip,
   Button,
   Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  Stack,
   useTheme,
 } from "@mui/material";
 import {
@@ -13,8 +20,58 @@ import {
   ShoppingCart as ShoppingCartIcon,
   Build as BuildIcon,
   Assessment as AssessmentIcon,
+  SwapHoriz as SwapHorizIcon,
   ArrowForward as ArrowForwardIcon,
 } from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import { formatDistance, formatMinutes } from "../shared/walkingModel";
+import { formatStockLevels } from "../shared/shifts";
+import {
+  STATUS_LABELS,
+  getRecommendationStatus,
+  isOpenRecommendation,
+} from "../shared/recommendationStatus";
+
+// Status changes offered for each status, with their button labels
+const STATUS_ACTIONS = {
+  new: [
+    { status: "accepted", label: "Accept" },
+    { status: "rejected", label: "Reject" },
+    { status: "snoozed", label: "Snooze" },
+  ],
+  accepted: [
+    { status: "in-progress", label: "Start" },
+    { status: "rejected", label: "Reject" },
+    { status: "snoozed", label: "Snooze" },
+  ],
+  "in-progress": [
+    { status: "rejected", label: "Reject" },
+    { status: "snoozed", label: "Snooze" },
+  ],
+  rejected: [{ status: "new", label: "Reopen" }],
+  snoozed: [{ status: "new", label: "Reopen" }],
+  implemented: [],
+};
+
+const STATUS_COLORS = {
+  new: "default",
+  accepted: "info",
+  "in-progress": "primary",
+  implemented: "success",
+  rejected: "error",
+  snoozed: "warning",
+};
+
+// Date input value a number of days from today
+const getDateInput = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+};
 
 /**
  * An enhanced component for displaying optimization recommendations
@@ -22,10 +79,47 @@ import {
  * @param {Object} props - Component props
  * @param {Object} props.recommendation - The recommendation data
  * @param {Function} [props.onImplement] - Callback when implement button is clicked
+ * @param {Function} [props.onStatusChange] - Called with the recommendation and
+ *   { status, reason, snoozedUntil } to change its status; resolves to
+ *   { success, message }
  * @returns {React.ReactElement} The RecommendationCard component
  */
-function RecommendationCard({ recommendation, onImplement }) {
+function RecommendationCard({ recommendation, onImplement, onStatusChange }) {
   const theme = useTheme();
+  const { walkingSpeed } = useDataContext().settings.walkingModel;
+  const status = getRecommendationStatus(recommendation);
+  const [statusChange, setStatusChange] = useState(null);
+  const [statusProblem, setStatusProblem] = useState(null);
+  const [savingStatus, setSavingStatus] = useState(false);
+
+  const openStatusChange = (action) => {
+    setStatusProblem(null);
+    setStatusChange({
+      ...action,
+      reason: "",
+      snoozedUntil: getDateInput(30),
+    });
+  };
+
+  const handleStatusSave = async () => {
+    setSavingStatus(true);
+    const result = await onStatusChange(recommendation, {
+      status: statusChange.status,
+      reason: statusChange.reason,
+      snoozedUntil:
+        statusChange.status === "snoozed"
+          ? new Date(`${statusChange.snoozedUntil}T00:00:00`).toISOString()
+          : null,
+    });
+    setSavingStatus(false);
+    if (result && result.success) {
+      setStatusChange(null);
+    } else {
+      setStatusProblem(
+        (result && result.message) || "Failed to update the recommendation"
+      );
+    }
+  };
 
   // Debug log the recommendation properties
   console.log("RecommendationCard received:", recommendation);
@@ -59,6 +153,8 @@ function RecommendationCard({ recommendation, onImplement }) {
         return <BuildIcon />;
       case "evaluation":
         return <AssessmentIcon />;
+      case "right-size":
+        return <SwapHorizIcon />;
       default:
         return <TrendingUpIcon />;
     }
@@ -75,6 +171,8 @@ function RecommendationCard({ recommendation, onImplement }) {
         return theme.palette.warning.main;
       case "evaluation":
         return theme.palette.secondary.main;
+      case "right-size":
+        return theme.palette.info.main;
       default:
         return theme.palette.primary.main;
     }
@@ -91,6 +189,8 @@ function RecommendationCard({ recommendation, onImplement }) {
         return "Maintenance";
       case "evaluation":
         return "Evaluation";
+      case "right-size":
+        return "Right-Sizing";
       default:
         return "Optimization";
     }
@@ -140,17 +240,24 @@ function RecommendationCard({ recommendation, onImplement }) {
             {recommendation.title}
           </Typography>
         </Box>
-        <Chip
-          label={getTypeLabel()}
-          size="small"
-          sx={{
-            backgroundColor: `${getColor()}20`, // 20% opacity
-            color: getColor(),
-            borderColor: getColor(),
-            fontWeight: "medium",
-          }}
-          variant="outlined"
-        />
+        <Box sx={{ display: "flex", gap: 1 }}>
+          <Chip
+            label={STATUS_LABELS[status]}
+            size="small"
+            color={STATUS_COLORS[status]}
+          />
+          <Chip
+            label={getTypeLabel()}
+            size="small"
+            sx={{
+              backgroundColor: `${getColor()}20`, // 20% opacity
+              color: getColor(),
+              borderColor: getColor(),
+              fontWeight: "medium",
+            }}
+            variant="outlined"
+          />
+        </Box>
       </Box>
 
       <Divider />
@@ -166,6 +273,23 @@ function RecommendationCard({ recommendation, onImplement }) {
         >
           {recommendation.description}
         </Typography>
+        {recommendation.statusChangedAt && (
+          <Typography variant="caption" color="text.secondary" display="block">
+            {STATUS_LABELS[recommendation.status]}
+            {recommendation.statusChangedBy
+              ? ` by ${recommendation.statusChangedBy}`
+              : ""}{" "}
+            on {new Date(recommendation.statusChangedAt).toLocaleDateString()}
+            {recommendation.status === "snoozed" && recommendation.snoozedUntil
+              ? `, until ${new Date(
+                  recommendation.snoozedUntil
+                ).toLocaleDateString()}`
+              : ""}
+            {recommendation.statusReason
+              ? `: ${recommendation.statusReason}`
+              : ""}
+          </Typography>
+        )}
       </Box>
 
       <Divider />
@@ -193,9 +317,9 @@ function RecommendationCard({ recommendation, onImplement }) {
             >
               Potential Savings:{" "}
               {recommendation.hoursSaved !== undefined
-                ? `~${parseFloat(recommendation.hoursSaved).toFixed(
-                    1
-                  )} hours/month`
+                ? `~${formatMinutes(
+                    parseFloat(recommendation.hoursSaved) * 60
+                  )}/month`
                 : recommendation.savings}
             </Typography>
             {/* Display time savings information */}
@@ -223,8 +347,9 @@ function RecommendationCard({ recommendation, onImplement }) {
                       ml: 1,
                     }}
                   >
-                    • {parseFloat(recommendation.hoursSaved).toFixed(1)} hours
-                    saved per month
+                    •{" "}
+                    {formatMinutes(parseFloat(recommendation.hoursSaved) * 60)}{" "}
+                    of walking saved per month
                   </Typography>
                   <Typography
                     variant="caption"
@@ -245,7 +370,8 @@ function RecommendationCard({ recommendation, onImplement }) {
                       ml: 1,
                     }}
                   >
-                    • Walking speed: 3.5 feet/second (210 feet/minute)
+                    • Walking speed: {walkingSpeed.toFixed(2)} m/s (
+                    {Math.round(walkingSpeed * 60)} m/minute)
                   </Typography>
                   {recommendation.currentTotalDistance > 0 &&
                     recommendation.optimalTotalDistance > 0 && (
@@ -270,7 +396,7 @@ function RecommendationCard({ recommendation, onImplement }) {
                           }}
                         >
                           • Current Location:{" "}
-                          {Math.round(recommendation.currentTotalDistance)} feet
+                          {formatDistance(recommendation.currentTotalDistance)}{" "}
                           total distance
                         </Typography>
                         <Typography
@@ -282,7 +408,7 @@ function RecommendationCard({ recommendation, onImplement }) {
                           }}
                         >
                           • Optimal Location:{" "}
-                          {Math.round(recommendation.optimalTotalDistance)} feet
+                          {formatDistance(recommendation.optimalTotalDistance)}{" "}
                           total distance
                         </Typography>
                         {recommendation.bestOverallLocation && (
@@ -296,10 +422,9 @@ function RecommendationCard({ recommendation, onImplement }) {
                           >
                             • Best Overall Location (
                             {recommendation.bestOverallLocation}):{" "}
-                            {Math.round(
+                            {formatDistance(
                               recommendation.overallTotalDistance || 0
-                            )}{" "}
-                            feet
+                            )}
                           </Typography>
                         )}
                         <Typography
@@ -311,18 +436,104 @@ function RecommendationCard({ recommendation, onImplement }) {
                           }}
                         >
                           • Distance Saved:{" "}
-                          {Math.round(recommendation.distanceSaved)} feet (
-                          {Math.round(recommendation.percentImprovement)}%
+                          {formatDistance(recommendation.distanceSaved)} a month
+                          ({Math.round(recommendation.percentImprovement)}%
                           reduction)
                         </Typography>
                       </>
                     )}
+                  {recommendation.parLocations &&
+                    recommendation.parLocations.length > 0 && (
+                      <Typography
+                        variant="caption"
+                        sx={{
+                          display: "block",
+                          color: "text.secondary",
+                          mt: 0.5,
+                        }}
+                      >
+                        Par locations for {recommendation.deviceType} (
+                        {recommendation.parCountAutomatic
+                          ? "count chosen automatically"
+                          : "count set in Settings"}
+                        ):{" "}
+                        {recommendation.parLocations
+                          .map(
+                            ({ location, units, capacity }) =>
+                              `${location} (${units} unit${
+                                units === 1 ? "" : "s"
+                              }${capacity ? ` of ${capacity}` : ""})`
+                          )
+                          .join(", ")}
+                      </Typography>
+                    )}
+                  {recommendation.shiftPlan && (
+                    <>
+                      <Typography
+                        variant="caption"
+                        sx={{
+                          display: "block",
+                          color: "text.secondary",
+                          mt: 0.5,
+                          fontWeight: "medium",
+                        }}
+                      >
+                        Par locations by shift:
+                      </Typography>
+                      {recommendation.shiftPlan.segments.map((segment) => (
+                        <Typography
+                          key={segment.key}
+                          variant="caption"
+                          sx={{
+                            display: "block",
+                            color: "text.secondary",
+                            ml: 1,
+                          }}
+                        >
+                          • {segment.label}:{" "}
+                          {formatStockLevels(segment.locations)}
+                        </Typography>
+                      ))}
+                      <Typography
+                        variant="caption"
+                        sx={{
+                          display: "block",
+                          color: "text.secondary",
+                          ml: 1,
+                        }}
+                      >
+                        • Moving stock at shift changes: ~
+                        {formatMinutes(
+                          recommendation.shiftPlan.restockMinutesPerMonth
+                        )}{" "}
+                        a month (
+                        {Math.round(
+                          recommendation.shiftPlan.restockMovesPerMonth
+                        )}{" "}
+                        moves)
+                      </Typography>
+                    </>
+                  )}
+                  {recommendation.constraints &&
+                    recommendation.constraints.map((note) => (
+                      <Typography
+                        key={note}
+                        variant="caption"
+                        sx={{
+                          display: "block",
+                          color: "warning.main",
+                          ml: 1,
+                        }}
+                      >
+                        • {note}
+                      </Typography>
+                    ))}
                 </>
               )}
           </Box>
         </Box>
 
-        {onImplement && (
+        {onImplement && isOpenRecommendation(recommendation) && (
           <Button
             size="small"
             variant="contained"
@@ -344,6 +555,95 @@ function RecommendationCard({ recommendation, onImplement }) {
           </Button>
         )}
       </Box>
+
+      {onStatusChange && STATUS_ACTIONS[status].length > 0 && (
+        <>
+          <Divider />
+          <Box sx={{ display: "flex", gap: 1, px: 2, py: 1 }}>
+            {STATUS_ACTIONS[status].map((action) => (
+              <Button
+                key={action.status}
+                size="small"
+                color={action.status === "rejected" ? "error" : "primary"}
+                onClick={() => openStatusChange(action)}
+              >
+                {action.label}
+              </Button>
+            ))}
+          </Box>
+        </>
+      )}
+
+      <Dialog
+        open={Boolean(statusChange)}
+        onClose={() => setStatusChange(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {statusChange && `${statusChange.label}: ${recommendation.title}`}
+        </DialogTitle>
+        <DialogContent>
+          {statusProblem && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {statusProblem}
+            </Alert>
+          )}
+          {statusChange && (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              {statusChange.status === "snoozed" && (
+                <TextField
+                  size="small"
+                  label="Snooze until"
+                  type="date"
+                  value={statusChange.snoozedUntil}
+                  onChange={(event) =>
+                    setStatusChange((prev) => ({
+                      ...prev,
+                      snoozedUntil: event.target.value,
+                    }))
+                  }
+                  InputLabelProps={{ shrink: true }}
+                />
+              )}
+              <TextField
+                size="small"
+                label={
+                  statusChange.status === "rejected"
+                    ? "Reason"
+                    : "Reason (optional)"
+                }
+                required={statusChange.status === "rejected"}
+                multiline
+                minRows={2}
+                value={statusChange.reason}
+                onChange={(event) =>
+                  setStatusChange((prev) => ({
+                    ...prev,
+                    reason: event.target.value,
+                  }))
+                }
+                autoFocus
+              />
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setStatusChange(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleStatusSave}
+            disabled={
+              savingStatus ||
+              (statusChange &&
+                statusChange.status === "rejected" &&
+                !statusChange.reason.trim())
+            }
+          >
+            {statusChange && statusChange.label}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Paper>
   );
 }
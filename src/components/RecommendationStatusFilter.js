@@ -0,0 +1,51 @@
+import React from "react";
+import { FormControl, InputLabel, Select, MenuItem } from "@mui/material";
+import {
+  RECOMMENDATION_STATUSES,
+  STATUS_LABELS,
+  matchesStatusFilter,
+} from "../shared/recommendationStatus";
+
+/**
+ * Recommendation status filter shared by the dashboard and the optimization view
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - "open", "all" or a recommendation status
+ * @param {Function} props.onChange - Callback with the new filter
+ * @param {Array} [props.recommendations] - Recommendations to count for each option
+ * @param {string} [props.size] - Size of the select field
+ * @returns {React.ReactElement} The RecommendationStatusFilter component
+ */
+function RecommendationStatusFilter({
+  value,
+  onChange,
+  recommendations = [],
+  size = "small",
+}) {
+  const now = new Date();
+  const count = (filter) =>
+    recommendations.filter((recommendation) =>
+      matchesStatusFilter(recommendation, filter, now)
+    ).length;
+
+  return (
+    <FormControl size={size} sx={{ minWidth: 200 }}>
+      <InputLabel>Status</InputLabel>
+      <Select
+        value={value}
+        label="Status"
+        onChange={(event) => onChange(event.target.value)}
+      >
+        <MenuItem value="open">Open ({count("open")})</MenuItem>
+        {RECOMMENDATION_STATUSES.map((status) => (
+          <MenuItem key={status} value={status}>
+            {STATUS_LABELS[status]} ({count(status)})
+          </MenuItem>
+        ))}
+        <MenuItem value="all">All ({recommendations.length})</MenuItem>
+      </Select>
+    </FormControl>
+  );
+}
+
+export default RecommendationStatusFilter;
@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from "react";
 import { useDataContext } from "../context/DataContext";
+import {
+  getDateKey,
+  getMonthKey,
+  getQuarterKey,
+  getZonedParts,
+  getSystemTimeZone,
+} from "../shared/timezone";
 import {
   Box,
   ToggleButtonGroup,
@@ -33,7 +40,8 @@ function TimeFilterSelector({ value, onChange, label, availableDates = [] }) {
   const [availableDays, setAvailableDays] = useState([]);
 
   // Use DataContext to access movements data if availableDates is not provided
-  const { movements = [] } = useDataContext() || {};
+  const { movements = [], settings } = useDataContext() || {};
+  const timeZone = settings ? settings.facilityTimezone : getSystemTimeZone();
 
   // Process available dates to extract years, months, quarters, and days
   useEffect(() => {
@@ -44,89 +52,30 @@ function TimeFilterSelector({ value, onChange, label, availableDates = [] }) {
         : movements.map((m) => m.timeIn || m.In || m.date).filter(Boolean);
 
     if (datesToProcess && datesToProcess.length > 0) {
+      // Bucket the dates in the facility timezone; invalid dates give null
+      const getUniqueKeys = (getKey) =>
+        [...new Set(datesToProcess.map((date) => getKey(date, timeZone)))]
+          .filter(Boolean) // Remove null values
+          .sort();
+
       // Extract unique years
-      const years = [
-        ...new Set(
-          datesToProcess.map((date) => {
-            if (!date) return null;
-            try {
-              const d = new Date(date);
-              if (isNaN(d.getTime())) return null;
-              return d.getFullYear();
-            } catch (e) {
-              console.warn("Invalid date encountered:", date);
-              return null;
-            }
-          })
-        ),
-      ].filter(Boolean); // Remove null values
+      const years = getUniqueKeys((date, zone) => {
+        const parts = getZonedParts(date, zone);
+        return parts ? parts.year : null;
+      });
       years.sort((a, b) => a - b);
       setAvailableYears(years);
 
       // Extract unique months (in format YYYY-MM)
-      const months = [
-        ...new Set(
-          datesToProcess.map((date) => {
-            if (!date) return null;
-            try {
-              const d = new Date(date);
-              if (isNaN(d.getTime())) return null;
-              return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
-                2,
-                "0"
-              )}`;
-            } catch (e) {
-              console.warn("Invalid date encountered:", date);
-              return null;
-            }
-          })
-        ),
-      ].filter(Boolean); // Remove null values
-      months.sort();
-      setAvailableMonths(months);
+      setAvailableMonths(getUniqueKeys(getMonthKey));
 
       // Extract unique quarters (in format YYYY-Q#)
-      const quarters = [
-        ...new Set(
-          datesToProcess.map((date) => {
-            if (!date) return null;
-            try {
-              const d = new Date(date);
-              if (isNaN(d.getTime())) return null;
-              const quarter = Math.floor(d.getMonth() / 3) + 1;
-              return `${d.getFullYear()}-Q${quarter}`;
-            } catch (e) {
-              console.warn("Invalid date encountered:", date);
-              return null;
-            }
-          })
-        ),
-      ].filter(Boolean); // Remove null values
-      quarters.sort();
-      setAvailableQuarters(quarters);
+      setAvailableQuarters(getUniqueKeys(getQuarterKey));
 
       // Extract unique days (in format YYYY-MM-DD)
-      const days = [
-        ...new Set(
-          datesToProcess.map((date) => {
-            // Skip invalid dates
-            if (!date) return null;
-            try {
-              const d = new Date(date);
-              // Check if date is valid
-              if (isNaN(d.getTime())) return null;
-              return d.toISOString().split("T")[0];
-            } catch (e) {
-              console.warn("Invalid date encountered:", date);
-              return null;
-            }
-          })
-        ),
-      ].filter(Boolean); // Remove null values
-      days.sort();
-      setAvailableDays(days);
+      setAvailableDays(getUniqueKeys(getDateKey));
     }
-  }, [availableDates, movements]);
+  }, [availableDates, movements, timeZone]);
 
   // Handle mode change
   const handleModeChange = (event, newMode) => {
@@ -203,11 +152,13 @@ function TimeFilterSelector({ value, onChange, label, availableDates = [] }) {
 
   // Format day display (YYYY-MM-DD to Month DD, YYYY)
   const formatDay = (dayStr) => {
-    const date = new Date(dayStr);
+    // The key is a calendar day, so format it as UTC midnight to keep the date
+    const date = new Date(`${dayStr}T00:00:00Z`);
     return date.toLocaleDateString("en-US", {
       year: "numeric",
       month: "long",
       day: "numeric",
+      timeZone: "UTC",
     });
   };
 
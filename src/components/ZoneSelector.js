@@ -0,0 +1,79 @@
+import React from "react";
+import { Box, FormControl, InputLabel, Select, MenuItem } from "@mui/material";
+import { useDataContext } from "../context/DataContext";
+import { ZONE_LEVELS, getZoneLevelLabel, getZoneLabel } from "../shared/zones";
+
+/**
+ * Zone filter and grouping controls shared by the analysis views
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.zoneId] - The selected zone, or "" for all zones
+ * @param {Function} [props.onZoneChange] - Callback with the new zone ID; the
+ *   zone filter is only shown when given
+ * @param {string} [props.groupLevel] - The zone level to group by, or "" for rooms
+ * @param {Function} [props.onGroupLevelChange] - Callback with the new level; the
+ *   grouping control is only shown when given
+ * @param {string} [props.size] - Size of the select fields
+ * @returns {React.ReactElement} The ZoneSelector component
+ */
+function ZoneSelector({
+  zoneId,
+  onZoneChange,
+  groupLevel,
+  onGroupLevelChange,
+  size = "small",
+}) {
+  const { zoneIndex } = useDataContext();
+
+  return (
+    <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap" }}>
+      {onZoneChange && (
+        <FormControl size={size} sx={{ minWidth: 240 }}>
+          <InputLabel>Zone</InputLabel>
+          <Select
+            value={zoneIndex.byId[zoneId] ? zoneId : ""}
+            label="Zone"
+            onChange={(event) => onZoneChange(event.target.value)}
+            renderValue={(value) => getZoneLabel(zoneIndex, value)}
+          >
+            <MenuItem value="">All zones</MenuItem>
+            {zoneIndex.ordered.map(({ zone, depth }) => (
+              <MenuItem
+                key={zone._id}
+                value={zone._id}
+                sx={{ pl: 2 + depth * 2 }}
+              >
+                {zone.name}
+                <Box
+                  component="span"
+                  sx={{ ml: 1, color: "text.secondary", fontSize: "0.75rem" }}
+                >
+                  {getZoneLevelLabel(zone.level)}
+                </Box>
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+      {onGroupLevelChange && (
+        <FormControl size={size} sx={{ minWidth: 180 }}>
+          <InputLabel>Group by</InputLabel>
+          <Select
+            value={groupLevel || ""}
+            label="Group by"
+            onChange={(event) => onGroupLevelChange(event.target.value)}
+          >
+            <MenuItem value="">Room</MenuItem>
+            {ZONE_LEVELS.map((level) => (
+              <MenuItem key={level.id} value={level.id}>
+                {level.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+    </Box>
+  );
+}
+
+export default ZoneSelector;
@@ -1,37 +1,115 @@
-import React, { createContext, useContext, useState, useEffect } from "react";
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useMemo,
+  useCallback,
+} from "react";
+import {
+  getSystemTimeZone,
+  parseTimestamp,
+  getZonedParts,
+  zonedTimeToUtc,
+  getDateKey,
+  getMonthKey,
+  getQuarterKey,
+} from "../shared/timezone";
+import { analyzeDataQuality } from "../shared/dataQuality";
+import { getLatestMaintenance } from "../shared/maintenance";
+import {
+  DEFAULT_DEVICE_TYPE_PATTERN,
+  extractDeviceType,
+  createDeviceTypeResolver,
+  normalizeCatalogEntry,
+} from "../shared/deviceCatalog";
+import { DEFAULT_WALKING_MODEL } from "../shared/walkingModel";
+import { indexZones, validateZone } from "../shared/zones";
+import { validateStorageLocation } from "../shared/storageLocations";
+import { DEFAULT_SHIFT_PLANNING } from "../shared/shifts";
+import { DEFAULT_SERVICE_LEVEL } from "../shared/fleetSizing";
+import { DEFAULT_MAINTENANCE_COST_RATE } from "../shared/rightSizing";
+import { DEFAULT_FORECAST_HORIZON_DAYS } from "../shared/forecasting";
+import {
+  DEFAULT_VERIFICATION_DAYS,
+  getVerificationWindows,
+  verifySavings,
+  getCountedHoursPerMonth,
+} from "../shared/verification";
+import { getRouter } from "../shared/routing";
+import { getSameFloorDistance } from "../shared/facility";
+import {
+  isOpenRecommendation,
+  validateStatusChange,
+  applyStatusChange,
+  mergeGeneratedRecommendations,
+} from "../shared/recommendationStatus";
+import mapDataService from "../services/MapDataService";
+
+// Start of a standard time period (today, this month, last 3 months, last year)
+// in the facility timezone
+const getPeriodStart = (mode, timeZone) => {
+  const today = getZonedParts(new Date(), timeZone);
+  const { year, month, day } = today;
 
-// Helper function to handle standard time periods (today, this month, last 3 months, last year)
-const handleStandardTimePeriod = (mode, movements, setFilteredMovements) => {
-  const now = new Date();
-  let startDate = new Date(0); // Default to epoch start (all data)
-
-  // Calculate start date based on selected time filter mode
   if (mode === "day") {
-    startDate = new Date(now);
-    startDate.setHours(0, 0, 0, 0); // Start of today
+    return zonedTimeToUtc({ year, month, day }, timeZone); // Start of today
   } else if (mode === "month") {
-    startDate = new Date(now);
-    startDate.setDate(1); // Start of current month
-    startDate.setHours(0, 0, 0, 0);
+    return zonedTimeToUtc({ year, month, day: 1 }, timeZone); // Start of current month
   } else if (mode === "3months" || mode === "quarter") {
-    startDate = new Date(now);
-    startDate.setMonth(startDate.getMonth() - 3); // 3 months ago
-    startDate.setHours(0, 0, 0, 0);
+    return zonedTimeToUtc({ year, month: month - 3, day }, timeZone); // 3 months ago
   } else if (mode === "year") {
-    startDate = new Date(now);
-    startDate.setFullYear(startDate.getFullYear() - 1); // 1 year ago
-    startDate.setHours(0, 0, 0, 0);
+    return zonedTimeToUtc({ year: year - 1, month, day }, timeZone); // 1 year ago
   }
 
+  return new Date(0); // Default to epoch start (all data)
+};
+
+// Helper function to handle standard time periods (today, this month, last 3 months, last year)
+const handleStandardTimePeriod = (
+  mode,
+  movements,
+  setFilteredMovements,
+  timeZone
+) => {
+  const startDate = getPeriodStart(mode, timeZone);
+
   // Filter movements by date
   const filtered = movements.filter((movement) => {
-    const movementDate = new Date(movement.timeIn || movement.In || 0);
+    const movementDate = parseTimestamp(
+      movement.timeIn || movement.In || 0,
+      timeZone
+    );
     return movementDate >= startDate;
   });
 
   setFilteredMovements(filtered);
 };
 
+// Specific day, month, quarter or year selected in the time filter, with the
+// function that buckets a timestamp the same way in the facility timezone
+const getSelectedPeriod = (timeFilter, mode) => {
+  if (typeof timeFilter !== "object") return null;
+
+  if (mode === "day" && timeFilter.day) {
+    return { key: timeFilter.day, getKey: getDateKey };
+  } else if (mode === "month" && timeFilter.month) {
+    return { key: timeFilter.month, getKey: getMonthKey };
+  } else if (mode === "quarter" && timeFilter.quarter) {
+    return { key: timeFilter.quarter, getKey: getQuarterKey };
+  } else if (mode === "year" && timeFilter.year) {
+    return {
+      key: String(timeFilter.year),
+      getKey: (value, timeZone) => {
+        const parts = getZonedParts(value, timeZone);
+        return parts ? String(parts.year) : null;
+      },
+    };
+  }
+
+  return null;
+};
+
 // Create context
 const DataContext = createContext();
 
@@ -55,6 +133,54 @@ const parseHoursSaved = (savingsString) => {
   return 0;
 };
 
+// Hours a month a recommendation projected, from its savings text if it
+// has no hours of its own
+const getProjectedHours = (item) =>
+  item.hoursSaved !== undefined
+    ? parseFloat(item.hoursSaved || 0)
+    : parseHoursSaved(item.impact || item.savings || "");
+
+// Optimization history entry of a recommendation implemented at a time,
+// with the windows its realised savings are measured over
+const createHistoryEntry = (
+  recommendation,
+  implementedAt,
+  getDeviceType,
+  verificationDays
+) => ({
+  date: implementedAt,
+  type: recommendation.type,
+  description: recommendation.description,
+  impact: recommendation.savings,
+  hoursSaved: getProjectedHours(recommendation),
+  distanceSaved: recommendation.distanceSaved || 0,
+  movementsPerMonth: recommendation.movementsPerMonth || 0,
+  deviceId: recommendation.deviceId,
+  deviceType:
+    recommendation.deviceType ||
+    (recommendation.deviceId ? getDeviceType(recommendation.deviceId) : null),
+  ...getVerificationWindows(implementedAt, verificationDays),
+  implemented: true,
+});
+
+// Hours and money saved by history entries, counting what the verified ones
+// realised (at $50/hour labor cost)
+const getTotalSavings = (entries, verificationByEntry) => {
+  const hours = entries.reduce(
+    (sum, entry) =>
+      sum +
+      getCountedHoursPerMonth(
+        verificationByEntry.get(entry),
+        getProjectedHours(entry)
+      ),
+    0
+  );
+  return {
+    hours: parseFloat(hours.toFixed(2)),
+    money: parseFloat((hours * 50).toFixed(2)),
+  };
+};
+
 // Custom hook to use the data context
 export const useDataContext = () => useContext(DataContext);
 
@@ -65,19 +191,103 @@ export const DataProvider = ({ children }) => {
   const [locations, setLocations] = useState([]);
   const [movements, setMovements] = useState([]);
   const [filteredMovements, setFilteredMovements] = useState([]);
+  const [dwells, setDwells] = useState([]);
+  const [filteredDwells, setFilteredDwells] = useState([]);
   const [recommendations, setRecommendations] = useState([]);
   const [optimizationHistory, setOptimizationHistory] = useState([]);
   const [filteredOptimizationHistory, setFilteredOptimizationHistory] =
     useState([]);
-  const [totalSavings, setTotalSavings] = useState({ hours: 0, money: 0 });
   const [filteredTotalSavings, setFilteredTotalSavings] = useState({
     hours: 0,
     money: 0,
   });
   const [timeFilter, setTimeFilter] = useState("all");
+  const [mappingProfiles, setMappingProfiles] = useState([]);
+  const [maintenanceEvents, setMaintenanceEvents] = useState([]);
+  const [zones, setZones] = useState([]);
+  const [storageLocations, setStorageLocations] = useState([]);
+  const [settings, setSettings] = useState({
+    facilityTimezone: getSystemTimeZone(),
+    deviceTypePattern: DEFAULT_DEVICE_TYPE_PATTERN,
+    walkingModel: DEFAULT_WALKING_MODEL,
+    parLocationCounts: {},
+    shiftPlanning: DEFAULT_SHIFT_PLANNING,
+    serviceLevel: DEFAULT_SERVICE_LEVEL,
+    maintenanceCostRate: DEFAULT_MAINTENANCE_COST_RATE,
+    verificationDays: DEFAULT_VERIFICATION_DAYS,
+    forecastHorizonDays: DEFAULT_FORECAST_HORIZON_DAYS,
+  });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Device type of any device ID: the catalog type, or the type pattern's
+  const getDeviceType = useMemo(
+    () => createDeviceTypeResolver(devices, settings.deviceTypePattern),
+    [devices, settings.deviceTypePattern]
+  );
+
+  // Zone lookups shared by the views that filter and group by zone
+  const zoneIndex = useMemo(() => indexZones(zones), [zones]);
+
+  // Routing graph and floor plan that staff walking is measured along
+  const [mapData, setMapData] = useState(null);
+  useEffect(() => {
+    mapDataService
+      .load()
+      .then(setMapData)
+      .catch((error) => console.error("Error loading map data:", error));
+  }, []);
+
+  // Walking distance as placement recommendations measure it
+  const getDistance = useMemo(() => {
+    if (!mapData) return () => null;
+    const router = getRouter(mapData.graphData);
+    return (from, to) => {
+      const distance = router.getDistance(from, to);
+      return distance !== null
+        ? distance
+        : getSameFloorDistance(mapData.floorPlan, from, to);
+    };
+  }, [mapData]);
+
+  // Realised against projected savings of each implemented recommendation,
+  // in the order of optimizationHistory
+  const savingsVerification = useMemo(() => {
+    const analysisMovements = movements.filter(
+      (movement) => !movement.excludedFromAnalysis
+    );
+    return optimizationHistory.map((entry) =>
+      verifySavings(entry, analysisMovements, {
+        getDeviceType,
+        getDistance,
+        walkingModel: settings.walkingModel,
+      })
+    );
+  }, [
+    optimizationHistory,
+    movements,
+    getDeviceType,
+    getDistance,
+    settings.walkingModel,
+  ]);
+  const verificationByEntry = useMemo(
+    () =>
+      new Map(
+        optimizationHistory.map((entry, index) => [
+          entry,
+          savingsVerification[index],
+        ])
+      ),
+    [optimizationHistory, savingsVerification]
+  );
+
+  // Savings of every implemented recommendation: realised once verified,
+  // projected until then, and nothing for those that did not pay off
+  const totalSavings = useMemo(
+    () => getTotalSavings(optimizationHistory, verificationByEntry),
+    [optimizationHistory, verificationByEntry]
+  );
+
   // Load initial data
   useEffect(() => {
     const loadData = async () => {
@@ -88,19 +298,7 @@ export const DataProvider = ({ children }) => {
         try {
           const savedHistory = localStorage.getItem("optimizationHistory");
           if (savedHistory) {
-            const history = JSON.parse(savedHistory);
-            setOptimizationHistory(history);
-
-            // Calculate total savings
-            let totalHours = 0;
-            history.forEach((item) => {
-              totalHours += parseFloat(item.hoursSaved || 0);
-            });
-
-            // Convert hours to money (assuming $50/hour labor cost)
-            const totalMoney = totalHours * 50;
-
-            setTotalSavings({ hours: totalHours, money: totalMoney });
+            setOptimizationHistory(JSON.parse(savedHistory));
           }
         } catch (err) {
           console.error("Error loading optimization history:", err);
@@ -108,17 +306,29 @@ export const DataProvider = ({ children }) => {
 
         // Check if we're running in Electron
         if (window.electron) {
+          setSettings(await window.electron.getSettings());
+
           // Load data from database
           const devicesData = await window.electron.getDevices();
           const locationsData = await window.electron.getLocations();
           const movementsData = await window.electron.getMovements();
+          const dwellsData = await window.electron.getDwells();
           const recommendationsData =
             await window.electron.getRecommendations();
+          const maintenanceEventsData =
+            await window.electron.getMaintenanceEvents();
+          const zonesData = await window.electron.getZones();
+          const storageLocationsData =
+            await window.electron.getStorageLocations();
 
           setDevices(devicesData);
           setLocations(locationsData);
           setMovements(movementsData);
+          setDwells(dwellsData);
           setRecommendations(recommendationsData);
+          setMaintenanceEvents(maintenanceEventsData);
+          setZones(zonesData);
+          setStorageLocations(storageLocationsData);
 
           // Set combined data for backward compatibility
           setData([...movementsData]);
@@ -126,6 +336,18 @@ export const DataProvider = ({ children }) => {
           // For development without Electron, load sample data from CSV
           console.log("Running in development mode, loading sample data");
 
+          try {
+            const savedSettings = localStorage.getItem("settings");
+            if (savedSettings) {
+              setSettings((prev) => ({
+                ...prev,
+                ...JSON.parse(savedSettings),
+              }));
+            }
+          } catch (err) {
+            console.error("Error loading settings:", err);
+          }
+
           try {
             // Load sample data from CSV file
             const loadSampleData = async () => {
@@ -186,13 +408,26 @@ export const DataProvider = ({ children }) => {
                 setMovements(processedMovements);
                 setData(processedMovements);
 
+                // Each sample row is a stay in one room
+                setDwells(
+                  processedMovements.map((movement, index) => ({
+                    _id: `dev_dwell_${index}`,
+                    deviceId: movement.deviceId,
+                    locationId: movement.Location,
+                    status: movement.Status,
+                    timeIn: movement.In,
+                    timeOut: movement.Out,
+                  }))
+                );
+
                 // Extract unique devices
                 const uniqueDevices = [
                   ...new Set(processedMovements.map((m) => m.deviceId)),
                 ];
                 const devicesData = uniqueDevices.map((deviceId) => ({
                   deviceId,
-                  deviceType: deviceId.split("-")[0],
+                  deviceType: extractDeviceType(deviceId),
+                  typeSource: "rule",
                   status: "Available",
                 }));
 
@@ -212,6 +447,7 @@ export const DataProvider = ({ children }) => {
                 setDevices([]);
                 setLocations([]);
                 setMovements([]);
+                setDwells([]);
                 setRecommendations([]);
                 setData([]);
               }
@@ -224,6 +460,7 @@ export const DataProvider = ({ children }) => {
             setDevices([]);
             setLocations([]);
             setMovements([]);
+            setDwells([]);
             setRecommendations([]);
             setData([]);
           }
@@ -244,211 +481,95 @@ export const DataProvider = ({ children }) => {
     // Extract mode from timeFilter (handle both string and object formats)
     const mode =
       typeof timeFilter === "string" ? timeFilter : timeFilter.mode || "all";
+    const timeZone = settings.facilityTimezone;
+    const selectedPeriod = getSelectedPeriod(timeFilter, mode);
 
-    // Filter movements based on time period
-    if (movements && movements.length > 0) {
-      const now = new Date();
-      let startDate = new Date(0); // Default to epoch start (all data)
-
-      // Handle specific date selections if timeFilter is an object
-      if (typeof timeFilter === "object") {
-        if (mode === "day" && timeFilter.day) {
-          // If a specific day is selected, use that day
-          startDate = new Date(timeFilter.day);
-          const endDate = new Date(startDate);
-          endDate.setDate(endDate.getDate() + 1); // End of the selected day
-
-          // Filter movements for the specific day
-          const filtered = movements.filter((movement) => {
-            const movementDate = new Date(movement.timeIn || movement.In || 0);
-            return movementDate >= startDate && movementDate < endDate;
-          });
-
-          setFilteredMovements(filtered);
-        } else if (mode === "month" && timeFilter.month) {
-          // If a specific month is selected, use that month
-          const [year, month] = timeFilter.month.split("-");
-          startDate = new Date(parseInt(year), parseInt(month) - 1, 1); // Start of the selected month
-          const endDate = new Date(parseInt(year), parseInt(month), 0); // End of the selected month
-          endDate.setHours(23, 59, 59, 999);
-
-          // Filter movements for the specific month
-          const filtered = movements.filter((movement) => {
-            const movementDate = new Date(movement.timeIn || movement.In || 0);
-            return movementDate >= startDate && movementDate <= endDate;
-          });
-
-          setFilteredMovements(filtered);
-        } else if (mode === "quarter" && timeFilter.quarter) {
-          // If a specific quarter is selected, use that quarter
-          const [year, quarterStr] = timeFilter.quarter.split("-");
-          const quarter = parseInt(quarterStr.substring(1));
-          const startMonth = (quarter - 1) * 3;
-          startDate = new Date(parseInt(year), startMonth, 1); // Start of the selected quarter
-          const endDate = new Date(parseInt(year), startMonth + 3, 0); // End of the selected quarter
-          endDate.setHours(23, 59, 59, 999);
-
-          // Filter movements for the specific quarter
-          const filtered = movements.filter((movement) => {
-            const movementDate = new Date(movement.timeIn || movement.In || 0);
-            return movementDate >= startDate && movementDate <= endDate;
-          });
-
-          setFilteredMovements(filtered);
-        } else if (mode === "year" && timeFilter.year) {
-          // If a specific year is selected, use that year
-          startDate = new Date(timeFilter.year, 0, 1); // Start of the selected year
-          const endDate = new Date(timeFilter.year, 11, 31, 23, 59, 59, 999); // End of the selected year
+    // Records excluded on the data quality view are left out of every analysis
+    const analysisMovements = movements.filter(
+      (movement) => !movement.excludedFromAnalysis
+    );
+    const analysisDwells = dwells.filter(
+      (dwell) => !dwell.excludedFromAnalysis
+    );
 
-          // Filter movements for the specific year
-          const filtered = movements.filter((movement) => {
-            const movementDate = new Date(movement.timeIn || movement.In || 0);
-            return movementDate >= startDate && movementDate <= endDate;
-          });
+    // Filter movements based on time period
+    if (analysisMovements.length > 0) {
+      if (selectedPeriod) {
+        // Filter movements for the selected day, month, quarter or year
+        const filtered = analysisMovements.filter(
+          (movement) =>
+            selectedPeriod.getKey(
+              movement.timeIn || movement.In || 0,
+              timeZone
+            ) === selectedPeriod.key
+        );
 
-          setFilteredMovements(filtered);
-        } else {
-          // Handle standard time periods
-          handleStandardTimePeriod(mode, movements, setFilteredMovements);
-        }
+        setFilteredMovements(filtered);
       } else {
-        // Handle standard time periods for string-based timeFilter
-        handleStandardTimePeriod(mode, movements, setFilteredMovements);
+        // Handle standard time periods
+        handleStandardTimePeriod(
+          mode,
+          analysisMovements,
+          setFilteredMovements,
+          timeZone
+        );
       }
     } else {
       setFilteredMovements([]);
     }
 
+    // Filter dwells by the time they started
+    if (selectedPeriod) {
+      setFilteredDwells(
+        analysisDwells.filter(
+          (dwell) =>
+            selectedPeriod.getKey(dwell.timeIn || 0, timeZone) ===
+            selectedPeriod.key
+        )
+      );
+    } else {
+      const startDate = getPeriodStart(mode, timeZone);
+      setFilteredDwells(
+        analysisDwells.filter(
+          (dwell) => parseTimestamp(dwell.timeIn || 0, timeZone) >= startDate
+        )
+      );
+    }
+
     // Filter optimization history based on time period
     if (optimizationHistory && optimizationHistory.length > 0) {
-      const now = new Date();
-      let startDate = new Date(0); // Default to epoch start (all data)
-
-      // Extract mode from timeFilter
-      const mode =
-        typeof timeFilter === "string" ? timeFilter : timeFilter.mode || "all";
-
-      // Handle specific date selections for optimization history if timeFilter is an object
-      if (typeof timeFilter === "object") {
-        if (mode === "day" && timeFilter.day) {
-          // If a specific day is selected, use that day
-          startDate = new Date(timeFilter.day);
-          const endDate = new Date(startDate);
-          endDate.setDate(endDate.getDate() + 1); // End of the selected day
-
-          // Filter history for the specific day
-          const filtered = optimizationHistory.filter((item) => {
-            const itemDate = new Date(item.date || 0);
-            return itemDate >= startDate && itemDate < endDate;
-          });
-
-          setFilteredOptimizationHistory(filtered);
-          calculateFilteredSavings(filtered);
-          return;
-        } else if (mode === "month" && timeFilter.month) {
-          // If a specific month is selected, use that month
-          const [year, month] = timeFilter.month.split("-");
-          startDate = new Date(parseInt(year), parseInt(month) - 1, 1); // Start of the selected month
-          const endDate = new Date(parseInt(year), parseInt(month), 0); // End of the selected month
-          endDate.setHours(23, 59, 59, 999);
-
-          // Filter history for the specific month
-          const filtered = optimizationHistory.filter((item) => {
-            const itemDate = new Date(item.date || 0);
-            return itemDate >= startDate && itemDate <= endDate;
-          });
-
-          setFilteredOptimizationHistory(filtered);
-          calculateFilteredSavings(filtered);
-          return;
-        } else if (mode === "quarter" && timeFilter.quarter) {
-          // If a specific quarter is selected, use that quarter
-          const [year, quarterStr] = timeFilter.quarter.split("-");
-          const quarter = parseInt(quarterStr.substring(1));
-          const startMonth = (quarter - 1) * 3;
-          startDate = new Date(parseInt(year), startMonth, 1); // Start of the selected quarter
-          const endDate = new Date(parseInt(year), startMonth + 3, 0); // End of the selected quarter
-          endDate.setHours(23, 59, 59, 999);
-
-          // Filter history for the specific quarter
-          const filtered = optimizationHistory.filter((item) => {
-            const itemDate = new Date(item.date || 0);
-            return itemDate >= startDate && itemDate <= endDate;
-          });
-
-          setFilteredOptimizationHistory(filtered);
-          calculateFilteredSavings(filtered);
-          return;
-        } else if (mode === "year" && timeFilter.year) {
-          // If a specific year is selected, use that year
-          startDate = new Date(timeFilter.year, 0, 1); // Start of the selected year
-          const endDate = new Date(timeFilter.year, 11, 31, 23, 59, 59, 999); // End of the selected year
-
-          // Filter history for the specific year
-          const filtered = optimizationHistory.filter((item) => {
-            const itemDate = new Date(item.date || 0);
-            return itemDate >= startDate && itemDate <= endDate;
-          });
-
-          setFilteredOptimizationHistory(filtered);
-          calculateFilteredSavings(filtered);
-          return;
-        }
-      }
-
-      // Handle standard time periods for optimization history
-      if (mode === "day") {
-        startDate = new Date(now);
-        startDate.setHours(0, 0, 0, 0); // Start of today
-      } else if (mode === "month") {
-        startDate = new Date(now);
-        startDate.setDate(1); // Start of current month
-        startDate.setHours(0, 0, 0, 0);
-      } else if (mode === "3months" || mode === "quarter") {
-        startDate = new Date(now);
-        startDate.setMonth(startDate.getMonth() - 3); // 3 months ago
-        startDate.setHours(0, 0, 0, 0);
-      } else if (mode === "year") {
-        startDate = new Date(now);
-        startDate.setFullYear(startDate.getFullYear() - 1); // 1 year ago
-        startDate.setHours(0, 0, 0, 0);
+      let filtered;
+
+      if (selectedPeriod) {
+        // Filter history for the selected day, month, quarter or year
+        filtered = optimizationHistory.filter(
+          (item) =>
+            selectedPeriod.getKey(item.date || 0, timeZone) ===
+            selectedPeriod.key
+        );
+      } else {
+        // Handle standard time periods for optimization history
+        const startDate = getPeriodStart(mode, timeZone);
+        filtered = optimizationHistory.filter((item) => {
+          const itemDate = parseTimestamp(item.date || 0, timeZone);
+          return itemDate >= startDate;
+        });
       }
 
-      // Filter history by date
-      const filtered = optimizationHistory.filter((item) => {
-        const itemDate = new Date(item.date || 0);
-        return itemDate >= startDate;
-      });
-
       setFilteredOptimizationHistory(filtered);
-      calculateFilteredSavings(filtered);
+      setFilteredTotalSavings(getTotalSavings(filtered, verificationByEntry));
     } else {
       setFilteredOptimizationHistory([]);
       setFilteredTotalSavings({ hours: 0, money: 0 });
     }
-  }, [movements, optimizationHistory, timeFilter]);
-
-  // Helper function to calculate filtered total savings
-  const calculateFilteredSavings = (filtered) => {
-    let totalHours = 0;
-    filtered.forEach((item) => {
-      // Ensure we're using hoursSaved if available, or parse it from savings string
-      const hours =
-        item.hoursSaved !== undefined
-          ? parseFloat(item.hoursSaved || 0)
-          : parseHoursSaved(item.impact || item.savings || "");
-
-      totalHours += hours;
-    });
-
-    // Convert hours to money (assuming $50/hour labor cost)
-    const totalMoney = totalHours * 50;
-
-    setFilteredTotalSavings({
-      hours: parseFloat(totalHours.toFixed(2)),
-      money: parseFloat(totalMoney.toFixed(2)),
-    });
-  };
+  }, [
+    movements,
+    dwells,
+    optimizationHistory,
+    verificationByEntry,
+    timeFilter,
+    settings.facilityTimezone,
+  ]);
 
   // Generate recommendations
   const generateRecommendations = async () => {
@@ -459,7 +580,8 @@ export const DataProvider = ({ children }) => {
         const result = await window.electron.generateRecommendations();
 
         if (result.success) {
-          // Set the new recommendations (replacing any existing ones)
+          // Every recommendation on record, with the status of the ones
+          // generated before carried over
           setRecommendations(result.recommendations);
           return { success: true };
         } else {
@@ -509,11 +631,8 @@ export const DataProvider = ({ children }) => {
           // Load graph data
           let graphData = null;
           try {
-            const response = await fetch("/graph_data.json");
-            if (response.ok) {
-              graphData = await response.json();
-              console.log("Graph data loaded successfully for recommendations");
-            }
+            graphData = await mapDataService.getGraphData();
+            console.log("Graph data loaded successfully for recommendations");
           } catch (error) {
             console.error("Error loading graph data:", error);
           }
@@ -521,13 +640,10 @@ export const DataProvider = ({ children }) => {
           // Load floor plan data
           let floorPlanData = null;
           try {
-            const response = await fetch("/floor_plan_progress.json");
-            if (response.ok) {
-              floorPlanData = await response.json();
-              console.log(
-                "Floor plan data loaded successfully for recommendations"
-              );
-            }
+            floorPlanData = await mapDataService.getFloorPlan();
+            console.log(
+              "Floor plan data loaded successfully for recommendations"
+            );
           } catch (error) {
             console.error("Error loading floor plan data:", error);
           }
@@ -548,7 +664,27 @@ export const DataProvider = ({ children }) => {
           }
 
           // Initialize the optimization service with the graph and floor plan data
-          optimizationService.initialize(graphData, floorPlanData);
+          optimizationService.initialize(graphData, floorPlanData, {
+            timeZone: settings.facilityTimezone,
+            walkingModel: settings.walkingModel,
+            parLocationCounts: settings.parLocationCounts,
+            storageLocations,
+            shiftPlanning: settings.shiftPlanning,
+            serviceLevel: settings.serviceLevel,
+            fleetSizes: devices.reduce((sizes, device) => {
+              const type = getDeviceType(device.deviceId);
+              return { ...sizes, [type]: (sizes[type] || 0) + 1 };
+            }, {}),
+            devices,
+            zoneIndex,
+            maintenanceCostRate: settings.maintenanceCostRate,
+            forecastHorizonDays: settings.forecastHorizonDays,
+            getDeviceType,
+            getLastMaintenance: (deviceId) => {
+              const device = devices.find((d) => d.deviceId === deviceId);
+              return device ? device.lastMaintenance || null : null;
+            },
+          });
 
           // Generate recommendations using the optimization service
           const generatedRecommendations =
@@ -668,7 +804,22 @@ export const DataProvider = ({ children }) => {
               "Enhanced recommendations:",
               JSON.stringify(enhancedRecommendations, null, 2)
             );
-            setRecommendations(enhancedRecommendations);
+            // Keep the status of recommendations generated before, and
+            // the undecided ones of types that failed to generate
+            const { updates, inserts, stale } = mergeGeneratedRecommendations(
+              recommendations,
+              enhancedRecommendations,
+              new Date(),
+              optimizationService.failedTypes
+            );
+            const regenerated = new Set(updates.map((rec) => rec._id));
+            setRecommendations([
+              ...updates,
+              ...inserts,
+              ...recommendations.filter(
+                (rec) => !regenerated.has(rec._id) && !stale.includes(rec._id)
+              ),
+            ]);
             return { success: true };
           } else {
             // No recommendations were generated, show an error
@@ -715,6 +866,13 @@ export const DataProvider = ({ children }) => {
       if (!recommendation) {
         return { success: false, message: "Recommendation not found" };
       }
+      if (!isOpenRecommendation(recommendation)) {
+        return {
+          success: false,
+          message:
+            "Only new, accepted or in-progress recommendations can be implemented",
+        };
+      }
 
       if (window.electron) {
         const result = await window.electron.implementRecommendation(
@@ -723,20 +881,12 @@ export const DataProvider = ({ children }) => {
 
         if (result.success) {
           // Track the optimization in history
-          const newOptimization = {
-            date: new Date().toISOString(),
-            type: recommendation.type,
-            description: recommendation.description,
-            impact: recommendation.savings,
-            hoursSaved:
-              recommendation.hoursSaved !== undefined
-                ? parseFloat(recommendation.hoursSaved || 0)
-                : parseHoursSaved(recommendation.savings),
-            distanceSaved: recommendation.distanceSaved || 0,
-            movementsPerMonth: recommendation.movementsPerMonth || 0,
-            deviceId: recommendation.deviceId,
-            implemented: true,
-          };
+          const newOptimization = createHistoryEntry(
+            recommendation,
+            new Date().toISOString(),
+            getDeviceType,
+            settings.verificationDays
+          );
 
           // Update optimization history
           const updatedHistory = [...optimizationHistory, newOptimization];
@@ -748,21 +898,17 @@ export const DataProvider = ({ children }) => {
             JSON.stringify(updatedHistory)
           );
 
-          // Update total savings
-          const hoursSaved = parseFloat(
-            recommendation.hoursSaved ||
-              parseHoursSaved(recommendation.savings) ||
-              0
-          );
-          setTotalSavings((prev) => ({
-            hours: parseFloat(prev.hours || 0) + hoursSaved,
-            money: parseFloat(prev.money || 0) + hoursSaved * 50, // $50 per hour
-          }));
-
-          // Remove the recommendation from the state
+          // Keep the recommendation, now implemented
           setRecommendations((prevRecommendations) =>
-            prevRecommendations.filter((rec) => rec._id !== recommendationId)
+            prevRecommendations.map((rec) =>
+              rec._id === recommendationId ? result.recommendation : rec
+            )
           );
+
+          // Implementing a maintenance recommendation records a service
+          if (recommendation.type === "maintenance") {
+            await reloadMaintenanceData();
+          }
         }
 
         return result;
@@ -774,20 +920,12 @@ export const DataProvider = ({ children }) => {
         );
 
         // Track the optimization in history
-        const newOptimization = {
-          date: new Date().toISOString(),
-          type: recommendation.type,
-          description: recommendation.description,
-          impact: recommendation.savings,
-          hoursSaved:
-            recommendation.hoursSaved !== undefined
-              ? parseFloat(recommendation.hoursSaved || 0)
-              : parseHoursSaved(recommendation.savings),
-          distanceSaved: recommendation.distanceSaved || 0,
-          movementsPerMonth: recommendation.movementsPerMonth || 0,
-          deviceId: recommendation.deviceId,
-          implemented: true,
-        };
+        const newOptimization = createHistoryEntry(
+          recommendation,
+          new Date().toISOString(),
+          getDeviceType,
+          settings.verificationDays
+        );
 
         // Update optimization history
         const updatedHistory = [...optimizationHistory, newOptimization];
@@ -799,23 +937,18 @@ export const DataProvider = ({ children }) => {
           JSON.stringify(updatedHistory)
         );
 
-        // Update total savings
-        const hoursSaved = parseFloat(
-          recommendation.hoursSaved ||
-            parseHoursSaved(recommendation.savings) ||
-            0
-        );
-        setTotalSavings((prev) => ({
-          hours: parseFloat(prev.hours || 0) + hoursSaved,
-          money: parseFloat(prev.money || 0) + hoursSaved * 50, // $50 per hour
-        }));
-
-        // Remove the recommendation from the state
+        // Keep the recommendation, now implemented
+        const implemented = {
+          ...recommendation,
+          ...applyStatusChange(recommendation, { status: "implemented" }, ""),
+        };
         setRecommendations((prevRecommendations) =>
-          prevRecommendations.filter((rec) => rec._id !== recommendationId)
+          prevRecommendations.map((rec) =>
+            rec._id === recommendationId ? implemented : rec
+          )
         );
 
-        return { success: true, numRemoved: 1 };
+        return { success: true, recommendation: implemented };
       }
     } catch (err) {
       console.error("Error implementing recommendation:", err);
@@ -826,40 +959,32 @@ export const DataProvider = ({ children }) => {
     }
   };
 
-  // Import data from CSV
-  const importFromCsv = async (csvData) => {
+  // Import a CSV file by path; the main process streams it and reports progress
+  const importCsvFile = async (filePath, options = {}) => {
     try {
       setLoading(true);
 
       if (window.electron) {
-        const result = await window.electron.importCsvData(csvData);
+        const result = await window.electron.importCsvFile(filePath, options);
 
-        if (result.success) {
-          // Reload data after import
+        // Reload data after import, including partially imported files
+        if (!result.dryRun && result.count > 0) {
           const devicesData = await window.electron.getDevices();
           const locationsData = await window.electron.getLocations();
           const movementsData = await window.electron.getMovements();
+          const dwellsData = await window.electron.getDwells();
 
           setDevices(devicesData);
           setLocations(locationsData);
           setMovements(movementsData);
+          setDwells(dwellsData);
           setData([...movementsData]);
-
-          // Log information about duplicates and errors
-          if (result.duplicates && result.duplicates.length > 0) {
-            console.log(`Found ${result.duplicates.length} duplicate records`);
-          }
-
-          if (result.errors && result.errors.length > 0) {
-            console.log(`Found ${result.errors.length} records with errors`);
-            console.log("Errors:", result.errors);
-          }
         }
 
         return result;
       } else {
         // For development without Electron
-        console.log("Would import CSV data in Electron");
+        console.log("Would import CSV file in Electron");
         return {
           success: true,
           count: 10,
@@ -870,7 +995,7 @@ export const DataProvider = ({ children }) => {
         };
       }
     } catch (err) {
-      console.error("Error importing CSV data:", err);
+      console.error("Error importing CSV file:", err);
       setError(err.message);
       return {
         success: false,
@@ -886,6 +1011,719 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  // Cancel the CSV import that is currently running
+  const cancelCsvImport = async () => {
+    try {
+      if (window.electron) {
+        return await window.electron.cancelCsvImport();
+      }
+      return { success: false };
+    } catch (err) {
+      console.error("Error cancelling CSV import:", err);
+      return { success: false };
+    }
+  };
+
+  // Load the import history
+  const loadImportBatches = useCallback(async () => {
+    try {
+      if (window.electron) {
+        return await window.electron.getImportBatches();
+      }
+      return [];
+    } catch (err) {
+      console.error("Error loading import batches:", err);
+      setError(err.message);
+      return [];
+    }
+  }, []);
+
+  // Roll back an import batch and reload the data it touched
+  const rollbackImportBatch = async (batchId) => {
+    try {
+      setLoading(true);
+
+      if (window.electron) {
+        const result = await window.electron.rollbackImportBatch(batchId);
+
+        if (result.success) {
+          const devicesData = await window.electron.getDevices();
+          const locationsData = await window.electron.getLocations();
+          const movementsData = await window.electron.getMovements();
+          const dwellsData = await window.electron.getDwells();
+
+          setDevices(devicesData);
+          setLocations(locationsData);
+          setMovements(movementsData);
+          setDwells(dwellsData);
+          setData([...movementsData]);
+        }
+
+        return result;
+      } else {
+        console.log("Would roll back import batch in Electron");
+        return { success: false, message: "Rollback requires Electron" };
+      }
+    } catch (err) {
+      console.error("Error rolling back import batch:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Check the imported dwells for data quality issues
+  const loadDataQuality = useCallback(
+    async (options = {}) => {
+      try {
+        if (window.electron) {
+          return await window.electron.getDataQuality(options);
+        } else {
+          // For development without Electron, check the sample dwells here
+          const graphData = await mapDataService
+            .getGraphData()
+            .catch(() => null);
+          return {
+            success: true,
+            ...analyzeDataQuality(dwells, graphData, {
+              walkingModel: settings.walkingModel,
+              ...options,
+            }),
+          };
+        }
+      } catch (err) {
+        console.error("Error checking data quality:", err);
+        setError(err.message);
+        return { success: false, message: err.message };
+      }
+    },
+    [dwells, settings.walkingModel]
+  );
+
+  // Exclude dwells, and the movements into and out of them, from analysis
+  // (or include them again) and reload the flagged records
+  const setExcludedFromAnalysis = async (dwellIds, excluded = true) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.setExcludedFromAnalysis(
+          dwellIds,
+          excluded
+        );
+
+        if (result.success) {
+          const movementsData = await window.electron.getMovements();
+          const dwellsData = await window.electron.getDwells();
+          setMovements(movementsData);
+          setDwells(dwellsData);
+          setData([...movementsData]);
+        }
+
+        return result;
+      } else {
+        // For development without Electron, flag the sample rows in memory
+        const ids = new Set(dwellIds);
+        const flagged = dwells.filter((dwell) => ids.has(dwell._id));
+        const isFlagged = (movement) =>
+          flagged.some(
+            (dwell) =>
+              movement.deviceId === dwell.deviceId &&
+              movement.In === dwell.timeIn
+          );
+
+        setDwells((prev) =>
+          prev.map((dwell) =>
+            ids.has(dwell._id)
+              ? { ...dwell, excludedFromAnalysis: excluded }
+              : dwell
+          )
+        );
+        setMovements((prev) =>
+          prev.map((movement) =>
+            isFlagged(movement)
+              ? { ...movement, excludedFromAnalysis: excluded }
+              : movement
+          )
+        );
+
+        return {
+          success: true,
+          updatedDwells: flagged.length,
+          updatedMovements: flagged.length,
+        };
+      }
+    } catch (err) {
+      console.error("Error excluding records from analysis:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Save application settings. A new facility timezone re-reads the imported
+  // timestamps and a new device type pattern re-types devices, so the
+  // changed records are reloaded.
+  const saveSettings = async (updates) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveSettings(updates);
+
+        if (result.success) {
+          setSettings(result.settings);
+
+          if (result.renormalizedMovements > 0) {
+            const movementsData = await window.electron.getMovements();
+            const dwellsData = await window.electron.getDwells();
+            setMovements(movementsData);
+            setDwells(dwellsData);
+            setData([...movementsData]);
+          }
+
+          if (result.retypedDevices > 0) {
+            setDevices(await window.electron.getDevices());
+          }
+        }
+
+        return result;
+      } else {
+        // For development without Electron, keep settings in localStorage
+        const updated = { ...settings, ...updates };
+        localStorage.setItem("settings", JSON.stringify(updated));
+        setSettings(updated);
+        setDevices((prev) =>
+          prev.map((device) =>
+            device.typeSource === "catalog"
+              ? device
+              : {
+                  ...device,
+                  deviceType: extractDeviceType(
+                    device.deviceId,
+                    updated.deviceTypePattern
+                  ),
+                }
+          )
+        );
+        return {
+          success: true,
+          settings: updated,
+          renormalizedMovements: 0,
+          retypedDevices: 0,
+        };
+      }
+    } catch (err) {
+      console.error("Error saving settings:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Create or update a device in the catalog
+  const saveDevice = async (entry) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveDevice(entry);
+        if (result.success) {
+          setDevices(await window.electron.getDevices());
+        }
+        return result;
+      } else {
+        // For development without Electron, keep the catalog in memory
+        const { device, errors } = normalizeCatalogEntry(entry);
+        if (errors.length > 0) {
+          return { success: false, errors };
+        }
+
+        const existing = devices.find((d) => d.deviceId === device.deviceId);
+        const typed =
+          device.deviceType === undefined
+            ? {}
+            : {
+                deviceType:
+                  device.deviceType ||
+                  extractDeviceType(
+                    device.deviceId,
+                    settings.deviceTypePattern
+                  ),
+                typeSource: device.deviceType ? "catalog" : "rule",
+              };
+        const saved = {
+          deviceType: extractDeviceType(
+            device.deviceId,
+            settings.deviceTypePattern
+          ),
+          typeSource: "rule",
+          status: "Unknown",
+          ...existing,
+          ...device,
+          ...typed,
+        };
+
+        setDevices((prev) => [
+          ...prev.filter((d) => d.deviceId !== device.deviceId),
+          saved,
+        ]);
+        return { success: true, created: !existing, device: saved };
+      }
+    } catch (err) {
+      console.error("Error saving device:", err);
+      setError(err.message);
+      return { success: false, errors: [err.message] };
+    }
+  };
+
+  // Remove a device from the catalog
+  const deleteDevice = async (deviceId) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.deleteDevice(deviceId);
+        if (result.success) {
+          setDevices(await window.electron.getDevices());
+        }
+        return result;
+      } else {
+        setDevices((prev) => prev.filter((d) => d.deviceId !== deviceId));
+        return { success: true, removed: true };
+      }
+    } catch (err) {
+      console.error("Error deleting device:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Import an asset register CSV into the device catalog
+  const importDeviceCatalog = async (filePath) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.importDeviceCatalog(filePath);
+        if (result.success) {
+          setDevices(await window.electron.getDevices());
+        }
+        return result;
+      } else {
+        console.log("Would import asset register in Electron");
+        return {
+          success: false,
+          message: "Importing an asset register requires Electron",
+        };
+      }
+    } catch (err) {
+      console.error("Error importing asset register:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Create or update a zone
+  const saveZone = async (zone) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveZone(zone);
+        if (result.success) {
+          setZones(await window.electron.getZones());
+        }
+        return result;
+      } else {
+        // For development without Electron, keep the zones in memory
+        const errors = validateZone(zone, zones);
+        if (errors.length > 0) {
+          return { success: false, errors };
+        }
+
+        const saved = {
+          ...zone,
+          _id: zone._id || `dev_zone_${Date.now()}`,
+          name: zone.name.trim(),
+          parentId: zone.parentId || null,
+          rooms: [...new Set(zone.rooms || [])],
+        };
+        setZones((prev) => [
+          ...prev
+            .filter((item) => item._id !== saved._id)
+            .map((item) => ({
+              ...item,
+              rooms: item.rooms.filter((room) => !saved.rooms.includes(room)),
+            })),
+          saved,
+        ]);
+        return { success: true, zone: saved };
+      }
+    } catch (err) {
+      console.error("Error saving zone:", err);
+      setError(err.message);
+      return { success: false, errors: [err.message] };
+    }
+  };
+
+  // Delete a zone; the zones inside it move up a level
+  const deleteZone = async (zoneId) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.deleteZone(zoneId);
+        if (result.success) {
+          setZones(await window.electron.getZones());
+        }
+        return result;
+      } else {
+        const zone = zones.find((item) => item._id === zoneId);
+        setZones((prev) =>
+          prev
+            .filter((item) => item._id !== zoneId)
+            .map((item) =>
+              item.parentId === zoneId
+                ? { ...item, parentId: zone ? zone.parentId : null }
+                : item
+            )
+        );
+        return { success: true };
+      }
+    } catch (err) {
+      console.error("Error deleting zone:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Import a room list CSV into the zones
+  const importZones = async (filePath) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.importZones(filePath);
+        if (result.success) {
+          setZones(await window.electron.getZones());
+        }
+        return result;
+      } else {
+        console.log("Would import zones in Electron");
+        return {
+          success: false,
+          message: "Importing zones requires Electron",
+        };
+      }
+    } catch (err) {
+      console.error("Error importing zones:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Create or update a storage location
+  const saveStorageLocation = async (location) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveStorageLocation(location);
+        if (result.success) {
+          setStorageLocations(await window.electron.getStorageLocations());
+        }
+        return result;
+      } else {
+        // For development without Electron, keep the storage locations in memory
+        const errors = validateStorageLocation(location, storageLocations);
+        if (errors.length > 0) {
+          return { success: false, errors };
+        }
+
+        const saved = {
+          ...location,
+          _id: location._id || `dev_storage_${Date.now()}`,
+          room: location.room.trim(),
+        };
+        setStorageLocations((prev) =>
+          [...prev.filter((item) => item._id !== saved._id), saved].sort(
+            (a, b) => a.room.localeCompare(b.room)
+          )
+        );
+        return { success: true, location: saved };
+      }
+    } catch (err) {
+      console.error("Error saving storage location:", err);
+      setError(err.message);
+      return { success: false, errors: [err.message] };
+    }
+  };
+
+  // Delete a storage location
+  const deleteStorageLocation = async (locationId) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.deleteStorageLocation(locationId);
+        if (result.success) {
+          setStorageLocations(await window.electron.getStorageLocations());
+        }
+        return result;
+      } else {
+        setStorageLocations((prev) =>
+          prev.filter((item) => item._id !== locationId)
+        );
+        return { success: true };
+      }
+    } catch (err) {
+      console.error("Error deleting storage location:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Reload the maintenance log and the last service dates on devices
+  const reloadMaintenanceData = async () => {
+    const [devicesData, eventsData] = await Promise.all([
+      window.electron.getDevices(),
+      window.electron.getMaintenanceEvents(),
+    ]);
+    setDevices(devicesData);
+    setMaintenanceEvents(eventsData);
+  };
+
+  // Keep the in-memory devices' last service dates in step with the log
+  const applyMaintenanceEvents = (events) => {
+    const latest = getLatestMaintenance(events);
+    setMaintenanceEvents(
+      [...events].sort((a, b) => new Date(b.date) - new Date(a.date))
+    );
+    setDevices((prev) =>
+      prev.map((device) => ({
+        ...device,
+        lastMaintenance: latest[device.deviceId]
+          ? latest[device.deviceId].date
+          : null,
+        lastMaintenanceType: latest[device.deviceId]
+          ? latest[device.deviceId].type
+          : null,
+      }))
+    );
+  };
+
+  // Record a maintenance event
+  const saveMaintenanceEvent = async (maintenanceEvent) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveMaintenanceEvent(
+          maintenanceEvent
+        );
+        if (result.success) {
+          await reloadMaintenanceData();
+        }
+        return result;
+      } else {
+        // For development without Electron, keep the log in memory
+        const deviceId = String(maintenanceEvent.deviceId || "").trim();
+        const date = parseTimestamp(
+          maintenanceEvent.date,
+          settings.facilityTimezone
+        );
+        const errors = [];
+        if (!deviceId) errors.push("Device ID is required");
+        if (!date) errors.push("A valid date is required");
+        if (errors.length > 0) {
+          return { success: false, errors };
+        }
+
+        const saved = {
+          _id: `dev_maintenance_${Date.now()}`,
+          deviceId,
+          date: date.toISOString(),
+          dateRaw: maintenanceEvent.date,
+          type: maintenanceEvent.type || "Other",
+          notes: String(maintenanceEvent.notes || "").trim(),
+          source: "manual",
+          createdAt: new Date(),
+        };
+        applyMaintenanceEvents([...maintenanceEvents, saved]);
+        return { success: true, event: saved };
+      }
+    } catch (err) {
+      console.error("Error saving maintenance event:", err);
+      setError(err.message);
+      return { success: false, errors: [err.message] };
+    }
+  };
+
+  // Delete a maintenance event
+  const deleteMaintenanceEvent = async (eventId) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.deleteMaintenanceEvent(eventId);
+        if (result.success) {
+          await reloadMaintenanceData();
+        }
+        return result;
+      } else {
+        applyMaintenanceEvents(
+          maintenanceEvents.filter((event) => event._id !== eventId)
+        );
+        return { success: true };
+      }
+    } catch (err) {
+      console.error("Error deleting maintenance event:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Import a maintenance work-order CSV
+  const importMaintenanceLog = async (filePath) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.importMaintenanceLog(filePath);
+        if (result.success) {
+          await reloadMaintenanceData();
+        }
+        return result;
+      } else {
+        console.log("Would import maintenance log in Electron");
+        return {
+          success: false,
+          message: "Importing a maintenance log requires Electron",
+        };
+      }
+    } catch (err) {
+      console.error("Error importing maintenance log:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Load the location alias registry and the raw names still unresolved
+  const loadLocationAliases = useCallback(async () => {
+    try {
+      if (window.electron) {
+        const [aliases, unresolved] = await Promise.all([
+          window.electron.getLocationAliases(),
+          window.electron.getUnresolvedLocations(),
+        ]);
+        return { aliases, unresolved };
+      } else {
+        // For development without Electron
+        console.log("Would load location aliases in Electron");
+        return { aliases: [], unresolved: [] };
+      }
+    } catch (err) {
+      console.error("Error loading location aliases:", err);
+      setError(err.message);
+      return { aliases: [], unresolved: [] };
+    }
+  }, []);
+
+  // Save a location alias, reloading data if existing movements were re-normalized
+  const saveLocationAlias = async (aliasData) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveLocationAlias(aliasData);
+
+        if (result.success && result.renormalized) {
+          const devicesData = await window.electron.getDevices();
+          const locationsData = await window.electron.getLocations();
+          const movementsData = await window.electron.getMovements();
+          const dwellsData = await window.electron.getDwells();
+
+          setDevices(devicesData);
+          setLocations(locationsData);
+          setMovements(movementsData);
+          setDwells(dwellsData);
+          setData([...movementsData]);
+        }
+
+        return result;
+      } else {
+        console.log("Would save location alias in Electron");
+        return { success: true, renormalized: null };
+      }
+    } catch (err) {
+      console.error("Error saving location alias:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
+  // Delete a location alias
+  const deleteLocationAlias = async (aliasId) => {
+    try {
+      if (window.electron) {
+        return await window.electron.deleteLocationAlias(aliasId);
+      }
+      return { success: true };
+    } catch (err) {
+      console.error("Error deleting location alias:", err);
+      setError(err.message);
+      return { success: false };
+    }
+  };
+
+  // Load saved CSV column mapping profiles
+  const loadMappingProfiles = async () => {
+    try {
+      if (window.electron) {
+        const profiles = await window.electron.getMappingProfiles();
+        setMappingProfiles(profiles);
+        return profiles;
+      } else {
+        // For development without Electron
+        return mappingProfiles;
+      }
+    } catch (err) {
+      console.error("Error loading mapping profiles:", err);
+      setError(err.message);
+      return [];
+    }
+  };
+
+  // Save a CSV column mapping profile (creates it or updates it by name)
+  const saveMappingProfile = async (profile) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveMappingProfile(profile);
+        if (result.success) {
+          await loadMappingProfiles();
+        }
+        return result;
+      } else {
+        // For development without Electron, keep profiles in memory
+        const saved = { ...profile, _id: profile._id || `dev_${Date.now()}` };
+        setMappingProfiles((prev) => [
+          ...prev.filter((p) => p._id !== saved._id && p.name !== saved.name),
+          saved,
+        ]);
+        return { success: true, profile: saved };
+      }
+    } catch (err) {
+      console.error("Error saving mapping profile:", err);
+      setError(err.message);
+      return { success: false, errors: [err.message] };
+    }
+  };
+
+  // Delete a CSV column mapping profile
+  const deleteMappingProfile = async (profileId) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.deleteMappingProfile(profileId);
+        await loadMappingProfiles();
+        return result;
+      } else {
+        setMappingProfiles((prev) => prev.filter((p) => p._id !== profileId));
+        return { success: true };
+      }
+    } catch (err) {
+      console.error("Error deleting mapping profile:", err);
+      setError(err.message);
+      return { success: false };
+    }
+  };
+
+  // Preview the first rows of a CSV file mapped with the given (or detected) profile
+  const previewCsvMapping = async (filePath, profile) => {
+    try {
+      if (window.electron) {
+        return await window.electron.previewCsvMapping(filePath, profile);
+      } else {
+        console.log("Would preview CSV mapping in Electron");
+        return { success: false, error: "Preview requires Electron" };
+      }
+    } catch (err) {
+      console.error("Error previewing CSV mapping:", err);
+      return { success: false, error: err.message };
+    }
+  };
+
   // Reset database
   const resetDatabase = async () => {
     try {
@@ -899,16 +1737,15 @@ export const DataProvider = ({ children }) => {
           setDevices([]);
           setLocations([]);
           setMovements([]);
+          setDwells([]);
           setRecommendations([]);
+          setMaintenanceEvents([]);
           setData([]);
 
           // Clear optimization history
           setOptimizationHistory([]);
           localStorage.removeItem("optimizationHistory");
 
-          // Reset total savings
-          setTotalSavings({ hours: 0, money: 0 });
-
           return { success: true, message: result.message };
         } else {
           setError("Failed to reset database");
@@ -922,16 +1759,15 @@ export const DataProvider = ({ children }) => {
         setDevices([]);
         setLocations([]);
         setMovements([]);
+        setDwells([]);
         setRecommendations([]);
+        setMaintenanceEvents([]);
         setData([]);
 
         // Clear optimization history
         setOptimizationHistory([]);
         localStorage.removeItem("optimizationHistory");
 
-        // Reset total savings
-        setTotalSavings({ hours: 0, money: 0 });
-
         return { success: true, message: "Database reset (mock)" };
       }
     } catch (err) {
@@ -953,27 +1789,19 @@ export const DataProvider = ({ children }) => {
 
         if (result.success) {
           // Create optimization history entries for all implemented recommendations
-          const newOptimizations = recommendations.map((recommendation) => ({
-            date: new Date().toISOString(),
-            type: recommendation.type,
-            description: recommendation.description,
-            impact: recommendation.savings,
-            hoursSaved: parseFloat(
-              recommendation.hoursSaved !== undefined
-                ? recommendation.hoursSaved || 0
-                : parseHoursSaved(recommendation.savings) || 0
-            ),
-            distanceSaved: recommendation.distanceSaved || 0,
-            movementsPerMonth: recommendation.movementsPerMonth || 0,
-            deviceId: recommendation.deviceId,
-            implemented: true,
-          }));
-
-          // Calculate total hours saved
-          let totalHoursSaved = 0;
-          newOptimizations.forEach((opt) => {
-            totalHoursSaved += parseFloat(opt.hoursSaved || 0);
-          });
+          const implementedIds = result.implementedIds || [];
+          const implemented = recommendations.filter((rec) =>
+            implementedIds.includes(rec._id)
+          );
+          const implementedAt = new Date().toISOString();
+          const newOptimizations = implemented.map((recommendation) =>
+            createHistoryEntry(
+              recommendation,
+              implementedAt,
+              getDeviceType,
+              settings.verificationDays
+            )
+          );
 
           // Update optimization history
           const updatedHistory = [...optimizationHistory, ...newOptimizations];
@@ -985,14 +1813,13 @@ export const DataProvider = ({ children }) => {
             JSON.stringify(updatedHistory)
           );
 
-          // Update total savings
-          setTotalSavings((prev) => ({
-            hours: parseFloat(prev.hours || 0) + totalHoursSaved,
-            money: parseFloat(prev.money || 0) + totalHoursSaved * 50, // $50 per hour
-          }));
+          // Reload the recommendations, now implemented
+          setRecommendations(await window.electron.getRecommendations());
 
-          // Clear all recommendations
-          setRecommendations([]);
+          // Implemented maintenance recommendations record services
+          if (implemented.some((rec) => rec.type === "maintenance")) {
+            await reloadMaintenanceData();
+          }
         }
 
         return result;
@@ -1001,27 +1828,18 @@ export const DataProvider = ({ children }) => {
         console.log("Would implement all recommendations in Electron");
 
         // Create optimization history entries for all implemented recommendations
-        const newOptimizations = recommendations.map((recommendation) => ({
-          date: new Date().toISOString(),
-          type: recommendation.type,
-          description: recommendation.description,
-          impact: recommendation.savings,
-          hoursSaved: parseFloat(
-            recommendation.hoursSaved !== undefined
-              ? recommendation.hoursSaved || 0
-              : parseHoursSaved(recommendation.savings) || 0
-          ),
-          distanceSaved: recommendation.distanceSaved || 0,
-          movementsPerMonth: recommendation.movementsPerMonth || 0,
-          deviceId: recommendation.deviceId,
-          implemented: true,
-        }));
-
-        // Calculate total hours saved
-        let totalHoursSaved = 0;
-        newOptimizations.forEach((opt) => {
-          totalHoursSaved += parseFloat(opt.hoursSaved || 0);
-        });
+        const implemented = recommendations.filter((rec) =>
+          isOpenRecommendation(rec)
+        );
+        const implementedAt = new Date().toISOString();
+        const newOptimizations = implemented.map((recommendation) =>
+          createHistoryEntry(
+            recommendation,
+            implementedAt,
+            getDeviceType,
+            settings.verificationDays
+          )
+        );
 
         // Update optimization history
         const updatedHistory = [...optimizationHistory, ...newOptimizations];
@@ -1033,20 +1851,23 @@ export const DataProvider = ({ children }) => {
           JSON.stringify(updatedHistory)
         );
 
-        // Update total savings
-        setTotalSavings((prev) => ({
-          hours: parseFloat(prev.hours || 0) + totalHoursSaved,
-          money: parseFloat(prev.money || 0) + totalHoursSaved * 50, // $50 per hour
-        }));
-
-        // Clear all recommendations
-        setRecommendations([]);
+        // Keep the recommendations, now implemented
+        setRecommendations((prevRecommendations) =>
+          prevRecommendations.map((rec) =>
+            implemented.includes(rec)
+              ? {
+                  ...rec,
+                  ...applyStatusChange(rec, { status: "implemented" }, ""),
+                }
+              : rec
+          )
+        );
 
         return {
           success: true,
-          numRemoved: recommendations.length,
-          implementedCount: recommendations.length,
-          message: `Successfully implemented ${recommendations.length} recommendations`,
+          implementedIds: implemented.map((rec) => rec._id),
+          implementedCount: implemented.length,
+          message: `Successfully implemented ${implemented.length} recommendations`,
         };
       }
     } catch (err) {
@@ -1058,6 +1879,54 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  // Accept, start, reject, snooze or reopen a recommendation
+  const updateRecommendationStatus = async (recommendationId, change) => {
+    try {
+      if (window.electron) {
+        const result = await window.electron.updateRecommendationStatus(
+          recommendationId,
+          change
+        );
+        if (result.success) {
+          setRecommendations((prevRecommendations) =>
+            prevRecommendations.map((rec) =>
+              rec._id === recommendationId ? result.recommendation : rec
+            )
+          );
+        }
+        return result;
+      } else {
+        // For development without Electron, keep the status in memory
+        const recommendation = recommendations.find(
+          (rec) => rec._id === recommendationId
+        );
+        if (!recommendation) {
+          return { success: false, message: "Recommendation not found" };
+        }
+
+        const problem = validateStatusChange(recommendation, change);
+        if (problem) {
+          return { success: false, message: problem };
+        }
+
+        const updated = {
+          ...recommendation,
+          ...applyStatusChange(recommendation, change, change.user || ""),
+        };
+        setRecommendations((prevRecommendations) =>
+          prevRecommendations.map((rec) =>
+            rec._id === recommendationId ? updated : rec
+          )
+        );
+        return { success: true, recommendation: updated };
+      }
+    } catch (err) {
+      console.error("Error updating recommendation status:", err);
+      setError(err.message);
+      return { success: false, message: err.message };
+    }
+  };
+
   // Context value
   const value = {
     data,
@@ -1069,13 +1938,15 @@ export const DataProvider = ({ children }) => {
     movements,
     setMovements,
     filteredMovements,
+    dwells,
+    filteredDwells,
     recommendations,
     setRecommendations,
     optimizationHistory,
     setOptimizationHistory,
     filteredOptimizationHistory,
+    savingsVerification,
     totalSavings,
-    setTotalSavings,
     filteredTotalSavings,
     timeFilter,
     setTimeFilter,
@@ -1086,8 +1957,40 @@ export const DataProvider = ({ children }) => {
     generateRecommendations,
     implementRecommendation,
     implementAllRecommendations,
+    updateRecommendationStatus,
     resetDatabase,
-    importFromCsv,
+    importCsvFile,
+    cancelCsvImport,
+    loadImportBatches,
+    rollbackImportBatch,
+    mappingProfiles,
+    loadMappingProfiles,
+    saveMappingProfile,
+    deleteMappingProfile,
+    previewCsvMapping,
+    loadLocationAliases,
+    saveLocationAlias,
+    deleteLocationAlias,
+    settings,
+    saveSettings,
+    loadDataQuality,
+    setExcludedFromAnalysis,
+    getDeviceType,
+    saveDevice,
+    deleteDevice,
+    importDeviceCatalog,
+    maintenanceEvents,
+    saveMaintenanceEvent,
+    deleteMaintenanceEvent,
+    importMaintenanceLog,
+    zones,
+    zoneIndex,
+    saveZone,
+    deleteZone,
+    importZones,
+    storageLocations,
+    saveStorageLocation,
+    deleteStorageLocation,
   };
 
   return <DataContext.Provider value={value}>{children}</DataContext.Provider>;
@@ -27,14 +27,15 @@ class DatabaseService {
   }
 
   /**
-   * Import data from CSV
-   * @param {Array} data - The data to import
+   * Import a CSV file, streamed from disk by the main process
+   * @param {string} filePath - Path of the CSV file to import
+   * @param {Object} options - Import options (profile, dryRun)
    * @returns {Promise<Object>} Result of the import operation
    */
-  async importFromCsv(data) {
+  async importFromCsv(filePath, options = {}) {
     try {
       if (window.electron) {
-        return await window.electron.importCsvData(data);
+        return await window.electron.importCsvFile(filePath, options);
       } else {
         console.error("Electron bridge not available. Cannot import CSV data.");
         return {
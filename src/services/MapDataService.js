@@ -0,0 +1,255 @@
+/**
+ * Map Data Service
+ *
+ * This service loads the floor plan and routing graph shown across the app.
+ * In Electron it goes through the IPC bridge so that a map saved from the
+ * floor plan editor replaces the bundled one everywhere; in the browser it
+ * falls back to the bundled JSON files.
+ */
+
+import { validateMapData } from "../shared/floorPlan.js";
+import {
+  checkGraphIntegrity,
+  applyIntegrityFixes,
+} from "../shared/graphIntegrity.js";
+
+// Fetch a bundled JSON file, trying both paths to handle different environments
+async function fetchJson(fileName) {
+  let response;
+  try {
+    response = await fetch(`/${fileName}`);
+    if (!response.ok) {
+      throw new Error("Not found at root path");
+    }
+  } catch (error) {
+    response = await fetch(`./${fileName}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${fileName}: ${response.status}`);
+    }
+  }
+  return response.json();
+}
+
+class MapDataService {
+  constructor() {
+    this.mapData = null;
+    this.loading = null;
+    this.imageUrls = {};
+  }
+
+  /**
+   * Load the floor plan and routing graph, reusing the copy already loaded
+   * @param {boolean} force - Reload even if the map is already loaded
+   * @returns {Promise<Object>} { graphData, floorPlan, customized }
+   */
+  async load(force = false) {
+    if (this.mapData && !force) return this.mapData;
+    if (this.loading && !force) return this.loading;
+
+    this.loading = (async () => {
+      try {
+        if (window.electron) {
+          this.mapData = await window.electron.getMapData();
+        } else {
+          const [graphData, floorPlan] = await Promise.all([
+            fetchJson("graph_data.json"),
+            fetchJson("floor_plan_progress.json"),
+          ]);
+          this.mapData = { graphData, floorPlan, customized: false };
+        }
+        return this.mapData;
+      } catch (error) {
+        console.error("Error loading map data:", error);
+        throw error;
+      } finally {
+        this.loading = null;
+      }
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Get the routing graph
+   * @returns {Promise<Object>} Graph with nodes and [from, to, weight] edges
+   */
+  async getGraphData() {
+    return (await this.load()).graphData;
+  }
+
+  /**
+   * Get the floor plan
+   * @returns {Promise<Object>} Floor plan with rooms and walls
+   */
+  async getFloorPlan() {
+    return (await this.load()).floorPlan;
+  }
+
+  /**
+   * Get the URL of a floor's plan image
+   *
+   * Images added from the floor plan editor are read through the IPC bridge;
+   * others are served with the app.
+   *
+   * @param {string} fileName - Image file name from the floor
+   * @returns {Promise<string|null>} Image URL, or null if the floor has no image
+   */
+  async getImageUrl(fileName) {
+    if (!fileName) return null;
+
+    try {
+      if (!this.imageUrls[fileName]) {
+        const imported = window.electron
+          ? await window.electron.getMapImage(fileName)
+          : null;
+        this.imageUrls[fileName] = imported || `./${fileName}`;
+      }
+      return this.imageUrls[fileName];
+    } catch (error) {
+      console.error("Error loading floor plan image:", error);
+      return `./${fileName}`;
+    }
+  }
+
+  /**
+   * Add a floor plan image from a file chosen by the user
+   * @returns {Promise<Object>} { success, fileName }
+   */
+  async importImage() {
+    try {
+      if (window.electron) {
+        const result = await window.electron.importMapImage();
+        if (result.success) {
+          delete this.imageUrls[result.fileName];
+        }
+        return result;
+      } else {
+        return {
+          success: false,
+          message: "Images can only be added in the desktop app",
+        };
+      }
+    } catch (error) {
+      console.error("Error importing floor plan image:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and save an edited floor plan and routing graph
+   * @param {Object} graphData - The edited routing graph
+   * @param {Object} floorPlan - The edited floor plan
+   * @returns {Promise<Object>} { success, errors, warnings }
+   */
+  async save(graphData, floorPlan) {
+    try {
+      if (window.electron) {
+        const result = await window.electron.saveMapData({
+          graphData,
+          floorPlan,
+        });
+        if (result.success) {
+          this.mapData = {
+            graphData: result.graphData,
+            floorPlan: result.floorPlan,
+            customized: true,
+          };
+        }
+        return result;
+      } else {
+        // For development without Electron, keep the map for this session only
+        const result = validateMapData(graphData, floorPlan);
+        if (result.valid) {
+          this.mapData = {
+            graphData: result.graphData,
+            floorPlan: result.floorPlan,
+            customized: true,
+          };
+        }
+        return {
+          success: result.valid,
+          errors: result.errors,
+          warnings: result.warnings,
+        };
+      }
+    } catch (error) {
+      console.error("Error saving map data:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the routing graph against the floor plan and the tracked locations
+   * @param {Object} [options] - Corridor length tolerance ({ minRatio, maxRatio })
+   * @returns {Promise<Object>} { issues, summary }
+   */
+  async checkIntegrity(options = {}) {
+    try {
+      if (window.electron) {
+        return await window.electron.getMapIntegrity(options);
+      } else {
+        const { graphData, floorPlan } = await this.load();
+        return checkGraphIntegrity(graphData, floorPlan, options);
+      }
+    } catch (error) {
+      console.error("Error checking map integrity:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the fixes for a set of integrity issues and save the map
+   * @param {Array} issueIds - IDs of the issues to fix
+   * @param {Object} [options] - Options the issues were found with
+   * @returns {Promise<Object>} { success, applied, errors, warnings }
+   */
+  async fixIntegrity(issueIds, options = {}) {
+    try {
+      if (window.electron) {
+        const result = await window.electron.fixMapIntegrity(issueIds, options);
+        if (result.success) {
+          this.mapData = {
+            graphData: result.graphData,
+            floorPlan: result.floorPlan,
+            customized: true,
+          };
+        }
+        return result;
+      } else {
+        const { graphData, floorPlan } = await this.load();
+        const selected = new Set(issueIds);
+        const { issues } = checkGraphIntegrity(graphData, floorPlan, options);
+        const fixed = applyIntegrityFixes(
+          graphData,
+          issues.filter((issue) => selected.has(issue.id) && issue.fix)
+        );
+        const result = await this.save(fixed.graphData, floorPlan);
+        return { ...result, applied: result.success ? fixed.applied : 0 };
+      }
+    } catch (error) {
+      console.error("Error fixing map integrity:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discard the saved map and go back to the bundled floor plan and graph
+   * @returns {Promise<Object>} The bundled map data
+   */
+  async revert() {
+    try {
+      if (window.electron) {
+        await window.electron.revertMapData();
+      }
+      this.mapData = null;
+      return await this.load(true);
+    } catch (error) {
+      console.error("Error reverting map data:", error);
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const mapDataService = new MapDataService();
+export default mapDataService;
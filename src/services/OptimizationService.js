@@ -2,289 +2,380 @@
  * Optimization Service
  *
  * This service implements the optimization algorithms for:
- * 1. Staff walking distance optimization using Dijkstra's algorithm
+ * 1. Staff walking distance optimization using shortest paths on the room graph
  * 2. Equipment utilization optimization using time-series analysis
  * 3. Maintenance scheduling optimization using predictive modeling
  */
 
-import { calculateDistance } from "../utils/helpers.js";
+import { Equipment, createGraph } from "../algorithms/equipment_optimizer.js";
+import { getSystemTimeZone, getZonedHour } from "../shared/timezone.js";
+import { extractDeviceType } from "../shared/deviceCatalog.js";
+import { getRouter } from "../shared/routing.js";
 import {
-  Equipment,
-  findOptimalStorageLocation,
-  createGraph,
-} from "../algorithms/equipment_optimizer.js";
+  getSameFloorDistance,
+  summarizeCrossFloorRoute,
+} from "../shared/facility.js";
+import {
+  DEFAULT_WALKING_MODEL,
+  getWalkingModel,
+  toMetres,
+  formatDistance,
+  formatMinutes,
+  getMonthsSpanned,
+  estimateMonthlySavings,
+} from "../shared/walkingModel.js";
+import { buildFleets, planFleetPlacement } from "../shared/parLocations.js";
+import { getStorageCapacities } from "../shared/storageLocations.js";
+import {
+  DEFAULT_SHIFT_PLANNING,
+  planShiftPlacement,
+  describeShiftPlacement,
+} from "../shared/shifts.js";
+import { DEFAULT_SERVICE_LEVEL, sizeFleets } from "../shared/fleetSizing.js";
+import {
+  DEFAULT_FORECAST_HORIZON_DAYS,
+  forecastDemand,
+  planPurchase,
+} from "../shared/forecasting.js";
+import {
+  DEFAULT_MAINTENANCE_COST_RATE,
+  analyzeRightSizing,
+  describeSurplusUnit,
+} from "../shared/rightSizing.js";
 
 class OptimizationService {
   constructor() {
     this.graphData = null;
     this.floorPlanData = null;
     this.graph = null;
+    this.timeZone = getSystemTimeZone();
+    this.getDeviceType = (deviceId) => extractDeviceType(deviceId);
+    this.getLastMaintenance = () => null;
+    this.walkingModel = DEFAULT_WALKING_MODEL;
+    this.parLocationCounts = {};
+    this.storageLocations = [];
+    this.shiftPlanning = DEFAULT_SHIFT_PLANNING;
+    this.serviceLevel = DEFAULT_SERVICE_LEVEL;
+    this.fleetSizes = {};
+    this.devices = [];
+    this.zoneIndex = null;
+    this.maintenanceCostRate = DEFAULT_MAINTENANCE_COST_RATE;
+    this.forecastHorizonDays = DEFAULT_FORECAST_HORIZON_DAYS;
+    // Recommendation types whose generator failed on the last run
+    this.failedTypes = [];
   }
 
   /**
    * Initialize the optimization service with graph and floor plan data
    * @param {Object} graphData - The graph data with nodes and edges
    * @param {Object} floorPlanData - The floor plan data with room coordinates
+   * @param {Object} [options] - Options
+   * @param {string} [options.timeZone] - Facility timezone used for day and hour buckets
+   * @param {Function} [options.getDeviceType] - Returns the catalog type of a device ID
+   * @param {Function} [options.getLastMaintenance] - Returns the last service date of a device ID
+   * @param {Object} [options.walkingModel] - Plan scale, walking speed and trip overhead
+   * @param {Object} [options.parLocationCounts] - Device type -> number of par locations
+   * @param {Array} [options.storageLocations] - Rooms equipment may be stored in and their capacities
+   * @param {Object} [options.shiftPlanning] - Shifts to compare per-shift par locations over
+   * @param {number} [options.serviceLevel] - Share of requests that should find a unit free
+   * @param {Object} [options.fleetSizes] - Device type -> units owned
+   * @param {Array} [options.devices] - Device catalog, for right-sizing
+   * @param {Object} [options.zoneIndex] - Zone index, for department shortages
+   * @param {number} [options.maintenanceCostRate] - Yearly maintenance as a share of acquisition cost
+   * @param {number} [options.forecastHorizonDays] - Days ahead to forecast demand for purchases
    */
-  initialize(graphData, floorPlanData) {
+  initialize(graphData, floorPlanData, options = {}) {
     this.graphData = graphData;
     this.floorPlanData = floorPlanData;
+    if (options.timeZone) {
+      this.timeZone = options.timeZone;
+    }
+    if (options.getDeviceType) {
+      this.getDeviceType = options.getDeviceType;
+    }
+    if (options.getLastMaintenance) {
+      this.getLastMaintenance = options.getLastMaintenance;
+    }
+    if (options.walkingModel) {
+      this.walkingModel = getWalkingModel(options.walkingModel);
+    }
+    if (options.parLocationCounts) {
+      this.parLocationCounts = options.parLocationCounts;
+    }
+    if (options.storageLocations) {
+      this.storageLocations = options.storageLocations;
+    }
+    if (options.shiftPlanning) {
+      this.shiftPlanning = options.shiftPlanning;
+    }
+    if (options.serviceLevel) {
+      this.serviceLevel = options.serviceLevel;
+    }
+    if (options.fleetSizes) {
+      this.fleetSizes = options.fleetSizes;
+    }
+    if (options.devices) {
+      this.devices = options.devices;
+    }
+    if (options.zoneIndex) {
+      this.zoneIndex = options.zoneIndex;
+    }
+    if (options.maintenanceCostRate !== undefined) {
+      this.maintenanceCostRate = options.maintenanceCostRate;
+    }
+    if (options.forecastHorizonDays) {
+      this.forecastHorizonDays = options.forecastHorizonDays;
+    }
 
     // Create a graph object for the equipment optimizer
     if (graphData && graphData.nodes && graphData.edges) {
-      this.graph = createGraph(graphData.nodes, graphData.edges);
+      this.graph = createGraph(
+        graphData.nodes,
+        graphData.edges,
+        graphData.connectors
+      );
     }
-
-    console.log("Optimization service initialized");
   }
 
   /**
-   * Optimize equipment placement to minimize staff walking distance
+   * Optimize equipment placement to minimize staff walking distance. Each
+   * device type is planned as a fleet over shared par locations.
    * @param {Array} movements - The movement data to analyze
    * @returns {Array} Optimization recommendations
    */
   optimizeWalkingDistance(movements) {
-    console.log(
-      "optimizeWalkingDistance called with",
-      movements.length,
-      "movements"
-    );
-    console.log("Graph data available:", !!this.graphData);
-    console.log("Graph object available:", !!this.graph);
-
     if (
       !this.graphData ||
       !this.graph ||
       !movements ||
       movements.length === 0
     ) {
-      console.log("Missing required data, returning empty recommendations");
       return [];
     }
 
     const recommendations = [];
 
     try {
-      // Group movements by device ID
-      const deviceMap = {};
-
-      movements.forEach((movement) => {
-        const deviceId = movement.deviceId || "";
-
-        if (!deviceId) return;
-
-        if (!deviceMap[deviceId]) {
-          deviceMap[deviceId] = new Equipment(deviceId);
-        }
-
-        // Add usage data to the equipment object
-        if (
-          movement.fromLocation &&
-          movement.toLocation &&
-          movement.timeIn &&
-          movement.timeOut
-        ) {
-          deviceMap[deviceId].addUsage(
-            movement.toLocation,
-            movement.status || "Unknown",
-            movement.timeIn,
-            movement.timeOut
-          );
-        }
-      });
-
-      console.log("Processed", Object.keys(deviceMap).length, "unique devices");
-
-      // Analyze each device
-      Object.entries(deviceMap).forEach(([deviceId, equipment]) => {
-        console.log(
-          "Analyzing device:",
-          deviceId,
-          "with",
-          equipment.usageHistory.length,
-          "usage records"
-        );
+      const fleets = buildFleets(movements, this.getDeviceType, this.devices);
+      const router = getRouter(this.graphData);
 
+      // Plan each device type's par locations
+      Object.entries(fleets).forEach(([deviceType, fleet]) => {
         // Skip if not enough usage history
-        if (equipment.usageHistory.length < 3) {
-          console.log(
-            "Skipping device with insufficient usage history:",
-            deviceId
-          );
-          return;
-        }
+        if (fleet.movements.length < 3) return;
 
-        // Find optimal storage location
-        const result = findOptimalStorageLocation(equipment, this.graph);
-        console.log("Optimization result for", deviceId, ":", result);
+        const capacities = getStorageCapacities(
+          this.storageLocations,
+          deviceType
+        );
+        const plan = planFleetPlacement(fleet, {
+          candidates: router.getNodes(),
+          getDistance: (from, to) => this.getShortestPathDistance(from, to),
+          parCount: this.parLocationCounts[deviceType],
+          capacities,
+        });
+        if (!plan) return;
 
-        // Only recommend if there's a significant improvement
-        if (
-          result.percentImprovement > 10 &&
-          result.currentLocation !== result.optimalLocation &&
-          result.hoursSaved > 0
-        ) {
-          console.log("Creating recommendation for", deviceId);
-          const deviceType = deviceId.split("-")[0] || "Unknown";
+        const months = getMonthsSpanned(
+          fleet.movements.map((movement) => movement.timeIn)
+        );
 
-          const recommendation = {
-            _id: `walking_${deviceId}_${Date.now()}`,
+        // Compare with par locations planned for each shift
+        const shiftPlan = this.shiftPlanning.enabled
+          ? planShiftPlacement(fleet, plan, {
+              planning: this.shiftPlanning,
+              timeZone: this.timeZone,
+              candidates: router.getNodes(),
+              getDistance: (from, to) => this.getShortestPathDistance(from, to),
+              parCount: this.parLocationCounts[deviceType],
+              capacities,
+              walkingModel: this.walkingModel,
+              months,
+            })
+          : null;
+        const shiftNote = shiftPlan
+          ? describeShiftPlacement(deviceType, plan, shiftPlan)
+          : "";
+
+        if (shiftPlan && shiftPlan.shiftSpecific) {
+          recommendations.push({
+            _id: `shifts_${deviceType}_${Date.now()}`,
             type: "placement",
-            title: `Optimize ${deviceType} Placement`,
-            description: `Moving ${deviceId} from ${
-              result.currentLocation
-            } to ${
-              result.optimalLocation
-            } would reduce staff walking distance by approximately ${Math.round(
-              result.percentImprovement
-            )}% (${Math.round(
-              result.distanceSaved
-            )} feet) and save ~${parseFloat(result.hoursSaved || 0).toFixed(
-              1
-            )} hours/month.`,
-            savings: `~${parseFloat(result.hoursSaved || 0).toFixed(
-              1
-            )} hours/month based on ${Math.round(
-              result.movementsPerMonth || 0
-            )} movements/month`,
+            title: `Stock ${deviceType} by Shift`,
+            description: shiftNote,
+            savings: `~${formatMinutes(shiftPlan.netMinutesPerMonth)}/month`,
             implemented: false,
             createdAt: new Date().toISOString(),
-            deviceId: deviceId,
-            currentLocation: result.currentLocation,
-            optimalLocation: result.optimalLocation,
-            bestOverallLocation: result.bestOverallLocation,
-            bestStorageTypeLocation: result.bestStorageTypeLocation,
-            distanceSaved: Math.round(result.distanceSaved || 0),
-            hoursSaved: parseFloat(result.hoursSaved || 0),
-            movementsPerMonth: parseFloat(result.movementsPerMonth || 0),
-            currentTotalDistance: Math.round(result.currentTotalDistance || 0),
-            optimalTotalDistance: Math.round(result.optimalTotalDistance || 0),
-            overallTotalDistance: Math.round(result.overallTotalDistance || 0),
-            storageTypeTotalDistance: Math.round(
-              result.storageTypeTotalDistance || 0
+            deviceType,
+            parCount: plan.parCount,
+            parCountAutomatic: plan.automatic,
+            storageConstrained: Boolean(capacities),
+            constraints: plan.constraints,
+            shiftPlan: {
+              segments: shiftPlan.segments.map(
+                ({ key, label, arrivals, locations }) => ({
+                  key,
+                  label,
+                  arrivals,
+                  locations,
+                })
+              ),
+              changes: shiftPlan.changes,
+              savedMinutesPerMonth: shiftPlan.savedMinutesPerMonth,
+              restockMinutesPerMonth: shiftPlan.restockMinutesPerMonth,
+              restockMovesPerMonth: shiftPlan.restockMovesPerMonth,
+            },
+            distanceSaved: Math.round(
+              shiftPlan.savedMetresPerMonth - shiftPlan.restockMetresPerMonth
             ),
-            percentImprovement: Math.round(result.percentImprovement || 0),
-          };
-
-          console.log("Created recommendation:", recommendation);
-          recommendations.push(recommendation);
-        } else {
-          console.log(
-            "No significant improvement for",
-            deviceId,
-            "- not creating recommendation"
-          );
+            minutesSaved: shiftPlan.netMinutesPerMonth,
+            hoursSaved: shiftPlan.netMinutesPerMonth / 60,
+            movementsPerMonth: fleet.movements.length / months,
+            percentImprovement: Math.round(shiftPlan.percentImprovement),
+          });
+          return;
         }
-      });
 
-      console.log(
-        "Generated",
-        recommendations.length,
-        "walking distance recommendations"
-      );
+        // Only recommend if there's a significant improvement. Walking today
+        // cannot be measured when some rooms of use have no route from where
+        // the units are kept, so those fleets are always worth moving.
+        if (plan.currentCost === null) return;
+        const comparable = Number.isFinite(plan.currentCost);
+        const percentImprovement =
+          plan.improvement === null ? null : plan.improvement * 100;
+        if (comparable && !(percentImprovement > 10)) return;
+
+        // Split the walking saved between the units that have to move
+        const moves = plan.assignments.filter(
+          (assignment) =>
+            assignment.location &&
+            assignment.location !== assignment.currentLocation
+        );
+        const movedShare = moves.reduce(
+          (sum, assignment) => sum + assignment.demandShare,
+          0
+        );
+        const parSummary = plan.locations
+          .map(({ location }) => location)
+          .join(", ");
+
+        moves.forEach(
+          ({ deviceId, currentLocation, location, demandShare }) => {
+            const savings = estimateMonthlySavings(
+              comparable
+                ? ((plan.currentCost - plan.cost) * demandShare) / movedShare
+                : 0,
+              months,
+              this.walkingModel
+            );
+            const unitMoves =
+              fleet.units.find((unit) => unit.deviceId === deviceId)?.moves ||
+              0;
+            const route =
+              currentLocation &&
+              summarizeCrossFloorRoute(
+                router.findPath(currentLocation, location).path,
+                this.floorPlanData,
+                this.graphData
+              );
+
+            recommendations.push({
+              _id: `walking_${deviceId}_${Date.now()}`,
+              type: "placement",
+              title: `Optimize ${deviceType} Placement`,
+              description: `Moving ${deviceId} from ${
+                currentLocation || "Unknown"
+              } to ${location} keeps ${deviceType} units at ${
+                plan.parCount === 1
+                  ? `one par location (${parSummary})`
+                  : `${plan.parCount} par locations (${parSummary})`
+              }${
+                comparable
+                  ? `, which would reduce staff walking distance for ${deviceType} by approximately ${Math.round(
+                      percentImprovement
+                    )}% (${formatDistance(
+                      savings.metresPerMonth
+                    )} a month for this unit) and save ~${formatMinutes(
+                      savings.minutesPerMonth
+                    )} of walking a month.`
+                  : `. Some rooms where ${deviceType} units are used cannot be reached from where they are kept today, so the walking saved cannot be estimated.`
+              }${route ? ` ${route.description}` : ""}${
+                shiftNote ? ` ${shiftNote}` : ""
+              }`,
+              savings: `~${formatMinutes(
+                savings.minutesPerMonth
+              )}/month based on ${Math.round(
+                unitMoves / months
+              )} movements/month`,
+              implemented: false,
+              createdAt: new Date().toISOString(),
+              deviceId: deviceId,
+              deviceType,
+              currentLocation: currentLocation || "Unknown",
+              optimalLocation: location,
+              parLocations: plan.locations.map(
+                ({ location, units, capacity }) => ({
+                  location,
+                  units,
+                  capacity,
+                })
+              ),
+              parCount: plan.parCount,
+              parCountAutomatic: plan.automatic,
+              storageConstrained: Boolean(capacities),
+              constraints: plan.constraints,
+              route: route && {
+                floors: route.floors,
+                connectors: route.connectors,
+              },
+              distanceSaved: Math.round(savings.metresPerMonth),
+              minutesSaved: savings.minutesPerMonth,
+              hoursSaved: savings.hoursPerMonth,
+              movementsPerMonth: unitMoves / months,
+              // Demand-weighted walking of the whole fleet, in metres
+              currentTotalDistance: comparable
+                ? Math.round(toMetres(plan.currentCost, this.walkingModel))
+                : null,
+              optimalTotalDistance: Math.round(
+                toMetres(plan.cost, this.walkingModel)
+              ),
+              percentImprovement: comparable
+                ? Math.round(percentImprovement)
+                : null,
+            });
+          }
+        );
+      });
     } catch (error) {
       console.error("Error in walking distance optimization:", error);
+      this.failedTypes.push("placement");
     }
 
     return recommendations;
   }
 
   /**
-   * Calculate the shortest path distance between two locations using Dijkstra's algorithm
+   * Calculate the shortest path distance between two locations along the room graph
    * @param {string} start - The starting location
    * @param {string} end - The ending location
-   * @returns {number} The shortest path distance
+   * @returns {number|null} The shortest path distance in graph units, or null if it is unknown
    */
   getShortestPathDistance(start, end) {
     if (!this.graphData || !start || !end || start === end) {
       return 0;
     }
 
-    try {
-      // Build adjacency list from graph data
-      const graph = {};
-
-      this.graphData.nodes.forEach((node) => {
-        graph[node] = {};
-      });
-
-      this.graphData.edges.forEach((edge) => {
-        const [from, to, distance] = edge;
-        graph[from][to] = distance;
-        graph[to][from] = distance; // Assuming undirected graph
-      });
-
-      // If start or end not in graph, return direct distance or a default
-      if (!graph[start] || !graph[end]) {
-        // Try to get coordinates from floor plan
-        if (this.floorPlanData && this.floorPlanData.rooms) {
-          const startCoords = this.floorPlanData.rooms[start];
-          const endCoords = this.floorPlanData.rooms[end];
-
-          if (startCoords && endCoords) {
-            return calculateDistance(
-              startCoords[0],
-              startCoords[1],
-              endCoords[0],
-              endCoords[1]
-            );
-          }
-        }
-
-        return null; // Default distance if not found
-      }
-
-      // Dijkstra's algorithm
-      const distances = {};
-      const previous = {};
-      const nodes = new Set();
-
-      // Initialize
-      Object.keys(graph).forEach((node) => {
-        distances[node] = node === start ? 0 : Infinity;
-        previous[node] = null;
-        nodes.add(node);
-      });
-
-      // Find shortest path
-      while (nodes.size > 0) {
-        // Find node with minimum distance
-        let minNode = null;
-        let minDistance = Infinity;
-
-        nodes.forEach((node) => {
-          if (distances[node] < minDistance) {
-            minDistance = distances[node];
-            minNode = node;
-          }
-        });
-
-        // If minNode is the end node or no path exists
-        if (minNode === end || minDistance === Infinity) {
-          break;
-        }
-
-        // Remove minNode from unvisited set
-        nodes.delete(minNode);
-
-        // Update distances to neighbors
-        Object.entries(graph[minNode]).forEach(([neighbor, distance]) => {
-          if (nodes.has(neighbor)) {
-            const alt = distances[minNode] + distance;
-
-            if (alt < distances[neighbor]) {
-              distances[neighbor] = alt;
-              previous[neighbor] = minNode;
-            }
-          }
-        });
-      }
-
-      return distances[end];
-    } catch (error) {
-      console.error("Error calculating shortest path:", error);
-      return 100; // Default distance on error
+    const distance = getRouter(this.graphData).getDistance(start, end);
+    if (distance !== null) {
+      return distance;
     }
+
+    // Rooms missing from the graph fall back to the straight line between
+    // their floor plan coordinates, which share the graph's units, as long
+    // as they are on the same floor
+    return this.floorPlanData
+      ? getSameFloorDistance(this.floorPlanData, start, end)
+      : null;
   }
 
   /**
@@ -311,7 +402,10 @@ class OptimizationService {
         if (!deviceId) return;
 
         if (!deviceMap[deviceId]) {
-          deviceMap[deviceId] = new Equipment(deviceId);
+          deviceMap[deviceId] = new Equipment(
+            deviceId,
+            this.getDeviceType(deviceId)
+          );
         }
 
         // Add usage data to the equipment object
@@ -339,7 +433,7 @@ class OptimizationService {
       const deviceTypeMap = {};
 
       Object.entries(deviceMap).forEach(([deviceId, equipment]) => {
-        const deviceType = deviceId.split("-")[0] || "Unknown";
+        const deviceType = this.getDeviceType(deviceId);
 
         if (!deviceTypeMap[deviceType]) {
           deviceTypeMap[deviceType] = {
@@ -352,50 +446,6 @@ class OptimizationService {
 
         deviceTypeMap[deviceType].devices.push(equipment);
 
-        // Analyze individual device for purchase recommendations
-        const purchaseAnalysis = equipment.shouldPurchaseMore(this.graph);
-
-        if (purchaseAnalysis.needsMore) {
-          const metrics = purchaseAnalysis.metrics;
-          const additionalUnits = Math.ceil((metrics.avgUsageRatio - 0.8) * 10);
-
-          // Calculate peak hours from usage history
-          const hourCounts = Array(24).fill(0);
-          equipment.usageHistory.forEach(([room, status, timeIn]) => {
-            if (timeIn) {
-              const hour = new Date(timeIn).getHours();
-              hourCounts[hour]++;
-            }
-          });
-
-          const maxUsage = Math.max(...hourCounts);
-          const peakHours = hourCounts
-            .map((usage, hour) => ({ hour, usage }))
-            .filter((h) => h.usage > maxUsage * 0.7)
-            .map((h) => h.hour);
-
-          recommendations.push({
-            _id: `utilization_${deviceId}_${Date.now()}`,
-            type: "purchase",
-            title: `Additional ${deviceType} Units Needed`,
-            description: `${deviceType} equipment (${deviceId}) is utilized at ${Math.round(
-              metrics.avgUsageRatio * 100
-            )}% capacity. Consider purchasing ${
-              additionalUnits > 0 ? additionalUnits : 1
-            } additional unit(s) to reduce wait times during peak hours (${peakHours
-              .map((h) => `${h}:00`)
-              .join(", ")}).`,
-            savings: `Improved patient care and reduced wait times`,
-            implemented: false,
-            createdAt: new Date().toISOString(),
-            deviceId: deviceId,
-            metrics: metrics,
-            hoursSaved: 0,
-            distanceSaved: 0,
-            movementsPerMonth: 0,
-          });
-        }
-
         // Aggregate data for device type analysis
         equipment.usageHistory.forEach(([room, status, timeIn, timeOut]) => {
           if (timeIn && timeOut) {
@@ -411,7 +461,7 @@ class OptimizationService {
               }
 
               // Track hourly usage
-              const hour = start.getHours();
+              const hour = getZonedHour(start, this.timeZone);
               deviceTypeMap[deviceType].hourlyUsage[hour]++;
             }
           }
@@ -438,6 +488,99 @@ class OptimizationService {
         peakTimes[deviceType] = peakHours;
       });
 
+      // Recommend more units for fleets that miss the service level, sized
+      // from how many units were in use at once and are forecast to be
+      const forecastByType = {};
+      forecastDemand(movements, this.getDeviceType, {
+        timeZone: this.timeZone,
+        horizonDays: this.forecastHorizonDays,
+        serviceLevel: this.serviceLevel,
+      }).forEach((forecast) => {
+        forecastByType[forecast.deviceType] = forecast;
+      });
+      sizeFleets(movements, this.getDeviceType, {
+        timeZone: this.timeZone,
+        serviceLevel: this.serviceLevel,
+        fleetSizes: this.fleetSizes,
+      }).forEach((sizing) => {
+        const { deviceType, fleetSize, requiredFleetSize, concurrency } =
+          sizing;
+        const forecast = forecastByType[deviceType] || null;
+        const plan = planPurchase(sizing, forecast, this.serviceLevel);
+        if (!plan) return;
+
+        recommendations.push({
+          _id: `fleet_${deviceType}_${Date.now()}`,
+          type: "purchase",
+          title: `Additional ${deviceType} Units Needed`,
+          description: plan.description,
+          savings: `Requests finding no unit free: ${Math.round(
+            plan.before * 100
+          )}% to ${Math.round(plan.after * 100)}%`,
+          implemented: false,
+          createdAt: new Date().toISOString(),
+          deviceType,
+          fleetSize,
+          requiredFleetSize,
+          recommendedFleetSize: plan.recommendedFleetSize,
+          additionalUnits: plan.additionalUnits,
+          serviceLevel: this.serviceLevel,
+          utilizationRate: utilizationRates[deviceType],
+          concurrency: {
+            peak: concurrency.peak,
+            percentiles: concurrency.percentiles,
+            busyHour: concurrency.busyHour,
+            busyHourLoad: concurrency.busyHourLoad,
+            meanUseHours: concurrency.meanUseHours,
+          },
+          noUnitProbability: sizing.noUnitProbability,
+          requiredProbability: sizing.requiredProbability,
+          forecast: forecast && {
+            horizonDays: forecast.horizonDays,
+            busyHour: forecast.busyHour,
+            busyHourLoad: forecast.busyHourLoad,
+            busyHourLower: forecast.busyHourLower,
+            busyHourUpper: forecast.busyHourUpper,
+            peakConcurrency: forecast.peakConcurrency,
+            trendPerMonth: forecast.trendPerMonth,
+          },
+          hoursSaved: 0,
+          distanceSaved: 0,
+          movementsPerMonth: 0,
+        });
+      });
+
+      // Redeploy or retire the least used units of fleets bigger than they
+      // need to be
+      analyzeRightSizing(movements, this.devices, this.getDeviceType, {
+        timeZone: this.timeZone,
+        serviceLevel: this.serviceLevel,
+        zoneIndex: this.zoneIndex,
+        maintenanceCostRate: this.maintenanceCostRate,
+      }).forEach((sizing) => {
+        sizing.surplus.forEach((unit) => {
+          recommendations.push({
+            _id: `rightsize_${unit.deviceId}_${Date.now()}`,
+            type: "right-size",
+            ...describeSurplusUnit(sizing, unit),
+            implemented: false,
+            createdAt: new Date().toISOString(),
+            deviceId: unit.deviceId,
+            deviceType: sizing.deviceType,
+            action: unit.action,
+            department: unit.department,
+            toDepartment: unit.toDepartment,
+            utilizationRate: Math.round(unit.utilization * 100) / 100,
+            inUseHours: Math.round(unit.inUseHours * 10) / 10,
+            fleetSize: sizing.fleetSize,
+            keepUnits: sizing.keep,
+            peakInUse: sizing.peak,
+            capitalAvoided: unit.capitalAvoided,
+            maintenanceAvoidedPerYear: unit.maintenanceAvoidedPerYear,
+          });
+        });
+      });
+
       return {
         utilizationRates,
         peakTimes,
@@ -445,6 +588,7 @@ class OptimizationService {
       };
     } catch (error) {
       console.error("Error in utilization analysis:", error);
+      this.failedTypes.push("purchase", "right-size");
       return {
         deviceTypes: [],
         peakTimes: [],
@@ -475,7 +619,11 @@ class OptimizationService {
         if (!deviceId) return;
 
         if (!deviceMap[deviceId]) {
-          deviceMap[deviceId] = new Equipment(deviceId);
+          deviceMap[deviceId] = new Equipment(
+            deviceId,
+            this.getDeviceType(deviceId),
+            this.getLastMaintenance(deviceId)
+          );
         }
 
         // Add usage data to the equipment object
@@ -503,7 +651,7 @@ class OptimizationService {
         const maintenanceNeeded = equipment.needsMaintenance();
 
         if (maintenanceNeeded.needed) {
-          const deviceType = deviceId.split("-")[0] || "Unknown";
+          const deviceType = this.getDeviceType(deviceId);
           const metrics = maintenanceNeeded.metrics;
 
           recommendations.push({
@@ -511,12 +659,21 @@ class OptimizationService {
             type: "maintenance",
             title: `Schedule ${deviceType} Maintenance`,
             description: `${deviceId} has been in use for ${Math.round(
-              metrics.totalUsageHours
-            )} hours across ${
-              metrics.totalMovements
-            } movements. Recommend scheduling maintenance within the next ${Math.round(
-              metrics.daysUntilMaintenance
-            )} days.`,
+              metrics.hoursSinceMaintenance
+            )} hours ${
+              metrics.lastMaintenance
+                ? `since its last service on ${metrics.lastMaintenance.slice(
+                    0,
+                    10
+                  )}`
+                : "with no service on record"
+            } (service interval ${
+              metrics.threshold
+            } hours). Recommend scheduling maintenance ${
+              maintenanceNeeded.needsMaintenance
+                ? "immediately"
+                : "within the next month"
+            }.`,
             savings: `Prevent downtime and extend equipment lifespan`,
             implemented: false,
             createdAt: new Date().toISOString(),
@@ -530,17 +687,20 @@ class OptimizationService {
       });
     } catch (error) {
       console.error("Error in maintenance prediction:", error);
+      this.failedTypes.push("maintenance");
     }
 
     return recommendations;
   }
 
   /**
-   * Generate all recommendations for the given movement data
+   * Generate all recommendations for the given movement data. The types
+   * whose generator failed are left in failedTypes.
    * @param {Array} movements - The movement data to analyze
    * @returns {Array} All recommendations
    */
   generateRecommendations(movements) {
+    this.failedTypes = [];
     if (!movements || movements.length === 0) {
       return [];
     }
@@ -0,0 +1,105 @@
+const { analyzeDataQuality } = require("../dataQuality");
+
+// Two rooms 100 plan units (about 49 m) apart
+const graphData = { nodes: ["A", "B"], edges: [["A", "B", 100]] };
+
+const dwell = (id, locationId, timeIn, timeOut, extra = {}) => ({
+  _id: id,
+  deviceId: "Pump-1",
+  locationId,
+  timeIn: `2025-03-01T${timeIn}Z`,
+  timeOut: `2025-03-01T${timeOut}Z`,
+  ...extra,
+});
+
+describe("analyzeDataQuality", () => {
+  it("scores clean data as perfect", () => {
+    const result = analyzeDataQuality(
+      [
+        dwell("d1", "A", "08:00:00", "09:00:00"),
+        dwell("d2", "B", "09:05:00", "10:00:00"),
+      ],
+      graphData
+    );
+
+    expect(result.issues).toEqual([]);
+    expect(result.overall).toEqual({
+      dwellCount: 2,
+      flaggedDwells: 0,
+      issueCount: 0,
+      score: 100,
+    });
+  });
+
+  it("flags stays that end before they start", () => {
+    const result = analyzeDataQuality(
+      [dwell("d1", "A", "09:00:00", "08:30:00")],
+      graphData
+    );
+
+    expect(result.issueCounts.invalidInterval).toBe(1);
+    expect(result.issues[0].details).toEqual({ minutes: 30 });
+  });
+
+  it("puts short overlaps down to clock drift", () => {
+    const result = analyzeDataQuality(
+      [
+        dwell("d1", "A", "08:00:00", "09:00:30"),
+        dwell("d2", "A", "09:00:00", "10:00:00"),
+        dwell("d3", "A", "09:30:00", "11:00:00"),
+      ],
+      graphData
+    );
+
+    expect(result.issueCounts.overlap).toBe(1);
+    expect(result.issues[0].dwellIds).toEqual(["d2", "d3"]);
+  });
+
+  it("flags moves faster than walking and long gaps", () => {
+    const result = analyzeDataQuality(
+      [
+        dwell("d1", "A", "08:00:00", "09:00:00"),
+        // 49 m in 10 seconds is more than twice walking speed
+        dwell("d2", "B", "09:00:10", "10:00:00"),
+        dwell("d3", "B", "23:00:00", "23:30:00"),
+      ],
+      graphData
+    );
+
+    expect(result.issueCounts).toMatchObject({ teleport: 1, gap: 1 });
+    const teleport = result.issues.find(({ type }) => type === "teleport");
+    expect(teleport.details).toEqual({
+      distanceMetres: 49,
+      seconds: 10,
+      minimumSeconds: 53,
+    });
+  });
+
+  it("scores devices and import batches by their flagged dwells", () => {
+    const result = analyzeDataQuality(
+      [
+        dwell("d1", "A", "08:00:00", "09:00:00", { importBatchId: "b1" }),
+        dwell("d2", "A", "08:30:00", "10:00:00", { importBatchId: "b2" }),
+        dwell("d3", "A", "10:00:00", "11:00:00", { importBatchId: "b2" }),
+        dwell("d4", "A", "11:00:00", "12:00:00", { importBatchId: "b2" }),
+      ],
+      graphData
+    );
+
+    expect(result.devices).toEqual([
+      {
+        deviceId: "Pump-1",
+        dwellCount: 4,
+        flaggedDwells: 2,
+        issueCount: 1,
+        score: 50,
+      },
+    ]);
+    expect(
+      result.batches.map(({ importBatchId, score }) => [importBatchId, score])
+    ).toEqual([
+      ["b1", 0],
+      ["b2", 66.7],
+    ]);
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  isValidTypePattern,
+  extractDeviceType,
+  createDeviceTypeResolver,
+  normalizeCatalogEntry,
+} = require("../deviceCatalog");
+
+describe("extractDeviceType", () => {
+  it("takes everything before the trailing number", () => {
+    expect(extractDeviceType("IV-Pump-12")).toBe("IV-Pump");
+    expect(extractDeviceType("Bed_3")).toBe("Bed");
+    expect(extractDeviceType("Monitor 7")).toBe("Monitor");
+    expect(extractDeviceType("Wheelchair")).toBe("Wheelchair");
+    expect(extractDeviceType("  ")).toBe("Unknown");
+  });
+
+  it("uses the first capture group of a custom pattern", () => {
+    expect(extractDeviceType("ICU-PUMP-0042", "^[A-Z]+-([A-Z]+)")).toBe("PUMP");
+    expect(extractDeviceType("Pump-1", "([unclosed")).toBe("Pump");
+    expect(isValidTypePattern("([unclosed")).toBe(false);
+  });
+});
+
+describe("createDeviceTypeResolver", () => {
+  it("prefers the stored type over the pattern", () => {
+    const getDeviceType = createDeviceTypeResolver([
+      { deviceId: "TAG-0001", deviceType: "Infusion Pump" },
+      { deviceId: "Bed-2" },
+    ]);
+
+    expect(getDeviceType("TAG-0001")).toBe("Infusion Pump");
+    expect(getDeviceType("Bed-2")).toBe("Bed");
+  });
+});
+
+describe("normalizeCatalogEntry", () => {
+  it("trims text, keeps the register's day and reads costs", () => {
+    expect(
+      normalizeCatalogEntry({
+        deviceId: " Pump-1 ",
+        model: " P200 ",
+        purchaseDate: "2021-06-30T23:00:00Z",
+        acquisitionCost: "$1,250.50",
+      })
+    ).toEqual({
+      device: {
+        deviceId: "Pump-1",
+        model: "P200",
+        purchaseDate: "2021-06-30",
+        acquisitionCost: 1250.5,
+      },
+      errors: [],
+    });
+  });
+
+  it("only includes the fields that were given", () => {
+    expect(normalizeCatalogEntry({ deviceId: "Pump-1" }).device).toEqual({
+      deviceId: "Pump-1",
+    });
+  });
+
+  it("reports missing IDs and unreadable dates and costs", () => {
+    expect(
+      normalizeCatalogEntry({
+        purchaseDate: "last spring",
+        acquisitionCost: "-5",
+      }).errors
+    ).toEqual([
+      "Device ID is required",
+      'Invalid purchase date "last spring"',
+      'Invalid acquisition cost "-5"',
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  isInUseStatus,
+  getDwellHours,
+  buildDwell,
+  summarizeUtilization,
+  summarizeRoomOccupancy,
+} = require("../dwells");
+
+const dwell = (deviceId, locationId, status, timeIn, timeOut) => ({
+  deviceId,
+  locationId,
+  status,
+  timeIn: `2025-03-01T${timeIn}:00Z`,
+  timeOut: `2025-03-01T${timeOut}:00Z`,
+});
+
+const dwells = [
+  dwell("Pump-1", "ICU-1", "In Use", "08:00", "11:00"),
+  dwell("Pump-1", "Storage", "Available", "11:00", "12:00"),
+  dwell("Pump-2", "ICU-1", "in use", "09:00", "10:00"),
+];
+
+describe("buildDwell", () => {
+  it("keeps the room, status and duration of a record", () => {
+    expect(
+      buildDwell("Pump-1", {
+        normalizedLocation: "ICU-1",
+        location: "icu 1",
+        status: "In Use",
+        timeIn: "2025-03-01T08:00:00.000Z",
+        timeOut: "2025-03-01T09:30:00.000Z",
+      })
+    ).toMatchObject({
+      deviceId: "Pump-1",
+      locationId: "ICU-1",
+      locationRaw: "icu 1",
+      durationMinutes: 90,
+      metadata: {},
+    });
+  });
+
+  it("returns null when the times cannot be read", () => {
+    expect(buildDwell("Pump-1", { timeIn: "soon", timeOut: "" })).toBeNull();
+  });
+});
+
+describe("getDwellHours", () => {
+  it("counts a time out before the time in as no time", () => {
+    expect(getDwellHours({ durationMinutes: 90 })).toBe(1.5);
+    expect(getDwellHours(dwell("Pump-1", "ICU-1", "", "10:00", "09:00"))).toBe(
+      0
+    );
+    expect(isInUseStatus("IN USE - Patient")).toBe(true);
+    expect(isInUseStatus(undefined)).toBe(false);
+  });
+});
+
+describe("summarizeUtilization", () => {
+  it("splits each device's hours into in use and idle", () => {
+    const summary = summarizeUtilization(dwells, (d) => d.deviceId);
+
+    expect(summary["Pump-1"]).toEqual({
+      dwellCount: 2,
+      totalHours: 4,
+      inUseHours: 3,
+      idleHours: 1,
+      utilization: 75,
+    });
+    expect(summary["Pump-2"].utilization).toBe(100);
+  });
+});
+
+describe("summarizeRoomOccupancy", () => {
+  it("sums the time devices spent in each room", () => {
+    expect(summarizeRoomOccupancy(dwells)["ICU-1"]).toEqual({
+      dwellCount: 2,
+      deviceCount: 2,
+      occupiedHours: 4,
+      inUseHours: 4,
+      avgDwellMinutes: 120,
+    });
+  });
+});
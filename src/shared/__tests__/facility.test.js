@@ -0,0 +1,128 @@
+const {
+  getFloors,
+  toFloorsFormat,
+  getRoomFloor,
+  getSameFloorDistance,
+  getConnectorWeight,
+  getConnectorEdges,
+  summarizeCrossFloorRoute,
+} = require("../facility");
+const { validateMapData } = require("../floorPlan");
+
+const floorPlan = {
+  floors: [
+    {
+      id: "t2",
+      name: "Level 2",
+      building: "Tower",
+      level: 2,
+      image: "t2.png",
+      rooms: { ICU: [0, 0], Lift2: [3, 4] },
+    },
+    {
+      id: "t1",
+      name: "Level 1",
+      building: "Tower",
+      level: 1,
+      image: "t1.png",
+      rooms: { ER: [0, 0], Lift1: [6, 8] },
+    },
+  ],
+};
+
+const graphData = {
+  nodes: ["ER", "Lift1", "Lift2", "ICU"],
+  edges: [
+    ["ER", "Lift1", 10],
+    ["Lift2", "ICU", 5],
+  ],
+  connectors: [{ from: "Lift1", to: "Lift2", type: "elevator" }],
+};
+
+describe("getFloors", () => {
+  it("sorts floors by building and level", () => {
+    expect(getFloors(floorPlan).map(({ id }) => id)).toEqual(["t1", "t2"]);
+  });
+
+  it("reads the single-floor format as one floor", () => {
+    const plan = { rooms: { A: [1, 1] }, walls: [], size: [20, 10] };
+
+    expect(getFloors(plan)).toEqual([
+      expect.objectContaining({ id: "main", rooms: { A: [1, 1] } }),
+    ]);
+    expect(toFloorsFormat(plan)).toEqual({ floors: getFloors(plan) });
+  });
+});
+
+describe("rooms on floors", () => {
+  it("only measures straight lines on the same floor", () => {
+    expect(getRoomFloor(floorPlan, "ICU").name).toBe("Level 2");
+    expect(getRoomFloor(floorPlan, "Nowhere")).toBeNull();
+    expect(getSameFloorDistance(floorPlan, "ER", "Lift1")).toBe(10);
+    expect(getSameFloorDistance(floorPlan, "ER", "ICU")).toBeNull();
+  });
+});
+
+describe("connectors", () => {
+  it("adds the time penalty as the distance walked in that time", () => {
+    const walkingModel = { metresPerUnit: 1, walkingSpeed: 1 };
+
+    expect(
+      getConnectorWeight({ type: "stairs", distance: 4 }, walkingModel)
+    ).toBe(24);
+    expect(
+      getConnectorWeight({ type: "bridge", penaltySeconds: 10 }, walkingModel)
+    ).toBe(10);
+    expect(getConnectorEdges(graphData)).toEqual([
+      ["Lift1", "Lift2", getConnectorWeight({ type: "elevator" })],
+    ]);
+  });
+
+  it("describes a route that changes floor", () => {
+    expect(
+      summarizeCrossFloorRoute(
+        ["ER", "Lift1", "Lift2", "ICU"],
+        floorPlan,
+        graphData
+      )
+    ).toEqual({
+      floors: ["Tower Level 1", "Tower Level 2"],
+      connectors: [{ from: "Lift1", to: "Lift2", type: "elevator" }],
+      description:
+        "ICU is on Tower Level 2, reached via Elevator to Tower Level 2.",
+    });
+    expect(
+      summarizeCrossFloorRoute(["ER", "Lift1"], floorPlan, graphData)
+    ).toBeNull();
+  });
+});
+
+describe("validateMapData with floors", () => {
+  it("accepts rooms spread over floors joined by connectors", () => {
+    const result = validateMapData(graphData, floorPlan);
+
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(result.graphData.connectors).toEqual(graphData.connectors);
+  });
+
+  it("rejects rooms on two floors and unknown connector types", () => {
+    const result = validateMapData(
+      {
+        ...graphData,
+        connectors: [{ from: "Lift1", to: "Lift2", type: "slide" }],
+      },
+      {
+        floors: [
+          floorPlan.floors[0],
+          { ...floorPlan.floors[1], rooms: { ER: [0, 0], ICU: [1, 1] } },
+        ],
+      }
+    );
+
+    expect(result.errors).toEqual([
+      "Room ICU is on both Level 2 and Level 1",
+      'Connector Lift1 - Lift2 has an unknown type "slide"',
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  erlangC,
+  getUses,
+  summarizeConcurrency,
+  getNoUnitProbability,
+  sizeFleets,
+} = require("../fleetSizing");
+
+const getDeviceType = (deviceId) => deviceId.split("-")[0];
+
+const dwell = (deviceId, timeIn, timeOut, status = "In Use") => ({
+  deviceId,
+  status,
+  timeIn: `2025-03-01T${timeIn}:00Z`,
+  timeOut: `2025-03-01T${timeOut}:00Z`,
+});
+
+describe("erlangC", () => {
+  it("is zero without load and one when the load fills every unit", () => {
+    expect(erlangC(3, 0)).toBe(0);
+    expect(erlangC(2, 2)).toBe(1);
+    expect(erlangC(2, 3)).toBe(1);
+  });
+
+  it("matches the closed form for two units", () => {
+    // Erlang B(2, 1) = 0.2, so C = 2 × 0.2 / (2 − 1 × 0.8) = 1/3
+    expect(erlangC(2, 1)).toBeCloseTo(1 / 3, 10);
+  });
+
+  it("falls as units are added", () => {
+    const probabilities = [2, 3, 4, 5].map((units) => erlangC(units, 1.5));
+    probabilities.slice(1).forEach((probability, index) => {
+      expect(probability).toBeLessThan(probabilities[index]);
+    });
+  });
+});
+
+describe("getUses", () => {
+  it("joins in-use dwells a few minutes apart and skips other statuses", () => {
+    const uses = getUses([
+      dwell("Pump-1", "08:00", "09:00"),
+      dwell("Pump-1", "09:03", "10:00"),
+      dwell("Pump-1", "11:00", "12:00", "Available"),
+      dwell("Pump-2", "08:30", "09:30"),
+    ]);
+
+    expect(uses).toEqual([
+      {
+        deviceId: "Pump-1",
+        start: Date.parse("2025-03-01T08:00:00Z"),
+        end: Date.parse("2025-03-01T10:00:00Z"),
+      },
+      {
+        deviceId: "Pump-2",
+        start: Date.parse("2025-03-01T08:30:00Z"),
+        end: Date.parse("2025-03-01T09:30:00Z"),
+      },
+    ]);
+  });
+});
+
+describe("sizeFleets", () => {
+  const records = [
+    dwell("Pump-1", "08:00", "10:00"),
+    dwell("Pump-2", "08:00", "10:00"),
+    dwell("Pump-3", "12:00", "13:00"),
+    dwell("Pump-3", "13:00", "18:00", "Available"),
+  ];
+
+  it("counts how many units were in use at once", () => {
+    const concurrency = summarizeConcurrency(records, "UTC");
+
+    expect(concurrency.uses).toBe(3);
+    expect(concurrency.peak).toBe(2);
+    expect(concurrency.observedHours).toBe(10);
+    expect(concurrency.hoursByLevel).toEqual([7, 1, 2]);
+    expect(concurrency.busyHour).toBe(8);
+    expect(concurrency.busyHourLoad).toBe(2);
+  });
+
+  it("sizes the smallest fleet that meets the service level", () => {
+    const [sizing] = sizeFleets(records, getDeviceType, {
+      timeZone: "UTC",
+      serviceLevel: 0.95,
+      fleetSizes: { Pump: 2 },
+    });
+
+    expect(sizing.deviceType).toBe("Pump");
+    expect(sizing.fleetSize).toBe(2);
+    // Both units were busy for 2 of the 10 hours observed
+    expect(sizing.noUnitProbability).toEqual({ erlangC: 1, replay: 0.2 });
+
+    const { requiredFleetSize, concurrency } = sizing;
+    const worst = (units) =>
+      Math.max(...Object.values(getNoUnitProbability(concurrency, units)));
+    expect(worst(requiredFleetSize)).toBeLessThanOrEqual(0.05);
+    expect(worst(requiredFleetSize - 1)).toBeGreaterThan(0.05);
+    expect(sizing.requiredProbability).toEqual(
+      getNoUnitProbability(concurrency, requiredFleetSize)
+    );
+  });
+
+  it("counts the devices seen for types without a fleet size", () => {
+    const [sizing] = sizeFleets(records, getDeviceType, { timeZone: "UTC" });
+    expect(sizing.fleetSize).toBe(3);
+  });
+});
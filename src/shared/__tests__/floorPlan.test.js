@@ -0,0 +1,84 @@
+const { getPlanSize, validateMapData } = require("../floorPlan");
+
+const floorPlan = {
+  rooms: { A: [1, 1], B: [4, 5], C: [10, 1] },
+  walls: [
+    [0, 0],
+    [12, 8],
+  ],
+};
+
+const graphData = {
+  nodes: ["A", "B", "C"],
+  edges: [
+    ["A", "B", 5],
+    ["B", "C", 7.2],
+  ],
+};
+
+describe("getPlanSize", () => {
+  it("fits rooms and walls unless a size was saved", () => {
+    expect(getPlanSize(floorPlan)).toEqual([17, 13]);
+    expect(getPlanSize({ ...floorPlan, size: [40, 30] })).toEqual([40, 30]);
+  });
+});
+
+describe("validateMapData", () => {
+  it("accepts a consistent plan and graph", () => {
+    const result = validateMapData(graphData, floorPlan);
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it("blocks corridors to unknown rooms and invalid lengths", () => {
+    const result = validateMapData(
+      {
+        nodes: ["A", "B", "C"],
+        edges: [
+          ["A", "Z", 3],
+          ["A", "A", 1],
+          ["B", "C", -2],
+        ],
+      },
+      floorPlan
+    );
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      "Corridor A - Z (edge 1) connects a room that is not in the graph",
+      "Corridor A - A connects a room to itself",
+      "Corridor B - C has an invalid length",
+    ]);
+  });
+
+  it("merges duplicate corridors and warns about rooms it cannot route", () => {
+    const result = validateMapData(
+      {
+        nodes: ["A", "B", " C "],
+        edges: [
+          ["A", "B", 5],
+          ["B", "A", 6],
+        ],
+      },
+      { rooms: { ...floorPlan.rooms, D: [2, 2] }, walls: [] }
+    );
+
+    expect(result.valid).toBe(true);
+    expect(result.graphData.nodes).toEqual(["A", "B", "C"]);
+    expect(result.graphData.edges).toEqual([["A", "B", 5]]);
+    expect(result.warnings).toEqual([
+      "1 duplicate corridor(s) were merged into the first one",
+      "1 room(s) on the floor plan are not in the routing graph: D",
+      "1 room(s) have no corridors: C",
+    ]);
+  });
+
+  it("reports missing room and node lists", () => {
+    expect(validateMapData({ edges: [] }, null).errors).toEqual([
+      "The routing graph has no node list",
+      "The floor plan has no room list",
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+const {
+  validateForecastHorizon,
+  poissonQuantile,
+  forecastDemand,
+  planPurchase,
+} = require("../forecasting");
+const { sizeFleets } = require("../fleetSizing");
+
+const getDeviceType = (deviceId) => deviceId.split("-")[0];
+
+// The same day repeated: two pumps in use in the morning, idle the rest of it
+function steadyDays(count) {
+  const records = [];
+  for (let day = 0; day < count; day++) {
+    const date = new Date(Date.UTC(2025, 2, 1 + day))
+      .toISOString()
+      .slice(0, 10);
+    const at = (time) => `${date}T${time}:00Z`;
+    records.push(
+      {
+        deviceId: "Pump-1",
+        status: "In Use",
+        timeIn: at("09:00"),
+        timeOut: at("12:00"),
+      },
+      {
+        deviceId: "Pump-2",
+        status: "In Use",
+        timeIn: at("10:00"),
+        timeOut: at("11:00"),
+      },
+      {
+        deviceId: "Pump-1",
+        status: "Available",
+        timeIn: at("12:00"),
+        timeOut: `${date}T23:59:59Z`,
+      }
+    );
+  }
+  return records;
+}
+
+describe("validateForecastHorizon", () => {
+  it("accepts whole days between a week and a year", () => {
+    expect(validateForecastHorizon(90)).toBeNull();
+    expect(validateForecastHorizon(3)).toMatch(/between 7 and 365/);
+    expect(validateForecastHorizon(30.5)).toMatch(/whole number/);
+  });
+});
+
+describe("poissonQuantile", () => {
+  it("finds the smallest count covering the share", () => {
+    expect(poissonQuantile(0, 0.95)).toBe(0);
+    // P(X <= 1) = 0.736 and P(X <= 2) = 0.920 for a mean of 1
+    expect(poissonQuantile(1, 0.9)).toBe(2);
+    expect(poissonQuantile(1, 0.95)).toBe(3);
+  });
+});
+
+describe("forecastDemand", () => {
+  it("needs a week of history", () => {
+    expect(
+      forecastDemand(steadyDays(5), getDeviceType, { timeZone: "UTC" })
+    ).toEqual([]);
+  });
+
+  it("forecasts steady demand as flat, busiest in the same hour", () => {
+    const [forecast] = forecastDemand(steadyDays(28), getDeviceType, {
+      timeZone: "UTC",
+      horizonDays: 14,
+    });
+
+    expect(forecast.deviceType).toBe("Pump");
+    expect(forecast.historyDays).toBe(28);
+    expect(forecast.forecast).toHaveLength(14);
+    expect(forecast.forecast[0].date).toBe("2025-03-29");
+    expect(forecast.seasonality.weekday).not.toBeNull();
+    expect(forecast.seasonality.month).toBeNull();
+    expect(forecast.trendPerMonth).toBeCloseTo(0, 5);
+    expect(forecast.busyHour).toBe(10);
+    expect(forecast.busyHourLoad).toBeCloseTo(2, 5);
+    forecast.forecast.forEach((day) => {
+      expect(day.lower).toBeLessThanOrEqual(day.load);
+      expect(day.upper).toBeGreaterThanOrEqual(day.load);
+    });
+  });
+});
+
+describe("planPurchase", () => {
+  const [sizing] = sizeFleets(steadyDays(28), getDeviceType, {
+    timeZone: "UTC",
+    serviceLevel: 0.95,
+    fleetSizes: { Pump: 2 },
+  });
+
+  it("sizes for the forecast peak when it needs more than the records", () => {
+    const plan = planPurchase(
+      sizing,
+      {
+        deviceType: "Pump",
+        horizonDays: 90,
+        busyHour: 10,
+        busyHourLoad: 4,
+        busyHourLower: 3,
+        busyHourUpper: 5,
+        peakConcurrency: sizing.requiredFleetSize + 2,
+        trendPerMonth: 0.1,
+      },
+      0.95
+    );
+
+    expect(plan.recommendedFleetSize).toBe(sizing.requiredFleetSize + 2);
+    expect(plan.additionalUnits).toBe(plan.recommendedFleetSize - 2);
+    expect(plan.after).toBeLessThanOrEqual(plan.before);
+    expect(plan.description).toMatch(/rising by about 10% a month/);
+  });
+
+  it("recommends nothing when the fleet covers both", () => {
+    expect(
+      planPurchase(
+        { ...sizing, fleetSize: sizing.requiredFleetSize + 5 },
+        null,
+        0.95
+      )
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  checkGraphIntegrity,
+  applyIntegrityFixes,
+} = require("../graphIntegrity");
+
+// A row of rooms 3 units apart, with D drawn far from the rest
+const floorPlan = {
+  rooms: { A: [0, 0], B: [3, 0], C: [6, 0], D: [20, 0], E: [9, 0] },
+  walls: [],
+};
+
+const issueTypes = ({ issues }) => issues.map(({ type }) => type);
+
+describe("checkGraphIntegrity", () => {
+  it("finds nothing wrong with a graph that matches the plan", () => {
+    const result = checkGraphIntegrity(
+      {
+        nodes: ["A", "B", "C"],
+        edges: [
+          ["A", "B", 3],
+          ["B", "C", 3.5],
+        ],
+      },
+      { rooms: { A: [0, 0], B: [3, 0], C: [6, 0] }, walls: [] }
+    );
+
+    expect(result.issues).toEqual([]);
+    expect(result.summary).toMatchObject({ nodes: 3, edges: 2, components: 1 });
+  });
+
+  it("reports broken corridors before plan mismatches", () => {
+    const result = checkGraphIntegrity(
+      {
+        nodes: ["A", "B", "C", "D", "E"],
+        edges: [
+          ["A", "B", 3],
+          ["B", "C", 1],
+          ["C", "C", 2],
+          ["C", "X", 4],
+          ["C", "E", 0],
+          ["A", "D", 20],
+          ["D", "A", 25],
+        ],
+      },
+      floorPlan,
+      { trackedLocations: ["Basement"] }
+    );
+
+    expect(issueTypes(result)).toEqual([
+      "danglingEdge",
+      "disconnected",
+      "invalidWeight",
+      "selfLoop",
+      "asymmetricWeight",
+      "trackedNotInGraph",
+      "weightMismatch",
+    ]);
+    expect(result.summary.bySeverity).toEqual({
+      error: 4,
+      warning: 3,
+      info: 0,
+    });
+    // E is only reached through the corridor of length 0
+    expect(result.issues[1].rooms).toEqual(["E"]);
+    expect(result.issues[2].fix).toMatchObject({
+      action: "setWeight",
+      weight: 3,
+    });
+  });
+
+  it("joins cut-off rooms to the nearest room of the main network", () => {
+    const result = checkGraphIntegrity(
+      {
+        nodes: ["A", "B", "C", "E"],
+        edges: [
+          ["A", "B", 3],
+          ["B", "C", 3],
+        ],
+      },
+      floorPlan
+    );
+
+    expect(issueTypes(result)).toEqual(["disconnected", "roomNotInGraph"]);
+    expect(result.issues[0].fix.edges).toEqual([["E", "C", 3]]);
+    expect(result.issues[1].fix.edges).toEqual([
+      ["D", "E", 11],
+      ["D", "C", 14],
+    ]);
+  });
+});
+
+describe("applyIntegrityFixes", () => {
+  it("repairs the graph and leaves a clean result", () => {
+    const graphData = {
+      nodes: ["A", "B", "C", "E"],
+      edges: [
+        ["A", "B", 3],
+        ["B", "A", 4],
+        ["B", "C", 3],
+        ["C", "C", 1],
+      ],
+    };
+    const { issues } = checkGraphIntegrity(graphData, floorPlan);
+    const fixed = applyIntegrityFixes(graphData, issues);
+
+    expect(fixed.applied).toBe(issues.length);
+    expect(fixed.graphData.nodes).toEqual(["A", "B", "C", "E", "D"]);
+    expect(checkGraphIntegrity(fixed.graphData, floorPlan).issues).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+const {
+  getMaintenanceThreshold,
+  getInUseHoursSince,
+  getLatestMaintenance,
+  summarizeHoursSinceService,
+} = require("../maintenance");
+
+const dwell = (deviceId, status, timeIn, timeOut) => ({
+  deviceId,
+  status,
+  timeIn: `2025-03-01T${timeIn}:00Z`,
+  timeOut: `2025-03-01T${timeOut}:00Z`,
+});
+
+describe("getMaintenanceThreshold", () => {
+  it("falls back to the default for unlisted types", () => {
+    expect(getMaintenanceThreshold("IV-Pump")).toBe(1000);
+    expect(getMaintenanceThreshold("Wheelchair")).toBe(500);
+  });
+});
+
+describe("getInUseHoursSince", () => {
+  const use = dwell("Pump-1", "In Use", "08:00", "12:00");
+
+  it("counts only the in-use hours after the service", () => {
+    expect(getInUseHoursSince(use, null)).toBe(4);
+    expect(getInUseHoursSince(use, "2025-03-01T10:30:00Z")).toBe(1.5);
+    expect(getInUseHoursSince(use, "2025-03-01T13:00:00Z")).toBe(0);
+    expect(
+      getInUseHoursSince(dwell("Pump-1", "Available", "08:00", "12:00"), null)
+    ).toBe(0);
+  });
+});
+
+describe("getLatestMaintenance", () => {
+  it("keeps each device's most recent event", () => {
+    const latest = getLatestMaintenance([
+      { deviceId: "Pump-1", date: "2025-02-01", type: "Preventive" },
+      { deviceId: "Pump-1", date: "2025-02-20", type: "Corrective" },
+      { deviceId: "Pump-1", date: "2025-01-15", type: "Inspection" },
+      { deviceId: "Pump-2", date: null },
+    ]);
+
+    expect(Object.keys(latest)).toEqual(["Pump-1"]);
+    expect(latest["Pump-1"].type).toBe("Corrective");
+  });
+});
+
+describe("summarizeHoursSinceService", () => {
+  it("sums each device's hours from its own last service", () => {
+    const lastService = { "Pump-1": "2025-03-01T09:00:00Z" };
+
+    expect(
+      summarizeHoursSinceService(
+        [
+          dwell("Pump-1", "In Use", "08:00", "10:00"),
+          dwell("Pump-1", "In Use", "11:00", "12:00"),
+          dwell("Pump-2", "In Use", "08:00", "10:00"),
+        ],
+        (deviceId) => lastService[deviceId] || null
+      )
+    ).toEqual({ "Pump-1": 2, "Pump-2": 2 });
+  });
+});
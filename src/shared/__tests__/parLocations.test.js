@@ -0,0 +1,175 @@
+const { buildFleets, planFleetPlacement } = require("../parLocations");
+const { createRouter } = require("../routing");
+
+// A corridor of rooms one unit apart: A - B - C - D - E
+const router = createRouter({
+  nodes: ["A", "B", "C", "D", "E"],
+  edges: [
+    ["A", "B", 1],
+    ["B", "C", 1],
+    ["C", "D", 1],
+    ["D", "E", 1],
+  ],
+});
+const getDistance = (from, to) => router.getDistance(from, to);
+const candidates = router.getNodes();
+
+const fleetOf = (demand, currentLocations) => ({
+  units: currentLocations.map((currentLocation, index) => ({
+    deviceId: `Pump-${index + 1}`,
+    currentLocation,
+    moves: 1,
+  })),
+  demand: new Map(Object.entries(demand)),
+  movements: [],
+});
+
+describe("planFleetPlacement", () => {
+  it("places a single par location at the weighted median", () => {
+    const plan = planFleetPlacement(fleetOf({ A: 1, D: 5, E: 1 }, ["A"]), {
+      candidates,
+      getDistance,
+      parCount: 1,
+    });
+
+    expect(plan.locations.map(({ location }) => location)).toEqual(["D"]);
+    expect(plan.cost).toBe(4);
+    expect(plan.currentCost).toBe(3 * 5 + 4);
+    expect(plan.improvement).toBeCloseTo((19 - 4) / 19, 10);
+  });
+
+  it("splits demand at both ends of the corridor between two locations", () => {
+    const plan = planFleetPlacement(fleetOf({ A: 10, E: 10 }, ["C", "C"]), {
+      candidates,
+      getDistance,
+      parCount: 2,
+    });
+
+    expect(plan.locations.map(({ location }) => location).sort()).toEqual([
+      "A",
+      "E",
+    ]);
+    expect(plan.cost).toBe(0);
+    expect(plan.assignments.map(({ location }) => location).sort()).toEqual([
+      "A",
+      "E",
+    ]);
+  });
+
+  it("adds a par location only when it saves enough walking", () => {
+    const plan = planFleetPlacement(fleetOf({ A: 10, E: 10 }, ["C", "C"]), {
+      candidates,
+      getDistance,
+    });
+
+    expect(plan.automatic).toBe(true);
+    expect(plan.parCount).toBe(2);
+    expect(plan.costByCount[0]).toEqual({ parCount: 1, cost: 40 });
+  });
+
+  it("keeps to storage rooms and their capacity", () => {
+    const plan = planFleetPlacement(fleetOf({ A: 10, E: 10 }, ["C", "C"]), {
+      candidates,
+      getDistance,
+      parCount: 1,
+      capacities: new Map([["B", 1]]),
+    });
+
+    expect(plan.locations).toEqual([
+      expect.objectContaining({ location: "B", units: 1, capacity: 1 }),
+    ]);
+    expect(plan.assignments.filter(({ location }) => !location)).toHaveLength(
+      1
+    );
+    expect(plan.constraints.length).toBeGreaterThan(0);
+  });
+
+  it("leaves out the improvement when demand is unreachable today", () => {
+    const plan = planFleetPlacement(fleetOf({ B: 3, C: 1 }, ["Z"]), {
+      candidates,
+      getDistance,
+      parCount: 1,
+    });
+
+    expect(plan.currentCost).toBe(Infinity);
+    expect(plan.improvement).toBeNull();
+    expect(plan.locations.map(({ location }) => location)).toEqual(["B"]);
+  });
+
+  it("returns null when no demand can be reached", () => {
+    expect(
+      planFleetPlacement(fleetOf({ Z: 3 }, ["A"]), {
+        candidates,
+        getDistance,
+        parCount: 1,
+      })
+    ).toBeNull();
+  });
+});
+
+describe("buildFleets", () => {
+  it("keeps units where they most often start and counts in-use demand", () => {
+    const fleets = buildFleets(
+      [
+        {
+          deviceId: "Pump-1",
+          fromLocation: "A",
+          toLocation: "C",
+          status: "In Use",
+        },
+        {
+          deviceId: "Pump-1",
+          fromLocation: "A",
+          toLocation: "D",
+          status: "Available",
+        },
+        {
+          deviceId: "Pump-1",
+          fromLocation: "B",
+          toLocation: "C",
+          status: "In Use",
+        },
+        {
+          deviceId: "Bed-1",
+          fromLocation: "E",
+          toLocation: "D",
+          status: "Available",
+        },
+      ],
+      (deviceId) => deviceId.split("-")[0]
+    );
+
+    expect(fleets.Pump.units).toEqual([
+      { deviceId: "Pump-1", currentLocation: "A", moves: 3 },
+    ]);
+    expect(fleets.Pump.inUseOnly).toBe(true);
+    expect([...fleets.Pump.demand]).toEqual([["C", 2]]);
+    expect(fleets.Bed.inUseOnly).toBe(false);
+    expect([...fleets.Bed.demand]).toEqual([["D", 1]]);
+  });
+
+  it("keeps units in the current location of their device record", () => {
+    const movements = [
+      { deviceId: "Pump-1", fromLocation: "A", toLocation: "C" },
+      { deviceId: "Pump-2", fromLocation: "A", toLocation: "C" },
+    ];
+    const fleets = buildFleets(
+      movements,
+      (deviceId) => deviceId.split("-")[0],
+      [
+        { deviceId: "Pump-1", currentLocation: "E" },
+        { deviceId: "Pump-2", currentLocation: "Unknown" },
+      ]
+    );
+
+    expect(
+      fleets.Pump.units.map(({ deviceId, currentLocation }) => [
+        deviceId,
+        currentLocation,
+      ])
+    ).toEqual([
+      ["Pump-1", "E"],
+      ["Pump-2", "A"],
+    ]);
+  });
+});
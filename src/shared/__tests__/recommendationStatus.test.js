@@ -0,0 +1,191 @@
+const {
+  getRecommendationKey,
+  getRecommendationStatus,
+  isOpenRecommendation,
+  validateStatusChange,
+  applyStatusChange,
+  mergeGeneratedRecommendations,
+} = require("../recommendationStatus");
+
+const NOW = new Date("2025-03-10T12:00:00Z");
+
+const placement = (deviceId, optimalLocation, extra = {}) => ({
+  type: "placement",
+  title: `Optimize ${deviceId}`,
+  deviceId,
+  optimalLocation,
+  ...extra,
+});
+
+const onRecord = (_id, recommendation, lifecycle = {}) => ({
+  ...recommendation,
+  _id,
+  key: getRecommendationKey(recommendation),
+  status: "new",
+  statusHistory: [],
+  ...lifecycle,
+});
+
+describe("getRecommendationStatus", () => {
+  it("makes a recommendation new again once its snooze runs out", () => {
+    const snoozed = { status: "snoozed", snoozedUntil: "2025-03-11T00:00:00Z" };
+
+    expect(getRecommendationStatus(snoozed, NOW)).toBe("snoozed");
+    expect(isOpenRecommendation(snoozed, NOW)).toBe(false);
+    expect(
+      getRecommendationStatus(snoozed, new Date("2025-03-12T00:00:00Z"))
+    ).toBe("new");
+  });
+});
+
+describe("validateStatusChange", () => {
+  it("needs a reason to reject and a future date to snooze", () => {
+    const recommendation = { status: "new" };
+
+    expect(
+      validateStatusChange(recommendation, { status: "rejected" }, NOW)
+    ).toMatch(/reason/);
+    expect(
+      validateStatusChange(
+        recommendation,
+        { status: "snoozed", snoozedUntil: "2025-03-01" },
+        NOW
+      )
+    ).toMatch(/future/);
+    expect(
+      validateStatusChange(
+        recommendation,
+        { status: "rejected", reason: "No space" },
+        NOW
+      )
+    ).toBeNull();
+  });
+
+  it("leaves implementing to Implement", () => {
+    expect(
+      validateStatusChange({ status: "new" }, { status: "implemented" }, NOW)
+    ).toMatch(/Implement/);
+    expect(
+      validateStatusChange({ status: "implemented" }, { status: "new" }, NOW)
+    ).toMatch(/already been implemented/);
+  });
+});
+
+describe("applyStatusChange", () => {
+  it("records who changed the status, when and why", () => {
+    const change = applyStatusChange(
+      { status: "new", statusHistory: [] },
+      { status: "rejected", reason: "  No space  " },
+      "alex",
+      NOW
+    );
+
+    expect(change).toMatchObject({
+      status: "rejected",
+      statusReason: "No space",
+      statusChangedBy: "alex",
+      statusChangedAt: NOW.toISOString(),
+      snoozedUntil: null,
+    });
+    expect(change.statusHistory).toHaveLength(1);
+  });
+});
+
+describe("mergeGeneratedRecommendations", () => {
+  it("keeps the status of a recommendation generated again", () => {
+    const rejected = onRecord("r1", placement("Pump-1", "B"), {
+      status: "rejected",
+      statusReason: "No space in B",
+      statusChangedBy: "alex",
+      statusHistory: [{ status: "rejected", reason: "No space in B" }],
+    });
+    const generated = placement("Pump-1", "B", { hoursSaved: 3 });
+
+    const { updates, inserts, stale } = mergeGeneratedRecommendations(
+      [rejected],
+      [generated],
+      NOW
+    );
+
+    expect(inserts).toEqual([]);
+    expect(stale).toEqual([]);
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toMatchObject({
+      _id: "r1",
+      hoursSaved: 3,
+      status: "rejected",
+      statusReason: "No space in B",
+      statusChangedBy: "alex",
+      generatedAt: NOW.toISOString(),
+    });
+    expect(updates[0].statusHistory).toEqual(rejected.statusHistory);
+  });
+
+  it("starts new recommendations as new and drops undecided ones not generated again", () => {
+    const undecided = onRecord("r1", placement("Pump-1", "B"));
+    const accepted = onRecord("r2", placement("Pump-2", "C"), {
+      status: "accepted",
+    });
+
+    const { updates, inserts, stale } = mergeGeneratedRecommendations(
+      [undecided, accepted],
+      [placement("Pump-3", "D")],
+      NOW
+    );
+
+    expect(updates).toEqual([]);
+    expect(inserts).toEqual([
+      expect.objectContaining({
+        key: "placement:Pump-3:D",
+        status: "new",
+        statusHistory: [],
+        firstGeneratedAt: NOW.toISOString(),
+      }),
+    ]);
+    expect(stale).toEqual(["r1"]);
+  });
+
+  it("leaves out recommendations that have been implemented already", () => {
+    const implemented = onRecord("r1", placement("Pump-1", "B"), {
+      status: "implemented",
+    });
+
+    const { updates, inserts, stale, suppressed } =
+      mergeGeneratedRecommendations(
+        [implemented],
+        [placement("Pump-1", "B"), placement("Pump-1", "C")],
+        NOW
+      );
+
+    expect(updates).toEqual([]);
+    expect(inserts.map(({ key }) => key)).toEqual(["placement:Pump-1:C"]);
+    expect(stale).toEqual([]);
+    expect(suppressed).toEqual(["r1"]);
+  });
+
+  it("keeps undecided recommendations of a type whose generator failed", () => {
+    const purchase = onRecord("r1", { type: "purchase", deviceType: "Pump" });
+    const undecided = onRecord("r2", placement("Pump-1", "B"));
+
+    const { stale } = mergeGeneratedRecommendations(
+      [purchase, undecided],
+      [],
+      NOW,
+      ["placement"]
+    );
+
+    expect(stale).toEqual(["r1"]);
+  });
+
+  it("gives each record to one generated recommendation only", () => {
+    const purchase = { type: "purchase", deviceType: "Pump" };
+    const { updates, inserts } = mergeGeneratedRecommendations(
+      [onRecord("r1", purchase, { status: "accepted" })],
+      [purchase, { ...purchase }],
+      NOW
+    );
+
+    expect(updates.map(({ _id }) => _id)).toEqual(["r1"]);
+    expect(inserts).toHaveLength(1);
+  });
+});
@@ -0,0 +1,123 @@
+const {
+  validateMaintenanceCostRate,
+  analyzeRightSizing,
+  describeSurplusUnit,
+} = require("../rightSizing");
+const { indexZones } = require("../zones");
+
+const getDeviceType = (deviceId) => deviceId.split("-")[0];
+
+const zoneIndex = indexZones([
+  { _id: "ed", name: "ED", level: "department", rooms: ["ED-1"] },
+  { _id: "icu", name: "ICU", level: "department", rooms: ["ICU-1"] },
+]);
+
+const dwell = (deviceId, locationId, timeIn, timeOut, status = "In Use") => ({
+  deviceId,
+  locationId,
+  status,
+  timeIn: `2025-03-01T${timeIn}:00Z`,
+  timeOut: `2025-03-01T${timeOut}:00Z`,
+});
+
+// One pump in use at a time, but four needed to meet the service level
+const records = [
+  dwell("Pump-1", "ED-1", "08:00", "09:00"),
+  dwell("Pump-2", "ICU-1", "10:00", "11:00"),
+  dwell("Pump-3", "ICU-1", "12:00", "13:00"),
+  dwell("Pump-4", "ICU-1", "08:00", "20:00", "Available"),
+];
+
+const devices = [
+  { deviceId: "Pump-1", department: "ICU", acquisitionCost: 2000 },
+  { deviceId: "Pump-2", department: "ICU", acquisitionCost: 2000 },
+  { deviceId: "Pump-3", department: "ICU", acquisitionCost: 2000 },
+  { deviceId: "Pump-4", department: "ICU", acquisitionCost: 1000 },
+  { deviceId: "Pump-5", department: "ED" },
+  { deviceId: "Pump-6", department: "ICU", acquisitionCost: 3000 },
+];
+
+describe("validateMaintenanceCostRate", () => {
+  it("accepts a share between 0 and 1", () => {
+    expect(validateMaintenanceCostRate(0.1)).toBeNull();
+    expect(validateMaintenanceCostRate(1.5)).toMatch(/between 0% and 100%/);
+    expect(validateMaintenanceCostRate(NaN)).not.toBeNull();
+  });
+});
+
+describe("analyzeRightSizing", () => {
+  const [sizing] = analyzeRightSizing(records, devices, getDeviceType, {
+    timeZone: "UTC",
+    zoneIndex,
+  });
+
+  it("keeps the units the service level needs and finds the rest", () => {
+    expect(sizing).toMatchObject({
+      deviceType: "Pump",
+      fleetSize: 6,
+      requiredFleetSize: 4,
+      keep: 4,
+      peak: 1,
+    });
+    // ED needs its own four pumps and owns one
+    expect(sizing.shortages).toEqual([{ department: "ED", need: 4, owned: 1 }]);
+  });
+
+  it("sends the least used units to short departments, or retires them", () => {
+    expect(sizing.surplus).toEqual([
+      {
+        deviceId: "Pump-4",
+        department: "ICU",
+        utilization: 0,
+        inUseHours: 0,
+        action: "redeploy",
+        toDepartment: "ED",
+        unitCost: 1000,
+        capitalAvoided: 1000,
+        maintenanceAvoidedPerYear: 100,
+      },
+      // Already ED's, and valued at the fleet's average cost
+      {
+        deviceId: "Pump-5",
+        department: "ED",
+        utilization: 0,
+        inUseHours: 0,
+        action: "retire",
+        toDepartment: null,
+        unitCost: 2000,
+        capitalAvoided: 2000,
+        maintenanceAvoidedPerYear: 200,
+      },
+    ]);
+  });
+
+  it("leaves fleets with no spare units alone", () => {
+    expect(
+      analyzeRightSizing(records, devices.slice(0, 3), getDeviceType, {
+        timeZone: "UTC",
+        zoneIndex,
+      })
+    ).toEqual([]);
+  });
+});
+
+describe("describeSurplusUnit", () => {
+  const [sizing] = analyzeRightSizing(records, devices, getDeviceType, {
+    timeZone: "UTC",
+    zoneIndex,
+  });
+
+  it("explains a redeployment and a retirement", () => {
+    const [redeploy, retire] = sizing.surplus.map((unit) =>
+      describeSurplusUnit(sizing, unit)
+    );
+
+    expect(redeploy.title).toBe("Redeploy Pump-4 to ED");
+    expect(redeploy.description).toMatch(
+      /moving Pump-4 there from ICU avoids buying another \(\$1,000 of capital\)\.$/
+    );
+    expect(redeploy.savings).toBe("$1,000 capital avoided");
+    expect(retire.title).toBe("Retire Pump-5");
+    expect(retire.savings).toBe("~$200/year maintenance avoided");
+  });
+});
@@ -0,0 +1,95 @@
+const { createRouter, getRouter } = require("../routing");
+
+const graphData = {
+  nodes: ["A", "B", "C", "D", "X"],
+  edges: [
+    ["A", "B", 2],
+    ["B", "C", 2],
+    ["A", "C", 5],
+    ["C", "D", 1],
+  ],
+};
+
+describe("createRouter", () => {
+  it("finds the shortest path rather than the fewest hops", () => {
+    const router = createRouter(graphData);
+
+    expect(router.findPath("A", "D")).toEqual({
+      distance: 5,
+      path: ["A", "B", "C", "D"],
+    });
+    expect(router.getDistance("D", "A")).toBe(5);
+    expect(router.getDistance("B", "B")).toBe(0);
+  });
+
+  it("returns no route to unreachable or unknown rooms", () => {
+    const router = createRouter(graphData);
+
+    expect(router.getDistance("A", "X")).toBeNull();
+    expect(router.findPath("A", "X")).toEqual({ distance: null, path: [] });
+    expect(router.getDistance("A", "Nowhere")).toBeNull();
+    expect(router.hasNode("X")).toBe(true);
+    expect(router.hasNode("Nowhere")).toBe(false);
+  });
+
+  it("keeps the lightest of parallel edges and skips invalid weights", () => {
+    const router = createRouter({
+      nodes: ["A", "B"],
+      edges: [
+        ["A", "B", 4],
+        ["B", "A", 3],
+        ["A", "B", -1],
+        ["A", "B", "far"],
+      ],
+    });
+
+    expect(router.getEdgeWeight("A", "B")).toBe(3);
+  });
+
+  it("agrees with Dijkstra when searching with A*", () => {
+    const router = createRouter(graphData);
+    router.useCoordinates({
+      A: [0, 0],
+      B: [2, 0],
+      C: [4, 0],
+      D: [5, 0],
+      X: [9, 9],
+    });
+
+    expect(router.findPath("A", "D")).toEqual({
+      distance: 5,
+      path: ["A", "B", "C", "D"],
+    });
+  });
+
+  it("lists the distances from a room to every room it reaches", () => {
+    const distances = createRouter(graphData).getDistancesFrom("A");
+
+    expect(Object.fromEntries(distances)).toEqual({ A: 0, B: 2, C: 4, D: 5 });
+  });
+
+  it("routes through connectors between floors", () => {
+    const router = createRouter({
+      nodes: ["A", "B"],
+      edges: [],
+      connectors: [{ from: "A", to: "B", type: "elevator", distance: 7 }],
+    });
+
+    expect(router.getDistance("A", "B")).toBeGreaterThanOrEqual(7);
+  });
+});
+
+describe("getRouter", () => {
+  it("reuses the router until the graph changes", () => {
+    const graph = { nodes: ["A", "B"], edges: [["A", "B", 1]] };
+    const router = getRouter(graph);
+
+    expect(getRouter({ ...graph })).toBe(router);
+    expect(
+      getRouter({ nodes: ["A", "B"], edges: [["A", "B", 2]] }).getDistance(
+        "A",
+        "B"
+      )
+    ).toBe(2);
+  });
+});
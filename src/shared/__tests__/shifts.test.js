@@ -0,0 +1,189 @@
+const {
+  DEFAULT_SHIFT_PLANNING,
+  validateShiftPlanning,
+  getShiftSegments,
+  getShiftSegmentKey,
+  getShiftChanges,
+  planShiftPlacement,
+  describeShiftPlacement,
+} = require("../shifts");
+const { buildFleets, planFleetPlacement } = require("../parLocations");
+const { createRouter } = require("../routing");
+
+// A corridor of rooms ten units apart: A - B - C - D - E
+const router = createRouter({
+  nodes: ["A", "B", "C", "D", "E"],
+  edges: [
+    ["A", "B", 10],
+    ["B", "C", 10],
+    ["C", "D", 10],
+    ["D", "E", 10],
+  ],
+});
+const getDistance = (from, to) => router.getDistance(from, to);
+const candidates = router.getNodes();
+
+const planning = { ...DEFAULT_SHIFT_PLANNING, enabled: true };
+
+const move = (deviceId, fromLocation, toLocation, timeIn, timeOut) => ({
+  deviceId,
+  fromLocation,
+  toLocation,
+  status: "In Use",
+  timeIn: `2025-03-03T${timeIn}:00Z`,
+  timeOut: `2025-03-03T${timeOut}:00Z`,
+});
+
+function planShifts(movements) {
+  const fleet = buildFleets(
+    movements,
+    (deviceId) => deviceId.split("-")[0]
+  ).Pump;
+  const basePlan = planFleetPlacement(fleet, {
+    candidates,
+    getDistance,
+    parCount: 1,
+  });
+  const shiftPlan = planShiftPlacement(fleet, basePlan, {
+    planning,
+    timeZone: "UTC",
+    candidates,
+    getDistance,
+    parCount: 1,
+    months: 1,
+  });
+  return { basePlan, shiftPlan };
+}
+
+describe("validateShiftPlanning", () => {
+  it("needs shifts that cover every hour once", () => {
+    expect(validateShiftPlanning(DEFAULT_SHIFT_PLANNING)).toBeNull();
+    expect(
+      validateShiftPlanning({
+        shifts: [
+          { name: "Day", start: 7, end: 19 },
+          { name: "Night", start: 20, end: 7 },
+        ],
+      })
+    ).toBe("No shift covers 19:00");
+    expect(
+      validateShiftPlanning({
+        shifts: [
+          { name: "Day", start: 7, end: 20 },
+          { name: "Night", start: 19, end: 7 },
+        ],
+      })
+    ).toBe("Day and Night overlap at 19:00");
+    expect(
+      validateShiftPlanning({ shifts: [{ name: "All day", start: 0, end: 0 }] })
+    ).toBeNull();
+  });
+});
+
+describe("getShiftSegmentKey", () => {
+  const weekends = { ...planning, splitWeekends: true };
+
+  it("puts hours after midnight in the shift that started the day before", () => {
+    // Saturday 02:00 is still Friday's night shift
+    expect(getShiftSegmentKey("2025-03-08T02:00:00Z", weekends, "UTC")).toBe(
+      "Weekday Night"
+    );
+    expect(getShiftSegmentKey("2025-03-08T20:00:00Z", weekends, "UTC")).toBe(
+      "Weekend Night"
+    );
+    expect(getShiftSegmentKey("2025-03-08T12:00:00Z", planning, "UTC")).toBe(
+      "Day"
+    );
+  });
+
+  it("reads the hour in the facility timezone", () => {
+    // 20:00 UTC is 15:00 in New York
+    expect(
+      getShiftSegmentKey("2025-03-05T20:00:00Z", planning, "America/New_York")
+    ).toBe("Day");
+  });
+});
+
+describe("getShiftChanges", () => {
+  it("counts each change of shift once a day", () => {
+    expect(getShiftSegments(planning).map(({ label }) => label)).toEqual([
+      "Day (07:00–19:00)",
+      "Night (19:00–07:00)",
+    ]);
+    expect(getShiftChanges(planning)).toEqual([
+      { from: "Day", to: "Night", perMonth: expect.closeTo(30.44, 5) },
+      { from: "Night", to: "Day", perMonth: expect.closeTo(30.44, 5) },
+    ]);
+  });
+});
+
+describe("planShiftPlacement", () => {
+  it("counts demand in the shift the device arrives in", () => {
+    // The pump sat in C all day and was taken to E at night
+    const { shiftPlan } = planShifts([
+      move("Pump-1", "C", "E", "10:00", "22:00"),
+      move("Pump-1", "E", "C", "22:00", "23:00"),
+      move("Pump-1", "C", "E", "23:00", "23:30"),
+    ]);
+
+    expect(
+      shiftPlan.segments.map(({ key, arrivals }) => [key, arrivals])
+    ).toEqual([
+      ["Day", 0],
+      ["Night", 3],
+    ]);
+  });
+
+  it("recommends stock per shift when it saves more walking than restocking", () => {
+    const movements = [];
+    for (let i = 0; i < 200; i++) {
+      movements.push(
+        move("Pump-1", "C", "A", "08:00", "09:00"),
+        move("Pump-2", "C", "E", "20:00", "21:00")
+      );
+    }
+    const { basePlan, shiftPlan } = planShifts(movements);
+
+    expect(
+      shiftPlan.segments.map(({ key, locations }) => [
+        key,
+        locations.map(({ location }) => location),
+      ])
+    ).toEqual([
+      ["Day", ["A"]],
+      ["Night", ["E"]],
+    ]);
+    expect(shiftPlan.restockMovesPerMonth).toBeCloseTo(4 * 30.44, 5);
+    expect(shiftPlan.savedMinutesPerMonth).toBeGreaterThan(
+      shiftPlan.restockMinutesPerMonth
+    );
+    expect(shiftPlan.shiftSpecific).toBe(true);
+    expect(describeShiftPlacement("Pump", basePlan, shiftPlan)).toMatch(
+      /^Pump is needed in different places at different times/
+    );
+  });
+
+  it("keeps one set of par locations when restocking costs more", () => {
+    const { shiftPlan } = planShifts([
+      move("Pump-1", "C", "A", "08:00", "09:00"),
+      move("Pump-1", "A", "C", "09:00", "10:00"),
+      move("Pump-2", "C", "E", "20:00", "21:00"),
+    ]);
+
+    expect(shiftPlan.shiftSpecific).toBe(false);
+  });
+
+  it("does nothing with a single shift", () => {
+    const fleet = { units: [], movements: [], inUseOnly: true };
+    expect(
+      planShiftPlacement(
+        fleet,
+        { locations: [] },
+        {
+          planning: { shifts: [{ name: "All day", start: 0, end: 0 }] },
+          timeZone: "UTC",
+        }
+      )
+    ).toBeNull();
+  });
+});
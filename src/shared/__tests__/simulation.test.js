@@ -0,0 +1,90 @@
+const { getCurrentLayout, compareLayouts } = require("../simulation");
+const { createRouter } = require("../routing");
+
+const getDeviceType = (deviceId) => deviceId.split("-")[0];
+
+// A corridor of rooms ten units apart: A - B - C - D - E
+const router = createRouter({
+  nodes: ["A", "B", "C", "D", "E"],
+  edges: [
+    ["A", "B", 10],
+    ["B", "C", 10],
+    ["C", "D", 10],
+    ["D", "E", 10],
+  ],
+});
+const getDistance = (from, to) => router.getDistance(from, to);
+
+// One metre per plan unit walked at 1 m/s, so 60 units take a minute
+const walkingModel = {
+  metresPerUnit: 1,
+  walkingSpeed: 1,
+  tripOverheadSeconds: 0,
+};
+
+const move = (deviceId, fromLocation, toLocation, timeIn, timeOut, status) => ({
+  deviceId,
+  fromLocation,
+  toLocation,
+  status,
+  timeIn: `2025-03-03T${timeIn}:00Z`,
+  timeOut: `2025-03-03T${timeOut}:00Z`,
+});
+
+// Pump-1 is kept in A and Pump-2 in the basement, which is not on the map.
+// Both are needed in E at once, and Pump-1 once on the roof.
+const movements = [
+  move("Pump-1", "A", "E", "08:00", "09:00", "In Use"),
+  move("Pump-1", "E", "A", "10:00", "11:00", "Available"),
+  move("Pump-2", "Basement", "E", "09:00", "09:30", "In Use"),
+  move("Pump-2", "E", "Basement", "10:30", "11:00", "Available"),
+  move("Pump-1", "A", "Roof", "11:00", "11:30", "In Use"),
+];
+
+describe("getCurrentLayout", () => {
+  it("keeps each unit where it most often starts its moves from", () => {
+    expect(getCurrentLayout(movements, getDeviceType)).toEqual({
+      "Pump-1": "A",
+      "Pump-2": "Basement",
+    });
+  });
+});
+
+describe("compareLayouts", () => {
+  const { before, after } = compareLayouts(movements, getDeviceType, {
+    layout: { "Pump-2": "D" },
+    getDistance,
+    walkingModel,
+  });
+
+  it("waits for the first unit back when no unit can be fetched", () => {
+    // Pump-2 cannot be walked to E, so the second request waits 90 minutes
+    // for Pump-1
+    expect(before.byType).toEqual([
+      {
+        deviceType: "Pump",
+        units: 2,
+        requests: 3,
+        trips: 4,
+        distance: 160,
+        metres: 160,
+        minutes: expect.closeTo(160 / 60, 10),
+        misses: 1,
+        waitMinutes: 90,
+        unreachable: 1,
+      },
+    ]);
+  });
+
+  it("fetches the nearest free unit under the proposed layout", () => {
+    // Pump-2 in D answers the first request and Pump-1 the second
+    expect(after.total).toMatchObject({
+      requests: 3,
+      trips: 4,
+      distance: 100,
+      misses: 0,
+      waitMinutes: 0,
+      unreachable: 1,
+    });
+  });
+});
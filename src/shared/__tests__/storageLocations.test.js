@@ -0,0 +1,53 @@
+const {
+  validateStorageLocation,
+  getStorageCapacities,
+} = require("../storageLocations");
+
+const locations = [
+  { _id: "s1", room: "Store-1", capacities: { Pump: 4, Bed: 2 } },
+  { _id: "s2", room: "Store-2", capacities: { Pump: 1 } },
+];
+
+describe("validateStorageLocation", () => {
+  it("accepts a new room with whole-number capacities", () => {
+    expect(
+      validateStorageLocation(
+        { room: "Store-3", capacities: { Pump: 3 } },
+        locations
+      )
+    ).toEqual([]);
+    expect(
+      validateStorageLocation(
+        { _id: "s1", room: "Store-1", capacities: { Pump: 5 } },
+        locations
+      )
+    ).toEqual([]);
+  });
+
+  it("reports taken rooms, missing types and bad capacities", () => {
+    expect(
+      validateStorageLocation(
+        { room: "Store-2", capacities: { Pump: 1.5, " ": 2 } },
+        locations
+      )
+    ).toEqual([
+      "Store-2 is already a storage location",
+      "The capacity for Pump must be a whole number of 1 or more",
+      "Device type is required",
+    ]);
+    expect(validateStorageLocation({ room: "" }, locations)).toEqual([
+      "Room is required",
+      "Add at least one device type the room can hold",
+    ]);
+  });
+});
+
+describe("getStorageCapacities", () => {
+  it("lists the rooms that accept a device type", () => {
+    expect([...getStorageCapacities(locations, "Pump")]).toEqual([
+      ["Store-1", 4],
+      ["Store-2", 1],
+    ]);
+    expect(getStorageCapacities(locations, "Ventilator")).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+const {
+  resolveZonedTime,
+  resolveTimestamp,
+  getTimeZoneOffset,
+  getZonedParts,
+  getDateKey,
+  startOfZonedDay,
+} = require("../timezone");
+
+const NEW_YORK = "America/New_York";
+
+describe("resolveZonedTime", () => {
+  it("converts ordinary wall-clock times with the offset in force", () => {
+    expect(
+      resolveZonedTime({ year: 2025, month: 1, day: 15, hour: 12 }, NEW_YORK)
+    ).toEqual({ date: new Date("2025-01-15T17:00:00Z"), dst: null });
+    expect(
+      resolveZonedTime({ year: 2025, month: 7, day: 1, hour: 12 }, NEW_YORK)
+    ).toEqual({ date: new Date("2025-07-01T16:00:00Z"), dst: null });
+  });
+
+  it("moves times skipped when clocks go forward past the gap", () => {
+    // 02:30 does not exist on 9 March 2025; it reads as 03:30 EDT
+    const { date, dst } = resolveZonedTime(
+      { year: 2025, month: 3, day: 9, hour: 2, minute: 30 },
+      NEW_YORK
+    );
+
+    expect(dst).toBe("nonexistent");
+    expect(date).toEqual(new Date("2025-03-09T07:30:00Z"));
+    expect(getZonedParts(date, NEW_YORK)).toMatchObject({
+      hour: 3,
+      minute: 30,
+    });
+  });
+
+  it("resolves times repeated when clocks go back to the first", () => {
+    // 01:30 happens twice on 2 November 2025, first in EDT then in EST
+    expect(
+      resolveZonedTime(
+        { year: 2025, month: 11, day: 2, hour: 1, minute: 30 },
+        NEW_YORK
+      )
+    ).toEqual({ date: new Date("2025-11-02T05:30:00Z"), dst: "ambiguous" });
+  });
+});
+
+describe("resolveTimestamp", () => {
+  it("reads naive timestamps in the facility timezone", () => {
+    expect(resolveTimestamp("2025-07-01 12:00:00", NEW_YORK).date).toEqual(
+      new Date("2025-07-01T16:00:00Z")
+    );
+  });
+
+  it("keeps an explicit offset", () => {
+    expect(resolveTimestamp("2025-07-01T12:00:00Z", NEW_YORK).date).toEqual(
+      new Date("2025-07-01T12:00:00Z")
+    );
+    expect(
+      resolveTimestamp("2025-07-01T12:00:00+02:00", NEW_YORK).date
+    ).toEqual(new Date("2025-07-01T10:00:00Z"));
+  });
+
+  it("returns no date for empty or unreadable values", () => {
+    expect(resolveTimestamp("", NEW_YORK).date).toBeNull();
+    expect(resolveTimestamp("not a time", NEW_YORK).date).toBeNull();
+  });
+});
+
+describe("day boundaries", () => {
+  it("uses the offset in force at each instant", () => {
+    expect(getTimeZoneOffset(Date.UTC(2025, 0, 15), NEW_YORK)).toBe(
+      -5 * 60 * 60 * 1000
+    );
+    expect(getTimeZoneOffset(Date.UTC(2025, 6, 1), NEW_YORK)).toBe(
+      -4 * 60 * 60 * 1000
+    );
+  });
+
+  it("puts instants on the facility's calendar day", () => {
+    expect(getDateKey("2025-03-09T04:30:00Z", NEW_YORK)).toBe("2025-03-08");
+    expect(getDateKey("2025-03-09T05:30:00Z", NEW_YORK)).toBe("2025-03-09");
+  });
+
+  it("starts days at local midnight either side of a change", () => {
+    expect(startOfZonedDay("2025-03-09", NEW_YORK)).toEqual(
+      new Date("2025-03-09T05:00:00Z")
+    );
+    expect(startOfZonedDay("2025-03-10", NEW_YORK)).toEqual(
+      new Date("2025-03-10T04:00:00Z")
+    );
+  });
+});
@@ -0,0 +1,144 @@
+const {
+  validateVerificationDays,
+  getVerificationWindows,
+  verifySavings,
+  getCountedHoursPerMonth,
+  summarizeVerification,
+} = require("../verification");
+const { createRouter } = require("../routing");
+
+const getDeviceType = (deviceId) => deviceId.split("-")[0];
+
+// A corridor of rooms ten units apart: A - B - C - D - E
+const router = createRouter({
+  nodes: ["A", "B", "C", "D", "E"],
+  edges: [
+    ["A", "B", 10],
+    ["B", "C", 10],
+    ["C", "D", 10],
+    ["D", "E", 10],
+  ],
+});
+const getDistance = (from, to) => router.getDistance(from, to);
+
+// One metre per plan unit walked at 1 m/s
+const walkingModel = {
+  metresPerUnit: 1,
+  walkingSpeed: 1,
+  tripOverheadSeconds: 0,
+};
+
+// The tracker's distance is set far off to show that it is not used
+const move = (deviceId, fromLocation, toLocation, day) => ({
+  deviceId,
+  fromLocation,
+  toLocation,
+  status: "In Use",
+  timeIn: `${day}T08:00:00Z`,
+  timeOut: `${day}T09:00:00Z`,
+  distanceTraveled: 999,
+});
+
+const entry = (overrides) => ({
+  type: "placement",
+  date: "2025-03-29T00:00:00Z",
+  deviceId: "Pump-1",
+  hoursSaved: 0.05,
+  ...getVerificationWindows("2025-03-29T00:00:00Z", 28),
+  ...overrides,
+});
+
+// Pump-1 was fetched from A before it moved to D, and Pump-2 stayed in A
+const days = ["05", "10", "15", "20", "25"];
+const movements = [
+  ...days.map((day) => move("Pump-1", "A", "E", `2025-03-${day}`)),
+  ...days.map((day) => move("Pump-1", "D", "E", `2025-04-${day}`)),
+  ...days.map((day) => move("Pump-2", "A", "E", `2025-04-${day}`)),
+  move("Pump-1", "E", "D", "2025-04-27"),
+];
+
+const options = { getDeviceType, getDistance, walkingModel };
+
+describe("validateVerificationDays", () => {
+  it("accepts whole weeks to half a year", () => {
+    expect(validateVerificationDays(28)).toBeNull();
+    expect(validateVerificationDays(3)).toMatch(/between 7 and 180/);
+    expect(validateVerificationDays(10.5)).not.toBeNull();
+  });
+});
+
+describe("verifySavings", () => {
+  it("measures staff walking along the routing graph", () => {
+    const result = verifySavings(entry(), movements, options);
+
+    expect(result.baseline).toMatchObject({ uses: 5, distancePerUse: 40 });
+    expect(result.evaluation).toMatchObject({ uses: 5, distancePerUse: 10 });
+    // 30 units saved per use at 5 uses in 28 days
+    const metresPerMonth = ((30 * 5) / 28) * 30.44;
+    expect(result.realisedMetresPerMonth).toBeCloseTo(metresPerMonth, 5);
+    expect(result.realisedHoursPerMonth).toBeCloseTo(metresPerMonth / 3600, 8);
+    expect(result.status).toBe("paid-off");
+    expect(result.windowDays).toBe(28);
+  });
+
+  it("flags savings below half of the projection", () => {
+    const result = verifySavings(entry({ hoursSaved: 1 }), movements, options);
+    expect(result.status).toBe("below-projection");
+    expect(result.share).toBeLessThan(0.5);
+  });
+
+  it("measures the whole type for fleet-wide recommendations", () => {
+    const result = verifySavings(
+      entry({ deviceId: undefined, deviceType: "Pump" }),
+      movements,
+      options
+    );
+    expect(result.evaluation).toMatchObject({ uses: 10, distancePerUse: 25 });
+  });
+
+  it("waits for data that covers the evaluation window", () => {
+    const result = verifySavings(entry(), movements.slice(0, -1), options);
+    expect(result.status).toBe("waiting");
+    expect(result.coveredDays).toBeCloseTo(27.375, 5);
+  });
+
+  it("needs enough uses with a route in both windows", () => {
+    const unmapped = movements.map((movement) =>
+      movement.fromLocation === "D"
+        ? { ...movement, fromLocation: "Lobby" }
+        : movement
+    );
+    const result = verifySavings(entry(), unmapped, options);
+    expect(result.status).toBe("insufficient");
+    expect(result.evaluation).toMatchObject({ uses: 0, unrouted: 5 });
+  });
+
+  it("does not measure savings that are not walking", () => {
+    expect(
+      verifySavings(entry({ type: "purchase" }), movements, options).status
+    ).toBe("not-measured");
+  });
+});
+
+describe("getCountedHoursPerMonth", () => {
+  it("counts realised savings once verified and nothing below projection", () => {
+    const paidOff = verifySavings(entry(), movements, options);
+    const below = verifySavings(entry({ hoursSaved: 1 }), movements, options);
+    const waiting = verifySavings(entry(), [], options);
+
+    expect(getCountedHoursPerMonth(paidOff, 0.05)).toBe(
+      paidOff.realisedHoursPerMonth
+    );
+    expect(getCountedHoursPerMonth(below, 1)).toBe(0);
+    expect(getCountedHoursPerMonth(waiting, 0.05)).toBe(0.05);
+    expect(getCountedHoursPerMonth(undefined, 2)).toBe(2);
+
+    expect(summarizeVerification([paidOff, below, waiting])).toMatchObject({
+      verified: 2,
+      paidOff: 1,
+      belowProjection: 1,
+      waiting: 1,
+      projectedHoursPerMonth: 1.05,
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const {
+  DEFAULT_WALKING_MODEL,
+  validateWalkingModel,
+  getWalkingModel,
+  calibrateScale,
+  toMetres,
+  getTripMinutes,
+  getMonthsSpanned,
+  estimateMonthlySavings,
+  formatDistance,
+  formatMinutes,
+} = require("../walkingModel");
+
+// 2 m per plan unit, walked at 1 m/s with half a minute per trip
+const model = { metresPerUnit: 2, walkingSpeed: 1, tripOverheadSeconds: 30 };
+
+describe("walking model", () => {
+  it("falls back to the defaults when a saved model is invalid", () => {
+    expect(validateWalkingModel({ ...model, walkingSpeed: 0 })).toMatch(
+      /Walking speed/
+    );
+    expect(getWalkingModel({ ...model, walkingSpeed: 0 })).toEqual(
+      DEFAULT_WALKING_MODEL
+    );
+    expect(getWalkingModel({ metresPerUnit: 2 }).walkingSpeed).toBe(
+      DEFAULT_WALKING_MODEL.walkingSpeed
+    );
+  });
+
+  it("calibrates the scale from a measured line", () => {
+    expect(calibrateScale([0, 0], [3, 4], 10)).toBe(2);
+    expect(calibrateScale([1, 1], [1, 1], 10)).toBeNull();
+  });
+
+  it("turns plan distances into metres and trip times", () => {
+    expect(toMetres(15, model)).toBe(30);
+    expect(getTripMinutes(15, model)).toBe(1);
+  });
+});
+
+describe("estimateMonthlySavings", () => {
+  it("spreads the walking saved over the months and leaves out the overhead", () => {
+    const months = getMonthsSpanned([
+      "2025-01-01T00:00:00Z",
+      "2025-03-02T21:07:12Z",
+    ]);
+
+    expect(months).toBeCloseTo(2, 5);
+    expect(estimateMonthlySavings(3600, months, model)).toEqual({
+      metresPerMonth: expect.closeTo(3600, 5),
+      minutesPerMonth: expect.closeTo(60, 5),
+      hoursPerMonth: expect.closeTo(1, 5),
+    });
+    expect(getMonthsSpanned([])).toBe(1);
+  });
+});
+
+describe("formatting", () => {
+  it("picks readable units", () => {
+    expect(formatDistance(85.4)).toBe("85 m");
+    expect(formatDistance(1400)).toBe("1.4 km");
+    expect(formatMinutes(0.5)).toBe("30 s");
+    expect(formatMinutes(200)).toBe("3 h 20 min");
+    expect(formatMinutes(NaN)).toBe("-");
+  });
+});
@@ -0,0 +1,123 @@
+const {
+  UNASSIGNED_ZONE,
+  indexZones,
+  getZoneLabel,
+  getRoomZone,
+  getZoneRooms,
+  createZoneFilter,
+  summarizeByZone,
+  validateZone,
+} = require("../zones");
+
+const zones = [
+  { _id: "main", name: "Main Hospital", level: "building", rooms: [] },
+  {
+    _id: "ed",
+    name: "Emergency Department",
+    level: "department",
+    parentId: "main",
+    rooms: ["Triage"],
+  },
+  {
+    _id: "pod2",
+    name: "POD 2",
+    level: "pod",
+    parentId: "ed",
+    rooms: ["ED-1", "ED-2"],
+  },
+  {
+    _id: "icu",
+    name: "ICU",
+    level: "department",
+    parentId: "main",
+    rooms: ["ICU-1"],
+  },
+];
+const index = indexZones(zones);
+
+describe("indexZones", () => {
+  it("lists zones depth-first by name", () => {
+    expect(index.ordered.map(({ zone, depth }) => [zone._id, depth])).toEqual([
+      ["main", 0],
+      ["ed", 1],
+      ["pod2", 2],
+      ["icu", 1],
+    ]);
+    expect(getZoneLabel(index, "pod2")).toBe(
+      "Main Hospital › Emergency Department › POD 2"
+    );
+  });
+
+  it("rolls rooms up to the zones above them", () => {
+    expect(getRoomZone(index, "ED-1")._id).toBe("pod2");
+    expect(getRoomZone(index, "ED-1", "department")._id).toBe("ed");
+    expect(getRoomZone(index, "Triage", "pod")).toBeNull();
+    expect([...getZoneRooms(index, "ed")].sort()).toEqual([
+      "ED-1",
+      "ED-2",
+      "Triage",
+    ]);
+
+    const inIcu = createZoneFilter(index, "icu");
+    expect(inIcu("ICU-1")).toBe(true);
+    expect(inIcu("ED-1")).toBe(false);
+    expect(createZoneFilter(index, "gone")("ED-1")).toBe(true);
+  });
+});
+
+describe("summarizeByZone", () => {
+  it("counts moves by the zone they arrive in", () => {
+    const summary = summarizeByZone(index, "department", {
+      movements: [
+        { deviceId: "Pump-1", toLocation: "ED-1", distanceTraveled: "10" },
+        { deviceId: "Pump-2", toLocation: "Triage", distanceTraveled: 5 },
+        { deviceId: "Pump-1", toLocation: "ICU-1", distanceTraveled: 8 },
+        { deviceId: "Pump-1", toLocation: "Lobby", distanceTraveled: 2 },
+      ],
+    });
+
+    expect(
+      summary.map(({ key, rooms, devices, moves, distance }) => [
+        key,
+        rooms,
+        devices,
+        moves,
+        distance,
+      ])
+    ).toEqual([
+      ["ed", 2, 2, 2, 15],
+      ["icu", 1, 1, 1, 8],
+      [UNASSIGNED_ZONE, 1, 1, 1, 2],
+    ]);
+  });
+});
+
+describe("validateZone", () => {
+  it("keeps levels going down the hierarchy", () => {
+    expect(
+      validateZone({ name: "Pod A", level: "pod", parentId: "ed" }, zones)
+    ).toEqual([]);
+    expect(
+      validateZone({ name: "Annex", level: "building", parentId: "icu" }, zones)
+    ).toEqual(["A building cannot be inside a department"]);
+    expect(
+      validateZone(
+        { _id: "ed", name: "ED", level: "pod", parentId: "main" },
+        zones
+      )
+    ).toEqual(["Zones inside this one must be below the pod level"]);
+  });
+
+  it("needs a name that is unique among its siblings", () => {
+    expect(
+      validateZone(
+        { name: " icu ", level: "department", parentId: "main" },
+        zones
+      )
+    ).toEqual(["There is already a zone called icu here"]);
+    expect(validateZone({ name: "", level: "wing" }, zones)).toEqual([
+      "Zone name is required",
+      'Unknown zone level "wing"',
+    ]);
+  });
+});
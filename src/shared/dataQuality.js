@@ -0,0 +1,233 @@
+/**
+ * Data quality checks for imported RTLS dwells, shared by the Electron main
+ * process and the renderer
+ *
+ * Each device's dwells are walked in time order to find overlapping stays,
+ * moves between rooms faster than a person can walk, long gaps without any
+ * reading and stays that end before they start. Devices and import batches
+ * are scored by the share of their dwells that are not involved in an issue.
+ */
+
+const { getRouter } = require("./routing");
+const {
+  DEFAULT_WALKING_MODEL,
+  getWalkingModel,
+  toMetres,
+} = require("./walkingModel");
+
+const DEFAULT_QUALITY_OPTIONS = {
+  // Plan scale and walking speed in metres per second
+  walkingModel: DEFAULT_WALKING_MODEL,
+  // Moves are only flagged when faster than this multiple of walking speed
+  speedTolerance: 2,
+  // Gaps between a time out and the next time in longer than this are flagged
+  maxGapHours: 12,
+  // Overlaps up to this long are put down to clock drift between readers
+  clockToleranceSeconds: 60,
+};
+
+const ISSUE_TYPES = {
+  invalidInterval: {
+    label: "Time out before time in",
+    description: "The stay ends before it starts",
+  },
+  overlap: {
+    label: "Overlapping stays",
+    description: "The device is recorded in two rooms at the same time",
+  },
+  teleport: {
+    label: "Impossible move",
+    description: "The device reached the next room faster than walking speed",
+  },
+  gap: {
+    label: "Long gap",
+    description: "No readings for the device between two stays",
+  },
+};
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Identifier of a dwell in issue references
+function getDwellId(dwell, index) {
+  return dwell._id || `${dwell.deviceId}|${dwell.timeIn}|${index}`;
+}
+
+function createScoreEntry() {
+  return { dwellCount: 0, flaggedIds: new Set(), issueCount: 0 };
+}
+
+function finishScoreEntry(entry) {
+  const flaggedDwells = entry.flaggedIds.size;
+  return {
+    dwellCount: entry.dwellCount,
+    flaggedDwells,
+    issueCount: entry.issueCount,
+    score:
+      entry.dwellCount > 0
+        ? Math.round((1 - flaggedDwells / entry.dwellCount) * 1000) / 10
+        : 100,
+  };
+}
+
+/**
+ * Find data quality issues in imported dwells
+ * @param {Array} dwells - Dwells with deviceId, locationId, timeIn and timeOut as UTC instants
+ * @param {Object} graphData - Graph with nodes and [from, to, weight] edges
+ * @param {Object} [options] - Overrides for DEFAULT_QUALITY_OPTIONS
+ * @returns {Object} { options, issues, issueCounts, overall, devices, batches }
+ */
+function analyzeDataQuality(dwells, graphData, options = {}) {
+  const settings = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const router = getRouter(graphData);
+  const walkingModel = getWalkingModel(settings.walkingModel);
+  const maxSpeed = walkingModel.walkingSpeed * settings.speedTolerance;
+  const toleranceMs = settings.clockToleranceSeconds * 1000;
+
+  const issues = [];
+  const issueCounts = Object.fromEntries(
+    Object.keys(ISSUE_TYPES).map((type) => [type, 0])
+  );
+  const deviceScores = {};
+  const batchScores = {};
+  const overall = createScoreEntry();
+
+  const scoreEntriesOf = (dwell) => {
+    const entries = [overall];
+    if (dwell.deviceId) {
+      deviceScores[dwell.deviceId] =
+        deviceScores[dwell.deviceId] || createScoreEntry();
+      entries.push(deviceScores[dwell.deviceId]);
+    }
+    if (dwell.importBatchId) {
+      batchScores[dwell.importBatchId] =
+        batchScores[dwell.importBatchId] || createScoreEntry();
+      entries.push(batchScores[dwell.importBatchId]);
+    }
+    return entries;
+  };
+
+  const addIssue = (type, rows, details) => {
+    const id = `${type}:${rows.map((row) => row.id).join(":")}`;
+    issues.push({
+      id,
+      type,
+      deviceId: rows[0].dwell.deviceId,
+      timeIn: rows[0].dwell.timeIn,
+      dwellIds: rows.map((row) => row.id),
+      rows: rows.map((row) => row.dwell),
+      excluded: rows.every((row) => row.dwell.excludedFromAnalysis),
+      details,
+    });
+    issueCounts[type]++;
+
+    const touched = new Set();
+    rows.forEach((row) => {
+      scoreEntriesOf(row.dwell).forEach((entry) => {
+        entry.flaggedIds.add(row.id);
+        if (!touched.has(entry)) {
+          entry.issueCount++;
+          touched.add(entry);
+        }
+      });
+    });
+  };
+
+  // Group dwells by device in time order
+  const byDevice = {};
+  dwells.forEach((dwell, index) => {
+    if (!dwell.deviceId) return;
+    const timeIn = new Date(dwell.timeIn).getTime();
+    const timeOut = new Date(dwell.timeOut).getTime();
+    if (isNaN(timeIn) || isNaN(timeOut)) return;
+
+    scoreEntriesOf(dwell).forEach((entry) => entry.dwellCount++);
+    byDevice[dwell.deviceId] = byDevice[dwell.deviceId] || [];
+    byDevice[dwell.deviceId].push({
+      id: getDwellId(dwell, index),
+      dwell,
+      timeIn,
+      timeOut,
+    });
+  });
+
+  Object.values(byDevice).forEach((rows) => {
+    rows.sort((a, b) => a.timeIn - b.timeIn);
+
+    rows.forEach((row) => {
+      if (row.timeOut < row.timeIn) {
+        addIssue("invalidInterval", [row], {
+          minutes: Math.round((row.timeIn - row.timeOut) / 60000),
+        });
+      }
+    });
+
+    // Compare each stay with the latest-ending stay before it, so a long stay
+    // that covers several later ones is caught for each of them
+    let previous = null;
+    rows.forEach((row) => {
+      if (!previous) {
+        previous = row;
+        return;
+      }
+
+      const previousEnd = Math.max(previous.timeIn, previous.timeOut);
+      const gapMs = row.timeIn - previousEnd;
+
+      if (gapMs < -toleranceMs) {
+        addIssue("overlap", [previous, row], {
+          minutes: Math.round(-gapMs / 60000),
+        });
+      } else if (gapMs > settings.maxGapHours * MS_PER_HOUR) {
+        addIssue("gap", [previous, row], {
+          hours: Math.round((gapMs / MS_PER_HOUR) * 10) / 10,
+        });
+      } else if (previous.dwell.locationId !== row.dwell.locationId) {
+        const distance = router.getDistance(
+          previous.dwell.locationId,
+          row.dwell.locationId
+        );
+
+        if (distance !== null && distance > 0) {
+          const metres = toMetres(distance, walkingModel);
+          const seconds = Math.max(0, gapMs) / 1000;
+
+          if (metres > maxSpeed * seconds) {
+            addIssue("teleport", [previous, row], {
+              distanceMetres: Math.round(metres),
+              seconds: Math.round(seconds),
+              minimumSeconds: Math.round(metres / walkingModel.walkingSpeed),
+            });
+          }
+        }
+      }
+
+      if (Math.max(row.timeIn, row.timeOut) >= previousEnd) {
+        previous = row;
+      }
+    });
+  });
+
+  issues.sort((a, b) => new Date(b.timeIn) - new Date(a.timeIn));
+
+  return {
+    options: settings,
+    issues,
+    issueCounts,
+    overall: finishScoreEntry(overall),
+    devices: Object.entries(deviceScores)
+      .map(([deviceId, entry]) => ({ deviceId, ...finishScoreEntry(entry) }))
+      .sort((a, b) => a.score - b.score),
+    batches: Object.entries(batchScores)
+      .map(([importBatchId, entry]) => ({
+        importBatchId,
+        ...finishScoreEntry(entry),
+      }))
+      .sort((a, b) => a.score - b.score),
+  };
+}
+
+module.exports = {
+  DEFAULT_QUALITY_OPTIONS,
+  ISSUE_TYPES,
+  analyzeDataQuality,
+};
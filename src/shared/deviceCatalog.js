@@ -0,0 +1,160 @@
+/**
+ * Device catalog helpers shared by the Electron main process and the renderer
+ *
+ * Devices listed in the asset register carry their type, model, serial number,
+ * owning department, purchase date and acquisition cost. Devices that only
+ * appear in RTLS feeds get their type from the tag with a configurable
+ * pattern, e.g. "IV-Pump-12" -> "IV-Pump".
+ */
+
+// Everything before a trailing number, with an optional "-", "_" or " " in between
+const DEFAULT_DEVICE_TYPE_PATTERN = "^(.+?)[-_ ]?\\d+$";
+
+// Editable catalog fields in the order they are shown
+const CATALOG_FIELDS = [
+  { field: "deviceId", label: "Device ID" },
+  { field: "deviceType", label: "Type" },
+  { field: "model", label: "Model" },
+  { field: "serialNumber", label: "Serial Number" },
+  { field: "department", label: "Department" },
+  { field: "purchaseDate", label: "Purchase Date" },
+  { field: "acquisitionCost", label: "Acquisition Cost" },
+];
+
+const patternCache = new Map();
+
+function compilePattern(pattern) {
+  if (!patternCache.has(pattern)) {
+    patternCache.set(pattern, new RegExp(pattern));
+  }
+  return patternCache.get(pattern);
+}
+
+/**
+ * Check whether a type pattern is a valid regular expression
+ * @param {string} pattern - The pattern
+ * @returns {boolean} True if the pattern compiles
+ */
+function isValidTypePattern(pattern) {
+  if (!pattern || typeof pattern !== "string") return false;
+
+  try {
+    compilePattern(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Derive a device type from a device ID
+ *
+ * The type is the first capture group of the pattern (or the whole match if
+ * it has none). IDs the pattern does not match are used as the type as is.
+ *
+ * @param {string} deviceId - The device ID
+ * @param {string} [pattern] - Regular expression for the type
+ * @returns {string} The device type
+ */
+function extractDeviceType(deviceId, pattern = DEFAULT_DEVICE_TYPE_PATTERN) {
+  const id = String(deviceId || "").trim();
+  if (!id) return "Unknown";
+
+  const regex = isValidTypePattern(pattern)
+    ? compilePattern(pattern)
+    : compilePattern(DEFAULT_DEVICE_TYPE_PATTERN);
+  const match = id.match(regex);
+  if (!match) return id;
+
+  const type = (match[1] !== undefined ? match[1] : match[0]).trim();
+  return type || "Unknown";
+}
+
+/**
+ * Build a lookup from device ID to device type
+ *
+ * Devices with a stored type (from the catalog or set when they were
+ * imported) keep it; any other ID is typed with the pattern.
+ *
+ * @param {Array} devices - Device records
+ * @param {string} [pattern] - Regular expression for IDs without a stored type
+ * @returns {Function} deviceId => device type
+ */
+function createDeviceTypeResolver(devices = [], pattern) {
+  const types = new Map();
+  devices.forEach((device) => {
+    if (device && device.deviceId && device.deviceType) {
+      types.set(device.deviceId, device.deviceType);
+    }
+  });
+
+  return (deviceId) =>
+    types.get(deviceId) || extractDeviceType(deviceId, pattern);
+}
+
+/**
+ * Clean up and validate a catalog entry before saving it
+ * @param {Object} entry - Raw catalog fields
+ * @returns {Object} { device, errors } where device only has the catalog fields that were given
+ */
+function normalizeCatalogEntry(entry = {}) {
+  const errors = [];
+  const device = {};
+  const text = (value) =>
+    value === undefined || value === null ? "" : String(value).trim();
+
+  device.deviceId = text(entry.deviceId);
+  if (!device.deviceId) {
+    errors.push("Device ID is required");
+  }
+
+  ["deviceType", "model", "serialNumber", "department"].forEach((field) => {
+    if (entry[field] !== undefined) {
+      device[field] = text(entry[field]);
+    }
+  });
+
+  if (entry.purchaseDate !== undefined) {
+    const value = text(entry.purchaseDate);
+    if (!value) {
+      device.purchaseDate = "";
+    } else {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        errors.push(`Invalid purchase date "${value}"`);
+      } else {
+        // Keep the calendar day the register gives, whatever the time zone
+        const isoDay = value.match(/^\d{4}-\d{2}-\d{2}/);
+        device.purchaseDate = isoDay
+          ? isoDay[0]
+          : [
+              date.getFullYear(),
+              String(date.getMonth() + 1).padStart(2, "0"),
+              String(date.getDate()).padStart(2, "0"),
+            ].join("-");
+      }
+    }
+  }
+
+  if (entry.acquisitionCost !== undefined) {
+    const value = text(entry.acquisitionCost).replace(/[$,\s]/g, "");
+    if (!value) {
+      device.acquisitionCost = null;
+    } else if (isNaN(Number(value)) || Number(value) < 0) {
+      errors.push(`Invalid acquisition cost "${entry.acquisitionCost}"`);
+    } else {
+      device.acquisitionCost = Number(value);
+    }
+  }
+
+  return { device, errors };
+}
+
+module.exports = {
+  DEFAULT_DEVICE_TYPE_PATTERN,
+  CATALOG_FIELDS,
+  isValidTypePattern,
+  extractDeviceType,
+  createDeviceTypeResolver,
+  normalizeCatalogEntry,
+};
@@ -0,0 +1,154 @@
+/**
+ * Dwell interval helpers shared by the Electron main process and the renderer
+ *
+ * A dwell is one RTLS record: a device staying in a room with a status from
+ * its time in to its time out. Utilisation, idle time and room occupancy are
+ * summed from dwell durations.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Check whether a status means the device was in use
+ * @param {string} status - The RTLS status
+ * @returns {boolean} True for "In Use" style statuses
+ */
+function isInUseStatus(status) {
+  return Boolean(status) && status.toLowerCase().includes("in use");
+}
+
+/**
+ * Get the duration of a dwell in hours
+ * @param {Object} dwell - A dwell, or any record with timeIn and timeOut
+ * @returns {number} The duration in hours, 0 if the interval is invalid
+ */
+function getDwellHours(dwell) {
+  if (typeof dwell.durationMinutes === "number") {
+    return Math.max(0, dwell.durationMinutes / 60);
+  }
+
+  const timeIn = new Date(dwell.timeIn || dwell.In);
+  const timeOut = new Date(dwell.timeOut || dwell.Out);
+  const hours = (timeOut - timeIn) / MS_PER_HOUR;
+  return hours > 0 ? hours : 0;
+}
+
+/**
+ * Build a dwell from an imported record
+ * @param {string} deviceId - The device ID
+ * @param {Object} record - Record with normalizedLocation, timeIn and timeOut as UTC ISO strings
+ * @returns {Object|null} The dwell, or null if the times cannot be read. A time
+ * out before the time in gives a negative duration, which counts as no time
+ * and is reported by the data quality checks.
+ */
+function buildDwell(deviceId, record) {
+  const durationMs = new Date(record.timeOut) - new Date(record.timeIn);
+  if (isNaN(durationMs)) return null;
+
+  return {
+    deviceId,
+    locationId: record.normalizedLocation || "Unknown",
+    locationRaw: record.location,
+    status: record.status || "Unknown",
+    timeIn: record.timeIn,
+    timeOut: record.timeOut,
+    timeInRaw: record.timeInRaw,
+    timeOutRaw: record.timeOutRaw,
+    durationMinutes: Math.round((durationMs / 60000) * 100) / 100,
+    metadata: record.metadata || {},
+  };
+}
+
+/**
+ * Sum in-use and idle hours of dwells grouped by a key
+ * @param {Array} dwells - The dwells to summarize
+ * @param {Function} getKey - Returns the group key of a dwell (e.g. device ID or type)
+ * @returns {Object} Key -> { dwellCount, totalHours, inUseHours, idleHours, utilization }
+ */
+function summarizeUtilization(dwells, getKey) {
+  const summary = {};
+
+  dwells.forEach((dwell) => {
+    const key = getKey(dwell);
+    if (!key) return;
+
+    if (!summary[key]) {
+      summary[key] = {
+        dwellCount: 0,
+        totalHours: 0,
+        inUseHours: 0,
+        idleHours: 0,
+        utilization: 0,
+      };
+    }
+
+    const hours = getDwellHours(dwell);
+    const entry = summary[key];
+    entry.dwellCount++;
+    entry.totalHours += hours;
+    if (isInUseStatus(dwell.status)) {
+      entry.inUseHours += hours;
+    } else {
+      entry.idleHours += hours;
+    }
+  });
+
+  Object.values(summary).forEach((entry) => {
+    entry.utilization =
+      entry.totalHours > 0 ? (entry.inUseHours / entry.totalHours) * 100 : 0;
+  });
+
+  return summary;
+}
+
+/**
+ * Sum how long devices occupied each room
+ * @param {Array} dwells - The dwells to summarize
+ * @returns {Object} Room -> { dwellCount, deviceCount, occupiedHours, inUseHours, avgDwellMinutes }
+ */
+function summarizeRoomOccupancy(dwells) {
+  const rooms = {};
+
+  dwells.forEach((dwell) => {
+    const room = dwell.locationId;
+    if (!room) return;
+
+    if (!rooms[room]) {
+      rooms[room] = {
+        dwellCount: 0,
+        devices: new Set(),
+        occupiedHours: 0,
+        inUseHours: 0,
+      };
+    }
+
+    const hours = getDwellHours(dwell);
+    rooms[room].dwellCount++;
+    rooms[room].devices.add(dwell.deviceId);
+    rooms[room].occupiedHours += hours;
+    if (isInUseStatus(dwell.status)) {
+      rooms[room].inUseHours += hours;
+    }
+  });
+
+  const occupancy = {};
+  Object.entries(rooms).forEach(([room, entry]) => {
+    occupancy[room] = {
+      dwellCount: entry.dwellCount,
+      deviceCount: entry.devices.size,
+      occupiedHours: entry.occupiedHours,
+      inUseHours: entry.inUseHours,
+      avgDwellMinutes: (entry.occupiedHours * 60) / entry.dwellCount,
+    };
+  });
+
+  return occupancy;
+}
+
+module.exports = {
+  isInUseStatus,
+  getDwellHours,
+  buildDwell,
+  summarizeUtilization,
+  summarizeRoomOccupancy,
+};
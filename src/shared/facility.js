@@ -0,0 +1,302 @@
+/**
+ * Facility model shared by the Electron main process and the renderer
+ *
+ * A facility is made up of floors, each in a building with its own plan image
+ * and room layout. The floor plan file lists them under `floors`; a file with
+ * top-level `rooms` and `walls` (the original single-floor format) is read as
+ * one floor. Room names are unique across the whole facility, so the routing
+ * graph keeps a single list of nodes.
+ *
+ * Floors are joined by vertical connectors (elevators and stairs) and
+ * buildings by bridges, listed under `connectors` in the graph data. Each
+ * connector becomes a routing edge whose weight is its walking length plus a
+ * time penalty converted to the distance a person walks in that time. The
+ * conversion uses the default walking model unless another is passed, so
+ * routes stay the same when the plan is recalibrated.
+ */
+
+const { getWalkingModel, toPlanUnits } = require("./walkingModel");
+
+// Floor used for floor plans saved in the single-floor format
+const DEFAULT_FLOOR = {
+  id: "main",
+  name: "Main Floor",
+  building: "Main Building",
+  level: 0,
+  image: "floor_plan.png",
+};
+
+// Kinds of connector between floors, with their default time penalty
+const CONNECTOR_TYPES = {
+  elevator: { label: "Elevator", penaltySeconds: 60 },
+  stairs: { label: "Stairs", penaltySeconds: 20 },
+  bridge: { label: "Bridge", penaltySeconds: 0 },
+};
+
+/**
+ * Get the floors of a floor plan in building and level order
+ * @param {Object} floorPlan - Floor plan in either format
+ * @returns {Array} Floors with id, name, building, level, image, size, rooms and walls
+ */
+function getFloors(floorPlan) {
+  if (!floorPlan) return [];
+
+  if (!Array.isArray(floorPlan.floors)) {
+    const floor = {
+      ...DEFAULT_FLOOR,
+      rooms: floorPlan.rooms || {},
+      walls: floorPlan.walls || [],
+    };
+    if (floorPlan.size) floor.size = floorPlan.size;
+    return [floor];
+  }
+
+  return floorPlan.floors
+    .map((floor, index) => ({
+      ...floor,
+      id: floor.id || `floor-${index + 1}`,
+      name: floor.name || floor.id || `Floor ${index + 1}`,
+      building: floor.building || DEFAULT_FLOOR.building,
+      level: Number.isFinite(floor.level) ? floor.level : index,
+      image: floor.image || "",
+      rooms: floor.rooms || {},
+      walls: floor.walls || [],
+    }))
+    .sort((a, b) => a.building.localeCompare(b.building) || a.level - b.level);
+}
+
+/**
+ * Convert a floor plan to the multi-floor format
+ * @param {Object} floorPlan - Floor plan in either format
+ * @returns {Object} Floor plan with a `floors` list and no top-level rooms or walls
+ */
+function toFloorsFormat(floorPlan) {
+  const rest = { ...(floorPlan || {}) };
+  delete rest.rooms;
+  delete rest.walls;
+  delete rest.size;
+  return { ...rest, floors: getFloors(floorPlan) };
+}
+
+/**
+ * Get a label for a floor that is unambiguous across buildings
+ * @param {Object} floor - The floor
+ * @param {boolean} [withBuilding] - Include the building name
+ * @returns {string} Floor label
+ */
+function getFloorLabel(floor, withBuilding = true) {
+  if (!floor) return "";
+  return withBuilding ? `${floor.building} ${floor.name}` : floor.name;
+}
+
+const facilityIndexes = new WeakMap();
+
+/**
+ * Index the floors and rooms of a floor plan
+ * @param {Object} floorPlan - Floor plan in either format
+ * @returns {Object} { floors, floorsById, floorOfRoom, positions, multiFloor }
+ */
+function indexFacility(floorPlan) {
+  if (floorPlan && facilityIndexes.has(floorPlan)) {
+    return facilityIndexes.get(floorPlan);
+  }
+
+  const floors = getFloors(floorPlan);
+  const floorsById = {};
+  const floorOfRoom = {};
+  const positions = {};
+
+  floors.forEach((floor) => {
+    floorsById[floor.id] = floor;
+    Object.entries(floor.rooms).forEach(([room, position]) => {
+      floorOfRoom[room] = floor.id;
+      positions[room] = position;
+    });
+  });
+
+  const index = {
+    floors,
+    floorsById,
+    floorOfRoom,
+    positions,
+    multiFloor: floors.length > 1,
+  };
+  if (floorPlan) facilityIndexes.set(floorPlan, index);
+  return index;
+}
+
+/**
+ * Get the plan position of every room on every floor
+ * @param {Object} floorPlan - Floor plan in either format
+ * @returns {Object} Room -> [x, y] on its own floor's plan
+ */
+function getRoomPositions(floorPlan) {
+  return indexFacility(floorPlan).positions;
+}
+
+/**
+ * Get the floor a room is on
+ * @param {Object} floorPlan - Floor plan in either format
+ * @param {string} room - The room
+ * @returns {Object|null} The floor, or null if the room is not on the plan
+ */
+function getRoomFloor(floorPlan, room) {
+  const { floorsById, floorOfRoom } = indexFacility(floorPlan);
+  return floorOfRoom[room] ? floorsById[floorOfRoom[room]] : null;
+}
+
+/**
+ * Get the straight-line distance between two rooms on the same floor
+ * @param {Object} floorPlan - Floor plan in either format
+ * @param {string} from - The first room
+ * @param {string} to - The second room
+ * @returns {number|null} Distance in plan units, or null if the rooms are not on the same floor
+ */
+function getSameFloorDistance(floorPlan, from, to) {
+  const { floorOfRoom, positions } = indexFacility(floorPlan);
+  if (!floorOfRoom[from] || floorOfRoom[from] !== floorOfRoom[to]) {
+    return null;
+  }
+
+  const [x1, y1] = positions[from];
+  const [x2, y2] = positions[to];
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+/**
+ * Get the routing weight of a connector
+ * @param {Object} connector - Connector with type, optional penaltySeconds and optional distance
+ * @param {Object} [walkingModel] - Walking model used to turn the time penalty into a distance
+ * @returns {number} Weight in graph units
+ */
+function getConnectorWeight(connector, walkingModel) {
+  const type = CONNECTOR_TYPES[connector.type];
+  const penaltySeconds = Number.isFinite(connector.penaltySeconds)
+    ? connector.penaltySeconds
+    : type
+    ? type.penaltySeconds
+    : 0;
+  const distance = Number.isFinite(connector.distance) ? connector.distance : 0;
+  const { walkingSpeed } = getWalkingModel(walkingModel);
+
+  return distance + toPlanUnits(penaltySeconds * walkingSpeed, walkingModel);
+}
+
+/**
+ * Get the routing edges for the connectors in a graph
+ * @param {Object} graphData - Graph with optional connectors
+ * @returns {Array} [from, to, weight] edges
+ */
+function getConnectorEdges(graphData) {
+  return ((graphData && graphData.connectors) || [])
+    .filter((connector) => connector && connector.from && connector.to)
+    .map((connector) => [
+      connector.from,
+      connector.to,
+      getConnectorWeight(connector),
+    ]);
+}
+
+/**
+ * Describe the floors and connectors a path passes through
+ * @param {Array} path - Rooms along the path
+ * @param {Object} floorPlan - Floor plan in either format
+ * @param {Object} graphData - Graph with optional connectors
+ * @returns {Object} { floors, changes, crossesFloors } where changes lists each connector taken
+ */
+function describeRoute(path, floorPlan, graphData) {
+  const { floorOfRoom, floorsById } = indexFacility(floorPlan);
+  const connectors = (graphData && graphData.connectors) || [];
+  const floors = [];
+  const changes = [];
+
+  (path || []).forEach((room, i) => {
+    const floorId = floorOfRoom[room];
+    if (floorId && floors[floors.length - 1] !== floorId) {
+      floors.push(floorId);
+    }
+    if (i === 0) return;
+
+    const previous = path[i - 1];
+    const connector = connectors.find(
+      (c) =>
+        (c.from === previous && c.to === room) ||
+        (c.from === room && c.to === previous)
+    );
+    if (connector) {
+      changes.push({
+        from: previous,
+        to: room,
+        type: connector.type,
+        toFloor: floorsById[floorOfRoom[room]] || null,
+      });
+    }
+  });
+
+  return { floors, changes, crossesFloors: floors.length > 1 };
+}
+
+/**
+ * Summarise a cross-floor route in words
+ * @param {Object} route - Route from describeRoute
+ * @returns {string} e.g. "via Elevator to Tower Level 3", or "" on a single floor
+ */
+function formatRoute(route) {
+  if (!route || !route.crossesFloors) return "";
+
+  return route.changes
+    .map((change) => {
+      const type = CONNECTOR_TYPES[change.type];
+      const label = type ? type.label : "Connector";
+      return change.toFloor
+        ? `via ${label} to ${getFloorLabel(change.toFloor)}`
+        : `via ${label}`;
+    })
+    .join(", then ");
+}
+
+/**
+ * Summarise a path that leaves the floor it starts on, for recommendations
+ * @param {Array} path - Rooms along the path
+ * @param {Object} floorPlan - Floor plan in either format
+ * @param {Object} graphData - Graph with optional connectors
+ * @returns {Object|null} { floors, connectors, description }, or null if the path stays on one floor
+ */
+function summarizeCrossFloorRoute(path, floorPlan, graphData) {
+  const route = describeRoute(path, floorPlan, graphData);
+  if (!route.crossesFloors) return null;
+
+  const { floorsById } = indexFacility(floorPlan);
+  const floors = route.floors.map((floorId) =>
+    getFloorLabel(floorsById[floorId])
+  );
+
+  return {
+    floors,
+    connectors: route.changes.map(({ from, to, type }) => ({
+      from,
+      to,
+      type,
+    })),
+    description: `${path[path.length - 1]} is on ${
+      floors[floors.length - 1]
+    }, reached ${formatRoute(route)}.`,
+  };
+}
+
+module.exports = {
+  DEFAULT_FLOOR,
+  CONNECTOR_TYPES,
+  getFloors,
+  toFloorsFormat,
+  getFloorLabel,
+  indexFacility,
+  getRoomPositions,
+  getRoomFloor,
+  getSameFloorDistance,
+  getConnectorWeight,
+  getConnectorEdges,
+  describeRoute,
+  formatRoute,
+  summarizeCrossFloorRoute,
+};
@@ -0,0 +1,350 @@
+/**
+ * Fleet sizing shared by the Electron main process and the renderer
+ *
+ * Utilisation alone says little about whether a fleet is big enough: a type
+ * used 85% of the time by one long case and a type used 60% of the time in
+ * short bursts that all land at once need very different fleets. Fleet sizing
+ * rebuilds how many units of a type were in use at the same time from its
+ * in-use dwells, and estimates the chance that a request finds no unit free
+ * in two ways:
+ *
+ * - Erlang C: the load of the busiest hour of the day, the average number of
+ *   units in use in that hour, is offered at random to c interchangeable units
+ * - Replay: the recorded uses are replayed against a fleet of c units, and a
+ *   request arriving at a random moment finds no unit free for the share of
+ *   the time that c or more units were in use
+ *
+ * The recommended fleet is the smallest that keeps both estimates within the
+ * configured service level.
+ */
+
+const { isInUseStatus } = require("./dwells");
+const { getZonedParts } = require("./timezone");
+
+// Share of requests that should find a unit free
+const DEFAULT_SERVICE_LEVEL = 0.95;
+
+// In-use dwells of one device this close together are one use, such as a
+// pump following its patient from one room to another
+const USE_GAP_MINUTES = 5;
+
+// Largest fleet considered when looking for one that meets the service level
+const MAX_FLEET_SIZE = 200;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Check a service level before it is saved
+ * @param {number} level - Share of requests that should find a unit free
+ * @returns {string|null} The problem found, or null if the level is valid
+ */
+function validateServiceLevel(level) {
+  if (!Number.isFinite(level) || level < 0.5 || level >= 1) {
+    return "The service level must be at least 50% and below 100%";
+  }
+  return null;
+}
+
+/**
+ * Join the in-use dwells of each device into uses
+ * @param {Array} records - Dwells (or movements)
+ * @returns {Array} { deviceId, start, end } in milliseconds, sorted by start
+ */
+function getUses(records) {
+  const intervalsByDevice = {};
+  records.forEach((record) => {
+    if (!record.deviceId || !isInUseStatus(record.status)) return;
+    const start = new Date(record.timeIn).getTime();
+    const end = new Date(record.timeOut).getTime();
+    if (!(end > start)) return;
+
+    if (!intervalsByDevice[record.deviceId]) {
+      intervalsByDevice[record.deviceId] = [];
+    }
+    intervalsByDevice[record.deviceId].push({ start, end });
+  });
+
+  const uses = [];
+  Object.entries(intervalsByDevice).forEach(([deviceId, intervals]) => {
+    intervals.sort((a, b) => a.start - b.start);
+    let current = null;
+    intervals.forEach(({ start, end }) => {
+      if (current && start - current.end <= USE_GAP_MINUTES * 60000) {
+        current.end = Math.max(current.end, end);
+      } else {
+        current = { deviceId, start, end };
+        uses.push(current);
+      }
+    });
+  });
+
+  return uses.sort(
+    (a, b) => a.start - b.start || a.deviceId.localeCompare(b.deviceId)
+  );
+}
+
+/**
+ * Rebuild how many units of one device type were in use at the same time
+ * @param {Array} records - Dwells (or movements) of one device type
+ * @param {string} timeZone - Facility timezone, for the hour of the day
+ * @returns {Object} { uses, observedHours, meanUseHours, averageLoad, peak,
+ *   percentiles, hoursByLevel, busyHour, busyHourLoad } where
+ *   percentiles holds the units in use at the 50th, 90th, 95th and 99th
+ *   percentile of time, hoursByLevel[k] is the time k units were in use,
+ *   and busyHourLoad is the average number of units in use (erlangs) in the
+ *   busiest hour of the day
+ */
+function summarizeConcurrency(records, timeZone) {
+  const uses = getUses(records || []);
+
+  // Observed from the first record in to the last record out
+  let first = Infinity;
+  let last = -Infinity;
+  (records || []).forEach((record) => {
+    const start = new Date(record.timeIn).getTime();
+    const end = new Date(record.timeOut).getTime();
+    if (Number.isFinite(start)) first = Math.min(first, start);
+    if (Number.isFinite(end)) last = Math.max(last, end);
+  });
+  const observedMs = last > first ? last - first : 0;
+
+  // Sweep through the starts and ends of uses, ends first at equal times
+  const events = [];
+  uses.forEach(({ start, end }) => {
+    events.push({ time: start, change: 1 });
+    events.push({ time: end, change: -1 });
+  });
+  events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+  const msByLevel = [0];
+  let level = 0;
+  let previous = first;
+  let peak = 0;
+  events.forEach(({ time, change }) => {
+    if (time > previous) {
+      msByLevel[level] = (msByLevel[level] || 0) + (time - previous);
+      previous = time;
+    }
+    level += change;
+    peak = Math.max(peak, level);
+  });
+  if (last > previous) {
+    msByLevel[level] = (msByLevel[level] || 0) + (last - previous);
+  }
+
+  // Units in use at a percentile of the observed time
+  const percentile = (share) => {
+    let cumulative = 0;
+    for (let k = 0; k < msByLevel.length; k++) {
+      cumulative += msByLevel[k] || 0;
+      if (observedMs > 0 && cumulative / observedMs >= share) return k;
+    }
+    return peak;
+  };
+
+  const useMs = uses.reduce((sum, { start, end }) => sum + end - start, 0);
+  const meanUseHours = uses.length > 0 ? useMs / uses.length / MS_PER_HOUR : 0;
+
+  // Units in use on average in each hour of the day, over the days observed
+  const days = Math.max(observedMs / (24 * MS_PER_HOUR), 1);
+  const msByHour = Array(24).fill(0);
+  uses.forEach(({ start, end }) => {
+    let time = start;
+    while (time < end) {
+      const parts = getZonedParts(time, timeZone);
+      if (!parts) return;
+      const hourEnd =
+        time + ((60 - parts.minute) * 60 - parts.second) * 1000 - (time % 1000);
+      const until = Math.min(end, hourEnd > time ? hourEnd : time + 1000);
+      msByHour[parts.hour] += until - time;
+      time = until;
+    }
+  });
+  const busyHour = msByHour.reduce(
+    (best, ms, hour) => (ms > msByHour[best] ? hour : best),
+    0
+  );
+
+  return {
+    uses: uses.length,
+    observedHours: observedMs / MS_PER_HOUR,
+    meanUseHours,
+    averageLoad: observedMs > 0 ? useMs / observedMs : 0,
+    peak,
+    percentiles: {
+      p50: percentile(0.5),
+      p90: percentile(0.9),
+      p95: percentile(0.95),
+      p99: percentile(0.99),
+    },
+    hoursByLevel: Array.from(
+      { length: msByLevel.length },
+      (_, k) => (msByLevel[k] || 0) / MS_PER_HOUR
+    ),
+    busyHour,
+    busyHourLoad: msByHour[busyHour] / days / MS_PER_HOUR,
+  };
+}
+
+/**
+ * Erlang C: the chance that a request has to wait for one of c units
+ * @param {number} units - Number of units (servers)
+ * @param {number} load - Offered load in erlangs (requests per hour × hours per use)
+ * @returns {number} Probability that every unit is busy when a request arrives
+ */
+function erlangC(units, load) {
+  if (load <= 0) return 0;
+  if (units <= load) return 1;
+
+  // Erlang B by recursion, then converted to Erlang C
+  let blocking = 1;
+  for (let k = 1; k <= units; k++) {
+    blocking = (load * blocking) / (k + load * blocking);
+  }
+  return (units * blocking) / (units - load * (1 - blocking));
+}
+
+/**
+ * The share of the recorded time a fleet of c units would have had none free
+ * @param {Object} concurrency - Result of summarizeConcurrency
+ * @param {number} units - Fleet size to replay the uses against
+ * @returns {number} Share of the observed time with at least that many units in use
+ */
+function getReplayShortfall(concurrency, units) {
+  if (concurrency.observedHours <= 0) return 0;
+  const busy = concurrency.hoursByLevel
+    .slice(Math.max(units, 0))
+    .reduce((sum, hours) => sum + hours, 0);
+  return busy / concurrency.observedHours;
+}
+
+/**
+ * Estimate how likely a request is to find no unit free with a fleet size
+ * @param {Object} concurrency - Result of summarizeConcurrency
+ * @param {number} units - Fleet size
+ * @returns {Object} { erlangC, replay } probabilities
+ */
+function getNoUnitProbability(concurrency, units) {
+  return {
+    erlangC: erlangC(units, concurrency.busyHourLoad),
+    replay: getReplayShortfall(concurrency, units),
+  };
+}
+
+/**
+ * Find the smallest fleet that meets a service level
+ * @param {Object} concurrency - Result of summarizeConcurrency
+ * @param {number} serviceLevel - Share of requests that should find a unit free
+ * @returns {number} Fleet size, at least one
+ */
+function getRequiredFleetSize(concurrency, serviceLevel) {
+  const allowed = 1 - serviceLevel;
+  for (let units = 1; units < MAX_FLEET_SIZE; units++) {
+    const probability = getNoUnitProbability(concurrency, units);
+    if (probability.erlangC <= allowed && probability.replay <= allowed) {
+      return units;
+    }
+  }
+  return MAX_FLEET_SIZE;
+}
+
+/**
+ * Size the fleet of every device type
+ * @param {Array} records - Dwells (or movements) to analyse
+ * @param {Function} getDeviceType - Returns the type of a device ID
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Facility timezone
+ * @param {number} [options.serviceLevel] - Share of requests that should find a unit free
+ * @param {Object} [options.fleetSizes] - Device type -> units owned; the
+ *   devices seen in the records are counted for types not listed
+ * @returns {Array} { deviceType, fleetSize, concurrency, noUnitProbability,
+ *   requiredFleetSize, requiredProbability }, sorted by device type, where
+ *   noUnitProbability is for the fleet owned and requiredProbability for the
+ *   required fleet
+ */
+function sizeFleets(records, getDeviceType, options) {
+  const { timeZone, serviceLevel = DEFAULT_SERVICE_LEVEL } = options;
+  const fleetSizes = options.fleetSizes || {};
+
+  const recordsByType = {};
+  (records || []).forEach((record) => {
+    if (!record.deviceId) return;
+    const deviceType = getDeviceType(record.deviceId);
+    if (!recordsByType[deviceType]) recordsByType[deviceType] = [];
+    recordsByType[deviceType].push(record);
+  });
+
+  return Object.entries(recordsByType)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([deviceType, typeRecords]) => {
+      const concurrency = summarizeConcurrency(typeRecords, timeZone);
+      const fleetSize =
+        fleetSizes[deviceType] ||
+        new Set(typeRecords.map((record) => record.deviceId)).size;
+      const requiredFleetSize = getRequiredFleetSize(concurrency, serviceLevel);
+
+      return {
+        deviceType,
+        fleetSize,
+        concurrency,
+        noUnitProbability: getNoUnitProbability(concurrency, fleetSize),
+        requiredFleetSize,
+        requiredProbability: getNoUnitProbability(
+          concurrency,
+          requiredFleetSize
+        ),
+      };
+    });
+}
+
+// Format a probability as a percentage for recommendation text
+const formatChance = (probability) =>
+  probability > 0 && probability < 0.01
+    ? "under 1%"
+    : `${Math.round(probability * 100)}%`;
+
+/**
+ * Describe the fleet sizing of a device type that needs more units
+ * @param {Object} sizing - One result of sizeFleets
+ * @param {number} serviceLevel - Share of requests that should find a unit free
+ * @returns {string} Sentences for a purchase recommendation
+ */
+function describeFleetSizing(sizing, serviceLevel) {
+  const {
+    deviceType,
+    fleetSize,
+    concurrency,
+    noUnitProbability,
+    requiredFleetSize,
+    requiredProbability,
+  } = sizing;
+  const additional = requiredFleetSize - fleetSize;
+  const hour = String(concurrency.busyHour).padStart(2, "0");
+
+  return `Up to ${concurrency.peak} ${deviceType} units were in use at once (${
+    concurrency.percentiles.p95
+  } or fewer 95% of the time) with ${fleetSize} in the fleet. In the busiest hour of the day (${hour}:00) an average of ${concurrency.busyHourLoad.toFixed(
+    1
+  )} units are in use, so a request finds no unit free ${formatChance(
+    noUnitProbability.erlangC
+  )} of the time by Erlang C and ${formatChance(
+    noUnitProbability.replay
+  )} of the time in the recorded data. Purchasing ${additional} additional unit${
+    additional === 1 ? "" : "s"
+  } (${requiredFleetSize} in total) brings that to ${formatChance(
+    Math.max(requiredProbability.erlangC, requiredProbability.replay)
+  )}, meeting the ${Math.round(serviceLevel * 1000) / 10}% service level.`;
+}
+
+module.exports = {
+  DEFAULT_SERVICE_LEVEL,
+  validateServiceLevel,
+  getUses,
+  summarizeConcurrency,
+  erlangC,
+  getReplayShortfall,
+  getNoUnitProbability,
+  getRequiredFleetSize,
+  sizeFleets,
+  describeFleetSizing,
+};
@@ -0,0 +1,382 @@
+/**
+ * Floor plan and routing graph helpers shared by the Electron main process
+ * and the renderer
+ *
+ * The floor plan (floor_plan_progress.json) places each room at an [x, y]
+ * position on the plan grid and lists wall cells as [x, y] points. The
+ * routing graph (graph_data.json) connects rooms with [from, to, weight]
+ * edges whose weights are straight-line distances in the same grid units.
+ * Both files are edited together and validated before they are saved.
+ * Multi-floor plans and the connectors between floors are described in
+ * facility.js.
+ */
+
+const { CONNECTOR_TYPES } = require("./facility");
+
+const isPoint = (value) =>
+  Array.isArray(value) &&
+  value.length >= 2 &&
+  Number.isFinite(value[0]) &&
+  Number.isFinite(value[1]);
+
+/**
+ * Get the straight-line distance between two plan positions
+ * @param {Array} from - [x, y]
+ * @param {Array} to - [x, y]
+ * @returns {number} Distance in plan units
+ */
+function getStraightLineDistance(from, to) {
+  return Math.hypot(to[0] - from[0], to[1] - from[1]);
+}
+
+/**
+ * Get the size of the plan in grid units
+ *
+ * An explicit size saved with the floor plan wins; otherwise the plan is
+ * sized to fit every room and wall with a small margin.
+ *
+ * @param {Object} floorPlan - Floor plan with rooms, walls and an optional size
+ * @returns {Array} [width, height]
+ */
+function getPlanSize(floorPlan) {
+  if (floorPlan && isPoint(floorPlan.size)) {
+    return [floorPlan.size[0], floorPlan.size[1]];
+  }
+
+  let width = 0;
+  let height = 0;
+  const points = [
+    ...Object.values((floorPlan && floorPlan.rooms) || {}),
+    ...((floorPlan && floorPlan.walls) || []),
+  ];
+  points.filter(isPoint).forEach(([x, y]) => {
+    width = Math.max(width, x);
+    height = Math.max(height, y);
+  });
+
+  return [Math.ceil(width) + 5, Math.ceil(height) + 5];
+}
+
+/**
+ * Group the rooms of a graph into connected parts
+ * @param {Array} nodes - Rooms in the graph
+ * @param {Array} edges - [from, to] links between rooms
+ * @returns {Array} Lists of rooms, largest first
+ */
+function getComponents(nodes, edges) {
+  const parent = new Map(nodes.map((node) => [node, node]));
+  const find = (node) => {
+    let root = node;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(node, root);
+    return root;
+  };
+
+  edges.forEach(([from, to]) => {
+    if (!parent.has(from) || !parent.has(to)) return;
+    const a = find(from);
+    const b = find(to);
+    if (a !== b) parent.set(a, b);
+  });
+
+  const components = new Map();
+  nodes.forEach((node) => {
+    const root = find(node);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(node);
+  });
+  return Array.from(components.values()).sort((a, b) => b.length - a.length);
+}
+
+// Check the rooms, walls and size of one floor, adding them to the cleaned floor
+function validateFloor(floor, label, roomFloors, errors) {
+  const rooms = {};
+  Object.entries(floor.rooms || {}).forEach(([name, position]) => {
+    const room = String(name).trim();
+    if (!room) {
+      errors.push(`A room on ${label} has no name`);
+    } else if (!isPoint(position)) {
+      errors.push(`Room ${room} has an invalid position`);
+    } else if (roomFloors.has(room)) {
+      errors.push(
+        roomFloors.get(room) === label
+          ? `Room ${room} is on ${label} twice`
+          : `Room ${room} is on both ${roomFloors.get(room)} and ${label}`
+      );
+    } else {
+      roomFloors.set(room, label);
+      rooms[room] = [position[0], position[1]];
+    }
+  });
+
+  const walls = [];
+  const wallKeys = new Set();
+  (floor.walls || []).forEach((wall, index) => {
+    if (!isPoint(wall)) {
+      errors.push(`Wall ${index + 1} on ${label} has an invalid position`);
+      return;
+    }
+    const key = `${wall[0]},${wall[1]}`;
+    if (!wallKeys.has(key)) {
+      wallKeys.add(key);
+      walls.push([wall[0], wall[1]]);
+    }
+  });
+
+  if (floor.size !== undefined && floor.size !== null) {
+    if (!isPoint(floor.size) || floor.size[0] <= 0 || floor.size[1] <= 0) {
+      errors.push(
+        `The plan size of ${label} must be a positive width and height`
+      );
+    }
+  }
+
+  const cleanFloor = { ...floor, rooms, walls };
+  if (floor.size === undefined || floor.size === null) {
+    delete cleanFloor.size;
+  }
+  return cleanFloor;
+}
+
+/**
+ * Validate an edited floor plan and routing graph
+ *
+ * Errors make the map unusable and block saving. Warnings point at rooms
+ * that cannot be routed to or shown, which is allowed while a map is being
+ * built up. Floor plans in either the single-floor or the multi-floor format
+ * are accepted, and cleaned up in the format they came in.
+ *
+ * @param {Object} graphData - Graph with nodes, [from, to, weight] edges and optional connectors
+ * @param {Object} floorPlan - Floor plan with rooms and walls, or with floors
+ * @returns {Object} { valid, errors, warnings, graphData, floorPlan } with cleaned-up copies of both files
+ */
+function validateMapData(graphData, floorPlan) {
+  const errors = [];
+  const warnings = [];
+  const multiFloor = !!floorPlan && Array.isArray(floorPlan.floors);
+
+  if (!graphData || !Array.isArray(graphData.nodes)) {
+    errors.push("The routing graph has no node list");
+  }
+  if (!graphData || !Array.isArray(graphData.edges)) {
+    errors.push("The routing graph has no edge list");
+  }
+  if (
+    graphData &&
+    graphData.connectors !== undefined &&
+    !Array.isArray(graphData.connectors)
+  ) {
+    errors.push("The routing graph's connectors must be a list");
+  }
+  if (
+    !multiFloor &&
+    (!floorPlan ||
+      typeof floorPlan.rooms !== "object" ||
+      Array.isArray(floorPlan.rooms) ||
+      floorPlan.rooms === null)
+  ) {
+    errors.push("The floor plan has no room list");
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings, graphData, floorPlan };
+  }
+
+  // Floors, rooms and walls
+  const roomFloors = new Map();
+  const floorOfRoom = {};
+  let cleanFloorPlan;
+
+  if (multiFloor) {
+    const floorIds = new Set();
+    const floors = floorPlan.floors.map((floor, index) => {
+      const id = String((floor && floor.id) || "").trim();
+      const label = (floor && floor.name) || id || `floor ${index + 1}`;
+      if (!id) {
+        errors.push(`Floor ${index + 1} has no ID`);
+      } else if (floorIds.has(id)) {
+        errors.push(`Floor ID ${id} is used twice`);
+      }
+      floorIds.add(id);
+      if (!floor || !floor.image) {
+        warnings.push(`${label} has no plan image`);
+      }
+
+      const cleanFloor = validateFloor(
+        { ...floor, id },
+        label,
+        roomFloors,
+        errors
+      );
+      Object.keys(cleanFloor.rooms).forEach((room) => {
+        floorOfRoom[room] = id;
+      });
+      return cleanFloor;
+    });
+
+    if (floors.length === 0) {
+      errors.push("The floor plan has no floors");
+    }
+    cleanFloorPlan = { ...floorPlan, floors };
+  } else {
+    const { rooms, walls, size } = validateFloor(
+      floorPlan,
+      "the floor plan",
+      roomFloors,
+      errors
+    );
+    cleanFloorPlan = { ...floorPlan, rooms, walls };
+    if (size === undefined) delete cleanFloorPlan.size;
+  }
+
+  // Nodes
+  const nodes = [];
+  const nodeSet = new Set();
+  graphData.nodes.forEach((name) => {
+    const node = String(name).trim();
+    if (!node) {
+      errors.push("A node in the routing graph has no name");
+    } else if (nodeSet.has(node)) {
+      errors.push(`Node ${node} is in the routing graph twice`);
+    } else {
+      nodeSet.add(node);
+      nodes.push(node);
+    }
+  });
+
+  // Edges
+  const edges = [];
+  const edgeKeys = new Set();
+  let duplicateEdges = 0;
+  graphData.edges.forEach((edge, index) => {
+    const [from, to, weight] = Array.isArray(edge) ? edge : [];
+    const label = `Corridor ${from || "?"} - ${to || "?"}`;
+
+    if (!nodeSet.has(from) || !nodeSet.has(to)) {
+      errors.push(
+        `${label} (edge ${index + 1}) connects a room that is not in the graph`
+      );
+    } else if (from === to) {
+      errors.push(`${label} connects a room to itself`);
+    } else if (!Number.isFinite(weight) || weight <= 0) {
+      errors.push(`${label} has an invalid length`);
+    } else {
+      const key = from < to ? `${from}|${to}` : `${to}|${from}`;
+      if (edgeKeys.has(key)) {
+        duplicateEdges++;
+      } else {
+        edgeKeys.add(key);
+        edges.push([from, to, weight]);
+      }
+    }
+  });
+
+  if (duplicateEdges > 0) {
+    warnings.push(
+      `${duplicateEdges} duplicate corridor(s) were merged into the first one`
+    );
+  }
+
+  // Connectors between floors and buildings
+  const connectors = [];
+  (graphData.connectors || []).forEach((connector, index) => {
+    const { from, to, type, penaltySeconds, distance } = connector || {};
+    const label = `${
+      CONNECTOR_TYPES[type] ? CONNECTOR_TYPES[type].label : "Connector"
+    } ${from || "?"} - ${to || "?"}`;
+
+    if (!nodeSet.has(from) || !nodeSet.has(to)) {
+      errors.push(
+        `${label} (connector ${
+          index + 1
+        }) connects a room that is not in the graph`
+      );
+    } else if (from === to) {
+      errors.push(`${label} connects a room to itself`);
+    } else if (!CONNECTOR_TYPES[type]) {
+      errors.push(`${label} has an unknown type "${type}"`);
+    } else if (
+      penaltySeconds !== undefined &&
+      (!Number.isFinite(penaltySeconds) || penaltySeconds < 0)
+    ) {
+      errors.push(`${label} has an invalid time penalty`);
+    } else if (
+      distance !== undefined &&
+      (!Number.isFinite(distance) || distance < 0)
+    ) {
+      errors.push(`${label} has an invalid length`);
+    } else {
+      if (
+        multiFloor &&
+        floorOfRoom[from] &&
+        floorOfRoom[from] === floorOfRoom[to]
+      ) {
+        warnings.push(`${label} connects two rooms on the same floor`);
+      }
+      connectors.push(connector);
+    }
+  });
+
+  const unrouted = Array.from(roomFloors.keys()).filter(
+    (room) => !nodeSet.has(room)
+  );
+  if (unrouted.length > 0) {
+    warnings.push(
+      `${
+        unrouted.length
+      } room(s) on the floor plan are not in the routing graph: ${unrouted
+        .slice(0, 10)
+        .join(", ")}${unrouted.length > 10 ? ", ..." : ""}`
+    );
+  }
+
+  const unplaced = nodes.filter((node) => !roomFloors.has(node));
+  if (unplaced.length > 0) {
+    warnings.push(
+      `${unplaced.length} room(s) in the routing graph have no position on the floor plan`
+    );
+  }
+
+  const links = [...edges, ...connectors.map(({ from, to }) => [from, to])];
+  const linked = new Set(links.flatMap(([from, to]) => [from, to]));
+  const isolated = nodes.filter((node) => !linked.has(node));
+  if (isolated.length > 0) {
+    warnings.push(
+      `${isolated.length} room(s) have no corridors: ${isolated
+        .slice(0, 10)
+        .join(", ")}${isolated.length > 10 ? ", ..." : ""}`
+    );
+  }
+
+  const components = getComponents(nodes, links)
+    .map((component) => component.length)
+    .filter((size) => size > 1);
+  if (components.length > 1) {
+    warnings.push(
+      `The corridors form ${
+        components.length
+      } separate networks (${components.join(
+        ", "
+      )} rooms); rooms in different networks cannot be routed between`
+    );
+  }
+
+  const cleanGraphData = { ...graphData, nodes, edges };
+  if (graphData.connectors !== undefined) {
+    cleanGraphData.connectors = connectors;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    graphData: cleanGraphData,
+    floorPlan: cleanFloorPlan,
+  };
+}
+
+module.exports = {
+  getStraightLineDistance,
+  getPlanSize,
+  getComponents,
+  validateMapData,
+};
@@ -0,0 +1,558 @@
+/**
+ * Demand forecasting shared by the Electron main process and the renderer
+ *
+ * Fleet sizing looks back at the recorded demand; budgeting needs to look
+ * ahead. For each device type the in-use dwells are turned into the average
+ * number of units in use in every hour observed (its load), and a seasonal
+ * model is fitted to them:
+ *
+ *   load = trend(day) × weekday factor × month factor × hour-of-day factor
+ *
+ * The trend is a straight line through the daily load once the history is
+ * long enough to tell a trend from noise, the weekday and month factors are
+ * only fitted when each weekday or month has been seen often enough, and the
+ * hour-of-day factors always are. Prediction intervals come from the spread
+ * of the recorded load around the fitted model plus the uncertainty of the
+ * trend, which grows the further ahead the forecast reaches.
+ *
+ * Units in use at once in an hour with a given load are taken to follow a
+ * Poisson distribution (requests arriving at random, each holding a unit for
+ * a while). The forecast peak concurrency is the number of units that covers
+ * the busiest hour of the day, at the upper end of its prediction interval
+ * averaged over the forecast days, at the service level.
+ */
+
+const {
+  DEFAULT_SERVICE_LEVEL,
+  getUses,
+  getNoUnitProbability,
+  describeFleetSizing,
+} = require("./fleetSizing");
+const { getZonedParts } = require("./timezone");
+
+// How far ahead purchase recommendations look
+const DEFAULT_FORECAST_HORIZON_DAYS = 90;
+const MIN_FORECAST_HORIZON_DAYS = 7;
+const MAX_FORECAST_HORIZON_DAYS = 365;
+
+// Fewest days of history to forecast from, and to fit a trend and weekday
+// factors (two of each weekday)
+const MIN_HISTORY_DAYS = 7;
+const MIN_TREND_DAYS = 14;
+
+// History needed before month factors are fitted
+const MIN_MONTHLY_DAYS = 365;
+
+// Share of future loads the prediction interval should hold, and the
+// matching number of standard deviations of a normal distribution
+const PREDICTION_INTERVAL = 0.9;
+const INTERVAL_Z = 1.645;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Check a forecast horizon before it is saved
+ * @param {number} days - Days ahead to forecast
+ * @returns {string|null} The problem found, or null if the horizon is valid
+ */
+function validateForecastHorizon(days) {
+  if (
+    !Number.isInteger(days) ||
+    days < MIN_FORECAST_HORIZON_DAYS ||
+    days > MAX_FORECAST_HORIZON_DAYS
+  ) {
+    return `The forecast horizon must be a whole number of days between ${MIN_FORECAST_HORIZON_DAYS} and ${MAX_FORECAST_HORIZON_DAYS}`;
+  }
+  return null;
+}
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Calendar day a number of days after a day, with its weekday and month
+function addDays(day, count) {
+  const date = new Date(Date.UTC(day.year, day.month - 1, day.day + count));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    date: `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+      date.getUTCDate()
+    )}`,
+  };
+}
+
+// Days between two calendar days
+const daysBetween = (from, to) =>
+  Math.round(
+    (Date.UTC(to.year, to.month - 1, to.day) -
+      Date.UTC(from.year, from.month - 1, from.day)) /
+      MS_PER_DAY
+  );
+
+// Walk the hours of the facility clock between two instants
+function forEachZonedHour(start, end, timeZone, callback) {
+  let time = start;
+  while (time < end) {
+    const parts = getZonedParts(time, timeZone);
+    if (!parts) return;
+    const hourEnd =
+      time + ((60 - parts.minute) * 60 - parts.second) * 1000 - (time % 1000);
+    const until = Math.min(end, hourEnd > time ? hourEnd : time + 1000);
+    callback(parts, until - time);
+    time = until;
+  }
+}
+
+// Time in use and time observed in every hour of every day of one type
+function getHourlyHistory(records, timeZone) {
+  let first = Infinity;
+  let last = -Infinity;
+  records.forEach((record) => {
+    const start = new Date(record.timeIn).getTime();
+    const end = new Date(record.timeOut).getTime();
+    if (Number.isFinite(start)) first = Math.min(first, start);
+    if (Number.isFinite(end)) last = Math.max(last, end);
+  });
+  if (!(last > first)) return [];
+
+  const days = {};
+  const getDay = (parts) => {
+    const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+    if (!days[date]) {
+      days[date] = {
+        date,
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        weekday: parts.weekday,
+        useMs: Array(24).fill(0),
+        observedMs: Array(24).fill(0),
+      };
+    }
+    return days[date];
+  };
+
+  forEachZonedHour(first, last, timeZone, (parts, ms) => {
+    getDay(parts).observedMs[parts.hour] += ms;
+  });
+  getUses(records).forEach(({ start, end }) => {
+    forEachZonedHour(
+      Math.max(start, first),
+      Math.min(end, last),
+      timeZone,
+      (parts, ms) => {
+        getDay(parts).useMs[parts.hour] += ms;
+      }
+    );
+  });
+
+  return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Scale factors so that those in use average one
+function normalize(factors, used) {
+  const values = factors.filter((_, index) => used[index]);
+  const mean = values.length > 0 ? sum(values) / values.length : 1;
+  return factors.map((factor, index) =>
+    used[index] && mean > 0 ? factor / mean : 1
+  );
+}
+
+// Weighted mean of a value over the days of each group (weekday or month)
+function groupFactors(days, size, getGroup, getValue) {
+  const totals = Array(size).fill(0);
+  const weights = Array(size).fill(0);
+  days.forEach((day) => {
+    const value = getValue(day);
+    if (!Number.isFinite(value)) return;
+    totals[getGroup(day)] += value * day.weight;
+    weights[getGroup(day)] += day.weight;
+  });
+  return normalize(
+    totals.map((total, group) =>
+      weights[group] > 0 ? total / weights[group] : 1
+    ),
+    weights.map((weight) => weight > 0)
+  );
+}
+
+// Fit the seasonal model to the hourly history of one type
+function fitModel(history) {
+  const totalUse = sum(history.map((day) => sum(day.useMs)));
+  const totalObserved = sum(history.map((day) => sum(day.observedMs)));
+  const meanLoad = totalObserved > 0 ? totalUse / totalObserved : 0;
+
+  // Hour-of-day factors: the load of each hour against the overall load
+  const hourUse = Array(24).fill(0);
+  const hourObserved = Array(24).fill(0);
+  history.forEach((day) => {
+    for (let hour = 0; hour < 24; hour++) {
+      hourUse[hour] += day.useMs[hour];
+      hourObserved[hour] += day.observedMs[hour];
+    }
+  });
+  const hourFactors = normalize(
+    hourUse.map((use, hour) =>
+      hourObserved[hour] > 0 && meanLoad > 0
+        ? use / hourObserved[hour] / meanLoad
+        : 1
+    ),
+    hourObserved.map((observed) => observed > 0)
+  );
+
+  // The level of each day, allowing for the hours of it that were observed
+  const firstDay = history[0];
+  const days = history
+    .map((day) => {
+      const expected = sum(
+        day.observedMs.map((observed, hour) => observed * hourFactors[hour])
+      );
+      return {
+        ...day,
+        x: daysBetween(firstDay, day),
+        weight: sum(day.observedMs) / MS_PER_DAY,
+        level: expected > 0 ? sum(day.useMs) / expected : 0,
+      };
+    })
+    .filter((day) => day.weight > 0);
+
+  const span = days.length > 0 ? days[days.length - 1].x + 1 : 0;
+  const weekdayCounts = Array(7).fill(0);
+  days.forEach((day) => weekdayCounts[day.weekday]++);
+  const useTrend = span >= MIN_TREND_DAYS;
+  const useWeekday = useTrend && weekdayCounts.every((count) => count >= 2);
+  const useMonth = span >= MIN_MONTHLY_DAYS;
+
+  // Back-fit the trend, weekday and month factors in turn
+  let weekdayFactors = Array(7).fill(1);
+  let monthFactors = Array(12).fill(1);
+  let intercept = meanLoad;
+  let slope = 0;
+  const seasonal = (day) =>
+    weekdayFactors[day.weekday] * monthFactors[day.month - 1];
+  const trendAt = (x) => Math.max(intercept + slope * x, 0);
+  const ratio = (level, expected) => (expected > 0 ? level / expected : NaN);
+
+  for (let iteration = 0; iteration < 5; iteration++) {
+    const weight = sum(days.map((day) => day.weight));
+    const y = (day) => day.level / seasonal(day);
+    const meanX = sum(days.map((day) => day.x * day.weight)) / weight;
+    const meanY = sum(days.map((day) => y(day) * day.weight)) / weight;
+    if (useTrend) {
+      const sxx = sum(days.map((day) => day.weight * (day.x - meanX) ** 2));
+      const sxy = sum(
+        days.map((day) => day.weight * (day.x - meanX) * (y(day) - meanY))
+      );
+      slope = sxx > 0 ? sxy / sxx : 0;
+    }
+    intercept = meanY - slope * meanX;
+
+    if (useWeekday) {
+      weekdayFactors = groupFactors(
+        days,
+        7,
+        (day) => day.weekday,
+        (day) => ratio(day.level, trendAt(day.x) * monthFactors[day.month - 1])
+      );
+    }
+    if (useMonth) {
+      monthFactors = groupFactors(
+        days,
+        12,
+        (day) => day.month - 1,
+        (day) => ratio(day.level, trendAt(day.x) * weekdayFactors[day.weekday])
+      );
+    }
+  }
+
+  // Spread of the daily levels and of the hourly loads around the model
+  const parameters =
+    1 + (useTrend ? 1 : 0) + (useWeekday ? 6 : 0) + (useMonth ? 11 : 0);
+  const dailySquares = sum(
+    days.map(
+      (day) => day.weight * (day.level - trendAt(day.x) * seasonal(day)) ** 2
+    )
+  );
+  const totalWeight = sum(days.map((day) => day.weight));
+  const freedom = Math.max(days.length - parameters, 1);
+  const dailySd = Math.sqrt(
+    ((dailySquares / totalWeight) * days.length) / freedom
+  );
+
+  let hourlySquares = 0;
+  let hourlyCount = 0;
+  days.forEach((day) => {
+    for (let hour = 0; hour < 24; hour++) {
+      if (day.observedMs[hour] < MS_PER_HOUR / 2) continue;
+      const load = day.useMs[hour] / day.observedMs[hour];
+      const fitted = trendAt(day.x) * seasonal(day) * hourFactors[hour];
+      hourlySquares += (load - fitted) ** 2;
+      hourlyCount++;
+    }
+  });
+  const hourlySd = hourlyCount > 0 ? Math.sqrt(hourlySquares / hourlyCount) : 0;
+
+  // Uncertainty of the trend line at a day
+  const meanX = sum(days.map((day) => day.x)) / days.length;
+  const sxx = sum(days.map((day) => (day.x - meanX) ** 2));
+  const trendSe = (x) =>
+    useTrend && sxx > 0
+      ? dailySd * Math.sqrt(1 / days.length + (x - meanX) ** 2 / sxx)
+      : dailySd / Math.sqrt(days.length);
+
+  return {
+    firstDay,
+    days,
+    lastX: span - 1,
+    hourFactors,
+    weekdayFactors: useWeekday ? weekdayFactors : null,
+    monthFactors: useMonth ? monthFactors : null,
+    intercept,
+    slope: useTrend ? slope : 0,
+    trendAt,
+    trendSe,
+    seasonal,
+    dailySd,
+    hourlySd,
+  };
+}
+
+/**
+ * The smallest number of units that covers a Poisson number in use
+ * @param {number} mean - Average number of units in use
+ * @param {number} share - Share of the time the units should cover
+ * @returns {number} Units in use at that percentile
+ */
+function poissonQuantile(mean, share) {
+  if (!(mean > 0)) return 0;
+  let probability = Math.exp(-mean);
+  let cumulative = probability;
+  let k = 0;
+  while (cumulative < share && k < 1000) {
+    k++;
+    probability *= mean / k;
+    cumulative += probability;
+  }
+  return k;
+}
+
+/**
+ * Forecast the in-use demand of every device type
+ * @param {Array} records - Dwells (or movements) to fit the models on
+ * @param {Function} getDeviceType - Returns the type of a device ID
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Facility timezone
+ * @param {number} [options.horizonDays] - Days ahead to forecast
+ * @param {number} [options.serviceLevel] - Share of the time the forecast
+ *   peak concurrency should cover
+ * @returns {Array} { deviceType, historyDays, seasonality, trendPerMonth,
+ *   history, forecast, busyHour, busyHourLoad, busyHourLower,
+ *   busyHourUpper, peakConcurrency, horizonDays } for the types with enough
+ *   history, sorted by device type. history lists { date, load, peakLoad }
+ *   and forecast { date, load, lower, upper, peakLoad, peakUpper }, where
+ *   load is the average number of units in use over the day and peakLoad
+ *   the load of its busiest hour.
+ */
+function forecastDemand(records, getDeviceType, options) {
+  const {
+    timeZone,
+    horizonDays = DEFAULT_FORECAST_HORIZON_DAYS,
+    serviceLevel = DEFAULT_SERVICE_LEVEL,
+  } = options;
+
+  const recordsByType = {};
+  (records || []).forEach((record) => {
+    if (!record.deviceId) return;
+    const deviceType = getDeviceType(record.deviceId);
+    if (!recordsByType[deviceType]) recordsByType[deviceType] = [];
+    recordsByType[deviceType].push(record);
+  });
+
+  const results = [];
+  Object.keys(recordsByType)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((deviceType) => {
+      const hourly = getHourlyHistory(recordsByType[deviceType], timeZone);
+      if (hourly.length < MIN_HISTORY_DAYS) return;
+      const model = fitModel(hourly);
+      if (model.days.length < MIN_HISTORY_DAYS) return;
+
+      const history = model.days.map((day) => {
+        const loads = day.useMs
+          .map((use, hour) =>
+            day.observedMs[hour] > 0 ? use / day.observedMs[hour] : null
+          )
+          .filter((load) => load !== null);
+        return {
+          date: day.date,
+          load: sum(day.useMs) / sum(day.observedMs),
+          peakLoad: Math.max(...loads),
+        };
+      });
+
+      // Forecast every hour of the days after the history
+      const forecast = [];
+      const busyLoads = Array(24).fill(0);
+      const busyLower = Array(24).fill(0);
+      const busyUpper = Array(24).fill(0);
+      for (let ahead = 1; ahead <= horizonDays; ahead++) {
+        const day = addDays(model.firstDay, model.lastX + ahead);
+        const x = model.lastX + ahead;
+        const level = model.trendAt(x) * model.seasonal(day);
+        const levelSe = model.trendSe(x) * model.seasonal(day);
+        const dailySpread =
+          INTERVAL_Z * Math.sqrt(model.dailySd ** 2 + levelSe ** 2);
+
+        let peakLoad = 0;
+        let peakUpper = 0;
+        model.hourFactors.forEach((factor, hour) => {
+          const load = level * factor;
+          const spread =
+            INTERVAL_Z *
+            Math.sqrt(model.hourlySd ** 2 + (factor * levelSe) ** 2);
+          busyLoads[hour] += load / horizonDays;
+          busyLower[hour] += Math.max(load - spread, 0) / horizonDays;
+          busyUpper[hour] += (load + spread) / horizonDays;
+          if (load > peakLoad) {
+            peakLoad = load;
+            peakUpper = load + spread;
+          }
+        });
+
+        forecast.push({
+          date: day.date,
+          load: level,
+          lower: Math.max(level - dailySpread, 0),
+          upper: level + dailySpread,
+          peakLoad,
+          peakUpper,
+        });
+      }
+
+      const busyHour = busyLoads.reduce(
+        (best, load, hour) => (load > busyLoads[best] ? hour : best),
+        0
+      );
+      const lastLevel = model.trendAt(model.lastX);
+
+      results.push({
+        deviceType,
+        historyDays: model.days.length,
+        seasonality: {
+          hourOfDay: model.hourFactors,
+          weekday: model.weekdayFactors,
+          month: model.monthFactors,
+        },
+        trendPerMonth:
+          lastLevel > 0 ? (model.slope * DAYS_PER_MONTH) / lastLevel : 0,
+        history,
+        forecast,
+        busyHour,
+        busyHourLoad: busyLoads[busyHour],
+        busyHourLower: busyLower[busyHour],
+        busyHourUpper: busyUpper[busyHour],
+        peakConcurrency: poissonQuantile(busyUpper[busyHour], serviceLevel),
+        horizonDays,
+      });
+    });
+
+  return results;
+}
+
+// Length of a forecast horizon in words
+const formatHorizon = (days) =>
+  days % 7 === 0 && days <= 91
+    ? `${days / 7} week${days === 7 ? "" : "s"}`
+    : `${Math.round(days / DAYS_PER_MONTH)} months`;
+
+/**
+ * Describe the forecast demand of a device type for a purchase recommendation
+ * @param {Object} forecast - One result of forecastDemand
+ * @param {number} fleetSize - Units the recorded demand calls for, or owned
+ * @returns {string} A sentence on the forecast peak
+ */
+function describeForecast(forecast, fleetSize) {
+  const trend =
+    Math.abs(forecast.trendPerMonth) >= 0.02
+      ? `, ${
+          forecast.trendPerMonth > 0 ? "rising" : "falling"
+        } by about ${Math.round(
+          Math.abs(forecast.trendPerMonth) * 100
+        )}% a month`
+      : "";
+  const demand = `Over the next ${formatHorizon(
+    forecast.horizonDays
+  )}, demand is forecast at ${forecast.busyHourLoad.toFixed(
+    1
+  )} units in use on average in the busiest hour (${forecast.busyHourLower.toFixed(
+    1
+  )}–${forecast.busyHourUpper.toFixed(1)} at the ${Math.round(
+    PREDICTION_INTERVAL * 100
+  )}% prediction interval)${trend}, with up to ${
+    forecast.peakConcurrency
+  } in use at once`;
+
+  return forecast.peakConcurrency > fleetSize
+    ? `${demand}, so the fleet should grow to ${forecast.peakConcurrency} units ahead of it.`
+    : `${demand}, which ${fleetSize} units cover.`;
+}
+
+/**
+ * Decide on a purchase for a device type from its recorded and forecast
+ * demand
+ * @param {Object} sizing - One result of sizeFleets
+ * @param {Object|null} forecast - Its result of forecastDemand, if any
+ * @param {number} serviceLevel - Share of requests that should find a unit free
+ * @returns {Object|null} { recommendedFleetSize, additionalUnits, before,
+ *   after, description } where before and after are the chance a request
+ *   finds no unit free in the recorded demand, or null if the fleet is big
+ *   enough for both
+ */
+function planPurchase(sizing, forecast, serviceLevel) {
+  const { deviceType, fleetSize, requiredFleetSize, concurrency } = sizing;
+  const recommendedFleetSize = Math.max(
+    requiredFleetSize,
+    forecast ? forecast.peakConcurrency : 0
+  );
+  if (recommendedFleetSize <= fleetSize) return null;
+
+  const before = Math.max(
+    sizing.noUnitProbability.erlangC,
+    sizing.noUnitProbability.replay
+  );
+  const recommended = getNoUnitProbability(concurrency, recommendedFleetSize);
+  const recorded =
+    requiredFleetSize > fleetSize
+      ? describeFleetSizing(sizing, serviceLevel)
+      : `The ${fleetSize} ${deviceType} units in the fleet meet the ${
+          Math.round(serviceLevel * 1000) / 10
+        }% service level for the recorded demand.`;
+
+  return {
+    recommendedFleetSize,
+    additionalUnits: recommendedFleetSize - fleetSize,
+    before,
+    after: Math.max(recommended.erlangC, recommended.replay),
+    description: forecast
+      ? `${recorded} ${describeForecast(
+          forecast,
+          Math.max(fleetSize, requiredFleetSize)
+        )}`
+      : recorded,
+  };
+}
+
+module.exports = {
+  DEFAULT_FORECAST_HORIZON_DAYS,
+  PREDICTION_INTERVAL,
+  validateForecastHorizon,
+  poissonQuantile,
+  forecastDemand,
+  describeForecast,
+  planPurchase,
+};
@@ -0,0 +1,454 @@
+/**
+ * Integrity checks between the floor plan and the routing graph, shared by
+ * the Electron main process and the renderer
+ *
+ * The floor plan and the routing graph are maintained separately, so they
+ * drift apart: rooms get drawn without being routed to, graph nodes have no
+ * position, parts of the graph end up unreachable and corridor lengths stop
+ * matching the plan. Each problem found is reported as an issue, and issues
+ * that can be repaired automatically carry the fix to apply.
+ */
+
+const { indexFacility, getSameFloorDistance } = require("./facility");
+const { getComponents } = require("./floorPlan");
+
+// Corridors shorter than this share of the straight line between their rooms,
+// or longer than this multiple of it, are reported
+const DEFAULT_WEIGHT_TOLERANCE = { minRatio: 0.9, maxRatio: 3 };
+
+// Rooms added to the graph are connected to this many nearby rooms
+const NEIGHBOURS_FOR_NEW_ROOMS = 2;
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const ISSUE_TYPES = {
+  danglingEdge: {
+    label: "Missing node",
+    description: "Corridors lead to a room that is not in the node list",
+  },
+  selfLoop: {
+    label: "Corridor to itself",
+    description: "A corridor starts and ends at the same room",
+  },
+  invalidWeight: {
+    label: "Invalid length",
+    description: "A corridor has a zero, negative or missing length",
+  },
+  disconnected: {
+    label: "Unreachable rooms",
+    description: "Rooms with no corridors to the rest of the graph",
+  },
+  asymmetricWeight: {
+    label: "Asymmetric length",
+    description: "A corridor has a different length in each direction",
+  },
+  duplicateEdge: {
+    label: "Duplicate corridor",
+    description: "A corridor is listed more than once",
+  },
+  weightMismatch: {
+    label: "Length off the plan",
+    description:
+      "A corridor is shorter than the straight line between its rooms or far longer",
+  },
+  roomNotInGraph: {
+    label: "Room not in graph",
+    description: "A room is on the floor plan but cannot be routed to",
+  },
+  trackedNotInGraph: {
+    label: "Tracked location not in graph",
+    description:
+      "A location in imported data is neither on the floor plan nor in the graph",
+  },
+  nodeWithoutPosition: {
+    label: "No plan position",
+    description: "A room is in the graph but not placed on the floor plan",
+  },
+};
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+// Find the rooms on the same floor closest to a room
+function findNearestRooms(room, candidates, floorPlan, count) {
+  return candidates
+    .map((other) => ({
+      room: other,
+      distance:
+        other === room ? null : getSameFloorDistance(floorPlan, room, other),
+    }))
+    .filter(({ distance }) => distance !== null && distance > 0)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+}
+
+/**
+ * Check the routing graph against itself and the floor plan
+ * @param {Object} graphData - Graph with nodes, [from, to, weight] edges and optional connectors
+ * @param {Object} floorPlan - Floor plan in either format
+ * @param {Object} [options] - Options
+ * @param {Array} [options.trackedLocations] - Room names seen in imported RTLS data
+ * @param {number} [options.minRatio] - Lowest accepted corridor length / plan distance
+ * @param {number} [options.maxRatio] - Highest accepted corridor length / plan distance
+ * @returns {Object} { issues, summary } where summary counts issues by severity and type
+ */
+function checkGraphIntegrity(graphData, floorPlan, options = {}) {
+  const { minRatio, maxRatio } = { ...DEFAULT_WEIGHT_TOLERANCE, ...options };
+  const { floorOfRoom } = indexFacility(floorPlan);
+  const nodes = (graphData && graphData.nodes) || [];
+  const edges = (graphData && graphData.edges) || [];
+  const connectors = (graphData && graphData.connectors) || [];
+  const nodeSet = new Set(nodes);
+  const positioned = nodes.filter((node) => floorOfRoom[node]);
+  const issues = [];
+
+  const addIssue = (type, severity, key, message, rooms, fix = null) => {
+    issues.push({
+      id: `${type}:${key}`,
+      type,
+      severity,
+      message,
+      rooms,
+      fix,
+    });
+  };
+
+  // Plan distance of a corridor, if both rooms are on the same floor
+  const planDistance = (from, to) => getSameFloorDistance(floorPlan, from, to);
+
+  // Edges that reference unknown rooms, point back at their own room or have
+  // unusable lengths
+  const edgesByPair = new Map();
+  const missingNodes = new Map();
+  edges.forEach((edge) => {
+    const [from, to, weight] = edge;
+
+    [from, to].forEach((room) => {
+      if (room !== undefined && room !== null && !nodeSet.has(room)) {
+        missingNodes.set(room, (missingNodes.get(room) || 0) + 1);
+      }
+    });
+
+    if (from === to) {
+      addIssue(
+        "selfLoop",
+        "error",
+        from,
+        `A corridor connects ${from} to itself`,
+        [from],
+        { action: "removeEdge", from, to, label: "Remove the corridor" }
+      );
+      return;
+    }
+
+    if (!Number.isFinite(weight) || weight <= 0) {
+      const distance = planDistance(from, to);
+      addIssue(
+        "invalidWeight",
+        "error",
+        pairKey(from, to),
+        `The corridor between ${from} and ${to} has length ${weight}`,
+        [from, to],
+        distance
+          ? {
+              action: "setWeight",
+              from,
+              to,
+              weight: distance,
+              label: `Set the length to the plan distance (${distance.toFixed(
+                1
+              )})`,
+            }
+          : { action: "removeEdge", from, to, label: "Remove the corridor" }
+      );
+      return;
+    }
+
+    const key = pairKey(from, to);
+    if (!edgesByPair.has(key)) edgesByPair.set(key, []);
+    edgesByPair.get(key).push(edge);
+  });
+
+  missingNodes.forEach((count, room) => {
+    addIssue(
+      "danglingEdge",
+      "error",
+      room,
+      `${count} corridor(s) lead to ${room}, which is not in the graph's node list`,
+      [room],
+      {
+        action: "addNode",
+        node: room,
+        edges: [],
+        label: `Add ${room} as a node`,
+      }
+    );
+  });
+
+  // Pairs listed more than once, in the same or opposite directions
+  edgesByPair.forEach((pairEdges) => {
+    const [from, to] = pairEdges[0];
+    const key = pairKey(from, to);
+    const distance = planDistance(from, to);
+
+    if (pairEdges.length > 1) {
+      const weights = pairEdges.map(([, , weight]) => weight);
+      const differs = weights.some((weight) => weight !== weights[0]);
+      const reversed = pairEdges.some(([a]) => a !== from);
+      const weight = distance || Math.min(...weights);
+
+      if (differs) {
+        addIssue(
+          reversed ? "asymmetricWeight" : "duplicateEdge",
+          "warning",
+          key,
+          `The corridor between ${from} and ${to} is listed ${
+            pairEdges.length
+          } times with lengths ${weights.map((w) => w.toFixed(1)).join(", ")}`,
+          [from, to],
+          {
+            action: "setWeight",
+            from,
+            to,
+            weight,
+            label: `Keep one corridor of length ${weight.toFixed(1)}`,
+          }
+        );
+      } else {
+        addIssue(
+          "duplicateEdge",
+          "info",
+          key,
+          `The corridor between ${from} and ${to} is listed ${pairEdges.length} times`,
+          [from, to],
+          {
+            action: "setWeight",
+            from,
+            to,
+            weight: weights[0],
+            label: "Keep one corridor",
+          }
+        );
+      }
+      return;
+    }
+
+    // Lengths far from the floor plan
+    const weight = pairEdges[0][2];
+    if (distance) {
+      const ratio = weight / distance;
+      if (ratio < minRatio || ratio > maxRatio) {
+        addIssue(
+          "weightMismatch",
+          "warning",
+          key,
+          `The corridor between ${from} and ${to} has length ${weight.toFixed(
+            1
+          )} but the rooms are ${distance.toFixed(1)} apart on the plan (${
+            ratio < 1
+              ? "shorter than a straight line"
+              : `${ratio.toFixed(1)} times as long`
+          })`,
+          [from, to],
+          {
+            action: "setWeight",
+            from,
+            to,
+            weight: distance,
+            label: `Set the length to ${distance.toFixed(1)}`,
+          }
+        );
+      }
+    }
+  });
+
+  // Rooms that cannot reach the rest of the graph
+  const links = [
+    ...Array.from(edgesByPair.values()).map((pairEdges) => pairEdges[0]),
+    ...connectors.map(({ from, to }) => [from, to]),
+  ];
+  const components = getComponents([...nodes, ...missingNodes.keys()], links);
+  if (components.length > 1) {
+    const main = components[0];
+    components.slice(1).forEach((component) => {
+      // Join the component to the main network at its closest pair of rooms
+      let best = null;
+      component.forEach((room) => {
+        const [nearest] = findNearestRooms(room, main, floorPlan, 1);
+        if (nearest && (!best || nearest.distance < best.distance)) {
+          best = { from: room, to: nearest.room, distance: nearest.distance };
+        }
+      });
+
+      const description =
+        component.length === 1
+          ? `${component[0]} has no corridors to the rest of the graph`
+          : `${component.length} rooms (${component.slice(0, 5).join(", ")}${
+              component.length > 5 ? ", ..." : ""
+            }) are cut off from the rest of the graph`;
+      const message = best
+        ? description
+        : `${description}; place them on the floor plan so they can be connected, or add corridors in the Floor Plan Editor`;
+
+      addIssue(
+        "disconnected",
+        "error",
+        [...component].sort()[0],
+        message,
+        component,
+        best
+          ? {
+              action: "addEdges",
+              edges: [[best.from, best.to, best.distance]],
+              label: `Add a corridor from ${best.from} to ${best.to}`,
+            }
+          : null
+      );
+    });
+  }
+
+  // Rooms drawn on the floor plan that the graph does not know
+  Object.keys(floorOfRoom)
+    .filter((room) => !nodeSet.has(room) && !missingNodes.has(room))
+    .forEach((room) => {
+      const nearest = findNearestRooms(
+        room,
+        positioned,
+        floorPlan,
+        NEIGHBOURS_FOR_NEW_ROOMS
+      );
+      addIssue(
+        "roomNotInGraph",
+        "warning",
+        room,
+        `${room} is on the floor plan but not in the routing graph, so distances to it are unknown`,
+        [room],
+        {
+          action: "addNode",
+          node: room,
+          edges: nearest.map(({ room: other, distance }) => [
+            room,
+            other,
+            distance,
+          ]),
+          label:
+            nearest.length > 0
+              ? `Add ${room} with corridors to ${nearest
+                  .map(({ room: other }) => other)
+                  .join(" and ")}`
+              : `Add ${room} as a node`,
+        }
+      );
+    });
+
+  // Locations seen in RTLS data that are neither routed nor drawn
+  (options.trackedLocations || [])
+    .filter((room) => room && !nodeSet.has(room) && !floorOfRoom[room])
+    .forEach((room) => {
+      addIssue(
+        "trackedNotInGraph",
+        "warning",
+        room,
+        `${room} appears in imported data but is not on the floor plan or in the graph; map it to a room in Location Aliases or add it in the Floor Plan Editor`,
+        [room]
+      );
+    });
+
+  // Graph nodes without a position can be routed to but not drawn
+  nodes
+    .filter((node) => !floorOfRoom[node])
+    .forEach((node) => {
+      addIssue(
+        "nodeWithoutPosition",
+        "info",
+        node,
+        `${node} is in the routing graph but has no position on the floor plan; place it in the Floor Plan Editor`,
+        [node]
+      );
+    });
+
+  issues.sort(
+    (a, b) =>
+      SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+      a.type.localeCompare(b.type) ||
+      a.id.localeCompare(b.id)
+  );
+
+  const summary = {
+    nodes: nodes.length,
+    edges: edges.length,
+    rooms: Object.keys(floorOfRoom).length,
+    components: components.length,
+    bySeverity: { error: 0, warning: 0, info: 0 },
+    byType: {},
+    fixable: 0,
+  };
+  issues.forEach((issue) => {
+    summary.bySeverity[issue.severity]++;
+    summary.byType[issue.type] = (summary.byType[issue.type] || 0) + 1;
+    if (issue.fix) summary.fixable++;
+  });
+
+  return { issues, summary };
+}
+
+/**
+ * Apply the fixes of a set of issues to the routing graph
+ *
+ * The floor plan is never changed; rooms and corridors are only added to,
+ * removed from or re-weighted in the graph.
+ *
+ * @param {Object} graphData - Graph with nodes, [from, to, weight] edges and optional connectors
+ * @param {Array} issues - Issues from checkGraphIntegrity
+ * @returns {Object} { graphData, applied } with the repaired graph and the number of fixes applied
+ */
+function applyIntegrityFixes(graphData, issues) {
+  const nodes = [...((graphData && graphData.nodes) || [])];
+  let edges = [...((graphData && graphData.edges) || [])];
+  const nodeSet = new Set(nodes);
+  let applied = 0;
+
+  const replacePair = (from, to, weight) => {
+    const key = pairKey(from, to);
+    edges = edges.filter(([a, b]) => pairKey(a, b) !== key);
+    if (weight !== null) edges.push([from, to, weight]);
+  };
+
+  issues.forEach(({ fix }) => {
+    if (!fix) return;
+
+    switch (fix.action) {
+      case "removeEdge":
+        replacePair(fix.from, fix.to, null);
+        break;
+      case "setWeight":
+        replacePair(fix.from, fix.to, fix.weight);
+        break;
+      case "addEdges":
+        fix.edges.forEach(([from, to, weight]) =>
+          replacePair(from, to, weight)
+        );
+        break;
+      case "addNode":
+        if (!nodeSet.has(fix.node)) {
+          nodeSet.add(fix.node);
+          nodes.push(fix.node);
+        }
+        fix.edges.forEach(([from, to, weight]) =>
+          replacePair(from, to, weight)
+        );
+        break;
+      default:
+        return;
+    }
+    applied++;
+  });
+
+  return { graphData: { ...graphData, nodes, edges }, applied };
+}
+
+module.exports = {
+  DEFAULT_WEIGHT_TOLERANCE,
+  ISSUE_TYPES,
+  checkGraphIntegrity,
+  applyIntegrityFixes,
+};
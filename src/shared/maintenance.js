@@ -0,0 +1,105 @@
+/**
+ * Maintenance helpers shared by the Electron main process and the renderer
+ *
+ * Devices are due for service after a number of in-use hours that depends on
+ * their type. Hours are counted from the device's last recorded maintenance
+ * event, or from the start of its RTLS data if it has never been serviced.
+ */
+
+const { isInUseStatus } = require("./dwells");
+
+// In-use hours between services, by device type
+const MAINTENANCE_THRESHOLDS = {
+  Ventilator: 500,
+  Ultrasound: 300,
+  Defibrillator: 200,
+  "IV-Pump": 1000,
+  Monitor: 800,
+  default: 500,
+};
+
+// Work order types offered when recording maintenance
+const MAINTENANCE_TYPES = [
+  "Preventive",
+  "Corrective",
+  "Calibration",
+  "Inspection",
+  "Other",
+];
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Get the in-use hours between services for a device type
+ * @param {string} deviceType - The device type
+ * @returns {number} The threshold in hours
+ */
+function getMaintenanceThreshold(deviceType) {
+  return MAINTENANCE_THRESHOLDS[deviceType] || MAINTENANCE_THRESHOLDS.default;
+}
+
+/**
+ * Get the in-use hours of a dwell that fall after a point in time
+ * @param {Object} dwell - A dwell with status, timeIn and timeOut
+ * @param {string|Date|null} since - Only count hours after this instant
+ * @returns {number} In-use hours after `since` (all of them if it is empty)
+ */
+function getInUseHoursSince(dwell, since) {
+  if (!isInUseStatus(dwell.status)) return 0;
+
+  const timeIn = new Date(dwell.timeIn || dwell.In).getTime();
+  const timeOut = new Date(dwell.timeOut || dwell.Out).getTime();
+  const start = since ? Math.max(timeIn, new Date(since).getTime()) : timeIn;
+
+  const hours = (timeOut - start) / MS_PER_HOUR;
+  return hours > 0 ? hours : 0;
+}
+
+/**
+ * Find the latest maintenance event of each device
+ * @param {Array} events - Maintenance events with deviceId and date
+ * @returns {Object} deviceId -> latest event
+ */
+function getLatestMaintenance(events) {
+  const latest = {};
+
+  events.forEach((event) => {
+    if (!event.deviceId || !event.date) return;
+
+    const current = latest[event.deviceId];
+    if (!current || new Date(event.date) > new Date(current.date)) {
+      latest[event.deviceId] = event;
+    }
+  });
+
+  return latest;
+}
+
+/**
+ * Sum each device's in-use hours since its last service
+ * @param {Array} dwells - The dwells to count
+ * @param {Function} getLastMaintenance - Returns the last service date of a device ID, or null
+ * @returns {Object} deviceId -> in-use hours since the last service
+ */
+function summarizeHoursSinceService(dwells, getLastMaintenance) {
+  const hoursByDevice = {};
+
+  dwells.forEach((dwell) => {
+    if (!dwell.deviceId) return;
+
+    hoursByDevice[dwell.deviceId] =
+      (hoursByDevice[dwell.deviceId] || 0) +
+      getInUseHoursSince(dwell, getLastMaintenance(dwell.deviceId));
+  });
+
+  return hoursByDevice;
+}
+
+module.exports = {
+  MAINTENANCE_THRESHOLDS,
+  MAINTENANCE_TYPES,
+  getMaintenanceThreshold,
+  getInUseHoursSince,
+  getLatestMaintenance,
+  summarizeHoursSinceService,
+};
@@ -0,0 +1,538 @@
+/**
+ * Fleet par location planning shared by the Electron main process and the renderer
+ *
+ * Devices of one type are planned together rather than one at a time. Demand
+ * is where the type is used (arrivals with an in-use status), and the plan
+ * picks k par locations that minimise the demand-weighted walking distance
+ * from each room of use to its nearest par location: the p-median problem on
+ * the room graph. It is solved with a greedy start followed by swapping
+ * locations in and out while the total distance keeps falling. Each unit is
+ * then assigned to a par location, in proportion to the demand the location
+ * serves and preferring the shortest move from where the unit is kept now.
+ *
+ * k is either set per device type in the settings or found automatically: a
+ * further par location is added only while it cuts the walking distance by
+ * at least DEFAULT_MIN_PAR_GAIN.
+ *
+ * Storage constraints (see storageLocations.js) limit the par locations to the
+ * rooms that accept the type and the units in each room to its capacity. The
+ * plan notes every way the constraints changed it.
+ */
+
+const { isInUseStatus } = require("./dwells");
+
+// Smallest share of walking distance a further par location must save
+const DEFAULT_MIN_PAR_GAIN = 0.1;
+
+// Most par locations considered for one device type
+const MAX_PAR_LOCATIONS = 8;
+
+// Most improvement passes when swapping par locations
+const MAX_SWAP_PASSES = 20;
+
+/**
+ * Check par location counts before they are saved
+ * @param {Object} counts - Device type -> number of par locations
+ * @returns {string|null} The first problem found, or null if the counts are valid
+ */
+function validateParLocationCounts(counts) {
+  if (!counts || typeof counts !== "object" || Array.isArray(counts)) {
+    return "Par location counts must be set per device type";
+  }
+
+  for (const [deviceType, count] of Object.entries(counts)) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PAR_LOCATIONS) {
+      return `${deviceType} needs between 1 and ${MAX_PAR_LOCATIONS} par locations`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count where a device type is used
+ * @param {Array} movements - Movements of one device type
+ * @param {boolean} inUseOnly - Count only arrivals with an in-use status
+ * @returns {Map} Room -> arrivals, sorted by room so that ties are broken the
+ *   same way whatever order the movements were read in
+ */
+function countDemand(movements, inUseOnly) {
+  const demand = {};
+  (movements || []).forEach((movement) => {
+    if (!movement.toLocation) return;
+    if (inUseOnly && !isInUseStatus(movement.status)) return;
+    demand[movement.toLocation] = (demand[movement.toLocation] || 0) + 1;
+  });
+
+  return new Map(Object.entries(demand).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Group movements into fleets of one device type
+ *
+ * A unit is kept in the current location of its device record, which an
+ * implemented placement recommendation updates, or where it most often
+ * starts its moves from if the record has none. Demand counts the arrivals
+ * of the type with an in-use status, or every arrival for types whose
+ * statuses never say "in use".
+ *
+ * @param {Array} movements - Movements to plan from
+ * @param {Function} getDeviceType - Returns the type of a device ID
+ * @param {Array} [devices] - Device records, with currentLocation
+ * @returns {Object} Device type -> { units, demand, inUseOnly, movements }
+ *   where units lists { deviceId, currentLocation, moves }, demand is
+ *   room -> arrivals and inUseOnly says whether demand counts in-use arrivals
+ */
+function buildFleets(movements, getDeviceType, devices) {
+  const fleets = {};
+  const recordedLocations = new Map(
+    (devices || [])
+      .filter(
+        (device) =>
+          device.currentLocation && device.currentLocation !== "Unknown"
+      )
+      .map((device) => [device.deviceId, device.currentLocation])
+  );
+
+  (movements || []).forEach((movement) => {
+    if (!movement.deviceId) return;
+
+    const deviceType = getDeviceType(movement.deviceId);
+    if (!fleets[deviceType]) {
+      fleets[deviceType] = { units: {}, inUseOnly: false, movements: [] };
+    }
+    const fleet = fleets[deviceType];
+    fleet.movements.push(movement);
+
+    if (!fleet.units[movement.deviceId]) {
+      fleet.units[movement.deviceId] = { origins: {}, moves: 0 };
+    }
+    const unit = fleet.units[movement.deviceId];
+    unit.moves++;
+    if (movement.fromLocation) {
+      unit.origins[movement.fromLocation] =
+        (unit.origins[movement.fromLocation] || 0) + 1;
+    }
+
+    if (movement.toLocation && isInUseStatus(movement.status)) {
+      fleet.inUseOnly = true;
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(fleets).map(([deviceType, fleet]) => [
+      deviceType,
+      {
+        // Sorted so that ties are broken the same way whatever order the
+        // movements were read in
+        units: Object.entries(fleet.units)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([deviceId, unit]) => ({
+            deviceId,
+            currentLocation:
+              recordedLocations.get(deviceId) ||
+              Object.entries(unit.origins).sort(
+                (a, b) => b[1] - a[1] || a[0].localeCompare(b[0])
+              )[0]?.[0] ||
+              null,
+            moves: unit.moves,
+          })),
+        demand: countDemand(fleet.movements, fleet.inUseOnly),
+        inUseOnly: fleet.inUseOnly,
+        movements: fleet.movements,
+      },
+    ])
+  );
+}
+
+// Total demand-weighted distance to the nearest chosen location
+function getPlanCost(chosen, distances, weights) {
+  let cost = 0;
+  for (let d = 0; d < weights.length; d++) {
+    let nearest = Infinity;
+    for (const c of chosen) {
+      if (distances[c][d] < nearest) nearest = distances[c][d];
+    }
+    cost += weights[d] * nearest;
+  }
+  return cost;
+}
+
+// Solve the p-median problem for k locations over a distance matrix
+function solvePMedian(k, distances, weights) {
+  const candidateCount = distances.length;
+  const chosen = [];
+  const nearest = weights.map(() => Infinity);
+
+  // Greedy start: add the location that lowers the total distance the most
+  while (chosen.length < k) {
+    let best = -1;
+    let bestCost = Infinity;
+    for (let c = 0; c < candidateCount; c++) {
+      if (chosen.includes(c)) continue;
+      let cost = 0;
+      for (let d = 0; d < weights.length; d++) {
+        cost += weights[d] * Math.min(nearest[d], distances[c][d]);
+      }
+      if (best === -1 || cost < bestCost) {
+        best = c;
+        bestCost = cost;
+      }
+    }
+    if (best === -1) break;
+
+    chosen.push(best);
+    for (let d = 0; d < weights.length; d++) {
+      nearest[d] = Math.min(nearest[d], distances[best][d]);
+    }
+  }
+
+  // Swap a chosen location for another while the total distance falls
+  let cost = getPlanCost(chosen, distances, weights);
+  for (let pass = 0; pass < MAX_SWAP_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < chosen.length; i++) {
+      const others = chosen.filter((_, j) => j !== i);
+      const withoutCurrent = weights.map((_, d) =>
+        others.reduce((min, c) => Math.min(min, distances[c][d]), Infinity)
+      );
+
+      for (let c = 0; c < candidateCount; c++) {
+        if (chosen.includes(c)) continue;
+        let swapCost = 0;
+        for (let d = 0; d < weights.length; d++) {
+          swapCost += weights[d] * Math.min(withoutCurrent[d], distances[c][d]);
+        }
+        if (swapCost < cost - 1e-9) {
+          chosen[i] = c;
+          cost = swapCost;
+          improved = true;
+          break;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return { chosen, cost };
+}
+
+// Share of walking distance saved by going from one cost to a lower one
+function getGain(from, to) {
+  if (from === Infinity) return to < Infinity ? 1 : 0;
+  return from > 0 ? (from - to) / from : 0;
+}
+
+// Split the units between the locations in proportion to the demand they
+// serve, one unit at a time to the location with the most demand per unit,
+// never above a location's capacity
+function getUnitQuotas(served, unitCount, capacities) {
+  const quotas = served.map(() => 0);
+  let remaining = unitCount;
+
+  // Every location gets a unit first
+  served
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => b.value - a.value)
+    .forEach(({ index }) => {
+      if (remaining > 0 && capacities[index] > 0) {
+        quotas[index]++;
+        remaining--;
+      }
+    });
+
+  while (remaining > 0) {
+    let best = -1;
+    served.forEach((value, index) => {
+      if (quotas[index] >= capacities[index]) return;
+      if (
+        best === -1 ||
+        value / (quotas[index] + 1) > served[best] / (quotas[best] + 1)
+      ) {
+        best = index;
+      }
+    });
+    if (best === -1) break;
+
+    quotas[best]++;
+    remaining--;
+  }
+
+  return quotas;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+/**
+ * Plan the par locations of one fleet
+ * @param {Object} fleet - { units, demand } from buildFleets
+ * @param {Object} options - Options
+ * @param {Array} options.candidates - Rooms that may be par locations
+ * @param {Function} options.getDistance - (from, to) => walking distance, or null if there is no route
+ * @param {number} [options.parCount] - Number of par locations; found automatically if not given
+ * @param {number} [options.minGain] - Smallest share of walking a further par location must save
+ * @param {Map} [options.capacities] - Storage room -> most units of the type it
+ *   holds; only these rooms are par locations when given
+ * @returns {Object|null} { parCount, automatic, locations, costByCount, cost,
+ *   currentCost, improvement, assignments, constraints }, or null if no demand
+ *   can be reached. currentCost is Infinity when some demand cannot be reached
+ *   from the rooms units are kept in today, and improvement (the share of
+ *   today's walking the plan saves) is then null. Each location is { location, demand, units, capacity } and each
+ *   assignment is { deviceId, currentLocation, location, demandShare }, where
+ *   location is null for a unit that did not fit in any par location and
+ *   demandShare is the unit's share of the fleet's demand. constraints lists
+ *   how the storage constraints changed the plan.
+ */
+function planFleetPlacement(fleet, options) {
+  const {
+    getDistance,
+    parCount,
+    minGain = DEFAULT_MIN_PAR_GAIN,
+    capacities = null,
+  } = options;
+  const candidates = capacities
+    ? options.candidates.filter((room) => capacities.has(room))
+    : options.candidates;
+  const getCapacity = (room) => (capacities ? capacities.get(room) : Infinity);
+  const unitCount = fleet.units.length;
+  const distanceOf = (from, to) => {
+    const distance = getDistance(from, to);
+    return distance === null || distance === undefined ? Infinity : distance;
+  };
+
+  // Distances from every candidate to every room of use that can be reached
+  const rooms = [];
+  const weights = [];
+  fleet.demand.forEach((weight, room) => {
+    if (weight > 0) {
+      rooms.push(room);
+      weights.push(weight);
+    }
+  });
+
+  let distances = candidates.map((candidate) =>
+    rooms.map((room) => distanceOf(candidate, room))
+  );
+  const reachable = rooms.map((_, d) =>
+    distances.some((row) => row[d] < Infinity)
+  );
+  const demandRooms = rooms.filter((_, d) => reachable[d]);
+  const demandWeights = weights.filter((_, d) => reachable[d]);
+  const usable = candidates
+    .map((candidate, c) => ({ candidate, row: distances[c] }))
+    .filter(({ row }) => row.some((distance) => distance < Infinity));
+
+  if (
+    demandRooms.length === 0 ||
+    usable.length === 0 ||
+    fleet.units.length === 0
+  ) {
+    return null;
+  }
+
+  const locations = usable.map(({ candidate }) => candidate);
+  distances = usable.map(({ row }) => row.filter((_, d) => reachable[d]));
+
+  // Solve for every k up to the most the fleet can fill
+  const maxCount = Math.min(MAX_PAR_LOCATIONS, unitCount, locations.length);
+  const solutions = [];
+  for (let k = 1; k <= maxCount; k++) {
+    solutions.push(solvePMedian(k, distances, demandWeights));
+  }
+
+  let count;
+  const automatic = !parCount;
+  if (automatic) {
+    count = 1;
+    while (
+      count < maxCount &&
+      getGain(solutions[count - 1].cost, solutions[count].cost) >= minGain
+    ) {
+      count++;
+    }
+  } else {
+    count = Math.max(1, Math.min(parCount, maxCount));
+  }
+
+  // Add par locations until the storage rooms hold the whole fleet
+  const constraints = [];
+  const capacityOf = (solution) =>
+    solution.chosen.reduce((sum, c) => sum + getCapacity(locations[c]), 0);
+  const requested = count;
+  while (count < maxCount && capacityOf(solutions[count - 1]) < unitCount) {
+    count++;
+  }
+  if (count > requested) {
+    constraints.push(
+      `Raised from ${plural(
+        requested,
+        "par location"
+      )} to ${count} so that the ${plural(
+        unitCount,
+        "unit"
+      )} fit in the storage rooms.`
+    );
+  }
+  const solution = solutions[count - 1];
+
+  // Demand served by each par location
+  const served = solution.chosen.map(() => 0);
+  demandWeights.forEach((weight, d) => {
+    let nearest = 0;
+    solution.chosen.forEach((c, i) => {
+      if (distances[c][d] < distances[solution.chosen[nearest]][d]) {
+        nearest = i;
+      }
+    });
+    served[nearest] += weight;
+  });
+  const chosenCapacities = solution.chosen.map((c) =>
+    getCapacity(locations[c])
+  );
+  const quotas = getUnitQuotas(served, unitCount, chosenCapacities);
+  const parLocations = solution.chosen.map((c, i) => ({
+    location: locations[c],
+    demand: served[i],
+    units: quotas[i],
+    capacity: capacities ? chosenCapacities[i] : null,
+  }));
+
+  if (capacities) {
+    const unlimited = getUnitQuotas(
+      served,
+      unitCount,
+      served.map(() => Infinity)
+    );
+    parLocations.forEach(({ location, units, capacity }, i) => {
+      if (unlimited[i] > units) {
+        constraints.push(
+          `${location} holds at most ${plural(capacity, "unit")}, so ${plural(
+            unlimited[i] - units,
+            "unit"
+          )} went to other par locations.`
+        );
+      }
+    });
+  }
+
+  const placed = quotas.reduce((sum, quota) => sum + quota, 0);
+  if (placed < unitCount) {
+    constraints.push(
+      `${plural(
+        unitCount - placed,
+        "unit"
+      )} could not be given a par location: the storage rooms hold only ${placed} of ${unitCount}.`
+    );
+  }
+
+  // Fill each par location with the units that have the shortest move to it
+  const pairs = [];
+  fleet.units.forEach((unit) => {
+    parLocations.forEach((parLocation, i) => {
+      pairs.push({
+        unit,
+        index: i,
+        distance:
+          unit.currentLocation === parLocation.location
+            ? 0
+            : unit.currentLocation
+            ? distanceOf(unit.currentLocation, parLocation.location)
+            : Infinity,
+      });
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+
+  const remaining = [...quotas];
+  const assigned = new Map();
+  pairs.forEach(({ unit, index }) => {
+    if (assigned.has(unit.deviceId) || remaining[index] === 0) return;
+    assigned.set(unit.deviceId, index);
+    remaining[index]--;
+  });
+
+  const totalDemand = demandWeights.reduce((sum, weight) => sum + weight, 0);
+  const assignments = fleet.units.map((unit) => {
+    const index = assigned.get(unit.deviceId);
+    return {
+      deviceId: unit.deviceId,
+      currentLocation: unit.currentLocation,
+      location: index === undefined ? null : parLocations[index].location,
+      demandShare:
+        index === undefined ? 0 : served[index] / quotas[index] / totalDemand,
+    };
+  });
+
+  // Walking today, from the nearest room a unit is kept in now
+  const currentRooms = [
+    ...new Set(fleet.units.map((unit) => unit.currentLocation)),
+  ].filter(Boolean);
+  const currentDistances = currentRooms.map((room) =>
+    demandRooms.map((demandRoom) => distanceOf(room, demandRoom))
+  );
+  const currentCost =
+    currentRooms.length > 0
+      ? getPlanCost(
+          currentRooms.map((_, index) => index),
+          currentDistances,
+          demandWeights
+        )
+      : null;
+  const improvement =
+    Number.isFinite(currentCost) && currentCost > 0
+      ? (currentCost - solution.cost) / currentCost
+      : null;
+
+  // Compare with the par locations that would be chosen without the limit to
+  // storage rooms
+  if (capacities) {
+    const free = planFleetPlacement(fleet, {
+      ...options,
+      parCount: count,
+      capacities: null,
+    });
+    const chosenRooms = parLocations.map(({ location }) => location);
+    if (
+      free &&
+      free.cost < solution.cost &&
+      free.locations.some(({ location }) => !chosenRooms.includes(location))
+    ) {
+      constraints.push(
+        `Only storage rooms for this type were considered. Without that limit the par locations would be ${free.locations
+          .map(({ location }) => location)
+          .join(", ")}${
+          Number.isFinite(solution.cost)
+            ? `, with ${Math.round(
+                ((solution.cost - free.cost) / solution.cost) * 100
+              )}% less walking`
+            : ""
+        }.`
+      );
+    }
+  }
+
+  return {
+    parCount: count,
+    automatic,
+    locations: parLocations,
+    costByCount: solutions.map((item, index) => ({
+      parCount: index + 1,
+      cost: item.cost,
+    })),
+    cost: solution.cost,
+    currentCost,
+    improvement,
+    assignments,
+    constraints,
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_PAR_GAIN,
+  MAX_PAR_LOCATIONS,
+  validateParLocationCounts,
+  countDemand,
+  buildFleets,
+  planFleetPlacement,
+};
@@ -0,0 +1,279 @@
+/**
+ * Recommendation lifecycle shared by the Electron main process and the
+ * renderer
+ *
+ * A recommendation starts out new and moves through the statuses below as
+ * people decide on it. Every change records who made it, when and why, so a
+ * rejected idea keeps the reason it was turned down. Recommendations are
+ * generated afresh on every run; each gets a key from what it recommends
+ * (the device and room for a placement, the type for a purchase...), and a
+ * recommendation generated again with the key of one already on record takes
+ * over that record and its status instead of starting out new. One generated
+ * again with the key of an implemented recommendation has been carried out
+ * already and is left out.
+ */
+
+const RECOMMENDATION_STATUSES = [
+  "new",
+  "accepted",
+  "in-progress",
+  "implemented",
+  "rejected",
+  "snoozed",
+];
+
+const STATUS_LABELS = {
+  new: "New",
+  accepted: "Accepted",
+  "in-progress": "In Progress",
+  implemented: "Implemented",
+  rejected: "Rejected",
+  snoozed: "Snoozed",
+};
+
+// Statuses of recommendations still to be implemented
+const OPEN_STATUSES = ["new", "accepted", "in-progress"];
+
+/**
+ * Get the key a recommendation keeps across regenerations
+ * @param {Object} recommendation - Generated recommendation
+ * @returns {string} Key made of its type and what it recommends
+ */
+function getRecommendationKey(recommendation) {
+  const { type, deviceId, deviceType } = recommendation;
+  switch (type) {
+    case "placement":
+      return recommendation.shiftPlan
+        ? `placement:shifts:${deviceType}`
+        : `placement:${deviceId}:${recommendation.optimalLocation || ""}`;
+    case "purchase":
+      return `purchase:${deviceType}`;
+    case "right-size":
+      return `right-size:${deviceId}:${recommendation.action}:${
+        recommendation.toDepartment || ""
+      }`;
+    case "maintenance":
+      // A new service starts a new recommendation
+      return `maintenance:${deviceId}:${recommendation.lastMaintenance || ""}`;
+    default:
+      return `${type}:${deviceId || deviceType || recommendation.title}`;
+  }
+}
+
+/**
+ * Get the status of a recommendation at a time. A snooze that has run out
+ * makes the recommendation new again.
+ * @param {Object} recommendation - Recommendation
+ * @param {Date} [now] - Time to get the status at
+ * @returns {string} One of RECOMMENDATION_STATUSES
+ */
+function getRecommendationStatus(recommendation, now = new Date()) {
+  const status = recommendation.status || "new";
+  if (
+    status === "snoozed" &&
+    !(new Date(recommendation.snoozedUntil).getTime() > now.getTime())
+  ) {
+    return "new";
+  }
+  return status;
+}
+
+/**
+ * Whether a recommendation is still to be implemented
+ * @param {Object} recommendation - Recommendation
+ * @param {Date} [now] - Time to check at
+ * @returns {boolean} True if it is new, accepted or in progress
+ */
+function isOpenRecommendation(recommendation, now = new Date()) {
+  return OPEN_STATUSES.includes(getRecommendationStatus(recommendation, now));
+}
+
+/**
+ * Whether a recommendation passes a status filter
+ * @param {Object} recommendation - Recommendation
+ * @param {string} filter - "open", "all" or one of RECOMMENDATION_STATUSES
+ * @param {Date} [now] - Time to check at
+ * @returns {boolean} True if the recommendation should be shown
+ */
+function matchesStatusFilter(recommendation, filter, now = new Date()) {
+  if (filter === "all") return true;
+  if (filter === "open") return isOpenRecommendation(recommendation, now);
+  return getRecommendationStatus(recommendation, now) === filter;
+}
+
+/**
+ * Check a status change before it is recorded
+ * @param {Object} recommendation - Recommendation to change
+ * @param {Object} change - { status, reason, snoozedUntil }
+ * @param {Date} [now] - Time of the change
+ * @returns {string|null} The problem found, or null if the change is valid
+ */
+function validateStatusChange(recommendation, change, now = new Date()) {
+  const { status } = change;
+  if (!RECOMMENDATION_STATUSES.includes(status)) {
+    return `Unknown recommendation status "${status}"`;
+  }
+  if (getRecommendationStatus(recommendation, now) === "implemented") {
+    return "This recommendation has already been implemented";
+  }
+  if (status === "implemented") {
+    return "Use Implement to carry out a recommendation";
+  }
+  if (status === "rejected" && !String(change.reason || "").trim()) {
+    return "Give a reason for rejecting the recommendation";
+  }
+  if (status === "snoozed") {
+    const until = new Date(change.snoozedUntil).getTime();
+    if (!Number.isFinite(until)) {
+      return "Choose the date to snooze the recommendation until";
+    }
+    if (until <= now.getTime()) {
+      return "The snooze date must be in the future";
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the fields that record a status change on a recommendation
+ * @param {Object} recommendation - Recommendation to change
+ * @param {Object} change - { status, reason, snoozedUntil }
+ * @param {string} user - Who made the change
+ * @param {Date} [now] - Time of the change
+ * @returns {Object} { status, statusReason, statusChangedBy, statusChangedAt,
+ *   snoozedUntil, statusHistory } with the change added to the history
+ */
+function applyStatusChange(recommendation, change, user, now = new Date()) {
+  const entry = {
+    status: change.status,
+    reason: String(change.reason || "").trim(),
+    user: user || "",
+    changedAt: now.toISOString(),
+    snoozedUntil:
+      change.status === "snoozed"
+        ? new Date(change.snoozedUntil).toISOString()
+        : null,
+  };
+
+  return {
+    status: entry.status,
+    statusReason: entry.reason,
+    statusChangedBy: entry.user,
+    statusChangedAt: entry.changedAt,
+    snoozedUntil: entry.snoozedUntil,
+    statusHistory: [...(recommendation.statusHistory || []), entry],
+  };
+}
+
+// Fields of a recommendation that belong to its lifecycle, not to the analysis
+const pickLifecycle = (recommendation) => ({
+  _id: recommendation._id,
+  key: recommendation.key,
+  status: recommendation.status || "new",
+  statusReason: recommendation.statusReason || "",
+  statusChangedBy: recommendation.statusChangedBy || "",
+  statusChangedAt: recommendation.statusChangedAt || null,
+  snoozedUntil: recommendation.snoozedUntil || null,
+  statusHistory: recommendation.statusHistory || [],
+  firstGeneratedAt:
+    recommendation.firstGeneratedAt || recommendation.createdAt || null,
+});
+
+/**
+ * Match newly generated recommendations with the ones on record
+ *
+ * A generated recommendation takes over the record with its key that has
+ * not been implemented, keeping its status and history. One whose key only
+ * an implemented record has is left out, so that carrying out a
+ * recommendation does not bring it back as new. Recommendations on record
+ * that are new (or whose snooze has run out) and were not generated again
+ * no longer apply and are dropped, unless the generator of their type
+ * failed; decided ones stay on record.
+ *
+ * @param {Array} existing - Recommendations on record
+ * @param {Array} generated - Recommendations just generated
+ * @param {Date} [now] - Time of the run
+ * @param {Array} [failedTypes] - Recommendation types whose generator failed
+ * @returns {Object} { updates, inserts, stale, suppressed } where updates are
+ *   the generated recommendations with the lifecycle (and _id) of their
+ *   record, inserts are new ones, stale lists the _ids to drop and
+ *   suppressed lists the _ids of implemented records generated again
+ */
+function mergeGeneratedRecommendations(
+  existing,
+  generated,
+  now = new Date(),
+  failedTypes = []
+) {
+  const generatedAt = now.toISOString();
+  const claimed = new Set();
+  const updates = [];
+  const inserts = [];
+  const suppressed = [];
+
+  generated.forEach((recommendation) => {
+    const key = getRecommendationKey(recommendation);
+    const matching = existing.filter(
+      (record) => record.key === key && !claimed.has(record._id)
+    );
+    const previous = matching.find(
+      (record) => getRecommendationStatus(record, now) !== "implemented"
+    );
+    const implemented = matching.find(
+      (record) => getRecommendationStatus(record, now) === "implemented"
+    );
+
+    if (!previous && implemented) {
+      if (!suppressed.includes(implemented._id)) {
+        suppressed.push(implemented._id);
+      }
+      return;
+    }
+
+    if (previous) {
+      claimed.add(previous._id);
+      updates.push({
+        ...recommendation,
+        ...pickLifecycle(previous),
+        generatedAt,
+      });
+    } else {
+      inserts.push({
+        ...recommendation,
+        key,
+        status: "new",
+        statusReason: "",
+        statusChangedBy: "",
+        statusChangedAt: null,
+        snoozedUntil: null,
+        statusHistory: [],
+        firstGeneratedAt: generatedAt,
+        generatedAt,
+      });
+    }
+  });
+
+  const stale = existing
+    .filter(
+      (record) =>
+        !claimed.has(record._id) &&
+        !failedTypes.includes(record.type) &&
+        getRecommendationStatus(record, now) === "new"
+    )
+    .map((record) => record._id);
+
+  return { updates, inserts, stale, suppressed };
+}
+
+module.exports = {
+  RECOMMENDATION_STATUSES,
+  STATUS_LABELS,
+  OPEN_STATUSES,
+  getRecommendationKey,
+  getRecommendationStatus,
+  isOpenRecommendation,
+  matchesStatusFilter,
+  validateStatusChange,
+  applyStatusChange,
+  mergeGeneratedRecommendations,
+};
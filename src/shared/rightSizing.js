@@ -0,0 +1,282 @@
+/**
+ * Fleet right-sizing shared by the Electron main process and the renderer
+ *
+ * The counterpart of fleet sizing for fleets that are too big. A device type
+ * keeps the units its service level needs (see fleetSizing.js) and never
+ * fewer than were in use at once 99% of the time; the units beyond that are
+ * surplus. The surplus units are the ones used least, by in-use hours in the
+ * dwell data. Each goes to a department that is short of the type, where one
+ * is known, and is otherwise retired.
+ *
+ * A department is short when the units it owns (the department in the device
+ * catalog) are fewer than the units its own rooms need: the fleet sizing of
+ * the in-use dwells in the rooms of its department zone. Redeploying a unit
+ * saves the department buying one, and retiring a unit saves its upkeep and
+ * its eventual replacement.
+ */
+
+const { isInUseStatus, getDwellHours } = require("./dwells");
+const {
+  DEFAULT_SERVICE_LEVEL,
+  summarizeConcurrency,
+  getRequiredFleetSize,
+} = require("./fleetSizing");
+const { getRoomZone } = require("./zones");
+
+// Yearly upkeep of a unit (service contract, preventive maintenance and
+// repairs) as a share of its acquisition cost
+const DEFAULT_MAINTENANCE_COST_RATE = 0.1;
+
+/**
+ * Check a maintenance cost rate before it is saved
+ * @param {number} rate - Yearly upkeep as a share of acquisition cost
+ * @returns {string|null} The problem found, or null if the rate is valid
+ */
+function validateMaintenanceCostRate(rate) {
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    return "The yearly maintenance cost must be between 0% and 100% of the acquisition cost";
+  }
+  return null;
+}
+
+const sameName = (a, b) =>
+  String(a || "")
+    .trim()
+    .toLowerCase() ===
+  String(b || "")
+    .trim()
+    .toLowerCase();
+
+// Units each department owns and needs of one device type
+function getDepartmentShortages(typeRecords, units, options) {
+  const { zoneIndex, timeZone, serviceLevel } = options;
+  if (!zoneIndex) return [];
+
+  const recordsByDepartment = {};
+  typeRecords.forEach((record) => {
+    if (!isInUseStatus(record.status)) return;
+    const department = getRoomZone(zoneIndex, record.locationId, "department");
+    if (!department) return;
+    if (!recordsByDepartment[department.name]) {
+      recordsByDepartment[department.name] = [];
+    }
+    recordsByDepartment[department.name].push(record);
+  });
+
+  return Object.entries(recordsByDepartment)
+    .map(([department, records]) => {
+      const need = getRequiredFleetSize(
+        summarizeConcurrency(records, timeZone),
+        serviceLevel
+      );
+      const owned = units.filter((unit) =>
+        sameName(unit.department, department)
+      ).length;
+      return { department, need, owned, shortage: need - owned };
+    })
+    .filter(({ shortage }) => shortage > 0)
+    .sort(
+      (a, b) =>
+        b.shortage - a.shortage || a.department.localeCompare(b.department)
+    );
+}
+
+/**
+ * Find the surplus units of every device type and what to do with them
+ * @param {Array} records - Dwells (or movements) to analyse
+ * @param {Array} devices - Devices in the catalog, with department and acquisitionCost
+ * @param {Function} getDeviceType - Returns the type of a device ID
+ * @param {Object} options - Options
+ * @param {string} options.timeZone - Facility timezone
+ * @param {number} [options.serviceLevel] - Share of requests that should find a unit free
+ * @param {Object} [options.zoneIndex] - Zone index, for department shortages
+ * @param {number} [options.maintenanceCostRate] - Yearly upkeep as a share of acquisition cost
+ * @returns {Array} { deviceType, fleetSize, requiredFleetSize, keep, peak,
+ *   p99, shortages, surplus } for the types with surplus units, where each
+ *   surplus unit is { deviceId, department, utilization, inUseHours, action,
+ *   toDepartment, unitCost, capitalAvoided, maintenanceAvoidedPerYear } and
+ *   action is "redeploy" or "retire"
+ */
+function analyzeRightSizing(records, devices, getDeviceType, options) {
+  const {
+    timeZone,
+    serviceLevel = DEFAULT_SERVICE_LEVEL,
+    maintenanceCostRate = DEFAULT_MAINTENANCE_COST_RATE,
+  } = options;
+
+  // Units of each type: the catalog plus devices only seen in the records
+  const unitsByType = {};
+  const addUnit = (deviceId, device) => {
+    const deviceType = getDeviceType(deviceId);
+    if (!unitsByType[deviceType]) unitsByType[deviceType] = {};
+    if (!unitsByType[deviceType][deviceId]) {
+      unitsByType[deviceType][deviceId] = {
+        deviceId,
+        department: (device && device.department) || "",
+        acquisitionCost:
+          device && typeof device.acquisitionCost === "number"
+            ? device.acquisitionCost
+            : null,
+        inUseHours: 0,
+      };
+    }
+    return unitsByType[deviceType][deviceId];
+  };
+  (devices || []).forEach((device) => addUnit(device.deviceId, device));
+
+  const recordsByType = {};
+  (records || []).forEach((record) => {
+    if (!record.deviceId) return;
+    const unit = addUnit(record.deviceId, null);
+    if (isInUseStatus(record.status)) {
+      unit.inUseHours += getDwellHours(record);
+    }
+    const deviceType = getDeviceType(record.deviceId);
+    if (!recordsByType[deviceType]) recordsByType[deviceType] = [];
+    recordsByType[deviceType].push(record);
+  });
+
+  const results = [];
+  Object.keys(recordsByType)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((deviceType) => {
+      const typeRecords = recordsByType[deviceType];
+      const units = Object.values(unitsByType[deviceType]);
+      const concurrency = summarizeConcurrency(typeRecords, timeZone);
+      const requiredFleetSize = getRequiredFleetSize(concurrency, serviceLevel);
+      const keep = Math.max(requiredFleetSize, concurrency.percentiles.p99, 1);
+      const surplusCount = units.length - keep;
+      if (surplusCount <= 0) return;
+
+      // Units without a cost of their own are valued at the type's average
+      const costs = units
+        .map((unit) => unit.acquisitionCost)
+        .filter((cost) => cost !== null);
+      const averageCost =
+        costs.length > 0
+          ? costs.reduce((sum, cost) => sum + cost, 0) / costs.length
+          : null;
+
+      const shortages = getDepartmentShortages(typeRecords, units, {
+        ...options,
+        serviceLevel,
+      });
+      const remaining = shortages.map(({ shortage }) => shortage);
+
+      // The least used units are surplus
+      const surplus = [...units]
+        .sort(
+          (a, b) =>
+            a.inUseHours - b.inUseHours || a.deviceId.localeCompare(b.deviceId)
+        )
+        .slice(0, surplusCount)
+        .map((unit) => {
+          const unitCost =
+            unit.acquisitionCost !== null ? unit.acquisitionCost : averageCost;
+          const target = shortages.findIndex(
+            ({ department }, index) =>
+              remaining[index] > 0 && !sameName(department, unit.department)
+          );
+          if (target !== -1) remaining[target]--;
+
+          return {
+            deviceId: unit.deviceId,
+            department: unit.department,
+            utilization:
+              concurrency.observedHours > 0
+                ? (unit.inUseHours / concurrency.observedHours) * 100
+                : 0,
+            inUseHours: unit.inUseHours,
+            action: target !== -1 ? "redeploy" : "retire",
+            toDepartment: target !== -1 ? shortages[target].department : null,
+            unitCost,
+            capitalAvoided: unitCost,
+            maintenanceAvoidedPerYear:
+              unitCost !== null ? unitCost * maintenanceCostRate : null,
+          };
+        });
+
+      results.push({
+        deviceType,
+        fleetSize: units.length,
+        requiredFleetSize,
+        keep,
+        peak: concurrency.peak,
+        p99: concurrency.percentiles.p99,
+        shortages: shortages.map(({ department, need, owned }) => ({
+          department,
+          need,
+          owned,
+        })),
+        surplus,
+      });
+    });
+
+  return results;
+}
+
+// Format an amount of money for recommendation text
+const formatMoney = (amount) =>
+  `$${Math.round(amount).toLocaleString("en-US")}`;
+
+/**
+ * Describe what to do with one surplus unit
+ * @param {Object} sizing - One result of analyzeRightSizing
+ * @param {Object} unit - One of its surplus units
+ * @returns {Object} { title, description, savings } for a recommendation
+ */
+function describeSurplusUnit(sizing, unit) {
+  const { deviceType, fleetSize, keep, peak } = sizing;
+  const usage =
+    unit.inUseHours > 0
+      ? `was in use ${Math.round(unit.utilization)}% of the time`
+      : "was never recorded in use";
+  const reason = `${unit.deviceId} ${usage}. No more than ${peak} ${deviceType} units were in use at once, and ${keep} of the ${fleetSize} meet the service level.`;
+
+  if (unit.action === "redeploy") {
+    return {
+      title: `Redeploy ${unit.deviceId} to ${unit.toDepartment}`,
+      description: `${reason} ${
+        unit.toDepartment
+      } is short of ${deviceType} units for its own demand, so moving ${
+        unit.deviceId
+      } there${
+        unit.department ? ` from ${unit.department}` : ""
+      } avoids buying another${
+        unit.capitalAvoided !== null
+          ? ` (${formatMoney(unit.capitalAvoided)} of capital)`
+          : ""
+      }.`,
+      savings:
+        unit.capitalAvoided !== null
+          ? `${formatMoney(unit.capitalAvoided)} capital avoided`
+          : "Avoids a purchase",
+    };
+  }
+
+  return {
+    title: `Retire ${unit.deviceId}`,
+    description: `${reason} Retiring it${
+      unit.maintenanceAvoidedPerYear !== null
+        ? ` avoids about ${formatMoney(
+            unit.maintenanceAvoidedPerYear
+          )} a year of maintenance and ${formatMoney(
+            unit.capitalAvoided
+          )} for its eventual replacement`
+        : " avoids its maintenance and eventual replacement"
+    }.`,
+    savings:
+      unit.maintenanceAvoidedPerYear !== null
+        ? `~${formatMoney(
+            unit.maintenanceAvoidedPerYear
+          )}/year maintenance avoided`
+        : "Maintenance and replacement avoided",
+  };
+}
+
+module.exports = {
+  DEFAULT_MAINTENANCE_COST_RATE,
+  validateMaintenanceCostRate,
+  analyzeRightSizing,
+  describeSurplusUnit,
+};
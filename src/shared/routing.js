@@ -0,0 +1,385 @@
+/**
+ * Room graph routing shared by the Electron main process and the renderer
+ *
+ * The room graph (graph_data.json) lists rooms as nodes and walkable
+ * connections as undirected [from, to, weight] edges. Every distance in the
+ * app goes through a router built here, so the recommendation handler, the
+ * optimization service and the movement chart agree on how far apart two
+ * rooms are. Distances are in graph units; callers convert them to metres
+ * with the walking model (walkingModel.js).
+ *
+ * Shortest paths from a room are computed with Dijkstra's algorithm on first
+ * use and cached, which builds up the all-pairs table as rooms are compared.
+ * One-off path lookups from a room that has not been expanded yet use A*
+ * instead when room coordinates are available. Routers are cached per graph and
+ * rebuilt when the graph's nodes or edges change.
+ *
+ * Connectors between floors and buildings (see facility.js) are routed as
+ * edges like any other, weighted with their time penalty.
+ */
+
+const { getConnectorEdges } = require("./facility");
+
+// Binary min-heap of [priority, node] entries
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, node) {
+    const items = this.items;
+    items.push([priority, node]);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) {
+          smallest = left;
+        }
+        if (right < items.length && items[right][0] < items[smallest][0]) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+}
+
+// Follow predecessor links back from a target to build the path
+function reconstructPath(previous, source, target) {
+  const path = [target];
+  let current = target;
+  while (current !== source) {
+    current = previous.get(current);
+    path.unshift(current);
+  }
+  return path;
+}
+
+/**
+ * Build a router over a room graph
+ * @param {Object} graphData - Graph with nodes, [from, to, weight] edges and optional connectors
+ * @param {Object} [options] - Options
+ * @param {Object} [options.coordinates] - Room -> [x, y] in the same units as the edge weights, used as the A* heuristic
+ * @returns {Object} Router
+ */
+function createRouter(graphData, options = {}) {
+  const adjacency = new Map();
+  const addNode = (node) => {
+    if (!adjacency.has(node)) adjacency.set(node, new Map());
+  };
+  const addEdge = (from, to, weight) => {
+    const neighbours = adjacency.get(from);
+    if (!neighbours.has(to) || neighbours.get(to) > weight) {
+      neighbours.set(to, weight);
+    }
+  };
+
+  ((graphData && graphData.nodes) || []).forEach(addNode);
+  [
+    ...((graphData && graphData.edges) || []),
+    ...getConnectorEdges(graphData),
+  ].forEach(([from, to, weight]) => {
+    const distance = Number(weight);
+    if (from === undefined || to === undefined) return;
+    if (!Number.isFinite(distance) || distance < 0) return;
+
+    addNode(from);
+    addNode(to);
+    addEdge(from, to, distance);
+    addEdge(to, from, distance);
+  });
+
+  // Shortest-path trees by source room: { distances, previous }
+  const trees = new Map();
+  let heuristic = null;
+  let heuristicCoordinates = null;
+
+  const shortestPathTree = (source) => {
+    if (trees.has(source)) return trees.get(source);
+
+    const distances = new Map([[source, 0]]);
+    const previous = new Map();
+    const settled = new Set();
+    const heap = new MinHeap();
+    heap.push(0, source);
+
+    while (heap.size > 0) {
+      const [distance, node] = heap.pop();
+      if (settled.has(node)) continue;
+      settled.add(node);
+
+      adjacency.get(node).forEach((weight, neighbour) => {
+        const candidate = distance + weight;
+        if (candidate < (distances.get(neighbour) ?? Infinity)) {
+          distances.set(neighbour, candidate);
+          previous.set(neighbour, node);
+          heap.push(candidate, neighbour);
+        }
+      });
+    }
+
+    const tree = { distances, previous };
+    trees.set(source, tree);
+    return tree;
+  };
+
+  // A* search for a single pair; exact as long as the heuristic is admissible
+  const searchPair = (source, target) => {
+    const distances = new Map([[source, 0]]);
+    const previous = new Map();
+    const settled = new Set();
+    const heap = new MinHeap();
+    heap.push(heuristic(source, target), source);
+
+    while (heap.size > 0) {
+      const [, node] = heap.pop();
+      if (node === target) {
+        return {
+          distance: distances.get(target),
+          path: reconstructPath(previous, source, target),
+        };
+      }
+      if (settled.has(node)) continue;
+      settled.add(node);
+
+      const distance = distances.get(node);
+      adjacency.get(node).forEach((weight, neighbour) => {
+        const candidate = distance + weight;
+        if (candidate < (distances.get(neighbour) ?? Infinity)) {
+          distances.set(neighbour, candidate);
+          previous.set(neighbour, node);
+          heap.push(candidate + heuristic(neighbour, target), neighbour);
+        }
+      });
+    }
+
+    return { distance: null, path: [] };
+  };
+
+  const router = {
+    /**
+     * Check whether a room is in the graph
+     * @param {string} room - The room
+     * @returns {boolean} True if the graph has the room
+     */
+    hasNode(room) {
+      return adjacency.has(room);
+    },
+
+    /**
+     * Get the rooms in the graph
+     * @returns {Array} Room names
+     */
+    getNodes() {
+      return Array.from(adjacency.keys());
+    },
+
+    /**
+     * Get the weight of the direct edge between two rooms
+     * @param {string} from - The first room
+     * @param {string} to - The second room
+     * @returns {number|null} The edge weight, or null if they are not connected
+     */
+    getEdgeWeight(from, to) {
+      const neighbours = adjacency.get(from);
+      return neighbours && neighbours.has(to) ? neighbours.get(to) : null;
+    },
+
+    /**
+     * Get the shortest distance between two rooms
+     * @param {string} from - The starting room
+     * @param {string} to - The destination room
+     * @returns {number|null} Distance in graph units, or null if either room is unknown or unreachable
+     */
+    getDistance(from, to) {
+      if (!adjacency.has(from) || !adjacency.has(to)) return null;
+      if (from === to) return 0;
+
+      // Distances are symmetric, so either room's tree will do
+      const distance = trees.has(to)
+        ? trees.get(to).distances.get(from)
+        : shortestPathTree(from).distances.get(to);
+      return distance === undefined ? null : distance;
+    },
+
+    /**
+     * Find the shortest path between two rooms
+     * @param {string} from - The starting room
+     * @param {string} to - The destination room
+     * @returns {Object} { distance, path } with distance null and an empty path if there is no route
+     */
+    findPath(from, to) {
+      if (!adjacency.has(from) || !adjacency.has(to)) {
+        return { distance: null, path: [] };
+      }
+      if (from === to) return { distance: 0, path: [from] };
+
+      if (!trees.has(from) && heuristic) return searchPair(from, to);
+
+      const { distances, previous } = shortestPathTree(from);
+      if (!distances.has(to)) return { distance: null, path: [] };
+      return {
+        distance: distances.get(to),
+        path: reconstructPath(previous, from, to),
+      };
+    },
+
+    /**
+     * Get the shortest distances from a room to every room it can reach
+     * @param {string} source - The starting room
+     * @returns {Map} Room -> distance in graph units (empty if the room is unknown)
+     */
+    getDistancesFrom(source) {
+      if (!adjacency.has(source)) return new Map();
+      return shortestPathTree(source).distances;
+    },
+
+    /**
+     * Compute the shortest distances between all pairs of rooms
+     * @returns {Map} Room -> (room -> distance in graph units)
+     */
+    getAllPairsDistances() {
+      const table = new Map();
+      adjacency.forEach((neighbours, source) => {
+        table.set(source, shortestPathTree(source).distances);
+      });
+      return table;
+    },
+
+    /**
+     * Use room coordinates as the A* heuristic for point-to-point queries
+     *
+     * The straight-line distance is scaled down if any edge is shorter than
+     * it, so the heuristic never overestimates and results stay exact.
+     *
+     * @param {Object} coordinates - Room -> [x, y]
+     */
+    useCoordinates(coordinates) {
+      if (!coordinates || coordinates === heuristicCoordinates) return;
+      heuristicCoordinates = coordinates;
+
+      const position = (room) => {
+        const point = coordinates[room];
+        return Array.isArray(point) &&
+          Number.isFinite(point[0]) &&
+          Number.isFinite(point[1])
+          ? point
+          : null;
+      };
+      const straightLine = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+      let scale = 1;
+      adjacency.forEach((neighbours, from) => {
+        const a = position(from);
+        if (!a) return;
+        neighbours.forEach((weight, to) => {
+          const b = position(to);
+          const length = b ? straightLine(a, b) : 0;
+          if (length > 0) scale = Math.min(scale, weight / length);
+        });
+      });
+
+      heuristic = (room, target) => {
+        const a = position(room);
+        const b = position(target);
+        return a && b ? straightLine(a, b) * scale : 0;
+      };
+    },
+  };
+
+  if (options.coordinates) {
+    router.useCoordinates(options.coordinates);
+  }
+
+  return router;
+}
+
+// Cheap fingerprint of a graph, so an unchanged graph loaded again reuses its router
+function getGraphSignature(graphData) {
+  let hash = 2166136261;
+  const add = (value) => {
+    const text = String(value);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+  };
+
+  ((graphData && graphData.nodes) || []).forEach(add);
+  ((graphData && graphData.edges) || []).forEach(([from, to, weight]) => {
+    add(from);
+    add(to);
+    add(weight);
+  });
+  ((graphData && graphData.connectors) || []).forEach((connector) => {
+    add(JSON.stringify(connector));
+  });
+
+  return `${(graphData && graphData.edges && graphData.edges.length) || 0}:${
+    hash >>> 0
+  }`;
+}
+
+const routersByGraph = new WeakMap();
+let lastRouter = { signature: null, router: null };
+
+/**
+ * Get the cached router for a graph, building it if the graph has changed
+ * @param {Object} graphData - Graph with nodes and [from, to, weight] edges
+ * @param {Object} [options] - Options
+ * @param {Object} [options.coordinates] - Room -> [x, y] used as the A* heuristic
+ * @returns {Object} Router
+ */
+function getRouter(graphData, options = {}) {
+  const graph = graphData || { nodes: [], edges: [] };
+  let router = routersByGraph.get(graph);
+
+  if (!router) {
+    const signature = getGraphSignature(graph);
+    if (lastRouter.signature === signature) {
+      router = lastRouter.router;
+    } else {
+      router = createRouter(graph);
+      lastRouter = { signature, router };
+    }
+    routersByGraph.set(graph, router);
+  }
+
+  if (options.coordinates) {
+    router.useCoordinates(options.coordinates);
+  }
+
+  return router;
+}
+
+module.exports = {
+  createRouter,
+  getRouter,
+};
@@ -0,0 +1,448 @@
+/**
+ * Shift-aware placement shared by the Electron main process and the renderer
+ *
+ * Where a device type is needed can change with the time of day: an emergency
+ * department's pods fill up in the day and empty at night. Shift planning
+ * splits a fleet's demand by the configured shifts, and optionally into
+ * weekdays and weekends, and plans par locations for each part. Moving stock
+ * at every shift change takes staff time too, so shift-specific par locations
+ * are only recommended when the walking they save is clearly more than the
+ * time spent moving stock between them. Otherwise one set of par locations,
+ * planned over the demand of every shift, serves around the clock.
+ *
+ * A shift is { name, start, end } with start and end as whole hours in the
+ * facility timezone. A shift that ends before it starts runs past midnight
+ * and belongs to the day it starts on.
+ */
+
+const { countDemand, planFleetPlacement } = require("./parLocations");
+const { getZonedParts } = require("./timezone");
+const {
+  toMetres,
+  getWalkingSeconds,
+  getTripMinutes,
+  formatMinutes,
+} = require("./walkingModel");
+
+const DEFAULT_SHIFT_PLANNING = {
+  enabled: false,
+  shifts: [
+    { name: "Day", start: 7, end: 19 },
+    { name: "Night", start: 19, end: 7 },
+  ],
+  splitWeekends: false,
+};
+
+// Most shifts in a day
+const MAX_SHIFTS = 6;
+
+// Smallest share of the walking of one set of par locations that shift plans
+// must save once the time spent moving stock is taken off
+const MIN_SHIFT_GAIN = 0.1;
+
+const WEEKS_PER_MONTH = 30.44 / 7;
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const formatHour = (hour) => `${pad(hour)}:00`;
+
+/**
+ * Format the hours of a shift
+ * @param {Object} shift - { start, end }
+ * @returns {string} e.g. "07:00–19:00"
+ */
+function formatShiftHours(shift) {
+  return `${formatHour(shift.start)}–${formatHour(shift.end)}`;
+}
+
+// Whether an hour of the day falls in a shift
+function isInShift(shift, hour) {
+  if (shift.start === shift.end) return true;
+  return shift.start < shift.end
+    ? hour >= shift.start && hour < shift.end
+    : hour >= shift.start || hour < shift.end;
+}
+
+/**
+ * Check shift planning settings before they are saved
+ * @param {Object} planning - { enabled, shifts, splitWeekends }
+ * @returns {string|null} The first problem found, or null if the settings are valid
+ */
+function validateShiftPlanning(planning) {
+  if (!planning || typeof planning !== "object") {
+    return "Shift planning settings are missing";
+  }
+
+  const { shifts } = planning;
+  if (
+    !Array.isArray(shifts) ||
+    shifts.length === 0 ||
+    shifts.length > MAX_SHIFTS
+  ) {
+    return `Add between 1 and ${MAX_SHIFTS} shifts`;
+  }
+
+  const names = new Set();
+  for (const shift of shifts) {
+    const name = String(shift.name || "").trim();
+    if (!name) {
+      return "Every shift needs a name";
+    }
+    if (names.has(name)) {
+      return `There are two shifts called ${name}`;
+    }
+    names.add(name);
+
+    const isHour = (value) =>
+      Number.isInteger(value) && value >= 0 && value <= 23;
+    if (!isHour(shift.start) || !isHour(shift.end)) {
+      return `${name} must start and end on a whole hour from 0 to 23`;
+    }
+    if (shift.start === shift.end && shifts.length > 1) {
+      return `${name} must end at a different hour from the one it starts at`;
+    }
+  }
+
+  for (let hour = 0; hour < 24; hour++) {
+    const covering = shifts.filter((shift) => isInShift(shift, hour));
+    if (covering.length === 0) {
+      return `No shift covers ${formatHour(hour)}`;
+    }
+    if (covering.length > 1) {
+      return `${covering[0].name} and ${
+        covering[1].name
+      } overlap at ${formatHour(hour)}`;
+    }
+  }
+  return null;
+}
+
+// Key of the demand segment of a shift on weekdays, weekends or every day
+const getSegmentKey = (shift, weekend) =>
+  weekend === null
+    ? shift.name
+    : `${weekend ? "Weekend" : "Weekday"} ${shift.name}`;
+
+/**
+ * List the parts demand is split into
+ * @param {Object} planning - Shift planning settings
+ * @returns {Array} { key, label, shift, weekend } in the order of the week,
+ *   where weekend is null if weekdays and weekends are not split
+ */
+function getShiftSegments(planning) {
+  const shifts = [...planning.shifts].sort((a, b) => a.start - b.start);
+  const weekendSplits = planning.splitWeekends ? [false, true] : [null];
+
+  return weekendSplits.flatMap((weekend) =>
+    shifts.map((shift) => {
+      const key = getSegmentKey(shift, weekend);
+      return {
+        key,
+        label: `${key} (${formatShiftHours(shift)})`,
+        shift,
+        weekend,
+      };
+    })
+  );
+}
+
+/**
+ * Get the demand segment a timestamp falls in
+ * @param {string|number|Date} value - The timestamp
+ * @param {Object} planning - Shift planning settings
+ * @param {string} timeZone - Facility timezone
+ * @returns {string|null} The segment key, or null if the timestamp is invalid
+ */
+function getShiftSegmentKey(value, planning, timeZone) {
+  const parts = getZonedParts(value, timeZone);
+  if (!parts) return null;
+
+  const shift = planning.shifts.find((item) => isInShift(item, parts.hour));
+  if (!shift) return null;
+  if (!planning.splitWeekends) return getSegmentKey(shift, null);
+
+  // A shift past midnight belongs to the day it started on
+  const startedDayBefore = shift.start > shift.end && parts.hour < shift.end;
+  const weekday = startedDayBefore ? (parts.weekday + 6) % 7 : parts.weekday;
+  return getSegmentKey(shift, weekday === 0 || weekday === 6);
+}
+
+/**
+ * Count the changes from one demand segment to the next
+ * @param {Object} planning - Shift planning settings
+ * @returns {Array} { from, to, perMonth } for each pair of segments that
+ *   follow each other
+ */
+function getShiftChanges(planning) {
+  const shifts = [...planning.shifts].sort((a, b) => a.start - b.start);
+
+  // The segments of one week in order, from Sunday's first shift
+  const week = [];
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const weekend = planning.splitWeekends
+      ? weekday === 0 || weekday === 6
+      : null;
+    shifts.forEach((shift) => week.push(getSegmentKey(shift, weekend)));
+  }
+
+  const changes = new Map();
+  week.forEach((from, index) => {
+    const to = week[(index + 1) % week.length];
+    if (from === to) return;
+    const key = `${from}\n${to}`;
+    if (!changes.has(key)) {
+      changes.set(key, { from, to, perWeek: 0 });
+    }
+    changes.get(key).perWeek++;
+  });
+
+  return [...changes.values()].map(({ from, to, perWeek }) => ({
+    from,
+    to,
+    perMonth: perWeek * WEEKS_PER_MONTH,
+  }));
+}
+
+// Moves that turn one set of par location stock levels into another, each
+// surplus unit going to the nearest location short of stock
+function getRestockMoves(fromLocations, toLocations, distanceOf) {
+  const levels = new Map();
+  fromLocations.forEach(({ location, units }) => {
+    levels.set(location, (levels.get(location) || 0) + units);
+  });
+  toLocations.forEach(({ location, units }) => {
+    levels.set(location, (levels.get(location) || 0) - units);
+  });
+
+  const surplus = [...levels].filter(([, level]) => level > 0);
+  const shortage = [...levels].filter(([, level]) => level < 0);
+  const pairs = [];
+  surplus.forEach(([from]) => {
+    shortage.forEach(([to]) => {
+      const distance = distanceOf(from, to);
+      if (Number.isFinite(distance)) pairs.push({ from, to, distance });
+    });
+  });
+  pairs.sort(
+    (a, b) =>
+      a.distance - b.distance ||
+      a.from.localeCompare(b.from) ||
+      a.to.localeCompare(b.to)
+  );
+
+  const moves = [];
+  pairs.forEach(({ from, to, distance }) => {
+    const units = Math.min(levels.get(from), -levels.get(to));
+    if (units <= 0) return;
+    levels.set(from, levels.get(from) - units);
+    levels.set(to, levels.get(to) + units);
+    moves.push({ from, to, units, distance });
+  });
+  return moves;
+}
+
+/**
+ * Plan par locations for each shift of one fleet and compare them with a
+ * single set of par locations for every shift
+ * @param {Object} fleet - { units, inUseOnly, movements } from buildFleets
+ * @param {Object} basePlan - The fleet's plan over the demand of every shift
+ * @param {Object} options - Options
+ * @param {Object} options.planning - Shift planning settings
+ * @param {string} options.timeZone - Facility timezone
+ * @param {Array} options.candidates - Rooms that may be par locations
+ * @param {Function} options.getDistance - (from, to) => walking distance, or null if there is no route
+ * @param {number} [options.parCount] - Number of par locations; found automatically if not given
+ * @param {Map} [options.capacities] - Storage room -> most units it holds
+ * @param {Object} options.walkingModel - Walking model
+ * @param {number} options.months - Months of data the fleet's movements span
+ * @returns {Object|null} { segments, changes, savedMinutesPerMonth,
+ *   savedMetresPerMonth, restockMinutesPerMonth, restockMetresPerMonth,
+ *   restockMovesPerMonth, netMinutesPerMonth, percentImprovement,
+ *   shiftSpecific }, or null if the settings give only one segment.
+ *   shiftSpecific is true when the shift plans are worth moving stock for.
+ */
+function planShiftPlacement(fleet, basePlan, options) {
+  const { planning, timeZone, walkingModel, months } = options;
+  const segments = getShiftSegments(planning);
+  if (segments.length < 2 || !basePlan) return null;
+
+  const distanceOf = (from, to) => {
+    if (from === to) return 0;
+    const distance = options.getDistance(from, to);
+    return distance === null || distance === undefined ? Infinity : distance;
+  };
+
+  // Demand-weighted walking from each room of use to its nearest par location
+  const getCost = (locations, demand) => {
+    let cost = 0;
+    demand.forEach((weight, room) => {
+      const nearest = locations.reduce(
+        (min, { location }) => Math.min(min, distanceOf(location, room)),
+        Infinity
+      );
+      if (Number.isFinite(nearest)) cost += weight * nearest;
+    });
+    return cost;
+  };
+
+  // A movement's time in is when the device entered the room it left; it
+  // arrives in the room it is needed in at its time out
+  const movementsByKey = new Map(segments.map(({ key }) => [key, []]));
+  fleet.movements.forEach((movement) => {
+    const key = getShiftSegmentKey(movement.timeOut, planning, timeZone);
+    if (movementsByKey.has(key)) movementsByKey.get(key).push(movement);
+  });
+
+  const baseLocations = basePlan.locations.map(
+    ({ location, units, capacity }) => ({ location, units, capacity })
+  );
+  const segmentPlans = segments.map(({ key, label }) => {
+    const demand = countDemand(movementsByKey.get(key), fleet.inUseOnly);
+    const baseCost = getCost(baseLocations, demand);
+    const plan =
+      demand.size > 0
+        ? planFleetPlacement(
+            { units: fleet.units, demand },
+            {
+              candidates: options.candidates,
+              getDistance: options.getDistance,
+              parCount: options.parCount,
+              capacities: options.capacities,
+            }
+          )
+        : null;
+
+    // Shifts the plan cannot improve keep the stock where it is all day
+    const locations = plan
+      ? plan.locations.map(({ location, units, capacity }) => ({
+          location,
+          units,
+          capacity,
+        }))
+      : baseLocations;
+    const cost = plan ? getCost(locations, demand) : baseCost;
+    const better = cost < baseCost;
+
+    return {
+      key,
+      label,
+      arrivals: [...demand.values()].reduce((sum, count) => sum + count, 0),
+      locations: better ? locations : baseLocations,
+      cost: better ? cost : baseCost,
+      baseCost,
+    };
+  });
+
+  // Stock moved at every change of shift
+  const planOf = (key) => segmentPlans.find((segment) => segment.key === key);
+  const changes = getShiftChanges(planning).map((change) => ({
+    ...change,
+    moves: getRestockMoves(
+      planOf(change.from).locations,
+      planOf(change.to).locations,
+      distanceOf
+    ),
+  }));
+
+  const savedPerMonth =
+    segmentPlans.reduce(
+      (sum, segment) => sum + segment.baseCost - segment.cost,
+      0
+    ) / Math.max(months, 1);
+  const basePerMonth =
+    segmentPlans.reduce((sum, segment) => sum + segment.baseCost, 0) /
+    Math.max(months, 1);
+  const savedMinutesPerMonth =
+    getWalkingSeconds(savedPerMonth, walkingModel) / 60;
+  const baseMinutesPerMonth =
+    getWalkingSeconds(basePerMonth, walkingModel) / 60;
+
+  let restockMinutesPerMonth = 0;
+  let restockPerMonth = 0;
+  let restockMovesPerMonth = 0;
+  changes.forEach(({ perMonth, moves }) => {
+    moves.forEach(({ units, distance }) => {
+      restockMinutesPerMonth +=
+        perMonth * units * getTripMinutes(distance, walkingModel);
+      restockPerMonth += perMonth * units * distance;
+      restockMovesPerMonth += perMonth * units;
+    });
+  });
+
+  const netMinutesPerMonth = savedMinutesPerMonth - restockMinutesPerMonth;
+  const percentImprovement =
+    baseMinutesPerMonth > 0
+      ? (netMinutesPerMonth / baseMinutesPerMonth) * 100
+      : 0;
+
+  return {
+    segments: segmentPlans,
+    changes,
+    savedMinutesPerMonth,
+    savedMetresPerMonth: toMetres(savedPerMonth, walkingModel),
+    restockMinutesPerMonth,
+    restockMetresPerMonth: toMetres(restockPerMonth, walkingModel),
+    restockMovesPerMonth,
+    netMinutesPerMonth,
+    percentImprovement,
+    shiftSpecific:
+      netMinutesPerMonth > 0 && percentImprovement >= MIN_SHIFT_GAIN * 100,
+  };
+}
+
+/**
+ * Format par locations and their stock levels
+ * @param {Array} locations - { location, units }
+ * @returns {string} e.g. "K2101 ×2, K2105 ×1"
+ */
+function formatStockLevels(locations) {
+  return locations
+    .map(({ location, units }) => `${location} ×${units}`)
+    .join(", ");
+}
+
+/**
+ * Describe how shift-specific par locations compare with one set for every
+ * shift
+ * @param {string} deviceType - Device type
+ * @param {Object} basePlan - The fleet's plan over the demand of every shift
+ * @param {Object} shiftPlan - Result of planShiftPlacement
+ * @returns {string} One or more sentences for a recommendation
+ */
+function describeShiftPlacement(deviceType, basePlan, shiftPlan) {
+  const saved = formatMinutes(shiftPlan.savedMinutesPerMonth);
+  const restock = formatMinutes(shiftPlan.restockMinutesPerMonth);
+
+  if (shiftPlan.shiftSpecific) {
+    const moves = Math.round(shiftPlan.restockMovesPerMonth);
+    return `${deviceType} is needed in different places at different times. Stocking ${shiftPlan.segments
+      .map(
+        ({ label, locations }) => `${label} at ${formatStockLevels(locations)}`
+      )
+      .join("; ")} instead of keeping it at ${formatStockLevels(
+      basePlan.locations
+    )} around the clock would save ~${saved} of walking a month. Moving stock at the shift changes takes ~${restock} a month (${moves} ${
+      moves === 1 ? "move" : "moves"
+    }), a net saving of ~${formatMinutes(
+      shiftPlan.netMinutesPerMonth
+    )} a month.`;
+  }
+
+  if (shiftPlan.savedMinutesPerMonth <= 0) {
+    return `Par locations per shift were also checked, but they would not shorten the walking for ${deviceType}.`;
+  }
+  return `Par locations per shift were also checked: they would save ~${saved} of walking a month, but moving stock at the shift changes takes ~${restock}, so one set of par locations serves every shift.`;
+}
+
+module.exports = {
+  DEFAULT_SHIFT_PLANNING,
+  MAX_SHIFTS,
+  formatShiftHours,
+  validateShiftPlanning,
+  getShiftSegments,
+  getShiftSegmentKey,
+  getShiftChanges,
+  planShiftPlacement,
+  formatStockLevels,
+  describeShiftPlacement,
+};
@@ -0,0 +1,251 @@
+/**
+ * What-if simulation of a storage layout shared by the Electron main process
+ * and the renderer
+ *
+ * Placement recommendations estimate their savings from demand-weighted
+ * distances. The simulation instead replays the recorded demand, one request
+ * at a time in the order it happened, against a layout that says which room
+ * each unit is kept in:
+ *
+ * - A request is an arrival of the device type in a room of use (the same
+ *   demand par location planning uses), held for as long as the unit that
+ *   answered it stayed before moving on
+ * - Staff fetch the nearest unit of the type that is in its storage room, use
+ *   it for the hold and take it back, so every request is two trips
+ * - When every unit is out, the request is an availability miss: it waits for
+ *   the first unit to come back and is served from that unit's room
+ *
+ * Running the same demand through the current and a proposed layout gives
+ * trips, walking distance, walking time and misses before and after.
+ */
+
+const { isInUseStatus } = require("./dwells");
+const { buildFleets } = require("./parLocations");
+const { getWalkingModel, toMetres, getTripMinutes } = require("./walkingModel");
+
+const time = (value) => new Date(value).getTime();
+
+// Requests of one fleet in the order they were made
+function getRequests(fleet) {
+  const movementsByDevice = {};
+  fleet.movements.forEach((movement) => {
+    if (!movementsByDevice[movement.deviceId]) {
+      movementsByDevice[movement.deviceId] = [];
+    }
+    movementsByDevice[movement.deviceId].push(movement);
+  });
+
+  const requests = [];
+  Object.values(movementsByDevice).forEach((movements) => {
+    movements.sort((a, b) => time(a.timeIn) - time(b.timeIn));
+    movements.forEach((movement, index) => {
+      if (!movement.toLocation) return;
+      if (fleet.inUseOnly && !isInUseStatus(movement.status)) return;
+      const arrival = time(movement.timeOut);
+      if (!Number.isFinite(arrival)) return;
+
+      // Held until the unit arrived in its next room
+      const next = movements[index + 1];
+      const until = next ? time(next.timeOut) : NaN;
+      requests.push({
+        time: arrival,
+        room: movement.toLocation,
+        holdMs: until > arrival ? until - arrival : null,
+      });
+    });
+  });
+
+  // The last request of each unit has no next move; hold it for the average
+  const holds = requests
+    .map(({ holdMs }) => holdMs)
+    .filter((holdMs) => holdMs !== null);
+  const averageHold =
+    holds.length > 0
+      ? holds.reduce((sum, holdMs) => sum + holdMs, 0) / holds.length
+      : 0;
+  requests.forEach((request) => {
+    if (request.holdMs === null) request.holdMs = averageHold;
+  });
+
+  return requests.sort(
+    (a, b) => a.time - b.time || a.room.localeCompare(b.room)
+  );
+}
+
+const emptyResult = () => ({
+  units: 0,
+  requests: 0,
+  trips: 0,
+  distance: 0,
+  metres: 0,
+  minutes: 0,
+  misses: 0,
+  waitMinutes: 0,
+  unreachable: 0,
+});
+
+// Units of a fleet and the rooms they are kept in under a layout
+const getUnits = (fleet, layout) =>
+  fleet.units
+    .map((unit) => ({
+      deviceId: unit.deviceId,
+      home: layout[unit.deviceId] || unit.currentLocation,
+      freeAt: -Infinity,
+    }))
+    .filter((unit) => unit.home);
+
+// Distance from a unit's room to a request, or Infinity without a route
+function getUnitDistance(unit, room, getDistance) {
+  if (unit.home === room) return 0;
+  const distance = getDistance(unit.home, room);
+  return distance === null || distance === undefined ? Infinity : distance;
+}
+
+// Replay one fleet's requests against the rooms its units are kept in
+function simulateFleet(fleet, requests, layout, getDistance, walkingModel) {
+  const result = emptyResult();
+  const units = getUnits(fleet, layout);
+  result.units = units.length;
+
+  requests.forEach((request) => {
+    result.requests++;
+    if (request.unreachable) {
+      result.unreachable++;
+      return;
+    }
+
+    const reachable = units
+      .map((unit) => ({
+        unit,
+        distance: getUnitDistance(unit, request.room, getDistance),
+      }))
+      .filter(({ distance }) => distance < Infinity);
+
+    // The nearest unit in its room, or else the first one back
+    const free = reachable.filter(({ unit }) => unit.freeAt <= request.time);
+    let chosen;
+    if (free.length > 0) {
+      chosen = free.sort(
+        (a, b) =>
+          a.distance - b.distance ||
+          a.unit.deviceId.localeCompare(b.unit.deviceId)
+      )[0];
+    } else {
+      chosen = reachable.sort(
+        (a, b) =>
+          a.unit.freeAt - b.unit.freeAt ||
+          a.distance - b.distance ||
+          a.unit.deviceId.localeCompare(b.unit.deviceId)
+      )[0];
+      result.misses++;
+      result.waitMinutes += (chosen.unit.freeAt - request.time) / 60000;
+    }
+
+    const start = Math.max(request.time, chosen.unit.freeAt);
+    chosen.unit.freeAt = start + request.holdMs;
+
+    // Fetch it and take it back
+    result.trips += 2;
+    result.distance += chosen.distance * 2;
+    result.metres += toMetres(chosen.distance, walkingModel) * 2;
+    result.minutes += getTripMinutes(chosen.distance, walkingModel) * 2;
+  });
+
+  return result;
+}
+
+// Add up the results of every device type
+function getTotal(byType) {
+  const total = emptyResult();
+  byType.forEach((result) => {
+    Object.keys(total).forEach((key) => {
+      total[key] += result[key];
+    });
+  });
+  return total;
+}
+
+/**
+ * Get the room each unit is kept in today, as placement recommendations
+ * assume: the current location of its device record, or where it most often
+ * starts its moves from
+ * @param {Array} movements - Movements to replay
+ * @param {Function} getDeviceType - Returns the type of a device ID
+ * @param {Array} [devices] - Device records, with currentLocation
+ * @returns {Object} Device ID -> room
+ */
+function getCurrentLayout(movements, getDeviceType, devices) {
+  const layout = {};
+  const fleets = buildFleets(movements, getDeviceType, devices);
+  Object.values(fleets).forEach((fleet) => {
+    fleet.units.forEach(({ deviceId, currentLocation }) => {
+      if (currentLocation) layout[deviceId] = currentLocation;
+    });
+  });
+  return layout;
+}
+
+/**
+ * Replay recorded demand against the current storage layout and a proposed one
+ *
+ * Requests that no unit can be walked to in one of the layouts, such as
+ * arrivals in rooms missing from the map, are left out of both so that the
+ * two replay the same demand.
+ *
+ * @param {Array} movements - Movements of the period to replay
+ * @param {Function} getDeviceType - Returns the type of a device ID
+ * @param {Object} options - Options
+ * @param {Object} options.layout - Device ID -> room the unit is kept in;
+ *   units not listed stay where they are kept today
+ * @param {Array} [options.devices] - Device records, for where units are
+ *   kept today
+ * @param {Function} options.getDistance - (from, to) => walking distance in
+ *   plan units, or null if there is no route
+ * @param {Object} [options.walkingModel] - Walking model
+ * @returns {Object} { before, after }, each { byType, total } where byType
+ *   lists { deviceType, units, requests, trips, distance, metres, minutes,
+ *   misses, waitMinutes, unreachable } sorted by device type and total sums
+ *   them
+ */
+function compareLayouts(movements, getDeviceType, options) {
+  const { layout, getDistance } = options;
+  const walkingModel = getWalkingModel(options.walkingModel);
+  const fleets = buildFleets(movements, getDeviceType, options.devices);
+
+  const before = [];
+  const after = [];
+  Object.keys(fleets)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((deviceType) => {
+      const fleet = fleets[deviceType];
+      const requests = getRequests(fleet);
+      const layouts = [{}, layout];
+      requests.forEach((request) => {
+        request.unreachable = layouts.some((homes) =>
+          getUnits(fleet, homes).every(
+            (unit) =>
+              getUnitDistance(unit, request.room, getDistance) === Infinity
+          )
+        );
+      });
+
+      before.push({
+        deviceType,
+        ...simulateFleet(fleet, requests, {}, getDistance, walkingModel),
+      });
+      after.push({
+        deviceType,
+        ...simulateFleet(fleet, requests, layout, getDistance, walkingModel),
+      });
+    });
+
+  return {
+    before: { byType: before, total: getTotal(before) },
+    after: { byType: after, total: getTotal(after) },
+  };
+}
+
+module.exports = {
+  getCurrentLayout,
+  compareLayouts,
+};
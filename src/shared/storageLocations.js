@@ -0,0 +1,66 @@
+/**
+ * Storage location helpers shared by the Electron main process and the renderer
+ *
+ * A storage location is a room where equipment may be kept between uses:
+ * { _id, room, capacities, notes } where capacities maps a device type to the
+ * most units of that type the room holds. Once any room accepts a device type,
+ * placement recommendations only keep that type in the rooms that accept it.
+ * Types that no room accepts can still be placed in any room.
+ */
+
+/**
+ * Check a storage location before it is saved
+ * @param {Object} location - Storage location to save; has an _id when it already exists
+ * @param {Array} locations - Saved storage locations
+ * @returns {Array} Problems found; empty if the storage location is valid
+ */
+function validateStorageLocation(location, locations = []) {
+  const errors = [];
+  const room = String(location.room || "").trim();
+  if (!room) {
+    errors.push("Room is required");
+  } else if (
+    locations.some((other) => other._id !== location._id && other.room === room)
+  ) {
+    errors.push(`${room} is already a storage location`);
+  }
+
+  const capacities = Object.entries(location.capacities || {});
+  if (capacities.length === 0) {
+    errors.push("Add at least one device type the room can hold");
+  }
+  capacities.forEach(([deviceType, capacity]) => {
+    if (!String(deviceType).trim()) {
+      errors.push("Device type is required");
+    } else if (!Number.isInteger(capacity) || capacity < 1) {
+      errors.push(
+        `The capacity for ${deviceType} must be a whole number of 1 or more`
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Get the storage rooms of a device type and how many units each holds
+ * @param {Array} locations - Storage locations
+ * @param {string} deviceType - Device type
+ * @returns {Map|null} Room -> capacity, or null if no room accepts the type
+ */
+function getStorageCapacities(locations, deviceType) {
+  const capacities = new Map();
+  (locations || []).forEach((location) => {
+    const capacity = (location.capacities || {})[deviceType];
+    if (capacity > 0) {
+      capacities.set(location.room, capacity);
+    }
+  });
+
+  return capacities.size > 0 ? capacities : null;
+}
+
+module.exports = {
+  validateStorageLocation,
+  getStorageCapacities,
+};
@@ -0,0 +1,340 @@
+/**
+ * Timezone helpers shared by the Electron main process and the renderer
+ *
+ * RTLS exports carry wall-clock timestamps without an offset. They are read as
+ * local time in the facility timezone and stored as UTC instants, and every
+ * day, month or hour bucket is computed back in the facility timezone, so the
+ * results do not depend on the zone of the machine running the app.
+ */
+
+const DEFAULT_TIMEZONE = "UTC";
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// "2025-03-01 08:00", "2025-03-01T08:00:00.250" and other zone-less ISO forms
+const NAIVE_ISO_PATTERN =
+  /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+// Timestamps that already carry a UTC designator or offset
+const EXPLICIT_OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Get the IANA timezone of the machine running the app
+ * @returns {string} The system timezone, or UTC if it cannot be determined
+ */
+function getSystemTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+  } catch (error) {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Check whether a string is an IANA timezone name the runtime understands
+ * @param {string} timeZone - The timezone name
+ * @returns {boolean} True if the timezone is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * List the timezones that can be chosen as the facility timezone
+ * @returns {Array} IANA timezone names
+ */
+function getSupportedTimeZones() {
+  if (typeof Intl.supportedValuesOf === "function") {
+    return Intl.supportedValuesOf("timeZone");
+  }
+  return [...new Set([DEFAULT_TIMEZONE, getSystemTimeZone()])];
+}
+
+// Wall-clock fields of an instant in a timezone
+function getPartsOfInstant(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(
+    new Date(ms)
+  )) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+function getTimeZoneOffset(ms, timeZone) {
+  const seconds = Math.floor(ms / 1000) * 1000;
+  const parts = getPartsOfInstant(seconds, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - seconds;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ *
+ * Around DST changes a wall-clock time can occur twice (clocks go back) or not
+ * at all (clocks go forward). Repeated times resolve to their first
+ * occurrence; skipped times are moved forward by the length of the gap.
+ *
+ * @param {Object} fields - year, month (1-12), day, hour, minute, second, millisecond
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { date, dst } where dst is null, "ambiguous" or "nonexistent"
+ */
+function resolveZonedTime(fields, timeZone) {
+  const {
+    year,
+    month,
+    day,
+    hour = 0,
+    minute = 0,
+    second = 0,
+    millisecond = 0,
+  } = fields;
+  const wall = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond
+  );
+
+  // The offsets either side of any transition on this day
+  const offsetBefore = getTimeZoneOffset(wall - MS_PER_DAY, timeZone);
+  const offsetAfter = getTimeZoneOffset(wall + MS_PER_DAY, timeZone);
+
+  const candidates = [...new Set([offsetBefore, offsetAfter])]
+    .map((offset) => wall - offset)
+    .filter((ms) => getTimeZoneOffset(ms, timeZone) === wall - ms)
+    .sort((a, b) => a - b);
+
+  if (candidates.length === 0) {
+    return { date: new Date(wall - offsetBefore), dst: "nonexistent" };
+  }
+
+  return {
+    date: new Date(candidates[0]),
+    dst: candidates.length > 1 ? "ambiguous" : null,
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * @param {Object} fields - year, month (1-12), day, hour, minute, second, millisecond
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The UTC instant
+ */
+function zonedTimeToUtc(fields, timeZone) {
+  return resolveZonedTime(fields, timeZone).date;
+}
+
+/**
+ * Resolve a raw timestamp to a UTC instant
+ *
+ * Timestamps with an explicit offset keep it; anything else is read as
+ * wall-clock time in the given timezone.
+ *
+ * @param {string|number|Date} value - The raw timestamp
+ * @param {string} timeZone - IANA timezone used for timestamps without an offset
+ * @returns {Object} { date, dst }; date is null if the value cannot be parsed
+ */
+function resolveTimestamp(value, timeZone) {
+  if (value === null || value === undefined || value === "") {
+    return { date: null, dst: null };
+  }
+
+  if (value instanceof Date || typeof value === "number") {
+    const date = new Date(value);
+    return { date: isNaN(date.getTime()) ? null : date, dst: null };
+  }
+
+  const text = String(value).trim();
+
+  if (EXPLICIT_OFFSET_PATTERN.test(text)) {
+    const date = new Date(text.replace(" ", "T"));
+    return { date: isNaN(date.getTime()) ? null : date, dst: null };
+  }
+
+  const match = text.match(NAIVE_ISO_PATTERN);
+  if (match) {
+    const [, year, month, day, hour, minute, second, fraction] = match;
+    return resolveZonedTime(
+      {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour || 0),
+        minute: Number(minute || 0),
+        second: Number(second || 0),
+        millisecond: Number((fraction || "0").padEnd(3, "0")),
+      },
+      timeZone
+    );
+  }
+
+  // Other formats ("3/1/2025 8:00 AM") are left to the Date parser, which reads
+  // them in the local zone; take its wall-clock fields and re-read them
+  const local = new Date(text);
+  if (isNaN(local.getTime())) {
+    return { date: null, dst: null };
+  }
+
+  return resolveZonedTime(
+    {
+      year: local.getFullYear(),
+      month: local.getMonth() + 1,
+      day: local.getDate(),
+      hour: local.getHours(),
+      minute: local.getMinutes(),
+      second: local.getSeconds(),
+      millisecond: local.getMilliseconds(),
+    },
+    timeZone
+  );
+}
+
+/**
+ * Parse a raw timestamp to a UTC instant
+ * @param {string|number|Date} value - The raw timestamp
+ * @param {string} timeZone - IANA timezone used for timestamps without an offset
+ * @returns {Date|null} The instant, or null if the value cannot be parsed
+ */
+function parseTimestamp(value, timeZone) {
+  return resolveTimestamp(value, timeZone).date;
+}
+
+/**
+ * Get the wall-clock fields of a timestamp in a timezone
+ * @param {string|number|Date} value - The timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object|null} year, month (1-12), day, hour, minute, second, weekday (0 = Sunday)
+ */
+function getZonedParts(value, timeZone) {
+  const date = parseTimestamp(value, timeZone);
+  if (!date) return null;
+  return getPartsOfInstant(date.getTime(), timeZone);
+}
+
+const pad = (number) => String(number).padStart(2, "0");
+
+/**
+ * Get the calendar day of a timestamp in a timezone
+ * @param {string|number|Date} value - The timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string|null} The day as YYYY-MM-DD
+ */
+function getDateKey(value, timeZone) {
+  const parts = getZonedParts(value, timeZone);
+  return parts ? `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` : null;
+}
+
+/**
+ * Get the calendar month of a timestamp in a timezone
+ * @param {string|number|Date} value - The timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string|null} The month as YYYY-MM
+ */
+function getMonthKey(value, timeZone) {
+  const parts = getZonedParts(value, timeZone);
+  return parts ? `${parts.year}-${pad(parts.month)}` : null;
+}
+
+/**
+ * Get the quarter of a timestamp in a timezone
+ * @param {string|number|Date} value - The timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string|null} The quarter as YYYY-Q#
+ */
+function getQuarterKey(value, timeZone) {
+  const parts = getZonedParts(value, timeZone);
+  return parts
+    ? `${parts.year}-Q${Math.floor((parts.month - 1) / 3) + 1}`
+    : null;
+}
+
+/**
+ * Get the hour of day (0-23) of a timestamp in a timezone
+ * @param {string|number|Date} value - The timestamp
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number|null} The hour of day
+ */
+function getZonedHour(value, timeZone) {
+  const parts = getZonedParts(value, timeZone);
+  return parts ? parts.hour : null;
+}
+
+/**
+ * Get the instant a calendar day starts in a timezone
+ * @param {string} dateKey - The day as YYYY-MM-DD
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The start of the day
+ */
+function startOfZonedDay(dateKey, timeZone) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getSystemTimeZone,
+  isValidTimeZone,
+  getSupportedTimeZones,
+  getTimeZoneOffset,
+  resolveZonedTime,
+  zonedTimeToUtc,
+  resolveTimestamp,
+  parseTimestamp,
+  getZonedParts,
+  getDateKey,
+  getMonthKey,
+  getQuarterKey,
+  getZonedHour,
+  startOfZonedDay,
+};
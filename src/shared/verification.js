@@ -0,0 +1,293 @@
+/**
+ * Verification of implemented recommendations shared by the Electron main
+ * process and the renderer
+ *
+ * A placement recommendation projects its savings from the data it was
+ * planned on. Once it is implemented, the walking it actually saved can be
+ * measured from the RTLS data imported afterwards. Each implemented
+ * recommendation gets two windows of the same length: a baseline window that
+ * ends when it was implemented and an evaluation window that starts then.
+ *
+ * Walking is measured from the movements of the device, or of its type for
+ * recommendations that cover a whole fleet. Each use is a walk by staff from
+ * the room the unit was in to the room it is used in, along the routing
+ * graph and through the walking model, as placement recommendations project
+ * their savings; the distance the tracker reports the equipment travelled is
+ * not used. The realised savings are the walking per use saved between the
+ * windows, at the number of uses in the evaluation window, so that a busier
+ * or quieter month after the change does not count as savings or losses.
+ */
+
+const { isInUseStatus } = require("./dwells");
+const {
+  getWalkingModel,
+  toMetres,
+  estimateMonthlySavings,
+} = require("./walkingModel");
+
+// Length of the baseline and evaluation windows
+const DEFAULT_VERIFICATION_DAYS = 28;
+const MIN_VERIFICATION_DAYS = 7;
+const MAX_VERIFICATION_DAYS = 180;
+
+// Fewest uses in each window for a measurement to count
+const MIN_VERIFICATION_USES = 5;
+
+// Share of the projected savings a recommendation must realise to pay off
+const PAID_OFF_SHARE = 0.5;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+// Recommendation types whose savings are walking that can be measured
+const VERIFIED_TYPES = ["placement"];
+
+/**
+ * Check a verification window length before it is saved
+ * @param {number} days - Length of each window in days
+ * @returns {string|null} The problem found, or null if the length is valid
+ */
+function validateVerificationDays(days) {
+  if (
+    !Number.isInteger(days) ||
+    days < MIN_VERIFICATION_DAYS ||
+    days > MAX_VERIFICATION_DAYS
+  ) {
+    return `The verification window must be a whole number of days between ${MIN_VERIFICATION_DAYS} and ${MAX_VERIFICATION_DAYS}`;
+  }
+  return null;
+}
+
+/**
+ * Get the baseline and evaluation windows of a recommendation implemented at
+ * a time
+ * @param {string|Date} implementedAt - When the recommendation was implemented
+ * @param {number} [days] - Length of each window in days
+ * @returns {Object} { baselineStart, evaluationEnd } as ISO strings; the
+ *   baseline ends and the evaluation starts at implementedAt
+ */
+function getVerificationWindows(
+  implementedAt,
+  days = DEFAULT_VERIFICATION_DAYS
+) {
+  const time = new Date(implementedAt).getTime();
+  return {
+    baselineStart: new Date(time - days * MS_PER_DAY).toISOString(),
+    evaluationEnd: new Date(time + days * MS_PER_DAY).toISOString(),
+  };
+}
+
+// Uses and staff walking of the matching movements that arrived in a window
+function measureWindow(movements, start, end, getDistance, walkingModel) {
+  const inWindow = movements.filter((movement) => {
+    const arrival = new Date(movement.timeOut).getTime();
+    return arrival >= start && arrival < end;
+  });
+
+  // Uses are in-use arrivals, or every arrival where no status says in use.
+  // Uses with no route from the room the unit was in are left out.
+  const inUseOnly = inWindow.some((movement) => isInUseStatus(movement.status));
+  let uses = 0;
+  let unrouted = 0;
+  let distance = 0;
+  inWindow.forEach((movement) => {
+    if (!movement.toLocation) return;
+    if (inUseOnly && !isInUseStatus(movement.status)) return;
+
+    const walked =
+      movement.fromLocation === movement.toLocation
+        ? 0
+        : movement.fromLocation
+        ? getDistance(movement.fromLocation, movement.toLocation)
+        : null;
+    if (!Number.isFinite(walked)) {
+      unrouted++;
+      return;
+    }
+    uses++;
+    distance += walked;
+  });
+
+  return {
+    uses,
+    unrouted,
+    movements: inWindow.length,
+    distance,
+    distancePerUse: uses > 0 ? distance / uses : 0,
+    metres: toMetres(distance, walkingModel),
+    metresPerUse: uses > 0 ? toMetres(distance, walkingModel) / uses : 0,
+    days: (end - start) / MS_PER_DAY,
+  };
+}
+
+/**
+ * Measure the savings an implemented recommendation realised
+ * @param {Object} entry - Optimization history entry, with type, date,
+ *   deviceId or deviceType, hoursSaved and the verification windows
+ * @param {Array} movements - Every movement imported
+ * @param {Object} options - Options
+ * @param {Function} options.getDeviceType - Returns the type of a device ID
+ * @param {Function} options.getDistance - (from, to) => walking distance in
+ *   plan units, or null if there is no route
+ * @param {Object} [options.walkingModel] - Walking model
+ * @returns {Object} { status, baseline, evaluation, projectedHoursPerMonth,
+ *   realisedHoursPerMonth, realisedMetresPerMonth, share, windowDays,
+ *   coveredDays }, where coveredDays is how far the imported data reaches
+ *   into the evaluation window and status is "not-measured" for savings that
+ *   are not walking, "waiting" until data covers the evaluation window,
+ *   "insufficient" when either window has too few uses, and otherwise
+ *   "paid-off" or "below-projection"
+ */
+function verifySavings(entry, movements, options) {
+  const { getDeviceType, getDistance } = options;
+  const walkingModel = getWalkingModel(options.walkingModel);
+  const projectedHoursPerMonth = parseFloat(entry.hoursSaved || 0);
+  const result = {
+    status: "not-measured",
+    baseline: null,
+    evaluation: null,
+    projectedHoursPerMonth,
+    realisedHoursPerMonth: null,
+    realisedMetresPerMonth: null,
+    share: null,
+    windowDays: 0,
+    coveredDays: 0,
+  };
+
+  if (
+    !VERIFIED_TYPES.includes(entry.type) ||
+    !(entry.deviceId || entry.deviceType) ||
+    projectedHoursPerMonth <= 0
+  ) {
+    return result;
+  }
+
+  const implementedAt = new Date(entry.date).getTime();
+  const windows = entry.baselineStart
+    ? entry
+    : getVerificationWindows(entry.date);
+  const baselineStart = new Date(windows.baselineStart).getTime();
+  const evaluationEnd = new Date(windows.evaluationEnd).getTime();
+  result.windowDays = (evaluationEnd - implementedAt) / MS_PER_DAY;
+
+  // How far the imported data reaches into the evaluation window
+  const latest = (movements || []).reduce(
+    (max, movement) => Math.max(max, new Date(movement.timeOut).getTime() || 0),
+    -Infinity
+  );
+  result.coveredDays = Math.max(
+    0,
+    (Math.min(latest, evaluationEnd) - implementedAt) / MS_PER_DAY
+  );
+  if (latest < evaluationEnd) {
+    result.status = "waiting";
+    return result;
+  }
+
+  const matching = (movements || []).filter((movement) =>
+    entry.deviceId
+      ? movement.deviceId === entry.deviceId
+      : movement.deviceId &&
+        getDeviceType(movement.deviceId) === entry.deviceType
+  );
+  result.baseline = measureWindow(
+    matching,
+    baselineStart,
+    implementedAt,
+    getDistance,
+    walkingModel
+  );
+  result.evaluation = measureWindow(
+    matching,
+    implementedAt,
+    evaluationEnd,
+    getDistance,
+    walkingModel
+  );
+  if (
+    result.baseline.uses < MIN_VERIFICATION_USES ||
+    result.evaluation.uses < MIN_VERIFICATION_USES
+  ) {
+    result.status = "insufficient";
+    return result;
+  }
+
+  // Walking saved per use at the uses of a month, in plan units
+  const usesPerMonth =
+    (result.evaluation.uses / result.evaluation.days) * DAYS_PER_MONTH;
+  const savings = estimateMonthlySavings(
+    (result.baseline.distancePerUse - result.evaluation.distancePerUse) *
+      usesPerMonth,
+    1,
+    walkingModel
+  );
+  result.realisedMetresPerMonth = savings.metresPerMonth;
+  result.realisedHoursPerMonth = savings.hoursPerMonth;
+  result.share = result.realisedHoursPerMonth / projectedHoursPerMonth;
+  result.status =
+    result.share >= PAID_OFF_SHARE ? "paid-off" : "below-projection";
+
+  return result;
+}
+
+/**
+ * Get the hours a month an implemented recommendation adds to the savings
+ * totals: what it realised once it is verified, nothing if it did not pay
+ * off, and its projection until it can be measured
+ * @param {Object} verification - Result of verifySavings, if any
+ * @param {number} projectedHoursPerMonth - Hours a month it projected
+ * @returns {number} Hours a month
+ */
+function getCountedHoursPerMonth(verification, projectedHoursPerMonth) {
+  if (verification && verification.status === "paid-off") {
+    return verification.realisedHoursPerMonth;
+  }
+  if (verification && verification.status === "below-projection") return 0;
+  return projectedHoursPerMonth;
+}
+
+/**
+ * Add up the projected and realised savings of the verified recommendations
+ * @param {Array} verifications - Results of verifySavings
+ * @returns {Object} { verified, paidOff, belowProjection, waiting,
+ *   projectedHoursPerMonth, realisedHoursPerMonth } where the hours cover
+ *   the verified recommendations only
+ */
+function summarizeVerification(verifications) {
+  const summary = {
+    verified: 0,
+    paidOff: 0,
+    belowProjection: 0,
+    waiting: 0,
+    projectedHoursPerMonth: 0,
+    realisedHoursPerMonth: 0,
+  };
+
+  verifications.forEach((verification) => {
+    if (verification.status === "waiting") summary.waiting++;
+    if (
+      verification.status !== "paid-off" &&
+      verification.status !== "below-projection"
+    ) {
+      return;
+    }
+
+    summary.verified++;
+    if (verification.status === "paid-off") summary.paidOff++;
+    else summary.belowProjection++;
+    summary.projectedHoursPerMonth += verification.projectedHoursPerMonth;
+    summary.realisedHoursPerMonth += verification.realisedHoursPerMonth;
+  });
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_VERIFICATION_DAYS,
+  PAID_OFF_SHARE,
+  validateVerificationDays,
+  getVerificationWindows,
+  verifySavings,
+  getCountedHoursPerMonth,
+  summarizeVerification,
+};
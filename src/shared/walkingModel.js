@@ -0,0 +1,217 @@
+/**
+ * Walking model shared by the Electron main process and the renderer
+ *
+ * Floor plan positions and routing graph weights are in plan units. The
+ * walking model turns them into real distances and walking times: a
+ * calibration on the floor plan fixes how many metres one plan unit is,
+ * staff walk at a configurable speed, and every trip to fetch or return
+ * equipment costs a fixed overhead on top of the walk (finding the device,
+ * unplugging it, waiting at doors).
+ */
+
+// 1.6 feet per plan unit and 3 feet per second, the values assumed before
+// the floor plan could be calibrated
+const DEFAULT_WALKING_MODEL = {
+  metresPerUnit: 0.48768,
+  walkingSpeed: 0.9144,
+  tripOverheadSeconds: 0,
+  calibration: null,
+};
+
+const DAYS_PER_MONTH = 30.44;
+const MS_PER_MONTH = DAYS_PER_MONTH * 24 * 60 * 60 * 1000;
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Check a walking model before it is saved
+ * @param {Object} model - Walking model
+ * @returns {string|null} The first problem found, or null if the model is valid
+ */
+function validateWalkingModel(model) {
+  if (!model || typeof model !== "object") {
+    return "The walking model is missing";
+  }
+  if (!isPositive(model.metresPerUnit)) {
+    return "Metres per plan unit must be a positive number";
+  }
+  if (!isPositive(model.walkingSpeed)) {
+    return "Walking speed must be a positive number";
+  }
+  if (
+    !Number.isFinite(model.tripOverheadSeconds) ||
+    model.tripOverheadSeconds < 0
+  ) {
+    return "Trip overhead must be zero or more seconds";
+  }
+  return null;
+}
+
+/**
+ * Fill in a saved walking model with the defaults
+ * @param {Object} [model] - Saved walking model
+ * @returns {Object} { metresPerUnit, walkingSpeed, tripOverheadSeconds, calibration }
+ */
+function getWalkingModel(model) {
+  const merged = { ...DEFAULT_WALKING_MODEL, ...(model || {}) };
+  return validateWalkingModel(merged) === null
+    ? merged
+    : { ...DEFAULT_WALKING_MODEL };
+}
+
+/**
+ * Work out the plan scale from a measured distance between two plan points
+ * @param {Array} from - [x, y] of the first point
+ * @param {Array} to - [x, y] of the second point
+ * @param {number} metres - Real distance between the points
+ * @returns {number|null} Metres per plan unit, or null if the points coincide
+ */
+function calibrateScale(from, to, metres) {
+  const units = Math.hypot(to[0] - from[0], to[1] - from[1]);
+  if (!(units > 0) || !isPositive(metres)) return null;
+  return metres / units;
+}
+
+/**
+ * Convert a plan distance to metres
+ * @param {number} units - Distance in plan units
+ * @param {Object} model - Walking model
+ * @returns {number} Distance in metres
+ */
+function toMetres(units, model) {
+  return units * getWalkingModel(model).metresPerUnit;
+}
+
+/**
+ * Convert metres to plan units
+ * @param {number} metres - Distance in metres
+ * @param {Object} model - Walking model
+ * @returns {number} Distance in plan units
+ */
+function toPlanUnits(metres, model) {
+  return metres / getWalkingModel(model).metresPerUnit;
+}
+
+/**
+ * Get the time taken to walk a plan distance, without the trip overhead
+ * @param {number} units - Distance in plan units
+ * @param {Object} model - Walking model
+ * @returns {number} Walking time in seconds
+ */
+function getWalkingSeconds(units, model) {
+  const { metresPerUnit, walkingSpeed } = getWalkingModel(model);
+  return (units * metresPerUnit) / walkingSpeed;
+}
+
+/**
+ * Get the time of one trip to fetch or return equipment
+ * @param {number} units - Walking distance of the trip in plan units
+ * @param {Object} model - Walking model
+ * @returns {number} Trip time in minutes, including the trip overhead
+ */
+function getTripMinutes(units, model) {
+  const { tripOverheadSeconds } = getWalkingModel(model);
+  return (getWalkingSeconds(units, model) + tripOverheadSeconds) / 60;
+}
+
+/**
+ * Get the time of one trip of a distance already in metres
+ * @param {number} metres - Walking distance of the trip in metres
+ * @param {Object} model - Walking model
+ * @returns {number} Trip time in minutes, including the trip overhead
+ */
+function getTripMinutesForMetres(metres, model) {
+  const { walkingSpeed, tripOverheadSeconds } = getWalkingModel(model);
+  return (metres / walkingSpeed + tripOverheadSeconds) / 60;
+}
+
+/**
+ * Get the number of months between the first and last of a set of times
+ * @param {Array} times - Dates or timestamps
+ * @returns {number} Months spanned, at least one
+ */
+function getMonthsSpanned(times) {
+  let earliest = Infinity;
+  let latest = -Infinity;
+  (times || []).forEach((time) => {
+    const ms = new Date(time).getTime();
+    if (Number.isNaN(ms)) return;
+    earliest = Math.min(earliest, ms);
+    latest = Math.max(latest, ms);
+  });
+
+  return latest > earliest
+    ? Math.max((latest - earliest) / MS_PER_MONTH, 1)
+    : 1;
+}
+
+/**
+ * Estimate the monthly savings of walking less
+ *
+ * The same trips are made before and after a change, so the trip overhead
+ * does not change and only the walking time counts towards the savings.
+ *
+ * @param {number} unitsSaved - Plan distance saved over the whole period
+ * @param {number} months - Length of the period in months
+ * @param {Object} model - Walking model
+ * @returns {Object} { metresPerMonth, minutesPerMonth, hoursPerMonth }
+ */
+function estimateMonthlySavings(unitsSaved, months, model) {
+  const perMonth = unitsSaved / Math.max(months, 1);
+  const minutesPerMonth = getWalkingSeconds(perMonth, model) / 60;
+
+  return {
+    metresPerMonth: toMetres(perMonth, model),
+    minutesPerMonth,
+    hoursPerMonth: minutesPerMonth / 60,
+  };
+}
+
+/**
+ * Format a distance for display
+ * @param {number} metres - Distance in metres
+ * @returns {string} e.g. "85 m" or "1.4 km"
+ */
+function formatDistance(metres) {
+  if (!Number.isFinite(metres)) return "-";
+  if (Math.abs(metres) >= 1000) {
+    return `${(metres / 1000).toFixed(1)} km`;
+  }
+  return `${Math.round(metres)} m`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} e.g. "40 s", "12 min" or "3 h 20 min"
+ */
+function formatMinutes(minutes) {
+  if (!Number.isFinite(minutes)) return "-";
+  if (Math.abs(minutes) < 1) {
+    return `${Math.round(minutes * 60)} s`;
+  }
+  if (Math.abs(minutes) < 60) {
+    return `${Math.round(minutes)} min`;
+  }
+
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded - hours * 60;
+  return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+module.exports = {
+  DEFAULT_WALKING_MODEL,
+  validateWalkingModel,
+  getWalkingModel,
+  calibrateScale,
+  toMetres,
+  toPlanUnits,
+  getWalkingSeconds,
+  getTripMinutes,
+  getTripMinutesForMetres,
+  getMonthsSpanned,
+  estimateMonthlySavings,
+  formatDistance,
+  formatMinutes,
+};
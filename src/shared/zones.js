@@ -0,0 +1,296 @@
+/**
+ * Zone helpers shared by the Electron main process and the renderer
+ *
+ * Zones group rooms into the facility's real structure: buildings contain
+ * departments, departments contain pods, and each room belongs to at most one
+ * zone. A zone is { _id, name, level, parentId, rooms }; a zone's rooms
+ * include the rooms of the zones below it.
+ */
+
+// Zone levels from the top of the hierarchy down
+const ZONE_LEVELS = [
+  { id: "building", label: "Building" },
+  { id: "department", label: "Department" },
+  { id: "pod", label: "Pod" },
+];
+
+const UNASSIGNED_ZONE = "Unassigned";
+
+const getLevelIndex = (level) =>
+  ZONE_LEVELS.findIndex((item) => item.id === level);
+
+/**
+ * Get the label of a zone level
+ * @param {string} level - Zone level ID
+ * @returns {string} The label, or the ID if the level is unknown
+ */
+function getZoneLevelLabel(level) {
+  const item = ZONE_LEVELS.find((entry) => entry.id === level);
+  return item ? item.label : level;
+}
+
+/**
+ * Index zones for lookups by ID, parent and room
+ * @param {Array} zones - Zone records
+ * @returns {Object} { zones, byId, childrenOf, zoneOfRoom, ordered } where
+ *   ordered lists the zones depth-first with their depth, for tree displays
+ */
+function indexZones(zones = []) {
+  const byId = {};
+  const childrenOf = {};
+  const zoneOfRoom = {};
+
+  zones.forEach((zone) => {
+    byId[zone._id] = zone;
+  });
+
+  zones.forEach((zone) => {
+    const parentId = zone.parentId && byId[zone.parentId] ? zone.parentId : "";
+    (childrenOf[parentId] = childrenOf[parentId] || []).push(zone);
+    (zone.rooms || []).forEach((room) => {
+      zoneOfRoom[room] = zone._id;
+    });
+  });
+
+  Object.values(childrenOf).forEach((children) =>
+    children.sort((a, b) => a.name.localeCompare(b.name))
+  );
+
+  const ordered = [];
+  const visited = new Set();
+  const visit = (zone, depth) => {
+    if (visited.has(zone._id)) return;
+    visited.add(zone._id);
+    ordered.push({ zone, depth });
+    (childrenOf[zone._id] || []).forEach((child) => visit(child, depth + 1));
+  };
+  (childrenOf[""] || []).forEach((zone) => visit(zone, 0));
+
+  return { zones, byId, childrenOf, zoneOfRoom, ordered };
+}
+
+/**
+ * Get a zone and the zones above it
+ * @param {Object} index - Zone index from indexZones
+ * @param {string} zoneId - Zone ID
+ * @returns {Array} Zones from the top of the hierarchy down to the zone
+ */
+function getZonePath(index, zoneId) {
+  const path = [];
+  const seen = new Set();
+  let zone = index.byId[zoneId];
+
+  while (zone && !seen.has(zone._id)) {
+    seen.add(zone._id);
+    path.unshift(zone);
+    zone = index.byId[zone.parentId];
+  }
+
+  return path;
+}
+
+/**
+ * Get the full name of a zone, e.g. "Main Hospital › Emergency Department › POD 2"
+ * @param {Object} index - Zone index from indexZones
+ * @param {string} zoneId - Zone ID
+ * @returns {string} The zone names from the top down
+ */
+function getZoneLabel(index, zoneId) {
+  return getZonePath(index, zoneId)
+    .map((zone) => zone.name)
+    .join(" › ");
+}
+
+/**
+ * Get the zone a room rolls up to at a level
+ * @param {Object} index - Zone index from indexZones
+ * @param {string} room - Room ID
+ * @param {string} [level] - Zone level; the room's own zone if not given
+ * @returns {Object|null} The zone, or null if the room has none at that level
+ */
+function getRoomZone(index, room, level) {
+  const zoneId = index.zoneOfRoom[room];
+  if (!zoneId) return null;
+  if (!level) return index.byId[zoneId];
+
+  return (
+    getZonePath(index, zoneId).find((zone) => zone.level === level) || null
+  );
+}
+
+/**
+ * Get every room in a zone, including the rooms of the zones below it
+ * @param {Object} index - Zone index from indexZones
+ * @param {string} zoneId - Zone ID
+ * @returns {Set} Room IDs
+ */
+function getZoneRooms(index, zoneId) {
+  const rooms = new Set();
+  const visit = (zone, seen) => {
+    if (!zone || seen.has(zone._id)) return;
+    seen.add(zone._id);
+    (zone.rooms || []).forEach((room) => rooms.add(room));
+    (index.childrenOf[zone._id] || []).forEach((child) => visit(child, seen));
+  };
+  visit(index.byId[zoneId], new Set());
+
+  return rooms;
+}
+
+/**
+ * Build a filter for rooms in a zone
+ * @param {Object} index - Zone index from indexZones
+ * @param {string} [zoneId] - Zone ID; every room passes if not given
+ * @returns {Function} room => boolean
+ */
+function createZoneFilter(index, zoneId) {
+  if (!zoneId || !index.byId[zoneId]) return () => true;
+  const rooms = getZoneRooms(index, zoneId);
+  return (room) => rooms.has(room);
+}
+
+/**
+ * Roll movements and dwells up to the zones at a level
+ *
+ * Movements count towards the zone of the room they arrive in and dwells
+ * towards the zone of the room they were spent in. Rooms without a zone at
+ * the level are grouped as "Unassigned"; without a level every room is its
+ * own group.
+ *
+ * @param {Object} index - Zone index from indexZones
+ * @param {string} [level] - Zone level to group by
+ * @param {Object} data - { movements, dwells, getDwellHours, isInUse }
+ * @returns {Array} { key, name, rooms, devices, moves, distance, occupiedHours, inUseHours }, most moves first
+ */
+function summarizeByZone(index, level, data = {}) {
+  const groups = {};
+  const getGroup = (room) => {
+    let key = room;
+    let name = room;
+    if (level) {
+      const zone = getRoomZone(index, room, level);
+      key = zone ? zone._id : UNASSIGNED_ZONE;
+      name = zone ? zone.name : UNASSIGNED_ZONE;
+    }
+
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        name,
+        rooms: new Set(),
+        devices: new Set(),
+        moves: 0,
+        distance: 0,
+        occupiedHours: 0,
+        inUseHours: 0,
+      };
+    }
+    groups[key].rooms.add(room);
+    return groups[key];
+  };
+
+  (data.movements || []).forEach((movement) => {
+    if (!movement.toLocation) return;
+    const group = getGroup(movement.toLocation);
+    group.moves++;
+    group.distance += parseFloat(movement.distanceTraveled) || 0;
+    if (movement.deviceId) group.devices.add(movement.deviceId);
+  });
+
+  if (data.getDwellHours) {
+    (data.dwells || []).forEach((dwell) => {
+      if (!dwell.locationId) return;
+      const group = getGroup(dwell.locationId);
+      const hours = data.getDwellHours(dwell);
+      group.occupiedHours += hours;
+      if (data.isInUse && data.isInUse(dwell.status)) {
+        group.inUseHours += hours;
+      }
+      if (dwell.deviceId) group.devices.add(dwell.deviceId);
+    });
+  }
+
+  return Object.values(groups)
+    .map((group) => ({
+      ...group,
+      rooms: group.rooms.size,
+      devices: group.devices.size,
+    }))
+    .sort((a, b) => b.moves - a.moves || b.occupiedHours - a.occupiedHours);
+}
+
+/**
+ * Check a zone before it is saved
+ * @param {Object} zone - Zone to save; has an _id when it already exists
+ * @param {Array} zones - Saved zones
+ * @returns {Array} Problems found; empty if the zone is valid
+ */
+function validateZone(zone, zones = []) {
+  const errors = [];
+  const name = String(zone.name || "").trim();
+  if (!name) {
+    errors.push("Zone name is required");
+  }
+
+  const levelIndex = getLevelIndex(zone.level);
+  if (levelIndex === -1) {
+    errors.push(`Unknown zone level "${zone.level}"`);
+  }
+
+  const others = zones.filter((other) => other._id !== zone._id);
+  if (zone.parentId) {
+    const parent = zones.find((other) => other._id === zone.parentId);
+    if (!parent) {
+      errors.push("The parent zone does not exist");
+    } else if (levelIndex !== -1 && getLevelIndex(parent.level) >= levelIndex) {
+      errors.push(
+        `A ${getZoneLevelLabel(
+          zone.level
+        ).toLowerCase()} cannot be inside a ${getZoneLevelLabel(
+          parent.level
+        ).toLowerCase()}`
+      );
+    }
+  }
+
+  // Levels only go down the hierarchy, which also rules out cycles
+  if (
+    zone._id &&
+    levelIndex !== -1 &&
+    others.some(
+      (other) =>
+        other.parentId === zone._id && getLevelIndex(other.level) <= levelIndex
+    )
+  ) {
+    errors.push(
+      `Zones inside this one must be below the ${getZoneLevelLabel(
+        zone.level
+      ).toLowerCase()} level`
+    );
+  }
+
+  const duplicate = others.find(
+    (other) =>
+      (other.parentId || null) === (zone.parentId || null) &&
+      String(other.name).trim().toLowerCase() === name.toLowerCase()
+  );
+  if (name && duplicate) {
+    errors.push(`There is already a zone called ${name} here`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ZONE_LEVELS,
+  UNASSIGNED_ZONE,
+  getZoneLevelLabel,
+  indexZones,
+  getZonePath,
+  getZoneLabel,
+  getRoomZone,
+  getZoneRooms,
+  createZoneFilter,
+  summarizeByZone,
+  validateZone,
+};
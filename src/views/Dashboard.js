@@ -1,5 +1,15 @@
-import React, { useState, useEffect } from "react";
-import { Grid, Box, CircularProgress, Alert, AlertTitle } from "@mui/material";
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Grid,
+  Box,
+  CircularProgress,
+  Alert,
+  AlertTitle,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+} from "@mui/material";
 import {
   BarChart,
   Bar,
@@ -15,10 +25,23 @@ import {
 } from "recharts";
 import { useDataContext } from "../context/DataContext";
 import DashboardCard from "../components/DashboardCard";
+import mapDataService from "../services/MapDataService";
 import RecommendationCard from "../components/RecommendationCard";
+import RecommendationStatusFilter from "../components/RecommendationStatusFilter";
 import DeviceMovementChart from "../components/DeviceMovementChart";
 import TimeFilterSelector from "../components/TimeFilterSelector";
+import ZoneSelector from "../components/ZoneSelector";
 import { getStatusColor } from "../utils/helpers";
+import { indexFacility, getFloorLabel } from "../shared/facility";
+import {
+  createZoneFilter,
+  summarizeByZone,
+  getZoneLevelLabel,
+} from "../shared/zones";
+import {
+  isOpenRecommendation,
+  matchesStatusFilter,
+} from "../shared/recommendationStatus";
 
 // Empty arrays for initial rendering
 const emptyEquipmentData = [];
@@ -33,41 +56,45 @@ function Dashboard() {
     movements,
     filteredMovements,
     recommendations,
-    setRecommendations,
     loading,
     timeFilter,
     setTimeFilter,
     generateRecommendations,
+    getDeviceType,
     implementRecommendation,
     implementAllRecommendations,
+    updateRecommendationStatus,
+    zoneIndex,
   } = useDataContext();
   const [equipmentStats, setEquipmentStats] = useState(emptyEquipmentData);
   const [locationStats, setLocationStats] = useState(emptyDepartmentData);
   const [displayedRecommendations, setDisplayedRecommendations] = useState([]);
   const [unknownLocations, setUnknownLocations] = useState([]);
   const [floorPlan, setFloorPlan] = useState(null);
+  const [selectedFloor, setSelectedFloor] = useState("all");
+  const [selectedZone, setSelectedZone] = useState("");
+  const [statusFilter, setStatusFilter] = useState("open");
+  const [groupLevel, setGroupLevel] = useState("");
+
+  // Floors of the facility, and the movements into rooms on the selected
+  // floor and in the selected zone
+  const facility = useMemo(() => indexFacility(floorPlan), [floorPlan]);
+  const floorMovements = useMemo(() => {
+    if (!filteredMovements) return filteredMovements;
+    const inZone = createZoneFilter(zoneIndex, selectedZone);
+    return filteredMovements.filter(
+      (movement) =>
+        (selectedFloor === "all" ||
+          facility.floorOfRoom[movement.toLocation] === selectedFloor) &&
+        inZone(movement.toLocation)
+    );
+  }, [filteredMovements, facility, selectedFloor, zoneIndex, selectedZone]);
 
   // Load floor plan data
   useEffect(() => {
     const loadFloorPlan = async () => {
       try {
-        // Try both paths to handle different environments
-        let response;
-        try {
-          response = await fetch("/floor_plan_progress.json");
-          if (!response.ok) {
-            throw new Error("Not found at root path");
-          }
-        } catch (error) {
-          // Try alternative path
-          console.log("Trying alternative path for floor plan");
-          response = await fetch("./floor_plan_progress.json");
-          if (!response.ok) {
-            throw new Error(`Failed to load floor plan: ${response.status}`);
-          }
-        }
-
-        const data = await response.json();
+        const data = await mapDataService.getFloorPlan();
         console.log("Floor plan loaded successfully:", data);
         setFloorPlan(data);
       } catch (error) {
@@ -127,7 +154,7 @@ function Dashboard() {
 
         filteredMovements.forEach((movement) => {
           const deviceId = movement.deviceId || "";
-          const deviceType = deviceId.split("-")[0] || "Unknown";
+          const deviceType = getDeviceType(deviceId);
           const status = movement.status || "Unknown";
 
           // Only process each device once
@@ -181,32 +208,26 @@ function Dashboard() {
 
       // Process data to generate location stats and detect unknown locations
       if (filteredMovements && filteredMovements.length > 0) {
-        const locations = {};
         const unknownLocationSet = new Set();
 
+        // Check for unknown locations, which are not on any floor
         filteredMovements.forEach((movement) => {
-          const location = movement.toLocation || "Unknown";
-
-          // Check for unknown locations
           if (movement.hasUnknownLocation && movement.unknownLocations) {
             movement.unknownLocations.forEach((loc) =>
               unknownLocationSet.add(loc)
             );
           }
-
-          if (!locations[location]) {
-            locations[location] = { name: location, value: 0 };
-          }
-          locations[location].value++;
         });
 
         // Update unknown locations state
         setUnknownLocations(Array.from(unknownLocationSet));
 
-        // Convert to array and sort
-        const locationStatsData = Object.values(locations)
-          .filter((loc) => loc.name !== "Unknown") // Filter out Unknown locations
-          .sort((a, b) => b.value - a.value)
+        // Count arrivals per room, or per zone at the selected level
+        const locationStatsData = summarizeByZone(zoneIndex, groupLevel, {
+          movements: floorMovements,
+        })
+          .filter((group) => group.name !== "Unknown") // Filter out Unknown locations
+          .map((group) => ({ name: group.name, value: group.moves }))
           .slice(0, 5); // Take top 5 locations
 
         setLocationStats(
@@ -222,11 +243,37 @@ function Dashboard() {
     }
 
     // Set recommendations
-    if (recommendations && recommendations.length > 0) {
-      console.log("Recommendations received:", recommendations);
-      setDisplayedRecommendations(recommendations);
-    }
-  }, [devices, filteredMovements, recommendations, timeFilter]);
+    console.log("Recommendations received:", recommendations);
+    setDisplayedRecommendations(recommendations || []);
+  }, [
+    devices,
+    filteredMovements,
+    floorMovements,
+    recommendations,
+    timeFilter,
+    getDeviceType,
+    zoneIndex,
+    groupLevel,
+  ]);
+
+  // Placement recommendations in the selected zone, and every other kind,
+  // with the selected status
+  const zoneRecommendations = useMemo(() => {
+    const inZone = createZoneFilter(zoneIndex, selectedZone);
+    const now = new Date();
+    return displayedRecommendations.filter(
+      (recommendation) =>
+        matchesStatusFilter(recommendation, statusFilter, now) &&
+        (!recommendation.currentLocation ||
+          inZone(recommendation.currentLocation) ||
+          inZone(recommendation.optimalLocation))
+    );
+  }, [displayedRecommendations, zoneIndex, selectedZone, statusFilter]);
+
+  // Whether any recommendation is still to be implemented
+  const hasOpenRecommendations = displayedRecommendations.some(
+    (recommendation) => isOpenRecommendation(recommendation)
+  );
 
   // Handle time filter change
   const handleTimeFilterChange = (newTimeFilter) => {
@@ -238,25 +285,23 @@ function Dashboard() {
       // Call the implementRecommendation function from the DataContext
       const result = await implementRecommendation(recommendation._id);
 
-      if (result.success) {
-        // Remove the recommendation from the displayed recommendations
-        setDisplayedRecommendations((prevRecommendations) =>
-          prevRecommendations.filter((rec) => rec._id !== recommendation._id)
-        );
+      if (!result.success) {
+        console.error("Failed to implement recommendation:", result.message);
       }
     } catch (error) {
       console.error("Error implementing recommendation:", error);
     }
   };
 
+  const handleRecommendationStatusChange = (recommendation, change) =>
+    updateRecommendationStatus(recommendation._id, change);
+
   const handleImplementAllRecommendations = async () => {
     try {
       // Call the implementAllRecommendations function from the DataContext
       const result = await implementAllRecommendations();
 
       if (result.success) {
-        // Clear all displayed recommendations
-        setDisplayedRecommendations([]);
         console.log(
           `Successfully implemented ${result.implementedCount} recommendations`
         );
@@ -268,9 +313,7 @@ function Dashboard() {
 
   const handleGenerateRecommendations = async () => {
     try {
-      // Clear existing recommendations first to ensure we get fresh ones with the new calculation
-      setRecommendations([]);
-
+      // Recommendations keep their status when they are generated again
       const result = await generateRecommendations();
 
       if (result && !result.success) {
@@ -304,8 +347,8 @@ function Dashboard() {
           <Alert severity="warning" sx={{ mb: 3 }}>
             <AlertTitle>Unknown Locations Detected</AlertTitle>
             The following locations are not found in the floor plan:
-            <strong>{unknownLocations.join(", ")}</strong>. Please check the
-            data table for more details.
+            <strong>{unknownLocations.join(", ")}</strong>. Raw location names
+            can be assigned to rooms in the Location Aliases view.
           </Alert>
         )}
         <TimeFilterSelector
@@ -313,6 +356,33 @@ function Dashboard() {
           onChange={handleTimeFilterChange}
           label="Time Period"
         />
+        {facility.multiFloor && (
+          <FormControl sx={{ minWidth: 240, mt: 2 }} size="small">
+            <InputLabel>Floor</InputLabel>
+            <Select
+              value={selectedFloor}
+              label="Floor"
+              onChange={(event) => setSelectedFloor(event.target.value)}
+            >
+              <MenuItem value="all">All floors</MenuItem>
+              {facility.floors.map((floor) => (
+                <MenuItem key={floor.id} value={floor.id}>
+                  {getFloorLabel(floor)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        )}
+        {zoneIndex.zones.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <ZoneSelector
+              zoneId={selectedZone}
+              onZoneChange={setSelectedZone}
+              groupLevel={groupLevel}
+              onGroupLevelChange={setGroupLevel}
+            />
+          </Box>
+        )}
       </Box>
       <Grid container spacing={3}>
         {/* Equipment Usage Chart */}
@@ -341,9 +411,13 @@ function Dashboard() {
         {/* Location Distribution Chart */}
         <Grid item xs={12} md={6}>
           <DashboardCard
-            title="Equipment by Location"
+            title={
+              groupLevel
+                ? `Equipment by ${getZoneLevelLabel(groupLevel)}`
+                : "Equipment by Location"
+            }
             loading={loading}
-            infoTooltip="Shows the distribution of equipment across different locations"
+            infoTooltip="Shows where equipment arrives most often, by room or rolled up to the selected zone level"
           >
             <ResponsiveContainer width="100%" height={300}>
               <PieChart>
@@ -377,10 +451,10 @@ function Dashboard() {
           <DashboardCard
             title="Device Movement Distance"
             loading={loading || !floorPlan}
-            infoTooltip="Shows the total distance each device has moved (multiplied by 1.6)"
+            infoTooltip="Shows the total distance each device has moved, in metres on the calibrated floor plan"
           >
             <DeviceMovementChart
-              movements={filteredMovements}
+              movements={floorMovements}
               floorPlan={floorPlan}
             />
           </DashboardCard>
@@ -394,7 +468,12 @@ function Dashboard() {
             loading={loading}
             action={
               <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
-                {displayedRecommendations.length > 0 && (
+                <RecommendationStatusFilter
+                  value={statusFilter}
+                  onChange={setStatusFilter}
+                  recommendations={displayedRecommendations}
+                />
+                {hasOpenRecommendations && (
                   <Box
                     component="button"
                     onClick={handleImplementAllRecommendations}
@@ -440,12 +519,13 @@ function Dashboard() {
             }
           >
             <Grid container spacing={2}>
-              {displayedRecommendations.length > 0 ? (
-                displayedRecommendations.map((recommendation) => (
+              {zoneRecommendations.length > 0 ? (
+                zoneRecommendations.map((recommendation) => (
                   <Grid item xs={12} md={4} key={recommendation._id}>
                     <RecommendationCard
                       recommendation={recommendation}
                       onImplement={handleImplementRecommendation}
+                      onStatusChange={handleRecommendationStatusChange}
                     />
                   </Grid>
                 ))
@@ -453,7 +533,9 @@ function Dashboard() {
                 <Grid item xs={12}>
                   <Box sx={{ textAlign: "center", py: 4 }}>
                     <Box sx={{ color: "text.secondary", mb: 2 }}>
-                      No recommendations available yet.
+                      {displayedRecommendations.length > 0
+                        ? "No recommendations with this status."
+                        : "No recommendations available yet."}
                     </Box>
                     <Box
                       component="button"
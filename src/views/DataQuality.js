@@ -0,0 +1,510 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Grid,
+  Button,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  Collapse,
+  IconButton,
+  Snackbar,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import {
+  Refresh as RefreshIcon,
+  KeyboardArrowDown as ExpandIcon,
+  KeyboardArrowUp as CollapseIcon,
+  Block as ExcludeIcon,
+  Undo as IncludeIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import { formatDate } from "../utils/helpers";
+import { ISSUE_TYPES } from "../shared/dataQuality";
+
+// Short description of what is wrong with an issue's rows
+const describeIssue = (issue) => {
+  const { details } = issue;
+
+  switch (issue.type) {
+    case "invalidInterval":
+      return `Ends ${details.minutes} min before it starts`;
+    case "overlap":
+      return `Stays overlap by ${details.minutes} min`;
+    case "gap":
+      return `${details.hours} h without readings`;
+    case "teleport":
+      return `${details.distanceMetres} m in ${details.seconds} s (walking takes about ${details.minimumSeconds} s)`;
+    default:
+      return "";
+  }
+};
+
+const getScoreColor = (score) => {
+  if (score >= 95) return "success";
+  if (score >= 80) return "warning";
+  return "error";
+};
+
+function DataQuality() {
+  const { loadDataQuality, setExcludedFromAnalysis, settings } =
+    useDataContext();
+  const [report, setReport] = useState(null);
+  const [loadingReport, setLoadingReport] = useState(true);
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [deviceFilter, setDeviceFilter] = useState(null);
+  const [expandedIssue, setExpandedIssue] = useState(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  const timeZone = settings.facilityTimezone;
+
+  const refresh = useCallback(async () => {
+    setLoadingReport(true);
+    const result = await loadDataQuality();
+    if (result.success) {
+      setReport(result);
+    } else {
+      setSnackbar({
+        open: true,
+        message: result.message || "Failed to check data quality",
+        severity: "error",
+      });
+    }
+    setLoadingReport(false);
+  }, [loadDataQuality]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleToggleExcluded = async (issue) => {
+    setSaving(true);
+    try {
+      const excluded = !issue.excluded;
+      const result = await setExcludedFromAnalysis(issue.dwellIds, excluded);
+
+      if (result.success) {
+        setSnackbar({
+          open: true,
+          message: excluded
+            ? `Excluded ${result.updatedDwells} stays and ${result.updatedMovements} movements from analysis`
+            : `Included ${result.updatedDwells} stays and ${result.updatedMovements} movements in analysis again`,
+          severity: "success",
+        });
+        await refresh();
+      } else {
+        setSnackbar({
+          open: true,
+          message: result.message || "Failed to update the records",
+          severity: "error",
+        });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSelectType = (type) => {
+    setTypeFilter((prev) => (prev === type ? null : type));
+    setPage(0);
+  };
+
+  const handleSelectDevice = (deviceId) => {
+    setDeviceFilter((prev) => (prev === deviceId ? null : deviceId));
+    setPage(0);
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  if (loadingReport && !report) {
+    return (
+      <Box className="content-container" sx={{ textAlign: "center", mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const issues = report
+    ? report.issues.filter(
+        (issue) =>
+          (!typeFilter || issue.type === typeFilter) &&
+          (!deviceFilter || issue.deviceId === deviceFilter)
+      )
+    : [];
+  const pageIssues = issues.slice(
+    page * rowsPerPage,
+    page * rowsPerPage + rowsPerPage
+  );
+
+  return (
+    <Box className="content-container">
+      <Card>
+        <CardHeader
+          title="Data Quality"
+          action={
+            <Button
+              startIcon={<RefreshIcon />}
+              onClick={refresh}
+              disabled={loadingReport}
+            >
+              Refresh
+            </Button>
+          }
+        />
+        <CardContent>
+          {report && report.overall.dwellCount === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No stays have been imported yet.
+            </Typography>
+          ) : (
+            report && (
+              <Grid container spacing={3}>
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Overall score: {report.overall.score}%
+                    </Typography>
+                    <Typography variant="body2" color="textSecondary" paragraph>
+                      {report.overall.flaggedDwells} of{" "}
+                      {report.overall.dwellCount} stays are involved in an
+                      issue. Moves are flagged when faster than{" "}
+                      {(
+                        report.options.walkingModel.walkingSpeed *
+                        report.options.speedTolerance
+                      ).toFixed(1)}{" "}
+                      m/s and gaps when longer than {report.options.maxGapHours}{" "}
+                      hours. Select an issue type or device to list its issues.
+                    </Typography>
+                    <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+                      {Object.entries(ISSUE_TYPES).map(([type, info]) => (
+                        <Chip
+                          key={type}
+                          label={`${info.label}: ${report.issueCounts[type]}`}
+                          title={info.description}
+                          color={
+                            report.issueCounts[type] > 0 ? "warning" : "default"
+                          }
+                          variant={typeFilter === type ? "filled" : "outlined"}
+                          onClick={() => handleSelectType(type)}
+                        />
+                      ))}
+                    </Box>
+                  </Paper>
+                </Grid>
+
+                <Grid item xs={12} md={6}>
+                  <Paper sx={{ p: 2 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Devices
+                    </Typography>
+                    <TableContainer sx={{ maxHeight: 320 }}>
+                      <Table size="small" stickyHeader>
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Device</TableCell>
+                            <TableCell align="right">Stays</TableCell>
+                            <TableCell align="right">Issues</TableCell>
+                            <TableCell align="right">Score</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {report.devices.map((device) => (
+                            <TableRow
+                              key={device.deviceId}
+                              hover
+                              selected={deviceFilter === device.deviceId}
+                              onClick={() =>
+                                handleSelectDevice(device.deviceId)
+                              }
+                              sx={{ cursor: "pointer" }}
+                            >
+                              <TableCell>{device.deviceId}</TableCell>
+                              <TableCell align="right">
+                                {device.dwellCount}
+                              </TableCell>
+                              <TableCell align="right">
+                                {device.issueCount}
+                              </TableCell>
+                              <TableCell align="right">
+                                <Chip
+                                  size="small"
+                                  label={`${device.score}%`}
+                                  color={getScoreColor(device.score)}
+                                />
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </Paper>
+                </Grid>
+
+                <Grid item xs={12} md={6}>
+                  <Paper sx={{ p: 2 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Imports
+                    </Typography>
+                    <TableContainer sx={{ maxHeight: 320 }}>
+                      <Table size="small" stickyHeader>
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>File</TableCell>
+                            <TableCell>Imported</TableCell>
+                            <TableCell align="right">Stays</TableCell>
+                            <TableCell align="right">Issues</TableCell>
+                            <TableCell align="right">Score</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {report.batches.length === 0 && (
+                            <TableRow>
+                              <TableCell colSpan={5}>
+                                <Typography
+                                  variant="body2"
+                                  color="textSecondary"
+                                >
+                                  No import batches recorded.
+                                </Typography>
+                              </TableCell>
+                            </TableRow>
+                          )}
+                          {report.batches.map((batch) => (
+                            <TableRow key={batch.importBatchId}>
+                              <TableCell>
+                                {batch.fileName || batch.importBatchId}
+                              </TableCell>
+                              <TableCell>
+                                {batch.importedAt
+                                  ? formatDate(batch.importedAt)
+                                  : "-"}
+                              </TableCell>
+                              <TableCell align="right">
+                                {batch.dwellCount}
+                              </TableCell>
+                              <TableCell align="right">
+                                {batch.issueCount}
+                              </TableCell>
+                              <TableCell align="right">
+                                <Chip
+                                  size="small"
+                                  label={`${batch.score}%`}
+                                  color={getScoreColor(batch.score)}
+                                />
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </Paper>
+                </Grid>
+
+                <Grid item xs={12}>
+                  <Paper sx={{ p: 2 }}>
+                    <Typography variant="h6" gutterBottom>
+                      Issues ({issues.length})
+                    </Typography>
+                    {(typeFilter || deviceFilter) && (
+                      <Box sx={{ display: "flex", gap: 1, mb: 1 }}>
+                        {typeFilter && (
+                          <Chip
+                            size="small"
+                            label={ISSUE_TYPES[typeFilter].label}
+                            onDelete={() => handleSelectType(typeFilter)}
+                          />
+                        )}
+                        {deviceFilter && (
+                          <Chip
+                            size="small"
+                            label={deviceFilter}
+                            onDelete={() => handleSelectDevice(deviceFilter)}
+                          />
+                        )}
+                      </Box>
+                    )}
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell />
+                            <TableCell>Issue</TableCell>
+                            <TableCell>Device</TableCell>
+                            <TableCell>Time In</TableCell>
+                            <TableCell>Details</TableCell>
+                            <TableCell />
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {pageIssues.map((issue) => (
+                            <React.Fragment key={issue.id}>
+                              <TableRow
+                                sx={{
+                                  "& > *": { borderBottom: "unset" },
+                                  opacity: issue.excluded ? 0.6 : 1,
+                                }}
+                              >
+                                <TableCell padding="checkbox">
+                                  <IconButton
+                                    size="small"
+                                    onClick={() =>
+                                      setExpandedIssue((prev) =>
+                                        prev === issue.id ? null : issue.id
+                                      )
+                                    }
+                                  >
+                                    {expandedIssue === issue.id ? (
+                                      <CollapseIcon />
+                                    ) : (
+                                      <ExpandIcon />
+                                    )}
+                                  </IconButton>
+                                </TableCell>
+                                <TableCell>
+                                  {ISSUE_TYPES[issue.type].label}
+                                </TableCell>
+                                <TableCell>{issue.deviceId}</TableCell>
+                                <TableCell>
+                                  {formatDate(issue.timeIn, timeZone)}
+                                </TableCell>
+                                <TableCell>{describeIssue(issue)}</TableCell>
+                                <TableCell align="right">
+                                  <Button
+                                    size="small"
+                                    color={issue.excluded ? "primary" : "error"}
+                                    startIcon={
+                                      issue.excluded ? (
+                                        <IncludeIcon />
+                                      ) : (
+                                        <ExcludeIcon />
+                                      )
+                                    }
+                                    onClick={() => handleToggleExcluded(issue)}
+                                    disabled={saving}
+                                  >
+                                    {issue.excluded ? "Include" : "Exclude"}
+                                  </Button>
+                                </TableCell>
+                              </TableRow>
+                              <TableRow>
+                                <TableCell
+                                  colSpan={6}
+                                  sx={{ py: 0, borderBottom: "unset" }}
+                                >
+                                  <Collapse
+                                    in={expandedIssue === issue.id}
+                                    unmountOnExit
+                                  >
+                                    <Table size="small" sx={{ mb: 2 }}>
+                                      <TableHead>
+                                        <TableRow>
+                                          <TableCell>Location</TableCell>
+                                          <TableCell>Status</TableCell>
+                                          <TableCell>Time In (raw)</TableCell>
+                                          <TableCell>Time Out (raw)</TableCell>
+                                          <TableCell>Time In</TableCell>
+                                          <TableCell>Time Out</TableCell>
+                                          <TableCell>Analysis</TableCell>
+                                        </TableRow>
+                                      </TableHead>
+                                      <TableBody>
+                                        {issue.rows.map((row, index) => (
+                                          <TableRow key={issue.dwellIds[index]}>
+                                            <TableCell>
+                                              {row.locationId}
+                                              {row.locationRaw &&
+                                                row.locationRaw !==
+                                                  row.locationId &&
+                                                ` (${row.locationRaw})`}
+                                            </TableCell>
+                                            <TableCell>{row.status}</TableCell>
+                                            <TableCell>
+                                              {row.timeInRaw || "-"}
+                                            </TableCell>
+                                            <TableCell>
+                                              {row.timeOutRaw || "-"}
+                                            </TableCell>
+                                            <TableCell>
+                                              {formatDate(row.timeIn, timeZone)}
+                                            </TableCell>
+                                            <TableCell>
+                                              {formatDate(
+                                                row.timeOut,
+                                                timeZone
+                                              )}
+                                            </TableCell>
+                                            <TableCell>
+                                              {row.excludedFromAnalysis
+                                                ? "Excluded"
+                                                : "Included"}
+                                            </TableCell>
+                                          </TableRow>
+                                        ))}
+                                      </TableBody>
+                                    </Table>
+                                  </Collapse>
+                                </TableCell>
+                              </TableRow>
+                            </React.Fragment>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                    <TablePagination
+                      component="div"
+                      count={issues.length}
+                      page={page}
+                      onPageChange={(event, newPage) => setPage(newPage)}
+                      rowsPerPage={rowsPerPage}
+                      onRowsPerPageChange={(event) => {
+                        setRowsPerPage(parseInt(event.target.value, 10));
+                        setPage(0);
+                      }}
+                      rowsPerPageOptions={[10, 25, 50, 100]}
+                    />
+                  </Paper>
+                </Grid>
+              </Grid>
+            )
+          )}
+        </CardContent>
+      </Card>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default DataQuality;
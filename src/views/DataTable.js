@@ -35,15 +35,26 @@ import {
   convertToCSV,
   getStatusColor,
 } from "../utils/helpers";
+import { toMetres, formatDistance } from "../shared/walkingModel";
+import {
+  createZoneFilter,
+  getRoomZone,
+  getZoneLabel,
+  getZoneLevelLabel,
+  summarizeByZone,
+} from "../shared/zones";
+import ZoneSelector from "../components/ZoneSelector";
 
 function DataTable() {
-  const { movements, loading } = useDataContext();
+  const { movements, loading, settings, zoneIndex } = useDataContext();
   const [tableData, setTableData] = useState([]);
   const [order, setOrder] = useState("asc");
   const [orderBy, setOrderBy] = useState("deviceId");
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [searchTerm, setSearchTerm] = useState("");
+  const [selectedZone, setSelectedZone] = useState("");
+  const [groupLevel, setGroupLevel] = useState("");
   const [exportMenuAnchorEl, setExportMenuAnchorEl] = useState(null);
   const exportMenuOpen = Boolean(exportMenuAnchorEl);
 
@@ -109,6 +120,17 @@ function DataTable() {
     setPage(0);
   };
 
+  // Full name of the zone a room is in, or "" if it has none
+  const getRoomZoneLabel = (room) => {
+    const zone = getRoomZone(zoneIndex, room);
+    return zone ? getZoneLabel(zoneIndex, zone._id) : "";
+  };
+
+  const handleZoneChange = (zoneId) => {
+    setSelectedZone(zoneId);
+    setPage(0);
+  };
+
   const handleSearchChange = (event) => {
     setSearchTerm(event.target.value);
     setPage(0);
@@ -172,6 +194,7 @@ function DataTable() {
       "timeIn",
       "timeOut",
       "distanceTraveled",
+      "toZone",
     ];
 
     let dataToExport = [...filteredData];
@@ -229,6 +252,8 @@ function DataTable() {
     const csvData = dataToExport.map((row) => {
       // Extract device type and ID
       const deviceId = getRowValue(row, "deviceId") || "";
+      const toLocation =
+        getRowValue(row, "toLocation") || getRowValue(row, "location");
 
       return {
         deviceId: deviceId,
@@ -244,6 +269,7 @@ function DataTable() {
           getRowValue(row, "distanceTraveled") ||
           getRowValue(row, "distance") ||
           "0",
+        toZone: getRoomZoneLabel(toLocation),
       };
     });
 
@@ -271,12 +297,23 @@ function DataTable() {
     return 0;
   };
 
+  // Movements into or out of the selected zone
+  const inZone = createZoneFilter(zoneIndex, selectedZone);
+
   // Make sure tableData is an array before filtering
   const filteredData = Array.isArray(tableData)
     ? tableData.filter((row) => {
         if (!row) return false;
 
         try {
+          if (
+            selectedZone &&
+            !inZone(getRowValue(row, "fromLocation")) &&
+            !inZone(getRowValue(row, "toLocation"))
+          ) {
+            return false;
+          }
+
           // Check all possible field names
           const fieldsToCheck = [
             getRowValue(row, "deviceId"),
@@ -285,6 +322,7 @@ function DataTable() {
             getRowValue(row, "status"),
             getRowValue(row, "timeIn"),
             getRowValue(row, "timeOut"),
+            getRoomZoneLabel(getRowValue(row, "toLocation")),
           ];
 
           return fieldsToCheck.some(
@@ -302,6 +340,17 @@ function DataTable() {
 
   const sortedData = filteredData.sort(getComparator(order, orderBy));
 
+  // Arrivals and distance per zone at the selected level
+  const zoneSummary = groupLevel
+    ? summarizeByZone(zoneIndex, groupLevel, {
+        movements: filteredData.map((row) => ({
+          deviceId: getRowValue(row, "deviceId"),
+          toLocation: getRowValue(row, "toLocation"),
+          distanceTraveled: getRowValue(row, "distanceTraveled"),
+        })),
+      })
+    : [];
+
   const paginatedData = sortedData.slice(
     page * rowsPerPage,
     page * rowsPerPage + rowsPerPage
@@ -387,6 +436,48 @@ function DataTable() {
         </Menu>
       </Box>
 
+      {zoneIndex.zones.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <ZoneSelector
+            zoneId={selectedZone}
+            onZoneChange={handleZoneChange}
+            groupLevel={groupLevel}
+            onGroupLevelChange={setGroupLevel}
+          />
+        </Box>
+      )}
+
+      {zoneSummary.length > 0 && (
+        <TableContainer component={Paper} sx={{ mb: 2 }}>
+          <Table size="small" aria-label="movements by zone">
+            <TableHead>
+              <TableRow>
+                <TableCell>{getZoneLevelLabel(groupLevel)}</TableCell>
+                <TableCell align="right">Arrivals</TableCell>
+                <TableCell align="right">Devices</TableCell>
+                <TableCell align="right">Rooms</TableCell>
+                <TableCell align="right">Distance</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {zoneSummary.map((group) => (
+                <TableRow key={group.key}>
+                  <TableCell>{group.name}</TableCell>
+                  <TableCell align="right">{group.moves}</TableCell>
+                  <TableCell align="right">{group.devices}</TableCell>
+                  <TableCell align="right">{group.rooms}</TableCell>
+                  <TableCell align="right">
+                    {formatDistance(
+                      toMetres(group.distance, settings.walkingModel)
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+
       <TableContainer component={Paper}>
         <Table sx={{ minWidth: 650 }} aria-label="equipment data table">
           <TableHead>
@@ -451,7 +542,7 @@ function DataTable() {
                   direction={orderBy === "distanceTraveled" ? order : "asc"}
                   onClick={() => handleRequestSort("distanceTraveled")}
                 >
-                  Distance (feet)
+                  Distance (m)
                 </TableSortLabel>
               </TableCell>
             </TableRow>
@@ -561,6 +652,15 @@ function DataTable() {
                           {getRowValue(row, "toLocation") ||
                             getRowValue(row, "location") ||
                             "Unknown"}
+                          {getRoomZoneLabel(getRowValue(row, "toLocation")) && (
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                              display="block"
+                            >
+                              {getRoomZoneLabel(getRowValue(row, "toLocation"))}
+                            </Typography>
+                          )}
                           {hasUnknownLocation &&
                             unknownLocations.includes(
                               getRowValue(row, "toLocation")
@@ -591,12 +691,15 @@ function DataTable() {
                       </TableCell>
                       <TableCell>
                         {formatDate(
-                          getRowValue(row, "timeIn") || getRowValue(row, "in")
+                          getRowValue(row, "timeIn") || getRowValue(row, "in"),
+                          settings.facilityTimezone
                         )}
                       </TableCell>
                       <TableCell>
                         {formatDate(
-                          getRowValue(row, "timeOut") || getRowValue(row, "out")
+                          getRowValue(row, "timeOut") ||
+                            getRowValue(row, "out"),
+                          settings.facilityTimezone
                         )}
                       </TableCell>
                       <TableCell>
@@ -605,10 +708,12 @@ function DataTable() {
                             getRowValue(row, "distanceTraveled") ||
                             getRowValue(row, "distance") ||
                             "0";
-                          // Apply 1.6 multiplier if it's a number
+                          // Convert plan units to metres if it's a number
                           if (!isNaN(parseFloat(distance))) {
-                            const distanceValue = parseFloat(distance) * 1.6;
-                            return distanceValue.toFixed(2);
+                            return toMetres(
+                              parseFloat(distance),
+                              settings.walkingModel
+                            ).toFixed(2);
                           }
                           return distance;
                         })()}
@@ -0,0 +1,418 @@
+import React, { useState } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  Snackbar,
+  Alert,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  CloudUpload as CloudUploadIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import { formatNumber } from "../utils/helpers";
+import { CATALOG_FIELDS, extractDeviceType } from "../shared/deviceCatalog";
+
+const EMPTY_ENTRY = CATALOG_FIELDS.reduce(
+  (entry, { field }) => ({ ...entry, [field]: "" }),
+  {}
+);
+
+// Form values of a device, with blanks for missing fields
+const toFormEntry = (device) => {
+  const entry = { ...EMPTY_ENTRY };
+  CATALOG_FIELDS.forEach(({ field }) => {
+    const value = device[field];
+    entry[field] = value === undefined || value === null ? "" : String(value);
+  });
+
+  // A type from the pattern is shown as the placeholder, not as a value
+  if (device.typeSource !== "catalog") {
+    entry.deviceType = "";
+  }
+  return entry;
+};
+
+function DeviceCatalog() {
+  const {
+    devices,
+    saveDevice,
+    deleteDevice,
+    importDeviceCatalog,
+    settings,
+    getDeviceType,
+  } = useDataContext();
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [editing, setEditing] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  const query = search.trim().toLowerCase();
+  const filteredDevices = devices
+    .filter(
+      (device) =>
+        !query ||
+        CATALOG_FIELDS.some(({ field }) =>
+          String(device[field] || "")
+            .toLowerCase()
+            .includes(query)
+        )
+    )
+    .sort((a, b) => a.deviceId.localeCompare(b.deviceId));
+  const pageDevices = filteredDevices.slice(
+    page * rowsPerPage,
+    page * rowsPerPage + rowsPerPage
+  );
+
+  const handleEdit = (device) => {
+    setFormErrors([]);
+    setEditing(
+      device
+        ? { isNew: false, entry: toFormEntry(device) }
+        : { isNew: true, entry: { ...EMPTY_ENTRY } }
+    );
+  };
+
+  const handleFieldChange = (field, value) => {
+    setEditing((prev) => ({
+      ...prev,
+      entry: { ...prev.entry, [field]: value },
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await saveDevice(editing.entry);
+
+      if (result.success) {
+        setSnackbar({
+          open: true,
+          message: `${result.created ? "Added" : "Updated"} ${
+            editing.entry.deviceId
+          }`,
+          severity: "success",
+        });
+        setEditing(null);
+      } else {
+        setFormErrors(result.errors || ["Failed to save device"]);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (device) => {
+    const result = await deleteDevice(device.deviceId);
+    setSnackbar({
+      open: true,
+      message: result.success
+        ? result.removed
+          ? `Removed ${device.deviceId}`
+          : `Cleared the catalog details of ${device.deviceId}; its RTLS data is kept`
+        : result.message || "Failed to remove device",
+      severity: result.success ? "success" : "error",
+    });
+  };
+
+  const handleImport = async () => {
+    if (!window.electron) {
+      setSnackbar({
+        open: true,
+        message: "File dialog not available in development mode",
+        severity: "info",
+      });
+      return;
+    }
+
+    const filePath = await window.electron.openFileDialog();
+    if (!filePath) return;
+
+    setSaving(true);
+    try {
+      const result = await importDeviceCatalog(filePath);
+      setImportResult(result);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  const renderTypeCell = (device) => {
+    const type = device.deviceType || getDeviceType(device.deviceId);
+    if (device.typeSource === "catalog") return type;
+
+    return (
+      <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+        {type}
+        <Chip
+          size="small"
+          variant="outlined"
+          label="from ID"
+          title="Derived from the device ID with the type pattern in Settings"
+        />
+      </Box>
+    );
+  };
+
+  return (
+    <Box className="content-container">
+      <Card>
+        <CardHeader
+          title="Device Catalog"
+          action={
+            <Box sx={{ display: "flex", gap: 1 }}>
+              <Button
+                startIcon={<CloudUploadIcon />}
+                onClick={handleImport}
+                disabled={saving}
+              >
+                Import Asset Register
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => handleEdit(null)}
+              >
+                Add Device
+              </Button>
+            </Box>
+          }
+        />
+        <CardContent>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Analytics group devices by their catalog type. Devices without one
+            are typed from their ID with the type pattern set in Settings. An
+            asset register CSV needs a device ID column (Device, Tag or Asset
+            Tag) and may also have Type, Model, Serial Number, Department,
+            Purchase Date and Cost columns.
+          </Typography>
+
+          {importResult && (
+            <Alert
+              severity={
+                !importResult.success
+                  ? "error"
+                  : importResult.errors.length > 0
+                  ? "warning"
+                  : "success"
+              }
+              onClose={() => setImportResult(null)}
+              sx={{ mb: 2 }}
+            >
+              {importResult.success ? (
+                <>
+                  {importResult.fileName}: {importResult.created} devices added,{" "}
+                  {importResult.updated} updated
+                  {importResult.errors.length > 0 &&
+                    `, ${importResult.errors.length} rows skipped`}
+                  {importResult.errors.slice(0, 5).map((error) => (
+                    <Typography key={error.line} variant="body2">
+                      Line {error.line}: {error.error}
+                    </Typography>
+                  ))}
+                </>
+              ) : (
+                importResult.message
+              )}
+            </Alert>
+          )}
+
+          <TextField
+            size="small"
+            label="Search"
+            value={search}
+            onChange={(event) => {
+              setSearch(event.target.value);
+              setPage(0);
+            }}
+            sx={{ mb: 2, minWidth: 300 }}
+          />
+
+          {devices.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No devices yet. Import RTLS data or an asset register, or add a
+              device.
+            </Typography>
+          ) : (
+            <>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      {CATALOG_FIELDS.map(({ field, label }) => (
+                        <TableCell
+                          key={field}
+                          align={field === "acquisitionCost" ? "right" : "left"}
+                        >
+                          {label}
+                        </TableCell>
+                      ))}
+                      <TableCell>Location</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {pageDevices.map((device) => (
+                      <TableRow key={device.deviceId} hover>
+                        <TableCell>{device.deviceId}</TableCell>
+                        <TableCell>{renderTypeCell(device)}</TableCell>
+                        <TableCell>{device.model || "-"}</TableCell>
+                        <TableCell>{device.serialNumber || "-"}</TableCell>
+                        <TableCell>{device.department || "-"}</TableCell>
+                        <TableCell>{device.purchaseDate || "-"}</TableCell>
+                        <TableCell align="right">
+                          {typeof device.acquisitionCost === "number"
+                            ? `$${formatNumber(device.acquisitionCost)}`
+                            : "-"}
+                        </TableCell>
+                        <TableCell>{device.currentLocation || "-"}</TableCell>
+                        <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleEdit(device)}
+                          >
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleDelete(device)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              <TablePagination
+                component="div"
+                count={filteredDevices.length}
+                page={page}
+                onPageChange={(event, newPage) => setPage(newPage)}
+                rowsPerPage={rowsPerPage}
+                onRowsPerPageChange={(event) => {
+                  setRowsPerPage(parseInt(event.target.value, 10));
+                  setPage(0);
+                }}
+                rowsPerPageOptions={[10, 25, 50, 100]}
+              />
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {editing && editing.isNew ? "Add Device" : "Edit Device"}
+        </DialogTitle>
+        <DialogContent>
+          {formErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {formErrors.join(". ")}
+            </Alert>
+          )}
+          {editing && (
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              {CATALOG_FIELDS.map(({ field, label }) => (
+                <Grid item xs={12} sm={6} key={field}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={label}
+                    value={editing.entry[field]}
+                    onChange={(event) =>
+                      handleFieldChange(field, event.target.value)
+                    }
+                    disabled={field === "deviceId" && !editing.isNew}
+                    type={field === "purchaseDate" ? "date" : "text"}
+                    InputLabelProps={
+                      field === "purchaseDate" ? { shrink: true } : undefined
+                    }
+                    placeholder={
+                      field === "deviceType" && editing.entry.deviceId
+                        ? extractDeviceType(
+                            editing.entry.deviceId,
+                            settings.deviceTypePattern
+                          )
+                        : undefined
+                    }
+                    helperText={
+                      field === "deviceType"
+                        ? "Leave blank to derive it from the device ID"
+                        : " "
+                    }
+                  />
+                </Grid>
+              ))}
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !editing || !editing.entry.deviceId.trim()}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default DeviceCatalog;
@@ -0,0 +1,1456 @@
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  Typography,
+  TextField,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  ToggleButtonGroup,
+  ToggleButton,
+  FormControlLabel,
+  Switch,
+  Slider,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  Snackbar,
+  Alert,
+  AlertTitle,
+  CircularProgress,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+} from "@mui/material";
+import {
+  PanTool as PanToolIcon,
+  AddLocationAlt as AddLocationAltIcon,
+  Timeline as TimelineIcon,
+  Texture as TextureIcon,
+  Delete as DeleteIcon,
+  Save as SaveIcon,
+  Undo as UndoIcon,
+  RestartAlt as RestartAltIcon,
+  Layers as LayersIcon,
+  Image as ImageIcon,
+  Straighten as StraightenIcon,
+} from "@mui/icons-material";
+import mapDataService from "../services/MapDataService";
+import { useDataContext } from "../context/DataContext";
+import {
+  getStraightLineDistance,
+  getPlanSize,
+  validateMapData,
+} from "../shared/floorPlan";
+import {
+  CONNECTOR_TYPES,
+  getFloorLabel,
+  indexFacility,
+  toFloorsFormat,
+} from "../shared/facility";
+import {
+  calibrateScale,
+  formatDistance,
+  toMetres,
+} from "../shared/walkingModel";
+
+// Screen pixels per plan unit at 100% zoom
+const PIXELS_PER_UNIT = 4;
+
+const MODES = [
+  { id: "select", label: "Select / Move", icon: <PanToolIcon /> },
+  { id: "add", label: "Add Room", icon: <AddLocationAltIcon /> },
+  { id: "connect", label: "Connect", icon: <TimelineIcon /> },
+  { id: "walls", label: "Walls", icon: <TextureIcon /> },
+  { id: "delete", label: "Delete", icon: <DeleteIcon /> },
+  { id: "measure", label: "Calibrate", icon: <StraightenIcon /> },
+];
+
+const MODE_HINTS = {
+  select: "Click a room to select it, or drag it to move it.",
+  add: "Click the plan where the new room should go.",
+  connect:
+    "Click two rooms to draw a corridor between them. Its length is the straight-line distance.",
+  walls: "Click or drag across the plan to add or remove wall cells.",
+  delete:
+    "Click a room to delete it and its corridors, or a wall cell to remove it.",
+  measure:
+    "Click two points whose real distance you know, such as the ends of a corridor, to set the plan scale.",
+};
+
+// Copy of the map that can be edited without touching the loaded one. Edges
+// are replaced rather than changed in place, so the edge list is copied
+// shallowly. The editor always works on the multi-floor format.
+const cloneMap = ({ graphData, floorPlan }) => ({
+  graphData: {
+    ...graphData,
+    nodes: [...(graphData.nodes || [])],
+    edges: [...(graphData.edges || [])],
+    connectors: [...(graphData.connectors || [])],
+  },
+  floorPlan: {
+    ...floorPlan,
+    floors: toFloorsFormat(floorPlan).floors.map((floor) => ({
+      ...floor,
+      rooms: { ...floor.rooms },
+      walls: floor.walls.map((wall) => [...wall]),
+    })),
+  },
+});
+
+const emptyFloor = { id: "", name: "", building: "", level: 0, image: "" };
+
+const isEdgeOf = (edge, room) => edge[0] === room || edge[1] === room;
+
+function FloorPlanEditor() {
+  const { settings, saveSettings } = useDataContext();
+  const walkingModel = settings.walkingModel;
+  const svgRef = useRef(null);
+  const [map, setMap] = useState(null);
+  const [customized, setCustomized] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [dirty, setDirty] = useState(false);
+  const [mode, setMode] = useState("select");
+  const [zoom, setZoom] = useState(100);
+  const [showAllEdges, setShowAllEdges] = useState(false);
+  const [selectedRoom, setSelectedRoom] = useState(null);
+  const [connectFrom, setConnectFrom] = useState(null);
+  const [placingRoom, setPlacingRoom] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [newRoom, setNewRoom] = useState(null);
+  const [renameValue, setRenameValue] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [saveResult, setSaveResult] = useState(null);
+  const [confirmRevert, setConfirmRevert] = useState(false);
+  const [floorId, setFloorId] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [editingFloor, setEditingFloor] = useState(null);
+  const [measure, setMeasure] = useState(null);
+  const [newConnector, setNewConnector] = useState({
+    type: "elevator",
+    room: null,
+    penaltySeconds: CONNECTOR_TYPES.elevator.penaltySeconds,
+  });
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  const loadMap = async (force = false) => {
+    setLoading(true);
+    try {
+      const data = await mapDataService.load(force);
+      const editable = cloneMap(data);
+      setMap(editable);
+      setFloorId((prev) =>
+        editable.floorPlan.floors.some((floor) => floor.id === prev)
+          ? prev
+          : editable.floorPlan.floors[0] && editable.floorPlan.floors[0].id
+      );
+      setCustomized(!!data.customized);
+      setDirty(false);
+      setSelectedRoom(null);
+      setConnectFrom(null);
+      setPlacingRoom(null);
+    } catch (error) {
+      console.error("Error loading map for editing:", error);
+      setSnackbar({
+        open: true,
+        message: `Could not load the map: ${error.message}`,
+        severity: "error",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMap();
+  }, []);
+
+  useEffect(() => {
+    setRenameValue(selectedRoom || "");
+  }, [selectedRoom]);
+
+  const facility = useMemo(
+    () => indexFacility(map ? map.floorPlan : null),
+    [map]
+  );
+  const floor = facility.floorsById[floorId] || null;
+  const rooms = useMemo(() => (floor ? floor.rooms : {}), [floor]);
+  const walls = floor ? floor.walls : [];
+  const edges = useMemo(() => (map ? map.graphData.edges : []), [map]);
+  const connectors = useMemo(
+    () => (map ? map.graphData.connectors : []),
+    [map]
+  );
+  const planSize = floor ? getPlanSize(floor) : [100, 100];
+  const scale = (PIXELS_PER_UNIT * zoom) / 100;
+
+  // Load the current floor's plan image
+  const floorImage = floor ? floor.image : null;
+  useEffect(() => {
+    let active = true;
+    mapDataService.getImageUrl(floorImage).then((url) => {
+      if (active) setImageUrl(url);
+    });
+    return () => {
+      active = false;
+    };
+  }, [floorImage]);
+
+  // Live validation, so problems show up before saving
+  const validation = useMemo(
+    () => (map ? validateMapData(map.graphData, map.floorPlan) : null),
+    [map]
+  );
+
+  const unplacedRooms = useMemo(
+    () =>
+      map
+        ? map.graphData.nodes.filter((node) => !facility.floorOfRoom[node])
+        : [],
+    [map, facility]
+  );
+
+  const selectedConnectors = useMemo(
+    () =>
+      selectedRoom
+        ? connectors
+            .filter((connector) =>
+              isEdgeOf([connector.from, connector.to], selectedRoom)
+            )
+            .map((connector) => ({
+              ...connector,
+              room:
+                connector.from === selectedRoom ? connector.to : connector.from,
+            }))
+        : [],
+    [connectors, selectedRoom]
+  );
+
+  // Rooms on other floors that a connector from the selected room can reach
+  const connectorTargets = useMemo(
+    () =>
+      Object.keys(facility.floorOfRoom)
+        .filter((room) => facility.floorOfRoom[room] !== floorId)
+        .sort(),
+    [facility, floorId]
+  );
+
+  const selectedEdges = useMemo(
+    () =>
+      selectedRoom
+        ? edges
+            .filter((edge) => isEdgeOf(edge, selectedRoom))
+            .map(([from, to, weight]) => ({
+              room: from === selectedRoom ? to : from,
+              weight,
+            }))
+            .sort((a, b) => a.weight - b.weight)
+        : [],
+    [edges, selectedRoom]
+  );
+
+  const visibleEdges = useMemo(() => {
+    const shown = showAllEdges
+      ? edges
+      : edges.filter(
+          (edge) =>
+            (selectedRoom && isEdgeOf(edge, selectedRoom)) ||
+            (connectFrom && isEdgeOf(edge, connectFrom))
+        );
+    return shown.filter(([from, to]) => rooms[from] && rooms[to]);
+  }, [edges, rooms, showAllEdges, selectedRoom, connectFrom]);
+
+  const updateMap = (updater) => {
+    setMap((prev) => updater(cloneMap(prev)));
+    setDirty(true);
+    setSaveResult(null);
+  };
+
+  const notify = (message, severity = "info") => {
+    setSnackbar({ open: true, message, severity });
+  };
+
+  // Convert a pointer event to plan coordinates
+  const toPlanPoint = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse());
+    return [Math.round(x), Math.round(y)];
+  };
+
+  // The floor being edited in a copy of the map
+  const getFloor = (next) =>
+    next.floorPlan.floors.find((item) => item.id === floorId);
+
+  // Move a room and recompute the length of its corridors on this floor
+  const moveRoom = (room, position) => {
+    updateMap((next) => {
+      const floorRooms = getFloor(next).rooms;
+      floorRooms[room] = position;
+      next.graphData.edges = next.graphData.edges.map((edge) => {
+        if (!isEdgeOf(edge, room)) return edge;
+        const [from, to, weight] = edge;
+        const a = floorRooms[from];
+        const b = floorRooms[to];
+        return [from, to, a && b ? getStraightLineDistance(a, b) : weight];
+      });
+      return next;
+    });
+  };
+
+  const addRoom = (name, position) => {
+    updateMap((next) => {
+      getFloor(next).rooms[name] = position;
+      if (!next.graphData.nodes.includes(name)) {
+        next.graphData.nodes.push(name);
+      }
+      return next;
+    });
+    setSelectedRoom(name);
+  };
+
+  const deleteRoom = (room) => {
+    updateMap((next) => {
+      delete getFloor(next).rooms[room];
+      next.graphData.nodes = next.graphData.nodes.filter(
+        (node) => node !== room
+      );
+      next.graphData.edges = next.graphData.edges.filter(
+        (edge) => !isEdgeOf(edge, room)
+      );
+      next.graphData.connectors = next.graphData.connectors.filter(
+        ({ from, to }) => from !== room && to !== room
+      );
+      return next;
+    });
+    if (selectedRoom === room) setSelectedRoom(null);
+    if (connectFrom === room) setConnectFrom(null);
+  };
+
+  const renameRoom = (room, name) => {
+    const newName = name.trim();
+    if (!newName || newName === room) return;
+    if (
+      facility.floorOfRoom[newName] ||
+      map.graphData.nodes.includes(newName)
+    ) {
+      notify(`There is already a room called ${newName}`, "error");
+      return;
+    }
+
+    const rename = (node) => (node === room ? newName : node);
+    updateMap((next) => {
+      const floorRooms = getFloor(next).rooms;
+      if (floorRooms[room]) {
+        floorRooms[newName] = floorRooms[room];
+        delete floorRooms[room];
+      }
+      next.graphData.connectors = next.graphData.connectors.map(
+        (connector) => ({
+          ...connector,
+          from: rename(connector.from),
+          to: rename(connector.to),
+        })
+      );
+      next.graphData.nodes = next.graphData.nodes.map(rename);
+      next.graphData.edges = next.graphData.edges.map(([from, to, weight]) => [
+        rename(from),
+        rename(to),
+        weight,
+      ]);
+      return next;
+    });
+    setSelectedRoom(newName);
+  };
+
+  const connectRooms = (from, to) => {
+    if (from === to) return;
+    const exists = edges.some(
+      ([a, b]) => (a === from && b === to) || (a === to && b === from)
+    );
+    if (exists) {
+      notify(`${from} and ${to} are already connected`, "info");
+      return;
+    }
+
+    updateMap((next) => {
+      next.graphData.edges.push([
+        from,
+        to,
+        getStraightLineDistance(rooms[from], rooms[to]),
+      ]);
+      return next;
+    });
+  };
+
+  const deleteEdge = (from, to) => {
+    updateMap((next) => {
+      next.graphData.edges = next.graphData.edges.filter(
+        ([a, b]) => !((a === from && b === to) || (a === to && b === from))
+      );
+      return next;
+    });
+  };
+
+  const toggleWall = ([x, y], add) => {
+    const exists = walls.some(([wx, wy]) => wx === x && wy === y);
+    if (exists === add) return;
+
+    updateMap((next) => {
+      const nextFloor = getFloor(next);
+      nextFloor.walls = add
+        ? [...nextFloor.walls, [x, y]]
+        : nextFloor.walls.filter(([wx, wy]) => wx !== x || wy !== y);
+      return next;
+    });
+  };
+
+  const setPlanSize = (index, value) => {
+    const size = [...planSize];
+    size[index] = Number(value);
+    if (!Number.isFinite(size[index]) || size[index] <= 0) return;
+
+    updateMap((next) => {
+      getFloor(next).size = size;
+      return next;
+    });
+  };
+
+  const addConnector = () => {
+    const { type, room, penaltySeconds } = newConnector;
+    if (!selectedRoom || !room) return;
+    const exists = connectors.some(
+      ({ from, to }) =>
+        (from === selectedRoom && to === room) ||
+        (from === room && to === selectedRoom)
+    );
+    if (exists) {
+      notify(`${selectedRoom} and ${room} are already connected`, "info");
+      return;
+    }
+
+    const connector = { from: selectedRoom, to: room, type };
+    const seconds = Number(penaltySeconds);
+    if (
+      Number.isFinite(seconds) &&
+      seconds !== CONNECTOR_TYPES[type].penaltySeconds
+    ) {
+      connector.penaltySeconds = seconds;
+    }
+
+    updateMap((next) => {
+      next.graphData.connectors.push(connector);
+      return next;
+    });
+    setNewConnector((prev) => ({ ...prev, room: null }));
+  };
+
+  const deleteConnector = (from, to) => {
+    updateMap((next) => {
+      next.graphData.connectors = next.graphData.connectors.filter(
+        (c) =>
+          !(
+            (c.from === from && c.to === to) ||
+            (c.from === to && c.to === from)
+          )
+      );
+      return next;
+    });
+  };
+
+  // Add a floor, or update the details of an existing one
+  const saveFloor = () => {
+    const details = {
+      ...editingFloor,
+      id: editingFloor.id.trim(),
+      name: editingFloor.name.trim(),
+      building: editingFloor.building.trim(),
+      level: Number(editingFloor.level) || 0,
+    };
+    if (!details.id || !details.name) return;
+
+    if (editingFloor.isNew) {
+      if (facility.floorsById[details.id]) {
+        notify(`There is already a floor with ID ${details.id}`, "error");
+        return;
+      }
+      delete details.isNew;
+      updateMap((next) => {
+        next.floorPlan.floors.push({ ...details, rooms: {}, walls: [] });
+        return next;
+      });
+      setFloorId(details.id);
+      setSelectedRoom(null);
+    } else {
+      delete details.isNew;
+      updateMap((next) => {
+        next.floorPlan.floors = next.floorPlan.floors.map((item) =>
+          item.id === floorId ? { ...item, ...details, id: item.id } : item
+        );
+        return next;
+      });
+    }
+    setEditingFloor(null);
+  };
+
+  const deleteFloor = () => {
+    updateMap((next) => {
+      next.floorPlan.floors = next.floorPlan.floors.filter(
+        (item) => item.id !== floorId
+      );
+      return next;
+    });
+    const remaining = facility.floors.filter((item) => item.id !== floorId);
+    setFloorId(remaining.length > 0 ? remaining[0].id : null);
+    setSelectedRoom(null);
+  };
+
+  const handleChooseImage = async () => {
+    try {
+      const result = await mapDataService.importImage();
+      if (result.success) {
+        setEditingFloor((prev) => ({ ...prev, image: result.fileName }));
+      } else if (result.message) {
+        notify(result.message, "info");
+      }
+    } catch (error) {
+      notify(`Error adding image: ${error.message}`, "error");
+    }
+  };
+
+  // Pick one end of the calibration line; the second opens the dialog
+  const addMeasurePoint = (point) => {
+    if (!measure || measure.to) {
+      setMeasure({ from: point, to: null, metres: "" });
+    } else if (point[0] !== measure.from[0] || point[1] !== measure.from[1]) {
+      setMeasure((prev) => ({ ...prev, to: point }));
+    }
+  };
+
+  const handleCalibrate = async () => {
+    const metres = Number(measure.metres);
+    const metresPerUnit = calibrateScale(measure.from, measure.to, metres);
+    if (!metresPerUnit) return;
+
+    try {
+      const result = await saveSettings({
+        walkingModel: {
+          ...walkingModel,
+          metresPerUnit,
+          calibration: {
+            floorId,
+            from: measure.from,
+            to: measure.to,
+            metres,
+            calibratedAt: new Date().toISOString(),
+          },
+        },
+      });
+      if (result.success) {
+        notify(
+          `Plan scale set to ${metresPerUnit.toFixed(3)} m per unit`,
+          "success"
+        );
+        setMeasure(null);
+      } else {
+        notify(result.message || "The plan scale was not saved", "error");
+      }
+    } catch (error) {
+      notify(`Error saving the plan scale: ${error.message}`, "error");
+    }
+  };
+
+  const handleModeChange = (event, value) => {
+    if (!value) return;
+    setMode(value);
+    setConnectFrom(null);
+    setMeasure(null);
+    if (value !== "add") setPlacingRoom(null);
+  };
+
+  const handleRoomPointerDown = (event, room) => {
+    event.stopPropagation();
+
+    switch (mode) {
+      case "select":
+        setSelectedRoom(room);
+        setDragging({ type: "room", room });
+        break;
+      case "connect":
+        if (!connectFrom) {
+          setConnectFrom(room);
+        } else {
+          connectRooms(connectFrom, room);
+          setConnectFrom(null);
+          setSelectedRoom(room);
+        }
+        break;
+      case "delete":
+        deleteRoom(room);
+        break;
+      case "measure":
+        addMeasurePoint(rooms[room]);
+        break;
+      default:
+        setSelectedRoom(room);
+    }
+  };
+
+  const handleWallPointerDown = (event, wall) => {
+    if (mode !== "delete") return;
+    event.stopPropagation();
+    toggleWall(wall, false);
+  };
+
+  const handlePlanPointerDown = (event) => {
+    const point = toPlanPoint(event);
+
+    switch (mode) {
+      case "add":
+        if (placingRoom) {
+          addRoom(placingRoom, point);
+          setPlacingRoom(null);
+          setMode("select");
+        } else {
+          setNewRoom({ name: "", position: point });
+        }
+        break;
+      case "walls": {
+        const add = !walls.some(([x, y]) => x === point[0] && y === point[1]);
+        toggleWall(point, add);
+        setDragging({ type: "wall", add });
+        break;
+      }
+      case "select":
+        setSelectedRoom(null);
+        break;
+      case "connect":
+        setConnectFrom(null);
+        break;
+      case "measure":
+        addMeasurePoint(point);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragging) return;
+    const point = toPlanPoint(event);
+
+    if (dragging.type === "room") {
+      const current = rooms[dragging.room];
+      if (current && (current[0] !== point[0] || current[1] !== point[1])) {
+        moveRoom(dragging.room, point);
+      }
+    } else if (dragging.type === "wall") {
+      toggleWall(point, dragging.add);
+    }
+  };
+
+  const handlePointerUp = () => {
+    setDragging(null);
+  };
+
+  const handleAddRoom = () => {
+    const name = newRoom.name.trim();
+    if (!name) return;
+    if (facility.floorOfRoom[name]) {
+      notify(`There is already a room called ${name}`, "error");
+      return;
+    }
+    addRoom(name, newRoom.position);
+    setNewRoom(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await mapDataService.save(map.graphData, map.floorPlan);
+      setSaveResult(result);
+
+      if (result.success) {
+        const saved = await mapDataService.load();
+        setMap(cloneMap(saved));
+        setCustomized(true);
+        setDirty(false);
+        notify("Map saved", "success");
+      }
+    } catch (error) {
+      notify(`Error saving map: ${error.message}`, "error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevert = async () => {
+    setConfirmRevert(false);
+    try {
+      await mapDataService.revert();
+      await loadMap();
+      setSaveResult(null);
+      notify("Restored the bundled floor plan and routing graph", "success");
+    } catch (error) {
+      notify(`Error restoring the bundled map: ${error.message}`, "error");
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", p: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!map) {
+    return (
+      <Alert severity="error">
+        The floor plan and routing graph could not be loaded.
+      </Alert>
+    );
+  }
+
+  const selectedPosition = selectedRoom ? rooms[selectedRoom] : null;
+  const markerRadius = 1.2;
+  const labelSize = 2.2;
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        Floor Plan Editor
+        {customized && <Chip label="Edited map" size="small" sx={{ ml: 2 }} />}
+      </Typography>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
+        Place rooms on each floor, draw the corridors used for walking distances
+        and connect floors with elevators and stairs. Changes apply across the
+        app once saved.
+      </Typography>
+
+      <Stack
+        direction="row"
+        spacing={2}
+        alignItems="center"
+        flexWrap="wrap"
+        useFlexGap
+        sx={{ mb: 2 }}
+      >
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Floor</InputLabel>
+          <Select
+            value={floorId || ""}
+            label="Floor"
+            onChange={(event) => {
+              setFloorId(event.target.value);
+              setSelectedRoom(null);
+              setConnectFrom(null);
+            }}
+          >
+            {facility.floors.map((item) => (
+              <MenuItem key={item.id} value={item.id}>
+                {getFloorLabel(item)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          startIcon={<LayersIcon />}
+          onClick={() => setEditingFloor({ ...emptyFloor, isNew: true })}
+        >
+          Add Floor
+        </Button>
+        <ToggleButtonGroup
+          value={mode}
+          exclusive
+          size="small"
+          onChange={handleModeChange}
+        >
+          {MODES.map((item) => (
+            <ToggleButton key={item.id} value={item.id} aria-label={item.label}>
+              {item.icon}
+              <Box component="span" sx={{ ml: 1 }}>
+                {item.label}
+              </Box>
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Box sx={{ width: 160 }}>
+          <Typography variant="caption">Zoom {zoom}%</Typography>
+          <Slider
+            size="small"
+            min={50}
+            max={300}
+            step={25}
+            value={zoom}
+            onChange={(event, value) => setZoom(value)}
+          />
+        </Box>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={showAllEdges}
+              onChange={(event) => setShowAllEdges(event.target.checked)}
+            />
+          }
+          label="Show all corridors"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        <Button
+          variant="contained"
+          startIcon={saving ? <CircularProgress size={16} /> : <SaveIcon />}
+          onClick={handleSave}
+          disabled={!dirty || saving}
+        >
+          Save
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<UndoIcon />}
+          onClick={() => loadMap()}
+          disabled={!dirty || saving}
+        >
+          Discard Changes
+        </Button>
+        <Button
+          variant="outlined"
+          color="warning"
+          startIcon={<RestartAltIcon />}
+          onClick={() => setConfirmRevert(true)}
+          disabled={!customized || saving}
+        >
+          Restore Bundled Map
+        </Button>
+      </Stack>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {placingRoom
+          ? `Click the plan where ${placingRoom} should go.`
+          : connectFrom
+          ? `Connecting from ${connectFrom}: click the room at the other end.`
+          : measure && !measure.to
+          ? "Click the other end of the distance you know."
+          : MODE_HINTS[mode]}
+      </Typography>
+
+      {saveResult && !saveResult.success && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          <AlertTitle>The map was not saved</AlertTitle>
+          {saveResult.errors.slice(0, 10).map((error) => (
+            <div key={error}>{error}</div>
+          ))}
+          {saveResult.errors.length > 10 &&
+            `...and ${saveResult.errors.length - 10} more`}
+        </Alert>
+      )}
+      {validation && validation.warnings.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {validation.warnings.map((warning) => (
+            <div key={warning}>{warning}</div>
+          ))}
+        </Alert>
+      )}
+
+      <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+        <Card sx={{ flexGrow: 1, minWidth: 0 }}>
+          <Box sx={{ overflow: "auto", maxHeight: "75vh" }}>
+            <svg
+              ref={svgRef}
+              width={planSize[0] * scale}
+              height={planSize[1] * scale}
+              viewBox={`0 0 ${planSize[0]} ${planSize[1]}`}
+              style={{
+                display: "block",
+                cursor: mode === "select" ? "default" : "crosshair",
+                touchAction: "none",
+              }}
+              onPointerDown={handlePlanPointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerLeave={handlePointerUp}
+            >
+              <image
+                href={imageUrl || undefined}
+                x={0}
+                y={0}
+                width={planSize[0]}
+                height={planSize[1]}
+                preserveAspectRatio="none"
+                opacity={0.6}
+              />
+
+              {walls.map(([x, y]) => (
+                <rect
+                  key={`wall-${x}-${y}`}
+                  x={x - 0.5}
+                  y={y - 0.5}
+                  width={1}
+                  height={1}
+                  fill="#424242"
+                  onPointerDown={(event) =>
+                    handleWallPointerDown(event, [x, y])
+                  }
+                />
+              ))}
+
+              {visibleEdges.map(([from, to]) => (
+                <line
+                  key={`edge-${from}-${to}`}
+                  x1={rooms[from][0]}
+                  y1={rooms[from][1]}
+                  x2={rooms[to][0]}
+                  y2={rooms[to][1]}
+                  stroke="#1976d2"
+                  strokeOpacity={showAllEdges ? 0.25 : 0.7}
+                  strokeWidth={0.3}
+                  pointerEvents="none"
+                />
+              ))}
+
+              {Object.entries(rooms).map(([room, [x, y]]) => {
+                const isSelected =
+                  room === selectedRoom || room === connectFrom;
+                return (
+                  <g
+                    key={room}
+                    onPointerDown={(event) =>
+                      handleRoomPointerDown(event, room)
+                    }
+                    style={{ cursor: mode === "select" ? "move" : "pointer" }}
+                  >
+                    <circle
+                      cx={x}
+                      cy={y}
+                      r={isSelected ? markerRadius * 1.5 : markerRadius}
+                      fill={isSelected ? "#f57c00" : "#d32f2f"}
+                      stroke="#ffffff"
+                      strokeWidth={0.3}
+                    />
+                    <text
+                      x={x + markerRadius * 1.5}
+                      y={y + labelSize / 3}
+                      fontSize={labelSize}
+                      fill="#212121"
+                      pointerEvents="none"
+                    >
+                      {room}
+                    </text>
+                  </g>
+                );
+              })}
+
+              {measure && (
+                <g pointerEvents="none">
+                  {measure.to && (
+                    <line
+                      x1={measure.from[0]}
+                      y1={measure.from[1]}
+                      x2={measure.to[0]}
+                      y2={measure.to[1]}
+                      stroke="#2e7d32"
+                      strokeWidth={0.4}
+                      strokeDasharray="1 0.5"
+                    />
+                  )}
+                  {[measure.from, measure.to].filter(Boolean).map(([x, y]) => (
+                    <circle
+                      key={`measure-${x}-${y}`}
+                      cx={x}
+                      cy={y}
+                      r={markerRadius}
+                      fill="#2e7d32"
+                    />
+                  ))}
+                </g>
+              )}
+            </svg>
+          </Box>
+        </Card>
+
+        <Box sx={{ width: 320, flexShrink: 0 }}>
+          <Card sx={{ mb: 2 }}>
+            <CardHeader
+              title={selectedRoom || "No room selected"}
+              subheader={
+                selectedRoom
+                  ? `${selectedEdges.length} corridor(s)`
+                  : "Select a room on the plan to edit it"
+              }
+            />
+            {selectedRoom && (
+              <CardContent>
+                <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                  <TextField
+                    label="Name"
+                    size="small"
+                    value={renameValue}
+                    onChange={(event) => setRenameValue(event.target.value)}
+                    fullWidth
+                  />
+                  <Button
+                    onClick={() => renameRoom(selectedRoom, renameValue)}
+                    disabled={
+                      !renameValue.trim() || renameValue.trim() === selectedRoom
+                    }
+                  >
+                    Rename
+                  </Button>
+                </Stack>
+                {selectedPosition && (
+                  <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                    {["X", "Y"].map((axis, index) => (
+                      <TextField
+                        key={axis}
+                        label={axis}
+                        type="number"
+                        size="small"
+                        value={selectedPosition[index]}
+                        onChange={(event) => {
+                          const value = Number(event.target.value);
+                          if (!Number.isFinite(value)) return;
+                          const position = [...selectedPosition];
+                          position[index] = value;
+                          moveRoom(selectedRoom, position);
+                        }}
+                      />
+                    ))}
+                  </Stack>
+                )}
+                <Typography variant="subtitle2">Corridors</Typography>
+                <List dense sx={{ maxHeight: 240, overflow: "auto" }}>
+                  {selectedEdges.map(({ room, weight }) => (
+                    <ListItem
+                      key={room}
+                      secondaryAction={
+                        <IconButton
+                          edge="end"
+                          size="small"
+                          onClick={() => deleteEdge(selectedRoom, room)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      }
+                    >
+                      <ListItemText
+                        primary={room}
+                        secondary={`${weight.toFixed(
+                          1
+                        )} units (${formatDistance(
+                          toMetres(weight, walkingModel)
+                        )})`}
+                      />
+                    </ListItem>
+                  ))}
+                  {selectedEdges.length === 0 && (
+                    <ListItem>
+                      <ListItemText secondary="Not connected. Use Connect to draw a corridor." />
+                    </ListItem>
+                  )}
+                </List>
+                {facility.multiFloor && (
+                  <>
+                    <Typography variant="subtitle2">
+                      Connectors to Other Floors
+                    </Typography>
+                    <List dense>
+                      {selectedConnectors.map((connector) => (
+                        <ListItem
+                          key={connector.room}
+                          secondaryAction={
+                            <IconButton
+                              edge="end"
+                              size="small"
+                              onClick={() =>
+                                deleteConnector(selectedRoom, connector.room)
+                              }
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          }
+                        >
+                          <ListItemText
+                            primary={`${
+                              CONNECTOR_TYPES[connector.type].label
+                            } to ${connector.room}`}
+                            secondary={`${getFloorLabel(
+                              facility.floorsById[
+                                facility.floorOfRoom[connector.room]
+                              ]
+                            )}, ${
+                              connector.penaltySeconds ??
+                              CONNECTOR_TYPES[connector.type].penaltySeconds
+                            } s penalty`}
+                          />
+                        </ListItem>
+                      ))}
+                    </List>
+                    <Stack spacing={1} sx={{ mb: 2 }}>
+                      <Stack direction="row" spacing={1}>
+                        <TextField
+                          select
+                          label="Type"
+                          size="small"
+                          value={newConnector.type}
+                          onChange={(event) =>
+                            setNewConnector((prev) => ({
+                              ...prev,
+                              type: event.target.value,
+                              penaltySeconds:
+                                CONNECTOR_TYPES[event.target.value]
+                                  .penaltySeconds,
+                            }))
+                          }
+                          sx={{ minWidth: 110 }}
+                        >
+                          {Object.entries(CONNECTOR_TYPES).map(
+                            ([type, { label }]) => (
+                              <MenuItem key={type} value={type}>
+                                {label}
+                              </MenuItem>
+                            )
+                          )}
+                        </TextField>
+                        <TextField
+                          label="Penalty (s)"
+                          type="number"
+                          size="small"
+                          value={newConnector.penaltySeconds}
+                          onChange={(event) =>
+                            setNewConnector((prev) => ({
+                              ...prev,
+                              penaltySeconds: event.target.value,
+                            }))
+                          }
+                        />
+                      </Stack>
+                      <Autocomplete
+                        size="small"
+                        options={connectorTargets}
+                        groupBy={(room) =>
+                          getFloorLabel(
+                            facility.floorsById[facility.floorOfRoom[room]]
+                          )
+                        }
+                        value={newConnector.room}
+                        onChange={(event, value) =>
+                          setNewConnector((prev) => ({ ...prev, room: value }))
+                        }
+                        renderInput={(params) => (
+                          <TextField {...params} label="Room on other floor" />
+                        )}
+                      />
+                      <Button
+                        onClick={addConnector}
+                        disabled={!newConnector.room}
+                      >
+                        Add Connector
+                      </Button>
+                    </Stack>
+                  </>
+                )}
+                <Button
+                  color="error"
+                  startIcon={<DeleteIcon />}
+                  onClick={() => deleteRoom(selectedRoom)}
+                >
+                  Delete Room
+                </Button>
+              </CardContent>
+            )}
+          </Card>
+
+          {unplacedRooms.length > 0 && (
+            <Card sx={{ mb: 2 }}>
+              <CardHeader
+                title="Rooms Without a Position"
+                subheader="In the routing graph but not on the floor plan"
+              />
+              <List dense sx={{ maxHeight: 200, overflow: "auto" }}>
+                {unplacedRooms.map((room) => (
+                  <ListItem
+                    key={room}
+                    secondaryAction={
+                      <Button
+                        size="small"
+                        onClick={() => {
+                          setMode("add");
+                          setPlacingRoom(room);
+                        }}
+                      >
+                        Place
+                      </Button>
+                    }
+                  >
+                    <ListItemText primary={room} />
+                  </ListItem>
+                ))}
+              </List>
+            </Card>
+          )}
+
+          <Card>
+            <CardHeader
+              title={floor ? getFloorLabel(floor) : "Floor"}
+              subheader={`Plan image: ${
+                (floor && floor.image) || "none"
+              }. Width and height of the image in plan units:`}
+              action={
+                floor && (
+                  <Button
+                    size="small"
+                    onClick={() =>
+                      setEditingFloor({
+                        id: floor.id,
+                        name: floor.name,
+                        building: floor.building,
+                        level: floor.level,
+                        image: floor.image,
+                      })
+                    }
+                  >
+                    Edit
+                  </Button>
+                )
+              }
+            />
+            <CardContent>
+              <Stack direction="row" spacing={1} sx={{ mb: 2 }}>
+                {["Width", "Height"].map((label, index) => (
+                  <TextField
+                    key={label}
+                    label={label}
+                    type="number"
+                    size="small"
+                    value={planSize[index]}
+                    onChange={(event) => setPlanSize(index, event.target.value)}
+                  />
+                ))}
+              </Stack>
+              <Button
+                color="error"
+                size="small"
+                startIcon={<DeleteIcon />}
+                onClick={deleteFloor}
+                disabled={
+                  !floor ||
+                  facility.floors.length < 2 ||
+                  Object.keys(rooms).length > 0
+                }
+              >
+                Delete Floor
+              </Button>
+              {floor && Object.keys(rooms).length > 0 && (
+                <Typography variant="caption" display="block">
+                  Move or delete this floor's rooms to delete it.
+                </Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Box>
+      </Box>
+
+      <Dialog open={!!newRoom} onClose={() => setNewRoom(null)}>
+        <DialogTitle>Add Room</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {newRoom &&
+              `New room at (${newRoom.position[0]}, ${newRoom.position[1]}).`}
+          </DialogContentText>
+          <TextField
+            autoFocus
+            label="Room name"
+            fullWidth
+            value={newRoom ? newRoom.name : ""}
+            onChange={(event) =>
+              setNewRoom((prev) => ({ ...prev, name: event.target.value }))
+            }
+            onKeyDown={(event) => {
+              if (event.key === "Enter") handleAddRoom();
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setNewRoom(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleAddRoom}
+            disabled={!newRoom || !newRoom.name.trim()}
+          >
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!editingFloor} onClose={() => setEditingFloor(null)}>
+        <DialogTitle>
+          {editingFloor && editingFloor.isNew ? "Add Floor" : "Edit Floor"}
+        </DialogTitle>
+        <DialogContent>
+          {editingFloor && (
+            <Stack spacing={2} sx={{ mt: 1, minWidth: 360 }}>
+              <TextField
+                label="Floor ID"
+                value={editingFloor.id}
+                onChange={(event) =>
+                  setEditingFloor((prev) => ({
+                    ...prev,
+                    id: event.target.value,
+                  }))
+                }
+                disabled={!editingFloor.isNew}
+                helperText="Short, unique name used in the map files, e.g. tower-3"
+              />
+              <TextField
+                label="Name"
+                value={editingFloor.name}
+                onChange={(event) =>
+                  setEditingFloor((prev) => ({
+                    ...prev,
+                    name: event.target.value,
+                  }))
+                }
+                helperText="e.g. Level 3"
+              />
+              <TextField
+                label="Building"
+                value={editingFloor.building}
+                onChange={(event) =>
+                  setEditingFloor((prev) => ({
+                    ...prev,
+                    building: event.target.value,
+                  }))
+                }
+              />
+              <TextField
+                label="Level"
+                type="number"
+                value={editingFloor.level}
+                onChange={(event) =>
+                  setEditingFloor((prev) => ({
+                    ...prev,
+                    level: event.target.value,
+                  }))
+                }
+              />
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Button startIcon={<ImageIcon />} onClick={handleChooseImage}>
+                  Choose Plan Image
+                </Button>
+                <Typography variant="body2" color="text.secondary">
+                  {editingFloor.image || "No image"}
+                </Typography>
+              </Stack>
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingFloor(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={saveFloor}
+            disabled={
+              !editingFloor ||
+              !editingFloor.id.trim() ||
+              !editingFloor.name.trim()
+            }
+          >
+            {editingFloor && editingFloor.isNew ? "Add" : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!(measure && measure.to)} onClose={() => setMeasure(null)}>
+        <DialogTitle>Calibrate Plan Scale</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {measure && measure.to && (
+              <>
+                The two points are{" "}
+                {Math.hypot(
+                  measure.to[0] - measure.from[0],
+                  measure.to[1] - measure.from[1]
+                ).toFixed(1)}{" "}
+                plan units apart. Enter the real distance between them. Every
+                walking distance and time in the app is converted with this
+                scale; the current scale is{" "}
+                {walkingModel.metresPerUnit.toFixed(3)} m per unit.
+              </>
+            )}
+          </DialogContentText>
+          <TextField
+            autoFocus
+            label="Real distance (m)"
+            type="number"
+            fullWidth
+            value={measure ? measure.metres : ""}
+            onChange={(event) =>
+              setMeasure((prev) => ({ ...prev, metres: event.target.value }))
+            }
+            onKeyDown={(event) => {
+              if (event.key === "Enter") handleCalibrate();
+            }}
+            inputProps={{ min: 0, step: 0.5 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMeasure(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCalibrate}
+            disabled={!measure || !(Number(measure.metres) > 0)}
+          >
+            Set Scale
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={confirmRevert} onClose={() => setConfirmRevert(false)}>
+        <DialogTitle>Restore Bundled Map?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            This discards every saved edit to the floor plan and routing graph
+            and goes back to the map shipped with the app.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmRevert(false)}>Cancel</Button>
+          <Button color="warning" variant="contained" onClick={handleRevert}>
+            Restore
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar((prev) => ({ ...prev, open: false }))}
+      >
+        <Alert
+          onClose={() => setSnackbar((prev) => ({ ...prev, open: false }))}
+          severity={snackbar.severity}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default FloorPlanEditor;
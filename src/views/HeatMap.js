@@ -1,5 +1,12 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+} from "react";
 import TimeFilterSelector from "../components/TimeFilterSelector";
+import ZoneSelector from "../components/ZoneSelector";
 import {
   Box,
   Card,
@@ -13,10 +20,30 @@ import {
   Grid,
   Paper,
   Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
 } from "@mui/material";
 import * as d3 from "d3";
 import { useDataContext } from "../context/DataContext";
-import optimizationService from "../services/OptimizationService";
+import mapDataService from "../services/MapDataService";
+import {
+  summarizeRoomOccupancy,
+  getDwellHours,
+  isInUseStatus,
+} from "../shared/dwells";
+import { getFloors, getFloorLabel } from "../shared/facility";
+import {
+  createZoneFilter,
+  summarizeByZone,
+  getZoneLevelLabel,
+  getZoneLabel,
+} from "../shared/zones";
+
+// Rows shown in the occupancy summary
+const SUMMARY_ROWS = 10;
 
 function HeatMap() {
   const {
@@ -24,16 +51,49 @@ function HeatMap() {
     locations,
     movements,
     filteredMovements,
+    filteredDwells,
     loading,
     timeFilter,
     setTimeFilter,
+    getDeviceType,
+    zoneIndex,
   } = useDataContext();
   const [floorPlan, setFloorPlan] = useState(null);
   const [visualizationType, setVisualizationType] = useState("heatmap");
   const [selectedDevice, setSelectedDevice] = useState("All");
   const [deviceOptions, setDeviceOptions] = useState(["All"]);
+  const [floors, setFloors] = useState([]);
+  const [selectedFloor, setSelectedFloor] = useState("");
+  const [selectedZone, setSelectedZone] = useState("");
+  const [groupLevel, setGroupLevel] = useState("");
   const svgRef = useRef(null);
 
+  // Movements into and dwells in the rooms of the selected zone
+  const zoneMovements = useMemo(() => {
+    const inZone = createZoneFilter(zoneIndex, selectedZone);
+    return (filteredMovements || []).filter((movement) =>
+      inZone(movement.toLocation)
+    );
+  }, [filteredMovements, zoneIndex, selectedZone]);
+  const zoneDwells = useMemo(() => {
+    const inZone = createZoneFilter(zoneIndex, selectedZone);
+    return (filteredDwells || []).filter((dwell) => inZone(dwell.locationId));
+  }, [filteredDwells, zoneIndex, selectedZone]);
+
+  // Occupied hours per room, or per zone at the selected level
+  const occupancySummary = useMemo(
+    () =>
+      summarizeByZone(zoneIndex, groupLevel, {
+        movements: zoneMovements,
+        dwells: zoneDwells,
+        getDwellHours,
+        isInUse: isInUseStatus,
+      })
+        .sort((a, b) => b.occupiedHours - a.occupiedHours || b.moves - a.moves)
+        .slice(0, SUMMARY_ROWS),
+    [zoneIndex, groupLevel, zoneMovements, zoneDwells]
+  );
+
   // Load floor plan data
   useEffect(() => {
     const loadFloorPlanData = async () => {
@@ -44,21 +104,23 @@ function HeatMap() {
         // Try to load from window.electron if available
         let roomsData = {};
         let wallsData = [];
+        let image = "./floor_plan.png";
 
         try {
-          // Load floor plan data from the provided JSON files
-          const floorPlanResponse = await fetch("./floor_plan_progress.json");
-          const graphDataResponse = await fetch("./graph_data.json");
-
-          if (floorPlanResponse.ok && graphDataResponse.ok) {
-            const floorPlanData = await floorPlanResponse.json();
-            const graphData = await graphDataResponse.json();
-
-            roomsData = floorPlanData.rooms || {};
-            wallsData = floorPlanData.walls || [];
-
-            // Initialize the optimization service with the graph data
-            optimizationService.initialize(graphData, floorPlanData);
+          // Load the floor plan, including any edits saved from the editor,
+          // and show the selected floor
+          const floorPlanData = await mapDataService.getFloorPlan();
+          const facilityFloors = getFloors(floorPlanData);
+          const floor =
+            facilityFloors.find((f) => f.id === selectedFloor) ||
+            facilityFloors[0];
+          setFloors(facilityFloors);
+
+          if (floor) {
+            roomsData = floor.rooms;
+            wallsData = floor.walls;
+            image = await mapDataService.getImageUrl(floor.image);
+            if (floor.id !== selectedFloor) setSelectedFloor(floor.id);
           }
         } catch (error) {
           console.error("Error loading floor plan data:", error);
@@ -109,8 +171,8 @@ function HeatMap() {
         const heatmapData = [];
         const locationCounts = {};
 
-        if (filteredMovements && filteredMovements.length > 0) {
-          filteredMovements.forEach((movement) => {
+        if (zoneMovements.length > 0) {
+          zoneMovements.forEach((movement) => {
             const location = movement.toLocation;
             if (location) {
               if (!locationCounts[location]) {
@@ -134,11 +196,11 @@ function HeatMap() {
         // Generate movement data based on movements
         const movementLines = [];
 
-        if (filteredMovements && filteredMovements.length > 0) {
+        if (zoneMovements.length > 0) {
           // Group movements by from/to pairs
           const movementCounts = {};
 
-          filteredMovements.forEach((movement) => {
+          zoneMovements.forEach((movement) => {
             const from = movement.fromLocation;
             const to = movement.toLocation;
             const device = movement.deviceId;
@@ -165,6 +227,7 @@ function HeatMap() {
         setFloorPlan({
           width: 800,
           height: 600,
+          image,
           rooms,
           walls,
           heatmap: heatmapData,
@@ -176,7 +239,7 @@ function HeatMap() {
     };
 
     loadFloorPlanData();
-  }, [filteredMovements]);
+  }, [zoneMovements, selectedFloor]);
 
   // Extract device options from devices
   useEffect(() => {
@@ -249,7 +312,7 @@ function HeatMap() {
     // Add floor plan image as background with precise positioning
     mainGroup
       .append("image")
-      .attr("href", "./floor_plan.png")
+      .attr("href", floorPlan.image)
       .attr("width", floorPlan.width)
       .attr("height", floorPlan.height)
       .attr("preserveAspectRatio", "none") // Use 'none' to stretch the image to match exactly
@@ -258,27 +321,32 @@ function HeatMap() {
     // Create a group for the heat visualization
     const heatGroup = mainGroup.append("g").attr("class", "heat-group");
 
-    if (
-      visualizationType === "heatmap" &&
-      filteredMovements &&
-      filteredMovements.length > 0
-    ) {
+    if (visualizationType === "heatmap" && zoneMovements.length > 0) {
       // Generate heat map data points based on actual movement data
       const heatData = [];
       const movementCounts = {};
       let maxMovementCount = 0;
 
-      // Count movements per location
-      filteredMovements.forEach((movement) => {
-        const location = movement.toLocation;
-        if (location) {
-          movementCounts[location] = (movementCounts[location] || 0) + 1;
-          maxMovementCount = Math.max(
-            maxMovementCount,
-            movementCounts[location]
-          );
-        }
-      });
+      if (zoneDwells.length > 0) {
+        // Weight each room by how many device-hours it was occupied
+        const occupancy = summarizeRoomOccupancy(zoneDwells);
+        Object.entries(occupancy).forEach(([location, room]) => {
+          movementCounts[location] = room.occupiedHours;
+          maxMovementCount = Math.max(maxMovementCount, room.occupiedHours);
+        });
+      } else {
+        // Count movements per location
+        zoneMovements.forEach((movement) => {
+          const location = movement.toLocation;
+          if (location) {
+            movementCounts[location] = (movementCounts[location] || 0) + 1;
+            maxMovementCount = Math.max(
+              maxMovementCount,
+              movementCounts[location]
+            );
+          }
+        });
+      }
 
       console.log("Movement counts:", movementCounts);
       console.log("Max movement count:", maxMovementCount);
@@ -489,10 +557,9 @@ function HeatMap() {
       const filteredMovements =
         selectedDevice === "All"
           ? floorPlan.movements
-          : floorPlan.movements.filter((m) => {
-              const deviceType = m.device.split("-")[0];
-              return deviceType === selectedDevice;
-            });
+          : floorPlan.movements.filter(
+              (m) => getDeviceType(m.device) === selectedDevice
+            );
 
       // Draw movement lines
       filteredMovements.forEach((movement) => {
@@ -539,7 +606,14 @@ function HeatMap() {
         }
       });
     }
-  }, [floorPlan, visualizationType, selectedDevice, filteredMovements]);
+  }, [
+    floorPlan,
+    visualizationType,
+    selectedDevice,
+    zoneMovements,
+    zoneDwells,
+    getDeviceType,
+  ]);
 
   // Render visualization when data changes
   useEffect(() => {
@@ -602,6 +676,31 @@ function HeatMap() {
       <Grid container spacing={3}>
         <Grid item xs={12}>
           <Paper sx={{ p: 2, display: "flex", gap: 2 }}>
+            {floors.length > 1 && (
+              <FormControl sx={{ minWidth: 200 }}>
+                <InputLabel>Floor</InputLabel>
+                <Select
+                  value={selectedFloor}
+                  label="Floor"
+                  onChange={(event) => setSelectedFloor(event.target.value)}
+                >
+                  {floors.map((floor) => (
+                    <MenuItem key={floor.id} value={floor.id}>
+                      {getFloorLabel(floor)}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+
+            {zoneIndex.zones.length > 0 && (
+              <ZoneSelector
+                size="medium"
+                zoneId={selectedZone}
+                onZoneChange={setSelectedZone}
+              />
+            )}
+
             <FormControl sx={{ minWidth: 200 }}>
               <InputLabel>Visualization Type</InputLabel>
               <Select
@@ -642,9 +741,16 @@ function HeatMap() {
                   : "Equipment Movement Patterns"
               }
               subheader={
-                visualizationType === "movement" && selectedDevice !== "All"
-                  ? `Showing movements for: ${selectedDevice}`
-                  : null
+                [
+                  floors.length > 1 &&
+                    getFloorLabel(floors.find((f) => f.id === selectedFloor)),
+                  selectedZone && getZoneLabel(zoneIndex, selectedZone),
+                  visualizationType === "movement" &&
+                    selectedDevice !== "All" &&
+                    `Showing movements for: ${selectedDevice}`,
+                ]
+                  .filter(Boolean)
+                  .join(" · ") || null
               }
             />
             <CardContent
@@ -667,6 +773,75 @@ function HeatMap() {
           </Card>
         </Grid>
 
+        <Grid item xs={12}>
+          <Paper sx={{ p: 2 }}>
+            <Box
+              sx={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                mb: 1,
+              }}
+            >
+              <Typography variant="h6">
+                Busiest{" "}
+                {groupLevel
+                  ? `${getZoneLevelLabel(groupLevel)}s`.toLowerCase()
+                  : "rooms"}
+              </Typography>
+              {zoneIndex.zones.length > 0 && (
+                <ZoneSelector
+                  groupLevel={groupLevel}
+                  onGroupLevelChange={setGroupLevel}
+                />
+              )}
+            </Box>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>
+                    {getZoneLevelLabel(groupLevel) || "Room"}
+                  </TableCell>
+                  <TableCell align="right">Rooms</TableCell>
+                  <TableCell align="right">Devices</TableCell>
+                  <TableCell align="right">Arrivals</TableCell>
+                  <TableCell align="right">Occupied Hours</TableCell>
+                  <TableCell align="right">In Use</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {occupancySummary.map((group) => (
+                  <TableRow key={group.key}>
+                    <TableCell>{group.name}</TableCell>
+                    <TableCell align="right">{group.rooms}</TableCell>
+                    <TableCell align="right">{group.devices}</TableCell>
+                    <TableCell align="right">{group.moves}</TableCell>
+                    <TableCell align="right">
+                      {group.occupiedHours.toFixed(1)}
+                    </TableCell>
+                    <TableCell align="right">
+                      {group.occupiedHours > 0
+                        ? `${Math.round(
+                            (group.inUseHours / group.occupiedHours) * 100
+                          )}%`
+                        : "-"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {occupancySummary.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={6}>
+                      <Typography variant="body2" color="textSecondary">
+                        No equipment activity in this period.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </Paper>
+        </Grid>
+
         <Grid item xs={12}>
           <Paper sx={{ p: 2 }}>
             <Typography variant="h6" gutterBottom>
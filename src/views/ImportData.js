@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   Box,
   Card,
@@ -14,6 +14,7 @@ import {
   ListItemIcon,
   Divider,
   CircularProgress,
+  LinearProgress,
   Snackbar,
   Alert,
   Stepper,
@@ -24,9 +25,12 @@ import {
   DialogContent,
   DialogContentText,
   DialogTitle,
+  Tabs,
+  Tab,
 } from "@mui/material";
 import {
   Upload as UploadIcon,
+  Cancel as CancelIcon,
   Description as FileIcon,
   Check as CheckIcon,
   Error as ErrorIcon,
@@ -35,22 +39,117 @@ import {
 } from "@mui/icons-material";
 import { useDataContext } from "../context/DataContext";
 import { parseCSV } from "../utils/helpers";
+import ColumnMappingEditor from "../components/ColumnMappingEditor";
+import ImportReport from "../components/ImportReport";
+import ImportHistory from "../components/ImportHistory";
 
 function ImportData() {
-  const { setData, setLoading, importFromCsv, resetDatabase } =
-    useDataContext();
+  const {
+    setData,
+    setLoading,
+    importCsvFile,
+    cancelCsvImport,
+    loadImportBatches,
+    rollbackImportBatch,
+    resetDatabase,
+    mappingProfiles,
+    loadMappingProfiles,
+    saveMappingProfile,
+    deleteMappingProfile,
+    previewCsvMapping,
+  } = useDataContext();
   const [resetConfirmOpen, setResetConfirmOpen] = useState(false);
   const [files, setFiles] = useState([]);
+  const [mappings, setMappings] = useState({});
+  const [mappingFileIndex, setMappingFileIndex] = useState(0);
   const [activeStep, setActiveStep] = useState(0);
   const [processing, setProcessing] = useState(false);
   const [importStats, setImportStats] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [reports, setReports] = useState({});
+  const [importBatches, setImportBatches] = useState([]);
+  const [rollbackBatch, setRollbackBatch] = useState(null);
   const [snackbar, setSnackbar] = useState({
     open: false,
     message: "",
     severity: "success",
   });
 
-  const steps = ["Select Files", "Process Data", "Review Results"];
+  const steps = [
+    "Select Files",
+    "Map Columns",
+    "Process Data",
+    "Review Results",
+  ];
+
+  // Listen for progress events from the streaming import
+  useEffect(() => {
+    if (!window.electron) return undefined;
+
+    window.electron.on("csv-import-progress", (update) => {
+      setProgress(update);
+    });
+
+    return () => {
+      window.electron.removeAllListeners("csv-import-progress");
+    };
+  }, []);
+
+  const refreshImportBatches = useCallback(async () => {
+    setImportBatches(await loadImportBatches());
+  }, [loadImportBatches]);
+
+  // Load the import history
+  useEffect(() => {
+    refreshImportBatches();
+  }, [refreshImportBatches]);
+
+  const handleCancelImport = async () => {
+    await cancelCsvImport();
+  };
+
+  const handleRollbackBatch = async () => {
+    const batch = rollbackBatch;
+    setRollbackBatch(null);
+    setProcessing(true);
+
+    try {
+      const result = await rollbackImportBatch(batch._id);
+
+      if (result.success) {
+        const skipped = result.skippedDevices.length;
+        const changed =
+          result.changedDevices.length + result.changedLocations.length;
+        setSnackbar({
+          open: true,
+          message:
+            `Rolled back ${batch.fileName}: removed ${result.removedMovements} movements` +
+            (skipped > 0
+              ? `, kept ${skipped} devices changed by later imports`
+              : "") +
+            (changed > 0
+              ? `, kept edits made since the import to ${changed} devices and locations`
+              : ""),
+          severity: skipped > 0 || changed > 0 ? "warning" : "success",
+        });
+      } else {
+        setSnackbar({
+          open: true,
+          message: result.message || "Failed to roll back import",
+          severity: "error",
+        });
+      }
+    } finally {
+      setProcessing(false);
+      refreshImportBatches();
+    }
+  };
+
+  const formatEta = (seconds) => {
+    if (seconds === null || seconds === undefined) return "estimating...";
+    if (seconds < 60) return `${seconds}s remaining`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s remaining`;
+  };
 
   const handleFileSelect = async () => {
     try {
@@ -109,6 +208,142 @@ function ImportData() {
     setFiles(newFiles);
   };
 
+  // Load the mapped preview of a file, using the detected profile if none is given
+  const loadMappingPreview = async (file, profile) => {
+    const preview = await previewCsvMapping(file.path, profile);
+    if (!preview.success) {
+      setMappings((prev) => ({
+        ...prev,
+        [file.path]: { error: preview.error },
+      }));
+      return;
+    }
+
+    setMappings((prev) => ({
+      ...prev,
+      [file.path]: {
+        headers: preview.headers,
+        profile: preview.profile,
+        detectedProfile: preview.detectedProfile,
+        rows: preview.rows,
+        missingFields: preview.missingFields,
+      },
+    }));
+  };
+
+  const handleOpenMapping = async () => {
+    setProcessing(true);
+    try {
+      await loadMappingProfiles();
+      for (const file of files) {
+        if (!mappings[file.path]) {
+          await loadMappingPreview(file);
+        }
+      }
+      setMappingFileIndex(0);
+      setActiveStep(1);
+    } catch (error) {
+      console.error("Error loading column mappings:", error);
+      setSnackbar({
+        open: true,
+        message: "Error reading file headers",
+        severity: "error",
+      });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const handleMappingChange = (profile) => {
+    loadMappingPreview(files[mappingFileIndex], profile);
+  };
+
+  const handleSaveMappingProfile = async (profile) => {
+    const result = await saveMappingProfile(profile);
+    if (result.success) {
+      handleMappingChange(result.profile);
+      setSnackbar({
+        open: true,
+        message: `Saved mapping profile "${result.profile.name}"`,
+        severity: "success",
+      });
+    } else {
+      setSnackbar({
+        open: true,
+        message: (result.errors || []).join(". ") || "Failed to save profile",
+        severity: "error",
+      });
+    }
+  };
+
+  const handleDeleteMappingProfile = async (profileId) => {
+    await deleteMappingProfile(profileId);
+    // Fall back to auto-detection for the current file
+    loadMappingPreview(files[mappingFileIndex]);
+  };
+
+  // Only continue when every file has all required columns mapped
+  const mappingsComplete = files.every((file) => {
+    const mapping = mappings[file.path];
+    return mapping && !mapping.error && mapping.missingFields.length === 0;
+  });
+
+  // Run a dry-run import of every file and collect the validation reports
+  const handleValidateFiles = async () => {
+    if (!window.electron) {
+      // For development without Electron, go straight to the review step
+      setReports({});
+      setActiveStep(3);
+      return;
+    }
+
+    setProcessing(true);
+    setProgress(null);
+
+    try {
+      const newReports = {};
+      const updatedFiles = [...files];
+
+      for (let i = 0; i < files.length; i++) {
+        const mapping = mappings[files[i].path];
+        const result = await importCsvFile(files[i].path, {
+          profile: mapping && mapping.profile,
+          dryRun: true,
+        });
+
+        if (result.cancelled) {
+          setSnackbar({
+            open: true,
+            message: "Validation cancelled",
+            severity: "warning",
+          });
+          return;
+        }
+
+        if (result.success) {
+          updatedFiles[i].status = "validated";
+          newReports[files[i].path] = { dryRun: true, report: result.report };
+        } else {
+          updatedFiles[i].status = "error";
+          updatedFiles[i].message = result.error || "Validation failed";
+        }
+      }
+
+      setFiles(updatedFiles);
+      setReports(newReports);
+      setActiveStep(3); // Move to review step
+    } catch (error) {
+      console.error("Error validating files:", error);
+      setSnackbar({
+        open: true,
+        message: "Error validating files",
+        severity: "error",
+      });
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const handleProcessFiles = async () => {
     if (files.length === 0) {
       setSnackbar({
@@ -121,6 +356,7 @@ function ImportData() {
 
     setProcessing(true);
     setLoading(true);
+    setProgress(null);
 
     try {
       const processedData = [];
@@ -132,58 +368,67 @@ function ImportData() {
       for (let i = 0; i < files.length; i++) {
         try {
           if (window.electron) {
-            const fileContent = await window.electron.readCsvFile(
-              files[i].path
-            );
-            if (fileContent) {
-              // Parse CSV content
-              const fileContentStr = fileContent || "";
-
-              // Import the data into the database
-              try {
-                const result = await importFromCsv(fileContentStr);
-                if (result && result.success) {
-                  updatedFiles[i].status = "success";
-                  totalRecords += result.count || 0;
-                  successfulRecords += result.count || 0;
-
-                  // Track duplicates
-                  if (result.duplicates && result.duplicates.length > 0) {
-                    updatedFiles[i].duplicates = result.duplicates.length;
-                    updatedFiles[
-                      i
-                    ].message = `${result.duplicates.length} duplicate records found`;
-                  }
-
-                  // Track errors
-                  if (result.errors && result.errors.length > 0) {
-                    updatedFiles[i].errors = result.errors.length;
-                    errorRecords += result.errors.length;
-                    updatedFiles[i].message =
-                      (updatedFiles[i].message || "") +
-                      `${result.errors.length} records with errors`;
-                  }
-                } else {
-                  updatedFiles[i].status = "error";
-                  const errorCount =
-                    result.errorCount ||
-                    (result.errors ? result.errors.length : 1);
+            // Stream the file from disk in the main process
+            try {
+              const mapping = mappings[files[i].path];
+              const result = await importCsvFile(files[i].path, {
+                profile: mapping && mapping.profile,
+              });
+              if (result.report) {
+                setReports((prev) => ({
+                  ...prev,
+                  [files[i].path]: { dryRun: false, report: result.report },
+                }));
+              }
+              const duplicateCount =
+                result.duplicateCount ??
+                (result.duplicates ? result.duplicates.length : 0);
+              const errorCount =
+                result.errorCount || (result.errors ? result.errors.length : 0);
+
+              if (result && result.success) {
+                updatedFiles[i].status = "success";
+                totalRecords += result.count || 0;
+                successfulRecords += result.count || 0;
+
+                // Track duplicates
+                if (duplicateCount > 0) {
+                  updatedFiles[i].duplicates = duplicateCount;
+                  updatedFiles[
+                    i
+                  ].message = `${duplicateCount} duplicate records found`;
+                }
+
+                // Track errors
+                if (errorCount > 0) {
+                  updatedFiles[i].errors = errorCount;
                   errorRecords += errorCount;
                   updatedFiles[i].message =
-                    result.error || `${errorCount} records with errors`;
-                  updatedFiles[i].errors = errorCount;
+                    (updatedFiles[i].message || "") +
+                    `${errorCount} records with errors`;
                 }
-              } catch (dbError) {
-                console.error("Error importing to database:", dbError);
+              } else if (result.cancelled) {
+                updatedFiles[i].status = "cancelled";
+                totalRecords += result.count || 0;
+                successfulRecords += result.count || 0;
+                updatedFiles[
+                  i
+                ].message = `Import cancelled after ${result.count} movements`;
+
+                // Leave the remaining files pending
+                break;
+              } else {
                 updatedFiles[i].status = "error";
-                errorRecords += 1;
-                updatedFiles[i].message = dbError.message || "Database error";
-                updatedFiles[i].errors = 1;
+                errorRecords += errorCount || 1;
+                updatedFiles[i].message =
+                  result.error || `${errorCount} records with errors`;
+                updatedFiles[i].errors = errorCount || 1;
               }
-            } else {
+            } catch (dbError) {
+              console.error("Error importing to database:", dbError);
               updatedFiles[i].status = "error";
               errorRecords += 1;
-              updatedFiles[i].message = "Could not read file content";
+              updatedFiles[i].message = dbError.message || "Database error";
               updatedFiles[i].errors = 1;
             }
           } else {
@@ -236,18 +481,22 @@ function ImportData() {
         successfulFiles: updatedFiles.filter((f) => f.status === "success")
           .length,
         errorFiles: updatedFiles.filter((f) => f.status === "error").length,
+        cancelled: updatedFiles.some((f) => f.status === "cancelled"),
         totalRecords,
         successfulRecords,
         errorRecords,
         duplicateRecords,
       });
 
-      setActiveStep(2); // Move to review step
+      setActiveStep(3); // Move to review step
 
+      const cancelled = updatedFiles.some((f) => f.status === "cancelled");
       setSnackbar({
         open: true,
-        message: `Successfully imported ${successfulRecords} records`,
-        severity: "success",
+        message: cancelled
+          ? `Import cancelled after ${successfulRecords} records`
+          : `Successfully imported ${successfulRecords} records`,
+        severity: cancelled ? "warning" : "success",
       });
     } catch (error) {
       console.error("Error processing files:", error);
@@ -259,6 +508,7 @@ function ImportData() {
     } finally {
       setProcessing(false);
       setLoading(false);
+      refreshImportBatches();
     }
   };
 
@@ -272,6 +522,8 @@ function ImportData() {
 
   const handleReset = () => {
     setFiles([]);
+    setMappings({});
+    setReports({});
     setImportStats(null);
     setActiveStep(0);
   };
@@ -296,8 +548,11 @@ function ImportData() {
 
         // Reset UI state
         setFiles([]);
+        setMappings({});
+        setReports({});
         setActiveStep(0);
         setImportStats(null);
+        setImportBatches([]);
       } else {
         setSnackbar({
           open: true,
@@ -317,6 +572,52 @@ function ImportData() {
     }
   };
 
+  const renderProgress = () => (
+    <Box sx={{ width: "100%", mt: 3 }}>
+      <Box
+        sx={{
+          display: "flex",
+          justifyContent: "space-between",
+          mb: 1,
+        }}
+      >
+        <Typography variant="body2">
+          {progress.phase === "reading"
+            ? "Reading file"
+            : progress.dryRun
+            ? "Checking movements"
+            : "Writing movements"}{" "}
+          ({progress.percent}%)
+        </Typography>
+        <Typography variant="body2" color="textSecondary">
+          {formatEta(progress.eta)}
+        </Typography>
+      </Box>
+      <LinearProgress variant="determinate" value={progress.percent} />
+      <Typography
+        variant="caption"
+        color="textSecondary"
+        display="block"
+        sx={{ mt: 1 }}
+      >
+        Rows read: {progress.rowsRead.toLocaleString()} · Movements created:{" "}
+        {progress.movementsCreated.toLocaleString()} · Duplicates:{" "}
+        {progress.duplicates.toLocaleString()} · Errors:{" "}
+        {progress.errors.toLocaleString()}
+      </Typography>
+      <Box sx={{ display: "flex", justifyContent: "center" }}>
+        <Button
+          color="error"
+          startIcon={<CancelIcon />}
+          onClick={handleCancelImport}
+          sx={{ mt: 2 }}
+        >
+          Cancel Import
+        </Button>
+      </Box>
+    </Box>
+  );
+
   return (
     <Box className="content-container">
       <Card>
@@ -358,8 +659,9 @@ function ImportData() {
                     Select CSV Files
                   </Typography>
                   <Typography variant="body2" color="textSecondary" paragraph>
-                    Select CSV files containing RTLS data. The files should have
-                    the following columns: Device, Location, Status, In, Out.
+                    Select CSV files containing RTLS data. Columns are matched
+                    to Device, Location, Status, In and Out in the next step
+                    using a saved mapping profile.
                   </Typography>
                   <Button
                     variant="contained"
@@ -453,8 +755,8 @@ function ImportData() {
                 >
                   <Button
                     variant="contained"
-                    onClick={handleNext}
-                    disabled={files.length === 0}
+                    onClick={window.electron ? handleOpenMapping : handleNext}
+                    disabled={files.length === 0 || processing}
                   >
                     Next
                   </Button>
@@ -464,6 +766,86 @@ function ImportData() {
           )}
 
           {activeStep === 1 && (
+            <Grid container spacing={3}>
+              <Grid item xs={12}>
+                <Paper sx={{ p: 2 }}>
+                  <Typography variant="h6" gutterBottom>
+                    Map Columns
+                  </Typography>
+                  {files.length > 1 && (
+                    <Tabs
+                      value={mappingFileIndex}
+                      onChange={(e, index) => setMappingFileIndex(index)}
+                      variant="scrollable"
+                      sx={{ mb: 2 }}
+                    >
+                      {files.map((file, index) => (
+                        <Tab key={index} label={file.name} />
+                      ))}
+                    </Tabs>
+                  )}
+                  {(() => {
+                    const file = files[mappingFileIndex];
+                    const mapping = file && mappings[file.path];
+
+                    if (!window.electron) {
+                      return (
+                        <Alert severity="info">
+                          Column mapping is only available in the desktop app.
+                          Sample data uses the default columns.
+                        </Alert>
+                      );
+                    }
+                    if (!mapping) {
+                      return <CircularProgress size={24} />;
+                    }
+                    if (mapping.error) {
+                      return (
+                        <Alert severity="error">
+                          Could not read {file.name}: {mapping.error}
+                        </Alert>
+                      );
+                    }
+                    return (
+                      <ColumnMappingEditor
+                        key={file.path}
+                        headers={mapping.headers}
+                        profile={mapping.profile}
+                        profiles={mappingProfiles}
+                        detectedProfile={mapping.detectedProfile}
+                        previewRows={mapping.rows}
+                        missingFields={mapping.missingFields}
+                        onChange={handleMappingChange}
+                        onSaveProfile={handleSaveMappingProfile}
+                        onDeleteProfile={handleDeleteMappingProfile}
+                      />
+                    );
+                  })()}
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12}>
+                <Box
+                  sx={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    mt: 2,
+                  }}
+                >
+                  <Button onClick={handleBack}>Back</Button>
+                  <Button
+                    variant="contained"
+                    onClick={handleNext}
+                    disabled={window.electron && !mappingsComplete}
+                  >
+                    Next
+                  </Button>
+                </Box>
+              </Grid>
+            </Grid>
+          )}
+
+          {activeStep === 2 && (
             <Grid container spacing={3}>
               <Grid item xs={12}>
                 <Paper
@@ -478,8 +860,9 @@ function ImportData() {
                     Process Files
                   </Typography>
                   <Typography variant="body2" color="textSecondary" paragraph>
-                    Click the button below to process the selected files. This
-                    will import the data into the application.
+                    Click the button below to validate the selected files.
+                    Nothing is written to the database until you review the
+                    report and commit the import.
                   </Typography>
                   <Button
                     variant="contained"
@@ -487,15 +870,17 @@ function ImportData() {
                       processing ? (
                         <CircularProgress size={24} color="inherit" />
                       ) : (
-                        <UploadIcon />
+                        <CheckIcon />
                       )
                     }
-                    onClick={handleProcessFiles}
+                    onClick={handleValidateFiles}
                     disabled={processing}
                     sx={{ mt: 2 }}
                   >
-                    {processing ? "Processing..." : "Process Files"}
+                    {processing ? "Validating..." : "Validate Files"}
                   </Button>
+
+                  {processing && progress && renderProgress()}
                 </Paper>
               </Grid>
 
@@ -515,7 +900,89 @@ function ImportData() {
             </Grid>
           )}
 
-          {activeStep === 2 && importStats && (
+          {activeStep === 3 && (
+            <Grid container spacing={3} sx={{ mb: 3 }}>
+              {files
+                .filter((file) => reports[file.path])
+                .map((file) => (
+                  <Grid item xs={12} key={file.path}>
+                    <Paper sx={{ p: 2 }}>
+                      <Typography variant="h6" gutterBottom>
+                        {file.name}
+                        {reports[file.path].dryRun && " (dry run)"}
+                      </Typography>
+                      <ImportReport
+                        report={reports[file.path].report}
+                        dryRun={reports[file.path].dryRun}
+                      />
+                    </Paper>
+                  </Grid>
+                ))}
+              {files
+                .filter((file) => file.status === "error")
+                .map((file) => (
+                  <Grid item xs={12} key={file.path}>
+                    <Alert severity="error">
+                      {file.name}: {file.message || "Unknown error"}
+                    </Alert>
+                  </Grid>
+                ))}
+            </Grid>
+          )}
+
+          {activeStep === 3 && !importStats && (
+            <Grid container spacing={3}>
+              <Grid item xs={12}>
+                <Paper
+                  sx={{
+                    p: 2,
+                    display: "flex",
+                    flexDirection: "column",
+                    alignItems: "center",
+                  }}
+                >
+                  <Typography variant="body2" color="textSecondary" paragraph>
+                    Review the validation report above, then commit the import
+                    to write the data to the database.
+                  </Typography>
+                  <Button
+                    variant="contained"
+                    startIcon={
+                      processing ? (
+                        <CircularProgress size={24} color="inherit" />
+                      ) : (
+                        <UploadIcon />
+                      )
+                    }
+                    onClick={handleProcessFiles}
+                    disabled={
+                      processing ||
+                      files.some((file) => file.status === "error")
+                    }
+                  >
+                    {processing ? "Importing..." : "Commit Import"}
+                  </Button>
+                  {processing && progress && renderProgress()}
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12}>
+                <Box
+                  sx={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    mt: 2,
+                  }}
+                >
+                  <Button onClick={handleBack} disabled={processing}>
+                    Back
+                  </Button>
+                </Box>
+              </Grid>
+            </Grid>
+          )}
+
+          {activeStep === 3 && importStats && (
             <Grid container spacing={3}>
               <Grid item xs={12}>
                 <Paper sx={{ p: 2 }}>
@@ -534,6 +1001,12 @@ function ImportData() {
                       <Typography variant="body2">
                         Errors: {importStats.errorFiles}
                       </Typography>
+                      {importStats.cancelled && (
+                        <Typography variant="body2" color="warning.main">
+                          Import was cancelled; remaining files were not
+                          processed
+                        </Typography>
+                      )}
                     </Grid>
                     <Grid item xs={12} md={6}>
                       <Typography variant="subtitle1">Records</Typography>
@@ -579,6 +1052,20 @@ function ImportData() {
         </CardContent>
       </Card>
 
+      <Card sx={{ mt: 3 }}>
+        <CardHeader
+          title="Import History"
+          subheader="Each import is recorded as a batch that can be rolled back"
+        />
+        <CardContent>
+          <ImportHistory
+            batches={importBatches}
+            onRollback={setRollbackBatch}
+            disabled={processing}
+          />
+        </CardContent>
+      </Card>
+
       <Snackbar
         open={snackbar.open}
         autoHideDuration={6000}
@@ -617,6 +1104,34 @@ function ImportData() {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* Confirmation Dialog for Import Rollback */}
+      <Dialog
+        open={Boolean(rollbackBatch)}
+        onClose={() => setRollbackBatch(null)}
+        aria-labelledby="rollback-dialog-title"
+      >
+        <DialogTitle id="rollback-dialog-title">
+          {"Roll Back Import?"}
+        </DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            This removes the {rollbackBatch && rollbackBatch.movementsCreated}{" "}
+            movements imported from{" "}
+            <strong>{rollbackBatch && rollbackBatch.fileName}</strong> and
+            restores the devices and locations it changed to their previous
+            state. Devices changed by a later import are left as they are.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRollbackBatch(null)} color="primary">
+            Cancel
+          </Button>
+          <Button onClick={handleRollbackBatch} color="error" autoFocus>
+            Roll Back
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
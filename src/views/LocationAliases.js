@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Grid,
+  Button,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Autocomplete,
+  Checkbox,
+  FormControlLabel,
+  IconButton,
+  Snackbar,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import {
+  Delete as DeleteIcon,
+  Save as SaveIcon,
+  Add as AddIcon,
+  Refresh as RefreshIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import { formatDate } from "../utils/helpers";
+import mapDataService from "../services/MapDataService";
+
+function LocationAliases() {
+  const { loadLocationAliases, saveLocationAlias, deleteLocationAlias } =
+    useDataContext();
+  const [aliases, setAliases] = useState([]);
+  const [unresolved, setUnresolved] = useState([]);
+  const [roomOptions, setRoomOptions] = useState([]);
+  const [assignments, setAssignments] = useState({});
+  const [newAlias, setNewAlias] = useState({ alias: "", locationId: null });
+  const [renormalize, setRenormalize] = useState(true);
+  const [loadingAliases, setLoadingAliases] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  const refresh = useCallback(async () => {
+    setLoadingAliases(true);
+    const result = await loadLocationAliases();
+    setAliases(result.aliases);
+    setUnresolved(result.unresolved);
+    setLoadingAliases(false);
+  }, [loadLocationAliases]);
+
+  // Load aliases, unresolved names and the graph nodes used for autocomplete
+  useEffect(() => {
+    refresh();
+
+    const loadGraphData = async () => {
+      try {
+        const data = await mapDataService.getGraphData();
+        setRoomOptions([...(data.nodes || [])].sort());
+      } catch (error) {
+        console.error("Error loading graph data:", error);
+      }
+    };
+
+    loadGraphData();
+  }, [refresh]);
+
+  const handleSave = async (alias, locationId) => {
+    setSaving(true);
+    try {
+      const result = await saveLocationAlias({
+        alias,
+        locationId,
+        renormalize,
+      });
+
+      if (result.success) {
+        const renormalized = result.renormalized;
+        setSnackbar({
+          open: true,
+          message: renormalized
+            ? `Mapped "${alias}" to ${locationId} and updated ${renormalized.updatedMovements} movements`
+            : `Mapped "${alias}" to ${locationId}`,
+          severity: "success",
+        });
+        setAssignments((prev) => {
+          const updated = { ...prev };
+          delete updated[alias];
+          return updated;
+        });
+        await refresh();
+      } else {
+        setSnackbar({
+          open: true,
+          message: result.message || "Failed to save alias",
+          severity: "error",
+        });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddAlias = async () => {
+    await handleSave(newAlias.alias.trim(), newAlias.locationId);
+    setNewAlias({ alias: "", locationId: null });
+  };
+
+  const handleDelete = async (aliasId) => {
+    await deleteLocationAlias(aliasId);
+    await refresh();
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  const renderRoomSelect = (value, onChange) => (
+    <Autocomplete
+      size="small"
+      options={roomOptions}
+      value={value}
+      onChange={(event, newValue) => onChange(newValue)}
+      renderInput={(params) => <TextField {...params} label="Room" />}
+      sx={{ minWidth: 180 }}
+    />
+  );
+
+  return (
+    <Box className="content-container">
+      <Card>
+        <CardHeader
+          title="Location Aliases"
+          subheader="Map raw RTLS location names to rooms on the floor plan"
+          action={
+            <IconButton onClick={refresh} disabled={loadingAliases}>
+              <RefreshIcon />
+            </IconButton>
+          }
+        />
+        <CardContent>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={renormalize}
+                onChange={(e) => setRenormalize(e.target.checked)}
+              />
+            }
+            label="Update already imported movements when saving an alias"
+            sx={{ mb: 2 }}
+          />
+
+          <Grid container spacing={3}>
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Unresolved Locations
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  These location names were imported as "UNKNOWN LOCATION"
+                  because no room number or alias matched them.
+                </Typography>
+                {loadingAliases ? (
+                  <CircularProgress size={24} />
+                ) : unresolved.length === 0 ? (
+                  <Alert severity="success">
+                    All imported location names are resolved.
+                  </Alert>
+                ) : (
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Raw Location Name</TableCell>
+                          <TableCell align="right">Occurrences</TableCell>
+                          <TableCell>Last Seen</TableCell>
+                          <TableCell>Assign Room</TableCell>
+                          <TableCell />
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {unresolved.map((entry) => (
+                          <TableRow key={entry._id}>
+                            <TableCell>{entry.rawName}</TableCell>
+                            <TableCell align="right">{entry.count}</TableCell>
+                            <TableCell>{formatDate(entry.lastSeen)}</TableCell>
+                            <TableCell>
+                              {renderRoomSelect(
+                                assignments[entry.rawName] || null,
+                                (room) =>
+                                  setAssignments((prev) => ({
+                                    ...prev,
+                                    [entry.rawName]: room,
+                                  }))
+                              )}
+                            </TableCell>
+                            <TableCell>
+                              <Button
+                                size="small"
+                                startIcon={<SaveIcon />}
+                                disabled={saving || !assignments[entry.rawName]}
+                                onClick={() =>
+                                  handleSave(
+                                    entry.rawName,
+                                    assignments[entry.rawName]
+                                  )
+                                }
+                              >
+                                Save
+                              </Button>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Aliases
+                </Typography>
+                <Box sx={{ display: "flex", gap: 1, mb: 2 }}>
+                  <TextField
+                    size="small"
+                    label="Raw location name"
+                    value={newAlias.alias}
+                    onChange={(e) =>
+                      setNewAlias((prev) => ({
+                        ...prev,
+                        alias: e.target.value,
+                      }))
+                    }
+                    sx={{ flexGrow: 1 }}
+                  />
+                  {renderRoomSelect(newAlias.locationId, (room) =>
+                    setNewAlias((prev) => ({ ...prev, locationId: room }))
+                  )}
+                  <Button
+                    variant="outlined"
+                    startIcon={<AddIcon />}
+                    onClick={handleAddAlias}
+                    disabled={
+                      saving || !newAlias.alias.trim() || !newAlias.locationId
+                    }
+                  >
+                    Add
+                  </Button>
+                </Box>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Raw Location Name</TableCell>
+                        <TableCell>Room</TableCell>
+                        <TableCell>Updated</TableCell>
+                        <TableCell />
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {aliases.map((alias) => (
+                        <TableRow key={alias._id}>
+                          <TableCell>{alias.alias}</TableCell>
+                          <TableCell>{alias.locationId}</TableCell>
+                          <TableCell>{formatDate(alias.updatedAt)}</TableCell>
+                          <TableCell align="right">
+                            <IconButton
+                              size="small"
+                              color="error"
+                              onClick={() => handleDelete(alias._id)}
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Paper>
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default LocationAliases;
@@ -0,0 +1,511 @@
+import React, { useState, useMemo } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  MenuItem,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  LinearProgress,
+  Stack,
+  Snackbar,
+  Alert,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  CloudUpload as CloudUploadIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import { formatDate, formatNumber } from "../utils/helpers";
+import { getDateKey } from "../shared/timezone";
+import {
+  MAINTENANCE_TYPES,
+  getMaintenanceThreshold,
+  summarizeHoursSinceService,
+} from "../shared/maintenance";
+
+const SOURCE_LABELS = {
+  manual: "Manual",
+  import: "Work order import",
+  recommendation: "Recommendation",
+};
+
+// Service status of a device from its hours since the last service
+const getServiceStatus = (progress) => {
+  if (progress >= 100) return { label: "Maintenance Required", color: "error" };
+  if (progress >= 80) return { label: "Maintenance Soon", color: "warning" };
+  return { label: "Good", color: "success" };
+};
+
+function Maintenance() {
+  const {
+    devices,
+    dwells,
+    maintenanceEvents,
+    saveMaintenanceEvent,
+    deleteMaintenanceEvent,
+    importMaintenanceLog,
+    settings,
+    getDeviceType,
+  } = useDataContext();
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [editing, setEditing] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  // In-use hours since each device's last service, most overdue first
+  const serviceStatus = useMemo(() => {
+    const lastMaintenance = new Map(
+      devices.map((device) => [device.deviceId, device.lastMaintenance])
+    );
+    const hoursByDevice = summarizeHoursSinceService(
+      dwells.filter((dwell) => !dwell.excludedFromAnalysis),
+      (deviceId) => lastMaintenance.get(deviceId) || null
+    );
+
+    return devices
+      .map((device) => {
+        const type = getDeviceType(device.deviceId);
+        const threshold = getMaintenanceThreshold(type);
+        const hours = hoursByDevice[device.deviceId] || 0;
+        return {
+          deviceId: device.deviceId,
+          type,
+          lastMaintenance: device.lastMaintenance || null,
+          lastMaintenanceType: device.lastMaintenanceType || null,
+          hours: Math.round(hours * 10) / 10,
+          threshold,
+          progress: Math.min(100, (hours / threshold) * 100),
+        };
+      })
+      .sort((a, b) => b.progress - a.progress);
+  }, [devices, dwells, getDeviceType]);
+
+  const pageEvents = maintenanceEvents.slice(
+    page * rowsPerPage,
+    page * rowsPerPage + rowsPerPage
+  );
+
+  const handleRecord = (deviceId = "") => {
+    setFormErrors([]);
+    setEditing({
+      deviceId,
+      date: getDateKey(new Date(), settings.facilityTimezone),
+      type: MAINTENANCE_TYPES[0],
+      notes: "",
+    });
+  };
+
+  const handleFieldChange = (field, value) => {
+    setEditing((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await saveMaintenanceEvent(editing);
+
+      if (result.success) {
+        setSnackbar({
+          open: true,
+          message: `Recorded ${editing.type.toLowerCase()} maintenance for ${
+            editing.deviceId
+          }`,
+          severity: "success",
+        });
+        setEditing(null);
+      } else {
+        setFormErrors(result.errors || ["Failed to record maintenance"]);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (maintenanceEvent) => {
+    const result = await deleteMaintenanceEvent(maintenanceEvent._id);
+    setSnackbar({
+      open: true,
+      message: result.success
+        ? `Removed the ${formatDate(
+            maintenanceEvent.date,
+            settings.facilityTimezone
+          )} event for ${maintenanceEvent.deviceId}`
+        : result.message || "Failed to remove maintenance event",
+      severity: result.success ? "success" : "error",
+    });
+  };
+
+  const handleImport = async () => {
+    if (!window.electron) {
+      setSnackbar({
+        open: true,
+        message: "File dialog not available in development mode",
+        severity: "info",
+      });
+      return;
+    }
+
+    const filePath = await window.electron.openFileDialog();
+    if (!filePath) return;
+
+    setSaving(true);
+    try {
+      const result = await importMaintenanceLog(filePath);
+      setImportResult(result);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  return (
+    <Box className="content-container">
+      <Card sx={{ mb: 3 }}>
+        <CardHeader title="Service Status" />
+        <CardContent>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            In-use hours are counted from each device's last recorded service,
+            or from the start of its RTLS data if it has none. Devices are due
+            for maintenance when they reach the service interval of their type.
+          </Typography>
+
+          {serviceStatus.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No devices yet. Import RTLS data or an asset register first.
+            </Typography>
+          ) : (
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Device ID</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Last Service</TableCell>
+                    <TableCell sx={{ minWidth: 220 }}>
+                      Hours Since Service
+                    </TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {serviceStatus.map((device) => {
+                    const status = getServiceStatus(device.progress);
+                    return (
+                      <TableRow key={device.deviceId} hover>
+                        <TableCell>{device.deviceId}</TableCell>
+                        <TableCell>{device.type}</TableCell>
+                        <TableCell>
+                          {device.lastMaintenance
+                            ? `${formatDate(
+                                device.lastMaintenance,
+                                settings.facilityTimezone
+                              )}${
+                                device.lastMaintenanceType
+                                  ? ` (${device.lastMaintenanceType})`
+                                  : ""
+                              }`
+                            : "No service on record"}
+                        </TableCell>
+                        <TableCell>
+                          <Stack spacing={0.5}>
+                            <LinearProgress
+                              variant="determinate"
+                              value={device.progress}
+                              color={status.color}
+                            />
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                            >
+                              {`${formatNumber(device.hours)} / ${
+                                device.threshold
+                              } hours`}
+                            </Typography>
+                          </Stack>
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            label={status.label}
+                            color={status.color}
+                          />
+                        </TableCell>
+                        <TableCell align="right">
+                          <Button
+                            size="small"
+                            onClick={() => handleRecord(device.deviceId)}
+                          >
+                            Record Service
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader
+          title="Maintenance Log"
+          action={
+            <Box sx={{ display: "flex", gap: 1 }}>
+              <Button
+                startIcon={<CloudUploadIcon />}
+                onClick={handleImport}
+                disabled={saving}
+              >
+                Import Work Orders
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => handleRecord()}
+              >
+                Record Maintenance
+              </Button>
+            </Box>
+          }
+        />
+        <CardContent>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            A work-order CSV needs a device column (Device, Tag or Asset Tag)
+            and a date column (Date, Service Date or Completed), and may also
+            have Type and Notes columns. Dates without a UTC offset are read in
+            the facility timezone. Rows already in the log are skipped.
+          </Typography>
+
+          {importResult && (
+            <Alert
+              severity={
+                !importResult.success
+                  ? "error"
+                  : importResult.errors.length > 0
+                  ? "warning"
+                  : "success"
+              }
+              onClose={() => setImportResult(null)}
+              sx={{ mb: 2 }}
+            >
+              {importResult.success ? (
+                <>
+                  {importResult.fileName}: {importResult.imported} events
+                  imported
+                  {importResult.duplicates > 0 &&
+                    `, ${importResult.duplicates} already in the log`}
+                  {importResult.errors.length > 0 &&
+                    `, ${importResult.errors.length} rows skipped`}
+                  {importResult.unknownDevices.length > 0 && (
+                    <Typography variant="body2">
+                      Not yet seen in RTLS data or the catalog:{" "}
+                      {importResult.unknownDevices.slice(0, 10).join(", ")}
+                      {importResult.unknownDevices.length > 10 && ", ..."}
+                    </Typography>
+                  )}
+                  {importResult.errors.slice(0, 5).map((error) => (
+                    <Typography key={error.line} variant="body2">
+                      Line {error.line}: {error.error}
+                    </Typography>
+                  ))}
+                </>
+              ) : (
+                importResult.message
+              )}
+            </Alert>
+          )}
+
+          {maintenanceEvents.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No maintenance recorded yet. Import a work-order export or record
+              a service.
+            </Typography>
+          ) : (
+            <>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Date</TableCell>
+                      <TableCell>Device ID</TableCell>
+                      <TableCell>Type</TableCell>
+                      <TableCell>Notes</TableCell>
+                      <TableCell>Source</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {pageEvents.map((maintenanceEvent) => (
+                      <TableRow key={maintenanceEvent._id} hover>
+                        <TableCell sx={{ whiteSpace: "nowrap" }}>
+                          {formatDate(
+                            maintenanceEvent.date,
+                            settings.facilityTimezone
+                          )}
+                        </TableCell>
+                        <TableCell>{maintenanceEvent.deviceId}</TableCell>
+                        <TableCell>{maintenanceEvent.type}</TableCell>
+                        <TableCell>{maintenanceEvent.notes || "-"}</TableCell>
+                        <TableCell>
+                          {SOURCE_LABELS[maintenanceEvent.source] ||
+                            maintenanceEvent.source}
+                          {maintenanceEvent.fileName &&
+                            ` (${maintenanceEvent.fileName})`}
+                        </TableCell>
+                        <TableCell align="right">
+                          <IconButton
+                            size="small"
+                            onClick={() => handleDelete(maintenanceEvent)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+              <TablePagination
+                component="div"
+                count={maintenanceEvents.length}
+                page={page}
+                onPageChange={(event, newPage) => setPage(newPage)}
+                rowsPerPage={rowsPerPage}
+                onRowsPerPageChange={(event) => {
+                  setRowsPerPage(parseInt(event.target.value, 10));
+                  setPage(0);
+                }}
+                rowsPerPageOptions={[10, 25, 50, 100]}
+              />
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Record Maintenance</DialogTitle>
+        <DialogContent>
+          {formErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {formErrors.join(". ")}
+            </Alert>
+          )}
+          {editing && (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              <Autocomplete
+                freeSolo
+                options={devices.map((device) => device.deviceId).sort()}
+                value={editing.deviceId}
+                onInputChange={(event, value) =>
+                  handleFieldChange("deviceId", value)
+                }
+                renderInput={(params) => (
+                  <TextField {...params} size="small" label="Device ID" />
+                )}
+              />
+              <TextField
+                size="small"
+                label="Date"
+                type="date"
+                value={editing.date}
+                onChange={(event) =>
+                  handleFieldChange("date", event.target.value)
+                }
+                InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                select
+                size="small"
+                label="Type"
+                value={editing.type}
+                onChange={(event) =>
+                  handleFieldChange("type", event.target.value)
+                }
+              >
+                {MAINTENANCE_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>
+                    {type}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                size="small"
+                label="Notes"
+                multiline
+                minRows={2}
+                value={editing.notes}
+                onChange={(event) =>
+                  handleFieldChange("notes", event.target.value)
+                }
+              />
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={
+              saving || !editing || !editing.deviceId.trim() || !editing.date
+            }
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Maintenance;
@@ -0,0 +1,387 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Grid,
+  Button,
+  Typography,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Checkbox,
+  Chip,
+  Snackbar,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { Refresh as RefreshIcon, Build as FixIcon } from "@mui/icons-material";
+import mapDataService from "../services/MapDataService";
+import {
+  ISSUE_TYPES,
+  DEFAULT_WEIGHT_TOLERANCE,
+} from "../shared/graphIntegrity";
+
+const SEVERITY_COLORS = { error: "error", warning: "warning", info: "default" };
+
+function MapIntegrity() {
+  const [report, setReport] = useState(null);
+  const [loadingReport, setLoadingReport] = useState(true);
+  const [tolerance, setTolerance] = useState(DEFAULT_WEIGHT_TOLERANCE);
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [fixing, setFixing] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  const refresh = useCallback(async (options) => {
+    setLoadingReport(true);
+    try {
+      setReport(await mapDataService.checkIntegrity(options));
+      setSelected([]);
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: "Failed to check the map",
+        severity: "error",
+      });
+    } finally {
+      setLoadingReport(false);
+    }
+  }, []);
+
+  // Check the map once with the default tolerance; later checks use the
+  // tolerance set on the page
+  useEffect(() => {
+    refresh(DEFAULT_WEIGHT_TOLERANCE);
+  }, [refresh]);
+
+  const handleToleranceChange = (field) => (event) => {
+    const value = parseFloat(event.target.value);
+    setTolerance((prev) => ({
+      ...prev,
+      [field]: Number.isFinite(value) && value > 0 ? value : prev[field],
+    }));
+  };
+
+  const handleSelectType = (type) => {
+    setTypeFilter((prev) => (prev === type ? null : type));
+    setPage(0);
+  };
+
+  const handleToggleIssue = (issueId) => {
+    setSelected((prev) =>
+      prev.includes(issueId)
+        ? prev.filter((id) => id !== issueId)
+        : [...prev, issueId]
+    );
+  };
+
+  const handleFix = async () => {
+    setFixing(true);
+    try {
+      const result = await mapDataService.fixIntegrity(selected, tolerance);
+
+      if (result.success) {
+        setSnackbar({
+          open: true,
+          message: `Applied ${result.applied} fixes and saved the map`,
+          severity: "success",
+        });
+        await refresh(tolerance);
+      } else {
+        setSnackbar({
+          open: true,
+          message:
+            result.errors && result.errors.length > 0
+              ? `The map could not be saved: ${result.errors[0]}`
+              : "None of the selected issues could be fixed",
+          severity: "error",
+        });
+      }
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: "Failed to fix the selected issues",
+        severity: "error",
+      });
+    } finally {
+      setFixing(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  if (loadingReport && !report) {
+    return (
+      <Box className="content-container" sx={{ textAlign: "center", mt: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const issues = report
+    ? report.issues.filter((issue) => !typeFilter || issue.type === typeFilter)
+    : [];
+  const fixableIssues = issues.filter((issue) => issue.fix);
+  const allSelected =
+    fixableIssues.length > 0 &&
+    fixableIssues.every((issue) => selected.includes(issue.id));
+  const pageIssues = issues.slice(
+    page * rowsPerPage,
+    page * rowsPerPage + rowsPerPage
+  );
+
+  const handleToggleAll = () => {
+    const ids = fixableIssues.map((issue) => issue.id);
+    setSelected((prev) =>
+      allSelected
+        ? prev.filter((id) => !ids.includes(id))
+        : Array.from(new Set([...prev, ...ids]))
+    );
+  };
+
+  return (
+    <Box className="content-container">
+      <Card>
+        <CardHeader
+          title="Map Integrity"
+          action={
+            <Button
+              startIcon={<RefreshIcon />}
+              onClick={() => refresh(tolerance)}
+              disabled={loadingReport}
+            >
+              Refresh
+            </Button>
+          }
+        />
+        <CardContent>
+          {report && (
+            <Grid container spacing={3}>
+              <Grid item xs={12}>
+                <Paper sx={{ p: 2 }}>
+                  <Typography variant="h6" gutterBottom>
+                    {report.summary.bySeverity.error} errors,{" "}
+                    {report.summary.bySeverity.warning} warnings,{" "}
+                    {report.summary.bySeverity.info} notes
+                  </Typography>
+                  <Typography variant="body2" color="textSecondary" paragraph>
+                    The routing graph has {report.summary.nodes} rooms and{" "}
+                    {report.summary.edges} corridors in{" "}
+                    {report.summary.components} connected network(s); the floor
+                    plan places {report.summary.rooms} rooms.{" "}
+                    {report.summary.fixable} issues can be fixed automatically.
+                    Fixes only change the routing graph and are saved like an
+                    edit in the Floor Plan Editor.
+                  </Typography>
+                  <Box
+                    sx={{
+                      display: "flex",
+                      gap: 2,
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                      mb: 2,
+                    }}
+                  >
+                    <TextField
+                      label="Shortest corridor / plan distance"
+                      type="number"
+                      size="small"
+                      value={tolerance.minRatio}
+                      onChange={handleToleranceChange("minRatio")}
+                      inputProps={{ step: 0.1, min: 0.1 }}
+                    />
+                    <TextField
+                      label="Longest corridor / plan distance"
+                      type="number"
+                      size="small"
+                      value={tolerance.maxRatio}
+                      onChange={handleToleranceChange("maxRatio")}
+                      inputProps={{ step: 0.5, min: 1 }}
+                    />
+                    <Button
+                      variant="outlined"
+                      onClick={() => refresh(tolerance)}
+                      disabled={loadingReport}
+                    >
+                      Recheck
+                    </Button>
+                  </Box>
+                  <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap" }}>
+                    {Object.entries(ISSUE_TYPES).map(([type, info]) => (
+                      <Chip
+                        key={type}
+                        label={`${info.label}: ${
+                          report.summary.byType[type] || 0
+                        }`}
+                        title={info.description}
+                        color={
+                          report.summary.byType[type] > 0
+                            ? SEVERITY_COLORS[
+                                report.issues.find(
+                                  (issue) => issue.type === type
+                                ).severity
+                              ]
+                            : "default"
+                        }
+                        variant={typeFilter === type ? "filled" : "outlined"}
+                        onClick={() => handleSelectType(type)}
+                      />
+                    ))}
+                  </Box>
+                </Paper>
+              </Grid>
+
+              <Grid item xs={12}>
+                <Paper sx={{ p: 2 }}>
+                  <Box
+                    sx={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      mb: 1,
+                    }}
+                  >
+                    <Typography variant="h6">
+                      Issues ({issues.length})
+                    </Typography>
+                    <Button
+                      variant="contained"
+                      startIcon={<FixIcon />}
+                      onClick={handleFix}
+                      disabled={fixing || selected.length === 0}
+                    >
+                      Fix Selected ({selected.length})
+                    </Button>
+                  </Box>
+                  {typeFilter && (
+                    <Box sx={{ display: "flex", gap: 1, mb: 1 }}>
+                      <Chip
+                        size="small"
+                        label={ISSUE_TYPES[typeFilter].label}
+                        onDelete={() => handleSelectType(typeFilter)}
+                      />
+                    </Box>
+                  )}
+                  <TableContainer>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell padding="checkbox">
+                            <Checkbox
+                              checked={allSelected}
+                              indeterminate={
+                                !allSelected &&
+                                fixableIssues.some((issue) =>
+                                  selected.includes(issue.id)
+                                )
+                              }
+                              onChange={handleToggleAll}
+                              disabled={fixableIssues.length === 0}
+                            />
+                          </TableCell>
+                          <TableCell>Severity</TableCell>
+                          <TableCell>Issue</TableCell>
+                          <TableCell>Details</TableCell>
+                          <TableCell>Fix</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {pageIssues.length === 0 && (
+                          <TableRow>
+                            <TableCell colSpan={5}>
+                              <Typography variant="body2" color="textSecondary">
+                                No issues found.
+                              </Typography>
+                            </TableCell>
+                          </TableRow>
+                        )}
+                        {pageIssues.map((issue) => (
+                          <TableRow key={issue.id} hover>
+                            <TableCell padding="checkbox">
+                              <Checkbox
+                                checked={selected.includes(issue.id)}
+                                onChange={() => handleToggleIssue(issue.id)}
+                                disabled={!issue.fix}
+                              />
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                size="small"
+                                label={issue.severity}
+                                color={SEVERITY_COLORS[issue.severity]}
+                              />
+                            </TableCell>
+                            <TableCell>
+                              {ISSUE_TYPES[issue.type].label}
+                            </TableCell>
+                            <TableCell>{issue.message}</TableCell>
+                            <TableCell>
+                              {issue.fix ? (
+                                issue.fix.label
+                              ) : (
+                                <Typography
+                                  variant="body2"
+                                  color="textSecondary"
+                                >
+                                  Manual
+                                </Typography>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </TableContainer>
+                  <TablePagination
+                    component="div"
+                    count={issues.length}
+                    page={page}
+                    onPageChange={(event, newPage) => setPage(newPage)}
+                    rowsPerPage={rowsPerPage}
+                    onRowsPerPageChange={(event) => {
+                      setRowsPerPage(parseInt(event.target.value, 10));
+                      setPage(0);
+                    }}
+                    rowsPerPageOptions={[10, 25, 50, 100]}
+                  />
+                </Paper>
+              </Grid>
+            </Grid>
+          )}
+        </CardContent>
+      </Card>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default MapIntegrity;
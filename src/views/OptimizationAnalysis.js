@@ -1,11 +1,10 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import {
   Box,
   Card,
   CardContent,
   CardHeader,
   Grid,
-  Paper,
   Typography,
   Table,
   TableBody,
@@ -13,25 +12,199 @@ import {
   TableContainer,
   TableHead,
   TableRow,
-  Divider,
   Chip,
   LinearProgress,
   Alert,
 } from "@mui/material";
 import { useDataContext } from "../context/DataContext";
+import LayoutSimulator from "../components/LayoutSimulator";
+import DemandForecast from "../components/DemandForecast";
 import MetricCard from "../components/MetricCard";
+import RecommendationStatusFilter from "../components/RecommendationStatusFilter";
+import ZoneSelector from "../components/ZoneSelector";
+import { getDwellHours, isInUseStatus } from "../shared/dwells";
+import {
+  getMaintenanceThreshold,
+  getInUseHoursSince,
+} from "../shared/maintenance";
+import {
+  toMetres,
+  getTripMinutes,
+  formatDistance,
+  formatMinutes,
+} from "../shared/walkingModel";
+import {
+  createZoneFilter,
+  getZoneLabel,
+  getZoneLevelLabel,
+  summarizeByZone,
+} from "../shared/zones";
+import { DEFAULT_SERVICE_LEVEL, sizeFleets } from "../shared/fleetSizing";
+import { analyzeRightSizing } from "../shared/rightSizing";
+import { PAID_OFF_SHARE, summarizeVerification } from "../shared/verification";
+import {
+  STATUS_LABELS,
+  getRecommendationStatus,
+  isOpenRecommendation,
+  matchesStatusFilter,
+} from "../shared/recommendationStatus";
+
+// Staff time per month, which realised savings can make negative
+const formatHoursPerMonth = (hours) =>
+  hours === null || hours === undefined
+    ? "-"
+    : `${hours < 0 ? "-" : ""}${formatMinutes(Math.abs(hours) * 60)}/month`;
+
+// Label and colour of the verification status of an implemented recommendation
+const getVerificationChip = (verification) => {
+  switch (verification && verification.status) {
+    case "paid-off":
+      return {
+        label: `Paid off (${Math.round(verification.share * 100)}%)`,
+        color: "success",
+      };
+    case "below-projection":
+      return {
+        label: `Below projection (${Math.round(verification.share * 100)}%)`,
+        color: "error",
+      };
+    case "waiting":
+      return {
+        label: `Waiting (${Math.floor(
+          verification.coveredDays
+        )} of ${Math.round(verification.windowDays)} days)`,
+        color: "default",
+      };
+    case "insufficient":
+      return { label: "Too few uses", color: "warning" };
+    default:
+      return { label: "Not measured", color: "default" };
+  }
+};
 
 function OptimizationAnalysis() {
   const {
     devices,
-    locations,
     movements,
+    dwells,
     recommendations,
     optimizationHistory,
+    savingsVerification,
     totalSavings,
     setOptimizationHistory,
-    setTotalSavings,
+    getDeviceType,
+    settings,
+    zoneIndex,
   } = useDataContext();
+  const { walkingModel } = settings;
+  const [selectedZone, setSelectedZone] = useState("");
+  const [groupLevel, setGroupLevel] = useState("department");
+  const [statusFilter, setStatusFilter] = useState("all");
+
+  // Utilisation and travel only count time and trips in the selected zone
+  const inZone = useMemo(
+    () => createZoneFilter(zoneIndex, selectedZone),
+    [zoneIndex, selectedZone]
+  );
+
+  // Arrivals, occupancy and travel per zone at the selected level
+  const zoneSummary = useMemo(
+    () =>
+      summarizeByZone(zoneIndex, groupLevel, {
+        movements: (movements || []).filter(
+          (movement) =>
+            !movement.excludedFromAnalysis &&
+            (inZone(movement.fromLocation) || inZone(movement.toLocation))
+        ),
+        dwells: (dwells || []).filter(
+          (dwell) => !dwell.excludedFromAnalysis && inZone(dwell.locationId)
+        ),
+        getDwellHours: (dwell) =>
+          dwell.timeIn && dwell.timeOut ? getDwellHours(dwell) : 0,
+        isInUse: isInUseStatus,
+      }),
+    [zoneIndex, groupLevel, movements, dwells, inZone]
+  );
+
+  // Units of each type in use at once and the fleet the service level needs,
+  // over the whole facility
+  const serviceLevel = settings.serviceLevel || DEFAULT_SERVICE_LEVEL;
+  const usageRecords = useMemo(
+    () =>
+      (dwells && dwells.length > 0 ? dwells : movements || []).filter(
+        (record) => !record.excludedFromAnalysis
+      ),
+    [dwells, movements]
+  );
+  const fleetSizing = useMemo(() => {
+    const fleetSizes = {};
+    devices.forEach((device) => {
+      const type = getDeviceType(device.deviceId);
+      fleetSizes[type] = (fleetSizes[type] || 0) + 1;
+    });
+
+    return sizeFleets(usageRecords, getDeviceType, {
+      timeZone: settings.facilityTimezone,
+      serviceLevel,
+      fleetSizes,
+    });
+  }, [
+    usageRecords,
+    devices,
+    getDeviceType,
+    settings.facilityTimezone,
+    serviceLevel,
+  ]);
+
+  // Surplus units of each type, to redeploy or retire
+  const surplusByType = useMemo(() => {
+    const surplus = {};
+    analyzeRightSizing(usageRecords, devices, getDeviceType, {
+      timeZone: settings.facilityTimezone,
+      serviceLevel,
+      zoneIndex,
+      maintenanceCostRate: settings.maintenanceCostRate,
+    }).forEach((sizing) => {
+      surplus[sizing.deviceType] = sizing.surplus;
+    });
+    return surplus;
+  }, [
+    usageRecords,
+    devices,
+    getDeviceType,
+    settings.facilityTimezone,
+    settings.maintenanceCostRate,
+    serviceLevel,
+    zoneIndex,
+  ]);
+
+  // Realised against projected savings of the verified recommendations
+  const verificationSummary = useMemo(
+    () => summarizeVerification(savingsVerification || []),
+    [savingsVerification]
+  );
+
+  // Recommendations still to be implemented
+  const openRecommendationCount = useMemo(
+    () =>
+      (recommendations || []).filter((recommendation) =>
+        isOpenRecommendation(recommendation)
+      ).length,
+    [recommendations]
+  );
+
+  // Recommendations with the selected status, most recently changed first
+  const decisionRecords = useMemo(() => {
+    const now = new Date();
+    return (recommendations || [])
+      .filter((recommendation) =>
+        matchesStatusFilter(recommendation, statusFilter, now)
+      )
+      .sort(
+        (a, b) =>
+          new Date(b.statusChangedAt || 0) - new Date(a.statusChangedAt || 0)
+      );
+  }, [recommendations, statusFilter]);
 
   // Initialize with default values if not available in context
   useEffect(() => {
@@ -39,39 +212,18 @@ function OptimizationAnalysis() {
       // Create an empty array for optimization history if none exists
       setOptimizationHistory([]);
     }
-
-    if (!totalSavings) {
-      // Initialize total savings if not available
-      setTotalSavings({ hours: 0, money: 0 });
-    }
-  }, [
-    optimizationHistory,
-    totalSavings,
-    setOptimizationHistory,
-    setTotalSavings,
-  ]);
+  }, [optimizationHistory, setOptimizationHistory]);
 
   const [savingsSummary, setSavingsSummary] = useState({
     totalHoursSaved: totalSavings?.hours || 0,
     totalMoneySaved: totalSavings?.money || 0,
     implementedOptimizations: optimizationHistory?.length || 0,
-    pendingOptimizations: recommendations?.length || 0,
+    pendingOptimizations: openRecommendationCount,
   });
   const [historyData, setHistoryData] = useState([]);
   const [deviceEfficiency, setDeviceEfficiency] = useState([]);
   const [maintenanceProgress, setMaintenanceProgress] = useState([]);
   const [expandedDeviceType, setExpandedDeviceType] = useState(null);
-  const [individualDeviceProgress, setIndividualDeviceProgress] = useState({});
-
-  // Define maintenance thresholds (same as in electron/main.js)
-  const maintenanceThresholds = {
-    Ventilator: 500, // Hours of usage before maintenance is required
-    Ultrasound: 300,
-    Defibrillator: 200,
-    "IV-Pump": 1000,
-    Monitor: 800,
-    default: 500,
-  };
 
   // No initialization with sample data - we'll only use real data from the database
 
@@ -88,7 +240,7 @@ function OptimizationAnalysis() {
       totalHoursSaved: parseFloat(totalSavings?.hours || 0),
       totalMoneySaved: parseFloat(totalSavings?.money || 0),
       implementedOptimizations: optimizationHistory?.length || 0,
-      pendingOptimizations: recommendations?.length || 0,
+      pendingOptimizations: openRecommendationCount,
     });
 
     // Set history data from context
@@ -108,7 +260,7 @@ function OptimizationAnalysis() {
         totalHoursSaved: 0.0,
         totalMoneySaved: 0.0,
         implementedOptimizations: 0,
-        pendingOptimizations: recommendations?.length || 0,
+        pendingOptimizations: openRecommendationCount,
       });
     }
 
@@ -119,18 +271,30 @@ function OptimizationAnalysis() {
     // Track total usage hours by device and device type
     const deviceUsageHours = {};
     const deviceTypeUsageHours = {};
+    // Usage of each device by type, rebuilt on every run
+    const individualDeviceProgress = {};
 
     if (devices && devices.length > 0 && movements && movements.length > 0) {
+      // Usage hours count from each device's last recorded service
+      const lastMaintenanceByDevice = new Map(
+        devices.map((device) => [
+          device.deviceId,
+          device.lastMaintenance || null,
+        ])
+      );
+
       // Group devices by type
       const deviceTypes = {};
       devices.forEach((device) => {
-        const type = device.deviceId.split("-")[0];
+        const type = getDeviceType(device.deviceId);
         if (!deviceTypes[type]) {
           deviceTypes[type] = {
             type,
             count: 0,
             utilization: 0,
+            travelMoves: 0,
             travelDistance: 0,
+            travelMinutes: 0,
             maintenanceStatus: "Good",
           };
         }
@@ -142,26 +306,10 @@ function OptimizationAnalysis() {
           deviceTypeUsageHours[type] = {
             totalHours: 0,
             deviceCount: 0,
-            threshold:
-              maintenanceThresholds[type] || maintenanceThresholds.default,
+            threshold: getMaintenanceThreshold(type),
           };
         }
         deviceTypeUsageHours[type].deviceCount++;
-
-        // Check maintenance status based on lastMaintenance field
-        if (device.lastMaintenance) {
-          const lastMaintDate = new Date(device.lastMaintenance);
-          const now = new Date();
-          const daysSinceLastMaint = Math.floor(
-            (now - lastMaintDate) / (1000 * 60 * 60 * 24)
-          );
-
-          if (daysSinceLastMaint > 90) {
-            deviceTypes[type].maintenanceStatus = "Needs Maintenance";
-          } else if (daysSinceLastMaint > 60) {
-            deviceTypes[type].maintenanceStatus = "Upcoming Maintenance";
-          }
-        }
       });
 
       // Calculate utilization and travel distance
@@ -170,14 +318,17 @@ function OptimizationAnalysis() {
         const deviceUtilizationByDevice = {};
         const deviceTravel = {};
 
-        movements.forEach((movement) => {
-          if (!movement.deviceId) return;
+        // Utilisation and usage hours come from how long devices stayed in
+        // each room, not from the gaps between arrivals
+        dwells.forEach((dwell) => {
+          if (!dwell.deviceId || dwell.excludedFromAnalysis) return;
 
-          const deviceId = movement.deviceId;
-          const type = deviceId.split("-")[0];
+          const deviceId = dwell.deviceId;
+          const type = getDeviceType(deviceId);
+          const countsToZone = inZone(dwell.locationId);
 
           // Initialize device tracking if not exists
-          if (!deviceUtilizationByDevice[deviceId]) {
+          if (countsToZone && !deviceUtilizationByDevice[deviceId]) {
             deviceUtilizationByDevice[deviceId] = {
               type,
               inUse: 0,
@@ -187,26 +338,29 @@ function OptimizationAnalysis() {
           }
 
           // Track utilization for this specific device
-          if (movement.timeIn && movement.timeOut) {
-            const duration =
-              (new Date(movement.timeOut) - new Date(movement.timeIn)) /
-              (1000 * 60 * 60);
-            deviceUtilizationByDevice[deviceId].total += duration;
-
-            if (
-              movement.status &&
-              movement.status.toLowerCase().includes("in use")
-            ) {
-              deviceUtilizationByDevice[deviceId].inUse += duration;
+          if (dwell.timeIn && dwell.timeOut) {
+            const duration = getDwellHours(dwell);
+            if (countsToZone) {
+              deviceUtilizationByDevice[deviceId].total += duration;
+            }
 
-              // Track usage hours for maintenance calculation
-              // Using a realistic scaling factor
-              const scalingFactor = 1.0; // 100% of the actual duration - no scaling
+            if (isInUseStatus(dwell.status)) {
+              if (countsToZone) {
+                deviceUtilizationByDevice[deviceId].inUse += duration;
+              }
+
+              // Track usage hours since the last service for maintenance,
+              // wherever the device was used
+              const lastMaintenance =
+                lastMaintenanceByDevice.get(deviceId) || null;
+              const hoursSinceService = getInUseHoursSince(
+                dwell,
+                lastMaintenance
+              );
               deviceUsageHours[deviceId] =
-                (deviceUsageHours[deviceId] || 0) + duration * scalingFactor;
+                (deviceUsageHours[deviceId] || 0) + hoursSinceService;
               if (deviceTypeUsageHours[type]) {
-                deviceTypeUsageHours[type].totalHours +=
-                  duration * scalingFactor;
+                deviceTypeUsageHours[type].totalHours += hoursSinceService;
               }
 
               // Track individual device progress
@@ -218,25 +372,35 @@ function OptimizationAnalysis() {
                   deviceId,
                   type,
                   usageHours: 0,
-                  threshold:
-                    maintenanceThresholds[type] ||
-                    maintenanceThresholds.default,
+                  lastMaintenance,
+                  threshold: getMaintenanceThreshold(type),
                   progressPercentage: 0,
                   status: "Good",
                 };
               }
 
-              // Use the same scaling factor defined above
               individualDeviceProgress[type][deviceId].usageHours +=
-                duration * scalingFactor;
+                hoursSinceService;
             }
           }
+        });
+
+        movements.forEach((movement) => {
+          if (!movement.deviceId || movement.excludedFromAnalysis) return;
+          if (!inZone(movement.fromLocation) && !inZone(movement.toLocation)) {
+            return;
+          }
 
-          // Track travel (simplified - just count movements)
+          const type = getDeviceType(movement.deviceId);
+
+          // Track travel along the room graph, in plan units from the import
           if (!deviceTravel[type]) {
-            deviceTravel[type] = 0;
+            deviceTravel[type] = { moves: 0, units: 0, minutes: 0 };
           }
-          deviceTravel[type]++;
+          const units = parseFloat(movement.distanceTraveled) || 0;
+          deviceTravel[type].moves++;
+          deviceTravel[type].units += units;
+          deviceTravel[type].minutes += getTripMinutes(units, walkingModel);
         });
 
         // Calculate utilization percentage for each individual device
@@ -274,7 +438,12 @@ function OptimizationAnalysis() {
           }
 
           if (deviceTravel[type]) {
-            deviceTypes[type].travelDistance = deviceTravel[type];
+            deviceTypes[type].travelMoves = deviceTravel[type].moves;
+            deviceTypes[type].travelDistance = toMetres(
+              deviceTravel[type].units,
+              walkingModel
+            );
+            deviceTypes[type].travelMinutes = deviceTravel[type].minutes;
           }
         });
       }
@@ -297,6 +466,18 @@ function OptimizationAnalysis() {
             device.status = "Good";
           }
 
+          // A device type needs maintenance if any of its devices does
+          if (deviceTypes[type]) {
+            if (device.status === "Maintenance Required") {
+              deviceTypes[type].maintenanceStatus = "Needs Maintenance";
+            } else if (
+              device.status === "Maintenance Soon" &&
+              deviceTypes[type].maintenanceStatus === "Good"
+            ) {
+              deviceTypes[type].maintenanceStatus = "Upcoming Maintenance";
+            }
+          }
+
           // Round usage hours to 1 decimal
           device.usageHours = Math.round(device.usageHours * 10) / 10;
         });
@@ -355,10 +536,14 @@ function OptimizationAnalysis() {
   }, [
     devices,
     movements,
+    dwells,
     recommendations,
+    openRecommendationCount,
     optimizationHistory,
     totalSavings,
-    setIndividualDeviceProgress,
+    getDeviceType,
+    walkingModel,
+    inZone,
   ]);
 
   return (
@@ -375,10 +560,10 @@ function OptimizationAnalysis() {
         <Grid item xs={12} md={6}>
           <MetricCard
             title="Total Staff Hours Saved"
-            value={`${parseFloat(savingsSummary.totalHoursSaved).toFixed(
-              1
-            )} hours`}
-            description="Cumulative time saved through optimizations based on walking distance"
+            value={formatMinutes(
+              parseFloat(savingsSummary.totalHoursSaved) * 60
+            )}
+            description="Walking time saved by implemented optimizations: realised once verified, projected until then, and none for those that did not pay off"
             icon="AccessTime"
           />
         </Grid>
@@ -415,6 +600,188 @@ function OptimizationAnalysis() {
           />
         </Grid>
 
+        {/* Savings Verification Card */}
+        <Grid item xs={12}>
+          <Card>
+            <CardHeader title="Savings Verification" />
+            <CardContent>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Implemented placement recommendations are checked against the
+                RTLS data imported after them: the staff walking per use of the
+                device or type before the change, along the routing graph, is
+                compared with the walking per use after it. A recommendation
+                pays off when it realises at least{" "}
+                {Math.round(PAID_OFF_SHARE * 100)}% of its projected savings;
+                the totals above count what verified recommendations realised
+                and leave out those that did not pay off.
+              </Typography>
+              {verificationSummary.verified > 0 ? (
+                <Grid container spacing={2}>
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">
+                      Projected savings
+                    </Typography>
+                    <Typography variant="h6">
+                      {formatHoursPerMonth(
+                        verificationSummary.projectedHoursPerMonth
+                      )}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">
+                      Realised savings
+                    </Typography>
+                    <Typography variant="h6">
+                      {formatHoursPerMonth(
+                        verificationSummary.realisedHoursPerMonth
+                      )}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">
+                      Paid off
+                    </Typography>
+                    <Typography variant="h6" color="success.main">
+                      {verificationSummary.paidOff} of{" "}
+                      {verificationSummary.verified}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="body2" color="text.secondary">
+                      Below projection
+                    </Typography>
+                    <Typography
+                      variant="h6"
+                      color={
+                        verificationSummary.belowProjection > 0
+                          ? "error.main"
+                          : "text.primary"
+                      }
+                    >
+                      {verificationSummary.belowProjection}
+                    </Typography>
+                  </Grid>
+                </Grid>
+              ) : (
+                <Typography variant="body2" color="textSecondary">
+                  No implemented recommendation has been verified yet.
+                </Typography>
+              )}
+              {verificationSummary.belowProjection > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  {verificationSummary.belowProjection} implemented
+                  recommendation
+                  {verificationSummary.belowProjection === 1
+                    ? " did not"
+                    : "s did not"}{" "}
+                  pay off. They are left out of the savings totals and flagged
+                  in the optimization history below.
+                </Alert>
+              )}
+              {verificationSummary.waiting > 0 && (
+                <Typography
+                  variant="body2"
+                  color="text.secondary"
+                  sx={{ mt: 2 }}
+                >
+                  {verificationSummary.waiting} recommendation
+                  {verificationSummary.waiting === 1 ? " is" : "s are"} waiting
+                  for RTLS data covering their evaluation window.
+                </Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Recommendation Decisions */}
+        <Grid item xs={12}>
+          <Card>
+            <CardHeader
+              title="Recommendation Decisions"
+              action={
+                <RecommendationStatusFilter
+                  value={statusFilter}
+                  onChange={setStatusFilter}
+                  recommendations={recommendations || []}
+                />
+              }
+            />
+            <CardContent>
+              {decisionRecords.length > 0 ? (
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Recommendation</TableCell>
+                        <TableCell>Type</TableCell>
+                        <TableCell>Status</TableCell>
+                        <TableCell>Changed</TableCell>
+                        <TableCell>By</TableCell>
+                        <TableCell>Reason</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {decisionRecords.map((recommendation) => {
+                        const status = getRecommendationStatus(recommendation);
+                        return (
+                          <TableRow key={recommendation._id}>
+                            <TableCell>{recommendation.title}</TableCell>
+                            <TableCell>{recommendation.type}</TableCell>
+                            <TableCell>
+                              <Chip
+                                label={STATUS_LABELS[status]}
+                                size="small"
+                                color={
+                                  status === "implemented"
+                                    ? "success"
+                                    : status === "rejected"
+                                    ? "error"
+                                    : status === "snoozed"
+                                    ? "warning"
+                                    : "default"
+                                }
+                              />
+                              {status === "snoozed" && (
+                                <Typography
+                                  variant="caption"
+                                  color="text.secondary"
+                                  display="block"
+                                >
+                                  until{" "}
+                                  {new Date(
+                                    recommendation.snoozedUntil
+                                  ).toLocaleDateString()}
+                                </Typography>
+                              )}
+                            </TableCell>
+                            <TableCell>
+                              {recommendation.statusChangedAt
+                                ? new Date(
+                                    recommendation.statusChangedAt
+                                  ).toLocaleString()
+                                : "-"}
+                            </TableCell>
+                            <TableCell>
+                              {recommendation.statusChangedBy || "-"}
+                            </TableCell>
+                            <TableCell>
+                              {recommendation.statusReason || "-"}
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              ) : (
+                <Typography variant="body2" color="textSecondary">
+                  No recommendations with this status.
+                </Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
         {/* Maintenance Progress Card */}
         <Grid item xs={12}>
           <Card>
@@ -428,7 +795,7 @@ function OptimizationAnalysis() {
                     sx={{ mb: 2 }}
                   >
                     Shows progress towards maintenance threshold based on usage
-                    hours
+                    hours since each device's last recorded service
                   </Typography>
                   <Grid container spacing={2}>
                     {maintenanceProgress.map((device) => (
@@ -657,7 +1024,18 @@ function OptimizationAnalysis() {
                                       variant="caption"
                                       color="text.secondary"
                                     >
-                                      {`${individualDevice.usageHours} hours / ${individualDevice.threshold} hour threshold`}
+                                      {`${
+                                        individualDevice.usageHours
+                                      } hours since ${
+                                        individualDevice.lastMaintenance
+                                          ? `service on ${individualDevice.lastMaintenance.slice(
+                                              0,
+                                              10
+                                            )}`
+                                          : "start of data (no service on record)"
+                                      } / ${
+                                        individualDevice.threshold
+                                      } hour threshold`}
                                     </Typography>
                                   </Box>
                                 ))}
@@ -678,6 +1056,77 @@ function OptimizationAnalysis() {
           </Card>
         </Grid>
 
+        {/* Zone Analysis */}
+        {zoneIndex.zones.length > 0 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardHeader
+                title="Zone Analysis"
+                subheader={
+                  selectedZone
+                    ? `${getZoneLabel(
+                        zoneIndex,
+                        selectedZone
+                      )} - utilization and travel below are limited to this zone`
+                    : "All zones"
+                }
+                action={
+                  <ZoneSelector
+                    zoneId={selectedZone}
+                    onZoneChange={setSelectedZone}
+                    groupLevel={groupLevel}
+                    onGroupLevelChange={setGroupLevel}
+                  />
+                }
+              />
+              <CardContent>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>
+                          {groupLevel ? getZoneLevelLabel(groupLevel) : "Room"}
+                        </TableCell>
+                        <TableCell align="right">Rooms</TableCell>
+                        <TableCell align="right">Devices</TableCell>
+                        <TableCell align="right">Arrivals</TableCell>
+                        <TableCell align="right">Travel</TableCell>
+                        <TableCell align="right">Occupied Hours</TableCell>
+                        <TableCell align="right">Utilization</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {zoneSummary.map((group) => (
+                        <TableRow key={group.key}>
+                          <TableCell>{group.name}</TableCell>
+                          <TableCell align="right">{group.rooms}</TableCell>
+                          <TableCell align="right">{group.devices}</TableCell>
+                          <TableCell align="right">{group.moves}</TableCell>
+                          <TableCell align="right">
+                            {formatDistance(
+                              toMetres(group.distance, walkingModel)
+                            )}
+                          </TableCell>
+                          <TableCell align="right">
+                            {group.occupiedHours.toFixed(1)}
+                          </TableCell>
+                          <TableCell align="right">
+                            {group.occupiedHours > 0
+                              ? `${Math.round(
+                                  (group.inUseHours / group.occupiedHours) * 100
+                                )}%`
+                              : "-"}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
         {/* Device Efficiency Table */}
         <Grid item xs={12}>
           <Card>
@@ -690,7 +1139,7 @@ function OptimizationAnalysis() {
                       <TableCell>Device Type</TableCell>
                       <TableCell>Count</TableCell>
                       <TableCell>Utilization</TableCell>
-                      <TableCell>Travel Score</TableCell>
+                      <TableCell>Travel</TableCell>
                       <TableCell>Status</TableCell>
                     </TableRow>
                   </TableHead>
@@ -731,7 +1180,17 @@ function OptimizationAnalysis() {
                             </Box>
                           </Box>
                         </TableCell>
-                        <TableCell>{device.travelDistance} moves</TableCell>
+                        <TableCell>
+                          {formatDistance(device.travelDistance)} in{" "}
+                          {device.travelMoves} moves
+                          <Typography
+                            variant="caption"
+                            color="text.secondary"
+                            display="block"
+                          >
+                            {formatMinutes(device.travelMinutes)} of staff time
+                          </Typography>
+                        </TableCell>
                         <TableCell>
                           <Chip
                             label={device.maintenanceStatus}
@@ -755,48 +1214,209 @@ function OptimizationAnalysis() {
           </Card>
         </Grid>
 
-        {/* Optimization History */}
+        {/* Fleet Size */}
         <Grid item xs={12}>
           <Card>
-            <CardHeader title="Optimization History" />
+            <CardHeader
+              title="Fleet Size"
+              subheader={`Units in use at the same time, and the fleet needed for ${
+                Math.round(serviceLevel * 1000) / 10
+              }% of requests to find a unit free`}
+            />
             <CardContent>
-              {historyData.length > 0 ? (
+              {fleetSizing.length > 0 ? (
                 <TableContainer>
-                  <Table>
+                  <Table size="small">
                     <TableHead>
                       <TableRow>
-                        <TableCell>Date</TableCell>
-                        <TableCell>Type</TableCell>
-                        <TableCell>Description</TableCell>
-                        <TableCell>Impact</TableCell>
+                        <TableCell>Device Type</TableCell>
+                        <TableCell align="right">Fleet</TableCell>
+                        <TableCell align="right">Peak In Use</TableCell>
+                        <TableCell align="right">95% of Time</TableCell>
+                        <TableCell align="right">Busy Hour Load</TableCell>
+                        <TableCell align="right">No Unit Free</TableCell>
+                        <TableCell align="right">Fleet Needed</TableCell>
+                        <TableCell>Surplus Units</TableCell>
                       </TableRow>
                     </TableHead>
                     <TableBody>
-                      {historyData.map((item, index) => (
-                        <TableRow key={index}>
-                          <TableCell>
-                            {new Date(item.date).toLocaleDateString()}
+                      {fleetSizing.map((sizing) => (
+                        <TableRow key={sizing.deviceType}>
+                          <TableCell>{sizing.deviceType}</TableCell>
+                          <TableCell align="right">
+                            {sizing.fleetSize}
                           </TableCell>
-                          <TableCell>
+                          <TableCell align="right">
+                            {sizing.concurrency.peak}
+                          </TableCell>
+                          <TableCell align="right">
+                            {sizing.concurrency.percentiles.p95}
+                          </TableCell>
+                          <TableCell align="right">
+                            {sizing.concurrency.busyHourLoad.toFixed(1)}
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                              display="block"
+                            >
+                              at{" "}
+                              {String(sizing.concurrency.busyHour).padStart(
+                                2,
+                                "0"
+                              )}
+                              :00
+                            </Typography>
+                          </TableCell>
+                          <TableCell align="right">
+                            {Math.round(sizing.noUnitProbability.erlangC * 100)}
+                            %
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                              display="block"
+                            >
+                              {Math.round(
+                                sizing.noUnitProbability.replay * 100
+                              )}
+                              % in the recorded data
+                            </Typography>
+                          </TableCell>
+                          <TableCell align="right">
                             <Chip
-                              label={item.type}
+                              size="small"
+                              label={sizing.requiredFleetSize}
                               color={
-                                item.type === "placement"
-                                  ? "primary"
-                                  : item.type === "purchase"
-                                  ? "secondary"
-                                  : "default"
+                                sizing.requiredFleetSize > sizing.fleetSize
+                                  ? "error"
+                                  : "success"
                               }
-                              size="small"
                             />
                           </TableCell>
-                          <TableCell>{item.description}</TableCell>
-                          <TableCell>{item.impact}</TableCell>
+                          <TableCell>
+                            {(surplusByType[sizing.deviceType] || []).length > 0
+                              ? surplusByType[sizing.deviceType]
+                                  .map((unit) =>
+                                    unit.action === "redeploy"
+                                      ? `${unit.deviceId} to ${unit.toDepartment}`
+                                      : `${unit.deviceId} (retire)`
+                                  )
+                                  .join(", ")
+                              : "-"}
+                          </TableCell>
                         </TableRow>
                       ))}
                     </TableBody>
                   </Table>
                 </TableContainer>
+              ) : (
+                <Typography variant="body1" sx={{ textAlign: "center", py: 4 }}>
+                  No usage data available. Import data to size each fleet.
+                </Typography>
+              )}
+              <Typography
+                variant="caption"
+                color="text.secondary"
+                display="block"
+                sx={{ mt: 1 }}
+              >
+                No Unit Free is the chance a request finds every unit in use
+                with the current fleet, by Erlang C at the busiest hour of the
+                day and by replaying the recorded uses. The fleet needed keeps
+                both within the service level set in Settings. Surplus units are
+                the least used units beyond the fleet needed and the most ever
+                in use at once 99% of the time, moved to a department short of
+                the type or retired.
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        {/* Demand Forecast */}
+        <Grid item xs={12}>
+          <DemandForecast />
+        </Grid>
+
+        {/* What-If Simulation */}
+        <Grid item xs={12}>
+          <LayoutSimulator />
+        </Grid>
+
+        {/* Optimization History */}
+        <Grid item xs={12}>
+          <Card>
+            <CardHeader title="Optimization History" />
+            <CardContent>
+              {historyData.length > 0 ? (
+                <TableContainer>
+                  <Table>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Date</TableCell>
+                        <TableCell>Type</TableCell>
+                        <TableCell>Description</TableCell>
+                        <TableCell>Impact</TableCell>
+                        <TableCell>Projected</TableCell>
+                        <TableCell>Realised</TableCell>
+                        <TableCell>Verification</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {historyData.map((item, index) => {
+                        const verification = (savingsVerification || [])[index];
+                        const chip = getVerificationChip(verification);
+                        return (
+                          <TableRow key={index}>
+                            <TableCell>
+                              {new Date(item.date).toLocaleDateString()}
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                label={item.type}
+                                color={
+                                  item.type === "placement"
+                                    ? "primary"
+                                    : item.type === "purchase"
+                                    ? "secondary"
+                                    : "default"
+                                }
+                                size="small"
+                              />
+                            </TableCell>
+                            <TableCell>{item.description}</TableCell>
+                            <TableCell>{item.impact}</TableCell>
+                            <TableCell>
+                              {verification &&
+                              verification.projectedHoursPerMonth > 0
+                                ? formatHoursPerMonth(
+                                    verification.projectedHoursPerMonth
+                                  )
+                                : "-"}
+                            </TableCell>
+                            <TableCell>
+                              {formatHoursPerMonth(
+                                verification
+                                  ? verification.realisedHoursPerMonth
+                                  : null
+                              )}
+                            </TableCell>
+                            <TableCell>
+                              <Chip
+                                label={chip.label}
+                                color={chip.color}
+                                size="small"
+                                variant={
+                                  chip.color === "default"
+                                    ? "outlined"
+                                    : "filled"
+                                }
+                              />
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
               ) : (
                 <Typography
                   variant="body1"
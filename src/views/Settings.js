@@ -0,0 +1,980 @@
+import React, { useState, useEffect } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Grid,
+  Button,
+  Typography,
+  Paper,
+  TextField,
+  Autocomplete,
+  Snackbar,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  IconButton,
+  Switch,
+  Checkbox,
+  FormControlLabel,
+} from "@mui/material";
+import {
+  Save as SaveIcon,
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import { getSupportedTimeZones, getSystemTimeZone } from "../shared/timezone";
+import {
+  DEFAULT_DEVICE_TYPE_PATTERN,
+  isValidTypePattern,
+  extractDeviceType,
+} from "../shared/deviceCatalog";
+import {
+  DEFAULT_WALKING_MODEL,
+  validateWalkingModel,
+  formatMinutes,
+  getTripMinutesForMetres,
+} from "../shared/walkingModel";
+import {
+  MAX_PAR_LOCATIONS,
+  validateParLocationCounts,
+} from "../shared/parLocations";
+import {
+  DEFAULT_SHIFT_PLANNING,
+  MAX_SHIFTS,
+  validateShiftPlanning,
+  formatShiftHours,
+} from "../shared/shifts";
+import {
+  DEFAULT_SERVICE_LEVEL,
+  validateServiceLevel,
+} from "../shared/fleetSizing";
+import {
+  DEFAULT_MAINTENANCE_COST_RATE,
+  validateMaintenanceCostRate,
+} from "../shared/rightSizing";
+import {
+  DEFAULT_VERIFICATION_DAYS,
+  validateVerificationDays,
+} from "../shared/verification";
+import {
+  DEFAULT_FORECAST_HORIZON_DAYS,
+  validateForecastHorizon,
+} from "../shared/forecasting";
+
+// Tag shapes shown in the type pattern preview besides the imported devices
+const EXAMPLE_DEVICE_IDS = ["IV-Pump-12", "Ventilator-001"];
+
+const WALKING_MODEL_FIELDS = [
+  { key: "metresPerUnit", label: "Metres per plan unit", step: 0.01 },
+  { key: "walkingSpeed", label: "Walking speed (m/s)", step: 0.1 },
+  { key: "tripOverheadSeconds", label: "Overhead per trip (s)", step: 5 },
+];
+
+// Walking model form values, kept as text while they are edited
+const toWalkingModelForm = (model) =>
+  WALKING_MODEL_FIELDS.reduce(
+    (form, { key }) => ({ ...form, [key]: String(model[key]) }),
+    {}
+  );
+
+// Par location counts form, blank for device types left automatic
+const toParCountForm = (counts) =>
+  Object.fromEntries(
+    Object.entries(counts || {}).map(([type, count]) => [type, String(count)])
+  );
+
+// Shift planning form, with the shift hours kept as text while they are edited
+const toShiftForm = (planning) => ({
+  ...planning,
+  shifts: planning.shifts.map((shift) => ({
+    name: shift.name,
+    start: String(shift.start),
+    end: String(shift.end),
+  })),
+});
+
+// Service level form value, as a percentage
+const toServiceLevelForm = (level) =>
+  String(Math.round((level || DEFAULT_SERVICE_LEVEL) * 1000) / 10);
+
+// Maintenance cost rate form value, as a percentage
+const toMaintenanceCostForm = (rate) =>
+  String(
+    Math.round(
+      (rate !== undefined ? rate : DEFAULT_MAINTENANCE_COST_RATE) * 1000
+    ) / 10
+  );
+
+// Verification window form value, in days
+const toVerificationDaysForm = (days) =>
+  String(days || DEFAULT_VERIFICATION_DAYS);
+
+const toForecastHorizonForm = (days) =>
+  String(days || DEFAULT_FORECAST_HORIZON_DAYS);
+
+function Settings() {
+  const { settings, saveSettings, devices } = useDataContext();
+  const [facilityTimezone, setFacilityTimezone] = useState(
+    settings.facilityTimezone
+  );
+  const [deviceTypePattern, setDeviceTypePattern] = useState(
+    settings.deviceTypePattern
+  );
+  const [walkingModelForm, setWalkingModelForm] = useState(
+    toWalkingModelForm(settings.walkingModel)
+  );
+  const [parCountForm, setParCountForm] = useState(
+    toParCountForm(settings.parLocationCounts)
+  );
+  const [shiftForm, setShiftForm] = useState(
+    toShiftForm(settings.shiftPlanning || DEFAULT_SHIFT_PLANNING)
+  );
+  const [serviceLevelForm, setServiceLevelForm] = useState(
+    toServiceLevelForm(settings.serviceLevel)
+  );
+  const [maintenanceCostForm, setMaintenanceCostForm] = useState(
+    toMaintenanceCostForm(settings.maintenanceCostRate)
+  );
+  const [verificationDaysForm, setVerificationDaysForm] = useState(
+    toVerificationDaysForm(settings.verificationDays)
+  );
+  const [forecastHorizonForm, setForecastHorizonForm] = useState(
+    toForecastHorizonForm(settings.forecastHorizonDays)
+  );
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  const timeZoneOptions = getSupportedTimeZones();
+  const systemTimeZone = getSystemTimeZone();
+
+  // Keep the form in sync once the saved settings have loaded
+  useEffect(() => {
+    setFacilityTimezone(settings.facilityTimezone);
+  }, [settings.facilityTimezone]);
+
+  useEffect(() => {
+    setDeviceTypePattern(settings.deviceTypePattern);
+  }, [settings.deviceTypePattern]);
+
+  useEffect(() => {
+    setWalkingModelForm(toWalkingModelForm(settings.walkingModel));
+  }, [settings.walkingModel]);
+
+  useEffect(() => {
+    setParCountForm(toParCountForm(settings.parLocationCounts));
+  }, [settings.parLocationCounts]);
+
+  useEffect(() => {
+    setServiceLevelForm(toServiceLevelForm(settings.serviceLevel));
+  }, [settings.serviceLevel]);
+
+  useEffect(() => {
+    setMaintenanceCostForm(toMaintenanceCostForm(settings.maintenanceCostRate));
+  }, [settings.maintenanceCostRate]);
+
+  useEffect(() => {
+    setVerificationDaysForm(toVerificationDaysForm(settings.verificationDays));
+  }, [settings.verificationDays]);
+
+  useEffect(() => {
+    setForecastHorizonForm(toForecastHorizonForm(settings.forecastHorizonDays));
+  }, [settings.forecastHorizonDays]);
+
+  useEffect(() => {
+    setShiftForm(toShiftForm(settings.shiftPlanning || DEFAULT_SHIFT_PLANNING));
+  }, [settings.shiftPlanning]);
+
+  const handleSave = async (updates) => {
+    setSaving(true);
+    try {
+      const result = await saveSettings(updates);
+
+      if (result.success) {
+        let message = "Settings saved";
+        if (result.renormalizedMovements > 0) {
+          message = `Settings saved. Re-read the timestamps of ${result.renormalizedMovements} movements in ${facilityTimezone}`;
+        } else if (result.retypedDevices > 0) {
+          message = `Settings saved. Re-typed ${result.retypedDevices} devices`;
+        }
+        setSnackbar({
+          open: true,
+          message,
+          severity: "success",
+        });
+      } else {
+        setSnackbar({
+          open: true,
+          message: result.message || "Failed to save settings",
+          severity: "error",
+        });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  const currentTime = facilityTimezone
+    ? new Date().toLocaleString("en-US", {
+        timeZone: facilityTimezone,
+        dateStyle: "medium",
+        timeStyle: "short",
+      })
+    : "";
+
+  const patternIsValid = isValidTypePattern(deviceTypePattern);
+  const previewIds = [
+    ...new Set([
+      ...devices.slice(0, 5).map((device) => device.deviceId),
+      ...EXAMPLE_DEVICE_IDS,
+    ]),
+  ];
+
+  const savedWalkingModel = settings.walkingModel;
+  const walkingModel = WALKING_MODEL_FIELDS.reduce(
+    (model, { key }) => ({ ...model, [key]: Number(walkingModelForm[key]) }),
+    { ...savedWalkingModel }
+  );
+  // A scale typed in by hand replaces the one measured on the floor plan
+  if (walkingModel.metresPerUnit !== savedWalkingModel.metresPerUnit) {
+    walkingModel.calibration = null;
+  }
+  const walkingModelError = validateWalkingModel(walkingModel);
+  const walkingModelChanged = WALKING_MODEL_FIELDS.some(
+    ({ key }) => walkingModel[key] !== savedWalkingModel[key]
+  );
+  const { calibration } = savedWalkingModel;
+
+  // Units of each device type, for the par location counts
+  const unitsByType = devices.reduce((counts, device) => {
+    const type = device.deviceType || extractDeviceType(device.deviceId);
+    return { ...counts, [type]: (counts[type] || 0) + 1 };
+  }, {});
+  const parLocationCounts = Object.fromEntries(
+    Object.entries(parCountForm)
+      .filter(([, value]) => value.trim() !== "")
+      .map(([type, value]) => [type, Number(value)])
+  );
+  const parCountError = validateParLocationCounts(parLocationCounts);
+  const savedParCounts = settings.parLocationCounts || {};
+  const parCountsChanged = Object.keys({
+    ...parLocationCounts,
+    ...savedParCounts,
+  }).some((type) => parLocationCounts[type] !== savedParCounts[type]);
+
+  const shiftPlanning = {
+    enabled: shiftForm.enabled,
+    splitWeekends: shiftForm.splitWeekends,
+    shifts: shiftForm.shifts.map((shift) => ({
+      name: shift.name.trim(),
+      start: shift.start.trim() === "" ? NaN : Number(shift.start),
+      end: shift.end.trim() === "" ? NaN : Number(shift.end),
+    })),
+  };
+  const shiftError = validateShiftPlanning(shiftPlanning);
+  const shiftPlanningChanged =
+    JSON.stringify(shiftPlanning) !==
+    JSON.stringify(settings.shiftPlanning || DEFAULT_SHIFT_PLANNING);
+
+  const serviceLevel =
+    serviceLevelForm.trim() === "" ? NaN : Number(serviceLevelForm) / 100;
+  const serviceLevelError = validateServiceLevel(serviceLevel);
+  const serviceLevelChanged =
+    serviceLevel !== (settings.serviceLevel || DEFAULT_SERVICE_LEVEL);
+
+  const maintenanceCostRate =
+    maintenanceCostForm.trim() === "" ? NaN : Number(maintenanceCostForm) / 100;
+  const maintenanceCostError = validateMaintenanceCostRate(maintenanceCostRate);
+  const maintenanceCostChanged =
+    maintenanceCostRate !==
+    (settings.maintenanceCostRate !== undefined
+      ? settings.maintenanceCostRate
+      : DEFAULT_MAINTENANCE_COST_RATE);
+
+  const verificationDays =
+    verificationDaysForm.trim() === "" ? NaN : Number(verificationDaysForm);
+  const verificationDaysError = validateVerificationDays(verificationDays);
+  const verificationDaysChanged =
+    verificationDays !==
+    (settings.verificationDays || DEFAULT_VERIFICATION_DAYS);
+
+  const forecastHorizonDays =
+    forecastHorizonForm.trim() === "" ? NaN : Number(forecastHorizonForm);
+  const forecastHorizonError = validateForecastHorizon(forecastHorizonDays);
+  const forecastHorizonChanged =
+    forecastHorizonDays !==
+    (settings.forecastHorizonDays || DEFAULT_FORECAST_HORIZON_DAYS);
+
+  const handleShiftChange = (index, field, value) => {
+    setShiftForm((prev) => ({
+      ...prev,
+      shifts: prev.shifts.map((shift, i) =>
+        i === index ? { ...shift, [field]: value } : shift
+      ),
+    }));
+  };
+
+  return (
+    <Box className="content-container">
+      <Card>
+        <CardHeader title="Settings" />
+        <CardContent>
+          <Grid container spacing={3}>
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Facility Timezone
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  RTLS timestamps without a UTC offset are read as local time in
+                  this timezone. Days, months and peak hours are counted in it
+                  as well, whatever the timezone of this computer (
+                  {systemTimeZone}).
+                </Typography>
+                <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                  <Autocomplete
+                    size="small"
+                    options={timeZoneOptions}
+                    value={facilityTimezone || null}
+                    onChange={(event, newValue) =>
+                      setFacilityTimezone(newValue)
+                    }
+                    renderInput={(params) => (
+                      <TextField
+                        {...params}
+                        label="Timezone"
+                        helperText={
+                          currentTime ? `Current time: ${currentTime}` : " "
+                        }
+                      />
+                    )}
+                    sx={{ minWidth: 320 }}
+                  />
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ facilityTimezone })}
+                    disabled={
+                      saving ||
+                      !facilityTimezone ||
+                      facilityTimezone === settings.facilityTimezone
+                    }
+                    sx={{ mb: 2.5 }}
+                  >
+                    Save
+                  </Button>
+                </Box>
+                {facilityTimezone !== settings.facilityTimezone && (
+                  <Alert severity="info" sx={{ mt: 1 }}>
+                    Saving re-reads the timestamps of all imported movements in
+                    the new timezone.
+                  </Alert>
+                )}
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Device Type Pattern
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Devices without a type in the device catalog are typed from
+                  their ID with this regular expression. The first capture group
+                  is the type; IDs that do not match are used as the type as
+                  they are.
+                </Typography>
+                <Box sx={{ display: "flex", gap: 1, alignItems: "center" }}>
+                  <TextField
+                    size="small"
+                    label="Pattern"
+                    value={deviceTypePattern || ""}
+                    onChange={(event) =>
+                      setDeviceTypePattern(event.target.value)
+                    }
+                    error={!patternIsValid}
+                    helperText={
+                      patternIsValid
+                        ? `Default: ${DEFAULT_DEVICE_TYPE_PATTERN}`
+                        : "Not a valid regular expression"
+                    }
+                    sx={{ minWidth: 320 }}
+                    inputProps={{ style: { fontFamily: "monospace" } }}
+                  />
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ deviceTypePattern })}
+                    disabled={
+                      saving ||
+                      !patternIsValid ||
+                      deviceTypePattern === settings.deviceTypePattern
+                    }
+                    sx={{ mb: 2.5 }}
+                  >
+                    Save
+                  </Button>
+                </Box>
+                {patternIsValid && (
+                  <Table size="small" sx={{ maxWidth: 480 }}>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Device ID</TableCell>
+                        <TableCell>Type</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {previewIds.map((deviceId) => (
+                        <TableRow key={deviceId}>
+                          <TableCell>{deviceId}</TableCell>
+                          <TableCell>
+                            {extractDeviceType(deviceId, deviceTypePattern)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Walking Model
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Floor plan positions and corridor lengths are in plan units.
+                  Walking distances are converted to metres with the plan scale,
+                  and to staff time with the walking speed plus a fixed overhead
+                  for each trip to fetch or return a device. Set the scale by
+                  measuring a known distance with Calibrate in the Floor Plan
+                  Editor, or enter it here.
+                </Typography>
+                <Box
+                  sx={{
+                    display: "flex",
+                    gap: 1,
+                    alignItems: "center",
+                    flexWrap: "wrap",
+                  }}
+                >
+                  {WALKING_MODEL_FIELDS.map(({ key, label, step }) => (
+                    <TextField
+                      key={key}
+                      size="small"
+                      type="number"
+                      label={label}
+                      value={walkingModelForm[key]}
+                      onChange={(event) =>
+                        setWalkingModelForm((prev) => ({
+                          ...prev,
+                          [key]: event.target.value,
+                        }))
+                      }
+                      helperText={`Default: ${DEFAULT_WALKING_MODEL[key]}`}
+                      inputProps={{ min: 0, step }}
+                    />
+                  ))}
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ walkingModel })}
+                    disabled={
+                      saving || !!walkingModelError || !walkingModelChanged
+                    }
+                    sx={{ mb: 2.5 }}
+                  >
+                    Save
+                  </Button>
+                  <Button
+                    onClick={() =>
+                      setWalkingModelForm(
+                        toWalkingModelForm(DEFAULT_WALKING_MODEL)
+                      )
+                    }
+                    disabled={saving}
+                    sx={{ mb: 2.5 }}
+                  >
+                    Use Defaults
+                  </Button>
+                </Box>
+                {walkingModelError ? (
+                  <Alert severity="error">{walkingModelError}</Alert>
+                ) : (
+                  <Typography variant="body2" color="textSecondary">
+                    A 100 m trip takes{" "}
+                    {formatMinutes(getTripMinutesForMetres(100, walkingModel))}.{" "}
+                    {calibration
+                      ? `The scale was measured on the floor plan on ${new Date(
+                          calibration.calibratedAt
+                        ).toLocaleDateString()} (${
+                          calibration.metres
+                        } m between two points).`
+                      : "The scale has not been measured on the floor plan."}
+                  </Typography>
+                )}
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Par Locations
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Placement recommendations keep each device type at a number of
+                  par locations chosen to shorten the walk from where the type
+                  is used, and assign every unit to one of them. Leave the count
+                  blank to add par locations automatically while each one still
+                  saves at least 10% of the walking.
+                </Typography>
+                {Object.keys(unitsByType).length > 0 ? (
+                  <Table size="small" sx={{ maxWidth: 480 }}>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Device Type</TableCell>
+                        <TableCell align="right">Units</TableCell>
+                        <TableCell>Par Locations</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {Object.entries(unitsByType)
+                        .sort(([a], [b]) => a.localeCompare(b))
+                        .map(([type, units]) => (
+                          <TableRow key={type}>
+                            <TableCell>{type}</TableCell>
+                            <TableCell align="right">{units}</TableCell>
+                            <TableCell>
+                              <TextField
+                                size="small"
+                                type="number"
+                                placeholder="Automatic"
+                                value={parCountForm[type] || ""}
+                                onChange={(event) =>
+                                  setParCountForm((prev) => ({
+                                    ...prev,
+                                    [type]: event.target.value,
+                                  }))
+                                }
+                                inputProps={{
+                                  min: 1,
+                                  max: MAX_PAR_LOCATIONS,
+                                  step: 1,
+                                }}
+                                sx={{ width: 140 }}
+                              />
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                    </TableBody>
+                  </Table>
+                ) : (
+                  <Typography variant="body2" color="textSecondary">
+                    Import data to set par locations per device type.
+                  </Typography>
+                )}
+                {parCountError && (
+                  <Alert severity="error" sx={{ mt: 1 }}>
+                    {parCountError}
+                  </Alert>
+                )}
+                <Box sx={{ display: "flex", gap: 1, mt: 2 }}>
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ parLocationCounts })}
+                    disabled={saving || !!parCountError || !parCountsChanged}
+                  >
+                    Save
+                  </Button>
+                  <Button onClick={() => setParCountForm({})} disabled={saving}>
+                    All Automatic
+                  </Button>
+                </Box>
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Shift Planning
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Where equipment is needed can change between shifts. When
+                  shift planning is on, placement recommendations also plan par
+                  locations for the demand of each shift, and recommend moving
+                  stock at the shift changes when that saves clearly more
+                  walking than moving the stock takes. Otherwise one set of par
+                  locations serves every shift. Hours are in the facility
+                  timezone, and a shift that ends before it starts runs past
+                  midnight.
+                </Typography>
+                <Box sx={{ display: "flex", gap: 3, flexWrap: "wrap", mb: 1 }}>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={shiftForm.enabled}
+                        onChange={(event) =>
+                          setShiftForm((prev) => ({
+                            ...prev,
+                            enabled: event.target.checked,
+                          }))
+                        }
+                      />
+                    }
+                    label="Compare par locations per shift"
+                  />
+                  <FormControlLabel
+                    control={
+                      <Checkbox
+                        checked={shiftForm.splitWeekends}
+                        onChange={(event) =>
+                          setShiftForm((prev) => ({
+                            ...prev,
+                            splitWeekends: event.target.checked,
+                          }))
+                        }
+                      />
+                    }
+                    label="Plan weekdays and weekends separately"
+                  />
+                </Box>
+                <Table size="small" sx={{ maxWidth: 560 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Shift</TableCell>
+                      <TableCell>Starts (hour)</TableCell>
+                      <TableCell>Ends (hour)</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {shiftForm.shifts.map((shift, index) => (
+                      <TableRow key={index}>
+                        <TableCell>
+                          <TextField
+                            size="small"
+                            value={shift.name}
+                            onChange={(event) =>
+                              handleShiftChange(
+                                index,
+                                "name",
+                                event.target.value
+                              )
+                            }
+                            sx={{ width: 160 }}
+                          />
+                        </TableCell>
+                        {["start", "end"].map((field) => (
+                          <TableCell key={field}>
+                            <TextField
+                              size="small"
+                              type="number"
+                              value={shift[field]}
+                              onChange={(event) =>
+                                handleShiftChange(
+                                  index,
+                                  field,
+                                  event.target.value
+                                )
+                              }
+                              inputProps={{ min: 0, max: 23, step: 1 }}
+                              sx={{ width: 100 }}
+                            />
+                          </TableCell>
+                        ))}
+                        <TableCell align="right">
+                          <IconButton
+                            size="small"
+                            onClick={() =>
+                              setShiftForm((prev) => ({
+                                ...prev,
+                                shifts: prev.shifts.filter(
+                                  (_, i) => i !== index
+                                ),
+                              }))
+                            }
+                            disabled={shiftForm.shifts.length === 1}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                {shiftError ? (
+                  <Alert severity="error" sx={{ mt: 1 }}>
+                    {shiftError}
+                  </Alert>
+                ) : (
+                  <Typography
+                    variant="body2"
+                    color="textSecondary"
+                    sx={{ mt: 1 }}
+                  >
+                    {shiftPlanning.shifts
+                      .map(
+                        (shift) => `${shift.name} ${formatShiftHours(shift)}`
+                      )
+                      .join(", ")}
+                  </Typography>
+                )}
+                <Box sx={{ display: "flex", gap: 1, mt: 2 }}>
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ shiftPlanning })}
+                    disabled={saving || !!shiftError || !shiftPlanningChanged}
+                  >
+                    Save
+                  </Button>
+                  <Button
+                    startIcon={<AddIcon />}
+                    onClick={() =>
+                      setShiftForm((prev) => ({
+                        ...prev,
+                        shifts: [
+                          ...prev.shifts,
+                          {
+                            name: `Shift ${prev.shifts.length + 1}`,
+                            start: "",
+                            end: "",
+                          },
+                        ],
+                      }))
+                    }
+                    disabled={saving || shiftForm.shifts.length >= MAX_SHIFTS}
+                  >
+                    Add Shift
+                  </Button>
+                  <Button
+                    onClick={() =>
+                      setShiftForm(
+                        toShiftForm({
+                          ...DEFAULT_SHIFT_PLANNING,
+                          enabled: shiftForm.enabled,
+                        })
+                      )
+                    }
+                    disabled={saving}
+                  >
+                    Day and Night
+                  </Button>
+                </Box>
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Fleet Size
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Purchase recommendations size each device type's fleet from
+                  how many units were in use at the same time. More units are
+                  recommended when fewer than this share of requests would find
+                  a unit free, by Erlang C at the busiest hour of the day or by
+                  replaying the recorded uses.
+                </Typography>
+                <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+                  <TextField
+                    label="Service level (%)"
+                    type="number"
+                    size="small"
+                    value={serviceLevelForm}
+                    onChange={(event) =>
+                      setServiceLevelForm(event.target.value)
+                    }
+                    error={!!serviceLevelError}
+                    helperText={
+                      serviceLevelError ||
+                      `${
+                        Math.round((1 - serviceLevel) * 1000) / 10
+                      }% of requests may find no unit free`
+                    }
+                    inputProps={{ min: 50, max: 99.9, step: 0.5 }}
+                    sx={{ width: 260 }}
+                  />
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ serviceLevel })}
+                    disabled={
+                      saving || !!serviceLevelError || !serviceLevelChanged
+                    }
+                  >
+                    Save
+                  </Button>
+                </Box>
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Fleet Right-Sizing
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Device types with more units than the service level needs get
+                  right-sizing recommendations for their least used units: a
+                  move to a department short of the type, or retirement. The
+                  cost avoided comes from each unit's acquisition cost in the
+                  device catalog, with this share of it a year for maintenance.
+                </Typography>
+                <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+                  <TextField
+                    label="Yearly maintenance (% of cost)"
+                    type="number"
+                    size="small"
+                    value={maintenanceCostForm}
+                    onChange={(event) =>
+                      setMaintenanceCostForm(event.target.value)
+                    }
+                    error={!!maintenanceCostError}
+                    helperText={
+                      maintenanceCostError ||
+                      "Service contracts, preventive maintenance and repairs"
+                    }
+                    inputProps={{ min: 0, max: 100, step: 1 }}
+                    sx={{ width: 260 }}
+                  />
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ maintenanceCostRate })}
+                    disabled={
+                      saving ||
+                      !!maintenanceCostError ||
+                      !maintenanceCostChanged
+                    }
+                  >
+                    Save
+                  </Button>
+                </Box>
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Savings Verification
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  Implemented placement recommendations are checked against the
+                  RTLS data imported afterwards. The walking per use in this
+                  many days before the change is compared with the same number
+                  of days after it. The window is fixed for each recommendation
+                  when it is implemented.
+                </Typography>
+                <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+                  <TextField
+                    label="Window (days)"
+                    type="number"
+                    size="small"
+                    value={verificationDaysForm}
+                    onChange={(event) =>
+                      setVerificationDaysForm(event.target.value)
+                    }
+                    error={!!verificationDaysError}
+                    helperText={
+                      verificationDaysError ||
+                      "Days before and after each change"
+                    }
+                    inputProps={{ min: 7, max: 180, step: 1 }}
+                    sx={{ width: 260 }}
+                  />
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ verificationDays })}
+                    disabled={
+                      saving ||
+                      !!verificationDaysError ||
+                      !verificationDaysChanged
+                    }
+                  >
+                    Save
+                  </Button>
+                </Box>
+              </Paper>
+            </Grid>
+
+            <Grid item xs={12}>
+              <Paper sx={{ p: 2 }}>
+                <Typography variant="h6" gutterBottom>
+                  Demand Forecast
+                </Typography>
+                <Typography variant="body2" color="textSecondary" paragraph>
+                  In-use demand of each device type is forecast this many days
+                  ahead from the imported history. Purchase recommendations size
+                  fleets for the busiest hour of the forecast as well as for the
+                  recorded demand.
+                </Typography>
+                <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+                  <TextField
+                    label="Horizon (days)"
+                    type="number"
+                    size="small"
+                    value={forecastHorizonForm}
+                    onChange={(event) =>
+                      setForecastHorizonForm(event.target.value)
+                    }
+                    error={!!forecastHorizonError}
+                    helperText={
+                      forecastHorizonError || "Days ahead to forecast demand"
+                    }
+                    inputProps={{ min: 7, max: 365, step: 1 }}
+                    sx={{ width: 260 }}
+                  />
+                  <Button
+                    variant="contained"
+                    startIcon={<SaveIcon />}
+                    onClick={() => handleSave({ forecastHorizonDays })}
+                    disabled={
+                      saving ||
+                      !!forecastHorizonError ||
+                      !forecastHorizonChanged
+                    }
+                  >
+                    Save
+                  </Button>
+                </Box>
+              </Paper>
+            </Grid>
+          </Grid>
+        </CardContent>
+      </Card>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Settings;
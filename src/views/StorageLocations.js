@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  Stack,
+  Snackbar,
+  Alert,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import mapDataService from "../services/MapDataService";
+import { indexFacility } from "../shared/facility";
+import { getRoomZone, getZoneLabel } from "../shared/zones";
+
+const emptyLocation = { room: "", capacities: {}, notes: "" };
+
+// Capacities form, kept as text per device type while it is edited
+const toCapacityForm = (capacities) =>
+  Object.fromEntries(
+    Object.entries(capacities || {}).map(([type, count]) => [
+      type,
+      String(count),
+    ])
+  );
+
+function StorageLocations() {
+  const {
+    storageLocations,
+    saveStorageLocation,
+    deleteStorageLocation,
+    devices,
+    locations,
+    zoneIndex,
+  } = useDataContext();
+  const [floorPlan, setFloorPlan] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  useEffect(() => {
+    mapDataService
+      .getFloorPlan()
+      .then(setFloorPlan)
+      .catch((error) => console.error("Error loading floor plan:", error));
+  }, []);
+
+  // Rooms on the floor plan or seen in imported data
+  const knownRooms = useMemo(() => {
+    const rooms = new Set(Object.keys(indexFacility(floorPlan).floorOfRoom));
+    (locations || []).forEach((location) => {
+      if (location.locationId) rooms.add(location.locationId);
+    });
+    return [...rooms].sort();
+  }, [floorPlan, locations]);
+
+  // Units of each device type, and the storage each type has
+  const typeSummary = useMemo(() => {
+    const summary = {};
+    const getType = (type) => {
+      if (!summary[type]) {
+        summary[type] = { type, units: 0, rooms: 0, capacity: 0 };
+      }
+      return summary[type];
+    };
+
+    devices.forEach((device) => {
+      if (device.deviceType) getType(device.deviceType).units++;
+    });
+    storageLocations.forEach((location) => {
+      Object.entries(location.capacities || {}).forEach(([type, capacity]) => {
+        const entry = getType(type);
+        entry.rooms++;
+        entry.capacity += capacity;
+      });
+    });
+
+    return Object.values(summary).sort((a, b) => a.type.localeCompare(b.type));
+  }, [devices, storageLocations]);
+
+  const handleAdd = () => {
+    setFormErrors([]);
+    setEditing({ ...emptyLocation, capacityForm: {} });
+  };
+
+  const handleEdit = (location) => {
+    setFormErrors([]);
+    setEditing({
+      ...location,
+      capacityForm: toCapacityForm(location.capacities),
+    });
+  };
+
+  const handleCapacityChange = (type, value) => {
+    setEditing((prev) => ({
+      ...prev,
+      capacityForm: { ...prev.capacityForm, [type]: value },
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const { capacityForm, ...location } = editing;
+      const result = await saveStorageLocation({
+        ...location,
+        capacities: Object.fromEntries(
+          Object.entries(capacityForm)
+            .filter(([, value]) => value.trim() !== "")
+            .map(([type, value]) => [type, Number(value)])
+        ),
+      });
+
+      if (result.success) {
+        setSnackbar({
+          open: true,
+          message: `Saved ${result.location.room}`,
+          severity: "success",
+        });
+        setEditing(null);
+      } else {
+        setFormErrors(result.errors || ["Failed to save the storage location"]);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (location) => {
+    const result = await deleteStorageLocation(location._id);
+    setSnackbar({
+      open: true,
+      message: result.success
+        ? `${location.room} is no longer a storage location`
+        : result.message || "Failed to delete the storage location",
+      severity: result.success ? "success" : "error",
+    });
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  // Zone of a room, or "" if it has none
+  const getRoomZoneLabel = (room) => {
+    const zone = getRoomZone(zoneIndex, room);
+    return zone ? getZoneLabel(zoneIndex, zone._id) : "";
+  };
+
+  return (
+    <Box className="content-container">
+      <Card sx={{ mb: 3 }}>
+        <CardHeader
+          title="Storage Locations"
+          action={
+            <Button
+              variant="contained"
+              startIcon={<AddIcon />}
+              onClick={handleAdd}
+            >
+              Add Storage Location
+            </Button>
+          }
+        />
+        <CardContent>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Storage locations are the rooms equipment may be kept in between
+            uses, such as clean utility rooms and equipment alcoves, with the
+            number of units of each device type they hold. Once a room is set up
+            for a device type, placement recommendations only keep that type in
+            its storage rooms and never put more units in a room than it holds.
+            Device types without a storage room can be placed in any room.
+          </Typography>
+
+          {storageLocations.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No storage locations yet. Placement recommendations may use any
+              room.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Room</TableCell>
+                    <TableCell>Zone</TableCell>
+                    <TableCell>Holds</TableCell>
+                    <TableCell>Notes</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {storageLocations.map((location) => (
+                    <TableRow key={location._id} hover>
+                      <TableCell>
+                        {location.room}
+                        {!knownRooms.includes(location.room) && (
+                          <Typography
+                            variant="caption"
+                            color="warning.main"
+                            display="block"
+                          >
+                            Not on the floor plan
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{getRoomZoneLabel(location.room)}</TableCell>
+                      <TableCell>
+                        <Box
+                          sx={{ display: "flex", gap: 0.5, flexWrap: "wrap" }}
+                        >
+                          {Object.entries(location.capacities || {}).map(
+                            ([type, capacity]) => (
+                              <Chip
+                                key={type}
+                                size="small"
+                                variant="outlined"
+                                label={`${type} × ${capacity}`}
+                              />
+                            )
+                          )}
+                        </Box>
+                      </TableCell>
+                      <TableCell>{location.notes}</TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleEdit(location)}
+                        >
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                        <IconButton
+                          size="small"
+                          onClick={() => handleDelete(location)}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader title="Storage by Device Type" />
+        <CardContent>
+          {typeSummary.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              Import data to see the storage of each device type.
+            </Typography>
+          ) : (
+            <Table size="small" sx={{ maxWidth: 640 }}>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Device Type</TableCell>
+                  <TableCell align="right">Units</TableCell>
+                  <TableCell align="right">Storage Rooms</TableCell>
+                  <TableCell align="right">Capacity</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {typeSummary.map((entry) => (
+                  <TableRow key={entry.type}>
+                    <TableCell>{entry.type}</TableCell>
+                    <TableCell align="right">{entry.units}</TableCell>
+                    <TableCell align="right">
+                      {entry.rooms > 0 ? entry.rooms : "Any room"}
+                    </TableCell>
+                    <TableCell align="right">
+                      {entry.rooms > 0 ? entry.capacity : "-"}
+                      {entry.rooms > 0 && entry.capacity < entry.units && (
+                        <Typography
+                          variant="caption"
+                          color="warning.main"
+                          display="block"
+                        >
+                          {entry.units - entry.capacity} units without a place
+                        </Typography>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {editing && editing._id
+            ? "Edit Storage Location"
+            : "Add Storage Location"}
+        </DialogTitle>
+        <DialogContent>
+          {formErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {formErrors.join(". ")}
+            </Alert>
+          )}
+          {editing && (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              <Autocomplete
+                freeSolo
+                size="small"
+                options={knownRooms}
+                value={editing.room}
+                onInputChange={(event, value) =>
+                  setEditing((prev) => ({ ...prev, room: value }))
+                }
+                renderInput={(params) => (
+                  <TextField {...params} label="Room" autoFocus />
+                )}
+              />
+              <Typography variant="body2" color="textSecondary">
+                Units of each device type the room holds. Leave a type blank if
+                it is not kept here.
+              </Typography>
+              {typeSummary.map(({ type }) => (
+                <TextField
+                  key={type}
+                  size="small"
+                  type="number"
+                  label={type}
+                  placeholder="Not kept here"
+                  value={editing.capacityForm[type] || ""}
+                  onChange={(event) =>
+                    handleCapacityChange(type, event.target.value)
+                  }
+                  inputProps={{ min: 1, step: 1 }}
+                />
+              ))}
+              <TextField
+                size="small"
+                label="Notes"
+                value={editing.notes || ""}
+                onChange={(event) =>
+                  setEditing((prev) => ({ ...prev, notes: event.target.value }))
+                }
+              />
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !editing || !editing.room.trim()}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default StorageLocations;
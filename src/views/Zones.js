@@ -0,0 +1,470 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Box,
+  Card,
+  CardContent,
+  CardHeader,
+  Button,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Autocomplete,
+  Stack,
+  Snackbar,
+  Alert,
+} from "@mui/material";
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  CloudUpload as CloudUploadIcon,
+} from "@mui/icons-material";
+import { useDataContext } from "../context/DataContext";
+import mapDataService from "../services/MapDataService";
+import { indexFacility } from "../shared/facility";
+import {
+  ZONE_LEVELS,
+  getZoneLevelLabel,
+  getZoneLabel,
+  getZoneRooms,
+} from "../shared/zones";
+
+// Rooms listed in a table cell before the rest are summarised
+const ROOMS_SHOWN = 6;
+
+const emptyZone = { name: "", level: "department", parentId: "", rooms: [] };
+
+const getLevelIndex = (level) =>
+  ZONE_LEVELS.findIndex((item) => item.id === level);
+
+function Zones() {
+  const { zones, zoneIndex, saveZone, deleteZone, importZones, locations } =
+    useDataContext();
+  const [floorPlan, setFloorPlan] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [snackbar, setSnackbar] = useState({
+    open: false,
+    message: "",
+    severity: "success",
+  });
+
+  useEffect(() => {
+    mapDataService
+      .getFloorPlan()
+      .then(setFloorPlan)
+      .catch((error) => console.error("Error loading floor plan:", error));
+  }, []);
+
+  // Rooms on the floor plan or seen in imported data
+  const knownRooms = useMemo(() => {
+    const rooms = new Set(Object.keys(indexFacility(floorPlan).floorOfRoom));
+    (locations || []).forEach((location) => {
+      if (location.locationId) rooms.add(location.locationId);
+    });
+    return [...rooms].sort();
+  }, [floorPlan, locations]);
+
+  const unassignedRooms = knownRooms.filter(
+    (room) => !zoneIndex.zoneOfRoom[room]
+  );
+
+  const handleAdd = (parent = null) => {
+    const parentLevel = parent ? getLevelIndex(parent.level) : -1;
+    const level =
+      ZONE_LEVELS[Math.min(parentLevel + 1, ZONE_LEVELS.length - 1)];
+    setFormErrors([]);
+    setEditing({
+      ...emptyZone,
+      level: level.id,
+      parentId: parent ? parent._id : "",
+    });
+  };
+
+  const handleEdit = (zone) => {
+    setFormErrors([]);
+    setEditing({ ...zone, parentId: zone.parentId || "" });
+  };
+
+  const handleFieldChange = (field, value) => {
+    setEditing((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await saveZone({
+        ...editing,
+        parentId: editing.parentId || null,
+      });
+
+      if (result.success) {
+        setSnackbar({
+          open: true,
+          message: `Saved ${result.zone.name}`,
+          severity: "success",
+        });
+        setEditing(null);
+      } else {
+        setFormErrors(result.errors || ["Failed to save the zone"]);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (zone) => {
+    const result = await deleteZone(zone._id);
+    setSnackbar({
+      open: true,
+      message: result.success
+        ? `Deleted ${zone.name}`
+        : result.message || "Failed to delete the zone",
+      severity: result.success ? "success" : "error",
+    });
+  };
+
+  const handleImport = async () => {
+    if (!window.electron) {
+      setSnackbar({
+        open: true,
+        message: "File dialog not available in development mode",
+        severity: "info",
+      });
+      return;
+    }
+
+    const filePath = await window.electron.openFileDialog();
+    if (!filePath) return;
+
+    setSaving(true);
+    try {
+      const result = await importZones(filePath);
+      setImportResult(result);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseSnackbar = () => {
+    setSnackbar((prev) => ({ ...prev, open: false }));
+  };
+
+  // Zones a zone at the edited level can sit inside
+  const parentOptions = editing
+    ? zoneIndex.ordered.filter(
+        ({ zone }) =>
+          zone._id !== editing._id &&
+          getLevelIndex(zone.level) < getLevelIndex(editing.level)
+      )
+    : [];
+
+  // Rooms in the form that will leave another zone when it is saved
+  const movedRooms = editing
+    ? editing.rooms.filter(
+        (room) =>
+          zoneIndex.zoneOfRoom[room] &&
+          zoneIndex.zoneOfRoom[room] !== editing._id
+      )
+    : [];
+
+  return (
+    <Box className="content-container">
+      <Card sx={{ mb: 3 }}>
+        <CardHeader
+          title="Zones"
+          action={
+            <Box sx={{ display: "flex", gap: 1 }}>
+              <Button
+                startIcon={<CloudUploadIcon />}
+                onClick={handleImport}
+                disabled={saving}
+              >
+                Import Room List
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<AddIcon />}
+                onClick={() => handleAdd()}
+              >
+                Add Zone
+              </Button>
+            </Box>
+          }
+        />
+        <CardContent>
+          <Typography variant="body2" color="textSecondary" paragraph>
+            Zones group rooms into buildings, departments and pods so the
+            dashboard, heat map, data table and optimization analysis can be
+            filtered and totalled by zone. A room belongs to one zone and counts
+            towards every zone above it. A room list CSV needs a Room (or
+            Location) column and any of Building, Department and Pod; missing
+            zones are created and each room is assigned to the lowest zone
+            given.
+          </Typography>
+
+          {importResult && (
+            <Alert
+              severity={
+                !importResult.success
+                  ? "error"
+                  : importResult.errors.length > 0
+                  ? "warning"
+                  : "success"
+              }
+              onClose={() => setImportResult(null)}
+              sx={{ mb: 2 }}
+            >
+              {importResult.success ? (
+                <>
+                  {importResult.fileName}: {importResult.roomsAssigned} rooms
+                  assigned, {importResult.zonesCreated} zones created
+                  {importResult.errors.length > 0 &&
+                    `, ${importResult.errors.length} rows skipped`}
+                  {importResult.errors.slice(0, 5).map((error) => (
+                    <Typography key={error.line} variant="body2">
+                      Line {error.line}: {error.error}
+                    </Typography>
+                  ))}
+                </>
+              ) : (
+                importResult.message
+              )}
+            </Alert>
+          )}
+
+          {zones.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              No zones yet. Add a zone or import a room list.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Zone</TableCell>
+                    <TableCell>Level</TableCell>
+                    <TableCell>Rooms</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {zoneIndex.ordered.map(({ zone, depth }) => {
+                    const allRooms = getZoneRooms(zoneIndex, zone._id);
+                    const canHaveChildren =
+                      getLevelIndex(zone.level) < ZONE_LEVELS.length - 1;
+                    return (
+                      <TableRow key={zone._id} hover>
+                        <TableCell sx={{ pl: 2 + depth * 3 }}>
+                          {zone.name}
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            label={getZoneLevelLabel(zone.level)}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {zone.rooms.slice(0, ROOMS_SHOWN).join(", ")}
+                          {zone.rooms.length > ROOMS_SHOWN &&
+                            ` and ${zone.rooms.length - ROOMS_SHOWN} more`}
+                          {allRooms.size > zone.rooms.length && (
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                              display="block"
+                            >
+                              {allRooms.size} rooms including the zones inside
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right" sx={{ whiteSpace: "nowrap" }}>
+                          {canHaveChildren && (
+                            <IconButton
+                              size="small"
+                              title="Add a zone inside"
+                              onClick={() => handleAdd(zone)}
+                            >
+                              <AddIcon fontSize="small" />
+                            </IconButton>
+                          )}
+                          <IconButton
+                            size="small"
+                            onClick={() => handleEdit(zone)}
+                          >
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                          <IconButton
+                            size="small"
+                            onClick={() => handleDelete(zone)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader
+          title="Rooms Without a Zone"
+          subheader={`${unassignedRooms.length} of ${knownRooms.length} rooms on the floor plan or in imported data`}
+        />
+        <CardContent>
+          {unassignedRooms.length === 0 ? (
+            <Typography variant="body2" color="textSecondary">
+              Every known room is in a zone.
+            </Typography>
+          ) : (
+            <Box sx={{ display: "flex", gap: 0.5, flexWrap: "wrap" }}>
+              {unassignedRooms.map((room) => (
+                <Chip key={room} size="small" label={room} />
+              ))}
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {editing && editing._id ? "Edit Zone" : "Add Zone"}
+        </DialogTitle>
+        <DialogContent>
+          {formErrors.length > 0 && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {formErrors.join(". ")}
+            </Alert>
+          )}
+          {editing && (
+            <Stack spacing={2} sx={{ mt: 1 }}>
+              <TextField
+                size="small"
+                label="Name"
+                value={editing.name}
+                onChange={(event) =>
+                  handleFieldChange("name", event.target.value)
+                }
+                autoFocus
+              />
+              <TextField
+                select
+                size="small"
+                label="Level"
+                value={editing.level}
+                onChange={(event) =>
+                  handleFieldChange("level", event.target.value)
+                }
+              >
+                {ZONE_LEVELS.map((level) => (
+                  <MenuItem key={level.id} value={level.id}>
+                    {level.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="Inside"
+                value={
+                  parentOptions.some(
+                    ({ zone }) => zone._id === editing.parentId
+                  )
+                    ? editing.parentId
+                    : ""
+                }
+                onChange={(event) =>
+                  handleFieldChange("parentId", event.target.value)
+                }
+              >
+                <MenuItem value="">Nothing (top level)</MenuItem>
+                {parentOptions.map(({ zone }) => (
+                  <MenuItem key={zone._id} value={zone._id}>
+                    {getZoneLabel(zoneIndex, zone._id)}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <Autocomplete
+                multiple
+                freeSolo
+                size="small"
+                options={knownRooms}
+                value={editing.rooms}
+                onChange={(event, value) => handleFieldChange("rooms", value)}
+                renderInput={(params) => (
+                  <TextField {...params} label="Rooms" />
+                )}
+              />
+              {movedRooms.length > 0 && (
+                <Alert severity="info">
+                  {movedRooms.join(", ")}{" "}
+                  {movedRooms.length === 1 ? "moves" : "move"} here from{" "}
+                  {[
+                    ...new Set(
+                      movedRooms.map(
+                        (room) =>
+                          zoneIndex.byId[zoneIndex.zoneOfRoom[room]].name
+                      )
+                    ),
+                  ].join(", ")}
+                  .
+                </Alert>
+              )}
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving || !editing || !editing.name.trim()}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={handleCloseSnackbar}
+      >
+        <Alert
+          onClose={handleCloseSnackbar}
+          severity={snackbar.severity}
+          sx={{ width: "100%" }}
+        >
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
+    </Box>
+  );
+}
+
+export default Zones;